@@ -1,13 +1,14 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const SessionService = require('../services/SessionService');
 
 const auth = async (req, res, next) => {
   try {
     // Try to get token from Authorization header first, then from query parameter
     let token = req.header('Authorization')?.replace('Bearer ', '');
     
-    // Fallback to query parameter (useful for links that open in new tabs)
-    if (!token && req.query.token) {
+    // Fallback to query parameter (useful for links that open in new tabs), read-only requests only
+    if (!token && req.query.token && req.method === 'GET') {
       token = req.query.token;
     }
 
@@ -23,14 +24,27 @@ const auth = async (req, res, next) => {
       .select('-password')
       .populate(['supplier', 'buyer']);
 
-    if (!user) {
+    if (!user || !user.isActive) {
       return res.status(401).json({
         success: false,
         message: 'Token is not valid'
       });
     }
 
+    // Tokens issued for a session stop working as soon as the session is revoked;
+    // older tokens without one stop working once the user's sessions are revoked
+    const revoked = decoded.sid
+      ? !(await SessionService.isSessionActive(decoded.sid, user._id))
+      : !!user.tokensRevokedAt && decoded.iat * 1000 <= user.tokensRevokedAt.getTime();
+    if (revoked) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked'
+      });
+    }
+
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     res.status(401).json({
@@ -1,5 +1,7 @@
+const PermissionService = require('../services/PermissionService');
+
 const checkPermission = (requiredPermission) => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         success: false,
@@ -12,23 +14,28 @@ const checkPermission = (requiredPermission) => {
       return next();
     }
 
-    // Allow employee to have certain permissions by default for now
-    // const employeeAllowedPermissions = ['sales', 'buying', 'stock', 'expenses', 'reports'];
-    // if (req.user.role === 'employee' && employeeAllowedPermissions.includes(requiredPermission)) {
-    //   return next();
-    // }
-
-    // Check if user has the specific permission
-    // const hasPermission = req.user.permissions && req.user.permissions.includes(requiredPermission);
+    try {
+      // Resolve once per request; several guards may run on the same request
+      if (!req.effectivePermissions) {
+        req.effectivePermissions = await PermissionService.getEffectivePermissions(req.user);
+      }
 
-    // if (!hasPermission) {
-    //   return res.status(403).json({
-    //     success: false,
-    //     message: `Permission denied: ${requiredPermission} access required`
-    //   });
-    // }
+      if (!req.effectivePermissions.includes(requiredPermission)) {
+        return res.status(403).json({
+          success: false,
+          message: `Permission denied: ${requiredPermission} access required`,
+          requiredPermission
+        });
+      }
 
-    next();
+      next();
+    } catch (error) {
+      console.error('Check permission error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
   };
 };
 
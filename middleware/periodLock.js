@@ -0,0 +1,62 @@
+const AccountingPeriodService = require('../services/AccountingPeriodService');
+const VatReturnService = require('../services/VatReturnService');
+
+/**
+ * Middleware to block changes dated inside a closed accounting period (applies to every role)
+ * @param {Object} options
+ * @param {string|string[]} [options.dateField] - field(s) in req.body with the new date
+ * @param {Object} [options.entityModel] - Mongoose model of the record in req.params.id (edits, reversals, deletes)
+ * @param {string} [options.existingDateField] - stored date field on that record (falls back to createdAt)
+ * @param {Function} [options.getExistingDate] - async (req) => stored date, for records not looked up by req.params.id
+ * @param {boolean} [options.vatDocument] - also block dates inside a closed VAT return (sales, sale returns, dispatch orders, expenses)
+ */
+const periodLock = (options = {}) => {
+  return async (req, res, next) => {
+    const {
+      dateField,
+      entityModel = null,
+      existingDateField = 'date',
+      getExistingDate = null,
+      vatDocument = false
+    } = options;
+
+    try {
+      const dates = [];
+
+      for (const field of [].concat(dateField || [])) {
+        if (req.body?.[field]) dates.push(req.body[field]);
+      }
+
+      if (getExistingDate) {
+        dates.push(await getExistingDate(req));
+      } else if (entityModel && req.params.id) {
+        const entity = await entityModel
+          .findById(req.params.id)
+          .select(`${existingDateField} createdAt`)
+          .lean();
+        if (entity) dates.push(entity[existingDateField] || entity.createdAt);
+      }
+
+      await AccountingPeriodService.assertDatesOpen(dates);
+      if (vatDocument) {
+        await VatReturnService.assertDatesUnfiled(dates);
+      }
+      next();
+    } catch (error) {
+      // Malformed ids are left to the route's own validation
+      if (error.name === 'CastError') {
+        return next();
+      }
+      if (!error.status) {
+        console.error('PeriodLock middleware error:', error);
+      }
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Server error',
+        ...(error.period && { period: error.period, periodClosed: true })
+      });
+    }
+  };
+};
+
+module.exports = periodLock;
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Chart of accounts for the general ledger (see services/GeneralLedgerService.js)
+const accountSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // asset and expense accounts carry debit balances, the others credit balances
+  type: {
+    type: String,
+    enum: ['asset', 'liability', 'equity', 'revenue', 'expense'],
+    required: true
+  },
+  // Set on the accounts journals are generated into; they cannot be retyped or deactivated
+  systemKey: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  description: String,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+accountSchema.index({ type: 1, code: 1 });
+
+module.exports = mongoose.model('Account', accountSchema);
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// A calendar month of the books. While a period is closed nothing dated inside it
+// can be created, edited, reversed or deleted (see middleware/periodLock.js).
+const accountingPeriodSchema = new mongoose.Schema({
+  // 'YYYY-MM'
+  period: {
+    type: String,
+    required: true,
+    unique: true,
+    match: /^\d{4}-(0[1-9]|1[0-2])$/
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'closed'
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  closedAt: Date,
+  notes: String,
+  reopenedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reopenedAt: Date,
+  reopenReason: String,
+  history: [{
+    action: {
+      type: String,
+      enum: ['close', 'reopen'],
+      required: true
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    reason: String
+  }]
+}, {
+  timestamps: true
+});
+
+accountingPeriodSchema.index({ status: 1, startDate: 1, endDate: 1 });
+
+// Closed period containing the date, if any
+accountingPeriodSchema.statics.findClosedPeriod = function (date, session = null) {
+  const query = this.findOne({
+    status: 'closed',
+    startDate: { $lte: date },
+    endDate: { $gte: date }
+  });
+  return session ? query.session(session) : query;
+};
+
+// Throws (status 423) when the date falls in a closed period
+accountingPeriodSchema.statics.assertDateOpen = async function (date, session = null) {
+  const value = new Date(date);
+  if (Number.isNaN(value.getTime())) return;
+
+  const closedPeriod = await this.findClosedPeriod(value, session);
+  if (closedPeriod) {
+    throw Object.assign(
+      new Error(`Accounting period ${closedPeriod.period} is closed. Entries dated ${value.toISOString().split('T')[0]} cannot be created, edited, reversed or deleted.`),
+      { status: 423, period: closedPeriod.period }
+    );
+  }
+};
+
+module.exports = mongoose.model('AccountingPeriod', accountingPeriodSchema);
@@ -68,10 +68,17 @@ const buyerSchema = new mongoose.Schema({
     enum: ['cash', 'net15', 'net30', 'net45', 'net60'],
     default: 'cash'
   },
+  // 0 means no credit limit is set
   creditLimit: {
     type: Number,
     default: 0
   },
+  // What happens when a sale would exceed the credit limit; unset uses Settings.creditControl.mode
+  creditLimitMode: {
+    type: String,
+    enum: ['warn', 'block', 'approval', null],
+    default: null
+  },
   // DEPRECATED: currentBalance is kept for backward compatibility.
   // All balance calculations should use BalanceService.getBuyerBalance() (SSOT from Ledger).
   // This field will be removed in a future version after migration is complete.
@@ -94,6 +101,18 @@ const buyerSchema = new mongoose.Schema({
     enum: ['retail', 'wholesale', 'buyer'],
     default: 'retail'
   },
+  // Most the buyer may have in undelivered cash-on-delivery orders; 0 means no limit
+  codLimit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Wholesale tier or buyer-specific prices (see PriceListService)
+  priceList: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceList',
+    default: null
+  },
   notes: {
     type: String,
     trim: true
@@ -180,6 +199,7 @@ const buyerSchema = new mongoose.Schema({
 buyerSchema.index({ email: 1 });
 buyerSchema.index({ isActive: 1 });
 buyerSchema.index({ customerType: 1, isActive: 1 });
+buyerSchema.index({ priceList: 1 });
 buyerSchema.index({ 'address.city': 1 });
 buyerSchema.index({ createdAt: -1 });
 buyerSchema.index({ createdBy: 1 });
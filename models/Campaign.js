@@ -91,6 +91,12 @@ const campaignSchema = new mongoose.Schema({
     default: 100,
     min: 0,
   },
+  // Coupon campaigns only apply through one of their promo codes, never automatically
+  requiresCode: {
+    type: Boolean,
+    default: false,
+    index: true,
+  },
   notes: {
     type: String,
     trim: true,
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// Guest carts nobody comes back to are removed after this many days without changes
+const GUEST_CART_TTL_DAYS = 30;
+
+const cartLineSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  inventoryType: {
+    type: String,
+    enum: ['packet', 'loose'],
+    required: true
+  },
+  // Packet lines are bought by PacketStock barcode, loose lines by size/color
+  packetBarcode: String,
+  variant: {
+    size: String,
+    color: String,
+    sku: String
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Price and stock status the buyer last saw, to flag what changed since
+  lastSeenPrice: Number,
+  lastSeenStockStatus: {
+    type: String,
+    enum: ['in_stock', 'insufficient', 'out_of_stock', 'unavailable']
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: true });
+
+// Server-side cart of a portal buyer, or of a guest identified by guestToken until they log in
+const cartSchema = new mongoose.Schema({
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Buyer'
+  },
+  guestToken: String,
+  items: [cartLineSchema],
+  lastViewedAt: Date,
+  // Lines sent to a Stripe checkout; removed from the cart once that sale is paid
+  checkout: {
+    sale: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Sale'
+    },
+    lineIds: [mongoose.Schema.Types.ObjectId],
+    startedAt: Date
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+cartSchema.index({ buyer: 1 }, { unique: true, partialFilterExpression: { buyer: { $exists: true } } });
+cartSchema.index({ guestToken: 1 }, { unique: true, partialFilterExpression: { guestToken: { $exists: true } } });
+cartSchema.index({ 'checkout.sale': 1 }, { sparse: true });
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+cartSchema.pre('save', function (next) {
+  this.expiresAt = this.buyer
+    ? undefined
+    : new Date(Date.now() + GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000);
+  next();
+});
+
+module.exports = mongoose.model('Cart', cartSchema);
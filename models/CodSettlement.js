@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// Cash a driver hands in for cash-on-delivery orders they collected
+const codSettlementSchema = new mongoose.Schema({
+  // Sequential settlement number: COD-000001
+  settlementNumber: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  deliveryPersonnel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliveryPersonnel',
+    required: true
+  },
+  sales: [{
+    sale: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Sale',
+      required: true
+    },
+    saleNumber: String,
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+  // What the driver collected on these sales
+  expectedAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // What the driver handed in
+  receivedAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // receivedAmount - expectedAmount: negative when the driver is short
+  variance: {
+    type: Number,
+    default: 0
+  },
+  settledAt: {
+    type: Date,
+    default: Date.now
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+codSettlementSchema.index({ deliveryPersonnel: 1, settledAt: -1 });
+
+/**
+ * Generate next sequential settlement number: COD-000001
+ */
+codSettlementSchema.statics.getNextSettlementNumber = async function (session = null) {
+  const countersCollection = mongoose.connection.db.collection('counters');
+  const options = { upsert: true, returnDocument: 'after' };
+  if (session) options.session = session;
+
+  const counter = await countersCollection.findOneAndUpdate(
+    { _id: 'codSettlementNumber' },
+    { $inc: { seq: 1 } },
+    options
+  );
+
+  const seq = counter.value?.seq || counter.seq || 1;
+  return `COD-${String(seq).padStart(6, '0')}`;
+};
+
+module.exports = mongoose.model('CodSettlement', codSettlementSchema);
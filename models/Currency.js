@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// A currency suppliers can be invoiced in. The base currency is Settings.currency.code
+// and needs no entry here; every other currency gets dated rates in ExchangeRate.
+const currencySchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: /^[A-Z]{3}$/
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  symbol: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Currency', currencySchema);
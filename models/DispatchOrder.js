@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const Supplier = require('./Supplier');
 
 const boxSchema = new mongoose.Schema({
   boxNumber: { type: Number, required: true },
@@ -56,7 +57,11 @@ const dispatchItemSchema = new mongoose.Schema({
   useVariantTracking: { type: Boolean, default: false },
   packets: [packetSchema]
   ,
-  requiresReconfiguration: { type: Boolean, default: false }
+  requiresReconfiguration: { type: Boolean, default: false },
+  // Purchase order line this item fulfils (when the order references a PO)
+  purchaseOrderLine: {
+    type: mongoose.Schema.Types.ObjectId
+  }
 }, { _id: true });
 
 const dispatchOrderSchema = new mongoose.Schema({
@@ -81,7 +86,13 @@ const dispatchOrderSchema = new mongoose.Schema({
     ref: 'LogisticsCompany',
     required: false // Optional - only required for supplier portal entries
   },
-  exchangeRate: { type: Number, default: 1.0 }, // EUR to GBP exchange rate
+  purchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder',
+    default: null
+  },
+  exchangeRate: { type: Number, default: 1.0 }, // Units of the supplier's currency per unit of the base currency (EUR to GBP)
+  currency: String, // Supplier.currency when the order was created; unset for suppliers in the base currency
   percentage: { type: Number, default: 0 }, // Percentage markup/adjustment
   items: [dispatchItemSchema],
   totalQuantity: { type: Number, default: 0 }, // Made optional with default (calculated in pre-save)
@@ -190,6 +201,7 @@ const dispatchOrderSchema = new mongoose.Schema({
   totalDiscount: { type: Number, default: 0, min: 0 },
   shippingCost: { type: Number, default: 0, min: 0 },
   supplierPaymentTotal: { type: Number, default: 0, min: 0 }, // Total amount to pay supplier (cost × exchange rate, NO profit)
+  supplierPaymentTotalBase: { type: Number, default: 0 }, // supplierPaymentTotal in the base currency (÷ exchangeRate)
   grandTotal: { type: Number, default: 0, min: 0 }, // Landed total (for inventory valuation)
   // DEPRECATED: Flat payment fields (legacy - use BalanceService for all balance operations)
   // These fields are kept for backward compatibility and will be removed after migration.
@@ -315,6 +327,7 @@ dispatchOrderSchema.index({ supplierUser: 1, status: 1 }); // For filtering manu
 dispatchOrderSchema.index({ dispatchDate: -1, createdAt: -1 }); // For sorting
 dispatchOrderSchema.index({ 'paymentDetails.paymentStatus': 1 }); // For payment filtering
 dispatchOrderSchema.index({ supplier: 1, status: 1 }); // For supplier filtering
+dispatchOrderSchema.index({ purchaseOrder: 1 }); // For PO fulfilment reporting
 
 // Auto-generate order number before saving (6-digit sequential format)
 dispatchOrderSchema.pre('save', async function (next) {
@@ -335,6 +348,20 @@ dispatchOrderSchema.pre('save', async function (next) {
   next();
 });
 
+// Record the supplier's currency on new orders and the base-currency value of what we owe
+dispatchOrderSchema.pre('save', async function (next) {
+  try {
+    if (this.isNew && !this.currency && this.supplier) {
+      const supplier = await Supplier.findById(this.supplier).select('currency').lean();
+      if (supplier?.currency) this.currency = supplier.currency;
+    }
+    this.supplierPaymentTotalBase = Math.round(((this.supplierPaymentTotal || 0) / (this.exchangeRate || 1)) * 100) / 100;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Calculate totals before saving
 dispatchOrderSchema.pre('save', function (next) {
   this.totalQuantity = this.items.reduce((sum, item) => sum + item.quantity, 0);
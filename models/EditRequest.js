@@ -12,7 +12,7 @@ const editRequestSchema = new mongoose.Schema({
   // Entity being edited/deleted/created
   entityType: {
     type: String,
-    enum: ['dispatch-order', 'sale', 'payment', 'supplier-payment', 'expense', 'return', 'sale-return'],
+    enum: ['dispatch-order', 'sale', 'payment', 'supplier-payment', 'expense', 'expense-voucher', 'return', 'sale-return'],
     required: true
   },
   entityId: {
@@ -22,7 +22,7 @@ const editRequestSchema = new mongoose.Schema({
   },
   entityModel: {
     type: String,
-    enum: ['DispatchOrder', 'Sale', 'Payment', 'SupplierPaymentReceipt', 'Expense', 'Return', 'SaleReturn'],
+    enum: ['DispatchOrder', 'Sale', 'Payment', 'SupplierPaymentReceipt', 'Expense', 'ExpenseVoucher', 'Return', 'SaleReturn'],
     required: true
   },
 
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Rate effective from a date until the next one for the same currency.
+// Same convention as DispatchOrder.exchangeRate: units of the currency per one unit of
+// the base currency, so a base amount is the currency amount divided by the rate.
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0.000001
+  },
+  effectiveDate: {
+    type: Date,
+    required: true
+  },
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+exchangeRateSchema.index({ currency: 1, effectiveDate: -1 }, { unique: true });
+
+// Rate in force for the currency on the date, or null when none has been entered yet
+exchangeRateSchema.statics.getRate = async function (currency, date = new Date(), session = null) {
+  let query = this.findOne({ currency, effectiveDate: { $lte: date } }).sort({ effectiveDate: -1 });
+  if (session) query = query.session(session);
+  const exchangeRate = await query.lean();
+  return exchangeRate ? exchangeRate.rate : null;
+};
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -73,6 +73,20 @@ const expenseSchema = new mongoose.Schema({
   nextRecurringDate: {
     type: Date
   },
+  // Last occurrence date of a recurring series (inclusive); no end when unset
+  recurringEndDate: {
+    type: Date
+  },
+  // Upcoming occurrences of a recurring series that should not be generated
+  skippedRecurrenceDates: [Date],
+  // Set on expenses generated from a recurring series: the template and the occurrence date
+  recurringSource: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expense'
+  },
+  recurrenceDate: {
+    type: Date
+  },
   approvedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -96,6 +110,35 @@ const expenseSchema = new mongoose.Schema({
   timestamps: true
 });
 
+expenseSchema.index({ isRecurring: 1, nextRecurringDate: 1 });
+// One generated expense per series occurrence, so the scheduler can safely re-run
+expenseSchema.index(
+  { recurringSource: 1, recurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { recurringSource: { $exists: true } } }
+);
+
+/**
+ * Generate next expense number for the current month: EXP2025060001
+ */
+expenseSchema.statics.generateExpenseNumber = async function () {
+  const today = new Date();
+  const year = today.getFullYear();
+  const month = String(today.getMonth() + 1).padStart(2, '0');
+
+  const prefix = `EXP${year}${month}`;
+  const lastExpense = await this.findOne({
+    expenseNumber: { $regex: `^${prefix}` }
+  }).sort({ expenseNumber: -1 });
+
+  let nextNumber = 1;
+  if (lastExpense) {
+    const lastNumber = parseInt(lastExpense.expenseNumber.slice(-4));
+    nextNumber = lastNumber + 1;
+  }
+
+  return `${prefix}${String(nextNumber).padStart(4, '0')}`;
+};
+
 expenseSchema.virtual('totalAmount').get(function () {
   return this.amount + (this.taxAmount || 0);
 });
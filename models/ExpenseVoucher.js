@@ -34,10 +34,17 @@ const expenseVoucherSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Set on approval and rejection alike
   approvedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  approvedAt: Date,
+  rejectionReason: {
+    type: String,
+    trim: true
+  },
+  // Approved and paid vouchers count as expenses (cash-in-hand, P&L, expense summary)
   status: {
     type: String,
     enum: ['pending', 'approved', 'rejected', 'paid'],
@@ -53,4 +60,29 @@ const expenseVoucherSchema = new mongoose.Schema({
   timestamps: true
 });
 
+expenseVoucherSchema.index({ date: -1, status: 1 });
+expenseVoucherSchema.index({ paymentMethod: 1, status: 1, date: 1 });
+
+/**
+ * Generate next voucher number for the current month: EV2025060001
+ */
+expenseVoucherSchema.statics.generateVoucherNumber = async function () {
+  const today = new Date();
+  const year = today.getFullYear();
+  const month = String(today.getMonth() + 1).padStart(2, '0');
+
+  const prefix = `EV${year}${month}`;
+  const lastVoucher = await this.findOne({
+    voucherNumber: { $regex: `^${prefix}` }
+  }).sort({ voucherNumber: -1 });
+
+  let nextNumber = 1;
+  if (lastVoucher) {
+    const lastNumber = parseInt(lastVoucher.voucherNumber.slice(-4));
+    nextNumber = lastNumber + 1;
+  }
+
+  return `${prefix}${String(nextNumber).padStart(4, '0')}`;
+};
+
 module.exports = mongoose.model('ExpenseVoucher', expenseVoucherSchema);
\ No newline at end of file
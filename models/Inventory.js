@@ -49,6 +49,55 @@ const inventorySchema = new mongoose.Schema({
     shelf: String,
     bin: String
   },
+  // Per-location balances for every location except the default one.
+  // The default location holds whatever is not recorded here or in transit
+  // (see StockLocationService.getLocationBalances).
+  locationStock: [{
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StockLocation',
+      required: true
+    },
+    // Empty for plain product stock, set for variant stock
+    size: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    color: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    quantity: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  }],
+  // Stock dispatched on a transfer that has not been received yet
+  transitStock: [{
+    transfer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StockTransfer',
+      required: true
+    },
+    size: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    color: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    quantity: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  }],
   averageCostPrice: {
     type: Number,
     default: 0,
@@ -128,6 +177,15 @@ const inventorySchema = new mongoose.Schema({
       default: Date.now
     },
     notes: String,
+    // Set on 'transfer' movements
+    fromLocation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StockLocation'
+    },
+    toLocation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StockLocation'
+    },
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -161,6 +219,8 @@ const inventorySchema = new mongoose.Schema({
       min: 0
     }
   }],
+  // When the stock.below_reorder_level webhook last fired; cleared once stock recovers
+  lowStockAlertedAt: Date,
   isActive: {
     type: Boolean,
     default: true
@@ -692,5 +752,6 @@ inventorySchema.index({ isActive: 1, needsReorder: 1 });
 inventorySchema.index({ updatedAt: -1 });
 inventorySchema.index({ 'purchaseBatches.supplierId': 1 });
 inventorySchema.index({ 'purchaseBatches.remainingQuantity': 1 });
+inventorySchema.index({ 'locationStock.location': 1 });
 
 module.exports = mongoose.model('Inventory', inventorySchema);
\ No newline at end of file
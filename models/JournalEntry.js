@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+const journalLineSchema = new mongoose.Schema({
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true
+  },
+  accountCode: {
+    type: String,
+    required: true
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Buyer, supplier or logistics company behind a control account line
+  partyType: {
+    type: String,
+    enum: ['buyer', 'supplier', 'logistics']
+  },
+  partyId: mongoose.Schema.Types.ObjectId,
+  memo: String
+}, { _id: false });
+
+const journalEntrySchema = new mongoose.Schema({
+  entryNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  description: String,
+  // ledger: a sub-ledger entry; sale_cost / sale_return_cost: cost of goods from sale cost snapshots;
+  // expense / expense_voucher: approved expenses; manual: posted by hand
+  source: {
+    type: {
+      type: String,
+      enum: ['ledger', 'sale_cost', 'sale_return_cost', 'expense', 'expense_voucher', 'manual'],
+      required: true
+    },
+    model: String,
+    id: mongoose.Schema.Types.ObjectId
+  },
+  // Generated entries only: one entry per source record, kept in step by GeneralLedgerService.syncJournals
+  sourceKey: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  signature: String,
+  lines: {
+    type: [journalLineSchema],
+    validate: {
+      validator: (lines) => lines.length >= 2,
+      message: 'A journal entry needs at least two lines'
+    }
+  },
+  totalDebit: {
+    type: Number,
+    default: 0
+  },
+  totalCredit: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+journalEntrySchema.index({ date: 1 });
+journalEntrySchema.index({ 'lines.account': 1, date: 1 });
+journalEntrySchema.index({ 'source.type': 1, 'source.id': 1 });
+
+// Debits must equal credits
+journalEntrySchema.pre('validate', function (next) {
+  const round = (value) => Math.round(value * 100) / 100;
+  this.totalDebit = round(this.lines.reduce((sum, line) => sum + (line.debit || 0), 0));
+  this.totalCredit = round(this.lines.reduce((sum, line) => sum + (line.credit || 0), 0));
+
+  if (this.lines.some(line => (line.debit > 0) === (line.credit > 0))) {
+    return next(new Error('Each journal line needs either a debit or a credit'));
+  }
+  if (this.totalDebit !== this.totalCredit) {
+    return next(new Error(`Journal entry is not balanced: debits ${this.totalDebit.toFixed(2)}, credits ${this.totalCredit.toFixed(2)}`));
+  }
+  next();
+});
+
+module.exports = mongoose.model('JournalEntry', journalEntrySchema);
@@ -1,5 +1,11 @@
 const mongoose = require('mongoose');
 const { getTransactionDate } = require('../utils/helpers');
+const AccountingPeriod = require('./AccountingPeriod');
+const DispatchOrder = require('./DispatchOrder');
+const ExchangeRate = require('./ExchangeRate');
+const Return = require('./Return');
+const Settings = require('./Settings');
+const Supplier = require('./Supplier');
 
 const ledgerSchema = new mongoose.Schema({
   type: {
@@ -88,6 +94,14 @@ const ledgerSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'EditRequest'
   },
+  // Supplier entries in a foreign currency (Supplier.currency): debit and credit are in that
+  // currency, baseAmount is their value in the base currency at exchangeRate
+  currency: String,
+  exchangeRate: Number,
+  baseAmount: Number,
+  // Payments against a dispatch order: base value of the debt settled at the order's rate
+  // less baseAmount. Positive is a gain, negative a loss.
+  realisedFxGain: Number,
   entryNumber: {
     type: String,
     unique: true,
@@ -223,6 +237,63 @@ ledgerSchema.pre('save', async function (next) {
   next();
 });
 
+// Records the rate and base-currency value of supplier entries in a foreign currency.
+// Purchases, returns and adjustments against a dispatch order use the order's rate;
+// payments use the rate they were made at (given, or the dated rate) and record the
+// realised FX gain or loss against the rate of the order they settle.
+ledgerSchema.pre('save', async function (next) {
+  if (this.type !== 'supplier' || !(this.isNew || this.isModified('debit') || this.isModified('credit'))) {
+    return next();
+  }
+
+  try {
+    const session = typeof this.$session === 'function' ? this.$session() : null;
+    const withSession = (query) => (session ? query.session(session) : query);
+
+    const [supplier, settings] = await Promise.all([
+      withSession(Supplier.findById(this.entityId).select('currency')).lean(),
+      Settings.getSettings()
+    ]);
+    if (!supplier?.currency || supplier.currency === settings.currency?.code) {
+      return next();
+    }
+
+    let dispatchOrderId = this.referenceModel === 'DispatchOrder' ? this.referenceId : null;
+    if (this.referenceModel === 'Return' && this.referenceId) {
+      const supplierReturn = await withSession(Return.findById(this.referenceId).select('dispatchOrder')).lean();
+      dispatchOrderId = supplierReturn?.dispatchOrder;
+    }
+    const order = dispatchOrderId
+      ? await withSession(DispatchOrder.findById(dispatchOrderId).select('exchangeRate')).lean()
+      : null;
+    const orderRate = order?.exchangeRate || null;
+
+    let rate = this.transactionType !== 'payment' && orderRate ? orderRate : this.exchangeRate;
+    if (!rate) {
+      // Payments without a dated rate (e.g. paid on confirmation) settle at the order's rate
+      rate = await ExchangeRate.getRate(supplier.currency, this.date, session) || orderRate;
+    }
+    if (!rate) {
+      return next(Object.assign(
+        new Error(`No ${supplier.currency} exchange rate on or before ${new Date(this.date).toISOString().split('T')[0]}`),
+        { status: 400 }
+      ));
+    }
+
+    const round = (value) => Math.round(value * 100) / 100;
+    const amount = (this.debit || 0) || (this.credit || 0);
+    this.currency = supplier.currency;
+    this.exchangeRate = rate;
+    this.baseAmount = round(amount / rate);
+    this.realisedFxGain = this.transactionType === 'payment' && orderRate && this.credit > 0
+      ? round(this.credit / orderRate - this.credit / rate)
+      : 0;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
 ledgerSchema.statics.createEntry = async function (entryData, session = null) {
   // Validate entryData
   if (!entryData || !entryData.type || !entryData.entityId) {
@@ -231,6 +302,9 @@ ledgerSchema.statics.createEntry = async function (entryData, session = null) {
 
   const entryDate = entryData.date ? getTransactionDate(entryData.date) : getTransactionDate();
 
+  // Nothing may be posted into a closed accounting period
+  await AccountingPeriod.assertDateOpen(entryDate, session);
+
   // Find the entry that immediately precedes this new one in the timeline
   let findPreviousQuery = this.findOne({
     type: entryData.type,
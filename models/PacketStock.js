@@ -83,6 +83,13 @@ const packetStockSchema = new mongoose.Schema({
     min: 0
   },
 
+  // Stock location holding these packets (unset = default location)
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockLocation',
+    default: null
+  },
+
   // Is this a loose item (single item, not a packet)?
   isLoose: {
     type: Boolean,
@@ -184,6 +191,8 @@ packetStockSchema.index({ isActive: 1, availablePackets: 1 });
 packetStockSchema.index({ product: 1, isActive: 1, availablePackets: -1 });
 // Index for supplier packet lookups
 packetStockSchema.index({ supplier: 1, isActive: 1 });
+// Index for location filters
+packetStockSchema.index({ location: 1, isActive: 1 });
 
 // Virtual for available stock (packets not reserved)
 packetStockSchema.virtual('actualAvailable').get(function () {
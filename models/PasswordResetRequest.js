@@ -27,11 +27,13 @@ const passwordResetRequestSchema = new mongoose.Schema({
     enum: PORTAL_SOURCE_OPTIONS,
     required: true
   },
+  // SHA-256 hash of the emailed reset token; the plain token is never stored
   token: {
     type: String,
     unique: true,
     sparse: true,
-    index: true
+    index: true,
+    select: false
   },
   expiresAt: {
     type: Date,
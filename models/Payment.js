@@ -154,6 +154,17 @@ const paymentSchema = new mongoose.Schema({
     }]
   },
 
+  // Card refunds of sale returns: the return and the Stripe refund behind this debit
+  saleReturn: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SaleReturn'
+  },
+  stripeRefundId: {
+    type: String,
+    index: true,
+    sparse: true
+  },
+
   // Who created this payment
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const paymentReminderSchema = new mongoose.Schema({
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Buyer',
+    required: true
+  },
+  // 1: first reminder, 2: second reminder, 3: final notice (see CreditControlService)
+  level: {
+    type: Number,
+    enum: [1, 2, 3],
+    required: true
+  },
+  paymentTerms: String,
+  // Statement as sent: overdue sales at the time of the reminder
+  overdueTotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  balance: {
+    type: Number,
+    default: 0
+  },
+  sales: [{
+    sale: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Sale'
+    },
+    saleNumber: String,
+    saleDate: Date,
+    dueDate: Date,
+    daysOverdue: Number,
+    outstanding: Number
+  }],
+  emailedTo: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  // sent: emailed, failed: the mail transport errored, no_email: the buyer has no email address
+  status: {
+    type: String,
+    enum: ['sent', 'failed', 'no_email'],
+    required: true
+  },
+  error: String,
+  // Unset when sent by the reminder scheduler
+  sentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+paymentReminderSchema.index({ buyer: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PaymentReminder', paymentReminderSchema);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// One price rule: which products it covers, from what quantity, and the price it gives
+const priceRuleSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['product', 'category', 'all'],
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  category: {
+    type: String,
+    trim: true
+  },
+  // Packet lines break on packets, loose lines on items
+  appliesTo: {
+    type: String,
+    enum: ['any', 'packet', 'loose'],
+    default: 'any'
+  },
+  minQuantity: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // fixed: price per item (a packet costs it times its items); percentage: off the website price
+  priceType: {
+    type: String,
+    enum: ['fixed', 'percentage'],
+    required: true
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  label: {
+    type: String,
+    trim: true
+  }
+}, { _id: true });
+
+// Named wholesale tier or buyer-specific price list (Buyer.priceList)
+const priceListSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  rules: [priceRuleSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+priceListSchema.index({ 'rules.product': 1 });
+
+module.exports = mongoose.model('PriceList', priceListSchema);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// A coupon code for a campaign with requiresCode set. The campaign decides the
+// discount and which products it applies to; the code adds who may use it and how often.
+const promoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true,
+    index: true
+  },
+  description: String,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Optional window inside the campaign's own startAt/endAt
+  validFrom: Date,
+  validUntil: Date,
+  // null means unlimited
+  maxRedemptions: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  maxRedemptionsPerBuyer: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  minOrderValue: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  firstOrderOnly: {
+    type: Boolean,
+    default: false
+  },
+  distributorOnly: {
+    type: Boolean,
+    default: false
+  },
+  // When set, only these buyers can use the code
+  buyers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Buyer'
+  }],
+  // Stackable codes discount the automatic campaign price further; others are
+  // worked out from the base price and only give what beats the automatic campaign
+  stackable: {
+    type: Boolean,
+    default: false
+  },
+  // Pending and redeemed uses, kept in step by PromoCodeService
+  redemptionCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+promoCodeSchema.index({ buyers: 1 });
+
+module.exports = mongoose.model('PromoCode', promoCodeSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// One use of a promo code on a sale. Pending while the checkout awaits payment,
+// redeemed once paid, cancelled when the checkout expires or fails.
+const promoRedemptionSchema = new mongoose.Schema({
+  promoCode: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode',
+    required: true,
+    index: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true,
+    index: true
+  },
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Buyer',
+    required: true
+  },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'redeemed', 'cancelled'],
+    default: 'pending',
+    index: true
+  },
+  // Order value before the code's discount
+  orderSubtotal: {
+    type: Number,
+    default: 0
+  },
+  discountAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  redeemedAt: Date,
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+promoRedemptionSchema.index({ promoCode: 1, buyer: 1, status: 1 });
+
+module.exports = mongoose.model('PromoRedemption', promoRedemptionSchema);
@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+
+const purchaseOrderItemSchema = new mongoose.Schema({
+  // Existing product, or productName/productCode for goods not in the catalog yet
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  productName: {
+    type: String,
+    trim: true
+  },
+  productCode: {
+    type: String,
+    trim: true
+  },
+  size: [{ type: String, trim: true }],
+  primaryColor: [{ type: String, trim: true }],
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  targetCostPrice: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Supplier counter-offer for this line (set while status is 'countered')
+  counterQuantity: {
+    type: Number,
+    min: 0
+  },
+  counterCostPrice: {
+    type: Number,
+    min: 0
+  },
+  notes: String
+}, { _id: true });
+
+const deliveryWindowSchema = new mongoose.Schema({
+  from: Date,
+  to: Date
+}, { _id: false });
+
+const purchaseOrderSchema = new mongoose.Schema({
+  // Sequential PO number: PO-000001
+  poNumber: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true,
+    index: true
+  },
+  items: {
+    type: [purchaseOrderItemSchema],
+    validate: [items => items.length > 0, 'At least one item is required']
+  },
+  deliveryWindow: deliveryWindowSchema,
+  // Status workflow:
+  // draft → sent → accepted | countered
+  // countered → accepted (counter accepted by us) | sent (revised and re-sent)
+  // accepted → partially_dispatched → fulfilled
+  // closed (short-closed by us) and cancelled end the PO
+  status: {
+    type: String,
+    enum: ['draft', 'sent', 'countered', 'accepted', 'partially_dispatched', 'fulfilled', 'closed', 'cancelled'],
+    default: 'draft',
+    index: true
+  },
+  counterOffer: {
+    deliveryWindow: deliveryWindowSchema,
+    notes: String,
+    counteredAt: Date,
+    counteredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  history: [{
+    action: {
+      type: String,
+      enum: ['created', 'sent', 'accepted', 'countered', 'counter_accepted', 'closed', 'cancelled']
+    },
+    notes: String,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  sentAt: Date,
+  acceptedAt: Date,
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  totalQuantity: {
+    type: Number,
+    default: 0
+  },
+  totalTargetCost: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+purchaseOrderSchema.index({ supplier: 1, status: 1 });
+purchaseOrderSchema.index({ createdAt: -1 });
+purchaseOrderSchema.index({ 'items.product': 1 });
+
+// Calculate totals before saving
+purchaseOrderSchema.pre('save', function (next) {
+  this.totalQuantity = this.items.reduce((sum, item) => sum + item.quantity, 0);
+  this.totalTargetCost = this.items.reduce((sum, item) => sum + item.quantity * (item.targetCostPrice || 0), 0);
+  next();
+});
+
+/**
+ * Generate next sequential PO number: PO-000001
+ */
+purchaseOrderSchema.statics.getNextPoNumber = async function (session = null) {
+  const countersCollection = mongoose.connection.db.collection('counters');
+  const options = { upsert: true, returnDocument: 'after' };
+  if (session) options.session = session;
+
+  const counter = await countersCollection.findOneAndUpdate(
+    { _id: 'purchaseOrderNumber' },
+    { $inc: { seq: 1 } },
+    options
+  );
+
+  const seq = counter.value?.seq || counter.seq || 1;
+  return `PO-${String(seq).padStart(6, '0')}`;
+};
+
+module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
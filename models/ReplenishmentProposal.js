@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+
+const variantLineSchema = new mongoose.Schema({
+  size: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  color: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  soldInWindow: {
+    type: Number,
+    default: 0
+  },
+  suggestedQuantity: {
+    type: Number,
+    default: 0
+  },
+  // Quantity to order; starts at the suggestion and can be changed before approval
+  quantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+const proposalLineSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: String,
+  productCode: String,
+  currentStock: Number,
+  reservedStock: Number,
+  onOrder: Number,
+  reorderLevel: Number,
+  reorderQuantity: Number,
+  soldInWindow: Number,
+  dailyVelocity: Number,
+  reorderPoint: Number,
+  targetStock: Number,
+  suggestedQuantity: Number,
+  // Quantity to order (sum of the variant quantities when the line is split by variant); 0 leaves the line out
+  quantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  unitCost: {
+    type: Number,
+    default: 0
+  },
+  variants: [variantLineSchema]
+}, { _id: true });
+
+// Reorder proposal for one supplier, generated by ReplenishmentService from sales
+// velocity and lead time. Approving it creates a draft purchase order.
+const replenishmentProposalSchema = new mongoose.Schema({
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true,
+    index: true
+  },
+  // open → approved (draft PO created) | dismissed; superseded when a newer run replaces it
+  status: {
+    type: String,
+    enum: ['open', 'approved', 'dismissed', 'superseded'],
+    default: 'open',
+    index: true
+  },
+  parameters: {
+    salesWindowDays: Number,
+    coverDays: Number,
+    safetyDays: Number,
+    defaultLeadTimeDays: Number
+  },
+  leadTimeDays: Number,
+  // 'history' when taken from past dispatch orders of the supplier, 'default' otherwise
+  leadTimeSource: {
+    type: String,
+    enum: ['history', 'default']
+  },
+  leadTimeSamples: {
+    type: Number,
+    default: 0
+  },
+  lines: [proposalLineSchema],
+  totalQuantity: {
+    type: Number,
+    default: 0
+  },
+  totalCost: {
+    type: Number,
+    default: 0
+  },
+  purchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder'
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: Date,
+  dismissedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  dismissedAt: Date,
+  dismissReason: String,
+  generatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+replenishmentProposalSchema.index({ supplier: 1, status: 1 });
+
+replenishmentProposalSchema.pre('save', function (next) {
+  this.lines.forEach(line => {
+    if (line.variants.length > 0) {
+      line.quantity = line.variants.reduce((sum, variant) => sum + variant.quantity, 0);
+    }
+  });
+  this.totalQuantity = this.lines.reduce((sum, line) => sum + line.quantity, 0);
+  this.totalCost = Math.round(this.lines.reduce((sum, line) => sum + line.quantity * (line.unitCost || 0), 0) * 100) / 100;
+  next();
+});
+
+module.exports = mongoose.model('ReplenishmentProposal', replenishmentProposalSchema);
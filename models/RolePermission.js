@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const { PERMISSION_VALUES, DEFAULT_ROLE_PERMISSIONS } = require('../utils/constants');
+
+// One document per configurable role. Roles without a document fall back to
+// DEFAULT_ROLE_PERMISSIONS. super-admin is not configurable: it has everything.
+const rolePermissionSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: Object.keys(DEFAULT_ROLE_PERMISSIONS),
+    required: true,
+    unique: true
+  },
+  permissions: [{
+    type: String,
+    enum: PERMISSION_VALUES
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Get the configured permissions for a role, or its defaults when not configured
+ */
+rolePermissionSchema.statics.getPermissionsForRole = async function (role) {
+  const config = await this.findOne({ role }).lean();
+  if (config) return config.permissions || [];
+  return DEFAULT_ROLE_PERMISSIONS[role] || [];
+};
+
+module.exports = mongoose.model('RolePermission', rolePermissionSchema);
@@ -1,5 +1,74 @@
 const mongoose = require('mongoose');
 
+const costBatchSchema = new mongoose.Schema({
+  batchId: mongoose.Schema.Types.ObjectId,
+  dispatchOrderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DispatchOrder'
+  },
+  supplierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier'
+  },
+  purchaseDate: Date,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Landed cost per unit of the batch
+  unitCost: {
+    type: Number,
+    default: 0
+  },
+  // Units put back into the batch by sale returns
+  returnedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+const costSnapshotSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    enum: ['fifo', 'weighted_average'],
+    required: true
+  },
+  // Per unit (item) of the line
+  unitCost: {
+    type: Number,
+    default: 0
+  },
+  totalCost: {
+    type: Number,
+    default: 0
+  },
+  // Purchase batches the units were taken from, oldest first
+  batches: [costBatchSchema],
+  // Units sold with no batch left (stock from before batch tracking), costed at averageCostPrice
+  unbatchedQuantity: {
+    type: Number,
+    default: 0
+  },
+  unbatchedUnitCost: {
+    type: Number,
+    default: 0
+  },
+  returnedQuantity: {
+    type: Number,
+    default: 0
+  },
+  returnedCost: {
+    type: Number,
+    default: 0
+  },
+  costedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const saleSchema = new mongoose.Schema({
   saleNumber: {
     type: String,
@@ -132,6 +201,28 @@ const saleSchema = new mongoose.Schema({
     totalItemsPerPacket: {
       type: Number,
       min: 1
+    },
+    // What set unitPrice: a price list rule, a campaign, the website price, or typed in by hand
+    priceSource: {
+      source: {
+        type: String,
+        enum: ['manual', 'website', 'campaign', 'price_list']
+      },
+      priceList: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PriceList'
+      },
+      rule: mongoose.Schema.Types.ObjectId,
+      campaign: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Campaign'
+      },
+      label: String
+    },
+    // Cost of goods sold, taken when the stock left for this line (see CostingService)
+    costSnapshot: {
+      type: costSnapshotSchema,
+      default: undefined
     }
   }],
   subtotal: {
@@ -223,6 +314,19 @@ const saleSchema = new mongoose.Schema({
     type: String,
     enum: ['cash', 'card', 'bank_transfer', 'cheque', 'online', 'credit', 'stripe']
   },
+  // Promo code used at checkout; its discount is spread over items[].discount
+  promotion: {
+    code: String,
+    promoCode: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromoCode'
+    },
+    campaign: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Campaign'
+    },
+    discountAmount: Number
+  },
   // Stripe payment fields
   stripeSessionId: {
     type: String,
@@ -232,6 +336,43 @@ const saleSchema = new mongoose.Schema({
     type: String,
     index: true
   },
+  // Total refunded on the Stripe charge, kept in step by the charge.refunded webhook
+  stripeRefundedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Cash-on-delivery orders from checkout: paid in cash to the driver on delivery
+  isCashOnDelivery: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  // Cash the driver collected, held by the driver until a CodSettlement hands it in
+  codCollection: {
+    amount: Number,
+    collectedAt: Date,
+    collectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DeliveryPersonnel'
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    status: {
+      type: String,
+      enum: ['with_driver', 'settled']
+    },
+    settlement: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CodSettlement'
+    }
+  },
   // Stock reservation tracking
   stockReserved: {
     type: Boolean,
@@ -304,11 +445,35 @@ const saleSchema = new mongoose.Schema({
 saleSchema.virtual('profit').get(function () {
   let totalCost = 0;
   this.items.forEach(item => {
-    if (item.product && item.product.pricing) {
+    if (item.costSnapshot) {
+      totalCost += item.costSnapshot.totalCost;
+    } else if (item.product && item.product.pricing) {
       totalCost += item.quantity * item.product.pricing.costPrice;
     }
   });
   return this.grandTotal - totalCost;
 });
 
+// Webhook events: sale.created for new sales, sale.paid when the payment status becomes paid.
+// Queued in post-save inside the same session so they only go out if the save commits.
+saleSchema.pre('save', function (next) {
+  const events = [];
+  if (this.isNew) events.push('sale.created');
+  if (this.paymentStatus === 'paid' && (this.isNew || this.isModified('paymentStatus'))) events.push('sale.paid');
+  this.$locals.webhookEvents = events;
+  next();
+});
+
+saleSchema.post('save', async function (doc) {
+  const events = doc.$locals.webhookEvents || [];
+  doc.$locals.webhookEvents = [];
+  if (events.length === 0) return;
+
+  // Required here to avoid a load-order cycle through the services
+  const WebhookService = require('../services/WebhookService');
+  for (const event of events) {
+    await WebhookService.emit(event, WebhookService.salePayload(doc), { session: doc.$session() });
+  }
+});
+
 module.exports = mongoose.model('Sale', saleSchema);
\ No newline at end of file
@@ -16,7 +16,9 @@ const saleReturnItemSchema = new mongoose.Schema({
     size: String,
     color: String,
     quantity: Number
-  }]
+  }],
+  // Cost of goods taken back from the sale line's cost snapshot when the return was processed
+  costOfGoods: { type: Number, default: 0 }
 }, { _id: true });
 
 const saleReturnSchema = new mongoose.Schema({
@@ -60,6 +62,31 @@ const saleReturnSchema = new mongoose.Schema({
   rejectionNotes: {
     type: String
   },
+  // Card refund through Stripe for a return on a Stripe-paid sale (see StripeRefundService)
+  stripeRefund: {
+    refundId: String,
+    amount: { type: Number, min: 0 },
+    currency: String,
+    // requested: claimed locally, Stripe not answered yet; the rest are Stripe refund statuses
+    status: {
+      type: String,
+      enum: ['requested', 'pending', 'requires_action', 'succeeded', 'failed', 'canceled']
+    },
+    failureReason: String,
+    idempotencyKey: String,
+    attempts: { type: Number, default: 0 },
+    // Customer debit payment (debitReason refund) recording the money paid back
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    requestedAt: Date,
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    settledAt: Date
+  },
   notes: { type: String }
 }, {
   timestamps: true
@@ -68,6 +95,7 @@ const saleReturnSchema = new mongoose.Schema({
 saleReturnSchema.index({ sale: 1, returnedAt: -1 });
 saleReturnSchema.index({ buyer: 1, returnedAt: -1 });
 saleReturnSchema.index({ status: 1, returnedAt: -1 });
+saleReturnSchema.index({ 'stripeRefund.refundId': 1 }, { sparse: true });
 
 module.exports = mongoose.model('SaleReturn', saleReturnSchema);
 
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const { REPORT_PERIODS } = require('../utils/constants');
+
+// A report with its filters and output format, rerun through GET /api/reports/saved/:id/run
+const savedReportSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  // Path under /api/reports, e.g. 'profit-loss' or 'aged-receivables/<buyerId>'
+  report: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Query parameters passed to the report (strings, or arrays of strings)
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Rolling date range resolved into startDate/endDate at run time, overriding those filters
+  period: {
+    type: String,
+    enum: REPORT_PERIODS
+  },
+  format: {
+    type: String,
+    enum: ['json', 'csv', 'xlsx', 'pdf'],
+    default: 'xlsx'
+  },
+  // Shared reports can be listed and run by every user; only the owner or an admin changes them
+  isShared: {
+    type: Boolean,
+    default: false
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  lastRunAt: Date,
+  runCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+savedReportSchema.index({ isShared: 1, name: 1 });
+
+module.exports = mongoose.model('SavedReport', savedReportSchema);
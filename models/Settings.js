@@ -18,6 +18,12 @@ const settingsSchema = new mongoose.Schema({
       default: 20.0, // 20% default VAT
       min: 0,
       max: 100
+    },
+    // First month of the VAT quarters (1: Jan-Mar..., 2: Feb-Apr..., 3: Mar-May...)
+    quarterStartMonth: {
+      type: Number,
+      enum: [1, 2, 3],
+      default: 1
     }
   },
   
@@ -61,6 +67,46 @@ const settingsSchema = new mongoose.Schema({
     }
   },
   
+  // Expense voucher approval limits per role: the highest voucher amount a role may approve.
+  // null means no limit; roles not listed here cannot approve. super-admin is never limited.
+  voucherApprovalLimits: {
+    admin: {
+      type: Number,
+      default: null,
+      min: 0
+    },
+    accountant: {
+      type: Number,
+      default: 1000,
+      min: 0
+    },
+    employee: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
+
+  // Sales beyond a buyer's credit limit: warn (allow with a warning), block,
+  // or approval (submitted as an edit request). Buyers can override it.
+  creditControl: {
+    mode: {
+      type: String,
+      enum: ['warn', 'block', 'approval'],
+      default: 'warn'
+    }
+  },
+
+  // Cost of goods sold on sale lines: fifo uses the cost of the purchase batches
+  // the units came from, weighted_average uses the inventory's averageCostPrice
+  costing: {
+    method: {
+      type: String,
+      enum: ['fifo', 'weighted_average'],
+      default: 'fifo'
+    }
+  },
+
   // Business Information
   businessInfo: {
     name: {
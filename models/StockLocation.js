@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const stockLocationSchema = new mongoose.Schema({
+  // Short unique code, e.g. UK-WH, SHOP
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['warehouse', 'shop', 'other'],
+    default: 'warehouse'
+  },
+  address: {
+    street: String,
+    city: String,
+    state: String,
+    zipCode: String,
+    country: String
+  },
+  // Stock that has not been assigned to a location (e.g. received from a
+  // dispatch order or returned by a buyer) is held at the default location.
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+stockLocationSchema.index({ isActive: 1, isDefault: 1 });
+
+/**
+ * Resolve the default location, or null if none has been configured yet.
+ */
+stockLocationSchema.statics.getDefaultLocation = async function () {
+  return this.findOne({ isDefault: true, isActive: true });
+};
+
+module.exports = mongoose.model('StockLocation', stockLocationSchema);
@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+
+const LINE_TYPES = ['product', 'variant', 'packet'];
+const LINE_STATUSES = ['uncounted', 'counted', 'approved', 'rejected'];
+
+const stockTakeLineSchema = new mongoose.Schema({
+  // product: plain product stock, variant: one size/color of a product, packet: one PacketStock record
+  type: {
+    type: String,
+    enum: LINE_TYPES,
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: String,
+  productCode: String,
+  size: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  color: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  packetStock: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PacketStock'
+  },
+  packetBarcode: String,
+  // Units for product/variant lines, packets for packet lines
+  expectedQuantity: {
+    type: Number,
+    required: true,
+    default: 0
+  },
+  countedQuantity: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  // Cost of one unit (or one packet) used for the variance value
+  unitCost: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: LINE_STATUSES,
+    default: 'uncounted'
+  },
+  // Added while counting because it was found but not part of the original scope
+  addedDuringCount: {
+    type: Boolean,
+    default: false
+  },
+  countedAt: Date,
+  countedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, { _id: true });
+
+stockTakeLineSchema.virtual('variance').get(function () {
+  if (this.countedQuantity === null || this.countedQuantity === undefined) return 0;
+  return this.countedQuantity - this.expectedQuantity;
+});
+
+stockTakeLineSchema.virtual('varianceValue').get(function () {
+  return this.variance * (this.unitCost || 0);
+});
+
+stockTakeLineSchema.set('toJSON', { virtuals: true });
+stockTakeLineSchema.set('toObject', { virtuals: true });
+
+const stockTakeSchema = new mongoose.Schema({
+  // Sequential stock take number: STK-000001
+  stockTakeNumber: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  // Counted location; when unset the count is against total stock
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockLocation',
+    default: null
+  },
+  lines: {
+    type: [stockTakeLineSchema],
+    validate: [lines => lines.length > 0, 'At least one line is required']
+  },
+  // Status workflow: open (counting) → submitted (review) → posted | cancelled
+  status: {
+    type: String,
+    enum: ['open', 'submitted', 'posted', 'cancelled'],
+    default: 'open'
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  submittedAt: Date,
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  postedAt: Date,
+  postedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+stockTakeSchema.index({ status: 1, createdAt: -1 });
+stockTakeSchema.index({ location: 1, status: 1 });
+stockTakeSchema.index({ 'lines.product': 1 });
+stockTakeSchema.index({ 'lines.packetStock': 1 });
+
+/**
+ * Generate next sequential stock take number: STK-000001
+ */
+stockTakeSchema.statics.getNextStockTakeNumber = async function (session = null) {
+  const countersCollection = mongoose.connection.db.collection('counters');
+  const options = { upsert: true, returnDocument: 'after' };
+  if (session) options.session = session;
+
+  const counter = await countersCollection.findOneAndUpdate(
+    { _id: 'stockTakeNumber' },
+    { $inc: { seq: 1 } },
+    options
+  );
+
+  const seq = counter.value?.seq || counter.seq || 1;
+  return `STK-${String(seq).padStart(6, '0')}`;
+};
+
+module.exports = mongoose.model('StockTake', stockTakeSchema);
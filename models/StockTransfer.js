@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+const stockTransferItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: String,
+  productCode: String,
+  // Set for variant lines; empty for plain product lines
+  size: {
+    type: String,
+    trim: true
+  },
+  color: {
+    type: String,
+    trim: true
+  },
+  // Set when a whole packet stock record is moved to the destination
+  packetStock: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PacketStock'
+  },
+  packetBarcode: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  receivedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: true });
+
+const stockTransferSchema = new mongoose.Schema({
+  // Sequential transfer number: TRF-000001
+  transferNumber: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  fromLocation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockLocation',
+    required: true
+  },
+  toLocation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockLocation',
+    required: true
+  },
+  items: {
+    type: [stockTransferItemSchema],
+    validate: [items => items.length > 0, 'At least one item is required']
+  },
+  // Status workflow: draft → in_transit → received | cancelled
+  status: {
+    type: String,
+    enum: ['draft', 'in_transit', 'received', 'cancelled'],
+    default: 'draft'
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  dispatchedAt: Date,
+  dispatchedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  receivedAt: Date,
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancellationReason: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+stockTransferSchema.index({ status: 1, createdAt: -1 });
+stockTransferSchema.index({ fromLocation: 1, status: 1 });
+stockTransferSchema.index({ toLocation: 1, status: 1 });
+stockTransferSchema.index({ 'items.product': 1 });
+
+/**
+ * Generate next sequential transfer number: TRF-000001
+ */
+stockTransferSchema.statics.getNextTransferNumber = async function (session = null) {
+  const countersCollection = mongoose.connection.db.collection('counters');
+  const options = { upsert: true, returnDocument: 'after' };
+  if (session) options.session = session;
+
+  const counter = await countersCollection.findOneAndUpdate(
+    { _id: 'stockTransferNumber' },
+    { $inc: { seq: 1 } },
+    options
+  );
+
+  const seq = counter.value?.seq || counter.seq || 1;
+  return `TRF-${String(seq).padStart(6, '0')}`;
+};
+
+module.exports = mongoose.model('StockTransfer', stockTransferSchema);
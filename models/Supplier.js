@@ -64,6 +64,13 @@ const supplierSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Currency the supplier invoices in; unset means the base currency (Settings.currency.code).
+  // The supplier's ledger runs in this currency, with base-currency equivalents on each entry.
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
   // DEPRECATED: currentBalance is kept for backward compatibility.
   // All balance calculations should use BalanceService.getSupplierBalance() (SSOT from Ledger).
   // This field will be removed in a future version after migration is complete.
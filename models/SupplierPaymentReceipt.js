@@ -26,7 +26,10 @@ const supplierPaymentDistributionSchema = new mongoose.Schema({
   isAdvance: {
     type: Boolean,
     default: false
-  }
+  },
+  // Foreign-currency suppliers: base-currency value and realised FX gain (+) or loss (-)
+  baseAmount: Number,
+  realisedFxGain: Number
 }, { _id: false });
 
 const supplierPaymentReceiptSchema = new mongoose.Schema({
@@ -57,6 +60,11 @@ const supplierPaymentReceiptSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Foreign-currency suppliers: totalAmount is in this currency, baseAmount in the base currency
+  currency: String,
+  exchangeRate: Number,
+  baseAmount: Number,
+  realisedFxGain: Number,
   paymentMethodSummary: {
     type: String,
     trim: true,
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { PERMISSION_VALUES } = require('../utils/constants');
 
 const ROLE_OPTIONS = ['super-admin', 'admin', 'employee', 'accountant', 'viewer', 'supplier', 'distributor', 'buyer'];
 const PORTAL_ACCESS_OPTIONS = ['crm', 'supplier', 'distributor'];
@@ -84,9 +85,19 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date
   },
+  // Access tokens without a session id (issued before sessions) that are older than this are rejected
+  tokensRevokedAt: {
+    type: Date
+  },
+  // Per-user overrides on top of the role's permissions (see RolePermission):
+  // `permissions` grants extra permissions, `revokedPermissions` removes them
   permissions: [{
     type: String,
-    enum: ['users', 'suppliers', 'buyers', 'products', 'sales', 'purchases', 'inventory', 'reports', 'expenses', 'delivery', 'dashboard', 'dispatch_orders', 'stock', 'buying', 'selling', 'buyer_ledger', 'supplier_ledger', 'logistics', 'cost_config', 'campaigns', 'approvals', 'setup']
+    enum: PERMISSION_VALUES
+  }],
+  revokedPermissions: [{
+    type: String,
+    enum: PERMISSION_VALUES
   }]
 }, {
   timestamps: true
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const REVOKE_REASONS = ['logout', 'revoked', 'reuse_detected', 'deactivated', 'password_changed', 'expired'];
+
+/**
+ * One login on one device. The session holds the hash of its current refresh
+ * token; every refresh rotates it. Hashes of rotated-out tokens are kept so
+ * that presenting an old token (a stolen copy) revokes the whole session.
+ */
+const userSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  previousTokenHashes: {
+    type: [String],
+    select: false
+  },
+  deviceName: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  userAgent: {
+    type: String
+  },
+  ipAddress: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: REVOKE_REASONS
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+userSessionSchema.index({ previousTokenHashes: 1 });
+userSessionSchema.index({ user: 1, revokedAt: 1, expiresAt: 1 });
+
+userSessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('UserSession', userSessionSchema);
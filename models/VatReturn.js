@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const boxesSchema = new mongoose.Schema({
+  box1: { type: Number, default: 0 }, // VAT due on sales
+  box2: { type: Number, default: 0 }, // VAT due on acquisitions from the EU
+  box3: { type: Number, default: 0 }, // box1 + box2
+  box4: { type: Number, default: 0 }, // VAT reclaimed on purchases and expenses
+  box5: { type: Number, default: 0 }, // net VAT payable (box3 - box4), negative when reclaimable
+  box6: { type: Number, default: 0 }, // sales excluding VAT
+  box7: { type: Number, default: 0 }, // purchases and expenses excluding VAT
+  box8: { type: Number, default: 0 }, // supplies to the EU excluding VAT
+  box9: { type: Number, default: 0 } // acquisitions from the EU excluding VAT
+}, { _id: false });
+
+// A filed VAT quarter. While closed, the sales, sale returns, dispatch orders
+// and expenses dated inside it are locked (see middleware/periodLock.js).
+const vatReturnSchema = new mongoose.Schema({
+  // 'YYYY-Qn' (quarters start in Settings.vat.quarterStartMonth)
+  period: {
+    type: String,
+    required: true,
+    unique: true,
+    match: /^\d{4}-Q[1-4]$/
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['closed', 'reopened'],
+    default: 'closed'
+  },
+  // Figures as filed
+  boxes: boxesSchema,
+  breakdown: [{
+    _id: false,
+    rate: Number,
+    outputVAT: Number,
+    netSales: Number,
+    inputVAT: Number,
+    netPurchases: Number
+  }],
+  // HMRC submission reference, when filed
+  reference: String,
+  notes: String,
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  closedAt: Date,
+  reopenedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reopenedAt: Date,
+  reopenReason: String
+}, {
+  timestamps: true
+});
+
+vatReturnSchema.index({ status: 1, startDate: 1, endDate: 1 });
+
+module.exports = mongoose.model('VatReturn', vatReturnSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// One event sent to one subscription. Created alongside the change that raised the
+// event and attempted by the webhook dispatcher until it succeeds or runs out of attempts.
+const webhookDeliverySchema = new mongoose.Schema({
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // The JSON body sent to the receiver; also the body of every retry
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'success', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastAttemptAt: Date,
+  deliveredAt: Date,
+  responseStatus: Number,
+  responseBody: String,
+  error: String,
+  durationMs: Number,
+  // Set on manual redeliveries, pointing at the delivery they repeat
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ subscription: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const { WEBHOOK_EVENTS } = require('../utils/constants');
+
+// An admin-managed endpoint that receives signed callbacks for the events it subscribes to
+const webhookSubscriptionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: ['*', ...WEBHOOK_EVENTS]
+    }],
+    validate: {
+      validator: (events) => events.length > 0,
+      message: 'Subscribe to at least one event'
+    }
+  },
+  // HMAC-SHA256 key for the X-Webhook-Signature header; only returned on create and rotate
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  description: String,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastDeliveryAt: Date,
+  lastDeliveryStatus: {
+    type: String,
+    enum: ['success', 'failed']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+webhookSubscriptionSchema.index({ isActive: 1, events: 1 });
+
+module.exports = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
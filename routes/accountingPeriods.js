@@ -0,0 +1,128 @@
+const express = require('express');
+const Joi = require('joi');
+const auth = require('../middleware/auth');
+const AccountingPeriodService = require('../services/AccountingPeriodService');
+const { logActivity } = require('../utils/auditLogger');
+
+const router = express.Router();
+
+const period = Joi.string().pattern(/^\d{4}-(0[1-9]|1[0-2])$/).messages({
+  'string.pattern.base': 'period must be in YYYY-MM format'
+});
+
+const closeSchema = Joi.object({
+  period: period.required(),
+  notes: Joi.string().trim().allow('').optional()
+});
+
+const reopenSchema = Joi.object({
+  reason: Joi.string().trim().min(5).required()
+});
+
+// Get accounting periods (closed and reopened)
+router.get('/', auth, async (req, res) => {
+  try {
+    const { status, year } = req.query;
+    const periods = await AccountingPeriodService.listPeriods({ status, year });
+
+    res.json({
+      success: true,
+      data: periods
+    });
+
+  } catch (error) {
+    console.error('Get accounting periods error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Close a month: nothing dated inside it can be created, edited, reversed or deleted
+router.post('/close', auth, async (req, res) => {
+  try {
+    if (!['admin', 'super-admin'].includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins can close accounting periods'
+      });
+    }
+
+    const { error, value } = closeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const accountingPeriod = await AccountingPeriodService.closePeriod(value.period, req.user._id, value.notes);
+
+    res.json({
+      success: true,
+      message: `Accounting period ${accountingPeriod.period} closed`,
+      data: accountingPeriod
+    });
+
+    await logActivity(req, {
+      action: 'STATUS_CHANGE',
+      resource: 'AccountingPeriod',
+      resourceId: accountingPeriod._id,
+      description: `Closed accounting period ${accountingPeriod.period}`,
+      changes: { old: { status: 'open' }, new: { status: 'closed', notes: value.notes } }
+    });
+
+  } catch (error) {
+    console.error('Close accounting period error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// Reopen a closed month (super-admin only, reason required)
+router.patch('/:period/reopen', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'super-admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only super-admin can reopen accounting periods'
+      });
+    }
+
+    const { error, value } = reopenSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const accountingPeriod = await AccountingPeriodService.reopenPeriod(req.params.period, req.user._id, value.reason);
+
+    res.json({
+      success: true,
+      message: `Accounting period ${accountingPeriod.period} reopened`,
+      data: accountingPeriod
+    });
+
+    await logActivity(req, {
+      action: 'STATUS_CHANGE',
+      resource: 'AccountingPeriod',
+      resourceId: accountingPeriod._id,
+      description: `Reopened accounting period ${accountingPeriod.period}: ${value.reason}`,
+      changes: { old: { status: 'closed' }, new: { status: 'open', reason: value.reason } }
+    });
+
+  } catch (error) {
+    console.error('Reopen accounting period error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+module.exports = router;
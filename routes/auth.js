@@ -1,13 +1,17 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const Joi = require('joi');
+const rateLimit = require('express-rate-limit');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
 const Supplier = require('../models/Supplier');
 const Buyer = require('../models/Buyer');
 const crypto = require('crypto');
-const PasswordResetRequest = require('../models/PasswordResetRequest');
+const PermissionService = require('../services/PermissionService');
+const PasswordResetService = require('../services/PasswordResetService');
+const SessionService = require('../services/SessionService');
+const CartService = require('../services/CartService');
+const { logActivity } = require('../utils/auditLogger');
 
 
 const router = express.Router();
@@ -29,11 +33,13 @@ const registerSchema = Joi.object({
   alternatePhone: Joi.string().optional(),
   alternatePhoneAreaCode: Joi.string().max(5).optional(),
   address: Joi.string().optional(),
-permissions: Joi.array().items(Joi.string().valid('users', 'suppliers', 'buyers', 'products', 'sales', 'purchases', 'inventory', 'reports', 'expenses', 'delivery', 'dashboard', 'dispatch_orders', 'stock', 'buying', 'selling', 'buyer_ledger', 'supplier_ledger', 'logistics', 'cost_config', 'campaigns', 'approvals', 'setup')).optional(),
+  // Accepted for backwards compatibility but ignored: self-registered users only get their role's permissions
+  permissions: Joi.array().items(Joi.string()).optional(),
   portalAccess: Joi.array().items(Joi.string().valid(...PORTAL_ACCESS_OPTIONS)).optional(),
   supplierId: Joi.string().length(24).hex().optional(),
   buyerId: Joi.string().length(24).hex().optional(),
   signupSource: Joi.string().valid(...SIGNUP_SOURCES).optional(),
+  deviceName: Joi.string().max(200).optional(),
   supplierProfile: Joi.object({
     name: Joi.string().min(2).max(100).required(),
     company: Joi.string().max(100).allow(null, ''),
@@ -76,7 +82,14 @@ permissions: Joi.array().items(Joi.string().valid('users', 'suppliers', 'buyers'
 
 const loginSchema = Joi.object({
   email: Joi.string().email().required(),
-  password: Joi.string().required()
+  password: Joi.string().required(),
+  deviceName: Joi.string().max(200).optional(),
+  // Guest cart (X-Cart-Token) to merge into the buyer's stored cart
+  cartToken: Joi.string().optional()
+});
+
+const refreshSchema = Joi.object({
+  refreshToken: Joi.string().required()
 });
 
 const forgotPasswordSchema = Joi.object({
@@ -85,10 +98,25 @@ const forgotPasswordSchema = Joi.object({
 });
 
 const resetPasswordSchema = Joi.object({
-  email: Joi.string().email().required(),
+  token: Joi.string().hex().length(64).required(),
+  email: Joi.string().email().optional(),
   password: Joi.string().min(6).required()
 });
 
+// Limit reset emails per address (and per IP when no email is given),
+// whether or not the address belongs to an account
+const forgotPasswordLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.PASSWORD_RESET_MAX_PER_EMAIL, 10) || 3,
+  keyGenerator: (req) => (typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : req.ip),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'Too many password reset requests for this email. Please try again later.'
+  }
+});
+
 // Register
 router.post('/register', async (req, res) => {
   try {
@@ -110,7 +138,6 @@ router.post('/register', async (req, res) => {
       alternatePhone,
       alternatePhoneAreaCode,
       address,
-      permissions,
       portalAccess,
       supplierId,
       buyerId,
@@ -139,7 +166,6 @@ router.post('/register', async (req, res) => {
       alternatePhone,
       alternatePhoneAreaCode,
       address,
-      permissions: permissions || [],
       portalAccess: Array.isArray(portalAccess) && portalAccess.length ? portalAccess : undefined,
       supplier: supplierId || undefined,
       buyer: buyerId || undefined,
@@ -234,17 +260,14 @@ router.post('/register', async (req, res) => {
 
     await user.populate(['supplier', 'buyer']);
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // Start a session: short-lived access token plus rotating refresh token
+    const { token, refreshToken } = await SessionService.createSession(user, req, req.body.deviceName);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       token,
+      refreshToken,
       user: buildUserPayload(user)
     });
 
@@ -293,18 +316,27 @@ router.post('/login', async (req, res) => {
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // Start a session: short-lived access token plus rotating refresh token
+    const { token, refreshToken } = await SessionService.createSession(user, req, req.body.deviceName);
+
+    // Carry the guest cart over; a failed merge does not fail the login
+    let cart;
+    if (req.body.cartToken && user.buyer) {
+      try {
+        const { mergedCount } = await CartService.mergeGuestCart(req.body.cartToken, user.buyer._id, user._id);
+        cart = { mergedCount };
+      } catch (cartError) {
+        console.error('Guest cart merge error:', cartError.message);
+      }
+    }
 
     res.json({
       success: true,
       message: 'Login successful',
       token,
-      user: buildUserPayload(user)
+      refreshToken,
+      user: buildUserPayload(user),
+      cart
     });
 
   } catch (error) {
@@ -316,9 +348,8 @@ router.post('/login', async (req, res) => {
   }
 });
 
-// Forgot password - Create reset request
-// Forgot password - Check user existence for direct reset
-router.post('/forgot-password', async (req, res) => {
+// Forgot password - Email a single-use reset link
+router.post('/forgot-password', forgotPasswordLimiter, async (req, res) => {
   try {
     const { error } = forgotPasswordSchema.validate(req.body);
     if (error) {
@@ -328,16 +359,14 @@ router.post('/forgot-password', async (req, res) => {
       });
     }
 
-    const { email } = req.body;
+    const { email, portalSource } = req.body;
 
-    // Check if user exists and is active
-    const user = await User.findOne({ email: email.toLowerCase(), isActive: true });
-    
-    // We return success regardless to prevent enumeration, 
-    // but the frontend will know to proceed to reset page
+    await PasswordResetService.requestReset(email, portalSource);
+
+    // Same answer whether or not the account exists, to prevent enumeration
     res.json({
       success: true,
-      message: 'User identified. Proceed to reset password.'
+      message: 'If an account exists for this email, a password reset link has been sent.'
     });
 
   } catch (error) {
@@ -349,7 +378,7 @@ router.post('/forgot-password', async (req, res) => {
   }
 });
 
-// Reset password - Complete reset using email directly (Insecure)
+// Reset password - Complete reset with the emailed token
 router.post('/reset-password', async (req, res) => {
   try {
     const { error } = resetPasswordSchema.validate(req.body);
@@ -360,25 +389,7 @@ router.post('/reset-password', async (req, res) => {
       });
     }
 
-    const { email, password } = req.body;
-
-    const user = await User.findOne({ email: email.toLowerCase(), isActive: true });
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
-
-    // Update password
-    user.password = password;
-    await user.save();
-
-    // Mark any existing requests for this email as completed
-    await PasswordResetRequest.updateMany(
-      { email: email.toLowerCase(), status: 'pending' },
-      { status: 'completed', completedAt: new Date() }
-    );
+    await PasswordResetService.resetPassword(req.body.token, req.body.password);
 
     res.json({
       success: true,
@@ -386,6 +397,12 @@ router.post('/reset-password', async (req, res) => {
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Reset password error:', error);
     res.status(500).json({
       success: false,
@@ -414,21 +431,55 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
-// Refresh token
-router.post('/refresh', auth, async (req, res) => {
+// Get effective permissions of the current user (role permissions plus per-user overrides)
+router.get('/me/permissions', auth, async (req, res) => {
+  try {
+    const permissions = await PermissionService.getEffectivePermissions(req.user);
+
+    res.json({
+      success: true,
+      data: {
+        role: req.user.role,
+        permissions,
+        grantedPermissions: req.user.permissions || [],
+        revokedPermissions: req.user.revokedPermissions || []
+      }
+    });
+  } catch (error) {
+    console.error('Get permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Refresh token - rotate the refresh token and issue a new access token
+router.post('/refresh', async (req, res) => {
   try {
-    const token = jwt.sign(
-      { userId: req.user._id, role: req.user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    const { error } = refreshSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const { token, refreshToken } = await SessionService.rotateRefreshToken(req.body.refreshToken, req);
 
     res.json({
       success: true,
       message: 'Token refreshed successfully',
-      token
+      token,
+      refreshToken
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Refresh token error:', error);
     res.status(500).json({
       success: false,
@@ -437,6 +488,104 @@ router.post('/refresh', auth, async (req, res) => {
   }
 });
 
+// Logout - revoke the current session
+router.post('/logout', auth, async (req, res) => {
+  try {
+    if (req.sessionId) {
+      await SessionService.revokeSession(req.sessionId, 'logout', { userId: req.user._id });
+    }
+
+    await logActivity(req, {
+      action: 'LOGOUT',
+      resource: 'User',
+      resourceId: req.user._id,
+      description: `Logged out: ${req.user.name} (${req.user.email})`
+    });
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// List the current user's active sessions
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await SessionService.listSessions(req.user._id);
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        ...session.toObject(),
+        current: session._id.toString() === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Revoke all of the current user's sessions except this one
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const revoked = await SessionService.revokeUserSessions(req.user._id, 'revoked', {
+      exceptSessionId: req.sessionId,
+      revokedBy: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: `${revoked} session(s) revoked`,
+      data: { revoked }
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Revoke one of the current user's sessions
+router.delete('/sessions/:sessionId', auth, async (req, res) => {
+  try {
+    const session = await SessionService.revokeSession(req.params.sessionId, 'revoked', {
+      userId: req.user._id,
+      revokedBy: req.user._id
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 function buildUserPayload(userDoc) {
   if (!userDoc) return null;
   const user = userDoc.toObject ? userDoc.toObject() : userDoc;
@@ -447,6 +596,7 @@ function buildUserPayload(userDoc) {
     email: user.email,
     role: user.role,
     permissions: user.permissions,
+    revokedPermissions: user.revokedPermissions || [],
     phone: user.phone,
     phoneAreaCode: user.phoneAreaCode,
     alternatePhone: user.alternatePhone,
@@ -593,6 +743,12 @@ router.post('/change-password', auth, async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Log out every other device; this one keeps its session
+    await SessionService.revokeUserSessions(user._id, 'password_changed', {
+      exceptSessionId: req.sessionId,
+      revokedBy: user._id
+    });
+
     res.json({
       success: true,
       message: 'Password changed successfully'
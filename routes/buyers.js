@@ -1,11 +1,14 @@
 const express = require('express');
 const Joi = require('joi');
 const Buyer = require('../models/Buyer');
+const PriceList = require('../models/PriceList');
 const Ledger = require('../models/Ledger');
 const auth = require('../middleware/auth');
 const checkPermission = require('../middleware/checkPermission');
 const { logActivity } = require('../utils/auditLogger');
 const BalanceService = require('../services/BalanceService');
+const CreditControlService = require('../services/CreditControlService');
+const PaymentReminder = require('../models/PaymentReminder');
 
 
 const router = express.Router();
@@ -29,8 +32,11 @@ const buyerSchema = Joi.object({
   taxNumber: Joi.string().optional(),
   paymentTerms: Joi.string().valid('cash', 'net15', 'net30', 'net45', 'net60').default('cash'),
   creditLimit: Joi.number().min(0).default(0),
+  creditLimitMode: Joi.string().valid('warn', 'block', 'approval').allow(null).optional(),
+  codLimit: Joi.number().min(0).optional(),
   discountRate: Joi.number().min(0).max(100).default(0),
   customerType: Joi.string().valid('retail', 'wholesale', 'distributor').default('retail'),
+  priceList: Joi.string().hex().length(24).allow(null).optional(),
   notes: Joi.string().optional()
 });
 
@@ -46,6 +52,13 @@ router.post('/', auth, checkPermission('buyers'), async (req, res) => {
       });
     }
 
+    if (req.body.priceList && !(await PriceList.exists({ _id: req.body.priceList }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Price list not found'
+      });
+    }
+
     const buyer = new Buyer({
       ...req.body,
       createdBy: req.user._id
@@ -156,6 +169,143 @@ router.get('/', auth, checkPermission('buyers'), async (req, res) => {
   }
 });
 
+// Overdue buyers aged by days past their payment terms
+router.get('/credit/overdue', auth, checkPermission('buyers'), async (req, res) => {
+  try {
+    const { asOf, paymentTerms, minDaysOverdue } = req.query;
+    const asOfDate = asOf ? new Date(asOf) : new Date();
+    if (Number.isNaN(asOfDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid asOf date'
+      });
+    }
+    if (asOf) asOfDate.setHours(23, 59, 59, 999);
+
+    const data = await CreditControlService.getOverdueList({
+      asOf: asOfDate,
+      paymentTerms,
+      minDaysOverdue: parseInt(minDaysOverdue, 10) || 1
+    });
+
+    res.json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    console.error('Get overdue buyers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Send reminder statements to every overdue buyer not reminded recently
+router.post('/credit/reminders/run', auth, checkPermission('buyers'), async (req, res) => {
+  try {
+    const result = await CreditControlService.sendDueReminders(new Date());
+
+    res.json({
+      success: true,
+      message: `${result.sent} reminder(s) sent, ${result.failed} failed, ${result.skipped} skipped`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Run payment reminders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Credit status: limit, ledger balance and what is still available
+router.get('/:id/credit', auth, checkPermission('buyers'), async (req, res) => {
+  try {
+    const check = await CreditControlService.checkCreditLimit(req.params.id, 0);
+    const lastReminder = await PaymentReminder.findOne({ buyer: req.params.id })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: {
+        creditLimit: check.creditLimit,
+        mode: check.mode,
+        balance: check.balance,
+        available: check.available,
+        overLimit: check.creditLimit > 0 && check.balance > check.creditLimit,
+        lastReminder
+      }
+    });
+
+  } catch (error) {
+    console.error('Get buyer credit error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// Reminder statements sent to a buyer
+router.get('/:id/payment-reminders', auth, checkPermission('buyers'), async (req, res) => {
+  try {
+    const reminders = await PaymentReminder.find({ buyer: req.params.id })
+      .populate('sentBy', 'name')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: reminders
+    });
+
+  } catch (error) {
+    console.error('Get payment reminders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Email a reminder statement of the buyer's overdue sales now
+router.post('/:id/payment-reminders', auth, checkPermission('buyers'), async (req, res) => {
+  try {
+    const reminder = await CreditControlService.sendReminder(req.params.id, { sentBy: req.user._id });
+
+    const messages = {
+      sent: `Reminder sent to ${reminder.emailedTo}`,
+      failed: 'Reminder could not be emailed',
+      no_email: 'Buyer has no email address; reminder recorded but not sent'
+    };
+
+    res.status(reminder.status === 'sent' ? 201 : 200).json({
+      success: reminder.status === 'sent',
+      message: messages[reminder.status],
+      data: reminder
+    });
+
+    await logActivity(req, {
+      action: 'CREATE',
+      resource: 'PaymentReminder',
+      resourceId: reminder._id,
+      description: `Payment reminder (level ${reminder.level}) for ${reminder.overdueTotal.toFixed(2)} overdue: ${reminder.status}`
+    });
+
+  } catch (error) {
+    console.error('Send payment reminder error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
 // Get buyer by ID
 router.get('/:id', auth, checkPermission('buyers'), async (req, res) => {
 
@@ -163,6 +313,7 @@ router.get('/:id', auth, checkPermission('buyers'), async (req, res) => {
     const Ledger = require('../models/Ledger');
     const buyer = await Buyer.findById(req.params.id)
       .populate('createdBy', 'name')
+      .populate('priceList', 'name isActive')
       .lean();
 
     if (!buyer) {
@@ -230,6 +381,13 @@ router.put('/:id', auth, checkPermission('buyers'), async (req, res) => {
       });
     }
 
+    if (req.body.priceList && !(await PriceList.exists({ _id: req.body.priceList }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Price list not found'
+      });
+    }
+
     const buyer = await Buyer.findByIdAndUpdate(
       req.params.id,
       req.body,
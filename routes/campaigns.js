@@ -58,6 +58,7 @@ const campaignSchema = Joi.object({
   badgeText: Joi.string().allow('').optional(),
   badgeVariant: Joi.string().allow('').optional(),
   priority: Joi.number().min(0).optional(),
+  requiresCode: Joi.boolean().optional(),
   notes: Joi.string().allow('').optional(),
 });
 
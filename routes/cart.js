@@ -3,12 +3,75 @@ const Joi = require('joi');
 const Product = require('../models/Product');
 const PacketStock = require('../models/PacketStock');
 const Inventory = require('../models/Inventory');
+const Buyer = require('../models/Buyer');
 const auth = require('../middleware/auth');
+const CartService = require('../services/CartService');
+const PromoCodeService = require('../services/PromoCodeService');
 const { getProductMinSellingPrice, getEffectivePacketSellingPrice } = require('../utils/websitePricing');
-const { loadActiveCampaigns, getProductCampaignPricing } = require('../services/CampaignPricingService');
+const { loadActiveCampaigns } = require('../services/CampaignPricingService');
+const PriceListService = require('../services/PriceListService');
 
 const router = express.Router();
 
+// Helper function to get buyer ID for authenticated user
+async function getBuyerIdForUser(user) {
+  if (user.buyer) {
+    // Handle both populated and unpopulated buyer reference
+    return user.buyer._id || user.buyer;
+  }
+
+  if ((user.role === 'distributor' || user.role === 'buyer') && user.email) {
+    let buyer = await Buyer.findOne({
+      email: user.email.toLowerCase(),
+      customerType: 'distributor'
+    });
+
+    if (!buyer) {
+      buyer = new Buyer({
+        name: user.name || user.email.split('@')[0],
+        email: user.email.toLowerCase(),
+        phone: user.phone || '',
+        customerType: 'distributor',
+        createdBy: user._id
+      });
+      await buyer.save();
+    }
+
+    return buyer._id;
+  }
+
+  return null;
+}
+
+/**
+ * Work out whose stored cart a request is about. Logged-in users get their buyer's
+ * cart; guests send the token of their cart in the X-Cart-Token header (a guest
+ * without a token gets one when they add their first item).
+ */
+function resolveCartOwner(req, res, next) {
+  if (!req.header('Authorization')) {
+    req.cartOwner = { guestToken: req.header('X-Cart-Token') || undefined };
+    return next();
+  }
+
+  auth(req, res, async () => {
+    try {
+      const buyerId = await getBuyerIdForUser(req.user);
+      if (!buyerId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Buyer profile not found. Please complete your profile first.'
+        });
+      }
+      req.cartOwner = { buyer: buyerId };
+      next();
+    } catch (error) {
+      console.error('Resolve cart owner error:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  });
+}
+
 // Validation schema for cart items
 const cartItemSchema = Joi.object({
   id: Joi.string().required(),
@@ -45,7 +108,161 @@ const cartItemSchema = Joi.object({
 });
 
 const validateCartSchema = Joi.object({
-  items: Joi.array().items(cartItemSchema).min(1).required()
+  items: Joi.array().items(cartItemSchema).min(1).required(),
+  promoCode: Joi.string().trim().max(32).optional()
+});
+
+const cartLineSchema = Joi.object({
+  productId: Joi.string().hex().length(24).required(),
+  inventoryType: Joi.string().valid('packet', 'loose').required(),
+  packetBarcode: Joi.string().trim().when('inventoryType', {
+    is: 'packet',
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }),
+  variant: Joi.object({
+    size: Joi.string().required(),
+    color: Joi.string().required(),
+    sku: Joi.string().optional()
+  }).when('inventoryType', {
+    is: 'loose',
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }),
+  quantity: Joi.number().integer().min(1).required()
+});
+
+const cartQuantitySchema = Joi.object({
+  quantity: Joi.number().integer().min(1).required()
+});
+
+const mergeCartSchema = Joi.object({
+  guestToken: Joi.string().required()
+});
+
+/**
+ * @route   GET /api/cart
+ * @desc    Stored cart priced live, with price and stock changes since the last view
+ * @access  Buyer (Authorization) or guest (X-Cart-Token)
+ */
+router.get('/', resolveCartOwner, async (req, res) => {
+  try {
+    const cart = await CartService.viewCart(req.cartOwner);
+    res.json({ success: true, data: cart });
+  } catch (error) {
+    console.error('Get cart error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.status ? error.message : 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/cart/items
+ * @desc    Add a packet (by barcode) or loose variant line; adds to the quantity of the same line
+ * @access  Buyer (Authorization) or guest (X-Cart-Token)
+ */
+router.post('/items', resolveCartOwner, async (req, res) => {
+  try {
+    const { error, value } = cartLineSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    const cart = await CartService.addItem(req.cartOwner, value, req.user?._id);
+    const view = await CartService.viewCart(cart.buyer ? { buyer: cart.buyer } : { guestToken: cart.guestToken });
+
+    res.status(201).json({ success: true, message: 'Item added to cart', data: view });
+  } catch (error) {
+    console.error('Add cart item error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.message || 'Server error' });
+  }
+});
+
+/**
+ * @route   PATCH /api/cart/items/:lineId
+ * @desc    Change the quantity of a cart line
+ * @access  Buyer (Authorization) or guest (X-Cart-Token)
+ */
+router.patch('/items/:lineId', resolveCartOwner, async (req, res) => {
+  try {
+    const { error, value } = cartQuantitySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    await CartService.updateItem(req.cartOwner, req.params.lineId, value.quantity, req.user?._id);
+    const view = await CartService.viewCart(req.cartOwner);
+
+    res.json({ success: true, message: 'Cart updated', data: view });
+  } catch (error) {
+    console.error('Update cart item error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.message || 'Server error' });
+  }
+});
+
+/**
+ * @route   DELETE /api/cart/items/:lineId
+ * @desc    Remove a cart line
+ * @access  Buyer (Authorization) or guest (X-Cart-Token)
+ */
+router.delete('/items/:lineId', resolveCartOwner, async (req, res) => {
+  try {
+    await CartService.removeItem(req.cartOwner, req.params.lineId, req.user?._id);
+    const view = await CartService.viewCart(req.cartOwner);
+
+    res.json({ success: true, message: 'Item removed from cart', data: view });
+  } catch (error) {
+    console.error('Remove cart item error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.message || 'Server error' });
+  }
+});
+
+/**
+ * @route   DELETE /api/cart
+ * @desc    Empty the stored cart
+ * @access  Buyer (Authorization) or guest (X-Cart-Token)
+ */
+router.delete('/', resolveCartOwner, async (req, res) => {
+  try {
+    await CartService.clearCart(req.cartOwner, req.user?._id);
+    res.json({ success: true, message: 'Cart cleared' });
+  } catch (error) {
+    console.error('Clear cart error:', error);
+    res.status(500).json({ success: false, message: error.message || 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/cart/merge
+ * @desc    Merge a guest cart into the logged-in buyer's cart (login does this when given cartToken)
+ * @access  Private
+ */
+router.post('/merge', auth, async (req, res) => {
+  try {
+    const { error, value } = mergeCartSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    const buyerId = await getBuyerIdForUser(req.user);
+    if (!buyerId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Buyer profile not found. Please complete your profile first.'
+      });
+    }
+
+    const { mergedCount } = await CartService.mergeGuestCart(value.guestToken, buyerId, req.user._id);
+    const view = await CartService.viewCart({ buyer: buyerId });
+
+    res.json({
+      success: true,
+      message: mergedCount > 0 ? `Merged ${mergedCount} item(s) into your cart` : 'No guest cart to merge',
+      data: { mergedCount, cart: view }
+    });
+  } catch (error) {
+    console.error('Merge cart error:', error);
+    res.status(500).json({ success: false, message: error.message || 'Server error' });
+  }
 });
 
 /**
@@ -67,8 +284,10 @@ router.post('/validate', auth, async (req, res) => {
       });
     }
 
-    const { items } = req.body;
+    const { items, promoCode } = req.body;
     const validatedItems = [];
+    // Price before campaigns per item id, for promo codes that do not stack
+    const basePrices = new Map();
     const issues = [];
     let hasErrors = false;
 
@@ -96,6 +315,9 @@ router.post('/validate', auth, async (req, res) => {
       .lean();
 
     const campaigns = await loadActiveCampaigns();
+    const buyerId = await getBuyerIdForUser(req.user);
+    const buyer = buyerId ? await Buyer.findById(buyerId).lean() : null;
+    const priceList = await PriceListService.getBuyerPriceList(buyer);
     const inventoryRecords = await Inventory.find({ product: { $in: productIds } })
       .select('product currentStock reorderLevel')
       .lean();
@@ -161,7 +383,8 @@ router.post('/validate', auth, async (req, res) => {
           validatedItem.isValid = false;
         } else {
           const basePacketPrice = getEffectivePacketSellingPrice(packetStock, packetStock.product);
-          const campaignPacketPrice = getProductCampaignPricing({
+          basePrices.set(item.id, basePacketPrice);
+          const campaignPacketPrice = PriceListService.getLinePricing({
             product,
             basePrice: basePacketPrice,
             campaigns,
@@ -169,8 +392,13 @@ router.post('/validate', auth, async (req, res) => {
               inventory: inventoryMap.get(String(product._id)),
               candidateProductIds: [product._id],
             },
+            priceList,
+            quantity: item.quantity,
+            inventoryType: 'packet',
+            itemsPerUnit: packetStock.totalItemsPerPacket,
           });
           const effectivePacketPrice = campaignPacketPrice.effectivePrice;
+          validatedItem.priceSource = campaignPacketPrice.priceSource;
 
           // Check price changes
           if (effectivePacketPrice !== item.price) {
@@ -225,7 +453,8 @@ router.post('/validate', auth, async (req, res) => {
           const primaryPacket = matchingPackets[0];
           const availableStock = primaryPacket.availablePackets - primaryPacket.reservedPackets;
           const baseLoosePrice = getEffectivePacketSellingPrice(primaryPacket, primaryPacket.product);
-          const campaignLoosePrice = getProductCampaignPricing({
+          basePrices.set(item.id, baseLoosePrice);
+          const campaignLoosePrice = PriceListService.getLinePricing({
             product,
             basePrice: baseLoosePrice,
             campaigns,
@@ -233,8 +462,13 @@ router.post('/validate', auth, async (req, res) => {
               inventory: inventoryMap.get(String(product._id)),
               candidateProductIds: [product._id],
             },
+            priceList,
+            quantity: item.quantity,
+            inventoryType: 'loose',
+            itemsPerUnit: primaryPacket.totalItemsPerPacket,
           });
           const effectiveLoosePrice = campaignLoosePrice.effectivePrice;
+          validatedItem.priceSource = campaignLoosePrice.priceSource;
           
           // Check price changes
           if (effectiveLoosePrice !== item.price) {
@@ -318,6 +552,34 @@ router.post('/validate', auth, async (req, res) => {
       )
     );
 
+    // Promo code, worked out on the valid items at their current prices
+    let promo = null;
+    if (promoCode) {
+      promo = { code: PromoCodeService.normalizeCode(promoCode), valid: false, discountAmount: 0 };
+      try {
+        const result = await PromoCodeService.evaluate(promoCode, buyer, validItems.map(v => ({
+          key: v.item.id,
+          product: productMap.get(v.item.productId),
+          basePrice: basePrices.get(v.item.id) ?? v.item.price,
+          price: v.item.price,
+          quantity: v.item.quantity,
+          inventory: inventoryMap.get(v.item.productId)
+        })));
+        promo = {
+          code: result.promoCode.code,
+          valid: true,
+          campaign: { _id: result.campaign._id, name: result.campaign.name },
+          stackable: result.promoCode.stackable,
+          discountAmount: result.discountAmount,
+          items: result.lines.filter(line => line.discount > 0).map(line => ({ itemId: line.key, discount: line.discount }))
+        };
+      } catch (promoError) {
+        if (!promoError.status) throw promoError;
+        promo.message = promoError.message;
+      }
+    }
+    const promoDiscount = promo?.discountAmount || 0;
+
     res.json({
       success: true,
       data: {
@@ -326,8 +588,11 @@ router.post('/validate', auth, async (req, res) => {
         validItemCount: validItems.length,
         invalidItemCount: validatedItems.length - validItems.length,
         issues,
+        promo,
         summary: {
           subtotal,
+          promoDiscount,
+          total: Math.max(0, subtotal - promoDiscount),
           priceChangesCount: priceChanges.length,
           stockIssuesCount: stockIssues.length,
           totalIssues: issues.length
@@ -354,6 +619,9 @@ router.post('/stock-check', auth, async (req, res) => {
 
     const result = {};
     const campaigns = await loadActiveCampaigns();
+    // Single-unit prices; quantity breaks show once the line is in the cart
+    const buyerId = await getBuyerIdForUser(req.user);
+    const priceList = await PriceListService.getBuyerPriceList(buyerId);
     let packets = [];
 
     if (barcodes.length > 0) {
@@ -395,7 +663,7 @@ router.post('/stock-check', auth, async (req, res) => {
         const product = productsById.get(String(p.product?._id || p.product));
         const basePacketPrice = getEffectivePacketSellingPrice(p, p.product);
         const campaignPacketPrice = product
-          ? getProductCampaignPricing({
+          ? PriceListService.getLinePricing({
               product,
               basePrice: basePacketPrice,
               campaigns,
@@ -403,6 +671,10 @@ router.post('/stock-check', auth, async (req, res) => {
                 inventory: inventoryMap.get(String(product._id)),
                 candidateProductIds: [product._id],
               },
+              priceList,
+              quantity: 1,
+              inventoryType: 'packet',
+              itemsPerUnit: p.totalItemsPerPacket,
             })
           : { effectivePrice: basePacketPrice };
 
@@ -431,7 +703,7 @@ router.post('/stock-check', auth, async (req, res) => {
       productIds.forEach(id => {
         const product = activeProducts.get(String(id));
         const campaignPricing = product
-          ? getProductCampaignPricing({
+          ? PriceListService.getLinePricing({
               product,
               basePrice: getProductMinSellingPrice(product),
               campaigns,
@@ -439,6 +711,9 @@ router.post('/stock-check', auth, async (req, res) => {
                 inventory: inventoryMap.get(String(product._id)),
                 candidateProductIds: [product._id],
               },
+              priceList,
+              quantity: 1,
+              inventoryType: 'loose',
             })
           : null;
         result[`product_${id}`] = {
@@ -0,0 +1,191 @@
+const express = require('express');
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const periodLock = require('../middleware/periodLock');
+const Sale = require('../models/Sale');
+const CashOnDeliveryService = require('../services/CashOnDeliveryService');
+const { sendResponse } = require('../utils/helpers');
+const { logActivity } = require('../utils/auditLogger');
+
+const router = express.Router();
+
+const canManageDeliveries = (user) => ['super-admin', 'admin', 'employee'].includes(user?.role);
+const canSettleCash = (user) => ['admin', 'super-admin'].includes(user?.role);
+
+const objectId = Joi.string().hex().length(24);
+
+const assignSchema = Joi.object({
+  deliveryPersonnel: objectId.required()
+});
+
+const cancelSchema = Joi.object({
+  reason: Joi.string().trim().max(500).allow('').optional()
+});
+
+const settlementSchema = Joi.object({
+  deliveryPersonnel: objectId.required(),
+  sales: Joi.array().items(objectId).min(1).max(500).unique().required(),
+  receivedAmount: Joi.number().min(0).precision(2).required(),
+  notes: Joi.string().trim().max(1000).allow('').optional()
+});
+
+const requireDeliveryManager = (req, res, next) => {
+  if (!canManageDeliveries(req.user)) {
+    return sendResponse.error(res, 'Not authorized to manage cash-on-delivery orders', 403);
+  }
+  next();
+};
+
+const requireCashManager = (req, res, next) => {
+  if (!canSettleCash(req.user)) {
+    return sendResponse.error(res, 'Not authorized to settle driver cash', 403);
+  }
+  next();
+};
+
+const validateId = (label) => (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return sendResponse.error(res, `Invalid ${label} ID`, 400);
+  }
+  next();
+};
+
+// Give an undelivered cash-on-delivery order to a driver
+router.patch('/sales/:id/assign', auth, requireDeliveryManager, validateId('sale'), async (req, res) => {
+  try {
+    const { error, value } = assignSchema.validate(req.body);
+    if (error) {
+      return sendResponse.error(res, error.details[0].message, 400);
+    }
+
+    const { sale, old } = await CashOnDeliveryService.assignDeliveryPersonnel(req.params.id, value.deliveryPersonnel);
+
+    await logActivity(req, {
+      action: 'UPDATE',
+      resource: 'Sale',
+      resourceId: sale._id,
+      description: `Assigned cash-on-delivery sale ${sale.saleNumber} to a driver`,
+      changes: { old: { deliveryPersonnel: old }, new: { deliveryPersonnel: sale.deliveryPersonnel } }
+    });
+
+    return sendResponse.success(res, sale, 'Driver assigned successfully');
+  } catch (error) {
+    console.error('Assign COD driver error:', error);
+    return sendResponse.error(res, error.message || 'Server error', error.status || 500);
+  }
+});
+
+// Cancel an undelivered cash-on-delivery order; its reserved stock is released
+router.post('/sales/:id/cancel', auth, requireDeliveryManager, validateId('sale'), periodLock({ entityModel: Sale, existingDateField: 'saleDate', vatDocument: true }), async (req, res) => {
+  try {
+    const { error, value } = cancelSchema.validate(req.body || {});
+    if (error) {
+      return sendResponse.error(res, error.details[0].message, 400);
+    }
+
+    const { sale, oldStatus } = await CashOnDeliveryService.cancelOrder(req.params.id, value.reason);
+
+    await logActivity(req, {
+      action: 'STATUS_CHANGE',
+      resource: 'Sale',
+      resourceId: sale._id,
+      description: `Cancelled cash-on-delivery sale ${sale.saleNumber}${value.reason ? `: ${value.reason}` : ''}`,
+      changes: { old: oldStatus, new: 'cancelled' }
+    });
+
+    return sendResponse.success(res, sale, 'Cash-on-delivery order cancelled');
+  } catch (error) {
+    console.error('Cancel COD order error:', error);
+    return sendResponse.error(res, error.message || 'Server error', error.status || 500);
+  }
+});
+
+// Cash collected by each driver (?deliveryPersonnel=&status=with_driver|settled&startDate=&endDate=)
+router.get('/collections', auth, requireDeliveryManager, async (req, res) => {
+  try {
+    const status = ['with_driver', 'settled'].includes(req.query.status) ? req.query.status : 'with_driver';
+    if (req.query.deliveryPersonnel && !mongoose.Types.ObjectId.isValid(req.query.deliveryPersonnel)) {
+      return sendResponse.error(res, 'Invalid delivery personnel ID', 400);
+    }
+
+    const collections = await CashOnDeliveryService.getDriverCollections({
+      deliveryPersonnel: req.query.deliveryPersonnel,
+      status,
+      startDate: req.query.startDate,
+      endDate: req.query.endDate
+    });
+
+    return sendResponse.success(res, collections);
+  } catch (error) {
+    console.error('Get COD collections error:', error);
+    return sendResponse.error(res, error.status ? error.message : 'Server error', error.status || 500);
+  }
+});
+
+// Settlements of driver cash (?deliveryPersonnel=&startDate=&endDate=)
+router.get('/settlements', auth, requireCashManager, async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.max(1, Math.min(100, parseInt(req.query.limit, 10) || 20));
+    if (req.query.deliveryPersonnel && !mongoose.Types.ObjectId.isValid(req.query.deliveryPersonnel)) {
+      return sendResponse.error(res, 'Invalid delivery personnel ID', 400);
+    }
+
+    const { settlements, total } = await CashOnDeliveryService.listSettlements({
+      deliveryPersonnel: req.query.deliveryPersonnel,
+      startDate: req.query.startDate,
+      endDate: req.query.endDate,
+      page,
+      limit
+    });
+
+    return sendResponse.paginated(res, settlements, {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalItems: total,
+      itemsPerPage: limit
+    });
+  } catch (error) {
+    console.error('List COD settlements error:', error);
+    return sendResponse.error(res, 'Server error');
+  }
+});
+
+// A driver hands in the cash collected on some of their sales
+router.post('/settlements', auth, requireCashManager, async (req, res) => {
+  try {
+    const { error, value } = settlementSchema.validate(req.body);
+    if (error) {
+      return sendResponse.error(res, error.details[0].message, 400);
+    }
+
+    const { settlement, driver } = await CashOnDeliveryService.settleCollections(value, req.user._id);
+
+    await logActivity(req, {
+      action: 'CREATE',
+      resource: 'CodSettlement',
+      resourceId: settlement._id,
+      description: `Settled ${settlement.receivedAmount.toFixed(2)} cash from ${driver.name} for ${settlement.sales.length} sale(s) (${settlement.settlementNumber}, variance ${settlement.variance.toFixed(2)})`,
+      changes: { old: null, new: settlement.toObject() }
+    });
+
+    return sendResponse.success(res, settlement, 'Driver cash settled successfully', 201);
+  } catch (error) {
+    console.error('Create COD settlement error:', error);
+    return sendResponse.error(res, error.message || 'Server error', error.status || 500);
+  }
+});
+
+// Get a settlement
+router.get('/settlements/:id', auth, requireCashManager, validateId('settlement'), async (req, res) => {
+  try {
+    const settlement = await CashOnDeliveryService.getSettlement(req.params.id);
+    return sendResponse.success(res, settlement);
+  } catch (error) {
+    console.error('Get COD settlement error:', error);
+    return sendResponse.error(res, error.status ? error.message : 'Server error', error.status || 500);
+  }
+});
+
+module.exports = router;
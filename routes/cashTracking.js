@@ -1,6 +1,7 @@
 const express = require('express');
 const Ledger = require('../models/Ledger');
 const Expense = require('../models/Expense');
+const ExpenseVoucher = require('../models/ExpenseVoucher');
 const auth = require('../middleware/auth');
 
 const router = express.Router();
@@ -143,9 +144,17 @@ async function getDailyCashSummary(startDate, endDate) {
     status: { $in: ['approved', 'paid'] }
   });
 
+  // Get cash expense vouchers
+  const cashVouchers = await ExpenseVoucher.find({
+    paymentMethod: 'cash',
+    date: { $gte: startDate, $lt: endDate },
+    status: { $in: ['approved', 'paid'] }
+  });
+
   const cashIn = cashInEntries.reduce((sum, entry) => sum + (entry.credit || 0), 0);
   const cashOut = cashOutEntries.reduce((sum, entry) => sum + (entry.debit || 0), 0) +
-    cashExpenses.reduce((sum, expense) => sum + (expense.amount || 0) + (expense.taxAmount || 0), 0);
+    cashExpenses.reduce((sum, expense) => sum + (expense.amount || 0) + (expense.taxAmount || 0), 0) +
+    cashVouchers.reduce((sum, voucher) => sum + (voucher.amount || 0), 0);
 
   // Calculate closing balance (will be added to opening balance by caller)
   const closingBalance = cashIn - cashOut;
@@ -220,6 +229,27 @@ async function getDailyCashTransactions(startDate, endDate) {
     });
   }
 
+  // Get expense voucher transactions
+  const vouchers = await ExpenseVoucher.find({
+    paymentMethod: 'cash',
+    date: { $gte: startDate, $lt: endDate },
+    status: { $in: ['approved', 'paid'] }
+  })
+    .sort({ date: 1, createdAt: 1 });
+
+  for (const voucher of vouchers) {
+    transactions.push({
+      type: 'cash_out',
+      category: 'Expense Voucher',
+      amount: voucher.amount || 0,
+      description: voucher.remarks || `Expense voucher: ${voucher.name}`,
+      date: voucher.date,
+      reference: voucher._id,
+      referenceModel: 'ExpenseVoucher',
+      voucherNumber: voucher.voucherNumber
+    });
+  }
+
   // Sort all transactions by date
   transactions.sort((a, b) => new Date(a.date) - new Date(b.date));
 
@@ -1,6 +1,5 @@
 const express = require('express');
 const Joi = require('joi');
-const mongoose = require('mongoose');
 const Sale = require('../models/Sale');
 const Inventory = require('../models/Inventory');
 const Buyer = require('../models/Buyer');
@@ -13,18 +12,19 @@ const Settings = require('../models/Settings');
 const auth = require('../middleware/auth');
 const { generateSaleQR } = require('../utils/qrCode');
 const { generateInvoicePDF } = require('../utils/invoiceGenerator');
+const { getStripe } = require('../utils/stripeClient');
+const { reserveStock, releaseReservedStock, confirmStockDeduction } = require('../utils/checkoutStock');
 
 const { getProductMinSellingPrice, getEffectivePacketSellingPrice } = require('../utils/websitePricing');
-const { loadActiveCampaigns, getProductCampaignPricing } = require('../services/CampaignPricingService');
+const { loadActiveCampaigns } = require('../services/CampaignPricingService');
+const CartService = require('../services/CartService');
+const PromoCodeService = require('../services/PromoCodeService');
+const PriceListService = require('../services/PriceListService');
+const StripeRefundService = require('../services/StripeRefundService');
+const CashOnDeliveryService = require('../services/CashOnDeliveryService');
 
 const router = express.Router();
 
-// Initialize Stripe (will be null if STRIPE_SECRET_KEY not set)
-let stripe = null;
-if (process.env.STRIPE_SECRET_KEY) {
-  stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-}
-
 // Validation schema for checkout
 const checkoutSchema = Joi.object({
   addressId: Joi.string().required(),
@@ -45,7 +45,16 @@ const checkoutSchema = Joi.object({
       color: Joi.string().required(),
       sku: Joi.string().optional()
     }).optional()
-  })).min(1).required(),
+  })).min(1).when('fromCart', {
+    is: true,
+    then: Joi.forbidden(),
+    otherwise: Joi.required()
+  }),
+  // Check out the lines of the buyer's stored cart (GET /api/cart) instead of sending items
+  fromCart: Joi.boolean().optional(),
+  promoCode: Joi.string().trim().max(32).optional(),
+  // cash_on_delivery places the order straight away; it is paid to the driver on delivery
+  paymentMethod: Joi.string().valid('card', 'cash_on_delivery').optional(),
   notes: Joi.string().optional().allow('')
 });
 
@@ -120,7 +129,8 @@ const calculateTotals = async (items, totalDiscount = 0, shippingCost = 0) => {
       packetStock: item.packetStockId || null,
       packetBarcode: item.packetBarcode || null,
       packetComposition: item.packetInfo?.composition || [],
-      totalItemsPerPacket: item.packetInfo?.itemsPerPacket || 1
+      totalItemsPerPacket: item.packetInfo?.itemsPerPacket || 1,
+      priceSource: item.priceSource
     };
   });
 
@@ -136,211 +146,15 @@ const calculateTotals = async (items, totalDiscount = 0, shippingCost = 0) => {
   };
 };
 
-/**
- * Reserve stock for checkout
- * Creates temporary reservation without deducting
- */
-async function reserveStock(items, saleId, userId) {
-  const session = await mongoose.startSession();
-  session.startTransaction();
-
-  try {
-    for (const item of items) {
-      if (item.inventoryType === 'packet' && item.packetBarcode) {
-        // Reserve packet stock
-        const packetStock = await PacketStock.findOne({ 
-          barcode: item.packetBarcode,
-          isActive: true 
-        }).session(session);
-
-        if (!packetStock) {
-          throw new Error(`Packet not found: ${item.packetBarcode}`);
-        }
-
-        const availableStock = packetStock.availablePackets - packetStock.reservedPackets;
-        if (availableStock < item.quantity) {
-          throw new Error(`Insufficient stock for ${item.name}. Available: ${availableStock}`);
-        }
-
-        packetStock.reservedPackets += item.quantity;
-        await packetStock.save({ session });
-      } else if (item.variant) {
-        // Reserve variant stock
-        const inventory = await Inventory.findOne({ 
-          product: item.productId 
-        }).session(session);
-
-        if (!inventory) {
-          throw new Error(`Inventory not found for product: ${item.productId}`);
-        }
-
-        const availableStock = inventory.getVariantAvailableStock(
-          item.variant.size, 
-          item.variant.color
-        );
-
-        if (availableStock < item.quantity) {
-          throw new Error(`Insufficient stock for ${item.name} (${item.variant.color}/${item.variant.size}). Available: ${availableStock}`);
-        }
-
-        // Reserve in variant composition (only if variantComposition exists)
-        if (inventory.variantComposition && inventory.variantComposition.length > 0) {
-          const variantIdx = inventory.variantComposition.findIndex(
-            v => v.size === item.variant.size && v.color === item.variant.color
-          );
-          if (variantIdx >= 0) {
-            inventory.variantComposition[variantIdx].reservedQuantity = (inventory.variantComposition[variantIdx].reservedQuantity || 0) + item.quantity;
-          }
-        }
-        inventory.reservedStock = (inventory.reservedStock || 0) + item.quantity;
-        await inventory.save({ session });
-      }
-    }
-
-    await session.commitTransaction();
-    session.endSession();
-    return { success: true };
-  } catch (error) {
-    await session.abortTransaction();
-    session.endSession();
-    return { success: false, error: error.message };
-  }
-}
-
-/**
- * Release reserved stock (on payment failure/cancellation)
- */
-async function releaseReservedStock(sale) {
-  const session = await mongoose.startSession();
-  session.startTransaction();
-
-  try {
-    for (const item of sale.items) {
-      if (item.isPacketSale && item.packetBarcode) {
-        const packetStock = await PacketStock.findOne({ 
-          barcode: item.packetBarcode 
-        }).session(session);
-
-        if (packetStock) {
-          packetStock.reservedPackets = Math.max(0, packetStock.reservedPackets - item.quantity);
-          await packetStock.save({ session });
-        }
-      } else if (item.variant) {
-        const inventory = await Inventory.findOne({ 
-          product: item.product 
-        }).session(session);
-
-        if (inventory) {
-          // Release variant composition reservation (only if variantComposition exists)
-          if (inventory.variantComposition && inventory.variantComposition.length > 0) {
-            const variantIdx = inventory.variantComposition.findIndex(
-              v => v.size === item.variant.size && v.color === item.variant.color
-            );
-            if (variantIdx >= 0) {
-              inventory.variantComposition[variantIdx].reservedQuantity = Math.max(
-                0, 
-                (inventory.variantComposition[variantIdx].reservedQuantity || 0) - item.quantity
-              );
-            }
-          }
-          inventory.reservedStock = Math.max(0, (inventory.reservedStock || 0) - item.quantity);
-          await inventory.save({ session });
-        }
-      }
-    }
-
-    await session.commitTransaction();
-    session.endSession();
-    return { success: true };
-  } catch (error) {
-    await session.abortTransaction();
-    session.endSession();
-    console.error('Error releasing reserved stock:', error);
-    return { success: false, error: error.message };
-  }
-}
-
-/**
- * Confirm stock deduction (convert reservation to actual deduction)
- */
-async function confirmStockDeduction(sale, userId) {
-  const session = await mongoose.startSession();
-  session.startTransaction();
-
-  try {
-    for (const item of sale.items) {
-      if (item.isPacketSale && item.packetBarcode) {
-        const packetStock = await PacketStock.findOne({ 
-          barcode: item.packetBarcode 
-        }).session(session);
-
-        if (packetStock) {
-          // Convert reservation to sold
-          packetStock.reservedPackets = Math.max(0, packetStock.reservedPackets - item.quantity);
-          packetStock.availablePackets = Math.max(0, packetStock.availablePackets - item.quantity);
-          packetStock.soldPackets += item.quantity;
-          await packetStock.save({ session });
-        }
-      } else if (item.variant) {
-        const inventory = await Inventory.findOne({ 
-          product: item.product 
-        }).session(session);
-
-        if (inventory) {
-          // Convert reservation to actual deduction (only if variantComposition exists)
-          if (inventory.variantComposition && inventory.variantComposition.length > 0) {
-            const variantIdx = inventory.variantComposition.findIndex(
-              v => v.size === item.variant.size && v.color === item.variant.color
-            );
-            
-            if (variantIdx >= 0) {
-              inventory.variantComposition[variantIdx].reservedQuantity = Math.max(
-                0, 
-                (inventory.variantComposition[variantIdx].reservedQuantity || 0) - item.quantity
-              );
-              inventory.variantComposition[variantIdx].quantity = Math.max(
-                0,
-                (inventory.variantComposition[variantIdx].quantity || 0) - item.quantity
-              );
-            }
-          }
-          
-          inventory.reservedStock = Math.max(0, (inventory.reservedStock || 0) - item.quantity);
-          inventory.currentStock = Math.max(0, (inventory.currentStock || 0) - item.quantity);
-          
-          inventory.stockMovements.push({
-            type: 'out',
-            quantity: item.quantity,
-            reference: 'Sale',
-            referenceId: sale._id,
-            user: userId,
-            notes: `Online order: ${sale.saleNumber}`,
-            date: new Date()
-          });
-          
-          inventory.lastStockUpdate = new Date();
-          await inventory.save({ session });
-        }
-      }
-    }
-
-    await session.commitTransaction();
-    session.endSession();
-    return { success: true };
-  } catch (error) {
-    await session.abortTransaction();
-    session.endSession();
-    console.error('Error confirming stock deduction:', error);
-    return { success: false, error: error.message };
-  }
-}
-
 /**
  * @route   POST /api/checkout/create-session
- * @desc    Create Stripe Checkout session and reserve stock
+ * @desc    Create Stripe Checkout session and reserve stock, or place a cash-on-delivery order
  * @access  Private (authenticated users only)
  */
 router.post('/create-session', auth, async (req, res) => {
+  // Sale whose promo code use is reserved, released again if the checkout cannot be created
+  let reservedPromoSaleId = null;
+
   try {
     // Validate request body
     const { error } = checkoutSchema.validate(req.body);
@@ -351,16 +165,26 @@ router.post('/create-session', auth, async (req, res) => {
       });
     }
 
-    const { addressId, items, notes } = req.body;
+    const { addressId, notes, fromCart, promoCode, paymentMethod = 'card' } = req.body;
+    let { items } = req.body;
+    const isCashOnDelivery = paymentMethod === 'cash_on_delivery';
 
     // Check if Stripe is configured
-    if (!stripe) {
+    const stripe = isCashOnDelivery ? null : getStripe();
+    if (!isCashOnDelivery && !stripe) {
       return res.status(503).json({
         success: false,
         message: 'Payment gateway not configured. Please contact support.'
       });
     }
 
+    if (isCashOnDelivery && !(await CashOnDeliveryService.isEnabled())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cash on delivery is not available'
+      });
+    }
+
     // Get buyer ID for authenticated user
     const buyerId = await getBuyerIdForUser(req.user);
     if (!buyerId) {
@@ -388,13 +212,25 @@ router.post('/create-session', auth, async (req, res) => {
       });
     }
 
-    // Recompute authoritative prices, including active campaign discounts.
+    let cart = null;
+    if (fromCart) {
+      try {
+        ({ cart, items } = await CartService.getCheckoutItems(buyerId));
+      } catch (cartError) {
+        return res.status(cartError.status || 500).json({
+          success: false,
+          message: cartError.message
+        });
+      }
+    }
+
+    // Recompute authoritative prices, including active campaign discounts and the buyer's price list.
     const productIds = [...new Set(items.map((item) => String(item.productId)))];
     const packetBarcodes = items
       .filter((item) => item.inventoryType === 'packet' && item.packetBarcode)
       .map((item) => item.packetBarcode);
 
-    const [products, packets, campaigns, inventoryRecords] = await Promise.all([
+    const [products, packets, campaigns, inventoryRecords, priceList] = await Promise.all([
       Product.find({ _id: { $in: productIds }, isActive: true })
         .select('_id name sku category brand season supplier pricing.minSellingPrice pricing.sellingPrice')
         .lean(),
@@ -408,6 +244,7 @@ router.post('/create-session', auth, async (req, res) => {
       Inventory.find({ product: { $in: productIds } })
         .select('product currentStock reorderLevel')
         .lean(),
+      PriceListService.getBuyerPriceList(buyer),
     ]);
 
     const productMap = new Map(products.map((product) => [String(product._id), product]));
@@ -416,6 +253,8 @@ router.post('/create-session', auth, async (req, res) => {
 
     const authoritativeItems = [];
     const priceChanges = [];
+    // Price before campaigns per item id, for promo codes that do not stack
+    const basePrices = new Map();
 
     for (const item of items) {
       const product = productMap.get(String(item.productId));
@@ -427,6 +266,7 @@ router.post('/create-session', auth, async (req, res) => {
       }
 
       let authoritativePrice = Number(item.price || 0);
+      let priceSource;
 
       if (item.inventoryType === 'packet' && item.packetBarcode) {
         const packet = packetMap.get(item.packetBarcode);
@@ -438,7 +278,8 @@ router.post('/create-session', auth, async (req, res) => {
         }
 
         const basePacketPrice = getEffectivePacketSellingPrice(packet, packet.product);
-        const packetCampaignPricing = getProductCampaignPricing({
+        basePrices.set(item.id, basePacketPrice);
+        const packetCampaignPricing = PriceListService.getLinePricing({
           product,
           basePrice: basePacketPrice,
           campaigns,
@@ -446,11 +287,17 @@ router.post('/create-session', auth, async (req, res) => {
             inventory: inventoryMap.get(String(product._id)),
             candidateProductIds: [product._id],
           },
+          priceList,
+          quantity: item.quantity,
+          inventoryType: 'packet',
+          itemsPerUnit: packet.totalItemsPerPacket,
         });
         authoritativePrice = packetCampaignPricing.effectivePrice;
+        priceSource = packetCampaignPricing.priceSource;
       } else {
         const baseLoosePrice = getProductMinSellingPrice(product);
-        const looseCampaignPricing = getProductCampaignPricing({
+        basePrices.set(item.id, baseLoosePrice);
+        const looseCampaignPricing = PriceListService.getLinePricing({
           product,
           basePrice: baseLoosePrice,
           campaigns,
@@ -458,8 +305,12 @@ router.post('/create-session', auth, async (req, res) => {
             inventory: inventoryMap.get(String(product._id)),
             candidateProductIds: [product._id],
           },
+          priceList,
+          quantity: item.quantity,
+          inventoryType: 'loose',
         });
         authoritativePrice = looseCampaignPricing.effectivePrice;
+        priceSource = looseCampaignPricing.priceSource;
       }
 
       if (Math.abs(Number(item.price || 0) - authoritativePrice) > 0.0001) {
@@ -475,13 +326,16 @@ router.post('/create-session', auth, async (req, res) => {
       authoritativeItems.push({
         ...item,
         price: authoritativePrice,
+        priceSource,
       });
     }
 
     if (priceChanges.length > 0) {
       return res.status(409).json({
         success: false,
-        message: 'Cart prices were updated due to active/expired campaigns. Please confirm with updated totals.',
+        message: fromCart
+          ? 'Prices in your cart have changed since you last viewed it. Please review your cart and check out again.'
+          : 'Cart prices were updated due to active/expired campaigns. Please confirm with updated totals.',
         code: 'PRICE_CHANGED',
         data: {
           items: authoritativeItems,
@@ -490,9 +344,49 @@ router.post('/create-session', auth, async (req, res) => {
       });
     }
 
+    // Promo code: its discount goes on the lines it applies to
+    let promo = null;
+    if (promoCode) {
+      try {
+        promo = await PromoCodeService.evaluate(promoCode, buyer, authoritativeItems.map((item) => ({
+          key: item.id,
+          product: productMap.get(String(item.productId)),
+          basePrice: basePrices.get(item.id),
+          price: item.price,
+          quantity: item.quantity,
+          inventory: inventoryMap.get(String(item.productId)),
+        })));
+      } catch (promoError) {
+        if (!promoError.status) throw promoError;
+        return res.status(promoError.status).json({
+          success: false,
+          message: promoError.message,
+          code: 'PROMO_CODE_INVALID'
+        });
+      }
+
+      const promoDiscounts = new Map(promo.lines.map((line) => [line.key, line.discount]));
+      authoritativeItems.forEach((item) => {
+        item.discount = promoDiscounts.get(item.id) || 0;
+      });
+    }
+
     // Calculate totals (now async because it fetches VAT settings)
     const { items: saleItems, subtotal, totalTax, totalVAT, vatRate, grandTotal } = await calculateTotals(authoritativeItems);
 
+    if (isCashOnDelivery) {
+      try {
+        await CashOnDeliveryService.checkCodLimit(buyer, grandTotal);
+      } catch (limitError) {
+        if (!limitError.status) throw limitError;
+        return res.status(limitError.status).json({
+          success: false,
+          message: limitError.message,
+          code: limitError.code
+        });
+      }
+    }
+
     // Generate sale number
     const saleNumber = await generateSaleNumber();
 
@@ -516,15 +410,25 @@ router.post('/create-session', auth, async (req, res) => {
       totalDiscount: 0,
       shippingCost: 0,
       grandTotal,
+      promotion: promo
+        ? {
+          code: promo.promoCode.code,
+          promoCode: promo.promoCode._id,
+          campaign: promo.campaign._id,
+          discountAmount: promo.discountAmount
+        }
+        : undefined,
       cashPayment: 0,
       bankPayment: 0,
-      paymentStatus: 'awaiting_payment',
-      paymentMethod: 'stripe',
-      deliveryStatus: 'processing',
+      paymentStatus: isCashOnDelivery ? 'pending' : 'awaiting_payment',
+      paymentMethod: isCashOnDelivery ? 'cash' : 'stripe',
+      isCashOnDelivery,
+      deliveryStatus: isCashOnDelivery ? 'pending' : 'processing',
       saleType: 'retail',
       notes: notes || '',
       stockReserved: true,
-      reservationExpiresAt: new Date(Date.now() + 15 * 60 * 1000), // 15 minutes
+      // Cash-on-delivery stock stays reserved until the order is delivered or cancelled
+      reservationExpiresAt: isCashOnDelivery ? null : new Date(Date.now() + 15 * 60 * 1000), // 15 minutes
       createdBy: req.user._id
     });
 
@@ -537,6 +441,71 @@ router.post('/create-session', auth, async (req, res) => {
       });
     }
 
+    if (promo) {
+      try {
+        await PromoCodeService.reserveRedemption({
+          promoCode: promo.promoCode,
+          campaign: promo.campaign,
+          buyerId,
+          saleId: sale._id,
+          orderSubtotal: promo.orderSubtotal,
+          discountAmount: promo.discountAmount
+        });
+        reservedPromoSaleId = sale._id;
+      } catch (promoError) {
+        await releaseReservedStock(sale);
+        return res.status(promoError.status || 500).json({
+          success: false,
+          message: promoError.message,
+          code: 'PROMO_CODE_INVALID'
+        });
+      }
+    }
+
+    if (isCashOnDelivery) {
+      await sale.save();
+      try {
+        await CashOnDeliveryService.confirmCodLimit(buyer, sale);
+      } catch (limitError) {
+        if (!limitError.status) throw limitError;
+        return res.status(limitError.status).json({
+          success: false,
+          message: limitError.message,
+          code: limitError.code
+        });
+      }
+
+      const driver = await CashOnDeliveryService.findDeliveryPersonnel(deliveryAddress.city);
+      sale.deliveryPersonnel = driver?._id;
+      await sale.save();
+
+      // Nothing more to pay online, so the lines leave the cart now
+      if (cart) {
+        await CartService.startCheckout(cart, sale._id);
+        await CartService.completeCheckout(sale._id);
+      }
+
+      try {
+        await generateSaleQR(sale, req.user._id);
+      } catch (qrError) {
+        console.error('Error generating QR code:', qrError);
+      }
+
+      return res.status(201).json({
+        success: true,
+        message: driver
+          ? 'Order placed for cash on delivery'
+          : 'Order placed for cash on delivery; a driver will be assigned shortly',
+        data: {
+          saleId: sale._id,
+          saleNumber: sale.saleNumber,
+          grandTotal: sale.grandTotal,
+          paymentMethod: 'cash_on_delivery',
+          deliveryPersonnel: driver
+        }
+      });
+    }
+
     // Create Stripe Checkout session
     const frontendUrl = process.env.FRONTEND_URL || 'https://kifashion-website.vercel.app';
     
@@ -555,9 +524,23 @@ router.post('/create-session', auth, async (req, res) => {
       quantity: item.quantity
     }));
 
+    // The promo discount goes to Stripe as a one-off coupon for the exact amount
+    const discounts = [];
+    if (promo) {
+      const coupon = await stripe.coupons.create({
+        amount_off: Math.round(promo.discountAmount * 100),
+        currency: 'gbp',
+        duration: 'once',
+        max_redemptions: 1,
+        name: `Promo ${promo.promoCode.code}`.slice(0, 40)
+      });
+      discounts.push({ coupon: coupon.id });
+    }
+
     const stripeSession = await stripe.checkout.sessions.create({
       payment_method_types: ['card'],
       line_items: lineItems,
+      ...(discounts.length > 0 ? { discounts } : {}),
       mode: 'payment',
       success_url: `${frontendUrl}/order-confirmation?session_id={CHECKOUT_SESSION_ID}`,
       cancel_url: `${frontendUrl}/checkout?cancelled=true`,
@@ -574,6 +557,11 @@ router.post('/create-session', auth, async (req, res) => {
     sale.stripeSessionId = stripeSession.id;
     await sale.save();
 
+    // The cart lines leave the cart once this sale is paid
+    if (cart) {
+      await CartService.startCheckout(cart, sale._id);
+    }
+
     res.json({
       success: true,
       data: {
@@ -586,6 +574,10 @@ router.post('/create-session', auth, async (req, res) => {
 
   } catch (error) {
     console.error('Create checkout session error:', error);
+    if (reservedPromoSaleId) {
+      await PromoCodeService.releaseRedemption(reservedPromoSaleId)
+        .catch((promoError) => console.error('Error releasing promo code use:', promoError));
+    }
     res.status(500).json({
       success: false,
       message: error.message || 'Server error'
@@ -599,6 +591,7 @@ router.post('/create-session', auth, async (req, res) => {
  * @access  Public (verified by Stripe signature)
  */
 router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
+  const stripe = getStripe();
   if (!stripe) {
     return res.status(503).json({ error: 'Payment gateway not configured' });
   }
@@ -646,6 +639,12 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
       break;
     }
 
+    case 'charge.refund.updated': {
+      const refund = event.data.object;
+      await handleRefundUpdated(refund);
+      break;
+    }
+
     default:
        
   }
@@ -693,6 +692,20 @@ async function handleSuccessfulPayment(session) {
     const userId = session.metadata?.userId;
     await confirmStockDeduction(sale, userId);
 
+    try {
+      await CartService.completeCheckout(sale._id);
+    } catch (cartError) {
+      console.error('Error clearing checked-out cart lines:', cartError);
+    }
+
+    if (sale.promotion?.promoCode) {
+      try {
+        await PromoCodeService.confirmRedemption(sale._id);
+      } catch (promoError) {
+        console.error('Error confirming promo code use:', promoError);
+      }
+    }
+
     // Create ledger entries
     try {
       // Sale entry (debit)
@@ -801,6 +814,9 @@ async function handleExpiredSession(session) {
     if (sale.paymentStatus === 'awaiting_payment') {
       // Release reserved stock
       await releaseReservedStock(sale);
+      if (sale.promotion?.promoCode) {
+        await PromoCodeService.releaseRedemption(sale._id);
+      }
 
       // Update sale status
       sale.paymentStatus = 'failed';
@@ -825,6 +841,9 @@ async function handleFailedPayment(paymentIntent) {
 
     if (sale.paymentStatus === 'awaiting_payment') {
       await releaseReservedStock(sale);
+      if (sale.promotion?.promoCode) {
+        await PromoCodeService.releaseRedemption(sale._id);
+      }
 
       sale.paymentStatus = 'failed';
       sale.deliveryStatus = 'cancelled';
@@ -839,22 +858,27 @@ async function handleFailedPayment(paymentIntent) {
 }
 
 /**
- * Handle refund
+ * Handle refund: reconcile the charge's refunds with their sale returns
  */
 async function handleRefund(charge) {
   try {
-    const sale = await Sale.findOne({ stripePaymentIntentId: charge.payment_intent });
-    if (!sale) return;
-
-    sale.paymentStatus = 'refunded';
-    await sale.save();
-
-     
+    await StripeRefundService.reconcileCharge(charge);
   } catch (error) {
     console.error('Error handling refund:', error);
   }
 }
 
+/**
+ * Handle a refund changing status (e.g. pending to succeeded or failed)
+ */
+async function handleRefundUpdated(refund) {
+  try {
+    await StripeRefundService.reconcileRefund(refund);
+  } catch (error) {
+    console.error('Error handling refund update:', error);
+  }
+}
+
 /**
  * Generate invoice PDF and send email (async helper)
  */
@@ -910,6 +934,7 @@ router.get('/verify-session/:sessionId', auth, async (req, res) => {
   try {
     const { sessionId } = req.params;
 
+    const stripe = getStripe();
     if (!stripe) {
       return res.status(503).json({
         success: false,
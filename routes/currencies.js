@@ -0,0 +1,237 @@
+const express = require('express');
+const Joi = require('joi');
+const auth = require('../middleware/auth');
+const CurrencyService = require('../services/CurrencyService');
+const { logActivity } = require('../utils/auditLogger');
+
+const router = express.Router();
+
+const currencySchema = Joi.object({
+  code: Joi.string().trim().length(3).uppercase().required(),
+  name: Joi.string().trim().required(),
+  symbol: Joi.string().trim().allow('').optional()
+});
+
+const currencyUpdateSchema = Joi.object({
+  name: Joi.string().trim().optional(),
+  symbol: Joi.string().trim().allow('').optional(),
+  isActive: Joi.boolean().optional()
+}).min(1);
+
+const rateSchema = Joi.object({
+  rate: Joi.number().positive().required(),
+  effectiveDate: Joi.date().required(),
+  notes: Joi.string().allow('').optional()
+});
+
+// Currencies and exchange rates are maintained by admins
+function requireAdmin(req, res, next) {
+  if (!['admin', 'super-admin'].includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only admins can change currencies and exchange rates'
+    });
+  }
+  next();
+}
+
+// Get currencies with their latest rate
+router.get('/', auth, async (req, res) => {
+  try {
+    const data = await CurrencyService.listCurrencies({ isActive: req.query.isActive });
+
+    res.json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    console.error('Get currencies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Add a currency
+router.post('/', auth, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = currencySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const currency = await CurrencyService.createCurrency(value, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Currency created successfully',
+      data: currency
+    });
+
+    await logActivity(req, {
+      action: 'CREATE',
+      resource: 'Currency',
+      resourceId: currency._id,
+      description: `Created currency ${currency.code} (${currency.name})`
+    });
+
+  } catch (error) {
+    console.error('Create currency error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// Update a currency
+router.put('/:code', auth, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = currencyUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const currency = await CurrencyService.updateCurrency(req.params.code, value);
+
+    res.json({
+      success: true,
+      message: 'Currency updated successfully',
+      data: currency
+    });
+
+    await logActivity(req, {
+      action: 'UPDATE',
+      resource: 'Currency',
+      resourceId: currency._id,
+      description: `Updated currency ${currency.code}`,
+      changes: { old: null, new: value }
+    });
+
+  } catch (error) {
+    console.error('Update currency error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// Get the rate history of a currency
+router.get('/:code/rates', auth, async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const rates = await CurrencyService.listRates(req.params.code, { startDate, endDate });
+
+    res.json({
+      success: true,
+      data: rates
+    });
+
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Get the rate in force on a date (?date=YYYY-MM-DD, default today)
+router.get('/:code/rate', auth, async (req, res) => {
+  try {
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    if (Number.isNaN(date.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date'
+      });
+    }
+
+    const rate = await CurrencyService.getRate(req.params.code, date);
+
+    res.json({
+      success: true,
+      data: { currency: req.params.code.toUpperCase(), date, rate }
+    });
+
+  } catch (error) {
+    console.error('Get exchange rate error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error'
+    });
+  }
+});
+
+// Set the rate effective from a date (replaces the rate already entered for that date)
+router.post('/:code/rates', auth, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = rateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const exchangeRate = await CurrencyService.setRate(req.params.code, value, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      message: `${exchangeRate.currency} rate set to ${exchangeRate.rate} from ${exchangeRate.effectiveDate.toISOString().split('T')[0]}`,
+      data: exchangeRate
+    });
+
+    await logActivity(req, {
+      action: 'CREATE',
+      resource: 'ExchangeRate',
+      resourceId: exchangeRate._id,
+      description: `Set ${exchangeRate.currency} exchange rate ${exchangeRate.rate} effective ${exchangeRate.effectiveDate.toISOString().split('T')[0]}`
+    });
+
+  } catch (error) {
+    console.error('Set exchange rate error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// Delete a rate
+router.delete('/:code/rates/:rateId', auth, requireAdmin, async (req, res) => {
+  try {
+    const exchangeRate = await CurrencyService.deleteRate(req.params.code, req.params.rateId);
+
+    res.json({
+      success: true,
+      message: 'Exchange rate deleted'
+    });
+
+    await logActivity(req, {
+      action: 'DELETE',
+      resource: 'ExchangeRate',
+      resourceId: exchangeRate._id,
+      description: `Deleted ${exchangeRate.currency} exchange rate effective ${exchangeRate.effectiveDate.toISOString().split('T')[0]}`,
+      changes: { old: { rate: exchangeRate.rate, effectiveDate: exchangeRate.effectiveDate }, new: null }
+    });
+
+  } catch (error) {
+    console.error('Delete exchange rate error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+module.exports = router;
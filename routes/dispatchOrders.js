@@ -13,6 +13,7 @@ const PacketStock = require('../models/PacketStock');
 const auth = require('../middleware/auth');
 const checkPermission = require('../middleware/checkPermission');
 const dateControl = require('../middleware/dateControl');
+const periodLock = require('../middleware/periodLock');
 const EditRequestService = require('../services/EditRequestService');
 const { sendResponse, getTransactionDate } = require('../utils/helpers');
 const { logActivity } = require('../utils/auditLogger');
@@ -20,6 +21,9 @@ const { logActivity } = require('../utils/auditLogger');
 const { generateDispatchOrderQR, buildDispatchOrderQrPayload } = require('../utils/qrCode');
 const { validateImageFile, uploadImage, generateSignedUrl, generateSignedUrls, generateSignedUploadUrl, verifyFileExists, deleteImage } = require('../utils/imageUpload');
 const BalanceService = require('../services/BalanceService');
+const PurchaseOrderService = require('../services/PurchaseOrderService');
+const CurrencyService = require('../services/CurrencyService');
+const WebhookService = require('../services/WebhookService');
 const { generatePacketBarcode, generateLooseItemBarcode } = require('../utils/barcodeGenerator');
 
 const router = express.Router();
@@ -242,6 +246,21 @@ async function convertDispatchOrderImages(orders, options = {}) {
   return isArray ? ordersArray : ordersArray[0];
 }
 
+/**
+ * Exchange rate for an order: the one given, else the dated rate of a supplier
+ * invoicing in a foreign currency, else the rate already on the order
+ */
+async function resolveExchangeRate(dispatchOrder, exchangeRate) {
+  if (exchangeRate !== undefined && exchangeRate !== null) {
+    return parseFloat(exchangeRate);
+  }
+  const datedRate = await CurrencyService.getSupplierRate(
+    dispatchOrder.supplier?._id || dispatchOrder.supplier,
+    dispatchOrder.dispatchDate || new Date()
+  );
+  return datedRate || dispatchOrder.exchangeRate || 1.0;
+}
+
 /**
  * Normalize and apply admin-provided fields (items, pricing, boxes, logistics)
  * Mutates `dispatchOrder` in place and sets it to `pending-approval`.
@@ -261,9 +280,7 @@ async function normalizeDispatchOrderForAdmin(dispatchOrder, input = {}, user, o
     isTotalBoxesConfirmed
   } = input || {};
 
-  const finalExchangeRate = exchangeRate !== undefined && exchangeRate !== null
-    ? parseFloat(exchangeRate)
-    : dispatchOrder.exchangeRate || 1.0;
+  const finalExchangeRate = await resolveExchangeRate(dispatchOrder, exchangeRate);
   const finalPercentage = percentage !== undefined && percentage !== null
     ? parseFloat(percentage)
     : dispatchOrder.percentage || 0;
@@ -469,12 +486,14 @@ const dispatchItemSchema = Joi.object({
   notes: Joi.string().allow(null, '').optional(),
   // Packet management fields
   useVariantTracking: Joi.boolean().optional(),
-  packets: Joi.array().items(packetSchema).optional()
+  packets: Joi.array().items(packetSchema).optional(),
+  purchaseOrderLine: Joi.string().optional()
 });
 
 const dispatchOrderSchema = Joi.object({
   date: Joi.string().optional(),
   logisticsCompany: Joi.string().required(),
+  purchaseOrder: Joi.string().optional(),
   items: Joi.array().items(dispatchItemSchema).min(1).required(),
   dispatchDate: Joi.date().optional(),
   expectedDeliveryDate: Joi.date().optional(),
@@ -531,14 +550,16 @@ const manualEntryItemSchema = Joi.object({
   landedTotal: Joi.number().min(0).required(),
   // Packet management fields
   useVariantTracking: Joi.boolean().optional(),
-  packets: Joi.array().items(packetSchema).min(1).required()
+  packets: Joi.array().items(packetSchema).min(1).required(),
+  purchaseOrderLine: Joi.string().optional()
 });
 
 const manualEntrySchema = Joi.object({
   supplier: Joi.string().required(),
+  purchaseOrder: Joi.string().allow(null, '').optional(),
   purchaseDate: Joi.date().optional(),
   expectedDeliveryDate: Joi.date().optional(),
-  exchangeRate: Joi.number().min(0.01).required(), // Exchange rate for currency conversion
+  exchangeRate: Joi.number().min(0.01).optional(), // Exchange rate for currency conversion (defaults to the supplier currency's dated rate)
   percentage: Joi.number().min(0).required(), // Profit margin percentage
   items: Joi.array().items(manualEntryItemSchema).min(1).required(),
   subtotal: Joi.number().min(0).optional(),
@@ -558,7 +579,7 @@ const manualEntrySchema = Joi.object({
 });
 
 // Create dispatch order (Suppliers only)
-router.post('/', auth, checkPermission('dispatch_orders'), dateControl({ entityType: 'dispatch-order', dateField: 'date', requestType: 'create' }), async (req, res) => {
+router.post('/', auth, checkPermission('dispatch_orders'), periodLock({ dateField: 'date', vatDocument: true }), dateControl({ entityType: 'dispatch-order', dateField: 'date', requestType: 'create' }), async (req, res) => {
 
   try {
     if (req.user.role !== 'supplier') {
@@ -682,6 +703,15 @@ router.post('/', auth, checkPermission('dispatch_orders'), dateControl({ entityT
       return sendResponse.error(res, `All items must have packet configuration before creating an order. Unconfigured items: ${names}`, 400);
     }
 
+    // Link items to the lines of the purchase order this dispatch fulfils
+    if (req.body.purchaseOrder) {
+      try {
+        await PurchaseOrderService.linkDispatchItems(req.body.purchaseOrder, supplier._id, processedItems);
+      } catch (poError) {
+        return sendResponse.error(res, poError.message, poError.status || 400);
+      }
+    }
+
     // Set dispatch date from date field or use current date
     const dispatchDate = getTransactionDate(req.body.date);
 
@@ -718,6 +748,12 @@ router.post('/', auth, checkPermission('dispatch_orders'), dateControl({ entityT
       // Don't fail the entire creation if QR generation fails
     }
 
+    try {
+      await PurchaseOrderService.refreshStatus(dispatchOrder.purchaseOrder);
+    } catch (poError) {
+      console.error('Refresh purchase order status error (create):', poError);
+    }
+
     // Populate for response
     await dispatchOrder.populate([
       { path: 'supplier', select: 'name company' },
@@ -747,7 +783,7 @@ router.post('/', auth, checkPermission('dispatch_orders'), dateControl({ entityT
 });
 
 // Create manual entry (CRM Admin only - replaces Purchase)
-router.post('/manual', auth, dateControl({ entityType: 'dispatch-order', dateField: 'purchaseDate', requestType: 'create', allowAdminBypassWithBaseline: true }), async (req, res) => {
+router.post('/manual', auth, periodLock({ dateField: 'purchaseDate', vatDocument: true }), dateControl({ entityType: 'dispatch-order', dateField: 'purchaseDate', requestType: 'create', allowAdminBypassWithBaseline: true }), async (req, res) => {
   // Helper to normalize size/color arrays - handles strings, comma-separated strings, and arrays
   const normalizeToArray = (value) => {
     if (!value) return [];
@@ -787,6 +823,11 @@ router.post('/manual', auth, dateControl({ entityType: 'dispatch-order', dateFie
       const supplier = await Supplier.findById(value.supplier).session(session);
       if (!supplier) throw buildRequestError('Supplier not found', 400);
 
+      // Typed rate, else the dated rate of a supplier invoicing in a foreign currency
+      const orderExchangeRate = value.exchangeRate
+        || await CurrencyService.getSupplierRate(supplier._id, getTransactionDate(value.purchaseDate))
+        || 1.0;
+
       const normalizeSku = (value) => String(value || '').trim().toUpperCase();
       const itemsWithDetails = [];
 
@@ -828,9 +869,8 @@ router.post('/manual', auth, dateControl({ entityType: 'dispatch-order', dateFie
         }
 
         const costPrice = item.costPrice || (product ? product.pricing?.costPrice : 0);
-        const exchangeRate = value.exchangeRate || 1.0;
         const percentage = value.percentage || 0;
-        const landedPrice = truncateToTwoDecimals((costPrice / exchangeRate) * (1 + (percentage / 100)));
+        const landedPrice = truncateToTwoDecimals((costPrice / orderExchangeRate) * (1 + (percentage / 100)));
         const landedTotal = item.landedTotal ? truncateToTwoDecimals(item.landedTotal) : truncateToTwoDecimals(landedPrice * item.quantity);
 
         itemsWithDetails.push({
@@ -844,10 +884,15 @@ router.post('/manual', auth, dateControl({ entityType: 'dispatch-order', dateFie
           packets: item.packets,
           size: item.size,
           primaryColor: item.primaryColor,
-          material: item.material
+          material: item.material,
+          purchaseOrderLine: item.purchaseOrderLine
         });
       }
 
+      if (value.purchaseOrder) {
+        await PurchaseOrderService.linkDispatchItems(value.purchaseOrder, supplier._id, itemsWithDetails, session);
+      }
+
       const supplierPaymentTotal = itemsWithDetails.reduce((sum, item) => sum + ((item.costPrice || 0) * item.quantity), 0);
       const subtotal = itemsWithDetails.reduce((sum, item) => sum + (item.landedTotal || 0), 0);
       const totalDiscount = value.totalDiscount || 0;
@@ -868,7 +913,10 @@ router.post('/manual', auth, dateControl({ entityType: 'dispatch-order', dateFie
         supplier: value.supplier,
         supplierUser: supplier.userId || null,
         logisticsCompany: value.logisticsCompany || null,
+        purchaseOrder: value.purchaseOrder || null,
         dispatchDate: getTransactionDate(value.purchaseDate),
+        exchangeRate: orderExchangeRate,
+        percentage: value.percentage || 0,
         items: itemsWithDetails,
         status: 'confirmed',
         confirmedAt: new Date(),
@@ -1102,7 +1150,7 @@ router.post('/manual', auth, dateControl({ entityType: 'dispatch-order', dateFie
           purchaseDate: transactionDate,
           costPrice: item.costPrice,
           landedPrice: item.landedPrice,
-          exchangeRate: value.exchangeRate || 1.0
+          exchangeRate: orderExchangeRate
         };
 
         if (item.packets?.length > 0) {
@@ -1190,6 +1238,12 @@ router.post('/manual', auth, dateControl({ entityType: 'dispatch-order', dateFie
     const orderObj = dispatchOrder.toObject();
     await convertDispatchOrderImages(orderObj);
 
+    try {
+      await PurchaseOrderService.refreshStatus(dispatchOrder.purchaseOrder);
+    } catch (poError) {
+      console.error('Refresh purchase order status error (manual):', poError);
+    }
+
     await logActivity(req, {
       action: 'CREATE',
       resource: 'Purchase',
@@ -1231,7 +1285,7 @@ router.post('/manual', auth, dateControl({ entityType: 'dispatch-order', dateFie
 // Get dispatch orders
 router.get('/', auth, async (req, res) => {
   try {
-    const { page = 1, limit = 20, status, supplier: supplierId, supplierUser, search } = req.query;
+    const { page = 1, limit = 20, status, supplier: supplierId, supplierUser, search, purchaseOrder } = req.query;
 
     let query = {};
 
@@ -1271,6 +1325,10 @@ router.get('/', auth, async (req, res) => {
       }
     }
 
+    if (purchaseOrder) {
+      query.purchaseOrder = purchaseOrder;
+    }
+
     if (status) {
       // Support comma-separated statuses for multiple status filtering
       const statusArray = status.split(',').map(s => s.trim()).filter(Boolean);
@@ -1284,6 +1342,7 @@ router.get('/', auth, async (req, res) => {
     const orders = await DispatchOrder.find(query)
       .populate('supplier', 'name company')
       .populate('logisticsCompany', 'name code')
+      .populate('purchaseOrder', 'poNumber status')
       .populate('createdBy', 'name')
       .populate('confirmedBy', 'name')
       .populate('items.product', 'name sku unit images color size productCode pricing')
@@ -1376,6 +1435,7 @@ router.get('/:id', auth, async (req, res) => {
     const order = await DispatchOrder.findById(req.params.id)
       .populate('supplier', 'name company contactInfo')
       .populate('logisticsCompany', 'name code contactInfo rates')
+      .populate('purchaseOrder', 'poNumber status deliveryWindow')
       .populate('createdBy', 'name')
       .populate('confirmedBy', 'name')
       .populate('items.product', 'name sku unit images color size productCode pricing')
@@ -1478,7 +1538,7 @@ router.get('/:id/packet-stocks', auth, async (req, res) => {
 });
 
 // Update dispatch order status
-router.patch('/:id/status', auth, async (req, res) => {
+router.patch('/:id/status', auth, periodLock({ entityModel: DispatchOrder, existingDateField: 'dispatchDate', vatDocument: true }), async (req, res) => {
   try {
     const { status, notes, trackingNumber, actualDeliveryDate } = req.body;
 
@@ -1492,6 +1552,7 @@ router.patch('/:id/status', auth, async (req, res) => {
       return sendResponse.error(res, 'Access denied', 403);
     }
 
+    const previousStatus = order.status;
     order.status = status;
     if (notes) order.notes = notes;
     if (trackingNumber) {
@@ -1502,14 +1563,33 @@ router.patch('/:id/status', auth, async (req, res) => {
 
     await order.save();
 
+    try {
+      await PurchaseOrderService.refreshStatus(order.purchaseOrder);
+    } catch (poError) {
+      console.error('Refresh purchase order status error (status):', poError);
+    }
+
     await logActivity(req, {
       action: 'STATUS_CHANGE',
       resource: 'DispatchOrder',
       resourceId: order._id,
       description: `Updated status of dispatch order ${order.orderNumber} to ${status}`,
-      changes: { old: order.status, new: status, notes }
+      changes: { old: previousStatus, new: status, notes }
     });
 
+    if (previousStatus !== status) {
+      await WebhookService.emit('dispatch_order.status_changed', {
+        dispatchOrderId: order._id,
+        orderNumber: order.orderNumber,
+        supplierId: order.supplier,
+        previousStatus,
+        status,
+        trackingNumber: order.trackingInfo?.trackingNumber,
+        actualDeliveryDate: order.actualDeliveryDate,
+        changedBy: req.user._id
+      });
+    }
+
     return sendResponse.success(res, order, 'Order status updated successfully');
 
   } catch (error) {
@@ -1519,7 +1599,7 @@ router.patch('/:id/status', auth, async (req, res) => {
 });
 
 // Submit dispatch order for approval (Admin only)
-router.post('/:id/submit-approval', auth, async (req, res) => {
+router.post('/:id/submit-approval', auth, periodLock({ dateField: 'dispatchDate', entityModel: DispatchOrder, existingDateField: 'dispatchDate', vatDocument: true }), async (req, res) => {
   try {
     // Only admin can submit for approval
     if (req.user.role !== 'admin') {
@@ -1582,6 +1662,7 @@ router.post('/:id/submit-approval', auth, async (req, res) => {
 router.post(
   '/:id/confirm',
   auth,
+  periodLock({ dateField: 'dispatchDate', entityModel: DispatchOrder, existingDateField: 'dispatchDate', vatDocument: true }),
   dateControl({
     entityType: 'dispatch-order',
     dateField: 'dispatchDate',
@@ -1636,9 +1717,7 @@ router.post(
           );
         }
 
-        const finalExchangeRate = exchangeRate !== undefined && exchangeRate !== null
-          ? parseFloat(exchangeRate)
-          : dispatchOrder.exchangeRate || 1.0;
+        const finalExchangeRate = await resolveExchangeRate(dispatchOrder, exchangeRate);
         const finalPercentage = percentage !== undefined && percentage !== null
           ? parseFloat(percentage)
           : dispatchOrder.percentage || 0;
@@ -2192,7 +2271,7 @@ router.get('/:id/edit-impact', auth, async (req, res) => {
 // Creates a Ledger adjustment entry if the supplier payment total changes.
 // Super-admin only.
 // ==========================================
-router.patch('/:id/edit-confirmed', auth, async (req, res) => {
+router.patch('/:id/edit-confirmed', auth, periodLock({ dateField: 'dispatchDate', entityModel: DispatchOrder, existingDateField: 'dispatchDate', vatDocument: true }), async (req, res) => {
   try {
     if (req.user.role !== 'super-admin') {
       return sendResponse.error(res, 'Direct edits are not permitted. Please submit an edit request for approval.', 403);
@@ -2884,37 +2963,49 @@ router.get('/qr/:qrData', async (req, res) => {
   }
 });
 
+// Dispatch order QR payload from the request body, or decoded from the URL parameter; null when unreadable
+function decodeDispatchQrPayload(req) {
+  if (req.body?.qrPayload) {
+    return req.body.qrPayload;
+  }
+
+  const { qrData } = req.params;
+  try {
+    return JSON.parse(decodeURIComponent(qrData));
+  } catch (parseError1) {
+    try {
+      return JSON.parse(Buffer.from(qrData, 'base64').toString('utf-8'));
+    } catch (parseError2) {
+      try {
+        return JSON.parse(qrData);
+      } catch (e) {
+        return null;
+      }
+    }
+  }
+}
+
 // Confirm dispatch order via QR scan (mobile app endpoint)
-router.post('/qr/:qrData/confirm', auth, async (req, res) => {
+router.post('/qr/:qrData/confirm', auth, periodLock({
+  getExistingDate: async (req) => {
+    const payload = decodeDispatchQrPayload(req);
+    if (!payload?.dispatchOrderId || !mongoose.Types.ObjectId.isValid(payload.dispatchOrderId)) return null;
+    const order = await DispatchOrder.findById(payload.dispatchOrderId).select('dispatchDate createdAt').lean();
+    return order && (order.dispatchDate || order.createdAt);
+  },
+  vatDocument: true
+}), async (req, res) => {
   try {
     // Only admin/manager can confirm via QR scan
     if (!['super-admin', 'admin', 'employee'].includes(req.user.role)) {
       return sendResponse.error(res, 'Only admins and managers can confirm dispatch orders', 403);
     }
 
-    const { qrData } = req.params;
-    const { cashPayment = 0, bankPayment = 0, qrPayload, exchangeRate, percentage } = req.body;
+    const { cashPayment = 0, bankPayment = 0, exchangeRate, percentage } = req.body;
 
-    // Decode QR data - can come from URL param or request body
-    let payload;
-    if (qrPayload) {
-      // If payload is in request body, use it directly
-      payload = qrPayload;
-    } else {
-      // Otherwise, decode from URL parameter
-      try {
-        payload = JSON.parse(decodeURIComponent(qrData));
-      } catch (parseError1) {
-        try {
-          payload = JSON.parse(Buffer.from(qrData, 'base64').toString('utf-8'));
-        } catch (parseError2) {
-          try {
-            payload = JSON.parse(qrData);
-          } catch (e) {
-            return sendResponse.error(res, 'Invalid QR code data format', 400);
-          }
-        }
-      }
+    const payload = decodeDispatchQrPayload(req);
+    if (!payload) {
+      return sendResponse.error(res, 'Invalid QR code data format', 400);
     }
 
     // Validate payload
@@ -2934,9 +3025,7 @@ router.post('/qr/:qrData/confirm', auth, async (req, res) => {
     }
 
     // Validate and set exchange rate and percentage from admin input
-    const finalExchangeRate = exchangeRate !== undefined && exchangeRate !== null
-      ? parseFloat(exchangeRate)
-      : dispatchOrder.exchangeRate || 1.0;
+    const finalExchangeRate = await resolveExchangeRate(dispatchOrder, exchangeRate);
     const finalPercentage = percentage !== undefined && percentage !== null
       ? parseFloat(percentage)
       : dispatchOrder.percentage || 0;
@@ -3006,6 +3095,9 @@ router.post('/qr/:qrData/confirm', auth, async (req, res) => {
     const subtotal = landedPriceTotal;
     const grandTotal = Math.max(0, subtotal - totalDiscount);
 
+    // Ledger entries are dated on the dispatch date, as in POST /:id/confirm
+    const transactionDate = dispatchOrder.dispatchDate || new Date();
+
     // Update dispatch order
     dispatchOrder.status = 'confirmed';
     dispatchOrder.confirmedAt = new Date();
@@ -3445,7 +3537,7 @@ router.post('/qr/:qrData/confirm', auth, async (req, res) => {
 });
 
 // Update dispatch order (only pending orders)
-router.put('/:id', auth, async (req, res) => {
+router.put('/:id', auth, periodLock({ dateField: ['date', 'dispatchDate'], entityModel: DispatchOrder, existingDateField: 'dispatchDate', vatDocument: true }), async (req, res) => {
   try {
     const dispatchOrder = await DispatchOrder.findById(req.params.id);
 
@@ -3514,6 +3606,7 @@ router.put('/:id', auth, async (req, res) => {
         if (item.material) processedItem.material = item.material;
         if (item.description) processedItem.description = item.description;
         if (item.productImage) processedItem.productImage = item.productImage;
+        if (item.purchaseOrderLine) processedItem.purchaseOrderLine = item.purchaseOrderLine;
 
         return processedItem;
       });
@@ -3524,6 +3617,20 @@ router.put('/:id', auth, async (req, res) => {
           if (dispatchOrder.items[i] && dispatchOrder.items[i]._id) {
             processedItems[i]._id = dispatchOrder.items[i]._id;
           }
+          if (!processedItems[i].purchaseOrderLine && dispatchOrder.items[i]?.purchaseOrderLine) {
+            processedItems[i].purchaseOrderLine = dispatchOrder.items[i].purchaseOrderLine;
+          }
+        }
+      }
+
+      // Re-link items to the purchase order lines; a fulfilled or closed PO only blocks added quantity
+      if (dispatchOrder.purchaseOrder) {
+        try {
+          await PurchaseOrderService.linkDispatchItems(dispatchOrder.purchaseOrder, dispatchOrder.supplier, processedItems, null, {
+            previousItems: dispatchOrder.items
+          });
+        } catch (poError) {
+          return sendResponse.error(res, poError.message, poError.status || 400);
         }
       }
 
@@ -3556,6 +3663,12 @@ router.put('/:id', auth, async (req, res) => {
     }
     await dispatchOrder.save();
 
+    try {
+      await PurchaseOrderService.refreshStatus(dispatchOrder.purchaseOrder);
+    } catch (poError) {
+      console.error('Refresh purchase order status error (update):', poError);
+    }
+
     // Populate for response
     await dispatchOrder.populate([
       { path: 'supplier', select: 'name company' },
@@ -3585,7 +3698,7 @@ router.put('/:id', auth, async (req, res) => {
 });
 
 // Delete dispatch order (super-admin can delete any status; admin/supplier only pending)
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, periodLock({ entityModel: DispatchOrder, existingDateField: 'dispatchDate', vatDocument: true }), async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
@@ -3640,6 +3753,13 @@ router.delete('/:id', auth, async (req, res) => {
       await DispatchOrder.findByIdAndDelete(req.params.id).session(session);
       await session.commitTransaction();
       session.endSession();
+
+      try {
+        await PurchaseOrderService.refreshStatus(dispatchOrder.purchaseOrder);
+      } catch (poError) {
+        console.error('Refresh purchase order status error (delete):', poError);
+      }
+
       // Log the activity
       await logActivity(req, {
         action: 'DELETE',
@@ -3784,6 +3904,12 @@ router.delete('/:id', auth, async (req, res) => {
     session.endSession();
     console.log(`[Clean Delete] Success: Order ${dispatchOrder.orderNumber} deleted.`);
 
+    try {
+      await PurchaseOrderService.refreshStatus(dispatchOrder.purchaseOrder);
+    } catch (poError) {
+      console.error('Refresh purchase order status error (delete):', poError);
+    }
+
     // Log the activity
     await logActivity(req, {
       action: 'DELETE',
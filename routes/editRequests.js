@@ -3,6 +3,7 @@ const mongoose = require('mongoose');
 const EditRequest = require('../models/EditRequest');
 const auth = require('../middleware/auth');
 const EditRequestService = require('../services/EditRequestService');
+const WebhookService = require('../services/WebhookService');
 const { logActivity } = require('../utils/auditLogger');
 
 const router = express.Router();
@@ -238,6 +239,17 @@ router.patch('/:id/approve', auth, async (req, res) => {
       changes: { old: 'pending', new: 'approved', reviewNote }
     });
 
+    await WebhookService.emit('edit_request.approved', {
+      editRequestId: result.editRequest._id,
+      requestNumber: result.editRequest.requestNumber,
+      requestType: result.editRequest.requestType,
+      entityType: result.editRequest.entityType,
+      entityId: result.editRequest.entityId,
+      requestedBy: result.editRequest.requestedBy?._id || result.editRequest.requestedBy,
+      approvedBy: req.user._id,
+      reviewNote
+    });
+
     res.json({
       success: true,
       message: `Request ${result.editRequest.requestNumber} approved and applied`,
@@ -245,7 +257,7 @@ router.patch('/:id/approve', auth, async (req, res) => {
       editRequest: result.editRequest
     });
   } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+    res.status(error.status || 500).json({ success: false, message: error.message });
   }
 });
 
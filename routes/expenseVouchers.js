@@ -1,43 +1,32 @@
 const express = require('express');
-const Joi = require('joi');
 const ExpenseVoucher = require('../models/ExpenseVoucher');
+const Settings = require('../models/Settings');
 const auth = require('../middleware/auth');
+const checkPermission = require('../middleware/checkPermission');
+const dateControl = require('../middleware/dateControl');
+const periodLock = require('../middleware/periodLock');
+const { logActivity } = require('../utils/auditLogger');
 const { getTransactionDate } = require('../utils/helpers');
+const { schemas } = require('../utils/validation');
 
 const router = express.Router();
 
-const expenseVoucherSchema = Joi.object({
-  date: Joi.date().default(Date.now),
-  name: Joi.string().min(2).max(200).required(),
-  amount: Joi.number().min(0).required(),
-  paymentMethod: Joi.string().valid('cash', 'card', 'bank_transfer', 'cheque', 'online').required(),
-  remarks: Joi.string().optional(),
-  category: Joi.string().optional(),
-  attachments: Joi.array().items(Joi.string()).optional()
-});
-
-const generateVoucherNumber = async () => {
-  const today = new Date();
-  const year = today.getFullYear();
-  const month = String(today.getMonth() + 1).padStart(2, '0');
-
-  const prefix = `EV${year}${month}`;
-  const lastVoucher = await ExpenseVoucher.findOne({
-    voucherNumber: { $regex: `^${prefix}` }
-  }).sort({ voucherNumber: -1 });
-
-  let nextNumber = 1;
-  if (lastVoucher) {
-    const lastNumber = parseInt(lastVoucher.voucherNumber.slice(-4));
-    nextNumber = lastNumber + 1;
-  }
-
-  return `${prefix}${String(nextNumber).padStart(4, '0')}`;
+/**
+ * Highest voucher amount the given role may approve.
+ * Returns Infinity for no limit and null when the role cannot approve vouchers at all.
+ */
+const getApprovalLimit = async (role) => {
+  if (role === 'super-admin') return Infinity;
+  if (!Settings.schema.path(`voucherApprovalLimits.${role}`)) return null;
+
+  const settings = await Settings.getSettings();
+  const limit = settings.get(`voucherApprovalLimits.${role}`);
+  return limit === null || limit === undefined ? Infinity : limit;
 };
 
-router.post('/', auth, async (req, res) => {
+router.post('/', auth, checkPermission('expenses'), periodLock({ dateField: 'date' }), dateControl({ entityType: 'expense-voucher', dateField: 'date', requestType: 'create' }), async (req, res) => {
   try {
-    const { error } = expenseVoucherSchema.validate(req.body);
+    const { error } = schemas.expenseVoucher.validate(req.body);
     if (error) {
       return res.status(400).json({
         success: false,
@@ -45,12 +34,13 @@ router.post('/', auth, async (req, res) => {
       });
     }
 
-    const voucherNumber = await generateVoucherNumber();
+    const voucherNumber = await ExpenseVoucher.generateVoucherNumber();
 
     const voucher = new ExpenseVoucher({
       ...req.body,
       date: getTransactionDate(req.body.date),
       voucherNumber,
+      status: 'pending',
       createdBy: req.user._id
     });
 
@@ -60,6 +50,14 @@ router.post('/', auth, async (req, res) => {
       .populate('createdBy', 'name')
       .populate('approvedBy', 'name');
 
+    await logActivity(req, {
+      action: 'CREATE',
+      resource: 'ExpenseVoucher',
+      resourceId: voucher._id,
+      description: `Created expense voucher ${voucher.voucherNumber}: ${voucher.name} (£${voucher.amount})`,
+      changes: { old: null, new: voucher.toObject() }
+    });
+
     res.status(201).json({
       success: true,
       message: 'Expense voucher created successfully',
@@ -74,7 +72,7 @@ router.post('/', auth, async (req, res) => {
   }
 });
 
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, checkPermission('expenses'), async (req, res) => {
   try {
     const {
       page = 1,
@@ -140,7 +138,7 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, checkPermission('expenses'), async (req, res) => {
   try {
     const voucher = await ExpenseVoucher.findById(req.params.id)
       .populate('createdBy', 'name email')
@@ -166,9 +164,36 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
-router.put('/:id', auth, async (req, res) => {
+// Only pending vouchers can be edited: approved ones have already been posted to cash-in-hand.
+// Checked before dateControl so a backdated edit of an approved voucher is not queued as an edit request.
+const requirePendingVoucher = async (req, res, next) => {
   try {
-    const { error } = expenseVoucherSchema.validate(req.body);
+    const voucher = await ExpenseVoucher.findById(req.params.id).select('status').lean();
+    if (!voucher) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense voucher not found'
+      });
+    }
+    if (voucher.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot edit a voucher with status '${voucher.status}'`
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Check expense voucher status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+router.put('/:id', auth, checkPermission('expenses'), requirePendingVoucher, periodLock({ dateField: 'date', entityModel: ExpenseVoucher, existingDateField: 'date' }), dateControl({ entityType: 'expense-voucher', dateField: 'date', requestType: 'update', compareToExisting: true, entityModel: ExpenseVoucher }), async (req, res) => {
+  try {
+    const { error } = schemas.expenseVoucher.validate(req.body);
     if (error) {
       return res.status(400).json({
         success: false,
@@ -176,20 +201,40 @@ router.put('/:id', auth, async (req, res) => {
       });
     }
 
+    const existingVoucher = await ExpenseVoucher.findById(req.params.id);
+    if (!existingVoucher) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense voucher not found'
+      });
+    }
+    if (existingVoucher.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot edit a voucher with status '${existingVoucher.status}'`
+      });
+    }
+
+    const updateData = { ...req.body };
+    if (req.body.date) {
+      updateData.date = getTransactionDate(req.body.date, existingVoucher.date);
+    }
+
     const voucher = await ExpenseVoucher.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updateData,
       { new: true, runValidators: true }
     )
       .populate('createdBy', 'name')
       .populate('approvedBy', 'name');
 
-    if (!voucher) {
-      return res.status(404).json({
-        success: false,
-        message: 'Expense voucher not found'
-      });
-    }
+    await logActivity(req, {
+      action: 'UPDATE',
+      resource: 'ExpenseVoucher',
+      resourceId: voucher._id,
+      description: `Updated expense voucher ${voucher.voucherNumber}: ${voucher.name}`,
+      changes: { old: existingVoucher.toObject(), new: voucher.toObject() }
+    });
 
     res.json({
       success: true,
@@ -205,13 +250,44 @@ router.put('/:id', auth, async (req, res) => {
   }
 });
 
-router.patch('/:id/approve', auth, async (req, res) => {
+router.patch('/:id/approve', auth, checkPermission('expenses'), periodLock({ entityModel: ExpenseVoucher, existingDateField: 'date' }), async (req, res) => {
   try {
-    const voucher = await ExpenseVoucher.findByIdAndUpdate(
-      req.params.id,
+    const existingVoucher = await ExpenseVoucher.findById(req.params.id);
+    if (!existingVoucher) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense voucher not found'
+      });
+    }
+    if (existingVoucher.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot approve a voucher with status '${existingVoucher.status}'`
+      });
+    }
+
+    const approvalLimit = await getApprovalLimit(req.user.role);
+    if (approvalLimit === null) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your role cannot approve expense vouchers'
+      });
+    }
+    if (existingVoucher.amount > approvalLimit) {
+      return res.status(403).json({
+        success: false,
+        message: `Voucher amount (${existingVoucher.amount}) exceeds your approval limit (${approvalLimit})`,
+        approvalLimit
+      });
+    }
+
+    // Conditional update so two concurrent approvals cannot both succeed
+    const voucher = await ExpenseVoucher.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending' },
       {
         status: 'approved',
-        approvedBy: req.user._id
+        approvedBy: req.user._id,
+        approvedAt: new Date()
       },
       { new: true }
     )
@@ -219,12 +295,20 @@ router.patch('/:id/approve', auth, async (req, res) => {
       .populate('approvedBy', 'name');
 
     if (!voucher) {
-      return res.status(404).json({
+      return res.status(409).json({
         success: false,
-        message: 'Expense voucher not found'
+        message: 'Expense voucher was changed by another request, please refresh'
       });
     }
 
+    await logActivity(req, {
+      action: 'APPROVE',
+      resource: 'ExpenseVoucher',
+      resourceId: voucher._id,
+      description: `Approved expense voucher ${voucher.voucherNumber} (£${voucher.amount})`,
+      changes: { old: 'pending', new: 'approved' }
+    });
+
     res.json({
       success: true,
       message: 'Expense voucher approved successfully',
@@ -239,13 +323,15 @@ router.patch('/:id/approve', auth, async (req, res) => {
   }
 });
 
-router.patch('/:id/reject', auth, async (req, res) => {
+router.patch('/:id/reject', auth, checkPermission('expenses'), periodLock({ entityModel: ExpenseVoucher, existingDateField: 'date' }), async (req, res) => {
   try {
-    const voucher = await ExpenseVoucher.findByIdAndUpdate(
-      req.params.id,
+    const voucher = await ExpenseVoucher.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending' },
       {
         status: 'rejected',
-        approvedBy: req.user._id
+        approvedBy: req.user._id,
+        approvedAt: new Date(),
+        rejectionReason: req.body.reason
       },
       { new: true }
     )
@@ -255,10 +341,18 @@ router.patch('/:id/reject', auth, async (req, res) => {
     if (!voucher) {
       return res.status(404).json({
         success: false,
-        message: 'Expense voucher not found'
+        message: 'Pending expense voucher not found'
       });
     }
 
+    await logActivity(req, {
+      action: 'REJECT',
+      resource: 'ExpenseVoucher',
+      resourceId: voucher._id,
+      description: `Rejected expense voucher ${voucher.voucherNumber}`,
+      changes: { old: 'pending', new: 'rejected', reason: req.body.reason }
+    });
+
     res.json({
       success: true,
       message: 'Expense voucher rejected successfully',
@@ -273,9 +367,9 @@ router.patch('/:id/reject', auth, async (req, res) => {
   }
 });
 
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, checkPermission('expenses'), periodLock({ entityModel: ExpenseVoucher, existingDateField: 'date' }), async (req, res) => {
   try {
-    const voucher = await ExpenseVoucher.findByIdAndDelete(req.params.id);
+    const voucher = await ExpenseVoucher.findById(req.params.id);
 
     if (!voucher) {
       return res.status(404).json({
@@ -284,6 +378,24 @@ router.delete('/:id', auth, async (req, res) => {
       });
     }
 
+    // Approved vouchers are part of cash-in-hand and P&L history
+    if (['approved', 'paid'].includes(voucher.status) && req.user.role !== 'super-admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only super-admins can delete approved expense vouchers'
+      });
+    }
+
+    await ExpenseVoucher.findByIdAndDelete(req.params.id);
+
+    await logActivity(req, {
+      action: 'DELETE',
+      resource: 'ExpenseVoucher',
+      resourceId: voucher._id,
+      description: `Deleted expense voucher ${voucher.voucherNumber}: ${voucher.name}`,
+      changes: { old: voucher.toObject(), new: null }
+    });
+
     res.json({
       success: true,
       message: 'Expense voucher deleted successfully'
@@ -297,4 +409,4 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
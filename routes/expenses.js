@@ -2,12 +2,15 @@ const express = require('express');
 const mongoose = require('mongoose');
 const Joi = require('joi');
 const Expense = require('../models/Expense');
+const ExpenseVoucher = require('../models/ExpenseVoucher');
 const CostType = require('../models/CostType');
 const auth = require('../middleware/auth');
 const checkPermission = require('../middleware/checkPermission');
 const { logActivity } = require('../utils/auditLogger');
 const dateControl = require('../middleware/dateControl');
+const periodLock = require('../middleware/periodLock');
 const { getTransactionDate } = require('../utils/helpers');
+const RecurringExpenseService = require('../services/RecurringExpenseService');
 
 
 const router = express.Router();
@@ -26,34 +29,16 @@ const expenseSchema = Joi.object({
   receiptNumber: Joi.string().optional(),
   taxAmount: Joi.number().min(0).default(0),
   isRecurring: Joi.boolean().default(false),
-  recurringFrequency: Joi.string().valid('daily', 'weekly', 'monthly', 'quarterly', 'yearly').optional(),
+  recurringFrequency: Joi.string().valid('daily', 'weekly', 'monthly', 'quarterly', 'yearly')
+    .when('isRecurring', { is: true, then: Joi.required(), otherwise: Joi.optional() }),
   nextRecurringDate: Joi.date().optional(),
+  recurringEndDate: Joi.date().allow(null).optional(),
   attachments: Joi.array().items(Joi.string()).optional(),
   notes: Joi.string().optional()
 });
 
-// Generate expense number
-const generateExpenseNumber = async () => {
-  const today = new Date();
-  const year = today.getFullYear();
-  const month = String(today.getMonth() + 1).padStart(2, '0');
-
-  const prefix = `EXP${year}${month}`;
-  const lastExpense = await Expense.findOne({
-    expenseNumber: { $regex: `^${prefix}` }
-  }).sort({ expenseNumber: -1 });
-
-  let nextNumber = 1;
-  if (lastExpense) {
-    const lastNumber = parseInt(lastExpense.expenseNumber.slice(-4));
-    nextNumber = lastNumber + 1;
-  }
-
-  return `${prefix}${String(nextNumber).padStart(4, '0')}`;
-};
-
 // Create expense
-router.post('/', auth, checkPermission('expenses'), dateControl({ entityType: 'expense', dateField: 'expenseDate', requestType: 'create' }), async (req, res) => {
+router.post('/', auth, checkPermission('expenses'), periodLock({ dateField: 'expenseDate', vatDocument: true }), dateControl({ entityType: 'expense', dateField: 'expenseDate', requestType: 'create' }), async (req, res) => {
 
   try {
     const { error } = expenseSchema.validate(req.body);
@@ -73,7 +58,7 @@ router.post('/', auth, checkPermission('expenses'), dateControl({ entityType: 'e
       });
     }
 
-    const expenseNumber = await generateExpenseNumber();
+    const expenseNumber = await Expense.generateExpenseNumber();
 
     const amount = Number(req.body.amount || 0);
     const paymentMethod = req.body.paymentMethod;
@@ -83,9 +68,18 @@ router.post('/', auth, checkPermission('expenses'), dateControl({ entityType: 'e
     const status = 'approved';
     const approvedBy = req.user._id;
 
+    const expenseDate = getTransactionDate(req.body.expenseDate);
+
+    // The template itself is the first occurrence; the scheduler generates the following ones
+    let nextRecurringDate = req.body.nextRecurringDate;
+    if (req.body.isRecurring && req.body.recurringFrequency && !nextRecurringDate) {
+      nextRecurringDate = RecurringExpenseService.getFirstRecurrenceDate(expenseDate, req.body.recurringFrequency);
+    }
+
     const expense = new Expense({
       ...req.body,
-      expenseDate: getTransactionDate(req.body.expenseDate),
+      expenseDate,
+      nextRecurringDate,
       amount,
       cashAmount,
       bankAmount,
@@ -249,6 +243,235 @@ router.get('/', auth, checkPermission('expenses'), async (req, res) => {
   }
 });
 
+// List upcoming occurrences of all active recurring expenses
+router.get('/recurring/upcoming', auth, checkPermission('expenses'), async (req, res) => {
+
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 366);
+    const until = new Date();
+    until.setDate(until.getDate() + days);
+
+    const templates = await Expense.find({
+      isRecurring: true,
+      nextRecurringDate: { $ne: null, $lte: until }
+    })
+      .populate('costType', 'id name category')
+      .sort({ nextRecurringDate: 1 });
+
+    const occurrences = [];
+    for (const template of templates) {
+      for (const occurrence of RecurringExpenseService.getUpcomingOccurrences(template, until, 400)) {
+        occurrences.push({
+          template: template._id,
+          expenseNumber: template.expenseNumber,
+          description: template.description,
+          costType: template.costType,
+          amount: template.amount,
+          paymentMethod: template.paymentMethod,
+          recurringFrequency: template.recurringFrequency,
+          date: occurrence.date,
+          skipped: occurrence.skipped
+        });
+      }
+    }
+    occurrences.sort((a, b) => a.date - b.date);
+
+    const totalAmount = occurrences
+      .filter(o => !o.skipped)
+      .reduce((sum, o) => sum + (o.amount || 0), 0);
+
+    res.json({
+      success: true,
+      data: occurrences,
+      summary: {
+        days,
+        series: templates.length,
+        occurrences: occurrences.length,
+        totalAmount
+      }
+    });
+
+  } catch (error) {
+    console.error('Get upcoming recurring expenses error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Skip one occurrence of a recurring expense (defaults to the next one)
+router.patch('/:id/recurring/skip', auth, checkPermission('expenses'), async (req, res) => {
+
+  try {
+    const { error } = Joi.object({ date: Joi.date().optional() }).validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const { template, skippedDate } = await RecurringExpenseService.skipOccurrence(req.params.id, req.body.date);
+
+    await logActivity(req, {
+      action: 'UPDATE',
+      resource: 'Expense',
+      resourceId: template._id,
+      description: `Skipped ${skippedDate.toDateString()} occurrence of recurring expense ${template.expenseNumber}`,
+      changes: { old: null, new: { skippedDate } }
+    });
+
+    res.json({
+      success: true,
+      message: 'Occurrence skipped successfully',
+      data: template
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Skip recurring expense error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// End a recurring series; occurrences after endDate (default today) are not generated
+router.patch('/:id/recurring/end', auth, checkPermission('expenses'), async (req, res) => {
+
+  try {
+    const { error } = Joi.object({ endDate: Joi.date().optional() }).validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const template = await RecurringExpenseService.endSeries(req.params.id, req.body.endDate);
+
+    await logActivity(req, {
+      action: 'UPDATE',
+      resource: 'Expense',
+      resourceId: template._id,
+      description: `Ended recurring expense ${template.expenseNumber} on ${template.recurringEndDate.toDateString()}`,
+      changes: { old: null, new: { recurringEndDate: template.recurringEndDate, isRecurring: template.isRecurring } }
+    });
+
+    res.json({
+      success: true,
+      message: 'Recurring expense ended successfully',
+      data: template
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('End recurring expense error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Approve a pending expense (e.g. one generated from a recurring series)
+router.patch('/:id/approve', auth, checkPermission('expenses'), periodLock({ entityModel: Expense, existingDateField: 'expenseDate', vatDocument: true }), async (req, res) => {
+
+  try {
+    const expense = await Expense.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending' },
+      { status: 'approved', approvedBy: req.user._id },
+      { new: true }
+    )
+      .populate('costType', 'id name category')
+      .populate('createdBy', 'name')
+      .populate('approvedBy', 'name');
+
+    if (!expense) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending expense not found'
+      });
+    }
+
+    await logActivity(req, {
+      action: 'APPROVE',
+      resource: 'Expense',
+      resourceId: expense._id,
+      description: `Approved expense ${expense.expenseNumber} (£${expense.amount})`,
+      changes: { old: 'pending', new: 'approved' }
+    });
+
+    res.json({
+      success: true,
+      message: 'Expense approved successfully',
+      data: expense
+    });
+
+  } catch (error) {
+    console.error('Approve expense error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Reject a pending expense
+router.patch('/:id/reject', auth, checkPermission('expenses'), periodLock({ entityModel: Expense, existingDateField: 'expenseDate', vatDocument: true }), async (req, res) => {
+
+  try {
+    const expense = await Expense.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending' },
+      { status: 'rejected', approvedBy: req.user._id },
+      { new: true }
+    )
+      .populate('costType', 'id name category')
+      .populate('createdBy', 'name')
+      .populate('approvedBy', 'name');
+
+    if (!expense) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending expense not found'
+      });
+    }
+
+    await logActivity(req, {
+      action: 'REJECT',
+      resource: 'Expense',
+      resourceId: expense._id,
+      description: `Rejected expense ${expense.expenseNumber}`,
+      changes: { old: 'pending', new: 'rejected', reason: req.body.reason }
+    });
+
+    res.json({
+      success: true,
+      message: 'Expense rejected successfully',
+      data: expense
+    });
+
+  } catch (error) {
+    console.error('Reject expense error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // Get expense by ID
 router.get('/:id', auth, checkPermission('expenses'), async (req, res) => {
 
@@ -280,7 +503,7 @@ router.get('/:id', auth, checkPermission('expenses'), async (req, res) => {
 });
 
 // Update expense
-router.put('/:id', auth, checkPermission('expenses'), async (req, res) => {
+router.put('/:id', auth, checkPermission('expenses'), periodLock({ dateField: 'expenseDate', entityModel: Expense, existingDateField: 'expenseDate', vatDocument: true }), async (req, res) => {
 
   try {
     const { error } = expenseSchema.validate(req.body);
@@ -353,7 +576,7 @@ router.put('/:id', auth, checkPermission('expenses'), async (req, res) => {
 });
 
 // Delete expense
-router.delete('/:id', auth, checkPermission('expenses'), async (req, res) => {
+router.delete('/:id', auth, checkPermission('expenses'), periodLock({ entityModel: Expense, existingDateField: 'expenseDate', vatDocument: true }), async (req, res) => {
 
   try {
     const expense = await Expense.findByIdAndDelete(req.params.id);
@@ -432,9 +655,34 @@ router.get('/reports/summary', auth, async (req, res) => {
       }
     ]);
 
+    // Approved expense vouchers, grouped by their free-text category
+    const voucherMatch = { status: { $in: ['approved', 'paid'] } };
+    if (matchConditions.expenseDate) voucherMatch.date = matchConditions.expenseDate;
+
+    const voucherSummary = await ExpenseVoucher.aggregate([
+      { $match: voucherMatch },
+      {
+        $group: {
+          _id: {
+            costTypeId: null,
+            costTypeName: { $ifNull: ['$category', 'Expense Vouchers'] },
+            category: 'voucher'
+          },
+          totalAmount: { $sum: '$amount' },
+          count: { $sum: 1 },
+          avgAmount: { $avg: '$amount' }
+        }
+      }
+    ]);
+
+    const combined = [
+      ...summary.map(row => ({ ...row, source: 'expense' })),
+      ...voucherSummary.map(row => ({ ...row, source: 'voucher' }))
+    ].sort((a, b) => b.totalAmount - a.totalAmount);
+
     res.json({
       success: true,
-      data: summary
+      data: combined
     });
 
   } catch (error) {
@@ -0,0 +1,344 @@
+const express = require('express');
+const Joi = require('joi');
+const Account = require('../models/Account');
+const JournalEntry = require('../models/JournalEntry');
+const auth = require('../middleware/auth');
+const checkPermission = require('../middleware/checkPermission');
+const GeneralLedgerService = require('../services/GeneralLedgerService');
+const { logActivity } = require('../utils/auditLogger');
+
+const router = express.Router();
+
+const accountSchema = Joi.object({
+  code: Joi.string().trim().max(20).required(),
+  name: Joi.string().trim().required(),
+  type: Joi.string().valid('asset', 'liability', 'equity', 'revenue', 'expense').required(),
+  description: Joi.string().allow('').optional()
+});
+
+const accountUpdateSchema = Joi.object({
+  name: Joi.string().trim().optional(),
+  type: Joi.string().valid('asset', 'liability', 'equity', 'revenue', 'expense').optional(),
+  description: Joi.string().allow('').optional(),
+  isActive: Joi.boolean().optional()
+}).min(1);
+
+const journalEntrySchema = Joi.object({
+  date: Joi.date().required(),
+  description: Joi.string().trim().required(),
+  lines: Joi.array().items(Joi.object({
+    accountCode: Joi.string().trim().required(),
+    debit: Joi.number().min(0).default(0),
+    credit: Joi.number().min(0).default(0),
+    memo: Joi.string().allow('').optional()
+  })).min(2).required()
+});
+
+// Changing the chart of accounts or posting by hand is limited to admins
+function requireAdmin(req, res, next) {
+  if (!['admin', 'super-admin'].includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only admins can change the general ledger'
+    });
+  }
+  next();
+}
+
+// Get chart of accounts
+router.get('/accounts', auth, checkPermission('reports'), async (req, res) => {
+  try {
+    await GeneralLedgerService.ensureChartOfAccounts();
+    const query = {};
+    if (req.query.type) query.type = req.query.type;
+    if (req.query.isActive !== undefined) query.isActive = req.query.isActive === 'true';
+
+    const accounts = await Account.find(query).sort({ code: 1 });
+
+    res.json({
+      success: true,
+      data: accounts
+    });
+
+  } catch (error) {
+    console.error('Get accounts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Create account
+router.post('/accounts', auth, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = accountSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    if (await Account.exists({ code: value.code })) {
+      return res.status(400).json({
+        success: false,
+        message: `Account code ${value.code} already exists`
+      });
+    }
+
+    const account = await Account.create({ ...value, createdBy: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Account created successfully',
+      data: account
+    });
+
+    await logActivity(req, {
+      action: 'CREATE',
+      resource: 'Account',
+      resourceId: account._id,
+      description: `Created account ${account.code} ${account.name}`
+    });
+
+  } catch (error) {
+    console.error('Create account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Update account
+router.put('/accounts/:id', auth, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = accountUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const account = await Account.findById(req.params.id);
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    if (account.systemKey && ((value.type && value.type !== account.type) || value.isActive === false)) {
+      return res.status(400).json({
+        success: false,
+        message: 'System accounts cannot be retyped or deactivated'
+      });
+    }
+
+    const old = account.toObject();
+    Object.assign(account, value);
+    await account.save();
+
+    res.json({
+      success: true,
+      message: 'Account updated successfully',
+      data: account
+    });
+
+    await logActivity(req, {
+      action: 'UPDATE',
+      resource: 'Account',
+      resourceId: account._id,
+      description: `Updated account ${account.code}`,
+      changes: { old: { name: old.name, type: old.type, isActive: old.isActive }, new: value }
+    });
+
+  } catch (error) {
+    console.error('Update account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Get journal entries
+router.get('/journal-entries', auth, checkPermission('reports'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50, startDate, endDate, account, sourceType } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const query = {};
+    if (account) query['lines.accountCode'] = account;
+    if (sourceType) query['source.type'] = sourceType;
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = new Date(startDate);
+      if (endDate) query.date.$lte = GeneralLedgerService.parseEndDate(endDate);
+    }
+
+    const [entries, total] = await Promise.all([
+      JournalEntry.find(query)
+        .select('-signature')
+        .populate('lines.account', 'code name type')
+        .populate('createdBy', 'name')
+        .sort({ date: -1, entryNumber: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      JournalEntry.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        totalItems: total,
+        itemsPerPage: limitNum
+      }
+    });
+
+  } catch (error) {
+    console.error('Get journal entries error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error'
+    });
+  }
+});
+
+// Post a manual journal entry (opening balances, VAT settlements, corrections)
+router.post('/journal-entries', auth, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = journalEntrySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const journal = await GeneralLedgerService.postManualEntry(value, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      message: `Journal entry ${journal.entryNumber} posted`,
+      data: journal
+    });
+
+    await logActivity(req, {
+      action: 'CREATE',
+      resource: 'JournalEntry',
+      resourceId: journal._id,
+      description: `Posted journal entry ${journal.entryNumber}: ${journal.description}`,
+      changes: { old: null, new: { date: journal.date, lines: value.lines } }
+    });
+
+  } catch (error) {
+    console.error('Post journal entry error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// Delete a manual journal entry
+router.delete('/journal-entries/:id', auth, requireAdmin, async (req, res) => {
+  try {
+    const journal = await GeneralLedgerService.deleteManualEntry(req.params.id);
+
+    res.json({
+      success: true,
+      message: `Journal entry ${journal.entryNumber} deleted`
+    });
+
+    await logActivity(req, {
+      action: 'DELETE',
+      resource: 'JournalEntry',
+      resourceId: journal._id,
+      description: `Deleted journal entry ${journal.entryNumber}`,
+      changes: { old: { date: journal.date, description: journal.description, lines: journal.lines }, new: null }
+    });
+
+  } catch (error) {
+    console.error('Delete journal entry error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// Regenerate journals from their source records now instead of waiting for the scheduler
+router.post('/sync', auth, requireAdmin, async (req, res) => {
+  try {
+    const result = await GeneralLedgerService.syncJournals();
+
+    res.json({
+      success: true,
+      message: `${result.created} journal(s) created, ${result.updated} updated, ${result.removed} removed`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('General ledger sync error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Trial balance, with control accounts reconciled to the sub-ledgers
+router.get('/trial-balance', auth, checkPermission('reports'), async (req, res) => {
+  try {
+    await GeneralLedgerService.syncIfStale();
+    const data = await GeneralLedgerService.getTrialBalance({ asOfDate: req.query.asOfDate });
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Trial balance error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.status ? error.message : 'Server error' });
+  }
+});
+
+// Balance sheet
+router.get('/balance-sheet', auth, checkPermission('reports'), async (req, res) => {
+  try {
+    await GeneralLedgerService.syncIfStale();
+    const data = await GeneralLedgerService.getBalanceSheet({ asOfDate: req.query.asOfDate });
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Balance sheet error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.status ? error.message : 'Server error' });
+  }
+});
+
+// Income statement
+router.get('/income-statement', auth, checkPermission('reports'), async (req, res) => {
+  try {
+    let { startDate, endDate } = req.query;
+
+    const today = new Date().toISOString().split('T')[0];
+    if (!startDate && !endDate) {
+      startDate = today;
+      endDate = today;
+    }
+
+    await GeneralLedgerService.syncIfStale();
+    const data = await GeneralLedgerService.getIncomeStatement({ startDate, endDate });
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Income statement error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.status ? error.message : 'Server error' });
+  }
+});
+
+module.exports = router;
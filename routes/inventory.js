@@ -1,8 +1,11 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Joi = require('joi');
 const Inventory = require('../models/Inventory');
 const Product = require('../models/Product');
 const Buyer = require('../models/Buyer');
+const StockLocation = require('../models/StockLocation');
+const StockLocationService = require('../services/StockLocationService');
 const auth = require('../middleware/auth');
 const checkPermission = require('../middleware/checkPermission');
 const { generateSignedUrls } = require('../utils/imageUpload');
@@ -98,7 +101,8 @@ router.get('/', auth, checkPermission('inventory'), async (req, res) => {
       searchSupplier,
       lowStock,
       needsReorder,
-      category
+      category,
+      location
     } = req.query;
 
     const pageNum = parseInt(page);
@@ -124,6 +128,30 @@ router.get('/', auth, checkPermission('inventory'), async (req, res) => {
       });
     }
 
+    // Location filter: only inventory with stock held at that location
+    let defaultLocation = null;
+    if (location) {
+      if (!mongoose.Types.ObjectId.isValid(location)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid stock location ID'
+        });
+      }
+      const stockLocation = await StockLocation.findById(location);
+      if (!stockLocation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Stock location not found'
+        });
+      }
+      defaultLocation = await StockLocation.getDefaultLocation();
+      const isDefault = defaultLocation && defaultLocation._id.equals(stockLocation._id);
+      pipeline.push({
+        $addFields: { locationQuantity: StockLocationService.buildLocationQuantityExpression(stockLocation._id, isDefault) }
+      });
+      pipeline.push({ $match: { locationQuantity: { $gt: 0 } } });
+    }
+
     // 2. Lookup Product
     pipeline.push({
       $lookup: {
@@ -231,6 +259,13 @@ router.get('/', auth, checkPermission('inventory'), async (req, res) => {
     const total = result[0].metadata[0]?.total || 0;
     const inventoryData = result[0].data;
 
+    if (location) {
+      inventoryData.forEach(item => {
+        const { locations } = StockLocationService.getLocationBalances(item, defaultLocation?._id);
+        item.locationVariants = locations.find(l => l.location.toString() === location)?.variants || [];
+      });
+    }
+
     // Convert product images to signed URLs
     const usePublicUrls = process.env.GCS_USE_PUBLIC_URLS !== 'false';
     await convertInventoryProductImages(inventoryData, usePublicUrls);
@@ -274,6 +309,12 @@ router.get('/product/:productId', auth, checkPermission('inventory'), async (req
     // inventory is already a plain object from .lean()
     const inventoryData = inventory;
 
+    const defaultLocation = await StockLocation.getDefaultLocation();
+    const balances = StockLocationService.getLocationBalances(inventoryData, defaultLocation?._id);
+    await StockLocation.populate(balances.locations, { path: 'location', select: 'code name type isDefault' });
+    inventoryData.locationBalances = balances.locations;
+    inventoryData.inTransitStock = balances.inTransit;
+
     // Convert product images to signed URLs (or use public URLs if bucket is public)
     const usePublicUrls = process.env.GCS_USE_PUBLIC_URLS !== 'false'; // Default to true (use public URLs for public bucket)
     await convertInventoryProductImages(inventoryData, usePublicUrls);
@@ -466,7 +507,8 @@ router.post('/adjust-stock', auth, checkPermission('inventory'), async (req, res
   }
 });
 
-// Transfer stock between products (if applicable)
+// Transfer stock between products (if applicable).
+// Moves between locations go through /api/stock-transfers instead.
 router.post('/transfer-stock', auth, checkPermission('inventory'), async (req, res) => {
 
   try {
@@ -546,7 +588,7 @@ router.post('/transfer-stock', auth, checkPermission('inventory'), async (req, r
 router.get('/movements/:productId', auth, checkPermission('inventory'), async (req, res) => {
 
   try {
-    const { page = 1, limit = 50, type, startDate, endDate } = req.query;
+    const { page = 1, limit = 50, type, startDate, endDate, location } = req.query;
 
     const inventory = await Inventory.findOne({ product: req.params.productId }).lean();
     if (!inventory) {
@@ -563,6 +605,13 @@ router.get('/movements/:productId', auth, checkPermission('inventory'), async (r
       movements = movements.filter(movement => movement.type === type);
     }
 
+    // Filter by location (transfer movements into or out of it)
+    if (location) {
+      movements = movements.filter(movement =>
+        movement.fromLocation?.toString() === location || movement.toLocation?.toString() === location
+      );
+    }
+
     // Filter by date range
     if (startDate || endDate) {
       movements = movements.filter(movement => {
@@ -11,8 +11,11 @@ const LogisticsCompany = require("../models/LogisticsCompany");
 const Payment = require("../models/Payment");
 const auth = require("../middleware/auth");
 const BalanceService = require("../services/BalanceService");
+const StatementService = require("../services/StatementService");
+const WebhookService = require("../services/WebhookService");
 const { logActivity } = require("../utils/auditLogger");
 const dateControl = require("../middleware/dateControl");
+const periodLock = require("../middleware/periodLock");
 const { getTransactionDate } = require("../utils/helpers");
 
 const router = express.Router()
@@ -304,7 +307,9 @@ router.get('/buyer/:id/payment-receipts/:paymentNumber', auth, async (req, res)
 });
 
 // POST /ledger/buyer/:id/payment-receipts/:paymentNumber/reverse
-router.post('/buyer/:id/payment-receipts/:paymentNumber/reverse', auth, async (req, res) => {
+router.post('/buyer/:id/payment-receipts/:paymentNumber/reverse', auth, periodLock({
+  getExistingDate: async (req) => (await Payment.findOne({ paymentNumber: req.params.paymentNumber }).select('paymentDate').lean())?.paymentDate
+}), async (req, res) => {
   if (req.user.role !== 'super-admin') {
     return res.status(403).json({ success: false, message: 'Direct payment reversals are not permitted. Please submit a delete request for approval.', submitRequestAt: '/api/edit-requests' });
   }
@@ -379,6 +384,8 @@ router.post('/buyer/:id/payment-receipts/:paymentNumber/reverse', auth, async (r
 
     await logActivity(req, { action: 'DELETE', resource: 'CustomerPayment', resourceId: payment._id, description: `Reversed/Deleted customer payment: ${paymentNumber}. Reason: ${reason}` });
 
+    await WebhookService.emit('payment.reversed', WebhookService.buyerPaymentReversalPayload(payment, reason, req.user._id));
+
     res.json({ success: true, message: `Payment ${paymentNumber} has been deleted`, data: { paymentNumber } });
   } catch (error) {
     await session.abortTransaction();
@@ -666,6 +673,100 @@ router.get("/buyer/:id", auth, async (req, res) => {
   }
 });
 
+/**
+ * GET /ledger/buyer/:id/statement
+ * PDF statement of account for a date range (startDate, endDate)
+ */
+router.get("/buyer/:id/statement", auth, async (req, res) => {
+  try {
+    // Authorization check: Distributors can only access their own statement
+    if (req.user.role === "distributor" || req.user.role === "buyer") {
+      const buyerId = await getBuyerIdForUser(req.user);
+      if (!buyerId || buyerId.toString() !== req.params.id) {
+        return res.status(403).json({
+          success: false,
+          message: "Access denied. You can only view your own statement.",
+        });
+      }
+    }
+
+    const { startDate, endDate } = req.query;
+    const { pdf, fileName } = await StatementService.getStatementPDF("buyer", req.params.id, { startDate, endDate });
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error("Buyer statement error:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Server error",
+    });
+  }
+});
+
+/**
+ * GET /ledger/supplier/:id/statement
+ * PDF statement of account for a date range (startDate, endDate)
+ */
+router.get("/supplier/:id/statement", auth, async (req, res) => {
+  try {
+    // Authorization check: Suppliers can only access their own statement
+    if (req.user.role === "supplier") {
+      const supplierId =
+        req.user.supplier?._id?.toString() || req.user.supplier?.toString();
+      if (supplierId !== req.params.id) {
+        return res.status(403).json({
+          success: false,
+          message: "Access denied. You can only view your own statement.",
+        });
+      }
+    }
+
+    const { startDate, endDate } = req.query;
+    const { pdf, fileName } = await StatementService.getStatementPDF("supplier", req.params.id, { startDate, endDate });
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error("Supplier statement error:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Server error",
+    });
+  }
+});
+
+/**
+ * GET /ledger/buyers/statements
+ * ZIP archive of PDF statements for every buyer with a non-zero balance at endDate
+ */
+router.get("/buyers/statements", auth, async (req, res) => {
+  try {
+    if (["distributor", "buyer", "supplier"].includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied.",
+      });
+    }
+
+    const { startDate, endDate } = req.query;
+    const { archive, fileName, count } = await StatementService.getBulkBuyerStatements({ startDate, endDate });
+
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    res.setHeader("X-Statement-Count", count);
+    res.send(archive);
+  } catch (error) {
+    console.error("Bulk buyer statements error:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Server error",
+    });
+  }
+});
+
 /**
  * GET /ledger/buyers
  * Get all buyer ledgers aggregated (similar to /suppliers endpoint)
@@ -783,7 +884,7 @@ router.get("/buyers", auth, async (req, res) => {
   }
 });
 
-router.post("/entry", auth, dateControl({ entityType: 'ledger', dateField: 'date', requestType: 'create' }), async (req, res) => {
+router.post("/entry", auth, periodLock({ dateField: "date" }), dateControl({ entityType: 'ledger', dateField: 'date', requestType: 'create' }), async (req, res) => {
   try {
     const entryData = {
       ...req.body,
@@ -824,6 +925,7 @@ router.post("/entry", auth, dateControl({ entityType: 'ledger', dateField: 'date
           createdBy: req.user._id,
           description: entryData.description,
           date: getTransactionDate(entryData.date),
+          exchangeRate: parseFloat(entryData.exchangeRate) || null,
         });
 
         // Log the activity
@@ -1789,9 +1891,9 @@ router.get("/logistics", auth, async (req, res) => {
  * POST /ledger/supplier/:id/distribute-payment
  * Distribute a bulk payment across pending orders for a supplier (FIFO)
  */
-router.post("/supplier/:id/distribute-payment", auth, dateControl({ entityType: 'payment', dateField: 'date', requestType: 'create' }), async (req, res) => {
+router.post("/supplier/:id/distribute-payment", auth, periodLock({ dateField: "date" }), dateControl({ entityType: 'payment', dateField: 'date', requestType: 'create' }), async (req, res) => {
   try {
-    const { amount, paymentMethod, date, description } = req.body;
+    const { amount, paymentMethod, date, description, exchangeRate } = req.body;
     const parsedAmount = parseFloat(amount);
 
     if (!parsedAmount || parsedAmount <= 0) {
@@ -1829,6 +1931,7 @@ router.post("/supplier/:id/distribute-payment", auth, dateControl({ entityType:
       description,
       createdBy: req.user._id,
       balanceBefore: beforeSummary.currentBalance,
+      exchangeRate: parseFloat(exchangeRate) || null,
     });
 
     // Get updated balance
@@ -1853,6 +1956,13 @@ router.post("/supplier/:id/distribute-payment", auth, dateControl({ entityType:
           distributedAmount: result.totalDistributed,
           advanceAmount: result.remainingCredit
         },
+        ...(result.currency && {
+          currency: {
+            code: result.currency,
+            baseAmount: result.baseAmount,
+            realisedFxGain: result.realisedFxGain
+          }
+        }),
         balance: {
           before: beforeSummary.currentBalance,
           after: afterSummary.currentBalance,
@@ -1958,7 +2068,7 @@ router.get('/supplier/:id/payment-receipts/:receiptNumber', auth, async (req, re
  * POST /ledger/supplier/:id/debit-adjustment
  * Create a manual debit adjustment for a supplier
  */
-router.post("/supplier/:id/debit-adjustment", auth, async (req, res) => {
+router.post("/supplier/:id/debit-adjustment", auth, periodLock({ dateField: "date" }), async (req, res) => {
   try {
     const { amount, date, description } = req.body;
 
@@ -1995,7 +2105,7 @@ router.post("/supplier/:id/debit-adjustment", auth, async (req, res) => {
  * POST /ledger/logistics/:id/distribute-payment
  * Distribute a bulk payment across pending charges for a logistics company
  */
-router.post("/logistics/:id/distribute-payment", auth, dateControl({ entityType: 'payment', dateField: 'date', requestType: 'create' }), async (req, res) => {
+router.post("/logistics/:id/distribute-payment", auth, periodLock({ dateField: "date" }), dateControl({ entityType: 'payment', dateField: 'date', requestType: 'create' }), async (req, res) => {
   try {
     const { amount, paymentMethod, date, description } = req.body;
 
@@ -2085,7 +2195,7 @@ router.post("/logistics/:id/distribute-payment", auth, dateControl({ entityType:
  * POST /ledger/logistics/:id/debit-adjustment
  * Create a manual debit adjustment for a logistics company
  */
-router.post("/logistics/:id/debit-adjustment", auth, async (req, res) => {
+router.post("/logistics/:id/debit-adjustment", auth, periodLock({ dateField: "date" }), async (req, res) => {
   try {
     const { amount, date, description } = req.body;
 
@@ -2122,7 +2232,7 @@ router.post("/logistics/:id/debit-adjustment", auth, async (req, res) => {
  * POST /ledger/buyer/:id/distribute-payment
  * Distribute a bulk payment across pending sales for a buyer (FIFO - oldest first)
  */
-router.post("/buyer/:id/distribute-payment", auth, dateControl({ entityType: 'payment', dateField: 'date', requestType: 'create' }), async (req, res) => {
+router.post("/buyer/:id/distribute-payment", auth, periodLock({ dateField: "date" }), dateControl({ entityType: 'payment', dateField: 'date', requestType: 'create' }), async (req, res) => {
   try {
     const { amount, paymentMethod, date, description } = req.body;
 
@@ -2212,7 +2322,7 @@ router.post("/buyer/:id/distribute-payment", auth, dateControl({ entityType: 'pa
  * POST /ledger/buyer/:id/debit-adjustment
  * Create a manual debit adjustment for a buyer (e.g., correction, fee, etc.)
  */
-router.post("/buyer/:id/debit-adjustment", auth, async (req, res) => {
+router.post("/buyer/:id/debit-adjustment", auth, periodLock({ dateField: "date" }), async (req, res) => {
   try {
     const { amount, date, description } = req.body;
 
@@ -2259,7 +2369,9 @@ router.post("/buyer/:id/debit-adjustment", auth, async (req, res) => {
  * Reverse a supplier payment receipt (super-admin only).
  * Creates debit ledger entries to undo each distribution and marks the receipt reversed.
  */
-router.post('/supplier/:id/payment-receipts/:receiptNumber/reverse', auth, async (req, res) => {
+router.post('/supplier/:id/payment-receipts/:receiptNumber/reverse', auth, periodLock({
+  getExistingDate: async (req) => (await SupplierPaymentReceipt.findOne({ receiptNumber: req.params.receiptNumber }).select('paymentDate').lean())?.paymentDate
+}), async (req, res) => {
   if (req.user.role !== 'super-admin') {
     return res.status(403).json({
       success: false,
@@ -2331,6 +2443,21 @@ router.post('/supplier/:id/payment-receipts/:receiptNumber/reverse', auth, async
       changes: { old: 'active', new: 'reversed', reason: reason.trim() }
     });
 
+    await WebhookService.emit('payment.reversed', {
+      partyType: 'supplier',
+      partyId: receipt.supplierId,
+      paymentId: receipt._id,
+      paymentNumber: receipt.receiptNumber,
+      amount: receipt.totalAmount,
+      cashAmount: receipt.cashAmount,
+      bankAmount: receipt.bankAmount,
+      currency: receipt.currency,
+      paymentDate: receipt.paymentDate,
+      orderNumbers: receipt.distributions.filter(dist => dist.orderNumber).map(dist => dist.orderNumber),
+      reason: reason.trim(),
+      reversedBy: req.user._id
+    });
+
     return res.json({ success: true, message: `Receipt ${receipt.receiptNumber} reversed successfully`, data: receipt });
   } catch (error) {
     await session.abortTransaction();
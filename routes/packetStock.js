@@ -1,8 +1,13 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const PacketStock = require('../models/PacketStock');
 const Product = require('../models/Product');
+const StockLocation = require('../models/StockLocation');
+const StockLocationService = require('../services/StockLocationService');
+const StockTakeService = require('../services/StockTakeService');
 const auth = require('../middleware/auth');
+const checkPermission = require('../middleware/checkPermission');
 const QRCode = require('qrcode');
 const bwipjs = require('bwip-js');
 const { generatePacketBarcode, generateLooseItemBarcode, normalizeBarcode, parseBarcodeType } = require('../utils/barcodeGenerator');
@@ -137,6 +142,51 @@ router.get('/scan/:barcode', auth, async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/packet-stock/scan/:barcode
+ * @desc    Record a scanned packet on an open stock take (body: stockTake, quantity)
+ * @access  Private
+ */
+router.post('/scan/:barcode', auth, checkPermission('inventory'), async (req, res) => {
+  try {
+    const barcode = normalizeBarcode(req.params.barcode);
+    const { stockTake: stockTakeId, quantity = 1 } = req.body;
+
+    if (!parseBarcodeType(barcode).isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid barcode format. Expected PKT-XXXXXXXX or LSE-XXXXXXXX'
+      });
+    }
+    if (!stockTakeId) {
+      return res.status(400).json({
+        success: false,
+        message: 'stockTake is required'
+      });
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'quantity must be a positive integer'
+      });
+    }
+
+    const { line } = await StockTakeService.recordScan(stockTakeId, barcode, quantity, req.user._id);
+
+    return res.json({
+      success: true,
+      message: `Counted ${line.countedQuantity} of ${line.packetBarcode}`,
+      data: line
+    });
+  } catch (error) {
+    console.error('Stock take scan error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
 /**
  * @route   GET /api/packet-stock
  * @desc    Get all packet stocks with filters
@@ -151,11 +201,28 @@ router.get('/', auth, async (req, res) => {
       supplier, 
       isLoose,
       hasStock,
-      search 
+      search,
+      location
     } = req.query;
     
     const query = { isActive: true };
     
+    if (location) {
+      if (!mongoose.Types.ObjectId.isValid(location)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid stock location ID'
+        });
+      }
+      const stockLocation = await StockLocation.findById(location);
+      if (!stockLocation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Stock location not found'
+        });
+      }
+      Object.assign(query, StockLocationService.buildPacketLocationQuery(stockLocation));
+    }
     if (product) query.product = product;
     if (supplier) query.supplier = supplier;
     if (isLoose !== undefined) query.isLoose = isLoose === 'true';
@@ -164,6 +231,7 @@ router.get('/', auth, async (req, res) => {
     let packetStocks = await PacketStock.find(query)
       .populate('product', 'name sku productCode images pricing.minSellingPrice pricing.sellingPrice')
       .populate('supplier', 'name company')
+      .populate('location', 'code name')
       .sort({ updatedAt: -1 })
       .limit(parseInt(limit))
       .skip((parseInt(page) - 1) * parseInt(limit))
@@ -3,6 +3,7 @@ const Joi = require('joi');
 const PasswordResetRequest = require('../models/PasswordResetRequest');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const SessionService = require('../services/SessionService');
 
 const router = express.Router();
 
@@ -147,6 +148,7 @@ router.patch('/:id/complete', auth, async (req, res) => {
     // Set password (will be hashed by pre-save hook)
     user.password = newPassword;
     await user.save();
+    await SessionService.revokeUserSessions(user._id, 'password_changed', { revokedBy: req.user._id });
 
     // Update request status
     request.status = 'completed';
@@ -6,8 +6,10 @@ const Buyer = require('../models/Buyer');
 const Sale = require('../models/Sale');
 const auth = require('../middleware/auth');
 const BalanceService = require('../services/BalanceService');
+const WebhookService = require('../services/WebhookService');
 const { logActivity } = require('../utils/auditLogger');
 const dateControl = require('../middleware/dateControl');
+const periodLock = require('../middleware/periodLock');
 const { getTransactionDate } = require('../utils/helpers');
 
 const router = express.Router();
@@ -28,7 +30,7 @@ const router = express.Router();
  *   description: string (optional)
  * }
  */
-router.post('/customer', auth, dateControl({ entityType: 'payment', dateField: 'date', requestType: 'create' }), async (req, res) => {
+router.post('/customer', auth, periodLock({ dateField: 'date' }), dateControl({ entityType: 'payment', dateField: 'date', requestType: 'create' }), async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction({
     readConcern: { level: 'snapshot' },
@@ -632,7 +634,9 @@ router.get('/:paymentNumber', auth, async (req, res) => {
  *   reason: string (required)
  * }
  */
-router.post('/:paymentNumber/reverse', auth, async (req, res) => {
+router.post('/:paymentNumber/reverse', auth, periodLock({
+  getExistingDate: async (req) => (await Payment.findOne({ paymentNumber: req.params.paymentNumber }).select('paymentDate').lean())?.paymentDate
+}), async (req, res) => {
   // Non-super-admin must submit edit requests instead of direct reversals
   if (req.user.role !== 'super-admin') {
     return res.status(403).json({
@@ -748,6 +752,8 @@ router.post('/:paymentNumber/reverse', auth, async (req, res) => {
       description: `Reversed/Deleted customer payment: ${paymentNumber}. Reason: ${reason}`
     });
 
+    await WebhookService.emit('payment.reversed', WebhookService.buyerPaymentReversalPayload(payment, reason, req.user._id));
+
     res.json({
       success: true,
       message: `Payment ${paymentNumber} has been deleted`,
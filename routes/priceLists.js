@@ -0,0 +1,191 @@
+const express = require('express');
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const PriceListService = require('../services/PriceListService');
+const { sendResponse } = require('../utils/helpers');
+const { logActivity } = require('../utils/auditLogger');
+
+const router = express.Router();
+
+const canManagePriceLists = (user) => ['admin', 'super-admin'].includes(user?.role);
+
+const objectId = Joi.string().hex().length(24);
+
+const ruleSchema = Joi.object({
+  scope: Joi.string().valid('product', 'category', 'all').required(),
+  product: objectId.when('scope', { is: 'product', then: Joi.required(), otherwise: Joi.forbidden() }),
+  category: Joi.string().trim().when('scope', { is: 'category', then: Joi.required(), otherwise: Joi.forbidden() }),
+  appliesTo: Joi.string().valid('any', 'packet', 'loose').default('any'),
+  minQuantity: Joi.number().integer().min(1).default(1),
+  priceType: Joi.string().valid('fixed', 'percentage').required(),
+  value: Joi.number().min(0).when('priceType', { is: 'percentage', then: Joi.number().max(100) }).required(),
+  label: Joi.string().trim().max(120).allow('').optional()
+});
+
+const priceListSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(120).required(),
+  description: Joi.string().allow('').optional(),
+  isActive: Joi.boolean().optional(),
+  rules: Joi.array().items(ruleSchema).default([])
+});
+
+const priceListUpdateSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(120).optional(),
+  description: Joi.string().allow('').optional(),
+  isActive: Joi.boolean().optional(),
+  rules: Joi.array().items(ruleSchema).optional()
+}).min(1);
+
+const assignSchema = Joi.object({
+  add: Joi.array().items(objectId).max(500).unique().default([]),
+  remove: Joi.array().items(objectId).max(500).unique().default([])
+}).or('add', 'remove');
+
+const requireManager = (req, res, next) => {
+  if (!canManagePriceLists(req.user)) {
+    return sendResponse.error(res, 'Not authorized to manage price lists', 403);
+  }
+  next();
+};
+
+const validatePriceListId = (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return sendResponse.error(res, 'Invalid price list ID', 400);
+  }
+  next();
+};
+
+// List price lists with how many buyers are on each (?isActive=&search=)
+router.get('/', auth, requireManager, async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.max(1, Math.min(100, parseInt(req.query.limit, 10) || 20));
+    const isActive = req.query.isActive === undefined ? undefined : req.query.isActive === 'true';
+
+    const { priceLists, total } = await PriceListService.listPriceLists({
+      isActive,
+      search: req.query.search,
+      page,
+      limit
+    });
+
+    return sendResponse.paginated(res, priceLists, {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalItems: total,
+      itemsPerPage: limit
+    });
+  } catch (error) {
+    console.error('List price lists error:', error);
+    return sendResponse.error(res, 'Server error');
+  }
+});
+
+// Create a price list
+router.post('/', auth, requireManager, async (req, res) => {
+  try {
+    const { error, value } = priceListSchema.validate(req.body);
+    if (error) {
+      return sendResponse.error(res, error.details[0].message, 400);
+    }
+
+    const priceList = await PriceListService.createPriceList(value, req.user._id);
+
+    await logActivity(req, {
+      action: 'CREATE',
+      resource: 'PriceList',
+      resourceId: priceList._id,
+      description: `Created price list ${priceList.name}`,
+      changes: { old: null, new: priceList.toObject() }
+    });
+
+    return sendResponse.success(res, priceList, 'Price list created successfully', 201);
+  } catch (error) {
+    console.error('Create price list error:', error);
+    return sendResponse.error(res, error.message || 'Server error', error.status || 500);
+  }
+});
+
+// Get a price list with its rules and buyers
+router.get('/:id', auth, requireManager, validatePriceListId, async (req, res) => {
+  try {
+    const priceList = await PriceListService.getPriceList(req.params.id);
+    return sendResponse.success(res, priceList);
+  } catch (error) {
+    console.error('Get price list error:', error);
+    return sendResponse.error(res, error.status ? error.message : 'Server error', error.status || 500);
+  }
+});
+
+// Change a price list; rules, when sent, replace the existing ones
+router.patch('/:id', auth, requireManager, validatePriceListId, async (req, res) => {
+  try {
+    const { error, value } = priceListUpdateSchema.validate(req.body);
+    if (error) {
+      return sendResponse.error(res, error.details[0].message, 400);
+    }
+
+    const { priceList, old } = await PriceListService.updatePriceList(req.params.id, value, req.user._id);
+
+    await logActivity(req, {
+      action: 'UPDATE',
+      resource: 'PriceList',
+      resourceId: priceList._id,
+      description: `Updated price list ${priceList.name}`,
+      changes: { old, new: priceList.toObject() }
+    });
+
+    return sendResponse.success(res, priceList, 'Price list updated successfully');
+  } catch (error) {
+    console.error('Update price list error:', error);
+    return sendResponse.error(res, error.message || 'Server error', error.status || 500);
+  }
+});
+
+// Put buyers on this price list or take them off it
+router.post('/:id/buyers', auth, requireManager, validatePriceListId, async (req, res) => {
+  try {
+    const { error, value } = assignSchema.validate(req.body);
+    if (error) {
+      return sendResponse.error(res, error.details[0].message, 400);
+    }
+
+    const result = await PriceListService.assignBuyers(req.params.id, value);
+
+    await logActivity(req, {
+      action: 'UPDATE',
+      resource: 'PriceList',
+      resourceId: result.priceList._id,
+      description: `Assigned ${result.added} and removed ${result.removed} buyer(s) on price list ${result.priceList.name}`,
+      changes: { old: null, new: value }
+    });
+
+    return sendResponse.success(res, { added: result.added, removed: result.removed }, 'Price list buyers updated');
+  } catch (error) {
+    console.error('Assign price list buyers error:', error);
+    return sendResponse.error(res, error.message || 'Server error', error.status || 500);
+  }
+});
+
+// Delete a price list no buyer is on
+router.delete('/:id', auth, requireManager, validatePriceListId, async (req, res) => {
+  try {
+    const priceList = await PriceListService.deletePriceList(req.params.id);
+
+    await logActivity(req, {
+      action: 'DELETE',
+      resource: 'PriceList',
+      resourceId: priceList._id,
+      description: `Deleted price list ${priceList.name}`,
+      changes: { old: priceList.toObject(), new: null }
+    });
+
+    return sendResponse.success(res, null, 'Price list deleted successfully');
+  } catch (error) {
+    console.error('Delete price list error:', error);
+    return sendResponse.error(res, error.message || 'Server error', error.status || 500);
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const Joi = require('joi');
 const multer = require('multer');
+const mongoose = require('mongoose');
 const Product = require('../models/Product');
 const Inventory = require('../models/Inventory');
 const QRCode = require('qrcode');
@@ -8,10 +9,12 @@ const auth = require('../middleware/auth');
 const checkPermission = require('../middleware/checkPermission');
 const { validateImageFile, uploadImage, deleteImage, generateSignedUrls } = require('../utils/imageUpload');
 const { logActivity } = require('../utils/auditLogger');
+const { schemas } = require('../utils/validation');
 
 const { initializeGCS } = require('../config/gcs');
 const { getProductMinSellingPrice, getEffectivePacketSellingPrice, toMoney } = require('../utils/websitePricing');
 const { loadActiveCampaigns, getProductCampaignPricing } = require('../services/CampaignPricingService');
+const ProductImportService = require('../services/ProductImportService');
 
 const router = express.Router();
 
@@ -41,55 +44,21 @@ const upload = multer({
   }
 });
 
-const productSchema = Joi.object({
-  name: Joi.string().min(2).max(100).required(),
-  sku: Joi.string().required().uppercase(),
-  supplier: Joi.string().optional(), // Primary supplier ObjectId (required by model, but optional here for backward compat)
-  description: Joi.string().optional(),
-  season: Joi.array().items(Joi.string().valid('winter', 'summer', 'spring', 'autumn', 'all_season', 'accessories')).min(1).required(),
-  category: Joi.string().required(),
-  brand: Joi.string().optional(),
-  unit: Joi.string().valid('piece', 'kg', 'g', 'liter', 'ml', 'meter', 'cm', 'dozen', 'box', 'pack').default('piece'),
-  pricing: Joi.object({
-    costPrice: Joi.number().min(0).required(),
-    sellingPrice: Joi.number().min(0).required(),
-    wholesalePrice: Joi.number().min(0).optional(),
-    minSellingPrice: Joi.number().min(0).optional()
-  }).required(),
-  inventory: Joi.object({
-    currentStock: Joi.number().min(0).default(0),
-    minStockLevel: Joi.number().min(0).default(0),
-    maxStockLevel: Joi.number().min(0).default(1000),
-    reorderLevel: Joi.number().min(0).default(10)
-  }).optional(),
-  suppliers: Joi.array().items(Joi.object({
-    supplier: Joi.string().required(),
-    supplierPrice: Joi.number().min(0).optional(),
-    isPrimary: Joi.boolean().default(false)
-  })).optional(),
-  specifications: Joi.object({
-    weight: Joi.number().optional(),
-    dimensions: Joi.object({
-      length: Joi.number().optional(),
-      width: Joi.number().optional(),
-      height: Joi.number().optional()
-    }).optional(),
-    color: Joi.string().optional(),
-    material: Joi.string().optional()
-  }).optional(),
-  images: Joi.array().items(Joi.string()).optional(),
-  barcode: Joi.string().optional(),
-  taxRate: Joi.number().min(0).max(100).default(0),
-  size: Joi.string().allow('', null).optional(),
-  color: Joi.string().allow('', null).optional(),
-  useVariantTracking: Joi.boolean().optional(),
-  variantTracking: Joi.object({
-    enabled: Joi.boolean().optional(),
-    availableColors: Joi.array().items(Joi.string()).optional(),
-    availableSizes: Joi.array().items(Joi.string()).optional()
-  }).optional()
+// Product import files (CSV or XLSX) are read from memory
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|xlsx)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(Object.assign(new Error('Upload a .csv or .xlsx file'), { status: 400 }));
+    }
+  }
 });
 
+const productSchema = schemas.product;
+
 const PRODUCT_QR_OPTIONS = {
   errorCorrectionLevel: 'M',
   type: 'image/png',
@@ -566,6 +535,103 @@ router.post('/', auth, checkPermission('products'), async (req, res) => {
   }
 });
 
+// Import products from a CSV or XLSX file (field "file"). Previews by default;
+// pass dryRun=false to write. Rows are upserted by productCode, else sku.
+router.post('/import', auth, checkPermission('products'), (req, res, next) => {
+  importUpload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 'LIMIT_FILE_SIZE' ? 'The file is larger than 10MB' : error.message
+      });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload the file to import in the "file" field'
+      });
+    }
+
+    const dryRun = String(req.body.dryRun ?? req.query.dryRun ?? 'true') !== 'false';
+    const result = await ProductImportService.importProducts(req.file.buffer, req.file.originalname, {
+      dryRun,
+      userId: req.user._id
+    });
+
+    if (!dryRun) {
+      const createdIds = result.rows.filter(row => row.action === 'create').map(row => row.productId);
+      for (const productId of createdIds) {
+        try {
+          await attachQrCode(await Product.findById(productId), req.user._id);
+        } catch (qrError) {
+          console.error('Generate product QR error (import):', qrError);
+        }
+      }
+    }
+
+    const { summary } = result;
+    res.json({
+      success: true,
+      message: dryRun
+        ? `Preview: ${summary.create} to create, ${summary.update} to update, ${summary.errors} with errors`
+        : `Imported: ${summary.create} created, ${summary.update} updated, ${summary.errors} with errors`,
+      data: result
+    });
+
+    if (!dryRun && (summary.create > 0 || summary.update > 0)) {
+      await logActivity(req, {
+        action: 'CREATE',
+        resource: 'Product',
+        description: `Imported products from ${req.file.originalname}: ${summary.create} created, ${summary.update} updated, ${summary.errors} rows with errors`,
+        changes: { old: null, new: summary }
+      });
+    }
+
+  } catch (error) {
+    console.error('Import products error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error'
+    });
+  }
+});
+
+// Export products in the import format (?format=csv|xlsx&category=&supplier=&isActive=)
+router.get('/export', auth, checkPermission('products'), async (req, res) => {
+  try {
+    const { format = 'csv', category, supplier, isActive } = req.query;
+    if (!['csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'format must be csv or xlsx'
+      });
+    }
+    if (supplier && !mongoose.Types.ObjectId.isValid(supplier)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid supplier ID'
+      });
+    }
+
+    const file = await ProductImportService.exportProducts({ category, supplier, isActive }, format);
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.send(file.body);
+
+  } catch (error) {
+    console.error('Export products error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // Get public products (no authentication required)
 // Returns products without pricing information
 router.get('/public', async (req, res) => {
@@ -0,0 +1,218 @@
+const express = require('express');
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const PromoCodeService = require('../services/PromoCodeService');
+const { sendResponse } = require('../utils/helpers');
+const { logActivity } = require('../utils/auditLogger');
+
+const router = express.Router();
+
+const canManagePromoCodes = (user) => ['admin', 'super-admin'].includes(user?.role);
+
+const objectId = Joi.string().hex().length(24);
+
+const restrictionFields = {
+  description: Joi.string().allow('').optional(),
+  isActive: Joi.boolean().optional(),
+  validFrom: Joi.date().allow(null).optional(),
+  validUntil: Joi.date().allow(null).optional(),
+  maxRedemptions: Joi.number().integer().min(1).allow(null).optional(),
+  maxRedemptionsPerBuyer: Joi.number().integer().min(1).allow(null).optional(),
+  minOrderValue: Joi.number().min(0).optional(),
+  firstOrderOnly: Joi.boolean().optional(),
+  distributorOnly: Joi.boolean().optional(),
+  stackable: Joi.boolean().optional()
+};
+
+const promoCodeSchema = Joi.object({
+  code: Joi.string().trim().pattern(/^[A-Za-z0-9_-]{3,32}$/).required()
+    .messages({ 'string.pattern.base': 'code must be 3-32 letters, digits, - or _' }),
+  campaign: objectId.required(),
+  buyers: Joi.array().items(objectId).optional(),
+  ...restrictionFields
+});
+
+const promoCodeUpdateSchema = Joi.object({
+  campaign: objectId.optional(),
+  buyers: Joi.array().items(objectId).optional(),
+  ...restrictionFields
+}).min(1);
+
+const generateSchema = Joi.object({
+  campaign: objectId.required(),
+  buyers: Joi.array().items(objectId).min(1).max(500).unique().required(),
+  prefix: Joi.string().trim().max(12).allow('').optional(),
+  ...restrictionFields
+});
+
+const requireManager = (req, res, next) => {
+  if (!canManagePromoCodes(req.user)) {
+    return sendResponse.error(res, 'Not authorized to manage promo codes', 403);
+  }
+  next();
+};
+
+const validatePromoCodeId = (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return sendResponse.error(res, 'Invalid promo code ID', 400);
+  }
+  next();
+};
+
+// List promo codes (?campaign=&isActive=&search=)
+router.get('/', auth, requireManager, async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.max(1, Math.min(100, parseInt(req.query.limit, 10) || 20));
+    const { campaign, search } = req.query;
+    const isActive = req.query.isActive === undefined ? undefined : req.query.isActive === 'true';
+
+    const { codes, total } = await PromoCodeService.listCodes({ campaign, isActive, search, page, limit });
+
+    return sendResponse.paginated(res, codes, {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalItems: total,
+      itemsPerPage: limit
+    });
+  } catch (error) {
+    console.error('List promo codes error:', error);
+    return sendResponse.error(res, 'Server error');
+  }
+});
+
+// Create a code for a coupon campaign
+router.post('/', auth, requireManager, async (req, res) => {
+  try {
+    const { error, value } = promoCodeSchema.validate(req.body);
+    if (error) {
+      return sendResponse.error(res, error.details[0].message, 400);
+    }
+
+    const promoCode = await PromoCodeService.createCode(value, req.user._id);
+
+    await logActivity(req, {
+      action: 'CREATE',
+      resource: 'PromoCode',
+      resourceId: promoCode._id,
+      description: `Created promo code ${promoCode.code}`,
+      changes: { old: null, new: promoCode.toObject() }
+    });
+
+    return sendResponse.success(res, promoCode, 'Promo code created successfully', 201);
+  } catch (error) {
+    console.error('Create promo code error:', error);
+    return sendResponse.error(res, error.message || 'Server error', error.status || 500);
+  }
+});
+
+// Create one single-use code per buyer, each only usable by that buyer
+router.post('/generate', auth, requireManager, async (req, res) => {
+  try {
+    const { error, value } = generateSchema.validate(req.body);
+    if (error) {
+      return sendResponse.error(res, error.details[0].message, 400);
+    }
+
+    const codes = await PromoCodeService.generateBuyerCodes(value, req.user._id);
+
+    await logActivity(req, {
+      action: 'CREATE',
+      resource: 'PromoCode',
+      description: `Generated ${codes.length} buyer promo code(s) for campaign ${value.campaign}`,
+      changes: { old: null, new: codes.map(code => ({ code: code.code, buyer: code.buyers[0] })) }
+    });
+
+    return sendResponse.success(res, codes, `Generated ${codes.length} promo code(s)`, 201);
+  } catch (error) {
+    console.error('Generate promo codes error:', error);
+    return sendResponse.error(res, error.message || 'Server error', error.status || 500);
+  }
+});
+
+// Get a promo code
+router.get('/:id', auth, requireManager, validatePromoCodeId, async (req, res) => {
+  try {
+    const promoCode = await PromoCodeService.getCode(req.params.id);
+    return sendResponse.success(res, promoCode);
+  } catch (error) {
+    console.error('Get promo code error:', error);
+    return sendResponse.error(res, error.status ? error.message : 'Server error', error.status || 500);
+  }
+});
+
+// Change a promo code's restrictions
+router.patch('/:id', auth, requireManager, validatePromoCodeId, async (req, res) => {
+  try {
+    const { error, value } = promoCodeUpdateSchema.validate(req.body);
+    if (error) {
+      return sendResponse.error(res, error.details[0].message, 400);
+    }
+
+    const { promoCode, old } = await PromoCodeService.updateCode(req.params.id, value, req.user._id);
+
+    await logActivity(req, {
+      action: 'UPDATE',
+      resource: 'PromoCode',
+      resourceId: promoCode._id,
+      description: `Updated promo code ${promoCode.code}`,
+      changes: { old, new: promoCode.toObject() }
+    });
+
+    return sendResponse.success(res, promoCode, 'Promo code updated successfully');
+  } catch (error) {
+    console.error('Update promo code error:', error);
+    return sendResponse.error(res, error.message || 'Server error', error.status || 500);
+  }
+});
+
+// Delete an unused promo code; a used one is deactivated instead
+router.delete('/:id', auth, requireManager, validatePromoCodeId, async (req, res) => {
+  try {
+    const { promoCode, deactivated } = await PromoCodeService.deleteCode(req.params.id, req.user._id);
+
+    await logActivity(req, {
+      action: deactivated ? 'DEACTIVATE' : 'DELETE',
+      resource: 'PromoCode',
+      resourceId: promoCode._id,
+      description: `${deactivated ? 'Deactivated' : 'Deleted'} promo code ${promoCode.code}`,
+      changes: { old: promoCode.toObject(), new: deactivated ? { isActive: false } : null }
+    });
+
+    return sendResponse.success(
+      res,
+      deactivated ? promoCode : null,
+      deactivated ? 'Promo code has been used, so it was deactivated instead of deleted' : 'Promo code deleted successfully'
+    );
+  } catch (error) {
+    console.error('Delete promo code error:', error);
+    return sendResponse.error(res, error.message || 'Server error', error.status || 500);
+  }
+});
+
+// Uses of a promo code (?status=pending|redeemed|cancelled)
+router.get('/:id/redemptions', auth, requireManager, validatePromoCodeId, async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.max(1, Math.min(100, parseInt(req.query.limit, 10) || 20));
+
+    const { redemptions, total } = await PromoCodeService.listRedemptions(req.params.id, {
+      status: req.query.status,
+      page,
+      limit
+    });
+
+    return sendResponse.paginated(res, redemptions, {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalItems: total,
+      itemsPerPage: limit
+    });
+  } catch (error) {
+    console.error('List promo code redemptions error:', error);
+    return sendResponse.error(res, 'Server error');
+  }
+});
+
+module.exports = router;
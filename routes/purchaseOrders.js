@@ -0,0 +1,555 @@
+const express = require('express');
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Supplier = require('../models/Supplier');
+const Product = require('../models/Product');
+const auth = require('../middleware/auth');
+const checkPermission = require('../middleware/checkPermission');
+const PermissionService = require('../services/PermissionService');
+const PurchaseOrderService = require('../services/PurchaseOrderService');
+const { sendResponse } = require('../utils/helpers');
+const { logActivity } = require('../utils/auditLogger');
+
+const router = express.Router();
+
+const deliveryWindowSchema = Joi.object({
+  from: Joi.date().required(),
+  to: Joi.date().min(Joi.ref('from')).required()
+});
+
+const purchaseOrderItemSchema = Joi.object({
+  product: Joi.string().optional(),
+  productName: Joi.string().trim().optional(),
+  productCode: Joi.string().trim().optional(),
+  size: Joi.array().items(Joi.string().trim()).optional(),
+  primaryColor: Joi.array().items(Joi.string().trim()).optional(),
+  quantity: Joi.number().integer().min(1).required(),
+  targetCostPrice: Joi.number().min(0).default(0),
+  notes: Joi.string().allow('', null).optional()
+}).or('product', 'productCode');
+
+const purchaseOrderSchema = Joi.object({
+  supplier: Joi.string().required(),
+  items: Joi.array().items(purchaseOrderItemSchema).min(1).required(),
+  deliveryWindow: deliveryWindowSchema.optional(),
+  notes: Joi.string().allow('', null).optional()
+});
+
+const counterSchema = Joi.object({
+  items: Joi.array().items(Joi.object({
+    lineId: Joi.string().required(),
+    quantity: Joi.number().integer().min(0).optional(),
+    costPrice: Joi.number().min(0).optional()
+  })).optional(),
+  deliveryWindow: deliveryWindowSchema.optional(),
+  notes: Joi.string().allow('', null).optional()
+}).or('items', 'deliveryWindow', 'notes');
+
+const populatePurchaseOrder = (query) => query
+  .populate('supplier', 'name company')
+  .populate('items.product', 'name sku productCode')
+  .populate('createdBy', 'name')
+  .populate('acceptedBy', 'name')
+  .populate('counterOffer.counteredBy', 'name')
+  .populate('history.by', 'name');
+
+const getSupplierForUser = (user) => Supplier.findOne({ userId: user._id });
+
+/**
+ * Resolve the PO scope for the current user: suppliers only see their own,
+ * non-draft POs; everybody else needs the purchases permission.
+ * @returns {Object|null} Mongo filter, or null when access is denied
+ */
+async function getAccessFilter(user) {
+  if (user.role === 'supplier') {
+    const supplier = await getSupplierForUser(user);
+    if (!supplier) return null;
+    return { supplier: supplier._id, status: { $ne: 'draft' } };
+  }
+  return await PermissionService.hasPermission(user, 'purchases') ? {} : null;
+}
+
+/**
+ * Snapshot product names/codes onto PO lines and check the products belong to the supplier
+ */
+async function buildPurchaseOrderItems(items, supplierId) {
+  const productIds = items.map(item => item.product).filter(Boolean);
+  const products = await Product.find({ _id: { $in: productIds } }).select('name sku productCode supplier');
+  const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+  return items.map(item => {
+    if (!item.product) {
+      return { ...item, productCode: item.productCode.toUpperCase() };
+    }
+    const product = productMap.get(item.product);
+    if (!product) {
+      throw Object.assign(new Error(`Product not found: ${item.product}`), { status: 404 });
+    }
+    if (product.supplier && product.supplier.toString() !== supplierId.toString()) {
+      throw Object.assign(new Error(`Product ${product.sku} belongs to a different supplier`), { status: 400 });
+    }
+    return {
+      ...item,
+      product: product._id,
+      productName: item.productName || product.name,
+      productCode: product.productCode || product.sku
+    };
+  });
+}
+
+// Create purchase order (draft)
+router.post('/', auth, checkPermission('purchases'), async (req, res) => {
+  try {
+    const { error, value } = purchaseOrderSchema.validate(req.body);
+    if (error) {
+      return sendResponse.error(res, error.details[0].message, 400);
+    }
+
+    const supplier = await Supplier.findById(value.supplier);
+    if (!supplier) {
+      return sendResponse.error(res, 'Supplier not found', 404);
+    }
+
+    const purchaseOrder = new PurchaseOrder({
+      poNumber: await PurchaseOrder.getNextPoNumber(),
+      supplier: supplier._id,
+      items: await buildPurchaseOrderItems(value.items, supplier._id),
+      deliveryWindow: value.deliveryWindow,
+      notes: value.notes,
+      history: [{ action: 'created', by: req.user._id }],
+      createdBy: req.user._id
+    });
+    await purchaseOrder.save();
+
+    await logActivity(req, {
+      action: 'CREATE',
+      resource: 'PurchaseOrder',
+      resourceId: purchaseOrder._id,
+      description: `Created purchase order ${purchaseOrder.poNumber} (Supplier: ${supplier.company || supplier.name})`,
+      changes: { old: null, new: purchaseOrder.toObject() }
+    });
+
+    const populated = await populatePurchaseOrder(PurchaseOrder.findById(purchaseOrder._id));
+    return sendResponse.success(res, populated, `Purchase order ${purchaseOrder.poNumber} created`, 201);
+
+  } catch (error) {
+    console.error('Create purchase order error:', error);
+    return sendResponse.error(res, error.message || 'Server error', error.status || 500);
+  }
+});
+
+// Outstanding quantities per PO line across open purchase orders
+router.get('/reports/outstanding', auth, async (req, res) => {
+  try {
+    const accessFilter = await getAccessFilter(req.user);
+    if (!accessFilter) {
+      return sendResponse.error(res, 'Access denied', 403);
+    }
+
+    const { supplier, product } = req.query;
+    const query = {
+      ...accessFilter,
+      status: { $in: PurchaseOrderService.DISPATCHABLE_STATUSES }
+    };
+    if (supplier && req.user.role !== 'supplier') query.supplier = supplier;
+    if (product) query['items.product'] = product;
+
+    const purchaseOrders = await PurchaseOrder.find(query)
+      .populate('supplier', 'name company')
+      .sort({ 'deliveryWindow.to': 1, createdAt: 1 })
+      .lean();
+
+    const dispatchedByLine = await PurchaseOrderService.getDispatchedByLine(purchaseOrders.map(po => po._id));
+
+    const lines = [];
+    const totals = { ordered: 0, dispatched: 0, received: 0, outstanding: 0 };
+    for (const purchaseOrder of purchaseOrders) {
+      const fulfillment = await PurchaseOrderService.getFulfillment(purchaseOrder, dispatchedByLine);
+      for (const line of fulfillment.lines) {
+        if (line.outstanding <= 0) continue;
+        if (product && (!line.product || line.product.toString() !== product)) continue;
+        lines.push({
+          purchaseOrder: purchaseOrder._id,
+          poNumber: purchaseOrder.poNumber,
+          supplier: purchaseOrder.supplier,
+          deliveryWindow: purchaseOrder.deliveryWindow,
+          ...line
+        });
+        totals.ordered += line.ordered;
+        totals.dispatched += line.dispatched;
+        totals.received += line.received;
+        totals.outstanding += line.outstanding;
+      }
+    }
+
+    return sendResponse.success(res, { lines, totals });
+
+  } catch (error) {
+    console.error('Get outstanding purchase order lines error:', error);
+    return sendResponse.error(res, 'Server error', 500);
+  }
+});
+
+// Get purchase orders (suppliers only see their own)
+router.get('/', auth, async (req, res) => {
+  try {
+    const accessFilter = await getAccessFilter(req.user);
+    if (!accessFilter) {
+      return sendResponse.error(res, 'Access denied', 403);
+    }
+
+    const { page = 1, limit = 20, status, supplier, search, startDate, endDate } = req.query;
+    const query = { ...accessFilter };
+
+    if (status) {
+      const statusArray = status.split(',').map(s => s.trim()).filter(Boolean);
+      query.status = statusArray.length === 1 ? statusArray[0] : { $in: statusArray };
+      if (req.user.role === 'supplier' && statusArray.includes('draft')) {
+        return sendResponse.paginated(res, [], { currentPage: parseInt(page), totalPages: 0, totalItems: 0, itemsPerPage: parseInt(limit) });
+      }
+    }
+    if (supplier && req.user.role !== 'supplier') query.supplier = supplier;
+    if (search) {
+      const searchRegex = new RegExp(search, 'i');
+      query.$or = [
+        { poNumber: searchRegex },
+        { 'items.productCode': searchRegex },
+        { 'items.productName': searchRegex }
+      ];
+    }
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const purchaseOrders = await PurchaseOrder.find(query)
+      .populate('supplier', 'name company')
+      .populate('createdBy', 'name')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean();
+
+    const total = await PurchaseOrder.countDocuments(query);
+
+    return sendResponse.paginated(res, purchaseOrders, {
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(total / limit),
+      totalItems: total,
+      itemsPerPage: parseInt(limit)
+    });
+
+  } catch (error) {
+    console.error('Get purchase orders error:', error);
+    return sendResponse.error(res, 'Server error', 500);
+  }
+});
+
+// Get purchase order by ID, with per-line fulfilment
+router.get('/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return sendResponse.error(res, 'Invalid purchase order ID', 400);
+    }
+
+    const accessFilter = await getAccessFilter(req.user);
+    if (!accessFilter) {
+      return sendResponse.error(res, 'Access denied', 403);
+    }
+
+    const purchaseOrder = await populatePurchaseOrder(
+      PurchaseOrder.findOne({ ...accessFilter, _id: req.params.id })
+    ).lean();
+    if (!purchaseOrder) {
+      return sendResponse.error(res, 'Purchase order not found', 404);
+    }
+
+    const fulfillment = await PurchaseOrderService.getFulfillment(purchaseOrder);
+
+    return sendResponse.success(res, { ...purchaseOrder, fulfillment });
+
+  } catch (error) {
+    console.error('Get purchase order error:', error);
+    return sendResponse.error(res, 'Server error', 500);
+  }
+});
+
+// Update purchase order (draft or countered only)
+router.put('/:id', auth, checkPermission('purchases'), async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+    if (!purchaseOrder) {
+      return sendResponse.error(res, 'Purchase order not found', 404);
+    }
+    if (!['draft', 'countered'].includes(purchaseOrder.status)) {
+      return sendResponse.error(res, `Cannot edit a purchase order with status '${purchaseOrder.status}'`, 400);
+    }
+
+    const { error, value } = purchaseOrderSchema.validate({
+      supplier: purchaseOrder.supplier.toString(),
+      ...req.body
+    });
+    if (error) {
+      return sendResponse.error(res, error.details[0].message, 400);
+    }
+    if (value.supplier !== purchaseOrder.supplier.toString() && purchaseOrder.status !== 'draft') {
+      return sendResponse.error(res, 'The supplier can only be changed on draft purchase orders', 400);
+    }
+
+    const oldData = purchaseOrder.toObject();
+    purchaseOrder.supplier = value.supplier;
+    purchaseOrder.items = await buildPurchaseOrderItems(value.items, value.supplier);
+    purchaseOrder.deliveryWindow = value.deliveryWindow;
+    purchaseOrder.notes = value.notes;
+    await purchaseOrder.save();
+
+    await logActivity(req, {
+      action: 'UPDATE',
+      resource: 'PurchaseOrder',
+      resourceId: purchaseOrder._id,
+      description: `Updated purchase order ${purchaseOrder.poNumber}`,
+      changes: { old: oldData, new: purchaseOrder.toObject() }
+    });
+
+    const populated = await populatePurchaseOrder(PurchaseOrder.findById(purchaseOrder._id));
+    return sendResponse.success(res, populated, 'Purchase order updated successfully');
+
+  } catch (error) {
+    console.error('Update purchase order error:', error);
+    return sendResponse.error(res, error.message || 'Server error', error.status || 500);
+  }
+});
+
+// Send purchase order to the supplier (draft/countered → sent)
+router.patch('/:id/send', auth, checkPermission('purchases'), async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+    if (!purchaseOrder) {
+      return sendResponse.error(res, 'Purchase order not found', 404);
+    }
+    if (!['draft', 'countered'].includes(purchaseOrder.status)) {
+      return sendResponse.error(res, `Cannot send a purchase order with status '${purchaseOrder.status}'`, 400);
+    }
+
+    const oldStatus = purchaseOrder.status;
+    purchaseOrder.status = 'sent';
+    purchaseOrder.sentAt = new Date();
+    purchaseOrder.history.push({ action: 'sent', notes: req.body.notes, by: req.user._id });
+    await purchaseOrder.save();
+
+    await logActivity(req, {
+      action: 'STATUS_CHANGE',
+      resource: 'PurchaseOrder',
+      resourceId: purchaseOrder._id,
+      description: `Sent purchase order ${purchaseOrder.poNumber} to supplier`,
+      changes: { old: oldStatus, new: 'sent' }
+    });
+
+    return sendResponse.success(res, purchaseOrder, `Purchase order ${purchaseOrder.poNumber} sent to supplier`);
+
+  } catch (error) {
+    console.error('Send purchase order error:', error);
+    return sendResponse.error(res, 'Server error', 500);
+  }
+});
+
+// Accept a purchase order.
+// Suppliers accept a sent PO as-is; we accept a supplier's counter-offer, which replaces the PO terms.
+router.patch('/:id/accept', auth, async (req, res) => {
+  try {
+    const isSupplier = req.user.role === 'supplier';
+    if (!isSupplier && !(await PermissionService.hasPermission(req.user, 'purchases'))) {
+      return sendResponse.error(res, 'Access denied', 403);
+    }
+
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+    if (!purchaseOrder) {
+      return sendResponse.error(res, 'Purchase order not found', 404);
+    }
+
+    if (isSupplier) {
+      const supplier = await getSupplierForUser(req.user);
+      if (!supplier || purchaseOrder.supplier.toString() !== supplier._id.toString()) {
+        return sendResponse.error(res, 'Access denied', 403);
+      }
+      if (purchaseOrder.status !== 'sent') {
+        return sendResponse.error(res, `Cannot accept a purchase order with status '${purchaseOrder.status}'`, 400);
+      }
+      purchaseOrder.history.push({ action: 'accepted', notes: req.body.notes, by: req.user._id });
+    } else {
+      if (purchaseOrder.status !== 'countered') {
+        return sendResponse.error(res, 'Only countered purchase orders can be accepted by us', 400);
+      }
+      purchaseOrder.items.forEach(line => {
+        if (line.counterQuantity !== undefined && line.counterQuantity !== null) {
+          line.quantity = line.counterQuantity;
+        }
+        if (line.counterCostPrice !== undefined && line.counterCostPrice !== null) {
+          line.targetCostPrice = line.counterCostPrice;
+        }
+        line.counterQuantity = undefined;
+        line.counterCostPrice = undefined;
+      });
+      // Lines countered down to zero are dropped
+      purchaseOrder.items = purchaseOrder.items.filter(line => line.quantity > 0);
+      if (purchaseOrder.items.length === 0) {
+        return sendResponse.error(res, 'The counter-offer leaves no quantities to order; cancel the purchase order instead', 400);
+      }
+      if (purchaseOrder.counterOffer?.deliveryWindow?.from) {
+        purchaseOrder.deliveryWindow = purchaseOrder.counterOffer.deliveryWindow;
+      }
+      purchaseOrder.history.push({ action: 'counter_accepted', notes: req.body.notes, by: req.user._id });
+    }
+
+    const oldStatus = purchaseOrder.status;
+    purchaseOrder.status = 'accepted';
+    purchaseOrder.acceptedAt = new Date();
+    purchaseOrder.acceptedBy = req.user._id;
+    await purchaseOrder.save();
+
+    await logActivity(req, {
+      action: 'APPROVE',
+      resource: 'PurchaseOrder',
+      resourceId: purchaseOrder._id,
+      description: isSupplier
+        ? `Supplier accepted purchase order ${purchaseOrder.poNumber}`
+        : `Accepted supplier counter-offer on purchase order ${purchaseOrder.poNumber}`,
+      changes: { old: oldStatus, new: 'accepted' }
+    });
+
+    return sendResponse.success(res, purchaseOrder, `Purchase order ${purchaseOrder.poNumber} accepted`);
+
+  } catch (error) {
+    console.error('Accept purchase order error:', error);
+    return sendResponse.error(res, 'Server error', 500);
+  }
+});
+
+// Counter a purchase order (Suppliers only): propose quantities, prices and/or a delivery window
+router.patch('/:id/counter', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'supplier') {
+      return sendResponse.error(res, 'Only suppliers can counter purchase orders', 403);
+    }
+
+    const { error, value } = counterSchema.validate(req.body);
+    if (error) {
+      return sendResponse.error(res, error.details[0].message, 400);
+    }
+
+    const supplier = await getSupplierForUser(req.user);
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+    if (!purchaseOrder || !supplier || purchaseOrder.supplier.toString() !== supplier._id.toString()) {
+      return sendResponse.error(res, 'Purchase order not found', 404);
+    }
+    if (purchaseOrder.status !== 'sent') {
+      return sendResponse.error(res, `Cannot counter a purchase order with status '${purchaseOrder.status}'`, 400);
+    }
+
+    for (const counterLine of value.items || []) {
+      const line = purchaseOrder.items.id(counterLine.lineId);
+      if (!line) {
+        return sendResponse.error(res, `Line ${counterLine.lineId} is not part of purchase order ${purchaseOrder.poNumber}`, 400);
+      }
+      if (counterLine.quantity !== undefined) line.counterQuantity = counterLine.quantity;
+      if (counterLine.costPrice !== undefined) line.counterCostPrice = counterLine.costPrice;
+    }
+
+    purchaseOrder.status = 'countered';
+    purchaseOrder.counterOffer = {
+      deliveryWindow: value.deliveryWindow,
+      notes: value.notes,
+      counteredAt: new Date(),
+      counteredBy: req.user._id
+    };
+    purchaseOrder.history.push({ action: 'countered', notes: value.notes, by: req.user._id });
+    await purchaseOrder.save();
+
+    await logActivity(req, {
+      action: 'STATUS_CHANGE',
+      resource: 'PurchaseOrder',
+      resourceId: purchaseOrder._id,
+      description: `Supplier countered purchase order ${purchaseOrder.poNumber}`,
+      changes: { old: 'sent', new: 'countered', counter: value }
+    });
+
+    return sendResponse.success(res, purchaseOrder, `Counter-offer on purchase order ${purchaseOrder.poNumber} submitted`);
+
+  } catch (error) {
+    console.error('Counter purchase order error:', error);
+    return sendResponse.error(res, 'Server error', 500);
+  }
+});
+
+// Close a purchase order short: outstanding quantities will no longer be dispatched
+router.patch('/:id/close', auth, checkPermission('purchases'), async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+    if (!purchaseOrder) {
+      return sendResponse.error(res, 'Purchase order not found', 404);
+    }
+    if (!PurchaseOrderService.DISPATCHABLE_STATUSES.includes(purchaseOrder.status)) {
+      return sendResponse.error(res, `Cannot close a purchase order with status '${purchaseOrder.status}'`, 400);
+    }
+
+    const oldStatus = purchaseOrder.status;
+    purchaseOrder.status = 'closed';
+    purchaseOrder.history.push({ action: 'closed', notes: req.body.notes, by: req.user._id });
+    await purchaseOrder.save();
+
+    await logActivity(req, {
+      action: 'STATUS_CHANGE',
+      resource: 'PurchaseOrder',
+      resourceId: purchaseOrder._id,
+      description: `Closed purchase order ${purchaseOrder.poNumber}`,
+      changes: { old: oldStatus, new: 'closed', notes: req.body.notes }
+    });
+
+    return sendResponse.success(res, purchaseOrder, `Purchase order ${purchaseOrder.poNumber} closed`);
+
+  } catch (error) {
+    console.error('Close purchase order error:', error);
+    return sendResponse.error(res, 'Server error', 500);
+  }
+});
+
+// Cancel a purchase order that nothing has been dispatched against yet
+router.patch('/:id/cancel', auth, checkPermission('purchases'), async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+    if (!purchaseOrder) {
+      return sendResponse.error(res, 'Purchase order not found', 404);
+    }
+    if (!['draft', 'sent', 'countered', 'accepted'].includes(purchaseOrder.status)) {
+      return sendResponse.error(res, `Cannot cancel a purchase order with status '${purchaseOrder.status}'`, 400);
+    }
+
+    const { totals } = await PurchaseOrderService.getFulfillment(purchaseOrder);
+    if (totals.dispatched > 0) {
+      return sendResponse.error(res, 'Goods have already been dispatched against this purchase order; close it instead', 400);
+    }
+
+    const oldStatus = purchaseOrder.status;
+    purchaseOrder.status = 'cancelled';
+    purchaseOrder.history.push({ action: 'cancelled', notes: req.body.reason, by: req.user._id });
+    await purchaseOrder.save();
+
+    await logActivity(req, {
+      action: 'STATUS_CHANGE',
+      resource: 'PurchaseOrder',
+      resourceId: purchaseOrder._id,
+      description: `Cancelled purchase order ${purchaseOrder.poNumber}`,
+      changes: { old: oldStatus, new: 'cancelled', reason: req.body.reason }
+    });
+
+    return sendResponse.success(res, purchaseOrder, `Purchase order ${purchaseOrder.poNumber} cancelled`);
+
+  } catch (error) {
+    console.error('Cancel purchase order error:', error);
+    return sendResponse.error(res, 'Server error', 500);
+  }
+});
+
+module.exports = router;
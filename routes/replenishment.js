@@ -0,0 +1,210 @@
+const express = require('express');
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const checkPermission = require('../middleware/checkPermission');
+const ReplenishmentService = require('../services/ReplenishmentService');
+const { sendResponse } = require('../utils/helpers');
+const { logActivity } = require('../utils/auditLogger');
+
+const router = express.Router();
+
+const { DEFAULT_OPTIONS } = ReplenishmentService;
+
+const optionsSchema = Joi.object({
+  supplierId: Joi.string().optional(),
+  salesWindowDays: Joi.number().integer().min(1).max(365).default(DEFAULT_OPTIONS.salesWindowDays),
+  coverDays: Joi.number().integer().min(0).max(365).default(DEFAULT_OPTIONS.coverDays),
+  safetyDays: Joi.number().integer().min(0).max(180).default(DEFAULT_OPTIONS.safetyDays),
+  defaultLeadTimeDays: Joi.number().integer().min(0).max(365).default(DEFAULT_OPTIONS.defaultLeadTimeDays)
+});
+
+const linesSchema = Joi.object({
+  lines: Joi.array().items(Joi.object({
+    lineId: Joi.string().required(),
+    quantity: Joi.number().integer().min(0).optional(),
+    variants: Joi.array().items(Joi.object({
+      size: Joi.string().trim().allow('').default(''),
+      color: Joi.string().trim().allow('').default(''),
+      quantity: Joi.number().integer().min(0).required()
+    })).min(1).optional()
+  }).xor('quantity', 'variants')).min(1).required()
+});
+
+const approveSchema = Joi.object({
+  deliveryWindow: Joi.object({
+    from: Joi.date().required(),
+    to: Joi.date().min(Joi.ref('from')).required()
+  }).optional(),
+  notes: Joi.string().allow('', null).optional()
+});
+
+const validateProposalId = (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return sendResponse.error(res, 'Invalid proposal ID', 400);
+  }
+  next();
+};
+
+// Reorder suggestions worked out from current stock, sales velocity and supplier lead times
+router.get('/suggestions', auth, checkPermission('purchases'), async (req, res) => {
+  try {
+    const { error, value } = optionsSchema.validate(req.query);
+    if (error) {
+      return sendResponse.error(res, error.details[0].message, 400);
+    }
+
+    const suggestions = await ReplenishmentService.getSuggestions(value);
+    return sendResponse.success(res, suggestions);
+
+  } catch (error) {
+    console.error('Get replenishment suggestions error:', error);
+    return sendResponse.error(res, 'Server error', 500);
+  }
+});
+
+// Store the current suggestions as one open proposal per supplier
+router.post('/proposals/generate', auth, checkPermission('purchases'), async (req, res) => {
+  try {
+    const { error, value } = optionsSchema.validate(req.body);
+    if (error) {
+      return sendResponse.error(res, error.details[0].message, 400);
+    }
+
+    const { proposals, unassigned } = await ReplenishmentService.generateProposals(value, req.user._id);
+
+    if (proposals.length > 0) {
+      await logActivity(req, {
+        action: 'CREATE',
+        resource: 'ReplenishmentProposal',
+        description: `Generated ${proposals.length} replenishment proposal(s)`,
+        changes: { old: null, new: { parameters: value, proposals: proposals.map(proposal => proposal._id) } }
+      });
+    }
+
+    return sendResponse.success(
+      res,
+      { proposals, unassigned },
+      proposals.length > 0 ? `Generated ${proposals.length} replenishment proposal(s)` : 'Nothing needs reordering',
+      201
+    );
+
+  } catch (error) {
+    console.error('Generate replenishment proposals error:', error);
+    return sendResponse.error(res, error.message || 'Server error', error.status || 500);
+  }
+});
+
+// Get proposals (?status=open|approved|dismissed|superseded&supplier=)
+router.get('/proposals', auth, checkPermission('purchases'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const { status, supplier } = req.query;
+
+    const { proposals, total } = await ReplenishmentService.listProposals({ status, supplier, page, limit });
+
+    return sendResponse.paginated(res, proposals, {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalItems: total,
+      itemsPerPage: limit
+    });
+
+  } catch (error) {
+    console.error('Get replenishment proposals error:', error);
+    return sendResponse.error(res, 'Server error', 500);
+  }
+});
+
+// Get a proposal with its lines
+router.get('/proposals/:id', auth, checkPermission('purchases'), validateProposalId, async (req, res) => {
+  try {
+    const proposal = await ReplenishmentService.getProposal(req.params.id);
+    return sendResponse.success(res, proposal);
+
+  } catch (error) {
+    console.error('Get replenishment proposal error:', error);
+    return sendResponse.error(res, error.status ? error.message : 'Server error', error.status || 500);
+  }
+});
+
+// Change line or variant quantities of an open proposal (0 leaves a line out)
+router.put('/proposals/:id/lines', auth, checkPermission('purchases'), validateProposalId, async (req, res) => {
+  try {
+    const { error, value } = linesSchema.validate(req.body);
+    if (error) {
+      return sendResponse.error(res, error.details[0].message, 400);
+    }
+
+    const proposal = await ReplenishmentService.updateProposalLines(req.params.id, value.lines);
+
+    await logActivity(req, {
+      action: 'UPDATE',
+      resource: 'ReplenishmentProposal',
+      resourceId: proposal._id,
+      description: `Changed quantities on replenishment proposal ${proposal._id}`,
+      changes: { old: null, new: value.lines }
+    });
+
+    return sendResponse.success(res, proposal, 'Proposal updated successfully');
+
+  } catch (error) {
+    console.error('Update replenishment proposal error:', error);
+    return sendResponse.error(res, error.message || 'Server error', error.status || 500);
+  }
+});
+
+// Approve a proposal into a draft purchase order for its supplier
+router.post('/proposals/:id/approve', auth, checkPermission('purchases'), validateProposalId, async (req, res) => {
+  try {
+    const { error, value } = approveSchema.validate(req.body);
+    if (error) {
+      return sendResponse.error(res, error.details[0].message, 400);
+    }
+
+    const { proposal, purchaseOrder } = await ReplenishmentService.approveProposal(req.params.id, req.user._id, value);
+
+    await logActivity(req, {
+      action: 'APPROVE',
+      resource: 'ReplenishmentProposal',
+      resourceId: proposal._id,
+      description: `Approved replenishment proposal ${proposal._id} into draft purchase order ${purchaseOrder.poNumber}`,
+      changes: { old: 'open', new: 'approved' }
+    });
+
+    return sendResponse.success(
+      res,
+      { proposal, purchaseOrder },
+      `Draft purchase order ${purchaseOrder.poNumber} created`,
+      201
+    );
+
+  } catch (error) {
+    console.error('Approve replenishment proposal error:', error);
+    return sendResponse.error(res, error.message || 'Server error', error.status || 500);
+  }
+});
+
+// Dismiss a proposal without ordering
+router.patch('/proposals/:id/dismiss', auth, checkPermission('purchases'), validateProposalId, async (req, res) => {
+  try {
+    const proposal = await ReplenishmentService.dismissProposal(req.params.id, req.user._id, req.body.reason);
+
+    await logActivity(req, {
+      action: 'REJECT',
+      resource: 'ReplenishmentProposal',
+      resourceId: proposal._id,
+      description: `Dismissed replenishment proposal ${proposal._id}`,
+      changes: { old: 'open', new: 'dismissed', reason: req.body.reason }
+    });
+
+    return sendResponse.success(res, proposal, 'Proposal dismissed');
+
+  } catch (error) {
+    console.error('Dismiss replenishment proposal error:', error);
+    return sendResponse.error(res, error.message || 'Server error', error.status || 500);
+  }
+});
+
+module.exports = router;
@@ -1,18 +1,69 @@
 const express = require('express');
+const Joi = require('joi');
+const mongoose = require('mongoose');
 const Sale = require('../models/Sale');
 const DispatchOrder = require('../models/DispatchOrder');
 const Expense = require('../models/Expense');
+const ExpenseVoucher = require('../models/ExpenseVoucher');
 const Inventory = require('../models/Inventory');
 const Product = require('../models/Product');
 const Supplier = require('../models/Supplier');
 const Buyer = require('../models/Buyer');
 const Ledger = require('../models/Ledger');
+const StockLocation = require('../models/StockLocation');
+const StockLocationService = require('../services/StockLocationService');
+const CostingService = require('../services/CostingService');
+const AgeingService = require('../services/AgeingService');
+const CurrencyService = require('../services/CurrencyService');
+const PromoCodeService = require('../services/PromoCodeService');
 const auth = require('../middleware/auth');
 const checkPermission = require('../middleware/checkPermission');
+const SavedReportService = require('../services/SavedReportService');
+const { reportExport } = require('../utils/reportExport');
+const { REPORT_PERIODS } = require('../utils/constants');
+const { logActivity } = require('../utils/auditLogger');
 
 
 const router = express.Router();
 
+// Report titles (used in exports and saved reports), keyed by the first segment of the path
+const REPORT_TITLES = {
+  'sales': 'Sales Report',
+  'purchases': 'Purchase Report',
+  'financial': 'Financial Report',
+  'inventory': 'Inventory Report',
+  'suppliers': 'Supplier Performance Report',
+  'customers': 'Customer Analysis Report',
+  'dashboard': 'Dashboard Summary',
+  'stock-summary': 'Stock Summary',
+  'daily-sales': 'Daily Sales Report',
+  'daily-buying': 'Daily Buying Report',
+  'sales-product-wise': 'Sales Product-wise Report',
+  'buying-product-wise': 'Buying Product-wise Report',
+  'stock-in-hand': 'Stock in Hand Report',
+  'receivables': 'Receivables Report',
+  'payables': 'Payables Report',
+  'aged-receivables': 'Aged Receivables Report',
+  'aged-payables': 'Aged Payables Report',
+  'fx-gains': 'Realised FX Gains and Losses',
+  'promo-redemptions': 'Promo Code Redemptions',
+  'activity-log': 'Activity Log Report',
+  'sales-returns': 'Sales Returns Report',
+  'buying-returns': 'Buying Returns Report',
+  'sales-returns-product-wise': 'Sales Returns Product-wise Report',
+  'buying-returns-product-wise': 'Buying Returns Product-wise Report',
+  'profit-loss': 'Profit & Loss Report',
+  'gross-margin': 'Gross Margin Report',
+  'cash-in-hand': 'Cash in Hand Report',
+  'product-summary': 'Product Summary Report',
+  'product-history': 'Product History Report'
+};
+
+const exportReport = reportExport(req => REPORT_TITLES[req.path.split('/')[1]] || 'Report');
+
+// Every report takes ?format=csv|xlsx|pdf (default json); saved report management stays JSON
+router.use((req, res, next) => (req.path.startsWith('/saved') ? next() : exportReport(req, res, next)));
+
 // Sales Report
 router.get('/sales', auth, checkPermission('reports'), async (req, res) => {
 
@@ -1237,13 +1288,28 @@ router.get('/sales-product-wise', auth, async (req, res) => {
       .sort({ saleDate: -1 })
       .lean();
 
+    // Cost and margin of lines with a cost snapshot (taken when the stock left)
+    let totalCostOfGoods = 0;
+    let totalGrossMargin = 0;
+    sales.forEach(sale => {
+      (sale.items || []).forEach(item => {
+        if (!item.costSnapshot) return;
+        item.costOfGoods = item.costSnapshot.totalCost;
+        item.grossMargin = ((item.quantity * item.unitPrice) - (item.discount || 0)) - item.costOfGoods;
+        totalCostOfGoods += item.costOfGoods;
+        totalGrossMargin += item.grossMargin;
+      });
+    });
+
     res.json({
       success: true,
       data: {
         sales,
         summary: {
           totalSales: sales.length,
-          totalItems: sales.reduce((sum, s) => sum + (s.items?.length || 0), 0)
+          totalItems: sales.reduce((sum, s) => sum + (s.items?.length || 0), 0),
+          totalCostOfGoods,
+          totalGrossMargin
         }
       }
     });
@@ -1310,8 +1376,30 @@ router.get('/buying-product-wise', auth, async (req, res) => {
 // Stock in Hand Report
 router.get('/stock-in-hand', auth, async (req, res) => {
   try {
+    const { location } = req.query;
+
+    // Location filter: report the quantity held at that location instead of the total
+    const locationStages = [];
+    if (location) {
+      if (!mongoose.Types.ObjectId.isValid(location)) {
+        return res.status(400).json({ success: false, message: 'Invalid stock location ID' });
+      }
+      const stockLocation = await StockLocation.findById(location);
+      if (!stockLocation) {
+        return res.status(404).json({ success: false, message: 'Stock location not found' });
+      }
+      const defaultLocation = await StockLocation.getDefaultLocation();
+      const isDefault = defaultLocation && defaultLocation._id.equals(stockLocation._id);
+      locationStages.push(
+        { $addFields: { currentStock: StockLocationService.buildLocationQuantityExpression(stockLocation._id, isDefault) } },
+        { $match: { currentStock: { $gt: 0 } } },
+        { $addFields: { totalValue: { $multiply: ['$currentStock', { $ifNull: ['$averageCostPrice', 0] }] } } }
+      );
+    }
+
     const stockData = await Inventory.aggregate([
       { $match: { isActive: true } },
+      ...locationStages,
       {
         $lookup: {
           from: 'products',
@@ -1718,6 +1806,123 @@ router.get('/payables', auth, async (req, res) => {
   }
 });
 
+// Aged Receivables Report: outstanding per buyer in 0-30 / 31-60 / 61-90 / 90+ day buckets
+router.get('/aged-receivables', auth, checkPermission('reports'), async (req, res) => {
+  try {
+    const { asOfDate, includeDocuments } = req.query;
+
+    const data = await AgeingService.getAgedBalances('buyer', {
+      asOfDate,
+      includeDocuments: includeDocuments === 'true'
+    });
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Aged receivables report error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.status ? error.message : 'Server error' });
+  }
+});
+
+// Aged receivables drill-down: the open sales behind one buyer's buckets
+router.get('/aged-receivables/:buyerId', auth, checkPermission('reports'), async (req, res) => {
+  try {
+    const data = await AgeingService.getAgedBalances('buyer', {
+      asOfDate: req.query.asOfDate,
+      entityId: req.params.buyerId,
+      includeDocuments: true
+    });
+
+    res.json({ success: true, data: { asOfDate: data.asOfDate, buyer: data.parties[0] || null } });
+  } catch (error) {
+    console.error('Aged receivables drill-down error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.status ? error.message : 'Server error' });
+  }
+});
+
+// Aged Payables Report: outstanding per supplier (type=supplier) or logistics company (type=logistics)
+router.get('/aged-payables', auth, checkPermission('reports'), async (req, res) => {
+  try {
+    const { asOfDate, type = 'supplier', includeDocuments } = req.query;
+    if (!['supplier', 'logistics'].includes(type)) {
+      return res.status(400).json({ success: false, message: 'type must be supplier or logistics' });
+    }
+
+    const data = await AgeingService.getAgedBalances(type, {
+      asOfDate,
+      includeDocuments: includeDocuments === 'true'
+    });
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Aged payables report error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.status ? error.message : 'Server error' });
+  }
+});
+
+// Aged payables drill-down: the open dispatch orders / sales behind one party's buckets
+router.get('/aged-payables/:type/:id', auth, checkPermission('reports'), async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    if (!['supplier', 'logistics'].includes(type)) {
+      return res.status(400).json({ success: false, message: 'type must be supplier or logistics' });
+    }
+
+    const data = await AgeingService.getAgedBalances(type, {
+      asOfDate: req.query.asOfDate,
+      entityId: id,
+      includeDocuments: true
+    });
+
+    res.json({ success: true, data: { asOfDate: data.asOfDate, type, party: data.parties[0] || null } });
+  } catch (error) {
+    console.error('Aged payables drill-down error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.status ? error.message : 'Server error' });
+  }
+});
+
+// Realised FX gains and losses on supplier payments, per supplier and currency
+router.get('/fx-gains', auth, checkPermission('reports'), async (req, res) => {
+  try {
+    let { startDate, endDate, supplierId } = req.query;
+
+    const today = new Date().toISOString().split('T')[0];
+    if (!startDate && !endDate) {
+      startDate = today;
+      endDate = today;
+    }
+
+    const data = await CurrencyService.getRealisedFxReport({ startDate, endDate, supplierId });
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('FX gains report error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.status ? error.message : 'Server error' });
+  }
+});
+
+// Promo code redemptions per campaign and per code (paid orders; includePending=true adds checkouts awaiting payment)
+router.get('/promo-redemptions', auth, checkPermission('reports'), async (req, res) => {
+  try {
+    const { campaign, startDate, endDate, includePending } = req.query;
+
+    if (campaign && !mongoose.Types.ObjectId.isValid(campaign)) {
+      return res.status(400).json({ success: false, message: 'Invalid campaign ID' });
+    }
+
+    const data = await PromoCodeService.getRedemptionReport({
+      campaign,
+      startDate,
+      endDate,
+      includePending: includePending === 'true'
+    });
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Promo redemptions report error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.status ? error.message : 'Server error' });
+  }
+});
+
 // Activity Log Report (placeholder - requires ActivityLog model)
 router.get('/activity-log', auth, async (req, res) => {
   try {
@@ -1983,17 +2188,23 @@ router.get('/profit-loss', auth, async (req, res) => {
           const unitSellingPrice = item.unitPrice || 0;
           const quantity = item.quantity || 0;
           
-          // Get average cost from Product pricing or Inventory
+          // Cost snapshot taken when the stock left; older sales fall back to current cost
           let averageCost = 0;
-          if (item.product?.pricing?.costPrice) {
-            averageCost = item.product.pricing.costPrice;
-          }
-          
-          // Try to get supplier-specific cost from inventory
-          if (item.product?.supplier) {
-            const inventoryKey = `${item.product._id}_${item.product.supplier}`;
-            if (inventoryMap[inventoryKey]) {
-              averageCost = inventoryMap[inventoryKey];
+          let costMethod = 'estimate';
+          if (item.costSnapshot) {
+            averageCost = item.costSnapshot.unitCost;
+            costMethod = item.costSnapshot.method;
+          } else {
+            if (item.product?.pricing?.costPrice) {
+              averageCost = item.product.pricing.costPrice;
+            }
+
+            // Try to get supplier-specific cost from inventory
+            if (item.product?.supplier) {
+              const inventoryKey = `${item.product._id}_${item.product.supplier}`;
+              if (inventoryMap[inventoryKey]) {
+                averageCost = inventoryMap[inventoryKey];
+              }
             }
           }
           
@@ -2012,6 +2223,7 @@ router.get('/profit-loss', auth, async (req, res) => {
             totalSales: item.totalPrice || 0,
             averagePrice: unitSellingPrice,
             averageCost: averageCost,
+            costMethod,
             pnl: pnl
           });
 
@@ -2021,15 +2233,48 @@ router.get('/profit-loss', auth, async (req, res) => {
       }
     });
 
+    // Operating expenses over the same period: approved expenses and expense vouchers
+    const expenseMatch = { status: { $in: ['approved', 'paid'] } };
+    const voucherMatch = { status: { $in: ['approved', 'paid'] } };
+    if (matchConditions.saleDate) {
+      expenseMatch.expenseDate = matchConditions.saleDate;
+      voucherMatch.date = matchConditions.saleDate;
+    }
+
+    const [expenseTotals, voucherTotals] = await Promise.all([
+      Expense.aggregate([
+        { $match: expenseMatch },
+        { $group: { _id: null, total: { $sum: { $add: ['$amount', { $ifNull: ['$taxAmount', 0] }] } }, count: { $sum: 1 } } }
+      ]),
+      ExpenseVoucher.aggregate([
+        { $match: voucherMatch },
+        { $group: { _id: null, total: { $sum: '$amount' }, count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const expensesTotal = expenseTotals[0]?.total || 0;
+    const expenseVouchersTotal = voucherTotals[0]?.total || 0;
+    const totalOperatingExpenses = expensesTotal + expenseVouchersTotal;
+    const netPnL = totalProfit - totalLoss;
+
     res.json({
       success: true,
       data: {
         plData,
+        operatingExpenses: {
+          expenses: expensesTotal,
+          expenseCount: expenseTotals[0]?.count || 0,
+          expenseVouchers: expenseVouchersTotal,
+          expenseVoucherCount: voucherTotals[0]?.count || 0,
+          total: totalOperatingExpenses
+        },
         summary: {
           totalTransactions: plData.length,
           totalProfit: totalProfit,
           totalLoss: totalLoss,
-          netPnL: totalProfit - totalLoss
+          netPnL,
+          totalOperatingExpenses,
+          netProfit: netPnL - totalOperatingExpenses
         }
       }
     });
@@ -2039,6 +2284,29 @@ router.get('/profit-loss', auth, async (req, res) => {
   }
 });
 
+// Gross margin per sale, product, buyer or month, using the sale lines' cost snapshots
+router.get('/gross-margin', auth, checkPermission('reports'), async (req, res) => {
+  try {
+    let { startDate, endDate, groupBy = 'sale', buyer, product } = req.query;
+
+    const today = new Date().toISOString().split('T')[0];
+    if (!startDate && !endDate) {
+      startDate = today;
+      endDate = today;
+    }
+
+    const data = await CostingService.getGrossMargin({ startDate, endDate, groupBy, buyer, product });
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Gross margin report error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.status ? error.message : 'Server error' });
+  }
+});
+
 // =====================================================
 // GET /reports/cash-in-hand
 // Daily cash-flow report: Sales (in) + Buyer Payments (in) + Expenses (out) with running balance
@@ -2103,6 +2371,14 @@ router.get('/cash-in-hand', auth, async (req, res) => {
       .sort({ expenseDate: 1 })
       .lean();
 
+    // --- 4. Approved & Paid Expense Vouchers ---
+    const voucherQuery = { status: { $in: ['approved', 'paid'] } };
+    if (Object.keys(expenseDateCondition).length > 0) voucherQuery.date = expenseDateCondition;
+
+    const vouchers = await ExpenseVoucher.find(voucherQuery)
+      .sort({ date: 1 })
+      .lean();
+
     // --- Normalise into unified rows ---
     const transactions = [];
 
@@ -2171,6 +2447,24 @@ router.get('/cash-in-hand', auth, async (req, res) => {
       });
     });
 
+    vouchers.forEach(voucher => {
+      transactions.push({
+        id: voucher.voucherNumber || voucher._id,
+        _sortDate: voucher.date,
+        transactionType: 'Expense',
+        date: voucher.date,
+        name: voucher.name || 'Expense Voucher',
+        isVoucher: true,
+        salesCash: 0,
+        salesBank: 0,
+        salesRemainingBalance: 0,
+        ledgerCash: 0,
+        ledgerBank: 0,
+        expenseCash: voucher.paymentMethod === 'cash' ? (voucher.amount || 0) : 0,
+        expenseBank: voucher.paymentMethod !== 'cash' ? (voucher.amount || 0) : 0,
+      });
+    });
+
     // Sort all transactions by date ascending
     transactions.sort((a, b) => new Date(a._sortDate) - new Date(b._sortDate));
     transactions.forEach((t, i) => { t.sno = i + 1; delete t._sortDate; });
@@ -2527,4 +2821,187 @@ router.get('/product-history', auth, async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// ==========================================
+// SAVED REPORTS
+// ==========================================
+
+const REPORT_PATH = /^[a-z-]+(\/[A-Za-z0-9_-]+)*$/;
+
+const reportPathSchema = Joi.string().trim().pattern(REPORT_PATH).custom((value, helpers) => (
+  REPORT_TITLES[value.split('/')[0]] ? value : helpers.message(`Unknown report: ${value}`)
+));
+
+const filtersSchema = Joi.object().pattern(
+  Joi.string(),
+  Joi.alternatives().try(Joi.string().allow(''), Joi.number(), Joi.boolean(), Joi.array().items(Joi.string()))
+);
+
+const savedReportSchema = Joi.object({
+  name: Joi.string().trim().required(),
+  description: Joi.string().allow('').optional(),
+  report: reportPathSchema.required(),
+  filters: filtersSchema.default({}),
+  period: Joi.string().valid(...REPORT_PERIODS).optional(),
+  format: Joi.string().valid('json', 'csv', 'xlsx', 'pdf').default('xlsx'),
+  isShared: Joi.boolean().default(false)
+});
+
+const savedReportUpdateSchema = Joi.object({
+  name: Joi.string().trim().optional(),
+  description: Joi.string().allow('').optional(),
+  report: reportPathSchema.optional(),
+  filters: filtersSchema.optional(),
+  period: Joi.string().valid(...REPORT_PERIODS).allow(null).optional(),
+  format: Joi.string().valid('json', 'csv', 'xlsx', 'pdf').optional(),
+  isShared: Joi.boolean().optional()
+}).min(1);
+
+const validateSavedReportId = (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ success: false, message: 'Invalid saved report ID' });
+  }
+  next();
+};
+
+// Reports that can be saved, with their titles
+router.get('/available', auth, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      reports: Object.entries(REPORT_TITLES).map(([report, title]) => ({ report, title })),
+      periods: REPORT_PERIODS,
+      formats: ['json', 'csv', 'xlsx', 'pdf']
+    }
+  });
+});
+
+// Saved reports of the user plus the shared ones (?report=)
+router.get('/saved', auth, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    const { savedReports, total } = await SavedReportService.listSavedReports(req.user, {
+      report: req.query.report,
+      page,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: savedReports,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit
+      }
+    });
+  } catch (error) {
+    console.error('Get saved reports error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Save a report definition
+router.post('/saved', auth, async (req, res) => {
+  try {
+    const { error, value } = savedReportSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    const savedReport = await SavedReportService.createSavedReport(value, req.user._id);
+
+    await logActivity(req, {
+      action: 'CREATE',
+      resource: 'SavedReport',
+      resourceId: savedReport._id,
+      description: `Saved report "${savedReport.name}" (${savedReport.report})`,
+      changes: { old: null, new: savedReport.toObject() }
+    });
+
+    res.status(201).json({ success: true, message: 'Report saved successfully', data: savedReport });
+  } catch (error) {
+    console.error('Create saved report error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.message || 'Server error' });
+  }
+});
+
+// Get a saved report definition
+router.get('/saved/:id', auth, validateSavedReportId, async (req, res) => {
+  try {
+    const savedReport = await SavedReportService.getSavedReport(req.params.id, req.user);
+    res.json({ success: true, data: savedReport });
+  } catch (error) {
+    console.error('Get saved report error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.status ? error.message : 'Server error' });
+  }
+});
+
+// Change a saved report (owner or admin)
+router.put('/saved/:id', auth, validateSavedReportId, async (req, res) => {
+  try {
+    const { error, value } = savedReportUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    const { savedReport, old } = await SavedReportService.updateSavedReport(req.params.id, value, req.user);
+
+    await logActivity(req, {
+      action: 'UPDATE',
+      resource: 'SavedReport',
+      resourceId: savedReport._id,
+      description: `Updated saved report "${savedReport.name}"`,
+      changes: { old, new: savedReport.toObject() }
+    });
+
+    res.json({ success: true, message: 'Saved report updated successfully', data: savedReport });
+  } catch (error) {
+    console.error('Update saved report error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.message || 'Server error' });
+  }
+});
+
+// Delete a saved report (owner or admin)
+router.delete('/saved/:id', auth, validateSavedReportId, async (req, res) => {
+  try {
+    const savedReport = await SavedReportService.deleteSavedReport(req.params.id, req.user);
+
+    await logActivity(req, {
+      action: 'DELETE',
+      resource: 'SavedReport',
+      resourceId: savedReport._id,
+      description: `Deleted saved report "${savedReport.name}"`,
+      changes: { old: savedReport.toObject(), new: null }
+    });
+
+    res.json({ success: true, message: 'Saved report deleted successfully' });
+  } catch (error) {
+    console.error('Delete saved report error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.message || 'Server error' });
+  }
+});
+
+// Rerun a saved report in its format. Query parameters override the saved
+// filters for this run (e.g. ?format=pdf&startDate=...). The report's own
+// permission checks apply to the user running it.
+router.get('/saved/:id/run', auth, validateSavedReportId, async (req, res, next) => {
+  let savedReport;
+  try {
+    savedReport = await SavedReportService.getSavedReport(req.params.id, req.user);
+  } catch (error) {
+    console.error('Run saved report error:', error);
+    return res.status(error.status || 500).json({ success: false, message: error.status ? error.message : 'Server error' });
+  }
+
+  const { url, query } = SavedReportService.buildRun(savedReport, req.query);
+  SavedReportService.recordRun(savedReport._id).catch(error => console.error('Record saved report run error:', error));
+
+  req.url = url;
+  req.query = query;
+  router.handle(req, res, next);
+});
+
+module.exports = router;
@@ -12,6 +12,7 @@ const BalanceService = require('../services/BalanceService');
 const PacketReturnService = require('../services/PacketReturnService');
 const { logActivity } = require('../utils/auditLogger');
 const dateControl = require('../middleware/dateControl');
+const periodLock = require('../middleware/periodLock');
 
 const router = express.Router();
 
@@ -491,7 +492,7 @@ router.get('/packet-stocks-for-return', auth, async (req, res) => {
 // Create a packet-level supplier return (returns full packets or loose items)
 // Updates both PacketStock AND Inventory
 // [IMPROVED] Now uses MongoDB transaction for atomic operations
-router.post('/packet-return', auth, dateControl('returnDate'), async (req, res) => {
+router.post('/packet-return', auth, periodLock({ dateField: 'returnDate' }), dateControl('returnDate'), async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
@@ -779,7 +780,7 @@ router.post('/packet-return', auth, dateControl('returnDate'), async (req, res)
 // Create product-level supplier return (batch-aware)
 // Uses specific batch data for accurate cost tracking and FIFO inventory management
 // [ENHANCED] Now includes packet stock adjustments for proper sync between Inventory and PacketStock
-router.post('/product-return', auth, dateControl('returnDate'), async (req, res) => {
+router.post('/product-return', auth, periodLock({ dateField: 'returnDate' }), dateControl('returnDate'), async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
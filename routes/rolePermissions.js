@@ -0,0 +1,140 @@
+const express = require('express');
+const Joi = require('joi');
+const RolePermission = require('../models/RolePermission');
+const auth = require('../middleware/auth');
+const PermissionService = require('../services/PermissionService');
+const { logActivity } = require('../utils/auditLogger');
+const { PERMISSION_VALUES, DEFAULT_ROLE_PERMISSIONS } = require('../utils/constants');
+
+const router = express.Router();
+
+const CONFIGURABLE_ROLES = Object.keys(DEFAULT_ROLE_PERMISSIONS);
+
+// Middleware: require super-admin role only
+function requireSuperAdmin(req, res, next) {
+  if (!req.user || req.user.role !== 'super-admin') {
+    return res.status(403).json({ success: false, message: 'Only super-admin can manage role permissions' });
+  }
+  next();
+}
+
+const rolePermissionSchema = Joi.object({
+  permissions: Joi.array().items(Joi.string().valid(...PERMISSION_VALUES)).required()
+});
+
+// Get permissions of all roles
+router.get('/', auth, requireSuperAdmin, async (req, res) => {
+  try {
+    const configs = await RolePermission.find().populate('updatedBy', 'name').lean();
+    const configByRole = new Map(configs.map(c => [c.role, c]));
+
+    const roles = CONFIGURABLE_ROLES.map(role => {
+      const config = configByRole.get(role);
+      return {
+        role,
+        permissions: config ? config.permissions : DEFAULT_ROLE_PERMISSIONS[role],
+        isDefault: !config,
+        updatedBy: config?.updatedBy,
+        updatedAt: config?.updatedAt
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        roles,
+        availablePermissions: PERMISSION_VALUES
+      }
+    });
+
+  } catch (error) {
+    console.error('Get role permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Set permissions of a role
+router.put('/:role', auth, requireSuperAdmin, async (req, res) => {
+  try {
+    const { role } = req.params;
+    if (!CONFIGURABLE_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Permissions of role '${role}' cannot be configured`
+      });
+    }
+
+    const { error, value } = rolePermissionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const oldPermissions = await PermissionService.getRolePermissions(role);
+    const config = await PermissionService.setRolePermissions(role, value.permissions, req.user._id);
+
+    res.json({
+      success: true,
+      message: `Permissions for role ${role} updated successfully`,
+      data: config
+    });
+
+    await logActivity(req, {
+      action: 'UPDATE',
+      resource: 'RolePermission',
+      resourceId: config._id,
+      description: `Updated permissions for role ${role}`,
+      changes: { old: oldPermissions, new: config.permissions }
+    });
+
+  } catch (error) {
+    console.error('Update role permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Reset a role to its default permissions
+router.delete('/:role', auth, requireSuperAdmin, async (req, res) => {
+  try {
+    const { role } = req.params;
+    if (!CONFIGURABLE_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Permissions of role '${role}' cannot be configured`
+      });
+    }
+
+    const oldPermissions = await PermissionService.getRolePermissions(role);
+    const permissions = await PermissionService.resetRolePermissions(role);
+
+    res.json({
+      success: true,
+      message: `Permissions for role ${role} reset to defaults`,
+      data: { role, permissions, isDefault: true }
+    });
+
+    await logActivity(req, {
+      action: 'UPDATE',
+      resource: 'RolePermission',
+      description: `Reset permissions for role ${role} to defaults`,
+      changes: { old: oldPermissions, new: permissions }
+    });
+
+  } catch (error) {
+    console.error('Reset role permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -14,6 +14,9 @@ const { generateSignedUrls } = require('../utils/imageUpload');
 const { generatePacketBarcode } = require('../utils/barcodeGenerator');
 const { logActivity } = require('../utils/auditLogger');
 const dateControl = require('../middleware/dateControl');
+const periodLock = require('../middleware/periodLock');
+const CostingService = require('../services/CostingService');
+const StripeRefundService = require('../services/StripeRefundService');
 
 const router = express.Router();
 
@@ -61,6 +64,16 @@ const saleReturnSchema = Joi.object({
   returnDate: Joi.date().iso().optional()
 });
 
+// Card refund when approving a return on a Stripe-paid sale (amount defaults to the return value)
+const approveSchema = Joi.object({
+  refundToCard: Joi.boolean().default(false),
+  refundAmount: Joi.number().positive().precision(2).optional()
+});
+
+const refundSchema = Joi.object({
+  amount: Joi.number().positive().precision(2).optional()
+});
+
 function normalizeReturnedQtyInItems(returnItem, saleItem) {
   if (!returnItem) return 0;
   const isPartial = returnItem.isPartialReturn || (Array.isArray(returnItem.returnComposition) && returnItem.returnComposition.length > 0);
@@ -290,7 +303,7 @@ async function convertSaleReturnImages(saleReturns) {
 
 // Create sale return
 // [IMPROVED] Uses MongoDB transaction for atomic over-return prevention
-router.post('/', auth, dateControl('returnDate'), async (req, res) => {
+router.post('/', auth, periodLock({ dateField: 'returnDate', vatDocument: true }), dateControl('returnDate'), async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
@@ -613,7 +626,19 @@ async function processSaleReturn(returnId, userId) {
           ? item.returnedQuantity * originalSaleItem.totalItemsPerPacket  // whole-packet: packets to items
           : item.returnedQuantity;  // partial or loose: already in items
 
-        if (originalBatchInfo && compositionToAdd.length > 0) {
+        // Put the units back into the purchase batches the sale took them from and reverse their cost
+        const costReversal = CostingService.reverseSaleCost(
+          inventory,
+          originalSaleItem,
+          inventoryQty,
+          `Sale Return from Sale ${saleReturn.sale.saleNumber}`
+        );
+        if (costReversal) {
+          item.costOfGoods = costReversal.cost;
+        }
+
+        // Lines with a cost snapshot already have their batches restored above
+        if (originalBatchInfo && compositionToAdd.length > 0 && !costReversal) {
           await inventory.restoreWithBatch(
             inventoryQty,
             compositionToAdd,
@@ -752,6 +777,9 @@ async function processSaleReturn(returnId, userId) {
       }
     }
 
+    // Keep the reversed cost of goods on the return items
+    await saleReturn.save({ session });
+
     // Create ledger entries
     // Credit buyer (reduces receivables)
     await Ledger.createEntry({
@@ -991,13 +1019,18 @@ router.get('/sale/:id', auth, async (req, res) => {
 });
 
 // Approve sale return (admin only)
-router.patch('/:id/approve', auth, async (req, res) => {
+router.patch('/:id/approve', auth, periodLock({ entityModel: SaleReturn, existingDateField: 'returnedAt', vatDocument: true }), async (req, res) => {
   try {
     // Only admin/manager can approve returns
     if (!['super-admin', 'admin', 'employee'].includes(req.user.role)) {
       return sendResponse.error(res, 'Only admins and managers can approve returns', 403);
     }
 
+    const { error, value } = approveSchema.validate(req.body || {});
+    if (error) {
+      return sendResponse.error(res, error.details[0].message, 400);
+    }
+
     const saleReturn = await SaleReturn.findById(req.params.id)
       .populate('sale')
       .populate('items.product');
@@ -1018,6 +1051,20 @@ router.patch('/:id/approve', auth, async (req, res) => {
     // Process the return (update inventory and ledger)
     await processSaleReturn(saleReturn._id, req.user._id);
 
+    // The approval stands even when the card refund fails; it can be retried with POST /:id/refund
+    let refundError = null;
+    if (value.refundToCard) {
+      try {
+        const { refund } = await StripeRefundService.refundSaleReturn(saleReturn._id, { amount: value.refundAmount }, req.user._id);
+        saleReturn.stripeRefund = refund;
+      } catch (refundFailure) {
+        if (!refundFailure.status) throw refundFailure;
+        refundError = refundFailure.message;
+        const latest = await SaleReturn.findById(saleReturn._id).select('stripeRefund').lean();
+        saleReturn.stripeRefund = latest?.stripeRefund;
+      }
+    }
+
     // Populate for response
     await saleReturn.populate([
       { path: 'sale', select: 'saleNumber saleDate' },
@@ -1039,7 +1086,20 @@ router.patch('/:id/approve', auth, async (req, res) => {
       changes: { old: 'pending', new: 'approved' }
     });
 
-    return sendResponse.success(res, saleReturn, 'Sale return approved successfully');
+    if (saleReturn.stripeRefund?.refundId) {
+      await logActivity(req, {
+        action: 'UPDATE',
+        resource: 'SaleReturn',
+        resourceId: saleReturn._id,
+        description: `Refunded ${saleReturn.stripeRefund.amount.toFixed(2)} to card for sale return ${saleReturn._id} (Sale: ${saleReturn.sale.saleNumber})`,
+        changes: { old: null, new: saleReturn.stripeRefund }
+      });
+    }
+
+    const message = refundError
+      ? `Sale return approved, but the card refund failed: ${refundError}`
+      : 'Sale return approved successfully';
+    return sendResponse.success(res, saleReturn, message);
 
   } catch (error) {
     console.error('Approve sale return error:', error);
@@ -1047,6 +1107,45 @@ router.patch('/:id/approve', auth, async (req, res) => {
   }
 });
 
+// Refund an approved return to the card its sale was paid with (later, or after a failed refund)
+router.post('/:id/refund', auth, async (req, res) => {
+  try {
+    if (!['super-admin', 'admin', 'employee'].includes(req.user.role)) {
+      return sendResponse.error(res, 'Only admins and managers can refund returns', 403);
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return sendResponse.error(res, 'Invalid sale return ID', 400);
+    }
+
+    const { error, value } = refundSchema.validate(req.body || {});
+    if (error) {
+      return sendResponse.error(res, error.details[0].message, 400);
+    }
+
+    const { saleReturn, refund, created } = await StripeRefundService.refundSaleReturn(req.params.id, value, req.user._id);
+
+    if (created) {
+      await logActivity(req, {
+        action: 'UPDATE',
+        resource: 'SaleReturn',
+        resourceId: saleReturn._id,
+        description: `Refunded ${refund.amount.toFixed(2)} to card for sale return ${saleReturn._id}`,
+        changes: { old: null, new: refund }
+      });
+    }
+
+    return sendResponse.success(
+      res,
+      { saleReturnId: saleReturn._id, stripeRefund: refund },
+      created ? 'Refund issued successfully' : 'This return has already been refunded'
+    );
+  } catch (error) {
+    console.error('Refund sale return error:', error);
+    return sendResponse.error(res, error.message || 'Server error', error.status || 500);
+  }
+});
+
 // Reject sale return (admin only)
 router.patch('/:id/reject', auth, async (req, res) => {
   try {
@@ -15,6 +15,7 @@ const LogisticsCompany = require('../models/LogisticsCompany');
 const auth = require('../middleware/auth');
 const checkPermission = require('../middleware/checkPermission');
 const dateControl = require('../middleware/dateControl');
+const periodLock = require('../middleware/periodLock');
 const { getTransactionDate } = require('../utils/helpers');
 const { generateSaleQR } = require('../utils/qrCode');
 const { logActivity } = require('../utils/auditLogger');
@@ -24,6 +25,14 @@ const { generateInvoicePDF } = require('../utils/invoiceGenerator');
 const { generateSignedUrls } = require('../utils/imageUpload');
 const BalanceService = require('../services/BalanceService');
 const EditRequestService = require('../services/EditRequestService');
+const CostingService = require('../services/CostingService');
+const CreditControlService = require('../services/CreditControlService');
+const AccountingPeriodService = require('../services/AccountingPeriodService');
+const VatReturnService = require('../services/VatReturnService');
+const WebhookService = require('../services/WebhookService');
+const PriceListService = require('../services/PriceListService');
+const CashOnDeliveryService = require('../services/CashOnDeliveryService');
+const { getProductMinSellingPrice } = require('../utils/websitePricing');
 const { normalizeBarcode, parseBarcodeType } = require('../utils/barcodeGenerator');
 
 const router = express.Router();
@@ -161,6 +170,14 @@ const saleSchema = Joi.object({
   attachments: Joi.array().items(Joi.string()).optional()
 }).or('buyer', 'manualCustomer');
 
+// New sales may leave unitPrice to the buyer's price list, or keep their own with priceOverride
+const createSaleSchema = saleSchema.keys({
+  items: Joi.array().items(saleItemSchema.keys({
+    unitPrice: Joi.number().min(0).optional(),
+    priceOverride: Joi.boolean().default(false)
+  })).min(1).required()
+});
+
 // Generate sale number
 const { generateSaleNumber } = require('../utils/sale-number');
 
@@ -326,6 +343,7 @@ const calculateTotals = (items, totalDiscount = 0, shippingCost = 0) => {
  * @returns {Object} Result with updated counts
  */
 const processDeliveryWithTransaction = async (sale, productMap, inventoryMap, userId) => {
+  const costingMethod = await CostingService.getCostingMethod();
   const session = await mongoose.startSession();
   session.startTransaction();
 
@@ -347,6 +365,11 @@ const processDeliveryWithTransaction = async (sale, productMap, inventoryMap, us
 
       const quantityToDeliver = item.quantity;
 
+      // Sales created before cost snapshots existed are costed when they leave stock
+      if (!item.costSnapshot) {
+        item.costSnapshot = CostingService.takeSaleCost(inventory, quantityToDeliver, costingMethod);
+      }
+
       // Handle variant-specific stock deduction
       if (product && product.variantTracking && product.variantTracking.enabled && item.variant) {
         await inventory.reduceVariantStock(
@@ -516,23 +539,27 @@ router.post('/lookup-barcode', auth, checkPermission('sales'), async (req, res)
 });
 
 // Create sale
-router.post('/', auth, checkPermission('sales'), dateControl({ entityType: 'sale', dateField: 'saleDate', requestType: 'create' }), async (req, res) => {
+router.post('/', auth, checkPermission('sales'), periodLock({ dateField: 'saleDate', vatDocument: true }), dateControl({ entityType: 'sale', dateField: 'saleDate', requestType: 'create' }), async (req, res) => {
 
   try {
     // Standardize sale date to include time precision if it's today
     req.body.saleDate = getTransactionDate(req.body.saleDate);
 
-    // Auto-detect buyer ID for distributors BEFORE validation
-    if (!req.body.buyer && !req.body.manualCustomer) {
-      if (req.user.role === 'distributor' || req.user.role === 'buyer') {
-        const buyerId = await getBuyerIdForUser(req.user);
-        if (buyerId) {
-          req.body.buyer = buyerId.toString();
-        }
+    // Distributors and buyers only place sales for their own buyer, auto-detected BEFORE validation
+    if (req.user.role === 'distributor' || req.user.role === 'buyer') {
+      const buyerId = await getBuyerIdForUser(req.user);
+      const ownBuyerId = buyerId ? String(buyerId._id || buyerId) : null;
+
+      if (!ownBuyerId || req.body.manualCustomer || (req.body.buyer && String(req.body.buyer) !== ownBuyerId)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only place sales for your own account'
+        });
       }
+      req.body.buyer = ownBuyerId;
     }
 
-    const { error } = saleSchema.validate(req.body);
+    const { error } = createSaleSchema.validate(req.body);
     if (error) {
       return res.status(400).json({
         success: false,
@@ -650,6 +677,37 @@ router.post('/', auth, checkPermission('sales'), dateControl({ entityType: 'sale
       });
     }
 
+    // Lines the buyer's price list has a price for take that price, unless priced by hand
+    const priceList = buyer ? await PriceListService.getBuyerPriceList(buyer) : null;
+    for (const item of req.body.items) {
+      const product = productMap.get(String(item.product));
+      const rule = item.priceOverride ? null : PriceListService.findRule(priceList, product, {
+        quantity: item.isPacketSale ? item.packetQuantity : item.quantity,
+        inventoryType: item.isPacketSale ? 'packet' : 'loose'
+      });
+
+      if (rule) {
+        const listPrice = PriceListService.rulePrice(rule, getProductMinSellingPrice(product));
+        // A different price sent without priceOverride is not silently replaced
+        if (item.unitPrice !== undefined && item.unitPrice !== null && Math.abs(item.unitPrice - listPrice) >= 0.005) {
+          return res.status(400).json({
+            success: false,
+            message: `Unit price ${item.unitPrice} for product ${product.name} differs from the price list price ${listPrice}. Send priceOverride to keep it.`
+          });
+        }
+        item.unitPrice = listPrice;
+        item.priceSource = PriceListService.ruleSource(priceList, rule);
+      } else if (item.unitPrice === undefined || item.unitPrice === null) {
+        return res.status(400).json({
+          success: false,
+          message: `Unit price is required for product: ${product.name}`
+        });
+      } else {
+        item.priceSource = { source: 'manual' };
+      }
+      delete item.priceOverride;
+    }
+
     const saleNumber = await generateSaleNumber();
     const { subtotal, totalTax, grandTotal } = calculateTotals(
       req.body.items,
@@ -711,6 +769,46 @@ router.post('/', auth, checkPermission('sales'), dateControl({ entityType: 'sale
       paymentStatus = 'paid';
     }
 
+    // Credit limit check on the part of the sale left unpaid
+    let creditWarning = null;
+    if (!isManualSale && remainingBalance > 0) {
+      const credit = await CreditControlService.checkCreditLimit(buyer, remainingBalance);
+      if (credit.exceeded) {
+        const breach = CreditControlService.describeBreach(credit);
+
+        if (credit.mode === 'block') {
+          return res.status(400).json({
+            success: false,
+            message: `${breach}. Take a payment or raise the buyer's credit limit.`,
+            credit
+          });
+        }
+
+        // Super-admins approve these requests, so their own sales go through with a warning
+        if (credit.mode === 'approval' && req.user.role !== 'super-admin') {
+          const editRequest = await EditRequestService.submitRequest({
+            entityType: 'sale',
+            requestType: 'create',
+            rawPayload: req.body,
+            reason: breach,
+            requestedBy: req.user._id,
+            entityRef: `Credit sale for ${buyer.name}`
+          });
+
+          return res.status(202).json({
+            success: true,
+            pendingApproval: true,
+            message: `${breach}. Sale submitted for super-admin approval.`,
+            requestId: editRequest._id,
+            credit
+          });
+        }
+
+        creditWarning = { message: breach, ...credit };
+      }
+    }
+
+    const costingMethod = await CostingService.getCostingMethod();
     const saleSession = await mongoose.startSession();
     let sale;
 
@@ -743,7 +841,7 @@ router.post('/', auth, checkPermission('sales'), dateControl({ entityType: 'sale
 
       // Deduct stock for each item sequentially to avoid parallel saves on shared documents
       if (!isManualSale) {
-        for (const item of req.body.items) {
+        for (const [index, item] of req.body.items.entries()) {
           const product = productMap.get(item.product.toString());
           const inventory = inventoryMap.get(item.product.toString());
           
@@ -754,6 +852,9 @@ router.post('/', auth, checkPermission('sales'), dateControl({ entityType: 'sale
           // Attach session to the inventory fetched outside but ensure updates are transactional
           inventory.$session(saleSession);
 
+          // Cost snapshot; takes the units out of the purchase batches, saved with the stock deduction below
+          sale.items[index].costSnapshot = CostingService.takeSaleCost(inventory, item.quantity, costingMethod);
+
           // Deduct variant-specific stock if applicable
           if (product && product.variantTracking && product.variantTracking.enabled && item.variant) {
             await inventory.reduceVariantStock(
@@ -803,6 +904,8 @@ router.post('/', auth, checkPermission('sales'), dateControl({ entityType: 'sale
             await ps.save({ session: saleSession });
           }
         }
+
+        await sale.save({ session: saleSession });
       }
 
       // Create ledger entries immediately
@@ -970,7 +1073,8 @@ router.post('/', auth, checkPermission('sales'), dateControl({ entityType: 'sale
     res.status(201).json({
       success: true,
       message: 'Sale created successfully. Invoice will be generated and emailed shortly.',
-      data: sale // Return basics immediately
+      data: sale, // Return basics immediately
+      creditWarning
     });
 
     // Fire-and-forget non-critical processes
@@ -1074,6 +1178,11 @@ router.post('/bulk', auth, async (req, res) => {
 
     const createdSales = [];
     const errors = [];
+    const pendingApproval = [];
+    const creditWarnings = [];
+    // Bulk sales post no ledger entries, so credit taken earlier in this batch is added by hand
+    const batchCreditByBuyer = new Map();
+    const costingMethod = await CostingService.getCostingMethod();
 
     for (let i = 0; i < sales.length; i++) {
       try {
@@ -1085,6 +1194,9 @@ router.post('/bulk', auth, async (req, res) => {
           continue;
         }
 
+        await AccountingPeriodService.assertDatesOpen([saleData.saleDate]);
+        await VatReturnService.assertDatesUnfiled([saleData.saleDate]);
+
         // Verify buyer exists
         const buyer = await Buyer.findById(saleData.buyer);
         if (!buyer) {
@@ -1105,7 +1217,6 @@ router.post('/bulk', auth, async (req, res) => {
 
         if (!stockCheck) continue;
 
-        const saleNumber = await generateSaleNumber();
         const effectiveShipping = saleData.addShippingCost
           ? Number(saleData.buyerShippingCharge ?? saleData.shippingCost ?? 0)
           : 0;
@@ -1115,6 +1226,38 @@ router.post('/bulk', auth, async (req, res) => {
           effectiveShipping
         );
 
+        // Credit limit check on the unpaid part of the sale
+        const unpaid = grandTotal - (saleData.cashPayment || 0) - (saleData.bankPayment || 0);
+        const buyerKey = buyer._id.toString();
+        if (unpaid > 0) {
+          const earlierCredit = batchCreditByBuyer.get(buyerKey) || 0;
+          const credit = await CreditControlService.checkCreditLimit(buyer, earlierCredit + unpaid);
+          if (credit.exceeded) {
+            const breach = CreditControlService.describeBreach(credit);
+
+            if (credit.mode === 'block') {
+              errors.push(`Sale ${i + 1}: ${breach}`);
+              continue;
+            }
+
+            if (credit.mode === 'approval' && req.user.role !== 'super-admin') {
+              const editRequest = await EditRequestService.submitRequest({
+                entityType: 'sale',
+                requestType: 'create',
+                rawPayload: saleData,
+                reason: breach,
+                requestedBy: req.user._id,
+                entityRef: `Credit sale for ${buyer.name}`
+              });
+              pendingApproval.push({ index: i + 1, requestId: editRequest._id, message: breach });
+              continue;
+            }
+
+            creditWarnings.push({ index: i + 1, message: breach });
+          }
+        }
+
+        const saleNumber = await generateSaleNumber();
         const sale = new Sale({
           ...saleData,
           saleNumber,
@@ -1126,16 +1269,35 @@ router.post('/bulk', auth, async (req, res) => {
           createdBy: req.user._id
         });
 
-        await sale.save();
-
-        // Reserve stock
-        for (const item of saleData.items) {
-          await Inventory.findOneAndUpdate(
-            { product: item.product },
-            { $inc: { reservedStock: item.quantity } }
-          );
+        // Each sale is saved with its cost snapshots and stock reservation in one transaction
+        const saleSession = await mongoose.startSession();
+        try {
+          saleSession.startTransaction();
+          await sale.save({ session: saleSession });
+
+          // Reserve stock and take the cost snapshot of each line
+          for (const [index, item] of saleData.items.entries()) {
+            const inventory = await Inventory.findOne({ product: item.product }).session(saleSession);
+            // Removed since the stock check: the line is costed when it leaves stock instead
+            if (inventory) {
+              sale.items[index].costSnapshot = CostingService.takeSaleCost(inventory, item.quantity, costingMethod);
+              inventory.reservedStock = (inventory.reservedStock || 0) + item.quantity;
+              await inventory.save({ session: saleSession });
+            }
+          }
+          await sale.save({ session: saleSession });
+
+          await saleSession.commitTransaction();
+        } catch (transactionError) {
+          await saleSession.abortTransaction();
+          throw transactionError;
+        } finally {
+          saleSession.endSession();
         }
 
+        if (unpaid > 0) {
+          batchCreditByBuyer.set(buyerKey, (batchCreditByBuyer.get(buyerKey) || 0) + unpaid);
+        }
         createdSales.push(sale);
 
       } catch (err) {
@@ -1145,11 +1307,14 @@ router.post('/bulk', auth, async (req, res) => {
 
     res.status(201).json({
       success: true,
-      message: `Bulk sale created: ${createdSales.length} successful, ${errors.length} failed`,
+      message: `Bulk sale created: ${createdSales.length} successful, ${errors.length} failed`
+        + (pendingApproval.length ? `, ${pendingApproval.length} awaiting credit approval` : ''),
       data: {
         successful: createdSales.length,
         failed: errors.length,
         errors: errors,
+        pendingApproval,
+        creditWarnings,
         sales: createdSales
       }
     });
@@ -1304,7 +1469,7 @@ router.get('/:id', auth, async (req, res) => {
 });
 
 // Update sale
-router.put('/:id', auth, async (req, res) => {
+router.put('/:id', auth, periodLock({ dateField: 'saleDate', entityModel: Sale, existingDateField: 'saleDate', vatDocument: true }), async (req, res) => {
   try {
     // Non-super-admin must submit edit requests instead of direct edits
     if (req.user.role !== 'super-admin') {
@@ -1584,8 +1749,14 @@ router.put('/:id', auth, async (req, res) => {
   }
 });
 
+// Cash the driver collected on a cash-on-delivery order (default: all that is due)
+const codDeliverySchema = Joi.object({
+  collectedAmount: Joi.number().min(0).precision(2).optional(),
+  deliveryPersonnel: Joi.string().hex().length(24).optional()
+});
+
 // Mark sale as delivered and update inventory
-router.patch('/:id/delivered', auth, async (req, res) => {
+router.patch('/:id/delivered', auth, periodLock({ entityModel: Sale, existingDateField: 'saleDate', vatDocument: true }), async (req, res) => {
   try {
     const Ledger = require('../models/Ledger');
     const sale = await Sale.findById(req.params.id);
@@ -1604,6 +1775,35 @@ router.patch('/:id/delivered', auth, async (req, res) => {
       });
     }
 
+    // Cash-on-delivery orders: confirm the reserved stock and record the cash collected
+    if (sale.isCashOnDelivery) {
+      const { error, value } = codDeliverySchema.validate(req.body || {});
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.details[0].message
+        });
+      }
+
+      const { payment } = await CashOnDeliveryService.recordDelivery(sale, value, req.user._id);
+
+      await logActivity(req, {
+        action: 'STATUS_CHANGE',
+        resource: 'Sale',
+        resourceId: sale._id,
+        description: payment
+          ? `Delivered cash-on-delivery sale ${sale.saleNumber}; collected ${payment.totalAmount.toFixed(2)} in cash (${payment.paymentNumber})`
+          : `Delivered cash-on-delivery sale ${sale.saleNumber}; no cash collected`,
+        changes: { old: 'pending', new: 'delivered' }
+      });
+
+      return res.json({
+        success: true,
+        message: 'Sale marked as delivered and cash collection recorded',
+        data: { sale, payment }
+      });
+    }
+
     // Batch fetch all products and inventory to avoid N+1 queries
     const productIds = sale.items.map(item => item.product);
     const [products, inventories] = await Promise.all([
@@ -1736,15 +1936,15 @@ router.patch('/:id/delivered', auth, async (req, res) => {
 
   } catch (error) {
     console.error('Mark sale delivered error:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      message: 'Server error'
+      message: error.status ? error.message : 'Server error'
     });
   }
 });
 
 // Update payment status
-router.patch('/:id/payment', auth, async (req, res) => {
+router.patch('/:id/payment', auth, periodLock({ entityModel: Sale, existingDateField: 'saleDate', vatDocument: true }), async (req, res) => {
   try {
     const { paymentStatus } = req.body;
 
@@ -1755,6 +1955,8 @@ router.patch('/:id/payment', auth, async (req, res) => {
       });
     }
 
+    const previous = await Sale.findById(req.params.id).select('paymentStatus').lean();
+
     const sale = await Sale.findByIdAndUpdate(
       req.params.id,
       { paymentStatus },
@@ -1784,6 +1986,11 @@ router.patch('/:id/payment', auth, async (req, res) => {
       description: `Updated payment status for sale ${sale.saleNumber} to ${paymentStatus}`
     });
 
+    // This update bypasses the Sale save hooks, so raise sale.paid here
+    if (paymentStatus === 'paid' && previous?.paymentStatus !== 'paid') {
+      await WebhookService.emit('sale.paid', WebhookService.salePayload(sale));
+    }
+
   } catch (error) {
     console.error('Update payment status error:', error);
     res.status(500).json({
@@ -1794,7 +2001,7 @@ router.patch('/:id/payment', auth, async (req, res) => {
 });
 
 // Delete sale (Super Admin Only) — restores inventory, deletes payments and ledger entries
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, periodLock({ entityModel: Sale, existingDateField: 'saleDate', vatDocument: true }), async (req, res) => {
   try {
     if (req.user.role !== 'super-admin') {
       return res.status(403).json({
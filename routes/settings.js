@@ -3,6 +3,7 @@ const router = express.Router();
 const Joi = require('joi');
 const Settings = require('../models/Settings');
 const auth = require('../middleware/auth');
+const PermissionService = require('../services/PermissionService');
 
 /**
  * @route   GET /api/settings
@@ -75,8 +76,8 @@ router.get('/vat', async (req, res) => {
  */
 router.put('/', auth, async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user.role !== 'admin' && !req.user.permissions.includes('settings')) {
+    // Check settings permission (admins and super-admins have it by default)
+    if (!(await PermissionService.hasPermission(req.user, 'settings'))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update settings'
@@ -86,7 +87,8 @@ router.put('/', auth, async (req, res) => {
     const schema = Joi.object({
       vat: Joi.object({
         enabled: Joi.boolean(),
-        rate: Joi.number().min(0).max(100)
+        rate: Joi.number().min(0).max(100),
+        quarterStartMonth: Joi.number().valid(1, 2, 3)
       }),
       shipping: Joi.object({
         freeShippingEnabled: Joi.boolean(),
@@ -101,6 +103,17 @@ router.put('/', auth, async (req, res) => {
         stripeEnabled: Joi.boolean(),
         cashOnDeliveryEnabled: Joi.boolean()
       }),
+      voucherApprovalLimits: Joi.object({
+        admin: Joi.number().min(0).allow(null),
+        accountant: Joi.number().min(0).allow(null),
+        employee: Joi.number().min(0).allow(null)
+      }),
+      creditControl: Joi.object({
+        mode: Joi.string().valid('warn', 'block', 'approval')
+      }),
+      costing: Joi.object({
+        method: Joi.string().valid('fifo', 'weighted_average')
+      }),
       businessInfo: Joi.object({
         name: Joi.string(),
         taxNumber: Joi.string().allow(''),
@@ -147,8 +160,8 @@ router.put('/', auth, async (req, res) => {
  */
 router.put('/vat', auth, async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user.role !== 'admin' && !req.user.permissions.includes('settings')) {
+    // Check settings permission (admins and super-admins have it by default)
+    if (!(await PermissionService.hasPermission(req.user, 'settings'))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update VAT settings'
@@ -157,7 +170,8 @@ router.put('/vat', auth, async (req, res) => {
 
     const schema = Joi.object({
       enabled: Joi.boolean(),
-      rate: Joi.number().min(0).max(100)
+      rate: Joi.number().min(0).max(100),
+      quarterStartMonth: Joi.number().valid(1, 2, 3)
     });
 
     const { error } = schema.validate(req.body);
@@ -176,6 +190,9 @@ router.put('/vat', auth, async (req, res) => {
     if (req.body.rate !== undefined) {
       settings.vat.rate = req.body.rate;
     }
+    if (req.body.quarterStartMonth !== undefined) {
+      settings.vat.quarterStartMonth = req.body.quarterStartMonth;
+    }
     
     settings.updatedBy = req.user._id;
     await settings.save();
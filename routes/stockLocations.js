@@ -0,0 +1,307 @@
+const express = require('express');
+const Joi = require('joi');
+const StockLocation = require('../models/StockLocation');
+const Inventory = require('../models/Inventory');
+const auth = require('../middleware/auth');
+const checkPermission = require('../middleware/checkPermission');
+const StockLocationService = require('../services/StockLocationService');
+const { logActivity } = require('../utils/auditLogger');
+
+const router = express.Router();
+
+const addressSchema = Joi.object({
+  street: Joi.string().allow('').optional(),
+  city: Joi.string().allow('').optional(),
+  state: Joi.string().allow('').optional(),
+  zipCode: Joi.string().allow('').optional(),
+  country: Joi.string().allow('').optional()
+});
+
+const locationSchema = Joi.object({
+  code: Joi.string().trim().uppercase().max(20).required(),
+  name: Joi.string().trim().min(2).max(100).required(),
+  type: Joi.string().valid('warehouse', 'shop', 'other').default('warehouse'),
+  address: addressSchema.optional(),
+  isDefault: Joi.boolean().default(false),
+  notes: Joi.string().allow('').optional()
+});
+
+const updateLocationSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(100).optional(),
+  type: Joi.string().valid('warehouse', 'shop', 'other').optional(),
+  address: addressSchema.optional(),
+  isDefault: Joi.boolean().optional(),
+  notes: Joi.string().allow('').optional(),
+  isActive: Joi.boolean().optional()
+});
+
+// Only one location can be the default; unset the flag on the others
+async function clearOtherDefaults(locationId) {
+  await StockLocation.updateMany(
+    { _id: { $ne: locationId }, isDefault: true },
+    { $set: { isDefault: false } }
+  );
+}
+
+// Create stock location
+router.post('/', auth, checkPermission('inventory'), async (req, res) => {
+  try {
+    const { error, value } = locationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const existing = await StockLocation.findOne({ code: value.code });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'A location with this code already exists'
+      });
+    }
+
+    // The first location becomes the default so existing stock has a home
+    const hasDefault = await StockLocation.exists({ isDefault: true, isActive: true });
+
+    const location = new StockLocation({
+      ...value,
+      isDefault: value.isDefault || !hasDefault,
+      createdBy: req.user._id
+    });
+    await location.save();
+
+    if (location.isDefault) {
+      await clearOtherDefaults(location._id);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock location created successfully',
+      data: location
+    });
+
+    await logActivity(req, {
+      action: 'CREATE',
+      resource: 'StockLocation',
+      resourceId: location._id,
+      description: `Created stock location ${location.code} (${location.name})`,
+      changes: { old: null, new: location.toObject() }
+    });
+
+  } catch (error) {
+    console.error('Create stock location error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Get all stock locations
+router.get('/', auth, checkPermission('inventory'), async (req, res) => {
+  try {
+    const { isActive, type } = req.query;
+
+    const query = {};
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+    if (type) query.type = type;
+
+    const locations = await StockLocation.find(query)
+      .populate('createdBy', 'name')
+      .sort({ isDefault: -1, name: 1 });
+
+    res.json({
+      success: true,
+      data: locations
+    });
+
+  } catch (error) {
+    console.error('Get stock locations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Get stock location by ID
+router.get('/:id', auth, checkPermission('inventory'), async (req, res) => {
+  try {
+    const location = await StockLocation.findById(req.params.id)
+      .populate('createdBy', 'name');
+
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock location not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: location
+    });
+
+  } catch (error) {
+    console.error('Get stock location error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Get per-product stock balances held at a location
+router.get('/:id/stock', auth, checkPermission('inventory'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const location = await StockLocation.findById(req.params.id);
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock location not found'
+      });
+    }
+
+    const defaultLocation = await StockLocation.getDefaultLocation();
+    const isDefault = defaultLocation && defaultLocation._id.equals(location._id);
+
+    const result = await Inventory.aggregate([
+      { $match: { isActive: true } },
+      { $addFields: { locationQuantity: StockLocationService.buildLocationQuantityExpression(location._id, isDefault) } },
+      { $match: { locationQuantity: { $gt: 0 } } },
+      {
+        $lookup: {
+          from: 'products',
+          localField: 'product',
+          foreignField: '_id',
+          as: 'productInfo'
+        }
+      },
+      { $unwind: '$productInfo' },
+      { $sort: { 'productInfo.name': 1 } },
+      {
+        $facet: {
+          metadata: [{ $count: 'total' }],
+          data: [{ $skip: (pageNum - 1) * limitNum }, { $limit: limitNum }]
+        }
+      }
+    ]);
+
+    const total = result[0].metadata[0]?.total || 0;
+    const items = result[0].data.map(inventory => {
+      const { locations } = StockLocationService.getLocationBalances(inventory, defaultLocation?._id);
+      const balance = locations.find(l => l.location.toString() === location._id.toString());
+      return {
+        inventoryId: inventory._id,
+        productId: inventory.productInfo._id,
+        productName: inventory.productInfo.name,
+        sku: inventory.productInfo.sku,
+        productCode: inventory.productInfo.productCode,
+        quantity: inventory.locationQuantity,
+        variants: balance?.variants || [],
+        averageCostPrice: inventory.averageCostPrice,
+        value: inventory.locationQuantity * (inventory.averageCostPrice || 0)
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        location,
+        items,
+        totalQuantity: items.reduce((sum, i) => sum + i.quantity, 0),
+        totalValue: items.reduce((sum, i) => sum + i.value, 0)
+      },
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        totalItems: total,
+        itemsPerPage: limitNum
+      }
+    });
+
+  } catch (error) {
+    console.error('Get location stock error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Update stock location
+router.put('/:id', auth, checkPermission('inventory'), async (req, res) => {
+  try {
+    const { error, value } = updateLocationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const location = await StockLocation.findById(req.params.id);
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock location not found'
+      });
+    }
+
+    if (location.isDefault && (value.isDefault === false || value.isActive === false)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Make another location the default before changing this one'
+      });
+    }
+
+    // Changing the default moves the implicit remainder to another location,
+    // so only allow it while no stock is explicitly held at the new default.
+    if (value.isDefault && !location.isDefault) {
+      const heldStock = await Inventory.exists({ 'locationStock.location': location._id });
+      if (heldStock) {
+        return res.status(400).json({
+          success: false,
+          message: 'Transfer stock out of this location before making it the default'
+        });
+      }
+    }
+
+    const oldLocation = location.toObject();
+    Object.assign(location, value);
+    await location.save();
+
+    if (location.isDefault) {
+      await clearOtherDefaults(location._id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Stock location updated successfully',
+      data: location
+    });
+
+    await logActivity(req, {
+      action: 'UPDATE',
+      resource: 'StockLocation',
+      resourceId: location._id,
+      description: `Updated stock location ${location.code}`,
+      changes: { old: oldLocation, new: location.toObject() }
+    });
+
+  } catch (error) {
+    console.error('Update stock location error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
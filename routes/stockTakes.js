@@ -0,0 +1,381 @@
+const express = require('express');
+const Joi = require('joi');
+const StockTake = require('../models/StockTake');
+const auth = require('../middleware/auth');
+const checkPermission = require('../middleware/checkPermission');
+const StockTakeService = require('../services/StockTakeService');
+const { logActivity } = require('../utils/auditLogger');
+const { normalizeBarcode } = require('../utils/barcodeGenerator');
+
+const router = express.Router();
+
+const objectId = Joi.string().length(24).hex();
+
+const stockTakeSchema = Joi.object({
+  location: objectId.allow(null).optional(),
+  products: Joi.array().items(objectId).optional(),
+  packetStocks: Joi.array().items(objectId).optional(),
+  notes: Joi.string().allow('').optional()
+}).or('location', 'products', 'packetStocks');
+
+const countSchema = Joi.object({
+  counts: Joi.array().items(Joi.object({
+    lineId: objectId.optional(),
+    product: objectId.optional(),
+    size: Joi.string().trim().allow('').optional(),
+    color: Joi.string().trim().allow('').optional(),
+    packetStock: objectId.optional(),
+    barcode: Joi.string().trim().optional(),
+    quantity: Joi.number().integer().required(),
+    // set: replace the counted quantity, add: add to it (e.g. counting in several passes)
+    mode: Joi.string().valid('set', 'add').default('set'),
+    notes: Joi.string().allow('').optional()
+  }).or('lineId', 'product', 'packetStock', 'barcode')).min(1).required()
+});
+
+const scanSchema = Joi.object({
+  barcode: Joi.string().trim().required(),
+  quantity: Joi.number().integer().min(1).default(1)
+});
+
+const reviewSchema = Joi.object({
+  approve: Joi.array().items(objectId).default([]),
+  reject: Joi.array().items(objectId).default([]),
+  approveAll: Joi.boolean().default(false)
+});
+
+// Reviewing and posting variances changes stock, like the other adjustment endpoints
+function requireAdmin(req, res, next) {
+  if (!['admin', 'super-admin'].includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only admins can review or post stock takes'
+    });
+  }
+  next();
+}
+
+const populateStockTake = (query) => query
+  .populate('location', 'code name type')
+  .populate('createdBy', 'name')
+  .populate('submittedBy', 'name')
+  .populate('postedBy', 'name')
+  .populate('cancelledBy', 'name');
+
+// Open a stock take for products, packet stocks and/or a location
+router.post('/', auth, checkPermission('inventory'), async (req, res) => {
+  try {
+    const { error, value } = stockTakeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const stockTake = await StockTakeService.createStockTake(value, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      message: `Stock take ${stockTake.stockTakeNumber} opened with ${stockTake.lines.length} line(s)`,
+      data: await populateStockTake(StockTake.findById(stockTake._id))
+    });
+
+    await logActivity(req, {
+      action: 'CREATE',
+      resource: 'StockTake',
+      resourceId: stockTake._id,
+      description: `Opened stock take ${stockTake.stockTakeNumber} with ${stockTake.lines.length} line(s)`
+    });
+
+  } catch (error) {
+    console.error('Create stock take error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// Get all stock takes
+router.get('/', auth, checkPermission('inventory'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, location, product } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const query = {};
+    if (status) query.status = status;
+    if (location) query.location = location;
+    if (product) query['lines.product'] = product;
+
+    const [stockTakes, total] = await Promise.all([
+      populateStockTake(StockTake.find(query))
+        .select('-lines')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      StockTake.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: stockTakes,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        totalItems: total,
+        itemsPerPage: limitNum
+      }
+    });
+
+  } catch (error) {
+    console.error('Get stock takes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Get stock take by ID
+router.get('/:id', auth, checkPermission('inventory'), async (req, res) => {
+  try {
+    const stockTake = await populateStockTake(StockTake.findById(req.params.id))
+      .populate('lines.countedBy', 'name');
+
+    if (!stockTake) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock take not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: stockTake
+    });
+
+  } catch (error) {
+    console.error('Get stock take error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Variance-value report
+router.get('/:id/variance-report', auth, checkPermission('inventory'), async (req, res) => {
+  try {
+    const stockTake = await StockTake.findById(req.params.id).populate('location', 'code name type');
+    if (!stockTake) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock take not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: StockTakeService.getVarianceReport(stockTake)
+    });
+
+  } catch (error) {
+    console.error('Stock take variance report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Record counted quantities
+router.patch('/:id/count', auth, checkPermission('inventory'), async (req, res) => {
+  try {
+    const { error, value } = countSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const counts = value.counts.map(count => ({
+      ...count,
+      barcode: count.barcode ? normalizeBarcode(count.barcode) : undefined
+    }));
+    const stockTake = await StockTakeService.recordCounts(req.params.id, counts, req.user._id);
+
+    res.json({
+      success: true,
+      message: `${counts.length} count(s) recorded`,
+      data: stockTake
+    });
+
+  } catch (error) {
+    console.error('Record stock take counts error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// Record a scanned packet barcode (same as POST /api/packet-stock/scan/:barcode with stockTake)
+router.post('/:id/scan', auth, checkPermission('inventory'), async (req, res) => {
+  try {
+    const { error, value } = scanSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const { line } = await StockTakeService.recordScan(
+      req.params.id,
+      normalizeBarcode(value.barcode),
+      value.quantity,
+      req.user._id
+    );
+
+    res.json({
+      success: true,
+      message: `Counted ${line.countedQuantity} of ${line.packetBarcode}`,
+      data: line
+    });
+
+  } catch (error) {
+    console.error('Stock take scan error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// Close counting (open → submitted)
+router.patch('/:id/submit', auth, checkPermission('inventory'), async (req, res) => {
+  try {
+    const stockTake = await StockTakeService.submitStockTake(req.params.id, req.user._id, {
+      uncountedAsZero: req.body.uncountedAsZero === true
+    });
+
+    res.json({
+      success: true,
+      message: `Stock take ${stockTake.stockTakeNumber} submitted for review`,
+      data: stockTake
+    });
+
+    await logActivity(req, {
+      action: 'STATUS_CHANGE',
+      resource: 'StockTake',
+      resourceId: stockTake._id,
+      description: `Submitted stock take ${stockTake.stockTakeNumber}`,
+      changes: { old: { status: 'open' }, new: { status: stockTake.status } }
+    });
+
+  } catch (error) {
+    console.error('Submit stock take error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// Approve or reject counted variances
+router.patch('/:id/review', auth, checkPermission('inventory'), requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = reviewSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const stockTake = await StockTakeService.reviewStockTake(req.params.id, value);
+
+    res.json({
+      success: true,
+      message: 'Stock take variances reviewed',
+      data: stockTake
+    });
+
+    await logActivity(req, {
+      action: 'APPROVE',
+      resource: 'StockTake',
+      resourceId: stockTake._id,
+      description: `Reviewed variances of stock take ${stockTake.stockTakeNumber}`,
+      changes: { old: null, new: value }
+    });
+
+  } catch (error) {
+    console.error('Review stock take error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// Post approved variances as one batch of adjustments (submitted → posted)
+router.patch('/:id/post', auth, checkPermission('inventory'), requireAdmin, async (req, res) => {
+  try {
+    const stockTake = await StockTakeService.postStockTake(req.params.id, req.user._id);
+    const report = StockTakeService.getVarianceReport(stockTake);
+
+    res.json({
+      success: true,
+      message: `Stock take ${stockTake.stockTakeNumber} posted`,
+      data: report
+    });
+
+    await logActivity(req, {
+      action: 'UPDATE',
+      resource: 'StockTake',
+      resourceId: stockTake._id,
+      description: `Posted stock take ${stockTake.stockTakeNumber}: net variance value ${report.summary.approvedVarianceValue.toFixed(2)}`,
+      changes: { old: { status: 'submitted' }, new: { status: stockTake.status, summary: report.summary } }
+    });
+
+  } catch (error) {
+    console.error('Post stock take error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// Cancel stock take (open/submitted → cancelled); nothing is posted
+router.patch('/:id/cancel', auth, checkPermission('inventory'), async (req, res) => {
+  try {
+    const stockTake = await StockTakeService.cancelStockTake(req.params.id, req.user._id);
+
+    res.json({
+      success: true,
+      message: `Stock take ${stockTake.stockTakeNumber} cancelled`,
+      data: stockTake
+    });
+
+    await logActivity(req, {
+      action: 'STATUS_CHANGE',
+      resource: 'StockTake',
+      resourceId: stockTake._id,
+      description: `Cancelled stock take ${stockTake.stockTakeNumber}`,
+      changes: { old: null, new: { status: 'cancelled' } }
+    });
+
+  } catch (error) {
+    console.error('Cancel stock take error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+module.exports = router;
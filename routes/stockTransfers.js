@@ -0,0 +1,357 @@
+const express = require('express');
+const Joi = require('joi');
+const StockTransfer = require('../models/StockTransfer');
+const StockLocation = require('../models/StockLocation');
+const Product = require('../models/Product');
+const PacketStock = require('../models/PacketStock');
+const auth = require('../middleware/auth');
+const checkPermission = require('../middleware/checkPermission');
+const StockLocationService = require('../services/StockLocationService');
+const { logActivity } = require('../utils/auditLogger');
+
+const router = express.Router();
+
+const transferItemSchema = Joi.object({
+  product: Joi.string().optional(),
+  size: Joi.string().trim().allow('').optional(),
+  color: Joi.string().trim().allow('').optional(),
+  packetStock: Joi.string().optional(),
+  packetBarcode: Joi.string().trim().optional(),
+  quantity: Joi.number().integer().min(1).required()
+}).or('product', 'packetStock', 'packetBarcode');
+
+const transferSchema = Joi.object({
+  fromLocation: Joi.string().required(),
+  toLocation: Joi.string().required(),
+  items: Joi.array().items(transferItemSchema).min(1).required(),
+  notes: Joi.string().allow('').optional()
+});
+
+const populateTransfer = (query) => query
+  .populate('fromLocation', 'code name type')
+  .populate('toLocation', 'code name type')
+  .populate('createdBy', 'name')
+  .populate('dispatchedBy', 'name')
+  .populate('receivedBy', 'name')
+  .populate('cancelledBy', 'name');
+
+/**
+ * Resolve products and packet stocks referenced by transfer lines and
+ * snapshot their names/codes onto the line.
+ */
+async function buildTransferItems(items) {
+  const resolved = [];
+  for (const item of items) {
+    if (item.packetStock || item.packetBarcode) {
+      const packetStock = item.packetStock
+        ? await PacketStock.findById(item.packetStock).populate('product', 'name sku productCode')
+        : await PacketStock.findOne({ barcode: item.packetBarcode }).populate('product', 'name sku productCode');
+      if (!packetStock || !packetStock.product) {
+        throw Object.assign(new Error(`Packet stock not found: ${item.packetBarcode || item.packetStock}`), { status: 404 });
+      }
+      resolved.push({
+        product: packetStock.product._id,
+        productName: packetStock.product.name,
+        productCode: packetStock.product.productCode || packetStock.product.sku,
+        packetStock: packetStock._id,
+        packetBarcode: packetStock.barcode,
+        quantity: item.quantity
+      });
+      continue;
+    }
+
+    const product = await Product.findById(item.product).select('name sku productCode');
+    if (!product) {
+      throw Object.assign(new Error(`Product not found: ${item.product}`), { status: 404 });
+    }
+    resolved.push({
+      product: product._id,
+      productName: product.name,
+      productCode: product.productCode || product.sku,
+      size: item.size || '',
+      color: item.color || '',
+      quantity: item.quantity
+    });
+  }
+  return resolved;
+}
+
+async function validateLocations(fromLocationId, toLocationId) {
+  if (fromLocationId === toLocationId) {
+    throw Object.assign(new Error('Source and destination locations must be different'), { status: 400 });
+  }
+  const [fromLocation, toLocation] = await Promise.all([
+    StockLocation.findOne({ _id: fromLocationId, isActive: true }),
+    StockLocation.findOne({ _id: toLocationId, isActive: true })
+  ]);
+  if (!fromLocation || !toLocation) {
+    throw Object.assign(new Error('Source or destination location not found'), { status: 404 });
+  }
+}
+
+// Create draft stock transfer
+router.post('/', auth, checkPermission('inventory'), async (req, res) => {
+  try {
+    const { error, value } = transferSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    await validateLocations(value.fromLocation, value.toLocation);
+    const items = await buildTransferItems(value.items);
+
+    const transfer = new StockTransfer({
+      transferNumber: await StockTransfer.getNextTransferNumber(),
+      fromLocation: value.fromLocation,
+      toLocation: value.toLocation,
+      items,
+      notes: value.notes,
+      createdBy: req.user._id
+    });
+    await transfer.save();
+
+    res.status(201).json({
+      success: true,
+      message: `Stock transfer ${transfer.transferNumber} created`,
+      data: await populateTransfer(StockTransfer.findById(transfer._id))
+    });
+
+    await logActivity(req, {
+      action: 'CREATE',
+      resource: 'StockTransfer',
+      resourceId: transfer._id,
+      description: `Created stock transfer ${transfer.transferNumber} with ${items.length} line(s)`,
+      changes: { old: null, new: transfer.toObject() }
+    });
+
+  } catch (error) {
+    console.error('Create stock transfer error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// Get all stock transfers
+router.get('/', auth, checkPermission('inventory'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, location, product, startDate, endDate } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const query = {};
+    if (status) query.status = status;
+    if (location) query.$or = [{ fromLocation: location }, { toLocation: location }];
+    if (product) query['items.product'] = product;
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        query.createdAt.$lte = end;
+      }
+    }
+
+    const [transfers, total] = await Promise.all([
+      populateTransfer(StockTransfer.find(query))
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      StockTransfer.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: transfers,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        totalItems: total,
+        itemsPerPage: limitNum
+      }
+    });
+
+  } catch (error) {
+    console.error('Get stock transfers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Get stock transfer by ID
+router.get('/:id', auth, checkPermission('inventory'), async (req, res) => {
+  try {
+    const transfer = await populateTransfer(StockTransfer.findById(req.params.id))
+      .populate('items.product', 'name sku productCode');
+
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock transfer not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: transfer
+    });
+
+  } catch (error) {
+    console.error('Get stock transfer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Update draft stock transfer
+router.put('/:id', auth, checkPermission('inventory'), async (req, res) => {
+  try {
+    const { error, value } = transferSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const transfer = await StockTransfer.findById(req.params.id);
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock transfer not found'
+      });
+    }
+    if (transfer.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft transfers can be edited'
+      });
+    }
+
+    await validateLocations(value.fromLocation, value.toLocation);
+    const oldTransfer = transfer.toObject();
+
+    transfer.fromLocation = value.fromLocation;
+    transfer.toLocation = value.toLocation;
+    transfer.items = await buildTransferItems(value.items);
+    transfer.notes = value.notes;
+    await transfer.save();
+
+    res.json({
+      success: true,
+      message: 'Stock transfer updated successfully',
+      data: await populateTransfer(StockTransfer.findById(transfer._id))
+    });
+
+    await logActivity(req, {
+      action: 'UPDATE',
+      resource: 'StockTransfer',
+      resourceId: transfer._id,
+      description: `Updated stock transfer ${transfer.transferNumber}`,
+      changes: { old: oldTransfer, new: transfer.toObject() }
+    });
+
+  } catch (error) {
+    console.error('Update stock transfer error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// Dispatch transfer (draft → in_transit)
+router.patch('/:id/dispatch', auth, checkPermission('inventory'), async (req, res) => {
+  try {
+    const transfer = await StockLocationService.dispatchTransfer(req.params.id, req.user._id);
+
+    res.json({
+      success: true,
+      message: `Stock transfer ${transfer.transferNumber} dispatched`,
+      data: await populateTransfer(StockTransfer.findById(transfer._id))
+    });
+
+    await logActivity(req, {
+      action: 'UPDATE',
+      resource: 'StockTransfer',
+      resourceId: transfer._id,
+      description: `Dispatched stock transfer ${transfer.transferNumber}`,
+      changes: { old: { status: 'draft' }, new: { status: transfer.status } }
+    });
+
+  } catch (error) {
+    console.error('Dispatch stock transfer error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// Receive transfer (in_transit → received)
+router.patch('/:id/receive', auth, checkPermission('inventory'), async (req, res) => {
+  try {
+    const transfer = await StockLocationService.receiveTransfer(req.params.id, req.user._id);
+
+    res.json({
+      success: true,
+      message: `Stock transfer ${transfer.transferNumber} received`,
+      data: await populateTransfer(StockTransfer.findById(transfer._id))
+    });
+
+    await logActivity(req, {
+      action: 'UPDATE',
+      resource: 'StockTransfer',
+      resourceId: transfer._id,
+      description: `Received stock transfer ${transfer.transferNumber}`,
+      changes: { old: { status: 'in_transit' }, new: { status: transfer.status } }
+    });
+
+  } catch (error) {
+    console.error('Receive stock transfer error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// Cancel transfer (draft/in_transit → cancelled)
+router.patch('/:id/cancel', auth, checkPermission('inventory'), async (req, res) => {
+  try {
+    const { reason = '' } = req.body;
+    const transfer = await StockLocationService.cancelTransfer(req.params.id, req.user._id, reason);
+
+    res.json({
+      success: true,
+      message: `Stock transfer ${transfer.transferNumber} cancelled`,
+      data: await populateTransfer(StockTransfer.findById(transfer._id))
+    });
+
+    await logActivity(req, {
+      action: 'UPDATE',
+      resource: 'StockTransfer',
+      resourceId: transfer._id,
+      description: `Cancelled stock transfer ${transfer.transferNumber}${reason ? `: ${reason}` : ''}`,
+      changes: { old: null, new: { status: transfer.status } }
+    });
+
+  } catch (error) {
+    console.error('Cancel stock transfer error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+module.exports = router;
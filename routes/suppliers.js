@@ -8,6 +8,7 @@ const checkPermission = require('../middleware/checkPermission');
 const { logActivity } = require('../utils/auditLogger');
 
 const BalanceService = require('../services/BalanceService');
+const CurrencyService = require('../services/CurrencyService');
 const SupplierDeletionService = require('../services/SupplierDeletionService');
 
 const router = express.Router();
@@ -31,6 +32,7 @@ const supplierSchema = Joi.object({
   paymentTerms: Joi.string().valid('cash', 'net15', 'net30', 'net45', 'net60').default('net30'),
   creditLimit: Joi.number().min(0).default(0),
   rating: Joi.number().min(1).max(5).default(3),
+  currency: Joi.string().length(3).uppercase().optional(),
   notes: Joi.string().optional()
 });
 
@@ -46,10 +48,37 @@ function requireSuperAdmin(req, res) {
   return true;
 }
 
+// Supplier-portal users hold the suppliers permission for their own profile only
+function ownSupplierId(user) {
+  if (user.role !== 'supplier') return null;
+  return user.supplier ? String(user.supplier._id || user.supplier) : '';
+}
+
+function requireOwnSupplier(req, res) {
+  const ownId = ownSupplierId(req.user);
+
+  if (ownId !== null && ownId !== req.params.id) {
+    res.status(403).json({
+      success: false,
+      message: 'You can only access your own supplier profile',
+    });
+    return false;
+  }
+
+  return true;
+}
+
 // Create supplier
 router.post('/', auth, checkPermission('suppliers'), async (req, res) => {
 
   try {
+    if (ownSupplierId(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your account already has a supplier profile'
+      });
+    }
+
     const { error } = supplierSchema.validate(req.body);
     if (error) {
       return res.status(400).json({
@@ -58,6 +87,8 @@ router.post('/', auth, checkPermission('suppliers'), async (req, res) => {
       });
     }
 
+    await CurrencyService.assertCurrency(req.body.currency);
+
     const supplier = new Supplier({
       ...req.body,
       createdBy: req.user._id
@@ -93,9 +124,9 @@ router.post('/', auth, checkPermission('suppliers'), async (req, res) => {
 
   } catch (error) {
     console.error('Create supplier error:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      message: 'Server error'
+      message: error.status ? error.message : 'Server error'
     });
   }
 });
@@ -118,6 +149,11 @@ router.get('/', auth, checkPermission('suppliers'), async (req, res) => {
 
     if (paymentTerms) query.paymentTerms = paymentTerms;
     if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    const ownId = ownSupplierId(req.user);
+    if (ownId !== null) {
+      query._id = ownId || null;
+    }
     
     let suppliers;
     
@@ -133,7 +169,9 @@ router.get('/', auth, checkPermission('suppliers'), async (req, res) => {
       const supplierIds = usersWithSuppliers.map(user => user.supplier);
       
       // Add supplier ID filter to query
-      query._id = { $in: supplierIds };
+      query._id = ownId !== null
+        ? { $in: supplierIds.filter(id => String(id) === ownId) }
+        : { $in: supplierIds };
       
       suppliers = await Supplier.find(query)
         .populate('createdBy', 'name')
@@ -206,6 +244,10 @@ router.get('/', auth, checkPermission('suppliers'), async (req, res) => {
 router.get('/:id', auth, checkPermission('suppliers'), async (req, res) => {
 
   try {
+    if (!requireOwnSupplier(req, res)) {
+      return;
+    }
+
     const supplier = await Supplier.findById(req.params.id)
       .populate('createdBy', 'name');
 
@@ -256,6 +298,10 @@ router.get('/:id/delete-summary', auth, async (req, res) => {
 router.put('/:id', auth, checkPermission('suppliers'), async (req, res) => {
 
   try {
+    if (!requireOwnSupplier(req, res)) {
+      return;
+    }
+
     // Use a more flexible schema for updates (all fields optional)
     const updateSupplierSchema = Joi.object({
       name: Joi.string().min(2).max(100).optional(),
@@ -276,6 +322,7 @@ router.put('/:id', auth, checkPermission('suppliers'), async (req, res) => {
       paymentTerms: Joi.string().valid('cash', 'net15', 'net30', 'net45', 'net60').optional(),
       creditLimit: Joi.number().min(0).optional(),
       rating: Joi.number().min(1).max(5).optional(),
+      currency: Joi.string().length(3).uppercase().optional(),
       notes: Joi.string().optional()
     });
 
@@ -287,6 +334,21 @@ router.put('/:id', auth, checkPermission('suppliers'), async (req, res) => {
       });
     }
 
+    if (req.body.currency) {
+      await CurrencyService.assertCurrency(req.body.currency);
+
+      // The ledger runs in the supplier's currency, so it cannot change once there are entries
+      const current = await Supplier.findById(req.params.id).select('currency').lean();
+      const baseCurrency = await CurrencyService.getBaseCurrency();
+      if (current && (current.currency || baseCurrency) !== req.body.currency.toUpperCase()
+        && await Ledger.exists({ type: 'supplier', entityId: req.params.id })) {
+        return res.status(400).json({
+          success: false,
+          message: 'Currency cannot be changed once the supplier has ledger entries'
+        });
+      }
+    }
+
     const supplier = await Supplier.findByIdAndUpdate(
       req.params.id,
       req.body,
@@ -317,9 +379,9 @@ router.put('/:id', auth, checkPermission('suppliers'), async (req, res) => {
 
   } catch (error) {
     console.error('Update supplier error:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      message: 'Server error'
+      message: error.status ? error.message : 'Server error'
     });
   }
 });
@@ -418,6 +480,13 @@ router.delete('/:id/hard', auth, async (req, res) => {
 router.delete('/:id', auth, checkPermission('suppliers'), async (req, res) => {
 
   try {
+    if (ownSupplierId(req.user) !== null) {
+      return res.status(403).json({
+        success: false,
+        message: 'Supplier-portal users cannot deactivate suppliers'
+      });
+    }
+
     const supplier = await Supplier.findByIdAndUpdate(
       req.params.id,
       { isActive: false },
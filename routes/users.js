@@ -5,6 +5,8 @@ const Supplier = require('../models/Supplier');
 const Buyer = require('../models/Buyer');
 const auth = require('../middleware/auth');
 const { logActivity } = require('../utils/auditLogger');
+const SessionService = require('../services/SessionService');
+const { PERMISSION_VALUES } = require('../utils/constants');
 
 const router = express.Router();
 
@@ -34,7 +36,8 @@ const userSchema = Joi.object({
   alternatePhone: Joi.string().optional(),
   alternatePhoneAreaCode: Joi.string().max(5).optional(),
   address: Joi.string().optional(),
-  permissions: Joi.array().items(Joi.string().valid('users', 'suppliers', 'buyers', 'products', 'sales', 'purchases', 'inventory', 'reports', 'expenses', 'delivery', 'dashboard', 'dispatch_orders', 'stock', 'buying', 'selling', 'buyer_ledger', 'supplier_ledger', 'logistics', 'cost_config', 'campaigns', 'approvals', 'setup')).optional(),
+  permissions: Joi.array().items(Joi.string().valid(...PERMISSION_VALUES)).optional(),
+  revokedPermissions: Joi.array().items(Joi.string().valid(...PERMISSION_VALUES)).optional(),
   isActive: Joi.boolean().default(true)
 });
 
@@ -47,7 +50,8 @@ const updateUserSchema = Joi.object({
   alternatePhone: Joi.string().optional(),
   alternatePhoneAreaCode: Joi.string().max(5).optional(),
   address: Joi.string().optional(),
-  permissions: Joi.array().items(Joi.string().valid('users', 'suppliers', 'buyers', 'products', 'sales', 'purchases', 'inventory', 'reports', 'expenses', 'delivery', 'dashboard', 'dispatch_orders', 'stock', 'buying', 'selling', 'buyer_ledger', 'supplier_ledger', 'logistics', 'cost_config', 'campaigns', 'approvals', 'setup')).optional(),
+  permissions: Joi.array().items(Joi.string().valid(...PERMISSION_VALUES)).optional(),
+  revokedPermissions: Joi.array().items(Joi.string().valid(...PERMISSION_VALUES)).optional(),
   isActive: Joi.boolean().optional(),
   supplierProfile: Joi.object().unknown(true).optional(),
   buyerProfile: Joi.object().unknown(true).optional()
@@ -61,7 +65,7 @@ router.post('/', auth, requireAdmin, async (req, res) => {
       return res.status(400).json({ success: false, message: error.details[0].message });
     }
 
-    const { name, email, password, role, phone, phoneAreaCode, alternatePhone, alternatePhoneAreaCode, address, permissions } = req.body;
+    const { name, email, password, role, phone, phoneAreaCode, alternatePhone, alternatePhoneAreaCode, address, permissions, revokedPermissions } = req.body;
 
     // Only super-admin can create super-admin or admin accounts
     const targetRole = role || 'employee';
@@ -85,6 +89,7 @@ router.post('/', auth, requireAdmin, async (req, res) => {
       alternatePhoneAreaCode,
       address,
       permissions: permissions || [],
+      revokedPermissions: revokedPermissions || [],
       signupSource: 'crm'
     });
 
@@ -210,7 +215,7 @@ router.put('/:id', auth, requireAdmin, async (req, res) => {
       return res.status(403).json({ success: false, message: 'Only super-admin can assign admin roles' });
     }
 
-    const allowedFields = ['name', 'email', 'phone', 'phoneAreaCode', 'alternatePhone', 'alternatePhoneAreaCode', 'address', 'permissions', 'isActive'];
+    const allowedFields = ['name', 'email', 'phone', 'phoneAreaCode', 'alternatePhone', 'alternatePhoneAreaCode', 'address', 'permissions', 'revokedPermissions', 'isActive'];
     if (req.user.role === 'super-admin' || (newRole && newRole !== 'admin' && newRole !== 'super-admin')) {
       allowedFields.push('role');
     }
@@ -233,6 +238,10 @@ router.put('/:id', auth, requireAdmin, async (req, res) => {
       });
     }
 
+    if (updates.isActive === false) {
+      await SessionService.revokeUserSessions(user._id, 'deactivated', { revokedBy: req.user._id });
+    }
+
     // Cascaded updates for linked entities
     try {
       if (user.supplier) {
@@ -291,6 +300,96 @@ router.put('/:id', auth, requireAdmin, async (req, res) => {
   }
 });
 
+// List a user's active sessions (admin only)
+router.get('/:id/sessions', auth, requireAdmin, async (req, res) => {
+  try {
+    const sessions = await SessionService.listSessions(req.params.id);
+
+    res.json({
+      success: true,
+      data: sessions
+    });
+
+  } catch (error) {
+    console.error('Get user sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Revoke all sessions of a user (admin only)
+router.delete('/:id/sessions', auth, requireAdmin, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('name email');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const revoked = await SessionService.revokeUserSessions(user._id, 'revoked', { revokedBy: req.user._id });
+
+    await logActivity(req, {
+      action: 'UPDATE',
+      resource: 'User',
+      resourceId: user._id,
+      description: `Revoked ${revoked} session(s) of user: ${user.name} (${user.email})`
+    });
+
+    res.json({
+      success: true,
+      message: `${revoked} session(s) revoked`,
+      data: { revoked }
+    });
+
+  } catch (error) {
+    console.error('Revoke user sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Revoke one session of a user (admin only)
+router.delete('/:id/sessions/:sessionId', auth, requireAdmin, async (req, res) => {
+  try {
+    const session = await SessionService.revokeSession(req.params.sessionId, 'revoked', {
+      userId: req.params.id,
+      revokedBy: req.user._id
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active session not found'
+      });
+    }
+
+    await logActivity(req, {
+      action: 'UPDATE',
+      resource: 'User',
+      resourceId: req.params.id,
+      description: `Revoked session ${session._id} (${session.deviceName || session.userAgent || 'unknown device'})`
+    });
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke user session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // Deactivate user (admin only)
 router.patch('/:id/deactivate', auth, requireAdmin, async (req, res) => {
   try {
@@ -307,6 +406,9 @@ router.patch('/:id/deactivate', auth, requireAdmin, async (req, res) => {
       });
     }
 
+    // Force-logout every device of the deactivated user
+    await SessionService.revokeUserSessions(user._id, 'deactivated', { revokedBy: req.user._id });
+
     res.json({
       success: true,
       message: 'User deactivated successfully'
@@ -364,6 +466,7 @@ router.patch('/:id/regenerate-password', auth, async (req, res) => {
     // Set password (will be hashed by pre-save hook)
     user.password = newPassword;
     await user.save();
+    await SessionService.revokeUserSessions(user._id, 'password_changed', { revokedBy: req.user._id });
 
     // Return plain password (only this time, for admin to copy)
     res.json({
@@ -0,0 +1,148 @@
+const express = require('express');
+const Joi = require('joi');
+const auth = require('../middleware/auth');
+const checkPermission = require('../middleware/checkPermission');
+const VatReturnService = require('../services/VatReturnService');
+const { logActivity } = require('../utils/auditLogger');
+
+const router = express.Router();
+
+const closeSchema = Joi.object({
+  reference: Joi.string().trim().allow('').optional(),
+  notes: Joi.string().trim().allow('').optional()
+});
+
+const reopenSchema = Joi.object({
+  reason: Joi.string().trim().min(5).required()
+});
+
+// Get closed and reopened VAT returns
+router.get('/', auth, checkPermission('reports'), async (req, res) => {
+  try {
+    const vatReturns = await VatReturnService.listReturns();
+
+    res.json({
+      success: true,
+      data: vatReturns
+    });
+
+  } catch (error) {
+    console.error('Get VAT returns error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// VAT return for a quarter (e.g. 2026-Q1), with the breakdown by rate
+router.get('/:period', auth, checkPermission('reports'), async (req, res) => {
+  try {
+    const data = await VatReturnService.getReturn(req.params.period);
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Get VAT return error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.status ? error.message : 'Server error' });
+  }
+});
+
+// Documents behind one box (?box=box1..box7, optional &rate=20)
+router.get('/:period/documents', auth, checkPermission('reports'), async (req, res) => {
+  try {
+    const data = await VatReturnService.getBoxDocuments(req.params.period, req.query.box, req.query.rate);
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Get VAT return documents error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.status ? error.message : 'Server error' });
+  }
+});
+
+// Close a quarter: stores the figures as filed and locks its VAT documents
+router.post('/:period/close', auth, async (req, res) => {
+  try {
+    if (!['admin', 'super-admin'].includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins can close VAT returns'
+      });
+    }
+
+    const { error, value } = closeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const vatReturn = await VatReturnService.closeReturn(req.params.period, req.user._id, value);
+
+    res.json({
+      success: true,
+      message: `VAT return ${vatReturn.period} closed`,
+      data: vatReturn
+    });
+
+    await logActivity(req, {
+      action: 'STATUS_CHANGE',
+      resource: 'VatReturn',
+      resourceId: vatReturn._id,
+      description: `Closed VAT return ${vatReturn.period}: net VAT ${vatReturn.boxes.box5.toFixed(2)}`,
+      changes: { old: { status: 'open' }, new: { status: 'closed', boxes: vatReturn.boxes, reference: value.reference } }
+    });
+
+  } catch (error) {
+    console.error('Close VAT return error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// Reopen a closed quarter (super-admin only, reason required)
+router.patch('/:period/reopen', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'super-admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only super-admin can reopen VAT returns'
+      });
+    }
+
+    const { error, value } = reopenSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const vatReturn = await VatReturnService.reopenReturn(req.params.period, req.user._id, value.reason);
+
+    res.json({
+      success: true,
+      message: `VAT return ${vatReturn.period} reopened`,
+      data: vatReturn
+    });
+
+    await logActivity(req, {
+      action: 'STATUS_CHANGE',
+      resource: 'VatReturn',
+      resourceId: vatReturn._id,
+      description: `Reopened VAT return ${vatReturn.period}: ${value.reason}`,
+      changes: { old: { status: 'closed' }, new: { status: 'reopened', reason: value.reason } }
+    });
+
+  } catch (error) {
+    console.error('Reopen VAT return error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+module.exports = router;
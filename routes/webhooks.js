@@ -0,0 +1,310 @@
+const express = require('express');
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookService = require('../services/WebhookService');
+const { WEBHOOK_EVENTS } = require('../utils/constants');
+const { logActivity } = require('../utils/auditLogger');
+
+const router = express.Router();
+
+const urlSchema = Joi.string().trim().uri({ scheme: ['http', 'https'] });
+const eventsSchema = Joi.array().items(Joi.string().valid('*', ...WEBHOOK_EVENTS)).min(1).unique();
+
+const subscriptionSchema = Joi.object({
+  name: Joi.string().trim().required(),
+  url: urlSchema.required(),
+  events: eventsSchema.required(),
+  description: Joi.string().allow('').optional(),
+  isActive: Joi.boolean().optional()
+});
+
+const subscriptionUpdateSchema = Joi.object({
+  name: Joi.string().trim().optional(),
+  url: urlSchema.optional(),
+  events: eventsSchema.optional(),
+  description: Joi.string().allow('').optional(),
+  isActive: Joi.boolean().optional()
+}).min(1);
+
+// Webhook subscriptions send business data to outside systems, so only admins manage them
+function requireAdmin(req, res, next) {
+  if (!['admin', 'super-admin'].includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only admins can manage webhooks'
+    });
+  }
+  next();
+}
+
+function validateId(paramName) {
+  return (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params[paramName])) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID'
+      });
+    }
+    next();
+  };
+}
+
+// List the events a subscription can receive
+router.get('/events', auth, requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    data: WEBHOOK_EVENTS
+  });
+});
+
+// Get subscriptions
+router.get('/', auth, requireAdmin, async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.isActive !== undefined) query.isActive = req.query.isActive === 'true';
+    if (req.query.event) query.events = { $in: [req.query.event, '*'] };
+
+    const subscriptions = await WebhookSubscription.find(query)
+      .populate('createdBy', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: subscriptions
+    });
+
+  } catch (error) {
+    console.error('Get webhook subscriptions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Create a subscription. The signing secret is only returned here and on rotation.
+router.post('/', auth, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = subscriptionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const subscription = await WebhookService.createSubscription(value, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook subscription created. Store the secret now; it will not be shown again.',
+      data: subscription
+    });
+
+    await logActivity(req, {
+      action: 'CREATE',
+      resource: 'WebhookSubscription',
+      resourceId: subscription._id,
+      description: `Created webhook subscription ${subscription.name} for ${subscription.events.join(', ')}`
+    });
+
+  } catch (error) {
+    console.error('Create webhook subscription error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// Get a subscription
+router.get('/:id', auth, requireAdmin, validateId('id'), async (req, res) => {
+  try {
+    const subscription = await WebhookService.getSubscription(req.params.id);
+
+    res.json({
+      success: true,
+      data: subscription
+    });
+
+  } catch (error) {
+    console.error('Get webhook subscription error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error'
+    });
+  }
+});
+
+// Update a subscription
+router.put('/:id', auth, requireAdmin, validateId('id'), async (req, res) => {
+  try {
+    const { error, value } = subscriptionUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const subscription = await WebhookService.updateSubscription(req.params.id, value);
+
+    res.json({
+      success: true,
+      message: 'Webhook subscription updated successfully',
+      data: subscription
+    });
+
+    await logActivity(req, {
+      action: 'UPDATE',
+      resource: 'WebhookSubscription',
+      resourceId: subscription._id,
+      description: `Updated webhook subscription ${subscription.name}`,
+      changes: { old: null, new: value }
+    });
+
+  } catch (error) {
+    console.error('Update webhook subscription error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// Delete a subscription
+router.delete('/:id', auth, requireAdmin, validateId('id'), async (req, res) => {
+  try {
+    const subscription = await WebhookService.deleteSubscription(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Webhook subscription deleted'
+    });
+
+    await logActivity(req, {
+      action: 'DELETE',
+      resource: 'WebhookSubscription',
+      resourceId: subscription._id,
+      description: `Deleted webhook subscription ${subscription.name} (${subscription.url})`
+    });
+
+  } catch (error) {
+    console.error('Delete webhook subscription error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// Replace the signing secret; the old one stops working immediately
+router.post('/:id/rotate-secret', auth, requireAdmin, validateId('id'), async (req, res) => {
+  try {
+    const subscription = await WebhookService.rotateSecret(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Webhook secret rotated. Store the new secret now; it will not be shown again.',
+      data: { _id: subscription._id, secret: subscription.secret }
+    });
+
+    await logActivity(req, {
+      action: 'UPDATE',
+      resource: 'WebhookSubscription',
+      resourceId: subscription._id,
+      description: `Rotated the secret of webhook subscription ${subscription.name}`
+    });
+
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// Send a ping event to the subscription and return the delivery
+router.post('/:id/test', auth, requireAdmin, validateId('id'), async (req, res) => {
+  try {
+    const delivery = await WebhookService.sendTest(req.params.id, req.user._id);
+
+    res.json({
+      success: true,
+      message: delivery.status === 'success'
+        ? 'Test event delivered'
+        : `Test event not delivered: ${delivery.error || 'pending'}`,
+      data: delivery
+    });
+
+  } catch (error) {
+    console.error('Test webhook error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// Delivery log of a subscription (?status=pending|success|failed&event=)
+router.get('/:id/deliveries', auth, requireAdmin, validateId('id'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const { status, event } = req.query;
+
+    const { deliveries, total } = await WebhookService.listDeliveries(req.params.id, { status, event, page, limit });
+
+    res.json({
+      success: true,
+      data: deliveries,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Send a delivery's payload again as a new delivery
+router.post('/deliveries/:deliveryId/redeliver', auth, requireAdmin, validateId('deliveryId'), async (req, res) => {
+  try {
+    const delivery = await WebhookService.redeliver(req.params.deliveryId, req.user._id);
+
+    res.json({
+      success: true,
+      message: delivery.status === 'success'
+        ? 'Event redelivered'
+        : `Redelivery failed and will be retried: ${delivery.error || 'pending'}`,
+      data: delivery
+    });
+
+    await logActivity(req, {
+      action: 'CREATE',
+      resource: 'WebhookDelivery',
+      resourceId: delivery._id,
+      description: `Redelivered webhook ${delivery.event} (delivery ${req.params.deliveryId})`
+    });
+
+  } catch (error) {
+    console.error('Redeliver webhook error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,68 @@
+const http = require('http');
+const crypto = require('crypto');
+
+/**
+ * Local webhook receiver for trying out webhook subscriptions.
+ * Logs every event it receives and checks the X-Webhook-Signature header
+ * against WEBHOOK_SECRET (the secret returned when the subscription was created).
+ *
+ * Usage:
+ *   WEBHOOK_SECRET=whsec_... node scripts/webhookReceiver.js [port]
+ *
+ * Set FAIL_WITH=500 to answer every request with that status and watch the retries.
+ */
+
+const port = parseInt(process.argv[2], 10) || 4000;
+const secret = process.env.WEBHOOK_SECRET;
+const failWith = parseInt(process.env.FAIL_WITH, 10) || null;
+// Reject signatures older than five minutes, as a production receiver should
+const TOLERANCE_SECONDS = 5 * 60;
+
+function verifySignature(headers, body) {
+  if (!secret) return 'not checked (WEBHOOK_SECRET not set)';
+
+  const timestamp = headers['x-webhook-timestamp'];
+  const signature = headers['x-webhook-signature'] || '';
+  if (!timestamp || !signature.startsWith('sha256=')) return 'missing';
+
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > TOLERANCE_SECONDS) return 'expired';
+
+  const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  const received = signature.slice('sha256='.length);
+  const valid = received.length === expected.length
+    && crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+  return valid ? 'valid' : 'INVALID';
+}
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const signature = verifySignature(req.headers, body);
+
+    console.log(`\n[${new Date().toISOString()}] ${req.method} ${req.url}`);
+    console.log(`  Event:     ${req.headers['x-webhook-event']}`);
+    console.log(`  Event id:  ${req.headers['x-webhook-id']}`);
+    console.log(`  Delivery:  ${req.headers['x-webhook-delivery']}`);
+    console.log(`  Signature: ${signature}`);
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch (error) {
+      console.log(body);
+    }
+
+    if (signature === 'INVALID' || signature === 'expired' || signature === 'missing') {
+      res.writeHead(401, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ received: false, signature }));
+    }
+
+    res.writeHead(failWith || 200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ received: !failWith }));
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Webhook receiver listening on http://localhost:${port}`);
+  if (!secret) console.log('WEBHOOK_SECRET is not set; signatures will not be checked');
+  if (failWith) console.log(`Answering every request with HTTP ${failWith}`);
+});
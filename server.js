@@ -118,6 +118,7 @@ app.use(
       "X-Requested-With",
       "Accept",
       "Origin",
+      "X-Cart-Token",
     ],
     exposedHeaders: ["Content-Length", "Content-Type"],
     preflightContinue: false,
@@ -197,6 +198,7 @@ mongoose.connection.on('error', (err) => {
 // Routes
 app.use("/api/auth", require("./routes/auth"));
 app.use("/api/users", require("./routes/users"));
+app.use("/api/role-permissions", require("./routes/rolePermissions"));
 app.use(
   "/api/password-reset-requests",
   require("./routes/passwordResetRequests")
@@ -211,10 +213,13 @@ app.use("/api/inventory", require("./routes/inventory"));
 app.use("/api/delivery-personnel", require("./routes/deliveryPersonnel"));
 app.use("/api/cost-types", require("./routes/costTypes"));
 app.use("/api/expenses", require("./routes/expenses"));
+app.use("/api/expense-vouchers", require("./routes/expenseVouchers"));
 app.use("/api/reports", require("./routes/reports"));
 
 // New routes for supplier portal
 app.use("/api/logistics-companies", require("./routes/logisticsCompanies"));
+app.use("/api/purchase-orders", require("./routes/purchaseOrders"));
+app.use("/api/replenishment", require("./routes/replenishment"));
 app.use("/api/dispatch-orders", require("./routes/dispatchOrders"));
 app.use("/api/returns", require("./routes/returns"));
 app.use("/api/packet-templates", require("./routes/packetTemplates"));
@@ -228,13 +233,24 @@ app.use("/api/images", require("./routes/images"));
 app.use("/api/logistics-payables", require("./routes/logisticsPayables"));
 app.use("/api/cash-tracking", require("./routes/cashTracking"));
 app.use("/api/stock-sync", require("./routes/stockSync"));
+app.use("/api/stock-locations", require("./routes/stockLocations"));
+app.use("/api/stock-transfers", require("./routes/stockTransfers"));
+app.use("/api/stock-takes", require("./routes/stockTakes"));
 app.use("/api/cart", require("./routes/cart"));
 app.use("/api/wishlist", require("./routes/wishlist"));
 app.use("/api/addresses", require("./routes/addresses"));
 app.use("/api/checkout", require("./routes/checkout"));
 app.use("/api/settings", require("./routes/settings"));
 app.use("/api/edit-requests", require("./routes/editRequests"));
+app.use("/api/accounting-periods", require("./routes/accountingPeriods"));
+app.use("/api/general-ledger", require("./routes/generalLedger"));
+app.use("/api/vat-returns", require("./routes/vatReturns"));
+app.use("/api/currencies", require("./routes/currencies"));
+app.use("/api/webhooks", require("./routes/webhooks"));
 app.use("/api/campaigns", require("./routes/campaigns"));
+app.use("/api/promo-codes", require("./routes/promoCodes"));
+app.use("/api/price-lists", require("./routes/priceLists"));
+app.use("/api/cash-on-delivery", require("./routes/cashOnDelivery"));
 app.use("/api/audit-logs", require("./routes/auditLogs"));
 
 // Health check endpoint
@@ -263,12 +279,24 @@ app.use("*", (req, res) => {
 const BASE_PORT = parseInt(process.env.PORT, 10) || 8080;
 const MAX_PORT_ATTEMPTS = 5;
 const { startReservationCleanup } = require('./utils/reservation-cleanup');
+const { startRecurringExpenseScheduler } = require('./utils/recurring-expenses');
+const { startPaymentReminderScheduler } = require('./utils/payment-reminders');
+const { startGeneralLedgerSync } = require('./utils/general-ledger');
+const { startWebhookDispatcher } = require('./utils/webhooks');
 
 // Try the requested port, but fall back to the next one if it's already in use.
 const startServer = (port, attemptsLeft) => {
   const server = app.listen(port, () => {
     // Start periodic stock reservation cleanup
     startReservationCleanup();
+    // Generate due occurrences of recurring expenses
+    startRecurringExpenseScheduler();
+    // Email reminder statements to overdue buyers (PAYMENT_REMINDERS_ENABLED=true)
+    startPaymentReminderScheduler();
+    // Keep general ledger journals in step with the sub-ledgers
+    startGeneralLedgerSync();
+    // Send queued webhook deliveries, retry failures and raise low stock alerts
+    startWebhookDispatcher();
   });
 
   server.on("error", (error) => {
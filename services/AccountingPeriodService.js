@@ -0,0 +1,88 @@
+/**
+ * AccountingPeriodService
+ *
+ * Closing and reopening accounting periods (calendar months). A closed period
+ * is locked for everyone, super-admins included: sales, dispatch orders,
+ * payments, expenses, returns and ledger entries dated inside it cannot be
+ * created, edited, reversed or deleted until a super-admin reopens it.
+ */
+
+const AccountingPeriod = require('../models/AccountingPeriod');
+
+const PERIOD_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+const buildServiceError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+class AccountingPeriodService {
+  static getPeriodRange(period) {
+    if (!PERIOD_PATTERN.test(period || '')) {
+      throw buildServiceError('period must be in YYYY-MM format');
+    }
+    const [year, month] = period.split('-').map(Number);
+    return {
+      startDate: new Date(year, month - 1, 1, 0, 0, 0, 0),
+      endDate: new Date(year, month, 0, 23, 59, 59, 999)
+    };
+  }
+
+  // Throws (status 423) when any of the dates falls in a closed period
+  static async assertDatesOpen(dates, session = null) {
+    for (const date of dates) {
+      if (date) await AccountingPeriod.assertDateOpen(date, session);
+    }
+  }
+
+  static async listPeriods({ status, year } = {}) {
+    const query = {};
+    if (status) query.status = status;
+    if (year) query.period = new RegExp(`^${parseInt(year, 10)}-`);
+
+    return AccountingPeriod.find(query)
+      .populate('closedBy', 'name')
+      .populate('reopenedBy', 'name')
+      .populate('history.by', 'name')
+      .sort({ period: -1 });
+  }
+
+  static async closePeriod(period, userId, notes) {
+    const { startDate, endDate } = this.getPeriodRange(period);
+    if (endDate >= new Date()) {
+      throw buildServiceError('Only months that have ended can be closed');
+    }
+
+    const existing = await AccountingPeriod.findOne({ period });
+    if (existing?.status === 'closed') {
+      throw buildServiceError(`Accounting period ${period} is already closed`);
+    }
+
+    const accountingPeriod = existing || new AccountingPeriod({ period, startDate, endDate });
+    accountingPeriod.status = 'closed';
+    accountingPeriod.closedBy = userId;
+    accountingPeriod.closedAt = new Date();
+    accountingPeriod.notes = notes || accountingPeriod.notes;
+    accountingPeriod.history.push({ action: 'close', by: userId, reason: notes });
+    await accountingPeriod.save();
+
+    return accountingPeriod;
+  }
+
+  static async reopenPeriod(period, userId, reason) {
+    this.getPeriodRange(period);
+
+    const accountingPeriod = await AccountingPeriod.findOne({ period });
+    if (!accountingPeriod || accountingPeriod.status !== 'closed') {
+      throw buildServiceError(`Accounting period ${period} is not closed`, 404);
+    }
+
+    accountingPeriod.status = 'open';
+    accountingPeriod.reopenedBy = userId;
+    accountingPeriod.reopenedAt = new Date();
+    accountingPeriod.reopenReason = reason;
+    accountingPeriod.history.push({ action: 'reopen', by: userId, reason });
+    await accountingPeriod.save();
+
+    return accountingPeriod;
+  }
+}
+
+module.exports = AccountingPeriodService;
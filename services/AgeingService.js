@@ -0,0 +1,272 @@
+/**
+ * AgeingService
+ *
+ * Aged receivables (buyers) and aged payables (suppliers, logistics companies)
+ * built from the Ledger as of a date.
+ *
+ * Every debit is an open item, dated by its document: the Sale's saleDate or
+ * the DispatchOrder's dispatchDate (the entry date for debits without one).
+ * Credits are allocated the way BalanceService distributes payments:
+ *   1. a credit that references a document (payments recorded by
+ *      distributeBuyerPayment / distributeUniversalPayment, returns through
+ *      their SaleReturn / Return) settles that document first
+ *   2. everything else settles the open items oldest first
+ * Credit left over once every item is settled is reported as unallocatedCredit.
+ *
+ * What remains of each item is aged from its document date to the as-of date
+ * into 0-30, 31-60, 61-90 and 90+ day buckets.
+ */
+
+const mongoose = require('mongoose');
+const Buyer = require('../models/Buyer');
+const DispatchOrder = require('../models/DispatchOrder');
+const Ledger = require('../models/Ledger');
+const LogisticsCompany = require('../models/LogisticsCompany');
+const Return = require('../models/Return');
+const Sale = require('../models/Sale');
+const SaleReturn = require('../models/SaleReturn');
+const Supplier = require('../models/Supplier');
+
+const AGEING_BUCKETS = [
+  { key: '0-30', min: 0, max: 30 },
+  { key: '31-60', min: 31, max: 60 },
+  { key: '61-90', min: 61, max: 90 },
+  { key: '90+', min: 91, max: Infinity }
+];
+
+const PARTY_MODELS = {
+  buyer: Buyer,
+  supplier: Supplier,
+  logistics: LogisticsCompany
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const buildServiceError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const emptyBuckets = () => Object.fromEntries(AGEING_BUCKETS.map(bucket => [bucket.key, 0]));
+
+const getBucket = (days) => AGEING_BUCKETS.find(bucket => days >= bucket.min && days <= bucket.max).key;
+
+const documentKey = (model, id) => `${model}:${id}`;
+
+class AgeingService {
+  static parseAsOf(asOfDate) {
+    const asOf = asOfDate ? new Date(asOfDate) : new Date();
+    if (isNaN(asOf.getTime())) {
+      throw buildServiceError('Invalid asOfDate');
+    }
+    asOf.setHours(23, 59, 59, 999);
+    return asOf;
+  }
+
+  /**
+   * Aged balances for one party type ('buyer', 'supplier' or 'logistics').
+   * Pass entityId to age a single party; includeDocuments adds the open
+   * Sale / DispatchOrder documents behind each party's buckets.
+   */
+  static async getAgedBalances(type, { asOfDate, entityId, includeDocuments = false } = {}) {
+    const PartyModel = PARTY_MODELS[type];
+    if (!PartyModel) {
+      throw buildServiceError(`type must be one of: ${Object.keys(PARTY_MODELS).join(', ')}`);
+    }
+    if (entityId && !mongoose.Types.ObjectId.isValid(entityId)) {
+      throw buildServiceError('Invalid party id');
+    }
+
+    const asOf = this.parseAsOf(asOfDate);
+    const asOfDay = startOfDay(asOf);
+
+    const match = { type, date: { $lte: asOf } };
+    if (entityId) match.entityId = new mongoose.Types.ObjectId(entityId);
+
+    const entries = await Ledger.find(match)
+      .select('entityId transactionType referenceId referenceModel debit credit date description')
+      .sort({ date: 1, createdAt: 1 })
+      .lean();
+
+    const documents = await this.loadDocuments(entries);
+
+    const entriesByParty = new Map();
+    for (const entry of entries) {
+      const partyId = entry.entityId.toString();
+      if (!entriesByParty.has(partyId)) entriesByParty.set(partyId, []);
+      entriesByParty.get(partyId).push(entry);
+    }
+
+    const parties = await PartyModel.find({ _id: { $in: [...entriesByParty.keys()] } })
+      .select('name company email phone')
+      .lean();
+    const partyMap = new Map(parties.map(party => [party._id.toString(), party]));
+
+    const rows = [];
+    for (const [partyId, partyEntries] of entriesByParty) {
+      const { items, unallocatedCredit } = this.allocate(partyEntries, documents);
+
+      const buckets = emptyBuckets();
+      const openItems = [];
+      for (const item of items) {
+        const outstanding = round(item.amount - item.settled);
+        if (outstanding <= 0) continue;
+
+        const daysOutstanding = Math.max(0, Math.floor((asOfDay - startOfDay(item.date)) / DAY_MS));
+        const bucket = getBucket(daysOutstanding);
+        buckets[bucket] += outstanding;
+        openItems.push({
+          referenceId: item.referenceId,
+          referenceModel: item.referenceModel,
+          documentNumber: item.documentNumber,
+          description: item.description,
+          date: item.date,
+          amount: round(item.amount),
+          settled: round(item.settled),
+          outstanding,
+          daysOutstanding,
+          bucket
+        });
+      }
+
+      const totalOutstanding = round(openItems.reduce((sum, item) => sum + item.outstanding, 0));
+      if (totalOutstanding <= 0 && unallocatedCredit <= 0) continue;
+
+      const party = partyMap.get(partyId);
+      rows.push({
+        _id: partyId,
+        name: party?.name,
+        company: party?.company,
+        email: party?.email,
+        phone: party?.phone,
+        buckets: Object.fromEntries(Object.entries(buckets).map(([key, value]) => [key, round(value)])),
+        totalOutstanding,
+        unallocatedCredit,
+        balance: round(totalOutstanding - unallocatedCredit),
+        openDocuments: openItems.length,
+        oldestDate: openItems[0]?.date || null,
+        ...(includeDocuments && { documents: openItems })
+      });
+    }
+
+    rows.sort((a, b) => b.totalOutstanding - a.totalOutstanding);
+
+    const totals = emptyBuckets();
+    for (const row of rows) {
+      for (const bucket of AGEING_BUCKETS) totals[bucket.key] += row.buckets[bucket.key];
+    }
+
+    return {
+      type,
+      asOfDate: asOf,
+      parties: rows,
+      summary: {
+        parties: rows.length,
+        buckets: Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, round(value)])),
+        totalOutstanding: round(rows.reduce((sum, row) => sum + row.totalOutstanding, 0)),
+        unallocatedCredit: round(rows.reduce((sum, row) => sum + row.unallocatedCredit, 0))
+      }
+    };
+  }
+
+  // Document dates and numbers, and the documents that returns belong to
+  static async loadDocuments(entries) {
+    const idsByModel = { Sale: new Set(), DispatchOrder: new Set(), SaleReturn: new Set(), Return: new Set() };
+    for (const entry of entries) {
+      if (entry.referenceId && idsByModel[entry.referenceModel]) {
+        idsByModel[entry.referenceModel].add(entry.referenceId.toString());
+      }
+    }
+
+    const [sales, dispatchOrders, saleReturns, returns] = await Promise.all([
+      Sale.find({ _id: { $in: [...idsByModel.Sale] } }).select('saleNumber saleDate').lean(),
+      DispatchOrder.find({ _id: { $in: [...idsByModel.DispatchOrder] } }).select('orderNumber dispatchDate').lean(),
+      SaleReturn.find({ _id: { $in: [...idsByModel.SaleReturn] } }).select('sale').lean(),
+      Return.find({ _id: { $in: [...idsByModel.Return] } }).select('dispatchOrder').lean()
+    ]);
+
+    const documents = new Map();
+    for (const sale of sales) {
+      documents.set(documentKey('Sale', sale._id), { number: sale.saleNumber, date: sale.saleDate });
+    }
+    for (const order of dispatchOrders) {
+      documents.set(documentKey('DispatchOrder', order._id), { number: order.orderNumber, date: order.dispatchDate });
+    }
+    for (const saleReturn of saleReturns) {
+      if (saleReturn.sale) {
+        documents.set(documentKey('SaleReturn', saleReturn._id), { settles: documentKey('Sale', saleReturn.sale) });
+      }
+    }
+    for (const returnDoc of returns) {
+      if (returnDoc.dispatchOrder) {
+        documents.set(documentKey('Return', returnDoc._id), { settles: documentKey('DispatchOrder', returnDoc.dispatchOrder) });
+      }
+    }
+    return documents;
+  }
+
+  // Open items for one party's entries, with credits allocated against them
+  static allocate(entries, documents) {
+    const items = [];
+    const itemsByDocument = new Map();
+
+    for (const entry of entries) {
+      if (!(entry.debit > 0)) continue;
+
+      const key = entry.referenceId ? documentKey(entry.referenceModel, entry.referenceId) : null;
+      const document = key && documents.get(key);
+      if (document?.date && itemsByDocument.has(key)) {
+        itemsByDocument.get(key).amount += entry.debit;
+        continue;
+      }
+
+      const item = {
+        referenceId: document?.date ? entry.referenceId : null,
+        referenceModel: document?.date ? entry.referenceModel : null,
+        documentNumber: document?.number || null,
+        description: entry.description,
+        date: document?.date || entry.date,
+        amount: entry.debit,
+        settled: 0
+      };
+      items.push(item);
+      if (document?.date) itemsByDocument.set(key, item);
+    }
+
+    items.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    let pool = 0;
+    for (const entry of entries) {
+      if (!(entry.credit > 0)) continue;
+
+      let key = entry.referenceId ? documentKey(entry.referenceModel, entry.referenceId) : null;
+      if (key && documents.get(key)?.settles) key = documents.get(key).settles;
+
+      const item = key && itemsByDocument.get(key);
+      if (!item) {
+        pool += entry.credit;
+        continue;
+      }
+
+      const applied = Math.min(entry.credit, item.amount - item.settled);
+      item.settled += applied;
+      pool += entry.credit - applied;
+    }
+
+    for (const item of items) {
+      if (pool <= 0) break;
+      const applied = Math.min(pool, item.amount - item.settled);
+      item.settled += applied;
+      pool -= applied;
+    }
+
+    return { items, unallocatedCredit: round(pool) };
+  }
+}
+
+module.exports = AgeingService;
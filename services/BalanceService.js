@@ -35,10 +35,19 @@ class BalanceService {
       .filter((distribution) => distribution.isAdvance)
       .reduce((sum, distribution) => sum + (distribution.amountApplied || 0), 0);
 
+    // Set by the ledger on each entry when the supplier invoices in a foreign currency
+    const foreign = distributions.find((distribution) => distribution.currency);
+
     const receipt = new SupplierPaymentReceipt({
       receiptNumber,
       supplierId,
       totalAmount: amount,
+      ...(foreign && {
+        currency: foreign.currency,
+        exchangeRate: foreign.exchangeRate,
+        baseAmount: Math.round(distributions.reduce((sum, distribution) => sum + (distribution.baseAmount || 0), 0) * 100) / 100,
+        realisedFxGain: Math.round(distributions.reduce((sum, distribution) => sum + (distribution.realisedFxGain || 0), 0) * 100) / 100
+      }),
       cashAmount: paymentMethod === 'cash' ? amount : 0,
       bankAmount: paymentMethod === 'bank' ? amount : 0,
       paymentMethodSummary: paymentMethod,
@@ -52,6 +61,8 @@ class BalanceService {
         newBalance: distribution.newRemaining || 0,
         ledgerEntryId: distribution.ledgerEntryId || null,
         isAdvance: !!distribution.isAdvance,
+        baseAmount: distribution.baseAmount,
+        realisedFxGain: distribution.realisedFxGain,
       })),
       advanceAmount,
       ordersAffected: distributions.filter((distribution) => !distribution.isAdvance).length,
@@ -631,6 +642,17 @@ static async getSupplierBalanceSummary(supplierId) {
     }, session);
   }
 
+  // Currency fields the ledger set on a foreign-currency supplier entry
+  static fxDetails(entry) {
+    if (!entry.currency) return {};
+    return {
+      currency: entry.currency,
+      exchangeRate: entry.exchangeRate,
+      baseAmount: entry.baseAmount,
+      realisedFxGain: entry.realisedFxGain
+    };
+  }
+
   /**
    * Distribute a universal payment across pending orders using FIFO (First In, First Out)
    * 
@@ -645,6 +667,10 @@ static async getSupplierBalanceSummary(supplierId) {
    *    - Payment is exhausted, OR
    *    - All orders are fully paid
    * 3. If payment exceeds all order balances, create advance/credit entry
+   *
+   * For suppliers in a foreign currency the amount is in that currency. Each entry records
+   * the payment's rate (exchangeRate, or the dated rate when omitted), its base-currency
+   * value and the realised FX gain or loss against the rate of the order it settles.
    * 
    * @param {Object} params - Payment parameters
    * @returns {Object} Distribution result with affected orders
@@ -657,6 +683,7 @@ static async getSupplierBalanceSummary(supplierId) {
     description,
     date = getTransactionDate(),
     balanceBefore = null,
+    exchangeRate = null,
     session: externalSession = null
   }) {
     // Use external session if provided, otherwise create a new transaction
@@ -704,6 +731,7 @@ static async getSupplierBalanceSummary(supplierId) {
           credit: amount,
           paymentMethod,
           date,
+          ...(exchangeRate && { exchangeRate }),
           description: description || `Advance payment (credit to supplier account - no pending orders)`,
           createdBy,
           paymentDetails: {
@@ -732,7 +760,8 @@ static async getSupplierBalanceSummary(supplierId) {
             isAdvance: true,
             ledgerEntryId: advanceEntry._id,
             totalAmount: undefined, // Not applicable
-            totalPaid: undefined // Not applicable
+            totalPaid: undefined, // Not applicable
+            ...this.fxDetails(advanceEntry)
           }],
           remainingCredit: amount
         };
@@ -770,6 +799,7 @@ static async getSupplierBalanceSummary(supplierId) {
               credit: paymentForOrder,
               paymentMethod,
               date,
+              ...(exchangeRate && { exchangeRate }),
               description: description || `Distributed payment to ${order.orderNumber}`,
               createdBy,
               paymentDetails: {
@@ -788,7 +818,8 @@ static async getSupplierBalanceSummary(supplierId) {
               fullyPaid: newOrderRemaining === 0,
               ledgerEntryId: ledgerEntry._id,
               totalAmount: order.totalAmount,
-              totalPaid: order.totalPaid
+              totalPaid: order.totalPaid,
+              ...this.fxDetails(ledgerEntry)
             });
 
             remainingAmount -= paymentForOrder;
@@ -810,6 +841,7 @@ static async getSupplierBalanceSummary(supplierId) {
             credit: remainingAmount,
             paymentMethod,
             date,
+            ...(exchangeRate && { exchangeRate }),
             description: description || `Advance payment (credit to supplier account)`,
             createdBy,
             paymentDetails: {
@@ -829,7 +861,8 @@ static async getSupplierBalanceSummary(supplierId) {
             isAdvance: true,
             ledgerEntryId: advanceEntry._id,
             totalAmount: undefined, // Not applicable
-            totalPaid: undefined // Not applicable
+            totalPaid: undefined, // Not applicable
+            ...this.fxDetails(advanceEntry)
           });
         }
 
@@ -861,6 +894,11 @@ static async getSupplierBalanceSummary(supplierId) {
 
       result.receiptNumber = receipt.receiptNumber;
       result.receiptId = receipt._id;
+      if (receipt.currency) {
+        result.currency = receipt.currency;
+        result.baseAmount = receipt.baseAmount;
+        result.realisedFxGain = receipt.realisedFxGain;
+      }
 
       // Commit the transaction if we created our own session
       if (!useExternalSession) {
@@ -899,10 +937,11 @@ static async getSupplierBalanceSummary(supplierId) {
   static async getPendingSalesForBuyer(buyerId, session = null) {
     const Sale = require('../models/Sale');
     
-    // Find sales that are not fully paid
+    // Find sales that are not fully paid; undelivered cash-on-delivery orders are not owed yet
     const sales = await Sale.find({
       buyer: buyerId,
-      paymentStatus: { $in: ['pending', 'partial'] }
+      paymentStatus: { $in: ['pending', 'partial'] },
+      $nor: [{ isCashOnDelivery: true, deliveryStatus: { $ne: 'delivered' } }]
     })
       .sort({ saleDate: 1, saleNumber: 1 }) // Oldest first (FIFO) with tie-breaker
       .session(session)
@@ -180,10 +180,12 @@ const getProductCampaignPricing = ({ product, basePrice, campaigns = [], context
   };
 };
 
+// Automatic campaigns only; coupon campaigns (requiresCode) are applied by PromoCodeService
 const loadActiveCampaigns = async (at = nowUtc()) => {
   return Campaign.find({
     isActive: true,
     status: 'active',
+    requiresCode: { $ne: true },
     startAt: { $lte: at },
     endAt: { $gte: at },
   }).lean();
@@ -0,0 +1,459 @@
+/**
+ * CartService
+ *
+ * Server-side carts for the distributor portal. A cart belongs to a buyer, or to a
+ * guest identified by a random token until the guest logs in and the lines are merged
+ * into the buyer's cart.
+ *
+ * Prices are never stored as the truth: every view prices the lines again the same
+ * way checkout does (websitePricing for the base price, then the best active campaign
+ * from CampaignPricingService, or the buyer's price list when that is lower). Each line
+ * remembers the price and stock status the buyer last saw, so a view can flag what
+ * changed since.
+ */
+
+const crypto = require('crypto');
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const PacketStock = require('../models/PacketStock');
+const Inventory = require('../models/Inventory');
+const Settings = require('../models/Settings');
+const { getProductMinSellingPrice, getEffectivePacketSellingPrice, toMoney } = require('../utils/websitePricing');
+const { loadActiveCampaigns } = require('./CampaignPricingService');
+const PriceListService = require('./PriceListService');
+
+const buildServiceError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const sameLine = (line, data) => String(line.product) === String(data.productId || data.product)
+  && line.inventoryType === data.inventoryType
+  && (line.inventoryType === 'packet'
+    ? line.packetBarcode === data.packetBarcode
+    : line.variant?.size === data.variant?.size && line.variant?.color === data.variant?.color);
+
+const ownerFilter = (owner) => (owner.buyer ? { buyer: owner.buyer } : { guestToken: owner.guestToken });
+
+class CartService {
+  static generateGuestToken() {
+    return crypto.randomBytes(24).toString('hex');
+  }
+
+  /**
+   * @param {Object} owner - { buyer } or { guestToken }
+   * @returns {Promise<Object|null>} The cart, or null when there is none yet
+   */
+  static async findCart(owner) {
+    if (!owner.buyer && !owner.guestToken) return null;
+    return Cart.findOne(ownerFilter(owner));
+  }
+
+  static async getOrCreateCart(owner, userId) {
+    const cart = await this.findCart(owner);
+    if (cart) return cart;
+
+    return new Cart(owner.buyer
+      ? { buyer: owner.buyer, items: [], updatedBy: userId }
+      : { guestToken: owner.guestToken || this.generateGuestToken(), items: [] });
+  }
+
+  /**
+   * Load what pricing and stock checks need for a set of lines
+   * @param {Array} lines - [{ product, inventoryType, packetBarcode }]
+   * @param {string} [buyerId] - Buyer whose price list applies (none for guests)
+   */
+  static async loadContext(lines, buyerId) {
+    const productIds = [...new Set(lines.map(line => String(line.product)))];
+    const barcodes = [...new Set(lines.filter(line => line.packetBarcode).map(line => line.packetBarcode))];
+
+    const [products, packets, inventories, campaigns, settings, priceList] = await Promise.all([
+      Product.find({ _id: { $in: productIds } })
+        .select('_id name sku category brand season supplier images isActive pricing.minSellingPrice pricing.sellingPrice')
+        .lean(),
+      barcodes.length > 0
+        ? PacketStock.find({ barcode: { $in: barcodes }, isActive: true })
+          .populate('product', 'pricing.minSellingPrice pricing.sellingPrice')
+          .select('barcode product composition totalItemsPerPacket availablePackets reservedPackets suggestedSellingPrice')
+          .lean()
+        : Promise.resolve([]),
+      Inventory.find({ product: { $in: productIds } })
+        .select('product currentStock reorderLevel variantComposition')
+        .lean(),
+      loadActiveCampaigns(),
+      Settings.getSettings(),
+      buyerId ? PriceListService.getBuyerPriceList(buyerId) : Promise.resolve(null)
+    ]);
+
+    return {
+      products: new Map(products.map(product => [String(product._id), product])),
+      packets: new Map(packets.map(packet => [packet.barcode, packet])),
+      inventories: new Map(inventories.map(inventory => [String(inventory.product), inventory])),
+      campaigns,
+      priceList,
+      vatRate: settings.vat?.enabled ? settings.vat.rate : 0
+    };
+  }
+
+  /**
+   * Current price and stock of one line, priced the way checkout prices it
+   * @returns {Object} { product, packet, price, originalPrice, campaign, priceSource, availableStock, stockStatus }
+   */
+  static priceLine(line, context) {
+    const product = context.products.get(String(line.product));
+    if (!product || !product.isActive) {
+      return { product, price: null, originalPrice: null, campaign: null, priceSource: null, availableStock: 0, stockStatus: 'unavailable' };
+    }
+
+    const inventory = context.inventories.get(String(product._id));
+    let basePrice;
+    let availableStock;
+    let packet = null;
+
+    if (line.inventoryType === 'packet') {
+      packet = context.packets.get(line.packetBarcode);
+      if (!packet || String(packet.product?._id || packet.product) !== String(product._id)) {
+        return { product, price: null, originalPrice: null, campaign: null, priceSource: null, availableStock: 0, stockStatus: 'unavailable' };
+      }
+      basePrice = getEffectivePacketSellingPrice(packet, packet.product);
+      availableStock = packet.availablePackets - packet.reservedPackets;
+    } else {
+      basePrice = getProductMinSellingPrice(product);
+      // Same figure as Inventory#getVariantAvailableStock, which checkout reserves against
+      const variant = (inventory?.variantComposition || []).find(
+        entry => entry.size === line.variant?.size && entry.color === line.variant?.color
+      );
+      availableStock = variant ? variant.quantity - (variant.reservedQuantity || 0) : 0;
+    }
+
+    const pricing = PriceListService.getLinePricing({
+      product,
+      basePrice,
+      campaigns: context.campaigns,
+      context: {
+        inventory,
+        candidateProductIds: [product._id]
+      },
+      priceList: context.priceList,
+      quantity: line.quantity,
+      inventoryType: line.inventoryType,
+      itemsPerUnit: packet ? packet.totalItemsPerPacket : 1
+    });
+
+    let stockStatus = 'in_stock';
+    if (availableStock <= 0) stockStatus = 'out_of_stock';
+    else if (availableStock < line.quantity) stockStatus = 'insufficient';
+
+    return {
+      product,
+      packet,
+      price: pricing.effectivePrice,
+      originalPrice: pricing.originalPrice,
+      campaign: pricing.bestCampaign,
+      priceSource: pricing.priceSource,
+      availableStock: Math.max(0, availableStock),
+      stockStatus
+    };
+  }
+
+  /**
+   * Price the cart, flag price and stock changes since the buyer last looked, and
+   * (unless markViewed is false) remember the current figures as seen.
+   * @returns {Promise<Object>} Cart view with lines and summary
+   */
+  static async viewCart(owner, { markViewed = true } = {}) {
+    const cart = await this.findCart(owner);
+    if (!cart) {
+      return this.emptyView(owner);
+    }
+
+    const context = await this.loadContext(cart.items, cart.buyer);
+    const previousViewAt = cart.lastViewedAt || null;
+
+    const lines = cart.items.map(line => {
+      const current = this.priceLine(line, context);
+      const priceChange = line.lastSeenPrice !== undefined && line.lastSeenPrice !== null
+        && current.price !== null && Math.abs(line.lastSeenPrice - current.price) > 0.0001
+        ? { oldPrice: line.lastSeenPrice, newPrice: current.price }
+        : null;
+      const stockChange = line.lastSeenStockStatus && line.lastSeenStockStatus !== current.stockStatus
+        ? { oldStatus: line.lastSeenStockStatus, newStatus: current.stockStatus, availableStock: current.availableStock }
+        : null;
+
+      if (markViewed) {
+        if (current.price !== null) line.lastSeenPrice = current.price;
+        line.lastSeenStockStatus = current.stockStatus;
+      }
+
+      return {
+        _id: line._id,
+        product: current.product
+          ? {
+            _id: current.product._id,
+            name: current.product.name,
+            sku: current.product.sku,
+            category: current.product.category,
+            image: current.product.images?.[0] || null
+          }
+          : { _id: line.product },
+        inventoryType: line.inventoryType,
+        packetBarcode: line.packetBarcode,
+        packetInfo: current.packet
+          ? { composition: current.packet.composition, itemsPerPacket: current.packet.totalItemsPerPacket }
+          : undefined,
+        variant: line.inventoryType === 'loose' ? line.variant : undefined,
+        quantity: line.quantity,
+        price: current.price,
+        originalPrice: current.originalPrice,
+        campaign: current.campaign,
+        priceSource: current.priceSource,
+        lineTotal: current.price !== null ? toMoney(current.price * line.quantity) : 0,
+        availableStock: current.availableStock,
+        stockStatus: current.stockStatus,
+        priceChange,
+        stockChange,
+        addedAt: line.addedAt
+      };
+    });
+
+    if (markViewed) {
+      cart.lastViewedAt = new Date();
+      await cart.save();
+    }
+
+    // Only lines that can be checked out as they are count towards the totals
+    const payable = lines.filter(line => line.stockStatus === 'in_stock');
+    const subtotal = toMoney(payable.reduce((sum, line) => sum + line.lineTotal, 0));
+    const savingFrom = source => toMoney(payable
+      .filter(line => line.priceSource?.source === source)
+      .reduce((sum, line) => sum + (line.originalPrice - line.price) * line.quantity, 0));
+    const campaignDiscount = savingFrom('campaign');
+    const priceListDiscount = savingFrom('price_list');
+    const totalVAT = toMoney(subtotal * context.vatRate / 100);
+
+    return {
+      _id: cart._id,
+      guestToken: cart.guestToken,
+      items: lines,
+      previousViewAt,
+      checkoutInProgress: Boolean(cart.checkout?.sale),
+      summary: {
+        lineCount: lines.length,
+        totalQuantity: lines.reduce((sum, line) => sum + line.quantity, 0),
+        subtotal,
+        campaignDiscount,
+        priceListDiscount,
+        vatRate: context.vatRate,
+        totalVAT,
+        grandTotal: toMoney(subtotal + totalVAT),
+        priceChangesCount: lines.filter(line => line.priceChange).length,
+        stockChangesCount: lines.filter(line => line.stockChange).length,
+        unavailableCount: lines.length - payable.length,
+        canCheckout: payable.length > 0 && payable.length === lines.length
+      }
+    };
+  }
+
+  static emptyView(owner) {
+    return {
+      _id: null,
+      guestToken: owner.guestToken || undefined,
+      items: [],
+      previousViewAt: null,
+      checkoutInProgress: false,
+      summary: {
+        lineCount: 0,
+        totalQuantity: 0,
+        subtotal: 0,
+        campaignDiscount: 0,
+        priceListDiscount: 0,
+        vatRate: 0,
+        totalVAT: 0,
+        grandTotal: 0,
+        priceChangesCount: 0,
+        stockChangesCount: 0,
+        unavailableCount: 0,
+        canCheckout: false
+      }
+    };
+  }
+
+  // Price a line as the buyer sees it when adding or changing it, refusing what cannot be bought
+  static async checkLine(line, buyerId) {
+    const context = await this.loadContext([line], buyerId);
+    const current = this.priceLine(line, context);
+
+    if (current.stockStatus === 'unavailable') {
+      throw buildServiceError(line.inventoryType === 'packet'
+        ? 'Packet not available for this product'
+        : 'Product not found or inactive', 404);
+    }
+    if (current.availableStock < line.quantity) {
+      throw buildServiceError(current.availableStock > 0
+        ? `Only ${current.availableStock} available`
+        : 'Item is out of stock');
+    }
+    return current;
+  }
+
+  /**
+   * Add a line, or add to the quantity of the same product/packet/variant already in the cart
+   * @param {Object} owner - { buyer } or { guestToken }
+   * @param {Object} data - { productId, inventoryType, packetBarcode, variant, quantity }
+   */
+  static async addItem(owner, data, userId) {
+    const cart = await this.getOrCreateCart(owner, userId);
+    let line = cart.items.find(item => sameLine(item, data));
+
+    if (line) {
+      line.quantity += data.quantity;
+    } else {
+      cart.items.push({
+        product: data.productId,
+        inventoryType: data.inventoryType,
+        packetBarcode: data.inventoryType === 'packet' ? data.packetBarcode : undefined,
+        variant: data.inventoryType === 'loose' ? data.variant : undefined,
+        quantity: data.quantity
+      });
+      line = cart.items[cart.items.length - 1];
+    }
+
+    const current = await this.checkLine(line, owner.buyer);
+    line.lastSeenPrice = current.price;
+    line.lastSeenStockStatus = current.stockStatus;
+    cart.updatedBy = userId;
+    await cart.save();
+    return cart;
+  }
+
+  static async updateItem(owner, lineId, quantity, userId) {
+    const cart = await this.findCart(owner);
+    const line = cart?.items.id(lineId);
+    if (!line) throw buildServiceError('Cart item not found', 404);
+
+    line.quantity = quantity;
+    const current = await this.checkLine(line, owner.buyer);
+    line.lastSeenPrice = current.price;
+    line.lastSeenStockStatus = current.stockStatus;
+    cart.updatedBy = userId;
+    await cart.save();
+    return cart;
+  }
+
+  static async removeItem(owner, lineId, userId) {
+    const cart = await this.findCart(owner);
+    const line = cart?.items.id(lineId);
+    if (!line) throw buildServiceError('Cart item not found', 404);
+
+    line.deleteOne();
+    cart.updatedBy = userId;
+    await cart.save();
+    return cart;
+  }
+
+  static async clearCart(owner, userId) {
+    const cart = await this.findCart(owner);
+    if (!cart) return null;
+
+    cart.items = [];
+    cart.checkout = undefined;
+    cart.updatedBy = userId;
+    await cart.save();
+    return cart;
+  }
+
+  /**
+   * Move a guest cart into the buyer's cart after login. Lines already in the buyer's
+   * cart add up; the guest cart is deleted.
+   * @returns {Promise<Object>} { cart, mergedCount } (cart null when there was no guest cart)
+   */
+  static async mergeGuestCart(guestToken, buyerId, userId) {
+    const guestCart = guestToken ? await Cart.findOne({ guestToken }) : null;
+    if (!guestCart) return { cart: null, mergedCount: 0 };
+
+    const cart = await this.getOrCreateCart({ buyer: buyerId }, userId);
+    guestCart.items.forEach(guestLine => {
+      const line = cart.items.find(item => sameLine(item, guestLine));
+      if (line) {
+        line.quantity += guestLine.quantity;
+      } else {
+        cart.items.push({
+          product: guestLine.product,
+          inventoryType: guestLine.inventoryType,
+          packetBarcode: guestLine.packetBarcode,
+          variant: guestLine.variant,
+          quantity: guestLine.quantity,
+          lastSeenPrice: guestLine.lastSeenPrice,
+          lastSeenStockStatus: guestLine.lastSeenStockStatus,
+          addedAt: guestLine.addedAt
+        });
+      }
+    });
+
+    cart.updatedBy = userId;
+    await cart.save();
+    await guestCart.deleteOne();
+
+    return { cart, mergedCount: guestCart.items.length };
+  }
+
+  /**
+   * Checkout items (the shape POST /api/checkout/create-session takes) for a buyer's cart.
+   * Lines carry the price the buyer last saw, so checkout refuses with PRICE_CHANGED
+   * if it moved since.
+   */
+  static async getCheckoutItems(buyerId) {
+    const cart = await this.findCart({ buyer: buyerId });
+    if (!cart || cart.items.length === 0) {
+      throw buildServiceError('Your cart is empty');
+    }
+
+    const context = await this.loadContext(cart.items, buyerId);
+    const items = cart.items.map(line => {
+      const current = this.priceLine(line, context);
+      const item = {
+        id: String(line._id),
+        productId: String(line.product),
+        name: current.product?.name || String(line.product),
+        price: line.lastSeenPrice ?? current.price ?? 0,
+        quantity: line.quantity,
+        image: current.product?.images?.[0] || null,
+        sku: current.product?.sku,
+        inventoryType: line.inventoryType
+      };
+      if (line.inventoryType === 'packet') {
+        item.packetBarcode = line.packetBarcode;
+        if (current.packet) {
+          item.packetStockId = String(current.packet._id);
+          item.packetInfo = {
+            composition: current.packet.composition,
+            itemsPerPacket: current.packet.totalItemsPerPacket
+          };
+        }
+      } else {
+        item.variant = { size: line.variant.size, color: line.variant.color };
+        if (line.variant.sku) item.variant.sku = line.variant.sku;
+      }
+      return item;
+    });
+
+    return { cart, items };
+  }
+
+  // Remember which lines went into a Stripe checkout
+  static async startCheckout(cart, saleId) {
+    cart.checkout = { sale: saleId, lineIds: cart.items.map(line => line._id), startedAt: new Date() };
+    await cart.save();
+  }
+
+  // Take the lines of a paid checkout out of the cart; lines added meanwhile stay
+  static async completeCheckout(saleId) {
+    const cart = await Cart.findOne({ 'checkout.sale': saleId });
+    if (!cart) return null;
+
+    const paidLines = new Set(cart.checkout.lineIds.map(String));
+    cart.items = cart.items.filter(line => !paidLines.has(String(line._id)));
+    cart.checkout = undefined;
+    await cart.save();
+    return cart;
+  }
+}
+
+module.exports = CartService;
@@ -0,0 +1,507 @@
+/**
+ * CashOnDeliveryService
+ *
+ * Cash-on-delivery (COD) orders from the portal checkout, when
+ * Settings.payment.cashOnDeliveryEnabled is on. The order becomes a Sale with its stock
+ * reserved and payment pending, and goes to a driver who works the delivery city (the one
+ * with the fewest open COD orders), or waits for one to be assigned.
+ *
+ * Nothing reaches the ledger until delivery. Marking the sale delivered takes the
+ * reserved stock out, posts the sale, and records the cash the driver collected as a
+ * cash receipt (ledger receipt + customer Payment), just like POST /api/payments/customer.
+ * The cash stays with the driver until a CodSettlement hands it in; the settlement keeps
+ * any shortfall or excess as its variance.
+ *
+ * A buyer's codLimit caps the total of their undelivered COD orders (0 means no limit).
+ */
+
+const mongoose = require('mongoose');
+const Sale = require('../models/Sale');
+const Buyer = require('../models/Buyer');
+const Ledger = require('../models/Ledger');
+const Payment = require('../models/Payment');
+const Settings = require('../models/Settings');
+const CodSettlement = require('../models/CodSettlement');
+const DeliveryPersonnel = require('../models/DeliveryPersonnel');
+const BalanceService = require('./BalanceService');
+const PromoCodeService = require('./PromoCodeService');
+const { confirmStockDeduction, releaseReservedStock } = require('../utils/checkoutStock');
+const { toMoney } = require('../utils/websitePricing');
+
+const buildServiceError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const codLimitError = (limit, openTotal) => {
+  const available = Math.max(0, toMoney(limit - openTotal));
+  return Object.assign(
+    buildServiceError(`This order is over your cash-on-delivery limit. You can order up to ${available.toFixed(2)} more for cash on delivery.`),
+    { code: 'COD_LIMIT_EXCEEDED' }
+  );
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// COD orders placed but not yet delivered or cancelled
+const OPEN_ORDER_FILTER = {
+  isCashOnDelivery: true,
+  deliveryStatus: { $nin: ['delivered', 'cancelled', 'returned'] }
+};
+
+class CashOnDeliveryService {
+  static async isEnabled() {
+    const settings = await Settings.getSettings();
+    return Boolean(settings.payment?.cashOnDeliveryEnabled);
+  }
+
+  // Total of a buyer's undelivered COD orders
+  static async getOpenOrderTotal(buyerId) {
+    const [result] = await Sale.aggregate([
+      { $match: { ...OPEN_ORDER_FILTER, buyer: new mongoose.Types.ObjectId(String(buyerId)) } },
+      { $group: { _id: null, total: { $sum: '$grandTotal' } } }
+    ]);
+    return toMoney(result?.total || 0);
+  }
+
+  /**
+   * Refuse an order that would take the buyer's undelivered COD orders over their codLimit
+   * @throws 400 with code COD_LIMIT_EXCEEDED
+   */
+  static async checkCodLimit(buyer, orderTotal) {
+    const limit = buyer.codLimit || 0;
+    if (limit <= 0) return;
+
+    const openTotal = await this.getOpenOrderTotal(buyer._id);
+    if (openTotal + orderTotal > limit) {
+      throw codLimitError(limit, openTotal);
+    }
+  }
+
+  /**
+   * Check the codLimit again once the order is saved and counts towards the open total.
+   * checkCodLimit runs before the order exists, so simultaneous checkouts can all pass it;
+   * whichever of them see the limit exceeded here are cancelled, so together they never go over.
+   * @throws 400 with code COD_LIMIT_EXCEEDED, after cancelling the order
+   */
+  static async confirmCodLimit(buyer, sale) {
+    const limit = buyer.codLimit || 0;
+    if (limit <= 0) return;
+
+    const openTotal = await this.getOpenOrderTotal(buyer._id);
+    if (openTotal > limit) {
+      await this.cancelOrder(sale._id, 'Over the cash-on-delivery limit');
+      throw codLimitError(limit, openTotal - sale.grandTotal);
+    }
+  }
+
+  /**
+   * Active driver for a delivery area: the one with the fewest open COD orders
+   * @returns {Promise<Object|null>} Lean delivery personnel, or null when nobody works the area
+   */
+  static async findDeliveryPersonnel(area) {
+    if (!area) return null;
+
+    const candidates = await DeliveryPersonnel.find({
+      isActive: true,
+      workingAreas: { $regex: `^${escapeRegex(area.trim())}$`, $options: 'i' }
+    }).select('name employeeId phone').lean();
+    if (candidates.length === 0) return null;
+
+    const loads = await Sale.aggregate([
+      { $match: { ...OPEN_ORDER_FILTER, deliveryPersonnel: { $in: candidates.map(driver => driver._id) } } },
+      { $group: { _id: '$deliveryPersonnel', count: { $sum: 1 } } }
+    ]);
+    const loadMap = new Map(loads.map(load => [String(load._id), load.count]));
+
+    return candidates.sort((a, b) => (loadMap.get(String(a._id)) || 0) - (loadMap.get(String(b._id)) || 0))[0];
+  }
+
+  /**
+   * Give an open COD order to a driver
+   * @returns {Promise<Object>} { sale, old } - old is the previous driver
+   */
+  static async assignDeliveryPersonnel(saleId, deliveryPersonnelId) {
+    const sale = await Sale.findById(saleId);
+    if (!sale || !sale.isCashOnDelivery) throw buildServiceError('Cash-on-delivery order not found', 404);
+    if (['delivered', 'cancelled', 'returned'].includes(sale.deliveryStatus)) {
+      throw buildServiceError(`Cannot assign a ${sale.deliveryStatus} order`);
+    }
+
+    const driver = await DeliveryPersonnel.findOne({ _id: deliveryPersonnelId, isActive: true }).select('_id').lean();
+    if (!driver) throw buildServiceError('Delivery personnel not found or inactive', 404);
+
+    const old = sale.deliveryPersonnel;
+    sale.deliveryPersonnel = driver._id;
+    await sale.save();
+    return { sale, old };
+  }
+
+  /**
+   * Deliver a COD order: take its reserved stock out, post the sale to the ledger and
+   * record the cash collected as a cash receipt held by the driver
+   * @param {Object} sale - Sale document
+   * @param {Object} options - { collectedAmount (default: the amount due), deliveryPersonnel }
+   * @returns {Promise<Object>} { sale, payment } (payment is null when nothing was collected)
+   */
+  static async recordDelivery(sale, { collectedAmount, deliveryPersonnel } = {}, userId) {
+    if (!sale.isCashOnDelivery) throw buildServiceError('Not a cash-on-delivery order');
+    if (sale.deliveryStatus === 'delivered') throw buildServiceError('Sale already marked as delivered');
+    if (['cancelled', 'returned'].includes(sale.deliveryStatus)) {
+      throw buildServiceError(`Cannot deliver a ${sale.deliveryStatus} order`);
+    }
+
+    const amountDue = toMoney(sale.grandTotal - (sale.cashPayment || 0) - (sale.bankPayment || 0));
+    const collected = toMoney(collectedAmount ?? amountDue);
+    if (collected < 0 || collected > amountDue) {
+      throw buildServiceError(`Collected amount must be between 0 and the amount due (${amountDue.toFixed(2)})`);
+    }
+
+    const driverId = deliveryPersonnel || sale.deliveryPersonnel;
+    if (collected > 0 && !driverId) {
+      throw buildServiceError('Assign the driver who collected the cash');
+    }
+    if (deliveryPersonnel && !(await DeliveryPersonnel.exists({ _id: deliveryPersonnel }))) {
+      throw buildServiceError('Delivery personnel not found', 404);
+    }
+
+    const paymentDate = new Date();
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    let payment = null;
+    try {
+      // Claim the delivery first, so a second delivery of the same order waits on or fails this one
+      const claimed = await Sale.findOneAndUpdate(
+        { _id: sale._id, isCashOnDelivery: true, deliveryStatus: { $nin: ['delivered', 'cancelled', 'returned'] } },
+        { $set: { deliveryStatus: 'delivered', deliveryDate: paymentDate } },
+        { session }
+      ).select('_id').lean();
+      if (!claimed) throw buildServiceError('Sale already marked as delivered', 409);
+
+      if (sale.stockReserved) {
+        sale.stockReserved = false;
+        const stockResult = await confirmStockDeduction(sale, userId, session);
+        if (!stockResult.success) {
+          throw buildServiceError(`Could not take the order out of stock: ${stockResult.error}`, 409);
+        }
+      }
+
+      const salePosted = await Ledger.exists({ referenceId: sale._id, referenceModel: 'Sale', transactionType: 'sale' }).session(session);
+      const balanceBefore = await BalanceService.getBuyerBalance(sale.buyer) + (salePosted ? 0 : sale.grandTotal);
+
+      if (!salePosted) {
+        await Ledger.createEntry({
+          type: 'buyer',
+          entityId: sale.buyer,
+          entityModel: 'Buyer',
+          transactionType: 'sale',
+          referenceId: sale._id,
+          referenceModel: 'Sale',
+          debit: sale.grandTotal,
+          credit: 0,
+          date: paymentDate,
+          description: `Online Sale ${sale.saleNumber} (cash on delivery)`,
+          createdBy: userId
+        }, session);
+      }
+
+      if (collected > 0) {
+        const paymentNumber = await Payment.getNextPaymentNumber(session);
+        const remaining = toMoney(amountDue - collected);
+
+        const receiptEntry = await Ledger.createEntry({
+          type: 'buyer',
+          entityId: sale.buyer,
+          entityModel: 'Buyer',
+          transactionType: 'receipt',
+          referenceId: sale._id,
+          referenceModel: 'Sale',
+          debit: 0,
+          credit: collected,
+          paymentMethod: 'cash',
+          date: paymentDate,
+          description: `Payment ${paymentNumber} - ${sale.saleNumber} (cash on delivery)`,
+          createdBy: userId,
+          paymentDetails: {
+            cashPayment: collected,
+            bankPayment: 0,
+            remainingBalance: remaining
+          }
+        }, session);
+
+        payment = new Payment({
+          paymentNumber,
+          paymentType: 'customer',
+          paymentDirection: 'credit',
+          customerId: sale.buyer,
+          totalAmount: collected,
+          cashAmount: collected,
+          bankAmount: 0,
+          paymentMethod: 'cash',
+          paymentDate,
+          description: `Cash on delivery for ${sale.saleNumber}`,
+          distributions: [{
+            saleId: sale._id,
+            saleNumber: sale.saleNumber,
+            amountApplied: collected,
+            previousBalance: amountDue,
+            newBalance: remaining,
+            ledgerEntryId: receiptEntry._id,
+            isAdvance: false
+          }],
+          advanceAmount: 0,
+          balanceBefore,
+          balanceAfter: balanceBefore - collected,
+          status: 'active',
+          createdBy: userId
+        });
+        await payment.save({ session });
+
+        sale.cashPayment = toMoney((sale.cashPayment || 0) + collected);
+        sale.paymentReferences.push({
+          paymentNumber,
+          paymentId: payment._id,
+          amountApplied: collected,
+          paymentMethod: 'cash',
+          date: paymentDate
+        });
+        sale.codCollection = {
+          amount: collected,
+          collectedAt: paymentDate,
+          collectedBy: driverId,
+          recordedBy: userId,
+          payment: payment._id,
+          status: 'with_driver'
+        };
+      }
+
+      const totalPaid = (sale.cashPayment || 0) + (sale.bankPayment || 0);
+      sale.paymentStatus = totalPaid >= sale.grandTotal ? 'paid' : totalPaid > 0 ? 'partial' : 'pending';
+      sale.deliveryPersonnel = driverId || sale.deliveryPersonnel;
+      sale.deliveryStatus = 'delivered';
+      sale.deliveryDate = paymentDate;
+      await sale.save({ session });
+
+      if (!salePosted) {
+        await Buyer.findByIdAndUpdate(sale.buyer, { $inc: { totalSales: sale.grandTotal } }, { session });
+      }
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      // A delivery of the same order committing at the same time
+      if (error.hasErrorLabel?.('TransientTransactionError')) {
+        throw buildServiceError('Sale already marked as delivered', 409);
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    // Keep the deprecated Buyer.currentBalance in step with the ledger
+    try {
+      const ledgerBalance = await Ledger.getBalance('buyer', sale.buyer);
+      await Buyer.findByIdAndUpdate(sale.buyer, { currentBalance: ledgerBalance });
+    } catch (balanceError) {
+      console.error('Error syncing buyer balance from ledger:', balanceError);
+    }
+
+    if (sale.promotion?.promoCode) {
+      await PromoCodeService.confirmRedemption(sale._id)
+        .catch((promoError) => console.error('Error confirming promo code use:', promoError));
+    }
+    if (sale.deliveryPersonnel) {
+      await DeliveryPersonnel.updateOne(
+        { _id: sale.deliveryPersonnel },
+        { $inc: { totalDeliveries: 1, successfulDeliveries: 1 } }
+      );
+    }
+
+    return { sale, payment };
+  }
+
+  /**
+   * Cancel an undelivered COD order (refused at the door, or called off): its stock and
+   * promo code use are given back. Nothing was posted to the ledger yet.
+   */
+  static async cancelOrder(saleId, reason) {
+    const sale = await Sale.findById(saleId);
+    if (!sale || !sale.isCashOnDelivery) throw buildServiceError('Cash-on-delivery order not found', 404);
+    if (['delivered', 'cancelled', 'returned'].includes(sale.deliveryStatus)) {
+      throw buildServiceError(`Cannot cancel a ${sale.deliveryStatus} order`);
+    }
+
+    if (sale.stockReserved) {
+      const releaseResult = await releaseReservedStock(sale);
+      if (!releaseResult.success) {
+        throw buildServiceError(`Could not release the reserved stock: ${releaseResult.error}`, 409);
+      }
+    }
+    if (sale.promotion?.promoCode) {
+      await PromoCodeService.releaseRedemption(sale._id);
+    }
+
+    const oldStatus = sale.deliveryStatus;
+    sale.stockReserved = false;
+    sale.deliveryStatus = 'cancelled';
+    sale.paymentStatus = 'failed';
+    if (reason) {
+      sale.notes = [sale.notes, `COD cancelled: ${reason}`].filter(Boolean).join('\n');
+    }
+    await sale.save();
+
+    if (sale.deliveryPersonnel) {
+      await DeliveryPersonnel.updateOne({ _id: sale.deliveryPersonnel }, { $inc: { totalDeliveries: 1 } });
+    }
+
+    return { sale, oldStatus };
+  }
+
+  /**
+   * Cash collected on COD deliveries, per driver
+   * @param {Object} filters - { deliveryPersonnel, status: 'with_driver'|'settled', startDate, endDate }
+   * @returns {Promise<Object>} { drivers: [{ deliveryPersonnel, collected, salesCount, sales }], total }
+   */
+  static async getDriverCollections({ deliveryPersonnel, status = 'with_driver', startDate, endDate } = {}) {
+    const filter = { isCashOnDelivery: true, 'codCollection.amount': { $gt: 0 } };
+    if (status) filter['codCollection.status'] = status;
+    if (deliveryPersonnel) filter['codCollection.collectedBy'] = deliveryPersonnel;
+    if (startDate || endDate) {
+      filter['codCollection.collectedAt'] = {};
+      if (startDate) filter['codCollection.collectedAt'].$gte = new Date(startDate);
+      if (endDate) filter['codCollection.collectedAt'].$lte = new Date(endDate);
+    }
+
+    const sales = await Sale.find(filter)
+      .select('saleNumber buyer grandTotal deliveryDate codCollection')
+      .populate('buyer', 'name company')
+      .populate('codCollection.collectedBy', 'name employeeId phone')
+      .sort({ 'codCollection.collectedAt': 1 })
+      .lean();
+
+    const drivers = new Map();
+    for (const sale of sales) {
+      const driver = sale.codCollection.collectedBy;
+      const key = String(driver?._id || driver);
+      if (!drivers.has(key)) {
+        drivers.set(key, { deliveryPersonnel: driver, collected: 0, salesCount: 0, sales: [] });
+      }
+      const entry = drivers.get(key);
+      entry.collected = toMoney(entry.collected + sale.codCollection.amount);
+      entry.salesCount += 1;
+      entry.sales.push({
+        _id: sale._id,
+        saleNumber: sale.saleNumber,
+        buyer: sale.buyer,
+        grandTotal: sale.grandTotal,
+        amount: sale.codCollection.amount,
+        collectedAt: sale.codCollection.collectedAt,
+        status: sale.codCollection.status,
+        settlement: sale.codCollection.settlement
+      });
+    }
+
+    const result = [...drivers.values()];
+    return {
+      drivers: result,
+      total: toMoney(result.reduce((sum, driver) => sum + driver.collected, 0))
+    };
+  }
+
+  /**
+   * A driver hands in the cash for some of their collected COD sales
+   * @param {Object} data - { deliveryPersonnel, sales: [saleId], receivedAmount, notes }
+   * @throws 409 when one of the sales has been settled already
+   */
+  static async settleCollections({ deliveryPersonnel, sales: saleIds, receivedAmount, notes }, userId) {
+    const driver = await DeliveryPersonnel.findById(deliveryPersonnel).select('_id name').lean();
+    if (!driver) throw buildServiceError('Delivery personnel not found', 404);
+
+    const uniqueIds = [...new Set(saleIds.map(String))];
+    const sales = await Sale.find({
+      _id: { $in: uniqueIds },
+      isCashOnDelivery: true,
+      'codCollection.collectedBy': driver._id,
+      'codCollection.status': 'with_driver'
+    }).select('saleNumber codCollection').lean();
+    if (sales.length !== uniqueIds.length) {
+      const settled = await Sale.find({ _id: { $in: uniqueIds }, 'codCollection.status': 'settled' }).select('saleNumber').lean();
+      if (settled.length) {
+        throw buildServiceError(`Already settled: ${settled.map(sale => sale.saleNumber).join(', ')}`, 409);
+      }
+      throw buildServiceError('One or more sales are not unsettled cash collections of this driver');
+    }
+
+    const expectedAmount = toMoney(sales.reduce((sum, sale) => sum + sale.codCollection.amount, 0));
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const settlementNumber = await CodSettlement.getNextSettlementNumber(session);
+      const [settlement] = await CodSettlement.create([{
+        settlementNumber,
+        deliveryPersonnel: driver._id,
+        sales: sales.map(sale => ({ sale: sale._id, saleNumber: sale.saleNumber, amount: sale.codCollection.amount })),
+        expectedAmount,
+        receivedAmount: toMoney(receivedAmount),
+        variance: toMoney(receivedAmount - expectedAmount),
+        notes,
+        createdBy: userId
+      }], { session });
+
+      // Only sales still with the driver, so a sale cannot be settled twice
+      const updated = await Sale.updateMany(
+        { _id: { $in: uniqueIds }, 'codCollection.status': 'with_driver' },
+        { $set: { 'codCollection.status': 'settled', 'codCollection.settlement': settlement._id } },
+        { session }
+      );
+      if (updated.modifiedCount !== uniqueIds.length) {
+        throw buildServiceError('Some of these sales were settled meanwhile; reload and try again', 409);
+      }
+
+      await session.commitTransaction();
+      return { settlement, driver };
+    } catch (error) {
+      await session.abortTransaction();
+      // A settlement of the same sales committing at the same time
+      if (error.hasErrorLabel?.('TransientTransactionError')) {
+        throw buildServiceError('Some of these sales were settled meanwhile; reload and try again', 409);
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  static async listSettlements({ deliveryPersonnel, startDate, endDate, page = 1, limit = 20 } = {}) {
+    const filter = {};
+    if (deliveryPersonnel) filter.deliveryPersonnel = deliveryPersonnel;
+    if (startDate || endDate) {
+      filter.settledAt = {};
+      if (startDate) filter.settledAt.$gte = new Date(startDate);
+      if (endDate) filter.settledAt.$lte = new Date(endDate);
+    }
+
+    const [settlements, total] = await Promise.all([
+      CodSettlement.find(filter)
+        .populate('deliveryPersonnel', 'name employeeId')
+        .populate('createdBy', 'name')
+        .sort({ settledAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      CodSettlement.countDocuments(filter)
+    ]);
+
+    return { settlements, total };
+  }
+
+  static async getSettlement(id) {
+    const settlement = await CodSettlement.findById(id)
+      .populate('deliveryPersonnel', 'name employeeId phone')
+      .populate('createdBy', 'name')
+      .lean();
+    if (!settlement) throw buildServiceError('Settlement not found', 404);
+    return settlement;
+  }
+}
+
+module.exports = CashOnDeliveryService;
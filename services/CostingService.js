@@ -0,0 +1,351 @@
+/**
+ * CostingService
+ *
+ * Cost of goods sold per sale line. When stock leaves for a sale, the units
+ * are taken from the inventory's purchase batches oldest first and the sale
+ * line gets a cost snapshot. The cost in the snapshot depends on the costing
+ * method in Settings (costing.method):
+ *   - fifo: the landed cost of the batches the units were taken from
+ *   - weighted_average: the inventory's averageCostPrice at the time of sale
+ *
+ * Batches are consumed with either method so that remainingQuantity keeps
+ * matching what is still on hand. Units with no batch left (stock received
+ * before batch tracking) are costed at averageCostPrice.
+ *
+ * A sale return puts the units back into the batches they were taken from,
+ * newest first, and takes the matching cost off the line. Deleting a sale, or
+ * releasing the stock of a cancelled one, puts back what is still out.
+ */
+
+const Inventory = require('../models/Inventory');
+const Sale = require('../models/Sale');
+const SaleReturn = require('../models/SaleReturn');
+const Settings = require('../models/Settings');
+
+const COSTING_METHODS = ['fifo', 'weighted_average'];
+const DEFAULT_COSTING_METHOD = 'fifo';
+const MARGIN_GROUPS = ['sale', 'product', 'buyer', 'month'];
+
+const buildServiceError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const batchUnitCost = (batch) => batch.landedPrice || batch.costPrice || 0;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Units of inventory a sale return puts back (whole-packet returns are counted in packets)
+const getReturnedUnits = (returnItem, saleItem) => {
+  const isPartial = returnItem.isPartialReturn || returnItem.returnComposition?.length > 0;
+  if (!isPartial && saleItem?.isPacketSale && saleItem?.totalItemsPerPacket) {
+    return returnItem.returnedQuantity * saleItem.totalItemsPerPacket;
+  }
+  return returnItem.returnedQuantity;
+};
+
+class CostingService {
+  static async getCostingMethod() {
+    const settings = await Settings.getSettings();
+    const method = settings.costing?.method;
+    return COSTING_METHODS.includes(method) ? method : DEFAULT_COSTING_METHOD;
+  }
+
+  /**
+   * Take units out of the inventory's purchase batches and build the cost
+   * snapshot for a sale line. Only changes the inventory in memory; the
+   * caller saves it together with its stock deduction.
+   * @param {Object} inventory - Inventory document
+   * @param {number} units - Units (items) leaving stock
+   * @param {string} method - 'fifo' or 'weighted_average'
+   * @param {Object} [options] - { consume: false to cost without taking units out of the batches }
+   * @returns {Object} Cost snapshot for Sale.items[].costSnapshot
+   */
+  static takeSaleCost(inventory, units, method, { consume = true } = {}) {
+    const averageCost = inventory.averageCostPrice || 0;
+    const batches = [];
+    let remaining = units;
+
+    if (consume && inventory.purchaseBatches?.length) {
+      const openBatches = inventory.purchaseBatches
+        .filter(batch => batch.remainingQuantity > 0)
+        .sort((a, b) => new Date(a.purchaseDate) - new Date(b.purchaseDate));
+
+      for (const batch of openBatches) {
+        if (remaining <= 0) break;
+
+        const quantity = Math.min(batch.remainingQuantity, remaining);
+        batch.remainingQuantity -= quantity;
+        remaining -= quantity;
+
+        batches.push({
+          batchId: batch._id,
+          dispatchOrderId: batch.dispatchOrderId,
+          supplierId: batch.supplierId,
+          purchaseDate: batch.purchaseDate,
+          quantity,
+          unitCost: batchUnitCost(batch)
+        });
+      }
+
+      inventory.markModified('purchaseBatches');
+      inventory.recalculateAverageCost();
+    }
+
+    const fifoCost = batches.reduce((sum, batch) => sum + batch.quantity * batch.unitCost, 0)
+      + remaining * averageCost;
+    const totalCost = method === 'weighted_average' ? units * averageCost : fifoCost;
+
+    return {
+      method,
+      unitCost: units > 0 ? totalCost / units : 0,
+      totalCost: round(totalCost),
+      batches,
+      unbatchedQuantity: remaining,
+      unbatchedUnitCost: averageCost,
+      returnedQuantity: 0,
+      returnedCost: 0,
+      costedAt: new Date()
+    };
+  }
+
+  /**
+   * Put units of a sale line back into the batches they were taken from and
+   * record the reversed cost on the line's snapshot. Only changes the
+   * inventory and the sale line in memory.
+   * @param {Object} inventory - Inventory document
+   * @param {Object} saleItem - Sale line with a costSnapshot
+   * @param {number} units - Units (items) coming back
+   * @param {string} [notes] - Notes for a batch that has to be recreated
+   * @returns {Object|null} { quantity, cost } or null when the line has no snapshot
+   */
+  static reverseSaleCost(inventory, saleItem, units, notes = '') {
+    const snapshot = saleItem?.costSnapshot;
+    if (!snapshot || !snapshot.method) {
+      return null;
+    }
+
+    const batchedReturned = snapshot.batches.reduce((sum, batch) => sum + (batch.returnedQuantity || 0), 0);
+    const unbatchedLeft = Math.max(0, snapshot.unbatchedQuantity - ((snapshot.returnedQuantity || 0) - batchedReturned));
+
+    // Units taken last go back first: the unbatched units, then the batches newest to oldest
+    let remaining = units;
+    const fromUnbatched = Math.min(remaining, unbatchedLeft);
+    let fifoCost = fromUnbatched * snapshot.unbatchedUnitCost;
+    remaining -= fromUnbatched;
+
+    for (const entry of [...snapshot.batches].reverse()) {
+      if (remaining <= 0) break;
+
+      const quantity = Math.min(remaining, entry.quantity - (entry.returnedQuantity || 0));
+      if (quantity <= 0) continue;
+
+      const batch = entry.batchId ? inventory.purchaseBatches.id(entry.batchId) : null;
+      if (batch) {
+        batch.remainingQuantity += quantity;
+      } else {
+        // The batch was removed since the sale (e.g. supplier deleted); recreate it at the sold cost
+        inventory.purchaseBatches.push({
+          dispatchOrderId: entry.dispatchOrderId,
+          supplierId: entry.supplierId,
+          purchaseDate: entry.purchaseDate || new Date(),
+          quantity,
+          remainingQuantity: quantity,
+          costPrice: entry.unitCost,
+          landedPrice: entry.unitCost,
+          notes: `Return batch - ${notes}`
+        });
+      }
+
+      entry.returnedQuantity = (entry.returnedQuantity || 0) + quantity;
+      fifoCost += quantity * entry.unitCost;
+      remaining -= quantity;
+    }
+
+    const quantity = units - remaining;
+    const cost = round(snapshot.method === 'weighted_average' ? quantity * snapshot.unitCost : fifoCost);
+
+    snapshot.returnedQuantity = (snapshot.returnedQuantity || 0) + quantity;
+    snapshot.returnedCost = round((snapshot.returnedCost || 0) + cost);
+
+    inventory.markModified('purchaseBatches');
+    inventory.recalculateAverageCost();
+
+    return { quantity, cost };
+  }
+
+  /**
+   * Gross margin of sales in a period, net of approved sale returns.
+   * Returns count against the period and group of their original sale.
+   * Lines sold before cost snapshots existed are costed at the current
+   * averageCostPrice (or the product cost price) and counted as estimated.
+   * @param {Object} filters - { startDate, endDate, groupBy, buyer, product }
+   * @returns {Promise<Object>} { groupBy, rows, summary }
+   */
+  static async getGrossMargin({ startDate, endDate, groupBy = 'sale', buyer, product } = {}) {
+    if (!MARGIN_GROUPS.includes(groupBy)) {
+      throw buildServiceError(`groupBy must be one of: ${MARGIN_GROUPS.join(', ')}`);
+    }
+
+    const match = {
+      deliveryStatus: { $ne: 'cancelled' },
+      // Online orders only leave stock once paid
+      paymentStatus: { $nin: ['awaiting_payment', 'failed'] }
+    };
+    if (startDate || endDate) {
+      match.saleDate = {};
+      if (startDate) match.saleDate.$gte = new Date(startDate);
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        match.saleDate.$lte = end;
+      }
+    }
+    if (buyer) match.buyer = buyer;
+    if (product) match['items.product'] = product;
+
+    const sales = await Sale.find(match)
+      .select('saleNumber saleDate buyer manualCustomer items subtotal totalDiscount')
+      .populate('buyer', 'name company')
+      .populate('items.product', 'name productCode sku pricing.costPrice')
+      .sort({ saleDate: 1 })
+      .lean();
+
+    const returns = await SaleReturn.find({ sale: { $in: sales.map(sale => sale._id) }, status: 'approved' })
+      .select('sale items')
+      .lean();
+    const returnsBySale = new Map();
+    returns.forEach(saleReturn => {
+      const key = saleReturn.sale.toString();
+      if (!returnsBySale.has(key)) returnsBySale.set(key, []);
+      returnsBySale.get(key).push(saleReturn);
+    });
+
+    // Current average cost for lines without a snapshot
+    const unCostedProducts = new Set();
+    sales.forEach(sale => sale.items.forEach(item => {
+      if (!item.costSnapshot && item.product) unCostedProducts.add(item.product._id.toString());
+    }));
+    const inventories = unCostedProducts.size > 0
+      ? await Inventory.find({ product: { $in: [...unCostedProducts] } }).select('product averageCostPrice').lean()
+      : [];
+    const averageCostByProduct = new Map(inventories.map(inv => [inv.product.toString(), inv.averageCostPrice || 0]));
+    const estimateUnitCost = (item) => {
+      if (!item.product) return 0;
+      return averageCostByProduct.get(item.product._id.toString()) || item.product.pricing?.costPrice || 0;
+    };
+
+    const groups = new Map();
+    const getGroup = (sale, item) => {
+      let key;
+      let label;
+      if (groupBy === 'sale') {
+        key = sale._id.toString();
+        label = sale.saleNumber;
+      } else if (groupBy === 'product') {
+        key = item.product?._id?.toString() || 'unknown';
+        label = item.product ? `${item.product.productCode || item.product.sku || ''} ${item.product.name}`.trim() : 'Unknown product';
+      } else if (groupBy === 'buyer') {
+        key = sale.buyer?._id?.toString() || `manual:${sale.manualCustomer?.name || ''}`;
+        label = sale.buyer?.name || sale.buyer?.company || sale.manualCustomer?.name || 'Walk-in';
+      } else {
+        key = new Date(sale.saleDate).toISOString().slice(0, 7);
+        label = key;
+      }
+
+      if (!groups.has(key)) {
+        const group = {
+          key,
+          label,
+          quantity: 0,
+          revenue: 0,
+          cost: 0,
+          returnedQuantity: 0,
+          returnedRevenue: 0,
+          returnedCost: 0,
+          lines: 0,
+          estimatedLines: 0
+        };
+        if (groupBy === 'sale') {
+          group.saleDate = sale.saleDate;
+          group.buyer = sale.buyer?.name || sale.manualCustomer?.name || 'Walk-in';
+        }
+        groups.set(key, group);
+      }
+      return groups.get(key);
+    };
+
+    for (const sale of sales) {
+      // Sale-level discount is spread over the lines by their value
+      const discountFactor = sale.subtotal > 0 ? Math.max(0, 1 - (sale.totalDiscount || 0) / sale.subtotal) : 1;
+      const saleReturns = returnsBySale.get(sale._id.toString()) || [];
+
+      sale.items.forEach((item, index) => {
+        if (product && item.product?._id?.toString() !== product.toString()) return;
+
+        const group = getGroup(sale, item);
+        const lineRevenue = ((item.quantity * item.unitPrice) - (item.discount || 0)) * discountFactor;
+        const unitCost = item.costSnapshot ? item.costSnapshot.unitCost : estimateUnitCost(item);
+
+        group.quantity += item.quantity;
+        group.revenue += lineRevenue;
+        group.cost += item.costSnapshot ? item.costSnapshot.totalCost : item.quantity * unitCost;
+        group.lines += 1;
+        if (!item.costSnapshot) group.estimatedLines += 1;
+
+        saleReturns.forEach(saleReturn => saleReturn.items
+          .filter(returnItem => returnItem.itemIndex === index)
+          .forEach(returnItem => {
+            const units = getReturnedUnits(returnItem, item);
+            group.returnedQuantity += units;
+            group.returnedRevenue += units * returnItem.unitPrice;
+            group.returnedCost += item.costSnapshot ? (returnItem.costOfGoods || 0) : units * unitCost;
+          }));
+      });
+    }
+
+    const summary = {
+      quantity: 0,
+      revenue: 0,
+      cost: 0,
+      returnedQuantity: 0,
+      returnedRevenue: 0,
+      returnedCost: 0,
+      lines: 0,
+      estimatedLines: 0
+    };
+
+    const rows = [...groups.values()].map(group => {
+      Object.keys(summary).forEach(field => { summary[field] += group[field]; });
+      return CostingService.withMargin(group);
+    });
+
+    if (groupBy !== 'sale' && groupBy !== 'month') {
+      rows.sort((a, b) => b.grossMargin - a.grossMargin);
+    }
+
+    return {
+      groupBy,
+      costingMethod: await CostingService.getCostingMethod(),
+      rows,
+      summary: CostingService.withMargin(summary)
+    };
+  }
+
+  static withMargin(group) {
+    const netRevenue = group.revenue - group.returnedRevenue;
+    const netCost = group.cost - group.returnedCost;
+    const grossMargin = netRevenue - netCost;
+
+    return {
+      ...group,
+      revenue: round(group.revenue),
+      cost: round(group.cost),
+      returnedRevenue: round(group.returnedRevenue),
+      returnedCost: round(group.returnedCost),
+      netRevenue: round(netRevenue),
+      netCost: round(netCost),
+      grossMargin: round(grossMargin),
+      marginPercent: netRevenue > 0 ? round((grossMargin / netRevenue) * 100) : 0
+    };
+  }
+}
+
+module.exports = CostingService;
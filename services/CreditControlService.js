@@ -0,0 +1,354 @@
+/**
+ * CreditControlService
+ *
+ * Credit limits and dunning for buyers.
+ *
+ * The part of a sale that is not paid at sale time is checked against the
+ * buyer's creditLimit, together with the buyer's ledger balance. What happens
+ * when the limit would be exceeded depends on the buyer's creditLimitMode, or
+ * Settings.creditControl.mode when the buyer has none:
+ *   - warn: the sale goes through and the response carries a warning
+ *   - block: the sale is refused
+ *   - approval: the sale is submitted as an EditRequest for super-admin approval
+ * A creditLimit of 0 means that no limit is set.
+ *
+ * Unpaid sales fall due after the buyer's payment terms (cash: on the sale
+ * date, netN: N days later). Overdue buyers get reminder statements by email;
+ * the reminder level rises with the age of the oldest overdue sale.
+ */
+
+const Buyer = require('../models/Buyer');
+const PaymentReminder = require('../models/PaymentReminder');
+const Sale = require('../models/Sale');
+const Settings = require('../models/Settings');
+const BalanceService = require('./BalanceService');
+const { sendMail, escapeHtml } = require('../utils/mailer');
+
+const CREDIT_MODES = ['warn', 'block', 'approval'];
+const DEFAULT_CREDIT_MODE = 'warn';
+
+const PAYMENT_TERM_DAYS = {
+  cash: 0,
+  net15: 15,
+  net30: 30,
+  net45: 45,
+  net60: 60
+};
+
+const OVERDUE_BUCKETS = [
+  { key: '1-30', min: 1, max: 30 },
+  { key: '31-60', min: 31, max: 60 },
+  { key: '61-90', min: 61, max: 90 },
+  { key: '90+', min: 91, max: Infinity }
+];
+
+// Oldest overdue sale (days) from which each reminder level is sent
+const REMINDER_LEVELS = [
+  { level: 3, minDaysOverdue: 60, subject: 'Final notice: overdue account' },
+  { level: 2, minDaysOverdue: 30, subject: 'Second reminder: overdue account' },
+  { level: 1, minDaysOverdue: 1, subject: 'Payment reminder' }
+];
+
+const REMINDER_INTERVAL_DAYS = parseInt(process.env.PAYMENT_REMINDER_INTERVAL_DAYS, 10) || 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const buildServiceError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const formatDate = (date) => new Date(date).toISOString().split('T')[0];
+
+class CreditControlService {
+  static getDueDate(saleDate, paymentTerms) {
+    const dueDate = startOfDay(saleDate);
+    dueDate.setDate(dueDate.getDate() + (PAYMENT_TERM_DAYS[paymentTerms] || 0));
+    return dueDate;
+  }
+
+  static async getCreditMode(buyer) {
+    if (CREDIT_MODES.includes(buyer.creditLimitMode)) {
+      return buyer.creditLimitMode;
+    }
+    const settings = await Settings.getSettings();
+    const mode = settings.creditControl?.mode;
+    return CREDIT_MODES.includes(mode) ? mode : DEFAULT_CREDIT_MODE;
+  }
+
+  /**
+   * Check new credit for a buyer against the credit limit
+   * @param {Object|string} buyerOrId - Buyer document or id
+   * @param {number} amount - Amount the buyer will owe from the new sale
+   * @returns {Promise<Object>} { mode, creditLimit, balance, exposure, available, exceeded }
+   */
+  static async checkCreditLimit(buyerOrId, amount) {
+    const buyer = buyerOrId?.creditLimit !== undefined ? buyerOrId : await Buyer.findById(buyerOrId);
+    if (!buyer) throw buildServiceError('Buyer not found', 404);
+
+    const creditLimit = buyer.creditLimit || 0;
+    const balance = await BalanceService.getBuyerBalance(buyer._id);
+    const exposure = balance + amount;
+
+    return {
+      buyer: buyer._id,
+      mode: await this.getCreditMode(buyer),
+      creditLimit,
+      balance: round(balance),
+      exposure: round(exposure),
+      available: creditLimit > 0 ? round(Math.max(0, creditLimit - balance)) : null,
+      exceeded: creditLimit > 0 && amount > 0 && exposure > creditLimit + 0.005
+    };
+  }
+
+  static describeBreach(check) {
+    return `Credit limit exceeded: balance ${check.balance.toFixed(2)} + this sale `
+      + `${(check.exposure - check.balance).toFixed(2)} = ${check.exposure.toFixed(2)}, `
+      + `limit ${check.creditLimit.toFixed(2)}`;
+  }
+
+  /**
+   * Unpaid sales of buyers with their due date and days overdue
+   * @param {Object} [filters] - { buyer, asOf }
+   * @returns {Promise<Map>} buyerId → { buyer, sales }
+   */
+  static async getOutstandingSalesByBuyer({ buyer, asOf = new Date() } = {}) {
+    const query = {
+      buyer: buyer || { $ne: null },
+      paymentStatus: { $in: ['pending', 'partial'] },
+      saleDate: { $lte: asOf },
+      // Undelivered cash-on-delivery orders are not owed yet
+      $nor: [{ isCashOnDelivery: true, deliveryStatus: { $ne: 'delivered' } }]
+    };
+
+    const sales = await Sale.find(query)
+      .select('saleNumber saleDate buyer grandTotal cashPayment bankPayment returnTotal')
+      .populate('buyer', 'name company email phone paymentTerms creditLimit')
+      .sort({ saleDate: 1, saleNumber: 1 })
+      .lean();
+
+    const today = startOfDay(asOf);
+    const byBuyer = new Map();
+
+    for (const sale of sales) {
+      if (!sale.buyer) continue;
+
+      // Same outstanding amount as BalanceService.getPendingSalesForBuyer
+      const outstanding = (sale.grandTotal || 0)
+        - (sale.cashPayment || 0) - (sale.bankPayment || 0) - (sale.returnTotal || 0);
+      if (outstanding <= 0.005) continue;
+
+      const dueDate = this.getDueDate(sale.saleDate, sale.buyer.paymentTerms);
+      const key = sale.buyer._id.toString();
+      if (!byBuyer.has(key)) byBuyer.set(key, { buyer: sale.buyer, sales: [] });
+
+      byBuyer.get(key).sales.push({
+        sale: sale._id,
+        saleNumber: sale.saleNumber,
+        saleDate: sale.saleDate,
+        dueDate,
+        daysOverdue: Math.max(0, Math.floor((today - dueDate) / DAY_MS)),
+        outstanding: round(outstanding)
+      });
+    }
+
+    return byBuyer;
+  }
+
+  /**
+   * Buyers with overdue sales, aged by days past their payment terms
+   * @param {Object} [filters] - { asOf, paymentTerms, minDaysOverdue }
+   * @returns {Promise<Object>} { asOf, buyers, summary }
+   */
+  static async getOverdueList({ asOf = new Date(), paymentTerms, minDaysOverdue = 1 } = {}) {
+    const byBuyer = await this.getOutstandingSalesByBuyer({ asOf });
+    const buyerIds = [...byBuyer.keys()];
+
+    const lastReminders = await PaymentReminder.aggregate([
+      { $match: { buyer: { $in: buyerIds.map(id => byBuyer.get(id).buyer._id) }, status: 'sent' } },
+      { $sort: { createdAt: -1 } },
+      { $group: { _id: '$buyer', sentAt: { $first: '$createdAt' }, level: { $first: '$level' } } }
+    ]);
+    const lastReminderByBuyer = new Map(lastReminders.map(r => [r._id.toString(), r]));
+
+    const emptyBuckets = () => Object.fromEntries(OVERDUE_BUCKETS.map(bucket => [bucket.key, 0]));
+    const buyers = [];
+    const summary = { buyers: 0, overdueTotal: 0, buckets: emptyBuckets(), byPaymentTerms: {} };
+
+    for (const [key, { buyer, sales }] of byBuyer) {
+      const terms = buyer.paymentTerms || 'cash';
+      if (paymentTerms && terms !== paymentTerms) continue;
+
+      const overdueSales = sales.filter(sale => sale.daysOverdue >= Math.max(1, minDaysOverdue));
+      if (overdueSales.length === 0) continue;
+
+      const buckets = emptyBuckets();
+      overdueSales.forEach(sale => {
+        const bucket = OVERDUE_BUCKETS.find(b => sale.daysOverdue >= b.min && sale.daysOverdue <= b.max);
+        buckets[bucket.key] = round(buckets[bucket.key] + sale.outstanding);
+      });
+
+      const overdueTotal = round(overdueSales.reduce((sum, sale) => sum + sale.outstanding, 0));
+      const notYetDue = round(sales
+        .filter(sale => sale.daysOverdue === 0)
+        .reduce((sum, sale) => sum + sale.outstanding, 0));
+      const oldestDaysOverdue = Math.max(...overdueSales.map(sale => sale.daysOverdue));
+      const lastReminder = lastReminderByBuyer.get(key);
+
+      buyers.push({
+        buyer: {
+          _id: buyer._id,
+          name: buyer.name,
+          company: buyer.company,
+          email: buyer.email,
+          phone: buyer.phone
+        },
+        paymentTerms: terms,
+        creditLimit: buyer.creditLimit || 0,
+        overdueTotal,
+        notYetDue,
+        buckets,
+        oldestDaysOverdue,
+        reminderLevelDue: this.getReminderLevel(oldestDaysOverdue).level,
+        lastReminderAt: lastReminder?.sentAt || null,
+        lastReminderLevel: lastReminder?.level || null,
+        sales: overdueSales
+      });
+
+      summary.buyers += 1;
+      summary.overdueTotal = round(summary.overdueTotal + overdueTotal);
+      Object.keys(buckets).forEach(bucket => {
+        summary.buckets[bucket] = round(summary.buckets[bucket] + buckets[bucket]);
+      });
+      const termSummary = summary.byPaymentTerms[terms] || { buyers: 0, overdueTotal: 0 };
+      termSummary.buyers += 1;
+      termSummary.overdueTotal = round(termSummary.overdueTotal + overdueTotal);
+      summary.byPaymentTerms[terms] = termSummary;
+    }
+
+    buyers.sort((a, b) => b.oldestDaysOverdue - a.oldestDaysOverdue || b.overdueTotal - a.overdueTotal);
+
+    return { asOf, buyers, summary };
+  }
+
+  static getReminderLevel(daysOverdue) {
+    return REMINDER_LEVELS.find(level => daysOverdue >= level.minDaysOverdue) || REMINDER_LEVELS[REMINDER_LEVELS.length - 1];
+  }
+
+  /**
+   * Email a reminder statement of a buyer's overdue sales and record it
+   * @param {string} buyerId
+   * @param {Object} [options] - { sentBy, asOf }
+   * @returns {Promise<Object>} The PaymentReminder record
+   */
+  static async sendReminder(buyerId, { sentBy, asOf = new Date() } = {}) {
+    const buyer = await Buyer.findById(buyerId);
+    if (!buyer) throw buildServiceError('Buyer not found', 404);
+
+    const byBuyer = await this.getOutstandingSalesByBuyer({ buyer: buyer._id, asOf });
+    const overdueSales = (byBuyer.get(buyer._id.toString())?.sales || []).filter(sale => sale.daysOverdue > 0);
+    if (overdueSales.length === 0) {
+      throw buildServiceError('Buyer has no overdue sales');
+    }
+
+    const [settings, balance] = await Promise.all([
+      Settings.getSettings(),
+      BalanceService.getBuyerBalance(buyer._id)
+    ]);
+    const symbol = settings.currency?.symbol || '';
+    const businessName = settings.businessInfo?.name || 'KI Fashion';
+
+    const overdueTotal = round(overdueSales.reduce((sum, sale) => sum + sale.outstanding, 0));
+    const reminderLevel = this.getReminderLevel(Math.max(...overdueSales.map(sale => sale.daysOverdue)));
+
+    const reminder = new PaymentReminder({
+      buyer: buyer._id,
+      level: reminderLevel.level,
+      paymentTerms: buyer.paymentTerms,
+      overdueTotal,
+      balance: round(balance),
+      sales: overdueSales,
+      emailedTo: buyer.email,
+      status: 'sent',
+      sentBy
+    });
+
+    if (!buyer.email) {
+      reminder.status = 'no_email';
+      await reminder.save();
+      return reminder;
+    }
+
+    const lines = overdueSales.map(sale => `${sale.saleNumber}  dated ${formatDate(sale.saleDate)}  `
+      + `due ${formatDate(sale.dueDate)}  ${sale.daysOverdue} days overdue  ${symbol}${sale.outstanding.toFixed(2)}`);
+
+    try {
+      await sendMail({
+        to: buyer.email,
+        subject: `${reminderLevel.subject} - ${businessName}`,
+        text: `Dear ${buyer.name},\n\n`
+          + `Our records show the following invoices on your account are past their payment terms:\n\n`
+          + `${lines.join('\n')}\n\n`
+          + `Total overdue: ${symbol}${overdueTotal.toFixed(2)}\n`
+          + `Account balance: ${symbol}${balance.toFixed(2)}\n\n`
+          + `Please arrange payment at your earliest convenience. If you have already paid, please ignore this reminder.\n\n`
+          + `${businessName}`,
+        html: `<p>Dear ${escapeHtml(buyer.name)},</p>`
+          + `<p>Our records show the following invoices on your account are past their payment terms:</p>`
+          + `<table cellpadding="4"><tr><th align="left">Invoice</th><th align="left">Date</th><th align="left">Due</th>`
+          + `<th align="right">Days overdue</th><th align="right">Outstanding</th></tr>`
+          + overdueSales.map(sale => `<tr><td>${escapeHtml(sale.saleNumber)}</td><td>${formatDate(sale.saleDate)}</td>`
+            + `<td>${formatDate(sale.dueDate)}</td><td align="right">${sale.daysOverdue}</td>`
+            + `<td align="right">${symbol}${sale.outstanding.toFixed(2)}</td></tr>`).join('')
+          + `</table>`
+          + `<p><strong>Total overdue: ${symbol}${overdueTotal.toFixed(2)}</strong><br>`
+          + `Account balance: ${symbol}${balance.toFixed(2)}</p>`
+          + `<p>Please arrange payment at your earliest convenience. If you have already paid, please ignore this reminder.</p>`
+          + `<p>${escapeHtml(businessName)}</p>`
+      });
+    } catch (error) {
+      console.error(`[Payment Reminders] Failed to email ${buyer.email}:`, error.message);
+      reminder.status = 'failed';
+      reminder.error = error.message;
+    }
+
+    await reminder.save();
+    return reminder;
+  }
+
+  /**
+   * Send reminders to every overdue buyer not reminded in the last
+   * PAYMENT_REMINDER_INTERVAL_DAYS days. Used by the reminder scheduler.
+   * @returns {Promise<Object>} { sent, failed, skipped }
+   */
+  static async sendDueReminders(asOf = new Date()) {
+    const { buyers } = await this.getOverdueList({ asOf });
+    const cutoff = new Date(asOf.getTime() - REMINDER_INTERVAL_DAYS * DAY_MS);
+    const result = { sent: 0, failed: 0, skipped: 0 };
+
+    for (const row of buyers) {
+      if (!row.buyer.email || (row.lastReminderAt && row.lastReminderAt > cutoff)) {
+        result.skipped += 1;
+        continue;
+      }
+
+      try {
+        const reminder = await this.sendReminder(row.buyer._id, { asOf });
+        if (reminder.status === 'sent') result.sent += 1;
+        else result.failed += 1;
+      } catch (error) {
+        console.error(`[Payment Reminders] Buyer ${row.buyer._id}:`, error.message);
+        result.failed += 1;
+      }
+    }
+
+    return result;
+  }
+}
+
+module.exports = CreditControlService;
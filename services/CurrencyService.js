@@ -0,0 +1,237 @@
+/**
+ * CurrencyService
+ *
+ * Currencies and their dated exchange rates. The base currency is
+ * Settings.currency.code; every other currency carries rates effective from a
+ * date, in units of the currency per unit of the base currency (the same
+ * convention as DispatchOrder.exchangeRate).
+ *
+ * A supplier with a foreign Supplier.currency keeps its ledger in that
+ * currency. Each of its ledger entries records the rate and the base-currency
+ * amount (see the pre-save hook in models/Ledger.js), and payments against a
+ * dispatch order record the realised FX gain or loss against the order's rate.
+ */
+
+const mongoose = require('mongoose');
+const Currency = require('../models/Currency');
+const ExchangeRate = require('../models/ExchangeRate');
+const Ledger = require('../models/Ledger');
+const Settings = require('../models/Settings');
+const Supplier = require('../models/Supplier');
+
+const buildServiceError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class CurrencyService {
+  static async getBaseCurrency() {
+    const settings = await Settings.getSettings();
+    return settings.currency?.code || 'GBP';
+  }
+
+  static async listCurrencies({ isActive } = {}) {
+    const query = {};
+    if (isActive !== undefined) query.isActive = isActive === 'true' || isActive === true;
+
+    const [baseCurrency, currencies] = await Promise.all([
+      this.getBaseCurrency(),
+      Currency.find(query).sort({ code: 1 }).lean()
+    ]);
+
+    // Latest rate of each currency alongside it
+    const latest = await ExchangeRate.aggregate([
+      { $sort: { effectiveDate: -1 } },
+      { $group: { _id: '$currency', rate: { $first: '$rate' }, effectiveDate: { $first: '$effectiveDate' } } }
+    ]);
+    const latestMap = new Map(latest.map(row => [row._id, row]));
+
+    return {
+      baseCurrency,
+      currencies: currencies.map(currency => ({
+        ...currency,
+        latestRate: latestMap.get(currency.code)?.rate ?? null,
+        latestRateDate: latestMap.get(currency.code)?.effectiveDate ?? null
+      }))
+    };
+  }
+
+  static async createCurrency({ code, name, symbol }, userId) {
+    const upperCode = code.toUpperCase();
+    if (upperCode === await this.getBaseCurrency()) {
+      throw buildServiceError(`${upperCode} is the base currency`);
+    }
+    if (await Currency.exists({ code: upperCode })) {
+      throw buildServiceError(`Currency ${upperCode} already exists`);
+    }
+
+    return Currency.create({ code: upperCode, name, symbol, createdBy: userId });
+  }
+
+  static async updateCurrency(code, updates) {
+    const currency = await Currency.findOne({ code: code.toUpperCase() });
+    if (!currency) {
+      throw buildServiceError('Currency not found', 404);
+    }
+
+    if (updates.isActive === false && await Supplier.exists({ currency: currency.code, isActive: true })) {
+      throw buildServiceError(`Currency ${currency.code} is used by active suppliers and cannot be deactivated`);
+    }
+
+    Object.assign(currency, updates);
+    await currency.save();
+    return currency;
+  }
+
+  // Throws unless the code is the base currency or an active currency
+  static async assertCurrency(code) {
+    if (!code || code.toUpperCase() === await this.getBaseCurrency()) return;
+    if (!await Currency.exists({ code: code.toUpperCase(), isActive: true })) {
+      throw buildServiceError(`Unknown or inactive currency: ${code}`);
+    }
+  }
+
+  static async listRates(code, { startDate, endDate } = {}) {
+    const query = { currency: code.toUpperCase() };
+    if (startDate || endDate) {
+      query.effectiveDate = {};
+      if (startDate) query.effectiveDate.$gte = new Date(startDate);
+      if (endDate) query.effectiveDate.$lte = new Date(endDate);
+    }
+
+    return ExchangeRate.find(query).populate('createdBy', 'name').sort({ effectiveDate: -1 });
+  }
+
+  // Adds a rate, or replaces the one already entered for that date
+  static async setRate(code, { rate, effectiveDate, notes }, userId) {
+    const upperCode = code.toUpperCase();
+    if (!await Currency.exists({ code: upperCode })) {
+      throw buildServiceError('Currency not found', 404);
+    }
+
+    const date = new Date(effectiveDate);
+    date.setHours(0, 0, 0, 0);
+
+    return ExchangeRate.findOneAndUpdate(
+      { currency: upperCode, effectiveDate: date },
+      { rate, notes, createdBy: userId },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  static async deleteRate(code, rateId) {
+    const exchangeRate = await ExchangeRate.findOneAndDelete({ _id: rateId, currency: code.toUpperCase() });
+    if (!exchangeRate) {
+      throw buildServiceError('Exchange rate not found', 404);
+    }
+    return exchangeRate;
+  }
+
+  // Rate in force on the date; 1 for the base currency. Throws when none has been entered.
+  static async getRate(code, date = new Date()) {
+    const upperCode = (code || '').toUpperCase();
+    if (!upperCode || upperCode === await this.getBaseCurrency()) return 1;
+
+    const rate = await ExchangeRate.getRate(upperCode, new Date(date));
+    if (!rate) {
+      throw buildServiceError(`No ${upperCode} exchange rate on or before ${new Date(date).toISOString().split('T')[0]}`);
+    }
+    return rate;
+  }
+
+  // Dated rate for a supplier invoicing in a foreign currency; null for base-currency suppliers
+  static async getSupplierRate(supplierId, date = new Date()) {
+    const supplier = await Supplier.findById(supplierId).select('currency').lean();
+    if (!supplier?.currency || supplier.currency === await this.getBaseCurrency()) return null;
+    return this.getRate(supplier.currency, date);
+  }
+
+  /**
+   * Realised FX gains and losses on supplier payments, per supplier and currency.
+   * Only payments against a dispatch order whose rate differs from the order's carry one.
+   */
+  static async getRealisedFxReport({ startDate, endDate, supplierId } = {}) {
+    const match = {
+      type: 'supplier',
+      transactionType: 'payment',
+      realisedFxGain: { $exists: true, $ne: 0 }
+    };
+    if (supplierId) match.entityId = new mongoose.Types.ObjectId(supplierId);
+    if (startDate || endDate) {
+      match.date = {};
+      if (startDate) match.date.$gte = new Date(startDate);
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        match.date.$lte = end;
+      }
+    }
+
+    const entries = await Ledger.find(match)
+      .select('entityId referenceId date credit currency exchangeRate baseAmount realisedFxGain entryNumber description')
+      .populate({ path: 'referenceId', model: 'DispatchOrder', select: 'orderNumber exchangeRate' })
+      .sort({ date: 1 })
+      .lean();
+    const suppliers = await Supplier.find({ _id: { $in: [...new Set(entries.map(entry => entry.entityId.toString()))] } })
+      .select('name company')
+      .lean();
+    const supplierMap = new Map(suppliers.map(supplier => [supplier._id.toString(), supplier]));
+
+    const groups = new Map();
+    for (const entry of entries) {
+      const key = `${entry.entityId}:${entry.currency}`;
+      if (!groups.has(key)) {
+        const supplier = supplierMap.get(entry.entityId.toString());
+        groups.set(key, {
+          supplier: { _id: entry.entityId, name: supplier?.name, company: supplier?.company },
+          currency: entry.currency,
+          amountPaid: 0,
+          baseAmountPaid: 0,
+          gains: 0,
+          losses: 0,
+          net: 0,
+          payments: []
+        });
+      }
+
+      const group = groups.get(key);
+      group.amountPaid += entry.credit;
+      group.baseAmountPaid += entry.baseAmount || 0;
+      if (entry.realisedFxGain > 0) group.gains += entry.realisedFxGain;
+      else group.losses += -entry.realisedFxGain;
+      group.net += entry.realisedFxGain;
+      group.payments.push({
+        _id: entry._id,
+        entryNumber: entry.entryNumber,
+        date: entry.date,
+        orderNumber: entry.referenceId?.orderNumber || null,
+        amount: entry.credit,
+        orderRate: entry.referenceId?.exchangeRate || null,
+        paymentRate: entry.exchangeRate,
+        baseAmount: entry.baseAmount,
+        realisedFxGain: entry.realisedFxGain
+      });
+    }
+
+    const rows = [...groups.values()].map(group => ({
+      ...group,
+      amountPaid: round(group.amountPaid),
+      baseAmountPaid: round(group.baseAmountPaid),
+      gains: round(group.gains),
+      losses: round(group.losses),
+      net: round(group.net)
+    }));
+
+    return {
+      baseCurrency: await this.getBaseCurrency(),
+      suppliers: rows,
+      summary: {
+        payments: entries.length,
+        gains: round(rows.reduce((sum, row) => sum + row.gains, 0)),
+        losses: round(rows.reduce((sum, row) => sum + row.losses, 0)),
+        net: round(rows.reduce((sum, row) => sum + row.net, 0))
+      }
+    };
+  }
+}
+
+module.exports = CurrencyService;
@@ -9,6 +9,7 @@ const Buyer = require('../models/Buyer');
 const PacketStock = require('../models/PacketStock');
 const Inventory = require('../models/Inventory');
 const Expense = require('../models/Expense');
+const ExpenseVoucher = require('../models/ExpenseVoucher');
 const Return = require('../models/Return');
 const SaleReturn = require('../models/SaleReturn');
 const { generateSaleNumber } = require('../utils/sale-number');
@@ -18,6 +19,10 @@ const LogisticsCompany = require('../models/LogisticsCompany');
 const { generatePacketBarcode, generateLooseItemBarcode } = require('../utils/barcodeGenerator');
 const { generateDispatchOrderQR } = require('../utils/qrCode');
 const { getTransactionDate } = require('../utils/helpers');
+const { schemas } = require('../utils/validation');
+const CostingService = require('./CostingService');
+const AccountingPeriodService = require('./AccountingPeriodService');
+const VatReturnService = require('./VatReturnService');
 
 // Map entityType → Mongoose Model
 const ENTITY_MODELS = {
@@ -26,6 +31,7 @@ const ENTITY_MODELS = {
   'payment': Payment,
   'supplier-payment': SupplierPaymentReceipt,
   'expense': Expense,
+  'expense-voucher': ExpenseVoucher,
   'return': Return,
   'sale-return': SaleReturn
 };
@@ -37,10 +43,29 @@ const ENTITY_MODEL_NAMES = {
   'payment': 'Payment',
   'supplier-payment': 'SupplierPaymentReceipt',
   'expense': 'Expense',
+  'expense-voucher': 'ExpenseVoucher',
   'return': 'Return',
   'sale-return': 'SaleReturn'
 };
 
+// Map entityType → stored date field (checked against closed accounting periods)
+const ENTITY_DATE_FIELDS = {
+  'dispatch-order': 'dispatchDate',
+  'sale': 'saleDate',
+  'payment': 'paymentDate',
+  'supplier-payment': 'paymentDate',
+  'expense': 'expenseDate',
+  'expense-voucher': 'date',
+  'return': 'returnedAt',
+  'sale-return': 'returnedAt'
+};
+
+// Date fields a request payload may carry
+const PAYLOAD_DATE_FIELDS = ['date', 'saleDate', 'dispatchDate', 'purchaseDate', 'expenseDate', 'paymentDate', 'returnDate'];
+
+// Entity types that feed the VAT return and are locked by a closed VAT quarter
+const VAT_ENTITY_TYPES = ['sale', 'sale-return', 'dispatch-order', 'expense'];
+
 class EditRequestService {
 
   /**
@@ -120,8 +145,14 @@ class EditRequestService {
       }
 
       let result;
+      const payloadDates = PAYLOAD_DATE_FIELDS.map(field => editRequest.rawPayload?.[field]);
 
       if (editRequest.requestType === 'create') {
+        await AccountingPeriodService.assertDatesOpen(payloadDates, session);
+        if (VAT_ENTITY_TYPES.includes(editRequest.entityType)) {
+          await VatReturnService.assertDatesUnfiled(payloadDates, session);
+        }
+
         // Creation doesn't need conflict check
         result = await EditRequestService.applyCreate(editRequest, reviewerId, session);
       } else {
@@ -160,6 +191,13 @@ class EditRequestService {
           };
         }
 
+        const existingDateField = ENTITY_DATE_FIELDS[editRequest.entityType];
+        const lockDates = [...payloadDates, currentEntity[existingDateField] || currentEntity.createdAt];
+        await AccountingPeriodService.assertDatesOpen(lockDates, session);
+        if (VAT_ENTITY_TYPES.includes(editRequest.entityType)) {
+          await VatReturnService.assertDatesUnfiled(lockDates, session);
+        }
+
         if (editRequest.requestType === 'edit') {
           result = await EditRequestService.applyEdit(editRequest, currentEntity, reviewerId, session);
         } else {
@@ -294,6 +332,8 @@ class EditRequestService {
       return EditRequestService.applyDispatchOrderCreate(rawPayload, requestedBy._id || requestedBy, session);
     } else if (entityType === 'expense') {
       return EditRequestService.applyExpenseCreate(rawPayload, requestedBy._id || requestedBy, session);
+    } else if (entityType === 'expense-voucher') {
+      return EditRequestService.applyExpenseVoucherCreate(rawPayload, requestedBy._id || requestedBy, session);
     }
 
     throw new Error(`Creation not implemented for entity type: ${entityType}`);
@@ -325,12 +365,15 @@ class EditRequestService {
     const grandTotal = Math.max(0, subtotal + totalTax - (totalDiscount || 0) + (shippingCost || 0));
 
     // 3. Process Stock (Atomic)
+    const costingMethod = await CostingService.getCostingMethod();
     for (const item of processedItems) {
       const product = await mongoose.model('Product').findById(item.product).session(session);
       const inventory = await Inventory.findOne({ product: item.product }).session(session);
 
       if (!inventory) throw new Error(`Inventory not found for product ${item.product}`);
 
+      item.costSnapshot = CostingService.takeSaleCost(inventory, item.quantity, costingMethod);
+
       // Basic stock check (even for backdates, we check current stock unless we want to allow negative)
       // Usually, for backdates, we assume stock was there or we allow it to go negative if configured.
       // Here we just update.
@@ -569,7 +612,7 @@ class EditRequestService {
    * Supplier Payment creation logic
    */
   static async applySupplierPaymentCreate(payload, userId, session) {
-    const { supplierId, amount, paymentMethod, date, description } = payload;
+    const { supplierId, amount, paymentMethod, date, description, exchangeRate } = payload;
     const BalanceService = require('./BalanceService');
 
     const result = await BalanceService.distributeUniversalPayment({
@@ -579,6 +622,7 @@ class EditRequestService {
       createdBy: userId,
       description,
       date: getTransactionDate(date),
+      exchangeRate: parseFloat(exchangeRate) || null,
       session
     });
 
@@ -604,6 +648,8 @@ class EditRequestService {
       return { message: 'Supplier payment edit applied' };
     } else if (entityType === 'expense') {
       return { message: 'Expense edit applied' };
+    } else if (entityType === 'expense-voucher') {
+      return EditRequestService.applyExpenseVoucherEdit(entityId, rawPayload, session);
     }
   }
 
@@ -623,6 +669,55 @@ class EditRequestService {
     return expense;
   }
 
+  /**
+   * Expense voucher creation logic.
+   * Only the backdate is approved here; the voucher still goes through the normal approval flow.
+   */
+  static async applyExpenseVoucherCreate(payload, userId, session) {
+    const voucher = new ExpenseVoucher({
+      date: getTransactionDate(payload.date),
+      name: payload.name,
+      amount: payload.amount,
+      paymentMethod: payload.paymentMethod,
+      remarks: payload.remarks,
+      category: payload.category,
+      attachments: payload.attachments,
+      voucherNumber: await ExpenseVoucher.generateVoucherNumber(),
+      status: 'pending',
+      createdBy: userId
+    });
+
+    await voucher.save({ session });
+    return voucher;
+  }
+
+  /**
+   * Expense voucher edit logic. The voucher may have been approved since the request was made,
+   * and the payload was queued before the route validated it, so both are checked again here.
+   */
+  static async applyExpenseVoucherEdit(voucherId, payload, session) {
+    const voucher = await ExpenseVoucher.findById(voucherId).session(session);
+    if (!voucher) throw new Error('Expense voucher not found');
+    if (voucher.status !== 'pending') {
+      throw Object.assign(new Error(`Cannot edit a voucher with status '${voucher.status}'`), { status: 400 });
+    }
+
+    const { error } = schemas.expenseVoucher.validate(payload);
+    if (error) {
+      throw Object.assign(new Error(error.details[0].message), { status: 400 });
+    }
+
+    ['name', 'amount', 'paymentMethod', 'remarks', 'category', 'attachments'].forEach(field => {
+      if (payload[field] !== undefined) voucher[field] = payload[field];
+    });
+    if (payload.date) {
+      voucher.date = getTransactionDate(payload.date, voucher.date);
+    }
+
+    await voucher.save({ session });
+    return voucher;
+  }
+
   /**
    * Apply dispatch order edit — mirrors logic from PATCH /:id/edit-confirmed
    */
@@ -1072,6 +1167,14 @@ class EditRequestService {
           inventory.variantComposition = inventory.variantComposition.filter(v => v.size && v.color);
         }
 
+        // Units still out for this line go back into the purchase batches they came from
+        CostingService.reverseSaleCost(
+          inventory,
+          item,
+          item.quantity - (item.costSnapshot?.returnedQuantity || 0),
+          `Deleted Sale: ${sale.saleNumber}`
+        );
+
         const hasValidVariant = item.variant && item.variant.size && item.variant.color;
 
         // If variant tracked, restore variant stock
@@ -1179,6 +1282,7 @@ class EditRequestService {
       case 'sale': return entity.saleNumber || '';
       case 'payment': return entity.paymentNumber || '';
       case 'supplier-payment': return entity.receiptNumber || '';
+      case 'expense-voucher': return entity.voucherNumber || '';
       default: return '';
     }
   }
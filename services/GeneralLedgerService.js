@@ -0,0 +1,600 @@
+/**
+ * GeneralLedgerService
+ *
+ * Double-entry general ledger on top of the sub-ledgers in models/Ledger.js.
+ *
+ * Journal entries are generated from the records that already carry the
+ * figures, one entry per record:
+ *   - every sub-ledger entry (sales, receipts, dispatch order purchases and
+ *     payments, logistics charges, returns, adjustments) posts against the
+ *     control account of its sub-ledger: Accounts Receivable for buyers,
+ *     Accounts Payable for suppliers, Logistics Payable for logistics companies
+ *   - sale cost snapshots post cost of goods sold out of inventory, and
+ *     approved sale returns put their costOfGoods back
+ *   - approved and paid expenses and expense vouchers post to Operating Expenses
+ * The VAT on sales, confirmed dispatch orders and expenses goes to VAT Payable,
+ * so the account agrees with the VAT return.
+ * syncJournals creates, updates and removes the generated entries so that they
+ * follow their source records. Because the control accounts are posted from
+ * the sub-ledger entries themselves, their balances always agree with the
+ * sub-ledgers (see the reconciliation in getTrialBalance). Syncs in one process
+ * run one at a time, and reports only resync when the last sync is older than
+ * GENERAL_LEDGER_REPORT_SYNC_SECONDS.
+ *
+ * Adjustments and credit applications in the sub-ledgers have no natural
+ * counter account and are posted against Ledger Adjustments Clearing.
+ *
+ * Entries of suppliers invoicing in a foreign currency post their base-currency
+ * value. Payments against a dispatch order clear the payable at the order's
+ * rate, and the difference to what was paid goes to Realised FX Gains and Losses.
+ */
+
+const Account = require('../models/Account');
+const Counter = require('../models/Counter');
+const DispatchOrder = require('../models/DispatchOrder');
+const Expense = require('../models/Expense');
+const ExpenseVoucher = require('../models/ExpenseVoucher');
+const JournalEntry = require('../models/JournalEntry');
+const Ledger = require('../models/Ledger');
+const Sale = require('../models/Sale');
+const SaleReturn = require('../models/SaleReturn');
+const AccountingPeriodService = require('./AccountingPeriodService');
+
+const DEFAULT_ACCOUNTS = [
+  { systemKey: 'cash', code: '1000', name: 'Cash', type: 'asset' },
+  { systemKey: 'bank', code: '1010', name: 'Bank', type: 'asset' },
+  { systemKey: 'accounts_receivable', code: '1100', name: 'Accounts Receivable', type: 'asset' },
+  { systemKey: 'inventory', code: '1200', name: 'Inventory', type: 'asset' },
+  { systemKey: 'clearing', code: '1900', name: 'Ledger Adjustments Clearing', type: 'asset' },
+  { systemKey: 'accounts_payable', code: '2000', name: 'Accounts Payable', type: 'liability' },
+  { systemKey: 'logistics_payable', code: '2100', name: 'Logistics Payable', type: 'liability' },
+  { systemKey: 'vat_payable', code: '2200', name: 'VAT Payable', type: 'liability' },
+  { systemKey: 'owner_equity', code: '3000', name: "Owner's Equity", type: 'equity' },
+  { systemKey: 'retained_earnings', code: '3100', name: 'Retained Earnings', type: 'equity' },
+  { systemKey: 'sales_revenue', code: '4000', name: 'Sales Revenue', type: 'revenue' },
+  { systemKey: 'sales_returns', code: '4100', name: 'Sales Returns', type: 'revenue' },
+  { systemKey: 'fx_gains', code: '4900', name: 'Realised FX Gains and Losses', type: 'revenue' },
+  { systemKey: 'cost_of_goods_sold', code: '5000', name: 'Cost of Goods Sold', type: 'expense' },
+  { systemKey: 'operating_expenses', code: '6000', name: 'Operating Expenses', type: 'expense' },
+  { systemKey: 'logistics_expense', code: '6100', name: 'Freight and Logistics', type: 'expense' }
+];
+
+// Control account of each sub-ledger
+const CONTROL_ACCOUNTS = {
+  buyer: 'accounts_receivable',
+  supplier: 'accounts_payable',
+  logistics: 'logistics_payable'
+};
+
+// Counter account per sub-ledger and transaction type (cash movements go to cash or bank)
+const COUNTER_ACCOUNTS = {
+  buyer: { sale: 'sales_revenue', return: 'sales_returns', charge: 'sales_revenue' },
+  supplier: { purchase: 'inventory', return: 'inventory', charge: 'inventory' },
+  logistics: { charge: 'logistics_expense', purchase: 'logistics_expense', return: 'logistics_expense' }
+};
+
+const CASH_TRANSACTION_TYPES = ['payment', 'receipt'];
+const EXPENSE_STATUSES = ['approved', 'paid'];
+const BULK_WRITE_SIZE = 500;
+const REPORT_SYNC_MAX_AGE_MS = (parseInt(process.env.GENERAL_LEDGER_REPORT_SYNC_SECONDS, 10) || 300) * 1000;
+
+// The sync running in this process, and when the last one finished
+let runningSync = null;
+let lastSyncedAt = 0;
+
+const buildServiceError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Debit-balance accounts grow with debits, the others with credits
+const isDebitNormal = (type) => type === 'asset' || type === 'expense';
+
+const cashAccountKey = (paymentMethod) => (paymentMethod && paymentMethod !== 'cash' ? 'bank' : 'cash');
+
+class GeneralLedgerService {
+  // Creates the system accounts that are missing; returns systemKey → account
+  static async ensureChartOfAccounts() {
+    await Account.bulkWrite(DEFAULT_ACCOUNTS.map(account => ({
+      updateOne: {
+        filter: { systemKey: account.systemKey },
+        update: { $setOnInsert: account },
+        upsert: true
+      }
+    })));
+
+    const accounts = await Account.find({ systemKey: { $in: DEFAULT_ACCOUNTS.map(account => account.systemKey) } }).lean();
+    return new Map(accounts.map(account => [account.systemKey, account]));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Journal generation
+  // ---------------------------------------------------------------------------
+
+  /**
+   * @param {Map} taxes - referenceId → { tax, gross } of taxed sales (buyer sale entries)
+   *   and confirmed dispatch orders (supplier purchase entries)
+   */
+  static journalForLedgerEntry(entry, taxes) {
+    // Foreign-currency entries: the payable moves by the base value at the order's rate
+    const fxGain = entry.exchangeRate ? entry.realisedFxGain || 0 : 0;
+    const net = entry.exchangeRate
+      ? round((entry.debit > 0 ? 1 : -1) * ((entry.baseAmount || 0) + fxGain))
+      : round((entry.debit || 0) - (entry.credit || 0));
+    if (!net) return null;
+
+    const amount = Math.abs(net);
+    // Receivables rise with sub-ledger debits; payables (supplier and logistics) rise with them too,
+    // but payables are credit-balance accounts
+    const controlDebit = entry.type === 'buyer' ? net > 0 : net < 0;
+    const party = { partyType: entry.type, partyId: entry.entityId };
+
+    let counterKey;
+    if (CASH_TRANSACTION_TYPES.includes(entry.transactionType)) {
+      counterKey = cashAccountKey(entry.paymentMethod);
+    } else {
+      counterKey = COUNTER_ACCOUNTS[entry.type]?.[entry.transactionType] || 'clearing';
+    }
+
+    const counterLines = [{ key: counterKey, amount }];
+    const isTaxedEntry = (entry.type === 'buyer' && entry.transactionType === 'sale')
+      || (entry.type === 'supplier' && entry.transactionType === 'purchase');
+    const documentTax = isTaxedEntry && entry.referenceId ? taxes.get(entry.referenceId.toString()) : null;
+    if (documentTax) {
+      // Output VAT is credited with the sale, input VAT debited with the purchase
+      const vat = Math.min(amount, round(documentTax.tax * amount / documentTax.gross));
+      counterLines[0].amount = round(amount - vat);
+      counterLines.push({ key: 'vat_payable', amount: vat });
+    }
+
+    const side = (debit, value) => (debit ? { debit: value, credit: 0 } : { debit: 0, credit: value });
+    const fxLines = [];
+    if (fxGain) {
+      counterLines[0].amount = round(amount - fxGain);
+      // A gain is credited alongside the cash paid; a loss is debited alongside the payable
+      fxLines.push({ key: 'fx_gains', ...side(fxGain > 0 ? !controlDebit : controlDebit, Math.abs(fxGain)) });
+    }
+
+    return {
+      sourceKey: `ledger:${entry._id}`,
+      source: { type: 'ledger', model: 'Ledger', id: entry._id },
+      date: entry.date,
+      description: entry.description || `${entry.type} ${entry.transactionType}`,
+      lines: [
+        { key: CONTROL_ACCOUNTS[entry.type], ...side(controlDebit, amount), ...party },
+        ...counterLines.filter(line => line.amount > 0).map(line => ({ key: line.key, ...side(!controlDebit, line.amount) })),
+        ...fxLines
+      ]
+    };
+  }
+
+  static journalForSaleCost(sale) {
+    const cost = round(sale.items.reduce((sum, item) => sum + (item.costSnapshot?.totalCost || 0), 0));
+    if (cost <= 0) return null;
+
+    return {
+      sourceKey: `sale_cost:${sale._id}`,
+      source: { type: 'sale_cost', model: 'Sale', id: sale._id },
+      date: sale.saleDate || sale.createdAt,
+      description: `Cost of goods sold: ${sale.saleNumber}`,
+      lines: [
+        { key: 'cost_of_goods_sold', debit: cost, credit: 0 },
+        { key: 'inventory', debit: 0, credit: cost }
+      ]
+    };
+  }
+
+  static journalForSaleReturnCost(saleReturn) {
+    const cost = round(saleReturn.items.reduce((sum, item) => sum + (item.costOfGoods || 0), 0));
+    if (cost <= 0) return null;
+
+    return {
+      sourceKey: `sale_return_cost:${saleReturn._id}`,
+      source: { type: 'sale_return_cost', model: 'SaleReturn', id: saleReturn._id },
+      date: saleReturn.returnedAt || saleReturn.createdAt,
+      description: 'Cost of goods returned',
+      lines: [
+        { key: 'inventory', debit: cost, credit: 0 },
+        { key: 'cost_of_goods_sold', debit: 0, credit: cost }
+      ]
+    };
+  }
+
+  static journalForExpense(expense, sourceType) {
+    const amount = round(expense.amount || 0);
+    // amount is net; the input VAT (taxAmount) is paid on top of it
+    const vat = round(expense.taxAmount || 0);
+    if (amount <= 0 && vat <= 0) return null;
+
+    const isVoucher = sourceType === 'expense_voucher';
+    return {
+      sourceKey: `${sourceType}:${expense._id}`,
+      source: { type: sourceType, model: isVoucher ? 'ExpenseVoucher' : 'Expense', id: expense._id },
+      date: (isVoucher ? expense.date : expense.expenseDate) || expense.createdAt,
+      description: expense.description || (isVoucher ? 'Expense voucher' : 'Expense'),
+      lines: [
+        { key: 'operating_expenses', debit: amount, credit: 0 },
+        { key: 'vat_payable', debit: vat, credit: 0 },
+        { key: cashAccountKey(expense.paymentMethod), debit: 0, credit: round(amount + vat) }
+      ].filter(line => line.debit > 0 || line.credit > 0)
+    };
+  }
+
+  /**
+   * Bring the generated journal entries in line with their source records:
+   * new records get an entry, changed records have theirs rewritten and
+   * entries whose record is gone are removed. Manual entries are left alone.
+   * A call made while a sync is running waits for that sync instead of starting another.
+   */
+  static syncJournals() {
+    if (!runningSync) {
+      runningSync = this.runSync()
+        .then((result) => {
+          lastSyncedAt = Date.now();
+          return result;
+        })
+        .finally(() => {
+          runningSync = null;
+        });
+    }
+    return runningSync;
+  }
+
+  // Sync before a report unless the journals were synced recently
+  static async syncIfStale(maxAgeMs = REPORT_SYNC_MAX_AGE_MS) {
+    if (!runningSync && Date.now() - lastSyncedAt < maxAgeMs) return null;
+    return this.syncJournals();
+  }
+
+  static async runSync() {
+    const accounts = await this.ensureChartOfAccounts();
+
+    const existing = await JournalEntry.find({ sourceKey: { $exists: true } }).select('sourceKey signature').lean();
+    const signatures = new Map(existing.map(journal => [journal.sourceKey, journal.signature]));
+
+    const [taxedSales, taxedOrders] = await Promise.all([
+      Sale.find({
+        $or: [{ totalTax: { $gt: 0 } }, { totalVAT: { $gt: 0 } }],
+        grandTotal: { $gt: 0 }
+      }).select('totalTax totalVAT grandTotal').lean(),
+      // Same orders and purchase value as the VAT return's box 4
+      DispatchOrder.find({ status: 'confirmed', totalTax: { $gt: 0 } })
+        .select('supplierUser totalTax grandTotal supplierPaymentTotal')
+        .lean()
+    ]);
+    const taxes = new Map();
+    taxedSales.forEach(sale => taxes.set(sale._id.toString(), {
+      tax: (sale.totalTax || 0) + (sale.totalVAT || 0),
+      gross: sale.grandTotal
+    }));
+    taxedOrders.forEach((order) => {
+      const gross = order.supplierUser ? order.supplierPaymentTotal || 0 : order.grandTotal || 0;
+      if (gross > 0) taxes.set(order._id.toString(), { tax: order.totalTax, gross });
+    });
+
+    const seen = new Set();
+    const created = [];
+    const updates = [];
+
+    const collect = (journal) => {
+      if (!journal) return;
+      seen.add(journal.sourceKey);
+
+      const lines = journal.lines.map(({ key, ...line }) => ({
+        ...line,
+        account: accounts.get(key)._id,
+        accountCode: accounts.get(key).code
+      }));
+      const signature = JSON.stringify([new Date(journal.date).toISOString(), journal.description, lines]);
+      if (signatures.get(journal.sourceKey) === signature) return;
+
+      const fields = {
+        date: journal.date,
+        description: journal.description,
+        source: journal.source,
+        sourceKey: journal.sourceKey,
+        signature,
+        lines,
+        totalDebit: round(lines.reduce((sum, line) => sum + line.debit, 0)),
+        totalCredit: round(lines.reduce((sum, line) => sum + line.credit, 0))
+      };
+      if (signatures.has(journal.sourceKey)) {
+        updates.push({ updateOne: { filter: { sourceKey: journal.sourceKey }, update: { $set: fields } } });
+      } else {
+        created.push(fields);
+      }
+    };
+
+    for await (const entry of Ledger.find().select('type entityId transactionType referenceId debit credit date description paymentMethod exchangeRate baseAmount realisedFxGain').lean().cursor()) {
+      collect(this.journalForLedgerEntry(entry, taxes));
+    }
+
+    const salesWithCost = Sale.find({ 'items.costSnapshot': { $exists: true }, deliveryStatus: { $ne: 'cancelled' } })
+      .select('saleNumber saleDate createdAt items.costSnapshot.totalCost')
+      .lean()
+      .cursor();
+    for await (const sale of salesWithCost) {
+      collect(this.journalForSaleCost(sale));
+    }
+
+    const returns = await SaleReturn.find({ status: 'approved', 'items.costOfGoods': { $gt: 0 } })
+      .select('returnedAt createdAt items.costOfGoods')
+      .lean();
+    returns.forEach(saleReturn => collect(this.journalForSaleReturnCost(saleReturn)));
+
+    const [expenses, vouchers] = await Promise.all([
+      Expense.find({ status: { $in: EXPENSE_STATUSES } }).select('amount taxAmount paymentMethod expenseDate createdAt description').lean(),
+      ExpenseVoucher.find({ status: { $in: EXPENSE_STATUSES } }).select('amount paymentMethod date createdAt description').lean()
+    ]);
+    expenses.forEach(expense => collect(this.journalForExpense(expense, 'expense')));
+    vouchers.forEach(voucher => collect(this.journalForExpense(voucher, 'expense_voucher')));
+
+    // Upserts, so a sync running in another process that created the same entry first does not fail this one
+    if (created.length) {
+      const firstNumber = await this.reserveEntryNumbers(created.length);
+      created.forEach((journal, index) => {
+        updates.push({
+          updateOne: {
+            filter: { sourceKey: journal.sourceKey },
+            update: { $set: journal, $setOnInsert: { entryNumber: this.formatEntryNumber(firstNumber + index) } },
+            upsert: true
+          }
+        });
+      });
+    }
+    for (let i = 0; i < updates.length; i += BULK_WRITE_SIZE) {
+      await JournalEntry.bulkWrite(updates.slice(i, i + BULK_WRITE_SIZE), { ordered: false });
+    }
+
+    const removed = [...signatures.keys()].filter(key => !seen.has(key));
+    if (removed.length) {
+      await JournalEntry.deleteMany({ sourceKey: { $in: removed } });
+    }
+
+    return {
+      created: created.length,
+      updated: updates.length - created.length,
+      removed: removed.length
+    };
+  }
+
+  static async reserveEntryNumbers(count) {
+    const counter = await Counter.findOneAndUpdate(
+      { _id: 'journal_entry' },
+      { $inc: { seq: count } },
+      { new: true, upsert: true }
+    );
+    return counter.seq - count + 1;
+  }
+
+  static formatEntryNumber(seq) {
+    return `JE-${String(seq).padStart(7, '0')}`;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Manual entries and accounts
+  // ---------------------------------------------------------------------------
+
+  static async postManualEntry({ date, description, lines }, userId) {
+    await AccountingPeriodService.assertDatesOpen([date]);
+
+    const codes = [...new Set(lines.map(line => line.accountCode))];
+    const accounts = await Account.find({ code: { $in: codes }, isActive: true }).lean();
+    const accountMap = new Map(accounts.map(account => [account.code, account]));
+    const missing = codes.filter(code => !accountMap.has(code));
+    if (missing.length) {
+      throw buildServiceError(`Unknown or inactive account(s): ${missing.join(', ')}`);
+    }
+
+    // Control accounts only move with their sub-ledgers, otherwise they would stop agreeing
+    const controlAccount = accounts.find(account => Object.values(CONTROL_ACCOUNTS).includes(account.systemKey));
+    if (controlAccount) {
+      throw buildServiceError(`${controlAccount.name} is posted from the sub-ledgers; use a ledger entry instead`);
+    }
+
+    const journal = new JournalEntry({
+      entryNumber: this.formatEntryNumber(await this.reserveEntryNumbers(1)),
+      date,
+      description,
+      source: { type: 'manual' },
+      lines: lines.map(line => ({
+        account: accountMap.get(line.accountCode)._id,
+        accountCode: line.accountCode,
+        debit: round(line.debit || 0),
+        credit: round(line.credit || 0),
+        memo: line.memo
+      })),
+      createdBy: userId
+    });
+
+    try {
+      await journal.save();
+    } catch (error) {
+      throw buildServiceError(error.message);
+    }
+    return journal;
+  }
+
+  static async deleteManualEntry(id) {
+    const journal = await JournalEntry.findById(id);
+    if (!journal) {
+      throw buildServiceError('Journal entry not found', 404);
+    }
+    if (journal.source.type !== 'manual') {
+      throw buildServiceError('Generated journal entries follow their source records and cannot be deleted');
+    }
+    await AccountingPeriodService.assertDatesOpen([journal.date]);
+
+    await journal.deleteOne();
+    return journal;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Reports
+  // ---------------------------------------------------------------------------
+
+  // Debit and credit totals per account for journal entries in the date range
+  static async getAccountTotals({ startDate, endDate } = {}) {
+    const match = {};
+    if (startDate || endDate) {
+      match.date = {};
+      if (startDate) match.date.$gte = startDate;
+      if (endDate) match.date.$lte = endDate;
+    }
+
+    const [totals, accounts] = await Promise.all([
+      JournalEntry.aggregate([
+        { $match: match },
+        { $unwind: '$lines' },
+        { $group: { _id: '$lines.account', debit: { $sum: '$lines.debit' }, credit: { $sum: '$lines.credit' } } }
+      ]),
+      Account.find().sort({ code: 1 }).lean()
+    ]);
+
+    const totalMap = new Map(totals.map(row => [row._id.toString(), row]));
+    return accounts.map(account => {
+      const row = totalMap.get(account._id.toString()) || { debit: 0, credit: 0 };
+      const debit = round(row.debit);
+      const credit = round(row.credit);
+      return {
+        _id: account._id,
+        code: account.code,
+        name: account.name,
+        type: account.type,
+        systemKey: account.systemKey,
+        debit,
+        credit,
+        // Positive in the account's normal direction
+        balance: round(isDebitNormal(account.type) ? debit - credit : credit - debit)
+      };
+    });
+  }
+
+  static async getTrialBalance({ asOfDate } = {}) {
+    const asOf = this.parseEndDate(asOfDate);
+    const rows = (await this.getAccountTotals({ endDate: asOf })).filter(row => row.debit || row.credit);
+
+    const accounts = rows.map(row => {
+      const net = round(row.debit - row.credit);
+      return { ...row, debitBalance: net > 0 ? net : 0, creditBalance: net < 0 ? -net : 0 };
+    });
+    const totalDebit = round(accounts.reduce((sum, row) => sum + row.debitBalance, 0));
+    const totalCredit = round(accounts.reduce((sum, row) => sum + row.creditBalance, 0));
+
+    return {
+      asOfDate: asOf,
+      accounts,
+      totalDebit,
+      totalCredit,
+      balanced: totalDebit === totalCredit,
+      reconciliation: await this.reconcileSubLedgers(rows, asOf)
+    };
+  }
+
+  // Control account balances next to the sub-ledger balances they summarise
+  // (foreign-currency entries at their base value, as posted)
+  static async reconcileSubLedgers(rows, asOf) {
+    const baseValue = {
+      $cond: [
+        { $gt: ['$exchangeRate', 0] },
+        {
+          $cond: [
+            { $gt: ['$debit', 0] },
+            '$baseAmount',
+            { $multiply: [-1, { $add: ['$baseAmount', { $ifNull: ['$realisedFxGain', 0] }] }] }
+          ]
+        },
+        { $subtract: ['$debit', '$credit'] }
+      ]
+    };
+    const subLedgers = await Ledger.aggregate([
+      { $match: { date: { $lte: asOf } } },
+      { $group: { _id: '$type', balance: { $sum: baseValue } } }
+    ]);
+    const subLedgerMap = new Map(subLedgers.map(row => [row._id, round(row.balance)]));
+
+    return Object.entries(CONTROL_ACCOUNTS).map(([type, systemKey]) => {
+      const controlBalance = rows.find(row => row.systemKey === systemKey)?.balance || 0;
+      const subLedgerBalance = subLedgerMap.get(type) || 0;
+      return {
+        subLedger: type,
+        account: systemKey,
+        controlBalance,
+        subLedgerBalance,
+        difference: round(controlBalance - subLedgerBalance),
+        agrees: round(controlBalance - subLedgerBalance) === 0
+      };
+    });
+  }
+
+  static async getBalanceSheet({ asOfDate } = {}) {
+    const asOf = this.parseEndDate(asOfDate);
+    const rows = await this.getAccountTotals({ endDate: asOf });
+
+    const section = (type) => {
+      const accounts = rows.filter(row => row.type === type && row.balance);
+      return { accounts, total: round(accounts.reduce((sum, row) => sum + row.balance, 0)) };
+    };
+    const assets = section('asset');
+    const liabilities = section('liability');
+    const equity = section('equity');
+
+    // Profit not yet closed to retained earnings
+    const currentEarnings = round(
+      rows.filter(row => row.type === 'revenue').reduce((sum, row) => sum + row.balance, 0) -
+      rows.filter(row => row.type === 'expense').reduce((sum, row) => sum + row.balance, 0)
+    );
+    equity.accounts.push({ code: null, name: 'Current Earnings', type: 'equity', balance: currentEarnings });
+    equity.total = round(equity.total + currentEarnings);
+
+    const totalLiabilitiesAndEquity = round(liabilities.total + equity.total);
+    return {
+      asOfDate: asOf,
+      assets,
+      liabilities,
+      equity,
+      totalAssets: assets.total,
+      totalLiabilitiesAndEquity,
+      balanced: assets.total === totalLiabilitiesAndEquity
+    };
+  }
+
+  static async getIncomeStatement({ startDate, endDate } = {}) {
+    const start = startDate ? new Date(startDate) : null;
+    if (start) {
+      if (isNaN(start.getTime())) throw buildServiceError('Invalid startDate');
+      start.setHours(0, 0, 0, 0);
+    }
+    const end = this.parseEndDate(endDate);
+    const rows = await this.getAccountTotals({ startDate: start, endDate: end });
+
+    const section = (filter) => {
+      const accounts = rows.filter(row => filter(row) && row.balance);
+      return { accounts, total: round(accounts.reduce((sum, row) => sum + row.balance, 0)) };
+    };
+    const revenue = section(row => row.type === 'revenue');
+    const costOfSales = section(row => row.type === 'expense' && row.code.startsWith('5'));
+    const expenses = section(row => row.type === 'expense' && !row.code.startsWith('5'));
+    const grossProfit = round(revenue.total - costOfSales.total);
+
+    return {
+      startDate: start,
+      endDate: end,
+      revenue,
+      costOfSales,
+      grossProfit,
+      expenses,
+      netIncome: round(grossProfit - expenses.total)
+    };
+  }
+
+  static parseEndDate(value) {
+    const date = value ? new Date(value) : new Date();
+    if (isNaN(date.getTime())) {
+      throw buildServiceError('Invalid date');
+    }
+    date.setHours(23, 59, 59, 999);
+    return date;
+  }
+}
+
+module.exports = GeneralLedgerService;
@@ -0,0 +1,128 @@
+/**
+ * PasswordResetService
+ *
+ * Self-service password reset: a random token is emailed to the user and only
+ * its SHA-256 hash is stored on the PasswordResetRequest. A token can be used
+ * once and expires after PASSWORD_RESET_TOKEN_TTL_MINUTES.
+ *
+ * The request stays 'pending' until the token is used, so it also appears in
+ * the admin password-reset queue; an admin can still complete it by hand when
+ * the email does not arrive.
+ */
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const PasswordResetRequest = require('../models/PasswordResetRequest');
+const SessionService = require('./SessionService');
+const { sendMail, escapeHtml } = require('../utils/mailer');
+
+const TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES, 10) || 30;
+
+const buildServiceError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const buildResetUrl = (token, email) => {
+  const base = process.env.PASSWORD_RESET_URL
+    || `${process.env.FRONTEND_URL || 'https://kifashion-website.vercel.app'}/reset-password`;
+  const separator = base.includes('?') ? '&' : '?';
+  return `${base}${separator}token=${token}&email=${encodeURIComponent(email)}`;
+};
+
+class PasswordResetService {
+  /**
+   * Issue a reset token and email it. Does nothing for unknown or inactive
+   * emails, so callers can answer identically either way.
+   * @param {string} email
+   * @param {string} portalSource
+   * @returns {Promise<Object|null>} The created request, or null when no user matched
+   */
+  static async requestReset(email, portalSource) {
+    const normalizedEmail = email.toLowerCase();
+    const user = await User.findOne({ email: normalizedEmail, isActive: true });
+    if (!user) {
+      return null;
+    }
+
+    // Only the most recent emailed link stays valid
+    await PasswordResetRequest.updateMany(
+      { email: normalizedEmail, status: 'pending', token: { $exists: true } },
+      { status: 'cancelled' }
+    );
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const request = await PasswordResetRequest.create({
+      userId: user._id,
+      email: normalizedEmail,
+      portalSource,
+      token: hashToken(token),
+      expiresAt: new Date(Date.now() + TOKEN_TTL_MINUTES * 60 * 1000)
+    });
+
+    const resetUrl = buildResetUrl(token, normalizedEmail);
+    try {
+      await sendMail({
+        to: normalizedEmail,
+        subject: 'Reset your password',
+        text: `Hello ${user.name},\n\n`
+          + `We received a request to reset your password. Open the link below to choose a new one:\n\n`
+          + `${resetUrl}\n\n`
+          + `The link expires in ${TOKEN_TTL_MINUTES} minutes and can only be used once. `
+          + `If you did not request a reset, you can ignore this email.`,
+        html: `<p>Hello ${escapeHtml(user.name)},</p>`
+          + `<p>We received a request to reset your password. Use the link below to choose a new one:</p>`
+          + `<p><a href="${escapeHtml(resetUrl)}">Reset password</a></p>`
+          + `<p>The link expires in ${TOKEN_TTL_MINUTES} minutes and can only be used once. `
+          + `If you did not request a reset, you can ignore this email.</p>`
+      });
+    } catch (error) {
+      // The request stays pending so an admin can complete it from the reset queue
+      console.error(`[Password Reset] Failed to send reset email to ${normalizedEmail}:`, error.message);
+    }
+
+    return request;
+  }
+
+  /**
+   * Consume a reset token and set the new password.
+   * The request is marked completed atomically, so a token works only once.
+   * @param {string} token - Token from the email
+   * @param {string} password - New password
+   * @returns {Promise<Object>} The user whose password was reset
+   */
+  static async resetPassword(token, password) {
+    const request = await PasswordResetRequest.findOneAndUpdate(
+      {
+        token: hashToken(token),
+        status: 'pending',
+        expiresAt: { $gt: new Date() }
+      },
+      { status: 'completed', completedAt: new Date() },
+      { new: true }
+    );
+
+    if (!request) {
+      throw buildServiceError('Invalid or expired reset token');
+    }
+
+    const user = await User.findOne({ _id: request.userId, isActive: true });
+    if (!user) {
+      throw buildServiceError('Invalid or expired reset token');
+    }
+
+    // Hashed by the User pre-save hook
+    user.password = password;
+    await user.save();
+    await SessionService.revokeUserSessions(user._id, 'password_changed');
+
+    // Any other outstanding requests for this account are no longer needed
+    await PasswordResetRequest.updateMany(
+      { email: request.email, status: 'pending' },
+      { status: 'completed', completedAt: new Date() }
+    );
+
+    return user;
+  }
+}
+
+module.exports = PasswordResetService;
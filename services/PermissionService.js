@@ -0,0 +1,89 @@
+/**
+ * PermissionService
+ *
+ * Resolves the effective permissions of a user:
+ *   role permissions (RolePermission, or DEFAULT_ROLE_PERMISSIONS)
+ *   + user.permissions (per-user grants)
+ *   - user.revokedPermissions (per-user revocations)
+ * super-admin always has every permission.
+ */
+
+const RolePermission = require('../models/RolePermission');
+const { PERMISSION_VALUES } = require('../utils/constants');
+
+// Role permissions are read on every guarded request, so keep them in memory
+// for a short while. Updates through this service invalidate the cache.
+const ROLE_CACHE_TTL_MS = 60 * 1000;
+const roleCache = new Map();
+
+class PermissionService {
+  static async getRolePermissions(role) {
+    const cached = roleCache.get(role);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.permissions;
+    }
+
+    const permissions = await RolePermission.getPermissionsForRole(role);
+    roleCache.set(role, { permissions, expiresAt: Date.now() + ROLE_CACHE_TTL_MS });
+    return permissions;
+  }
+
+  static invalidateRole(role) {
+    if (role) {
+      roleCache.delete(role);
+    } else {
+      roleCache.clear();
+    }
+  }
+
+  /**
+   * Get the effective permissions for a user
+   * @param {Object} user - User document (req.user)
+   * @returns {Array<string>} Sorted list of permission names
+   */
+  static async getEffectivePermissions(user) {
+    if (!user) return [];
+    if (user.role === 'super-admin') return [...PERMISSION_VALUES];
+
+    const rolePermissions = await this.getRolePermissions(user.role);
+    const effective = new Set([...rolePermissions, ...(user.permissions || [])]);
+    for (const revoked of user.revokedPermissions || []) {
+      effective.delete(revoked);
+    }
+    return Array.from(effective).sort();
+  }
+
+  /**
+   * Check a single permission
+   */
+  static async hasPermission(user, permission) {
+    if (!user) return false;
+    if (user.role === 'super-admin') return true;
+    const effective = await this.getEffectivePermissions(user);
+    return effective.includes(permission);
+  }
+
+  /**
+   * Set the permissions of a role (super-admin only, enforced by the route)
+   */
+  static async setRolePermissions(role, permissions, userId) {
+    const config = await RolePermission.findOneAndUpdate(
+      { role },
+      { $set: { permissions: Array.from(new Set(permissions)), updatedBy: userId } },
+      { new: true, upsert: true, runValidators: true }
+    );
+    this.invalidateRole(role);
+    return config;
+  }
+
+  /**
+   * Drop a role's configuration so it falls back to the defaults
+   */
+  static async resetRolePermissions(role) {
+    await RolePermission.deleteOne({ role });
+    this.invalidateRole(role);
+    return RolePermission.getPermissionsForRole(role);
+  }
+}
+
+module.exports = PermissionService;
@@ -0,0 +1,246 @@
+/**
+ * PriceListService
+ *
+ * Price lists give buyers their own prices: a wholesale tier shared by many buyers, or
+ * a list for one distributor (Buyer.priceList). A rule covers one product, one category
+ * or every product, from a minimum quantity (packets on packet lines, items on loose
+ * lines), and either fixes the price per item or takes a percentage off the website price.
+ *
+ * The rule for a line is the most specific one that matches (product, then category,
+ * then all) and, among those, the highest quantity break reached. In the portal cart and
+ * checkout the buyer pays the lower of the price-list price and the automatic campaign
+ * price. POST /api/sales uses the price-list price unless the line is priced by hand.
+ */
+
+const PriceList = require('../models/PriceList');
+const Buyer = require('../models/Buyer');
+const Product = require('../models/Product');
+const { getProductCampaignPricing, toMoney } = require('./CampaignPricingService');
+
+const buildServiceError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const SCOPE_RANK = { product: 0, category: 1, all: 2 };
+
+const ruleCovers = (rule, product, { quantity, inventoryType }) => {
+  if (rule.appliesTo && rule.appliesTo !== 'any' && rule.appliesTo !== inventoryType) return false;
+  if (quantity < (rule.minQuantity || 1)) return false;
+  if (rule.scope === 'product') return String(rule.product) === String(product._id);
+  if (rule.scope === 'category') return Boolean(rule.category) && rule.category === product.category;
+  return rule.scope === 'all';
+};
+
+const describeRule = (rule) => {
+  if (rule.label) return rule.label;
+  const target = rule.scope === 'product'
+    ? 'Product price'
+    : rule.scope === 'category' ? `Category ${rule.category}` : 'All products';
+  const price = rule.priceType === 'percentage' ? `${rule.value}% off` : `${toMoney(rule.value)} per item`;
+  return `${target}${rule.minQuantity > 1 ? ` from ${rule.minQuantity}` : ''}: ${price}`;
+};
+
+class PriceListService {
+  /**
+   * The rule that prices a line, or null when the list has none for it
+   * @param {Object} priceList - Lean price list
+   * @param {Object} product - Product with _id and category
+   * @param {Object} line - { quantity, inventoryType: 'packet'|'loose' }
+   */
+  static findRule(priceList, product, { quantity = 1, inventoryType = 'loose' } = {}) {
+    if (!priceList || !priceList.isActive || !product) return null;
+
+    const matches = (priceList.rules || [])
+      .filter(rule => ruleCovers(rule, product, { quantity, inventoryType }))
+      .sort((a, b) => (SCOPE_RANK[a.scope] - SCOPE_RANK[b.scope]) || ((b.minQuantity || 1) - (a.minQuantity || 1)));
+
+    return matches[0] || null;
+  }
+
+  /**
+   * Price of one unit of a line under a rule
+   * @param {number} basePrice - Website price of the unit (a packet or an item)
+   * @param {number} itemsPerUnit - Items in the unit; fixed prices are per item
+   */
+  static rulePrice(rule, basePrice, itemsPerUnit = 1) {
+    if (rule.priceType === 'percentage') {
+      const pct = Math.max(0, Math.min(100, Number(rule.value) || 0));
+      return toMoney(Math.max(0, basePrice - (basePrice * pct / 100)));
+    }
+    return toMoney((Number(rule.value) || 0) * Math.max(1, itemsPerUnit));
+  }
+
+  // What Sale line priceSource records for a rule
+  static ruleSource(priceList, rule) {
+    return {
+      source: 'price_list',
+      priceList: priceList._id,
+      rule: rule._id,
+      label: `${priceList.name}: ${describeRule(rule)}`
+    };
+  }
+
+  /**
+   * The active price list of a buyer
+   * @param {Object|string} buyer - Buyer (with priceList) or buyer ID
+   * @returns {Promise<Object|null>} Lean price list, or null
+   */
+  static async getBuyerPriceList(buyer) {
+    if (!buyer) return null;
+
+    let priceListId = buyer.priceList;
+    if (priceListId === undefined) {
+      const found = await Buyer.findById(buyer._id || buyer).select('priceList').lean();
+      priceListId = found?.priceList;
+    }
+    if (!priceListId) return null;
+
+    return PriceList.findOne({ _id: priceListId._id || priceListId, isActive: true }).lean();
+  }
+
+  /**
+   * Portal price of a line: the automatic campaign price, or the buyer's price-list
+   * price when that is lower. Same shape as getProductCampaignPricing plus priceSource.
+   * @param {Object} options - getProductCampaignPricing options plus
+   *   { priceList, quantity, inventoryType, itemsPerUnit }
+   */
+  static getLinePricing({ product, basePrice, campaigns, context, priceList, quantity, inventoryType, itemsPerUnit = 1 }) {
+    const pricing = getProductCampaignPricing({ product, basePrice, campaigns, context });
+    const rule = this.findRule(priceList, product, { quantity, inventoryType });
+
+    if (rule) {
+      const listPrice = this.rulePrice(rule, pricing.originalPrice, itemsPerUnit);
+      if (listPrice <= pricing.effectivePrice) {
+        return {
+          ...pricing,
+          effectivePrice: listPrice,
+          bestCampaign: null,
+          activeCampaigns: [],
+          priceSource: this.ruleSource(priceList, rule)
+        };
+      }
+    }
+
+    return {
+      ...pricing,
+      priceSource: pricing.bestCampaign
+        ? { source: 'campaign', campaign: pricing.bestCampaign._id, label: pricing.bestCampaign.name }
+        : { source: 'website' }
+    };
+  }
+
+  static async validateRules(rules = []) {
+    const productIds = [...new Set(rules.filter(rule => rule.scope === 'product').map(rule => String(rule.product)))];
+    if (productIds.length === 0) return;
+
+    const found = await Product.countDocuments({ _id: { $in: productIds } });
+    if (found !== productIds.length) {
+      throw buildServiceError('One or more rule products do not exist');
+    }
+  }
+
+  static async listPriceLists({ isActive, search, page = 1, limit = 20 } = {}) {
+    const filter = {};
+    if (isActive !== undefined) filter.isActive = isActive;
+    if (search) filter.name = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+
+    const [priceLists, total] = await Promise.all([
+      PriceList.find(filter)
+        .sort({ name: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      PriceList.countDocuments(filter)
+    ]);
+
+    const counts = await Buyer.aggregate([
+      { $match: { priceList: { $in: priceLists.map(priceList => priceList._id) } } },
+      { $group: { _id: '$priceList', count: { $sum: 1 } } }
+    ]);
+    const countMap = new Map(counts.map(entry => [String(entry._id), entry.count]));
+
+    return {
+      priceLists: priceLists.map(priceList => ({ ...priceList, buyerCount: countMap.get(String(priceList._id)) || 0 })),
+      total
+    };
+  }
+
+  static async getPriceList(id) {
+    const priceList = await PriceList.findById(id)
+      .populate('rules.product', 'name sku category pricing.sellingPrice pricing.minSellingPrice')
+      .lean();
+    if (!priceList) throw buildServiceError('Price list not found', 404);
+
+    const buyers = await Buyer.find({ priceList: priceList._id })
+      .select('name company customerType')
+      .sort({ name: 1 })
+      .lean();
+
+    return { ...priceList, buyers };
+  }
+
+  static async createPriceList(data, userId) {
+    if (await PriceList.exists({ name: data.name })) {
+      throw buildServiceError(`A price list named ${data.name} already exists`, 409);
+    }
+    await this.validateRules(data.rules);
+
+    return PriceList.create({ ...data, createdBy: userId, updatedBy: userId });
+  }
+
+  static async updatePriceList(id, data, userId) {
+    const priceList = await PriceList.findById(id);
+    if (!priceList) throw buildServiceError('Price list not found', 404);
+
+    if (data.name && data.name !== priceList.name && await PriceList.exists({ name: data.name })) {
+      throw buildServiceError(`A price list named ${data.name} already exists`, 409);
+    }
+    if (data.rules) await this.validateRules(data.rules);
+
+    const old = priceList.toObject();
+    Object.assign(priceList, data, { updatedBy: userId });
+    await priceList.save();
+    return { priceList, old };
+  }
+
+  static async deletePriceList(id) {
+    const priceList = await PriceList.findById(id);
+    if (!priceList) throw buildServiceError('Price list not found', 404);
+
+    const assigned = await Buyer.countDocuments({ priceList: priceList._id });
+    if (assigned > 0) {
+      throw buildServiceError(`Price list is assigned to ${assigned} buyer(s). Move them to another list first.`);
+    }
+
+    await priceList.deleteOne();
+    return priceList;
+  }
+
+  /**
+   * Put buyers on a price list and/or take them off it
+   * @param {Object} changes - { add: [buyerId], remove: [buyerId] }
+   * @returns {Promise<Object>} { added, removed }
+   */
+  static async assignBuyers(id, { add = [], remove = [] }) {
+    const priceList = await PriceList.findById(id).select('_id name').lean();
+    if (!priceList) throw buildServiceError('Price list not found', 404);
+
+    if (add.length > 0) {
+      const found = await Buyer.countDocuments({ _id: { $in: add } });
+      if (found !== new Set(add.map(String)).size) {
+        throw buildServiceError('One or more buyers do not exist');
+      }
+    }
+
+    const [added, removed] = await Promise.all([
+      add.length > 0
+        ? Buyer.updateMany({ _id: { $in: add } }, { $set: { priceList: priceList._id } })
+        : { modifiedCount: 0 },
+      remove.length > 0
+        ? Buyer.updateMany({ _id: { $in: remove }, priceList: priceList._id }, { $set: { priceList: null } })
+        : { modifiedCount: 0 }
+    ]);
+
+    return { priceList, added: added.modifiedCount, removed: removed.modifiedCount };
+  }
+}
+
+module.exports = PriceListService;
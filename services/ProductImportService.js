@@ -0,0 +1,541 @@
+/**
+ * ProductImportService
+ *
+ * Bulk product import from CSV or XLSX, and the export that produces the same
+ * columns, so an exported file can be edited and imported back.
+ *
+ * Each row is checked against the product Joi schema (schemas.product, plus
+ * the productCode column the import matches on), then
+ * matched to an existing product by productCode, else by sku (narrowed by the
+ * primary supplier when the SKU exists for several suppliers). Matched products
+ * are updated with the columns the row fills in; others are created. Sizes and
+ * colours become variantTracking.variants, one per size and colour. A dry run
+ * reports what each row would do without writing anything.
+ *
+ * Multi-value cells (season, sizes, colors, suppliers) are separated by "|".
+ * Suppliers are referenced by supplierId, _id, company or name; the suppliers
+ * column lists "reference:price" entries and the supplier column is the primary one.
+ */
+
+const { Readable } = require('stream');
+const mongoose = require('mongoose');
+const Joi = require('joi');
+const csv = require('csv-parser');
+const ExcelJS = require('exceljs');
+const Product = require('../models/Product');
+const Inventory = require('../models/Inventory');
+const Supplier = require('../models/Supplier');
+const { schemas } = require('../utils/validation');
+const { csvEscape } = require('../utils/reportExport');
+
+const buildServiceError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const rowSchema = schemas.product.keys({ productCode: Joi.string().trim().optional() });
+
+const COLUMNS = [
+  'sku', 'productCode', 'name', 'description', 'category', 'brand', 'season', 'unit',
+  'costPrice', 'sellingPrice', 'wholesalePrice', 'minSellingPrice', 'taxRate',
+  'reorderLevel', 'minStockLevel', 'maxStockLevel', 'barcode',
+  'supplier', 'suppliers', 'sizes', 'colors'
+];
+const LIST_SEPARATOR = '|';
+const MAX_IMPORT_ROWS = 5000;
+
+const PRICING_COLUMNS = ['costPrice', 'sellingPrice', 'wholesalePrice', 'minSellingPrice'];
+const STOCK_LEVEL_COLUMNS = ['reorderLevel', 'minStockLevel', 'maxStockLevel'];
+const TEXT_FIELDS = ['name', 'sku', 'productCode', 'description', 'category', 'brand', 'unit', 'barcode'];
+
+const splitList = (value) => String(value || '')
+  .split(LIST_SEPARATOR)
+  .map(item => item.trim())
+  .filter(Boolean);
+
+const variantSku = (sku, size, color) => [sku, size, color]
+  .filter(Boolean)
+  .join('-')
+  .toUpperCase()
+  .replace(/\s+/g, '-');
+
+// Header cells are matched to COLUMNS without regard to case or spaces
+const COLUMN_BY_HEADER = new Map(COLUMNS.map(column => [column.toLowerCase(), column]));
+const normalizeHeader = (header) => COLUMN_BY_HEADER.get(String(header || '').replace(/^﻿/, '').trim().replace(/\s+/g, '').toLowerCase());
+
+class ProductImportService {
+  static get COLUMNS() {
+    return COLUMNS;
+  }
+
+  /**
+   * Read the rows of an uploaded CSV or XLSX file (the first worksheet, with headers in row 1)
+   * @returns {Array} [{ row, values: { column → trimmed string } }], row numbers as in the file
+   */
+  static async parseFile(buffer, filename = '') {
+    const isXlsx = /\.xlsx$/i.test(filename);
+    const records = isXlsx ? await this.readXlsx(buffer) : await this.readCsv(buffer);
+
+    if (records.length > MAX_IMPORT_ROWS) {
+      throw buildServiceError(`The file has ${records.length} rows; import at most ${MAX_IMPORT_ROWS} at a time`);
+    }
+
+    return records
+      .map(({ row, record }) => {
+        const values = {};
+        for (const [header, value] of Object.entries(record)) {
+          const column = normalizeHeader(header);
+          if (column) values[column] = String(value ?? '').trim();
+        }
+        return { row, values };
+      })
+      .filter(({ values }) => Object.values(values).some(Boolean));
+  }
+
+  static readCsv(buffer) {
+    return new Promise((resolve, reject) => {
+      const records = [];
+      Readable.from([buffer])
+        .pipe(csv({ mapHeaders: ({ header }) => header.replace(/^﻿/, '').trim() }))
+        .on('data', record => records.push({ row: records.length + 2, record }))
+        .on('end', () => resolve(records))
+        .on('error', reject);
+    });
+  }
+
+  static async readXlsx(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.load(buffer);
+    } catch (error) {
+      throw buildServiceError('The file is not a valid XLSX workbook');
+    }
+
+    const worksheet = workbook.worksheets[0];
+    if (!worksheet) return [];
+
+    const headers = [];
+    worksheet.getRow(1).eachCell((cell, columnNumber) => {
+      headers[columnNumber] = cell.text;
+    });
+
+    const records = [];
+    worksheet.eachRow((row, rowNumber) => {
+      if (rowNumber === 1) return;
+      const record = {};
+      headers.forEach((header, columnNumber) => {
+        if (header) record[header] = row.getCell(columnNumber).text;
+      });
+      records.push({ row: rowNumber, record });
+    });
+    return records;
+  }
+
+  /**
+   * Resolve supplier references (supplierId, _id, company or name) used anywhere in the file
+   * @returns {Function} reference → { supplier } | { error }
+   */
+  static async buildSupplierResolver(rows) {
+    const references = new Set();
+    for (const { values } of rows) {
+      if (values.supplier) references.add(values.supplier);
+      splitList(values.suppliers).forEach(entry => references.add(this.parseSupplierEntry(entry).reference));
+    }
+
+    const list = [...references];
+    const suppliers = list.length === 0 ? [] : await Supplier.find({
+      $or: [
+        { _id: { $in: list.filter(reference => mongoose.Types.ObjectId.isValid(reference)) } },
+        { supplierId: { $in: list } },
+        { company: { $in: list } },
+        { name: { $in: list } }
+      ]
+    }).select('supplierId name company').lean();
+
+    return (reference) => {
+      const byId = suppliers.find(supplier => supplier._id.toString() === reference || supplier.supplierId === reference);
+      if (byId) return { supplier: byId };
+
+      const byName = suppliers.filter(supplier => supplier.company === reference || supplier.name === reference);
+      if (byName.length === 1) return { supplier: byName[0] };
+      if (byName.length > 1) return { error: `Supplier "${reference}" matches ${byName.length} suppliers; use its supplierId` };
+      return { error: `Supplier not found: ${reference}` };
+    };
+  }
+
+  // "reference:price" → { reference, price }; the price is optional
+  static parseSupplierEntry(entry) {
+    const separator = entry.lastIndexOf(':');
+    if (separator > 0 && /^\s*\d+(\.\d+)?\s*$/.test(entry.slice(separator + 1))) {
+      return { reference: entry.slice(0, separator).trim(), price: entry.slice(separator + 1).trim() };
+    }
+    return { reference: entry.trim(), price: undefined };
+  }
+
+  /**
+   * Turn a row into a product payload in the shape of POST /api/products
+   * @returns {Object} { payload, errors }
+   */
+  static buildPayload(values, resolveSupplier) {
+    const errors = [];
+    const payload = {};
+
+    for (const field of TEXT_FIELDS) {
+      if (values[field]) payload[field] = values[field];
+    }
+    if (values.season) payload.season = splitList(values.season).map(season => season.toLowerCase());
+    if (values.taxRate) payload.taxRate = values.taxRate;
+
+    const pricing = {};
+    PRICING_COLUMNS.forEach(column => { if (values[column]) pricing[column] = values[column]; });
+    if (Object.keys(pricing).length > 0) payload.pricing = pricing;
+
+    const stockLevels = {};
+    STOCK_LEVEL_COLUMNS.forEach(column => { if (values[column]) stockLevels[column] = values[column]; });
+    if (Object.keys(stockLevels).length > 0) payload.inventory = stockLevels;
+
+    const suppliers = [];
+    if (values.supplier) {
+      const { supplier, error } = resolveSupplier(values.supplier);
+      if (error) errors.push(error);
+      else payload.supplier = supplier._id.toString();
+    }
+    for (const entry of splitList(values.suppliers)) {
+      const { reference, price } = this.parseSupplierEntry(entry);
+      const { supplier, error } = resolveSupplier(reference);
+      if (error) {
+        errors.push(error);
+        continue;
+      }
+      suppliers.push({
+        supplier: supplier._id.toString(),
+        ...(price !== undefined && { supplierPrice: price }),
+        isPrimary: supplier._id.toString() === payload.supplier
+      });
+    }
+    if (payload.supplier && !suppliers.some(entry => entry.supplier === payload.supplier)) {
+      suppliers.unshift({ supplier: payload.supplier, isPrimary: true });
+    }
+    if (suppliers.length > 0) payload.suppliers = suppliers;
+
+    const sizes = splitList(values.sizes);
+    const colors = splitList(values.colors);
+    if (sizes.length > 0 || colors.length > 0) {
+      if (sizes.length === 0 || colors.length === 0) {
+        errors.push('sizes and colors must be given together');
+      } else {
+        payload.variantTracking = { enabled: true, availableSizes: sizes, availableColors: colors };
+      }
+    }
+
+    return { payload, errors };
+  }
+
+  // One variant per size and colour, keeping the SKU and stock of variants that already exist
+  static buildVariants(sku, sizes, colors, existing = []) {
+    const variants = [];
+    for (const size of sizes) {
+      for (const color of colors) {
+        const current = existing.find(variant => variant.size === size && variant.color === color);
+        variants.push({
+          size,
+          color,
+          sku: current?.sku || variantSku(sku, size, color),
+          currentStock: current?.currentStock || 0
+        });
+      }
+    }
+    // Variants dropped from the file are kept while they still hold stock
+    existing
+      .filter(variant => variant.currentStock > 0 && !variants.some(item => item.size === variant.size && item.color === variant.color))
+      .forEach(variant => variants.push(variant));
+    return variants;
+  }
+
+  /**
+   * Find the product a row refers to: by productCode, else by sku; several matches are
+   * narrowed by the primary supplier
+   * @returns {Object} { product } | { error } | {}
+   */
+  static matchProduct(payload, products) {
+    const sku = payload.sku?.toUpperCase();
+    let candidates = payload.productCode
+      ? products.filter(product => product.productCode === payload.productCode)
+      : [];
+    if (candidates.length === 0) {
+      candidates = products.filter(product => product.sku === sku);
+    }
+    if (candidates.length > 1 && payload.supplier) {
+      candidates = candidates.filter(product => product.supplier?.toString() === payload.supplier);
+    }
+
+    if (candidates.length > 1) {
+      return { error: `Matches ${candidates.length} products; add a supplier column to pick one` };
+    }
+    return candidates.length === 1 ? { product: candidates[0] } : {};
+  }
+
+  // Field paths an update would change, for the dry-run preview
+  static describeChanges(product, update) {
+    const changes = [];
+    const compare = (path, before, after) => {
+      const format = (value) => (Array.isArray(value) ? value.map(String).join(LIST_SEPARATOR) : String(value ?? ''));
+      if (format(before) !== format(after)) changes.push({ field: path, from: before ?? null, to: after });
+    };
+
+    for (const [field, value] of Object.entries(update)) {
+      if (field === 'pricing') {
+        Object.entries(value).forEach(([key, price]) => compare(`pricing.${key}`, product.pricing?.[key], price));
+      } else if (field === 'inventory') {
+        Object.entries(value).forEach(([key, level]) => compare(`inventory.${key}`, product.inventory?.[key], level));
+      } else if (field === 'suppliers') {
+        compare('suppliers', (product.suppliers || []).map(entry => `${entry.supplier}:${entry.supplierPrice ?? ''}`),
+          value.map(entry => `${entry.supplier}:${entry.supplierPrice ?? ''}`));
+      } else if (field === 'variantTracking') {
+        compare('sizes', product.variantTracking?.availableSizes || [], value.availableSizes);
+        compare('colors', product.variantTracking?.availableColors || [], value.availableColors);
+      } else {
+        compare(field, product[field], value);
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * Import products from a file. With dryRun nothing is written; otherwise valid rows are
+   * applied one by one and rows with errors are skipped.
+   * @returns {Object} { dryRun, summary, rows: [{ row, sku, productCode, action, productId, changes, errors }] }
+   */
+  static async importProducts(buffer, filename, { dryRun = true, userId } = {}) {
+    const rows = await this.parseFile(buffer, filename);
+    if (rows.length === 0) {
+      throw buildServiceError(`The file has no product rows. Expected columns: ${COLUMNS.join(', ')}`);
+    }
+
+    const resolveSupplier = await this.buildSupplierResolver(rows);
+    const skus = [...new Set(rows.map(({ values }) => values.sku?.toUpperCase()).filter(Boolean))];
+    const codes = [...new Set(rows.map(({ values }) => values.productCode).filter(Boolean))];
+    const products = await Product.find({ $or: [{ sku: { $in: skus } }, { productCode: { $in: codes } }] });
+
+    const results = [];
+    const seenProducts = new Set();
+    const seenKeys = new Set();
+
+    for (const { row, values } of rows) {
+      const result = { row, sku: values.sku?.toUpperCase() || null, productCode: values.productCode || null };
+      const { payload, errors } = this.buildPayload(values, resolveSupplier);
+
+      const { product, error: matchError } = errors.length === 0 ? this.matchProduct(payload, products) : {};
+      if (matchError) errors.push(matchError);
+
+      // New products must pass the full create schema; updates only the columns they fill in
+      const schema = product
+        ? rowSchema.fork(
+          ['name', 'sku', 'season', 'category', 'pricing', 'pricing.costPrice', 'pricing.sellingPrice'],
+          field => field.optional()
+        )
+        : rowSchema;
+      const { error: validationError, value } = schema.validate(payload, { abortEarly: false });
+      if (validationError) errors.push(...validationError.details.map(detail => detail.message));
+
+      if (!product && errors.length === 0 && !value.supplier) {
+        errors.push('supplier is required for new products');
+      }
+
+      const key = product ? product._id.toString() : `${result.sku}|${value?.supplier || ''}`;
+      if (errors.length === 0 && (seenProducts.has(key) || seenKeys.has(key))) {
+        errors.push('The same product appears on an earlier row');
+      }
+
+      if (errors.length > 0) {
+        results.push({ ...result, action: 'error', errors });
+        continue;
+      }
+      (product ? seenProducts : seenKeys).add(key);
+
+      // Only the columns present in the row are updated, not Joi defaults
+      const update = {};
+      Object.keys(payload).forEach(field => { update[field] = value[field]; });
+      if (update.pricing) update.pricing = Object.fromEntries(Object.keys(payload.pricing).map(key => [key, value.pricing[key]]));
+      if (update.inventory) update.inventory = Object.fromEntries(Object.keys(payload.inventory).map(key => [key, value.inventory[key]]));
+
+      if (product) {
+        const changes = this.describeChanges(product, update);
+        if (!dryRun && changes.length > 0) {
+          try {
+            await this.applyUpdate(product, update);
+          } catch (error) {
+            results.push({ ...result, action: 'error', productId: product._id, errors: [error.message] });
+            continue;
+          }
+        }
+        results.push({ ...result, action: changes.length > 0 ? 'update' : 'unchanged', productId: product._id, changes });
+      } else {
+        if (dryRun) {
+          results.push({ ...result, action: 'create' });
+          continue;
+        }
+        try {
+          const created = await this.applyCreate(value, userId);
+          results.push({ ...result, action: 'create', productId: created._id });
+        } catch (error) {
+          results.push({ ...result, action: 'error', errors: [error.code === 11000 ? 'A product with this SKU already exists for this supplier' : error.message] });
+        }
+      }
+    }
+
+    const count = (action) => results.filter(result => result.action === action).length;
+    return {
+      dryRun,
+      summary: {
+        rows: results.length,
+        create: count('create'),
+        update: count('update'),
+        unchanged: count('unchanged'),
+        errors: count('error')
+      },
+      rows: results
+    };
+  }
+
+  static async applyCreate(value, userId) {
+    const { inventory: stockLevels = {}, variantTracking, ...fields } = value;
+    const sku = fields.sku.toUpperCase();
+
+    const product = new Product({
+      ...fields,
+      sku,
+      inventory: stockLevels,
+      createdBy: userId,
+      ...(variantTracking && {
+        variantTracking: {
+          ...variantTracking,
+          variants: this.buildVariants(sku, variantTracking.availableSizes, variantTracking.availableColors)
+        }
+      })
+    });
+    await product.save();
+
+    // Stock itself is never imported; it comes in through dispatch orders and adjustments
+    await Inventory.create({
+      product: product._id,
+      currentStock: 0,
+      minStockLevel: stockLevels.minStockLevel || 0,
+      maxStockLevel: stockLevels.maxStockLevel || 1000,
+      reorderLevel: stockLevels.reorderLevel ?? 10,
+      averageCostPrice: fields.pricing.costPrice
+    });
+
+    return product;
+  }
+
+  static async applyUpdate(product, update) {
+    const { pricing, inventory: stockLevels, variantTracking, ...fields } = update;
+
+    Object.assign(product, fields);
+    if (fields.sku) product.sku = fields.sku.toUpperCase();
+    if (pricing) Object.entries(pricing).forEach(([key, price]) => { product.pricing[key] = price; });
+    if (stockLevels) Object.entries(stockLevels).forEach(([key, level]) => { product.inventory[key] = level; });
+    if (variantTracking) {
+      product.variantTracking = {
+        enabled: true,
+        availableSizes: variantTracking.availableSizes,
+        availableColors: variantTracking.availableColors,
+        variants: this.buildVariants(
+          product.sku,
+          variantTracking.availableSizes,
+          variantTracking.availableColors,
+          (product.variantTracking?.variants || []).map(variant => variant.toObject())
+        )
+      };
+    }
+    await product.save();
+
+    if (stockLevels) {
+      await Inventory.updateOne({ product: product._id }, { $set: stockLevels });
+    }
+    return product;
+  }
+
+  /**
+   * Export products in the import format
+   * @param {Object} filters - category, supplier, isActive
+   * @param {string} format - 'csv' or 'xlsx'
+   * @returns {Object} { filename, contentType, body }
+   */
+  static async exportProducts({ category, supplier, isActive } = {}, format = 'csv') {
+    const query = {};
+    if (category) query.category = category;
+    if (supplier) query.$or = [{ supplier }, { 'suppliers.supplier': supplier }];
+    if (isActive !== undefined) query.isActive = isActive === 'true' || isActive === true;
+
+    const products = await Product.find(query)
+      .populate('supplier', 'supplierId')
+      .populate('suppliers.supplier', 'supplierId')
+      .sort({ sku: 1 })
+      .lean();
+    const inventories = await Inventory.find({ product: { $in: products.map(product => product._id) } })
+      .select('product reorderLevel minStockLevel maxStockLevel')
+      .lean();
+    const inventoryMap = new Map(inventories.map(inventory => [inventory.product.toString(), inventory]));
+
+    // supplierId when the supplier has one, else its _id; both resolve on import
+    const supplierReference = (supplierDoc) => (supplierDoc ? supplierDoc.supplierId || supplierDoc._id.toString() : '');
+
+    const rows = products.map(product => {
+      const inventory = inventoryMap.get(product._id.toString()) || product.inventory || {};
+      const variantsEnabled = product.variantTracking?.enabled && product.variantTracking.availableSizes?.length > 0;
+      return {
+        sku: product.sku,
+        productCode: product.productCode || '',
+        name: product.name,
+        description: product.description || '',
+        category: product.category,
+        brand: product.brand || '',
+        season: (product.season || []).join(LIST_SEPARATOR),
+        unit: product.unit || '',
+        costPrice: product.pricing?.costPrice ?? '',
+        sellingPrice: product.pricing?.sellingPrice ?? '',
+        wholesalePrice: product.pricing?.wholesalePrice ?? '',
+        minSellingPrice: product.pricing?.minSellingPrice ?? '',
+        taxRate: product.taxRate ?? '',
+        reorderLevel: inventory.reorderLevel ?? '',
+        minStockLevel: inventory.minStockLevel ?? '',
+        maxStockLevel: inventory.maxStockLevel ?? '',
+        barcode: product.barcode || '',
+        supplier: supplierReference(product.supplier),
+        suppliers: (product.suppliers || [])
+          .filter(entry => entry.supplier)
+          .map(entry => {
+            const reference = supplierReference(entry.supplier);
+            return entry.supplierPrice !== undefined && entry.supplierPrice !== null ? `${reference}:${entry.supplierPrice}` : reference;
+          })
+          .join(LIST_SEPARATOR),
+        sizes: variantsEnabled ? product.variantTracking.availableSizes.join(LIST_SEPARATOR) : '',
+        colors: variantsEnabled ? (product.variantTracking.availableColors || []).join(LIST_SEPARATOR) : ''
+      };
+    });
+
+    const date = new Date().toISOString().split('T')[0];
+
+    if (format === 'xlsx') {
+      const workbook = new ExcelJS.Workbook();
+      const worksheet = workbook.addWorksheet('Products');
+      worksheet.columns = COLUMNS.map(column => ({ header: column, key: column, width: Math.max(column.length + 2, 14) }));
+      worksheet.getRow(1).font = { bold: true };
+      worksheet.addRows(rows);
+
+      return {
+        filename: `products-${date}.xlsx`,
+        contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        body: Buffer.from(await workbook.xlsx.writeBuffer())
+      };
+    }
+
+    const lines = [COLUMNS.join(','), ...rows.map(row => COLUMNS.map(column => csvEscape(row[column])).join(','))];
+    return {
+      filename: `products-${date}.csv`,
+      contentType: 'text/csv; charset=utf-8',
+      body: Buffer.from(`${lines.join('\r\n')}\r\n`, 'utf8')
+    };
+  }
+}
+
+module.exports = ProductImportService;
@@ -0,0 +1,446 @@
+/**
+ * PromoCodeService
+ *
+ * Coupon codes for campaigns that only apply with a code (Campaign.requiresCode).
+ * The campaign gives the discount and the products it covers (the same matching as
+ * automatic campaigns, CampaignPricingService.isProductEligible); the code adds the
+ * restrictions: usage limits per code and per buyer, a minimum order value,
+ * first-order-only, distributor-only and a list of buyers.
+ *
+ * One code per order. A code that is not stackable is worked out from the base price
+ * and only gives what it saves beyond the automatic campaign price; a stackable code
+ * discounts the automatic campaign price further.
+ *
+ * A use is reserved (pending) when the checkout is created, so limits hold while
+ * buyers pay, then redeemed when the payment succeeds or cancelled when it does not.
+ * Both limits are taken with conditional updates: the code's redemptionCount and a
+ * per-buyer use counter (Counter promoBuyerUses_<code>_<buyer>).
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const Counter = require('../models/Counter');
+const Campaign = require('../models/Campaign');
+const Buyer = require('../models/Buyer');
+const Sale = require('../models/Sale');
+const { calculateDiscountedPrice, isWindowActive, isProductEligible, toMoney } = require('./CampaignPricingService');
+
+const buildServiceError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const ACTIVE_REDEMPTION_STATUSES = ['pending', 'redeemed'];
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+const buyerUsesKey = (promoCodeId, buyerId) => `promoBuyerUses_${promoCodeId}_${buyerId}`;
+
+class PromoCodeService {
+  static normalizeCode(code) {
+    return normalizeCode(code);
+  }
+
+  static async ensureCodeCampaign(campaignId) {
+    const campaign = await Campaign.findById(campaignId).lean();
+    if (!campaign) throw buildServiceError('Campaign not found', 404);
+    if (!campaign.requiresCode) {
+      throw buildServiceError('Promo codes can only be linked to campaigns that require a code (requiresCode)');
+    }
+    return campaign;
+  }
+
+  static async listCodes({ campaign, isActive, search, page = 1, limit = 20 } = {}) {
+    const filter = {};
+    if (campaign) filter.campaign = campaign;
+    if (isActive !== undefined) filter.isActive = isActive;
+    if (search) filter.code = { $regex: normalizeCode(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&') };
+
+    const [codes, total] = await Promise.all([
+      PromoCode.find(filter)
+        .populate('campaign', 'name discountType discountValue startAt endAt status isActive')
+        .populate('buyers', 'name company')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      PromoCode.countDocuments(filter)
+    ]);
+
+    return { codes, total };
+  }
+
+  static async getCode(id) {
+    const promoCode = await PromoCode.findById(id)
+      .populate('campaign', 'name discountType discountValue startAt endAt status isActive')
+      .populate('buyers', 'name company');
+    if (!promoCode) throw buildServiceError('Promo code not found', 404);
+    return promoCode;
+  }
+
+  static async createCode(data, userId) {
+    await this.ensureCodeCampaign(data.campaign);
+
+    const code = normalizeCode(data.code);
+    if (await PromoCode.exists({ code })) {
+      throw buildServiceError(`Promo code ${code} already exists`, 409);
+    }
+
+    return PromoCode.create({ ...data, code, createdBy: userId, updatedBy: userId });
+  }
+
+  static async updateCode(id, data, userId) {
+    const promoCode = await PromoCode.findById(id);
+    if (!promoCode) throw buildServiceError('Promo code not found', 404);
+
+    if (data.campaign && String(data.campaign) !== String(promoCode.campaign)) {
+      if (promoCode.redemptionCount > 0) {
+        throw buildServiceError('The campaign of a code that has been used cannot be changed');
+      }
+      await this.ensureCodeCampaign(data.campaign);
+    }
+
+    const old = promoCode.toObject();
+    Object.assign(promoCode, data, { updatedBy: userId });
+    await promoCode.save();
+    return { promoCode, old };
+  }
+
+  // Codes that were never used are deleted; used ones are only deactivated so their history stays
+  static async deleteCode(id, userId) {
+    const promoCode = await PromoCode.findById(id);
+    if (!promoCode) throw buildServiceError('Promo code not found', 404);
+
+    if (await PromoRedemption.exists({ promoCode: promoCode._id })) {
+      promoCode.isActive = false;
+      promoCode.updatedBy = userId;
+      await promoCode.save();
+      return { promoCode, deactivated: true };
+    }
+
+    await promoCode.deleteOne();
+    return { promoCode, deactivated: false };
+  }
+
+  /**
+   * Create one single-use code per buyer, each restricted to that buyer
+   * @param {Object} data - { campaign, buyers, prefix, ...restrictions }
+   * @returns {Promise<Array>} The created codes
+   */
+  static async generateBuyerCodes({ buyers, prefix = '', ...restrictions }, userId) {
+    await this.ensureCodeCampaign(restrictions.campaign);
+
+    const found = await Buyer.find({ _id: { $in: buyers } }).select('_id').lean();
+    if (found.length !== new Set(buyers.map(String)).size) {
+      throw buildServiceError('One or more buyers do not exist');
+    }
+
+    const codePrefix = normalizeCode(prefix).replace(/[^A-Z0-9]/g, '');
+    const docs = found.map(buyer => ({
+      maxRedemptions: 1,
+      ...restrictions,
+      code: `${codePrefix}${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+      buyers: [buyer._id],
+      createdBy: userId,
+      updatedBy: userId
+    }));
+
+    return PromoCode.insertMany(docs);
+  }
+
+  /**
+   * Work out what a code takes off an order, or refuse it with the reason
+   * @param {String} code
+   * @param {Object} buyer - Buyer document (or lean object)
+   * @param {Array} lines - [{ key, product, basePrice, price, quantity, inventory }]; price is
+   *   the automatic campaign price per unit, basePrice the price before any campaign
+   * @returns {Promise<Object>} { promoCode, campaign, orderSubtotal, discountAmount, lines: [{ key, discount }] }
+   */
+  static async evaluate(code, buyer, lines) {
+    const normalized = normalizeCode(code);
+    const promoCode = normalized ? await PromoCode.findOne({ code: normalized }).lean() : null;
+    if (!promoCode || !promoCode.isActive) {
+      throw buildServiceError('This promo code is not valid');
+    }
+
+    const now = new Date();
+    const campaign = await Campaign.findById(promoCode.campaign).lean();
+    if (!campaign || !isWindowActive(campaign, now)
+      || (promoCode.validFrom && promoCode.validFrom > now)
+      || (promoCode.validUntil && promoCode.validUntil < now)) {
+      throw buildServiceError('This promo code has expired or is not active yet');
+    }
+
+    if (!buyer) {
+      throw buildServiceError('Log in to use a promo code');
+    }
+    if (promoCode.buyers?.length > 0 && !promoCode.buyers.some(id => String(id) === String(buyer._id))) {
+      throw buildServiceError('This promo code is not available for your account');
+    }
+    if (promoCode.distributorOnly && buyer.customerType !== 'distributor') {
+      throw buildServiceError('This promo code is for distributors only');
+    }
+
+    if (promoCode.maxRedemptions !== null && promoCode.maxRedemptions !== undefined
+      && promoCode.redemptionCount >= promoCode.maxRedemptions) {
+      throw buildServiceError('This promo code has reached its usage limit');
+    }
+
+    const [buyerUses, previousOrder] = await Promise.all([
+      PromoRedemption.countDocuments({
+        promoCode: promoCode._id,
+        buyer: buyer._id,
+        status: { $in: ACTIVE_REDEMPTION_STATUSES }
+      }),
+      promoCode.firstOrderOnly
+        ? Sale.exists({
+          buyer: buyer._id,
+          paymentStatus: { $ne: 'failed' },
+          deliveryStatus: { $ne: 'cancelled' }
+        })
+        : Promise.resolve(null)
+    ]);
+
+    if (promoCode.maxRedemptionsPerBuyer && buyerUses >= promoCode.maxRedemptionsPerBuyer) {
+      throw buildServiceError('You have already used this promo code');
+    }
+    if (previousOrder) {
+      throw buildServiceError('This promo code is only valid on your first order');
+    }
+
+    const orderSubtotal = toMoney(lines.reduce((sum, line) => sum + line.price * line.quantity, 0));
+    if (orderSubtotal < (promoCode.minOrderValue || 0)) {
+      throw buildServiceError(`This promo code needs an order of at least £${promoCode.minOrderValue.toFixed(2)}`);
+    }
+
+    const lineDiscounts = lines.map(line => {
+      const eligible = isProductEligible(line.product, campaign, {
+        inventory: line.inventory,
+        candidateProductIds: [line.product._id]
+      });
+      if (!eligible) return { key: line.key, discount: 0 };
+
+      const codePrice = promoCode.stackable
+        ? calculateDiscountedPrice(line.price, campaign)
+        : calculateDiscountedPrice(line.basePrice, campaign);
+      const unitSaving = Math.max(0, line.price - codePrice);
+      return { key: line.key, discount: toMoney(unitSaving * line.quantity) };
+    });
+
+    const discountAmount = toMoney(lineDiscounts.reduce((sum, line) => sum + line.discount, 0));
+    if (discountAmount <= 0) {
+      throw buildServiceError(promoCode.stackable
+        ? 'This promo code does not apply to any item in your cart'
+        : 'This promo code does not apply to any item in your cart, or current offers are already better');
+    }
+
+    return {
+      promoCode,
+      campaign,
+      orderSubtotal,
+      discountAmount,
+      lines: lineDiscounts
+    };
+  }
+
+  /**
+   * Take one of the buyer's uses of a code, unless they have used them all.
+   * The counter starts from the buyer's uses recorded so far.
+   */
+  static async reserveBuyerUse(promoCode, buyerId) {
+    const key = buyerUsesKey(promoCode._id, buyerId);
+    if (!(await Counter.exists({ _id: key }))) {
+      const uses = await PromoRedemption.countDocuments({
+        promoCode: promoCode._id,
+        buyer: buyerId,
+        status: { $in: ACTIVE_REDEMPTION_STATUSES }
+      });
+      try {
+        await Counter.updateOne({ _id: key }, { $setOnInsert: { seq: uses } }, { upsert: true });
+      } catch (error) {
+        // Another checkout created it first
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    const filter = { _id: key };
+    if (promoCode.maxRedemptionsPerBuyer) {
+      filter.seq = { $lt: promoCode.maxRedemptionsPerBuyer };
+    }
+    return !!(await Counter.findOneAndUpdate(filter, { $inc: { seq: 1 } }));
+  }
+
+  static async releaseBuyerUse(promoCodeId, buyerId) {
+    await Counter.updateOne({ _id: buyerUsesKey(promoCodeId, buyerId), seq: { $gt: 0 } }, { $inc: { seq: -1 } });
+  }
+
+  /**
+   * Reserve a use of the code for a sale awaiting payment. The per-code and per-buyer
+   * limits are checked atomically here, so two checkouts cannot take the last use.
+   */
+  static async reserveRedemption({ promoCode, campaign, buyerId, saleId, orderSubtotal, discountAmount }) {
+    if (!(await this.reserveBuyerUse(promoCode, buyerId))) {
+      throw buildServiceError('You have already used this promo code');
+    }
+
+    const filter = { _id: promoCode._id, isActive: true };
+    if (promoCode.maxRedemptions !== null && promoCode.maxRedemptions !== undefined) {
+      filter.redemptionCount = { $lt: promoCode.maxRedemptions };
+    }
+
+    const updated = await PromoCode.findOneAndUpdate(filter, { $inc: { redemptionCount: 1 } }, { new: true });
+    if (!updated) {
+      await this.releaseBuyerUse(promoCode._id, buyerId);
+      throw buildServiceError('This promo code has reached its usage limit');
+    }
+
+    try {
+      return await PromoRedemption.create({
+        promoCode: promoCode._id,
+        code: promoCode.code,
+        campaign: campaign._id,
+        buyer: buyerId,
+        sale: saleId,
+        orderSubtotal,
+        discountAmount
+      });
+    } catch (error) {
+      await PromoCode.updateOne({ _id: promoCode._id }, { $inc: { redemptionCount: -1 } });
+      await this.releaseBuyerUse(promoCode._id, buyerId);
+      throw error;
+    }
+  }
+
+  // The sale was paid
+  static async confirmRedemption(saleId) {
+    return PromoRedemption.findOneAndUpdate(
+      { sale: saleId, status: 'pending' },
+      { $set: { status: 'redeemed', redeemedAt: new Date() } },
+      { new: true }
+    );
+  }
+
+  // The checkout expired or failed: give the use back
+  static async releaseRedemption(saleId) {
+    const redemption = await PromoRedemption.findOneAndUpdate(
+      { sale: saleId, status: 'pending' },
+      { $set: { status: 'cancelled', cancelledAt: new Date() } },
+      { new: true }
+    );
+    if (redemption) {
+      await PromoCode.updateOne(
+        { _id: redemption.promoCode, redemptionCount: { $gt: 0 } },
+        { $inc: { redemptionCount: -1 } }
+      );
+      await this.releaseBuyerUse(redemption.promoCode, redemption.buyer);
+    }
+    return redemption;
+  }
+
+  static async listRedemptions(promoCodeId, { status, page = 1, limit = 20 } = {}) {
+    const filter = { promoCode: promoCodeId };
+    if (status) filter.status = status;
+
+    const [redemptions, total] = await Promise.all([
+      PromoRedemption.find(filter)
+        .populate('buyer', 'name company')
+        .populate('sale', 'saleNumber grandTotal paymentStatus saleDate')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      PromoRedemption.countDocuments(filter)
+    ]);
+
+    return { redemptions, total };
+  }
+
+  /**
+   * Redemptions per campaign and per code
+   * @param {Object} filters - { campaign, startDate, endDate, includePending }
+   */
+  static async getRedemptionReport({ campaign, startDate, endDate, includePending = false } = {}) {
+    const match = { status: { $in: includePending ? ACTIVE_REDEMPTION_STATUSES : ['redeemed'] } };
+    if (campaign) match.campaign = new mongoose.Types.ObjectId(campaign);
+    if (startDate || endDate) {
+      match.createdAt = {};
+      if (startDate) match.createdAt.$gte = new Date(startDate);
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setUTCHours(23, 59, 59, 999);
+        match.createdAt.$lte = end;
+      }
+    }
+
+    const [byCode, campaigns] = await Promise.all([
+      PromoRedemption.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: { campaign: '$campaign', promoCode: '$promoCode' },
+            code: { $first: '$code' },
+            redemptions: { $sum: 1 },
+            discountTotal: { $sum: '$discountAmount' },
+            orderValue: { $sum: '$orderSubtotal' },
+            buyers: { $addToSet: '$buyer' }
+          }
+        },
+        { $sort: { redemptions: -1 } }
+      ]),
+      Campaign.find(campaign ? { _id: campaign } : {}).select('name discountType discountValue').lean()
+    ]);
+
+    const campaignNames = new Map(campaigns.map(entry => [String(entry._id), entry]));
+    const byCampaign = new Map();
+
+    const codes = byCode.map(entry => {
+      const campaignId = String(entry._id.campaign);
+      const row = {
+        campaignId,
+        campaignName: campaignNames.get(campaignId)?.name || null,
+        promoCodeId: entry._id.promoCode,
+        code: entry.code,
+        redemptions: entry.redemptions,
+        uniqueBuyers: entry.buyers.length,
+        discountTotal: toMoney(entry.discountTotal),
+        orderValue: toMoney(entry.orderValue)
+      };
+
+      const total = byCampaign.get(campaignId) || {
+        campaignId,
+        campaignName: row.campaignName,
+        discountType: campaignNames.get(campaignId)?.discountType,
+        discountValue: campaignNames.get(campaignId)?.discountValue,
+        codesUsed: 0,
+        redemptions: 0,
+        buyers: new Set(),
+        discountTotal: 0,
+        orderValue: 0
+      };
+      total.codesUsed += 1;
+      total.redemptions += entry.redemptions;
+      entry.buyers.forEach(buyer => total.buyers.add(String(buyer)));
+      total.discountTotal += entry.discountTotal;
+      total.orderValue += entry.orderValue;
+      byCampaign.set(campaignId, total);
+
+      return row;
+    });
+
+    const campaignRows = [...byCampaign.values()].map(({ buyers, ...row }) => ({
+      ...row,
+      uniqueBuyers: buyers.size,
+      discountTotal: toMoney(row.discountTotal),
+      orderValue: toMoney(row.orderValue)
+    }));
+
+    return {
+      campaigns: campaignRows,
+      codes,
+      summary: {
+        redemptions: campaignRows.reduce((sum, row) => sum + row.redemptions, 0),
+        discountTotal: toMoney(campaignRows.reduce((sum, row) => sum + row.discountTotal, 0)),
+        orderValue: toMoney(campaignRows.reduce((sum, row) => sum + row.orderValue, 0))
+      }
+    };
+  }
+}
+
+module.exports = PromoCodeService;
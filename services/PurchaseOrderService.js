@@ -0,0 +1,225 @@
+/**
+ * PurchaseOrderService
+ *
+ * Links dispatch orders to the purchase order they fulfil and reports what
+ * was ordered, dispatched, received and is still outstanding per PO line.
+ *
+ * Fulfilment is always derived from the dispatch orders referencing the PO
+ * (cancelled ones excluded), so creating, confirming or deleting a dispatch
+ * order never leaves stale counters behind; only the PO status is stored.
+ */
+
+const mongoose = require('mongoose');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const DispatchOrder = require('../models/DispatchOrder');
+
+const buildServiceError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+// Statuses in which suppliers may dispatch against a PO
+const DISPATCHABLE_STATUSES = ['accepted', 'partially_dispatched'];
+// Statuses whose value is derived from dispatched quantities
+const FULFILMENT_STATUSES = ['accepted', 'partially_dispatched', 'fulfilled'];
+// Dispatch order statuses in which the goods have been booked into stock
+const RECEIVED_ORDER_STATUSES = ['confirmed', 'delivered'];
+
+const normalizeCode = (value) => String(value || '').trim().toUpperCase();
+
+class PurchaseOrderService {
+  /**
+   * Validate a PO reference on a new dispatch order and link its items to PO lines.
+   * Items carrying purchaseOrderLine are checked against the PO; other items are
+   * matched by product ID or product code. Items that match no line stay unlinked.
+   * @param {string} purchaseOrderId - PO referenced by the dispatch order
+   * @param {string} supplierId - Supplier of the dispatch order
+   * @param {Array} items - Dispatch order items (mutated with purchaseOrderLine)
+   * @param {Object} [session] - Mongoose session
+   * @param {Object} [options] - { previousItems: items of an order already linked to this PO;
+   *   only quantity added on top of them needs the PO to still be dispatchable }
+   * @returns {Object} PurchaseOrder document
+   */
+  static async linkDispatchItems(purchaseOrderId, supplierId, items, session = null, { previousItems = null } = {}) {
+    if (!mongoose.Types.ObjectId.isValid(purchaseOrderId)) {
+      throw buildServiceError('Invalid purchase order ID', 400);
+    }
+
+    let query = PurchaseOrder.findById(purchaseOrderId);
+    if (session) query = query.session(session);
+    const purchaseOrder = await query;
+
+    if (!purchaseOrder) {
+      throw buildServiceError('Purchase order not found', 404);
+    }
+    if (purchaseOrder.supplier.toString() !== supplierId.toString()) {
+      throw buildServiceError(`Purchase order ${purchaseOrder.poNumber} belongs to a different supplier`, 400);
+    }
+    const linesById = new Map(purchaseOrder.items.map(line => [line._id.toString(), line]));
+
+    for (const item of items) {
+      if (item.purchaseOrderLine) {
+        if (!linesById.has(item.purchaseOrderLine.toString())) {
+          throw buildServiceError(`Line ${item.purchaseOrderLine} is not part of purchase order ${purchaseOrder.poNumber}`, 400);
+        }
+        continue;
+      }
+
+      const productId = item.product?._id || item.product;
+      const code = normalizeCode(item.productCode);
+      const line = purchaseOrder.items.find(poLine =>
+        (productId && poLine.product && poLine.product.toString() === productId.toString()) ||
+        (code && normalizeCode(poLine.productCode) === code)
+      );
+      if (line) {
+        item.purchaseOrderLine = line._id;
+      }
+    }
+
+    if (!DISPATCHABLE_STATUSES.includes(purchaseOrder.status)
+      && (!previousItems || this.addsLineQuantity(previousItems, items))) {
+      throw buildServiceError(`Cannot dispatch against purchase order ${purchaseOrder.poNumber} with status '${purchaseOrder.status}'`, 400);
+    }
+
+    return purchaseOrder;
+  }
+
+  // Whether the edited items dispatch more of any PO line than the items they replace
+  static addsLineQuantity(previousItems, items) {
+    const quantityByLine = (list) => list.reduce((byLine, item) => {
+      if (!item.purchaseOrderLine) return byLine;
+      const key = item.purchaseOrderLine.toString();
+      byLine.set(key, (byLine.get(key) || 0) + (item.quantity || 0));
+      return byLine;
+    }, new Map());
+
+    const before = quantityByLine(previousItems);
+    return [...quantityByLine(items)].some(([line, quantity]) => quantity > (before.get(line) || 0));
+  }
+
+  /**
+   * Sum dispatched and received quantities per PO line
+   * @param {Array} purchaseOrderIds - PO IDs
+   * @returns {Map} lineId → { dispatched, received, dispatchOrders }
+   */
+  static async getDispatchedByLine(purchaseOrderIds) {
+    const rows = await DispatchOrder.aggregate([
+      {
+        $match: {
+          purchaseOrder: { $in: purchaseOrderIds.map(id => new mongoose.Types.ObjectId(id)) },
+          status: { $ne: 'cancelled' }
+        }
+      },
+      { $unwind: { path: '$items', includeArrayIndex: 'itemIndex' } },
+      { $match: { 'items.purchaseOrderLine': { $ne: null } } },
+      {
+        $project: {
+          line: '$items.purchaseOrderLine',
+          quantity: '$items.quantity',
+          // Received quantity is the confirmed quantity once the order is booked into stock
+          received: {
+            $cond: [
+              { $in: ['$status', RECEIVED_ORDER_STATUSES] },
+              {
+                $ifNull: [
+                  {
+                    $arrayElemAt: [{
+                      $map: {
+                        input: {
+                          $filter: {
+                            input: { $ifNull: ['$confirmedQuantities', []] },
+                            cond: { $eq: ['$$this.itemIndex', '$itemIndex'] }
+                          }
+                        },
+                        in: '$$this.quantity'
+                      }
+                    }, 0]
+                  },
+                  '$items.quantity'
+                ]
+              },
+              0
+            ]
+          }
+        }
+      },
+      {
+        $group: {
+          _id: '$line',
+          dispatched: { $sum: '$quantity' },
+          received: { $sum: '$received' },
+          dispatchOrders: { $addToSet: '$_id' }
+        }
+      }
+    ]);
+
+    return new Map(rows.map(row => [row._id.toString(), row]));
+  }
+
+  /**
+   * Build ordered / dispatched / received / outstanding figures per PO line
+   * @param {Object} purchaseOrder - PurchaseOrder document or lean object
+   * @param {Map} dispatchedByLine - Optional result of getDispatchedByLine
+   * @returns {Object} { lines, totals }
+   */
+  static async getFulfillment(purchaseOrder, dispatchedByLine = null) {
+    const byLine = dispatchedByLine || await this.getDispatchedByLine([purchaseOrder._id]);
+
+    const totals = { ordered: 0, dispatched: 0, received: 0, outstanding: 0 };
+    const lines = purchaseOrder.items.map(line => {
+      const row = byLine.get(line._id.toString());
+      const dispatched = row?.dispatched || 0;
+      const received = row?.received || 0;
+      const outstanding = Math.max(0, line.quantity - dispatched);
+
+      totals.ordered += line.quantity;
+      totals.dispatched += dispatched;
+      totals.received += received;
+      totals.outstanding += outstanding;
+
+      return {
+        lineId: line._id,
+        product: line.product,
+        productName: line.productName,
+        productCode: line.productCode,
+        targetCostPrice: line.targetCostPrice,
+        ordered: line.quantity,
+        dispatched,
+        received,
+        outstanding,
+        dispatchOrders: row?.dispatchOrders || []
+      };
+    });
+
+    return { lines, totals };
+  }
+
+  /**
+   * Recompute the fulfilment status of a PO after its dispatch orders changed.
+   * POs that are not in a fulfilment status (draft, countered, closed, ...) are left untouched.
+   * @param {string} purchaseOrderId - PO ID (no-op when empty)
+   */
+  static async refreshStatus(purchaseOrderId) {
+    if (!purchaseOrderId) return null;
+
+    const purchaseOrder = await PurchaseOrder.findById(purchaseOrderId);
+    if (!purchaseOrder || !FULFILMENT_STATUSES.includes(purchaseOrder.status)) {
+      return purchaseOrder;
+    }
+
+    const { totals } = await this.getFulfillment(purchaseOrder);
+    let status = 'accepted';
+    if (totals.outstanding === 0) {
+      status = 'fulfilled';
+    } else if (totals.dispatched > 0) {
+      status = 'partially_dispatched';
+    }
+
+    if (purchaseOrder.status !== status) {
+      purchaseOrder.status = status;
+      await purchaseOrder.save();
+    }
+    return purchaseOrder;
+  }
+}
+
+PurchaseOrderService.DISPATCHABLE_STATUSES = DISPATCHABLE_STATUSES;
+
+module.exports = PurchaseOrderService;
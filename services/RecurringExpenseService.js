@@ -0,0 +1,269 @@
+/**
+ * RecurringExpenseService
+ *
+ * An expense with isRecurring=true is the template of a series. Its
+ * nextRecurringDate is the next occurrence still to be generated. Generated
+ * expenses are plain, pending expenses pointing back to the template through
+ * recurringSource/recurrenceDate. A unique index on that pair makes
+ * generation idempotent across restarts and concurrent runs. An occurrence
+ * dated in a closed accounting period or VAT return is not generated; the
+ * series moves past it and the run reports it.
+ */
+
+const Expense = require('../models/Expense');
+const AccountingPeriod = require('../models/AccountingPeriod');
+const VatReturnService = require('./VatReturnService');
+
+const buildServiceError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+// Safety net so a series that is far behind cannot generate unbounded expenses in one run
+const MAX_OCCURRENCES_PER_RUN = 24;
+
+const sameDay = (a, b) => new Date(a).toDateString() === new Date(b).toDateString();
+
+class RecurringExpenseService {
+  /**
+   * Advance an occurrence date by one period.
+   * Monthly and longer periods keep the anchor day, clamped to the month length,
+   * so a series starting on the 31st falls on the last day of shorter months.
+   * @param {Date} date - Current occurrence
+   * @param {string} frequency - daily | weekly | monthly | quarterly | yearly
+   * @param {number} anchorDay - Day of month the series started on
+   * @returns {Date} Next occurrence
+   */
+  static advanceDate(date, frequency, anchorDay = null) {
+    const next = new Date(date);
+
+    if (frequency === 'daily') {
+      next.setDate(next.getDate() + 1);
+      return next;
+    }
+    if (frequency === 'weekly') {
+      next.setDate(next.getDate() + 7);
+      return next;
+    }
+
+    const months = { monthly: 1, quarterly: 3, yearly: 12 }[frequency];
+    if (!months) {
+      throw buildServiceError(`Unknown recurring frequency: ${frequency}`);
+    }
+
+    const day = anchorDay || next.getDate();
+    next.setDate(1);
+    next.setMonth(next.getMonth() + months);
+    const daysInMonth = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
+    next.setDate(Math.min(day, daysInMonth));
+    return next;
+  }
+
+  static getAnchorDay(template) {
+    return new Date(template.expenseDate || template.nextRecurringDate).getDate();
+  }
+
+  static isSkipped(template, date) {
+    return (template.skippedRecurrenceDates || []).some(skipped => sameDay(skipped, date));
+  }
+
+  static isPastEnd(template, date) {
+    if (!template.recurringEndDate) return false;
+    const end = new Date(template.recurringEndDate);
+    end.setHours(23, 59, 59, 999);
+    return date > end;
+  }
+
+  /**
+   * First occurrence after the template's own expense date
+   */
+  static getFirstRecurrenceDate(expenseDate, frequency) {
+    const start = new Date(expenseDate || Date.now());
+    return this.advanceDate(start, frequency, start.getDate());
+  }
+
+  /**
+   * List the next occurrences of a series
+   * @param {Object} template - Recurring expense
+   * @param {Date} until - Last date to include
+   * @param {number} limit - Maximum number of occurrences
+   * @returns {Array} [{ date, skipped }]
+   */
+  static getUpcomingOccurrences(template, until, limit = 12) {
+    const occurrences = [];
+    if (!template.isRecurring || !template.nextRecurringDate || !template.recurringFrequency) {
+      return occurrences;
+    }
+
+    const anchorDay = this.getAnchorDay(template);
+    let date = new Date(template.nextRecurringDate);
+    while (date <= until && occurrences.length < limit && !this.isPastEnd(template, date)) {
+      occurrences.push({ date: new Date(date), skipped: this.isSkipped(template, date) });
+      date = this.advanceDate(date, template.recurringFrequency, anchorDay);
+    }
+    return occurrences;
+  }
+
+  /**
+   * Throws 423 when the occurrence date is in a closed accounting period or VAT return
+   */
+  static async assertOccurrenceOpen(date) {
+    await AccountingPeriod.assertDateOpen(date);
+    await VatReturnService.assertDatesUnfiled([date]);
+  }
+
+  /**
+   * Create the pending expense for one occurrence. Returns null when it already exists.
+   */
+  static async createOccurrence(template, date) {
+    try {
+      const expense = new Expense({
+        expenseNumber: await Expense.generateExpenseNumber(),
+        description: template.description,
+        costType: template.costType,
+        dispatchOrder: template.dispatchOrder,
+        amount: template.amount,
+        cashAmount: template.cashAmount,
+        bankAmount: template.bankAmount,
+        paymentMethod: template.paymentMethod,
+        expenseDate: date,
+        vendor: template.vendor,
+        taxAmount: template.taxAmount,
+        notes: template.notes,
+        status: 'pending',
+        recurringSource: template._id,
+        recurrenceDate: date,
+        createdBy: template.createdBy
+      });
+      await expense.save();
+      return expense;
+    } catch (error) {
+      if (error.code === 11000 && error.keyPattern?.recurringSource) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Generate all due occurrences of one series and advance nextRecurringDate.
+   * The date is only advanced when it still holds the value we read, so two
+   * concurrent runs never advance a series twice.
+   * @param {Array} [locked] - Collects { expenseNumber, date, message } for occurrences in a closed period
+   * @returns {number} Number of expenses created
+   */
+  static async processTemplate(template, now = new Date(), locked = []) {
+    const anchorDay = this.getAnchorDay(template);
+    let current = new Date(template.nextRecurringDate);
+    let created = 0;
+
+    for (let i = 0; i < MAX_OCCURRENCES_PER_RUN && current <= now; i++) {
+      if (this.isPastEnd(template, current)) {
+        await Expense.updateOne(
+          { _id: template._id, nextRecurringDate: current },
+          { $set: { isRecurring: false }, $unset: { nextRecurringDate: 1 } }
+        );
+        return created;
+      }
+
+      if (!this.isSkipped(template, current)) {
+        try {
+          await this.assertOccurrenceOpen(current);
+          const expense = await this.createOccurrence(template, current);
+          if (expense) created++;
+        } catch (error) {
+          if (error.status !== 423) throw error;
+          locked.push({ expenseNumber: template.expenseNumber, date: new Date(current), message: error.message });
+        }
+      }
+
+      const next = this.advanceDate(current, template.recurringFrequency, anchorDay);
+      const result = await Expense.updateOne(
+        { _id: template._id, nextRecurringDate: current },
+        {
+          $set: { nextRecurringDate: next },
+          $pull: { skippedRecurrenceDates: { $lte: current } }
+        }
+      );
+      if (result.modifiedCount === 0) {
+        // Another run advanced or changed this series
+        return created;
+      }
+      current = next;
+    }
+
+    return created;
+  }
+
+  /**
+   * Generate every due occurrence across all recurring series
+   * @returns {Object} { series, created, locked } - locked lists the occurrences left out because their period is closed
+   */
+  static async materialiseDueExpenses(now = new Date()) {
+    const templates = await Expense.find({
+      isRecurring: true,
+      recurringFrequency: { $exists: true, $ne: null },
+      nextRecurringDate: { $lte: now }
+    }).limit(100);
+
+    let created = 0;
+    const locked = [];
+    for (const template of templates) {
+      try {
+        created += await this.processTemplate(template, now, locked);
+      } catch (error) {
+        console.error(`[Recurring Expenses] Error processing ${template.expenseNumber}:`, error.message);
+      }
+    }
+
+    return { series: templates.length, created, locked };
+  }
+
+  /**
+   * Skip one upcoming occurrence (defaults to the next one)
+   * @param {string} templateId - Recurring expense ID
+   * @param {Date} [date] - Occurrence to skip
+   */
+  static async skipOccurrence(templateId, date = null) {
+    const template = await Expense.findById(templateId);
+    if (!template) throw buildServiceError('Expense not found', 404);
+    if (!template.isRecurring || !template.nextRecurringDate) {
+      throw buildServiceError('Expense is not an active recurring series');
+    }
+
+    const target = date ? new Date(date) : new Date(template.nextRecurringDate);
+    const upcoming = this.getUpcomingOccurrences(template, new Date(target.getTime() + 24 * 60 * 60 * 1000), 1000);
+    const occurrence = upcoming.find(o => sameDay(o.date, target));
+    if (!occurrence) {
+      throw buildServiceError(`${target.toDateString()} is not an upcoming occurrence of this series`);
+    }
+    if (occurrence.skipped) {
+      throw buildServiceError(`${target.toDateString()} is already skipped`);
+    }
+
+    template.skippedRecurrenceDates.push(occurrence.date);
+    await template.save();
+    return { template, skippedDate: occurrence.date };
+  }
+
+  /**
+   * End a recurring series: no occurrences after endDate are generated
+   * @param {string} templateId - Recurring expense ID
+   * @param {Date} [endDate] - Last occurrence date to keep (defaults to today)
+   */
+  static async endSeries(templateId, endDate = null) {
+    const template = await Expense.findById(templateId);
+    if (!template) throw buildServiceError('Expense not found', 404);
+    if (!template.isRecurring) {
+      throw buildServiceError('Expense is not an active recurring series');
+    }
+
+    const end = endDate ? new Date(endDate) : new Date();
+    template.recurringEndDate = end;
+    if (!template.nextRecurringDate || this.isPastEnd(template, new Date(template.nextRecurringDate))) {
+      template.isRecurring = false;
+      template.nextRecurringDate = undefined;
+    }
+    await template.save();
+    return template;
+  }
+}
+
+module.exports = RecurringExpenseService;
@@ -0,0 +1,522 @@
+/**
+ * ReplenishmentService
+ *
+ * Proposes what to reorder, per product and variant, grouped by supplier.
+ *
+ * For each active inventory record:
+ *   dailyVelocity = units sold in the sales window / window days (by sale item, split by variant)
+ *   leadTime      = supplier's average dispatch → delivery days over the last year of
+ *                   dispatch orders, or defaultLeadTimeDays without history
+ *   reorderPoint  = max(reorderLevel, dailyVelocity × (leadTime + safetyDays))
+ *   position      = currentStock − reservedStock + onOrder
+ *   targetStock   = reorderPoint + max(reorderQuantity, dailyVelocity × coverDays)
+ * A product is proposed when position ≤ reorderPoint, for targetStock − position units,
+ * split across its variants by their share of sales in the window.
+ *
+ * onOrder is what open purchase orders have not dispatched yet plus what dispatch
+ * orders have dispatched but not yet booked into stock.
+ *
+ * The supplier is the primary entry of Product.suppliers, else its first entry, else
+ * Product.supplier. Approving a proposal turns it into a draft purchase order.
+ */
+
+const mongoose = require('mongoose');
+const Inventory = require('../models/Inventory');
+const Sale = require('../models/Sale');
+const DispatchOrder = require('../models/DispatchOrder');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const ReplenishmentProposal = require('../models/ReplenishmentProposal');
+const Supplier = require('../models/Supplier');
+const PurchaseOrderService = require('./PurchaseOrderService');
+
+const buildServiceError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_OPTIONS = {
+  salesWindowDays: 30,
+  coverDays: 30,
+  safetyDays: 7,
+  defaultLeadTimeDays: 14
+};
+
+// Purchase orders whose undispatched quantity is still expected
+const OPEN_PO_STATUSES = ['draft', 'sent', 'countered', 'accepted', 'partially_dispatched'];
+// Dispatch orders on their way but not yet booked into stock
+const IN_FLIGHT_ORDER_STATUSES = ['pending', 'pending-approval', 'picked_up', 'in_transit'];
+// Dispatch orders whose dates give a lead time
+const RECEIVED_ORDER_STATUSES = ['confirmed', 'delivered'];
+const LEAD_TIME_HISTORY_DAYS = 365;
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+const variantKey = (size, color) => `${size || ''}|${color || ''}`;
+
+/**
+ * Split a whole quantity by weights, largest remainder first, so the parts add up
+ * @param {number} total - Quantity to split
+ * @param {Array<number>} weights - One weight per part
+ * @returns {Array<number>} Whole quantities in the order of the weights
+ */
+function splitByWeight(total, weights) {
+  if (weights.length === 0) return [];
+  // Without weights the quantity is split evenly
+  if (weights.every(weight => !(weight > 0))) return splitByWeight(total, weights.map(() => 1));
+  const weightSum = weights.reduce((sum, weight) => sum + (weight > 0 ? weight : 0), 0);
+
+  const exact = weights.map(weight => (total * (weight > 0 ? weight : 0)) / weightSum);
+  const parts = exact.map(Math.floor);
+  let remaining = total - parts.reduce((sum, part) => sum + part, 0);
+
+  exact
+    .map((value, index) => ({ index, remainder: value - parts[index] }))
+    .sort((a, b) => b.remainder - a.remainder)
+    .forEach(({ index }) => {
+      if (remaining > 0) {
+        parts[index] += 1;
+        remaining -= 1;
+      }
+    });
+  return parts;
+}
+
+// Primary supplier of a product and what it charges
+function resolveSupplier(product) {
+  const entries = (product.suppliers || []).filter(entry => entry.supplier);
+  const entry = entries.find(item => item.isPrimary) || entries[0];
+  if (entry) {
+    return { supplierId: entry.supplier.toString(), unitCost: entry.supplierPrice || product.pricing?.costPrice || 0 };
+  }
+  if (product.supplier) {
+    return { supplierId: product.supplier.toString(), unitCost: product.pricing?.costPrice || 0 };
+  }
+  return { supplierId: null, unitCost: product.pricing?.costPrice || 0 };
+}
+
+class ReplenishmentService {
+  static get DEFAULT_OPTIONS() {
+    return DEFAULT_OPTIONS;
+  }
+
+  /**
+   * Units sold per product and variant since a date
+   * @returns {Map} productId → { sold, variants: Map variantKey → { size, color, sold } }
+   */
+  static async getSalesVelocity(since) {
+    const rows = await Sale.aggregate([
+      {
+        $match: {
+          saleDate: { $gte: since },
+          deliveryStatus: { $ne: 'cancelled' },
+          // Online orders only count once paid
+          paymentStatus: { $nin: ['awaiting_payment', 'failed'] }
+        }
+      },
+      { $unwind: '$items' },
+      {
+        $group: {
+          _id: {
+            product: '$items.product',
+            size: { $ifNull: ['$items.variant.size', ''] },
+            color: { $ifNull: ['$items.variant.color', ''] }
+          },
+          sold: { $sum: '$items.quantity' }
+        }
+      }
+    ]);
+
+    const byProduct = new Map();
+    for (const row of rows) {
+      const productId = row._id.product.toString();
+      if (!byProduct.has(productId)) byProduct.set(productId, { sold: 0, variants: new Map() });
+      const entry = byProduct.get(productId);
+      entry.sold += row.sold;
+      if (row._id.size || row._id.color) {
+        entry.variants.set(variantKey(row._id.size, row._id.color), {
+          size: row._id.size,
+          color: row._id.color,
+          sold: row.sold
+        });
+      }
+    }
+    return byProduct;
+  }
+
+  /**
+   * Average days from dispatch to delivery per supplier, over the last year of received
+   * dispatch orders. Orders without an actual delivery date use the date they were confirmed.
+   * @returns {Map} supplierId → { days, samples }
+   */
+  static async getSupplierLeadTimes() {
+    const rows = await DispatchOrder.aggregate([
+      {
+        $match: {
+          status: { $in: RECEIVED_ORDER_STATUSES },
+          dispatchDate: { $gte: new Date(Date.now() - LEAD_TIME_HISTORY_DAYS * DAY_MS) }
+        }
+      },
+      {
+        $project: {
+          supplier: 1,
+          days: {
+            $divide: [{ $subtract: [{ $ifNull: ['$actualDeliveryDate', '$confirmedAt'] }, '$dispatchDate'] }, DAY_MS]
+          }
+        }
+      },
+      { $match: { days: { $gte: 0 } } },
+      { $group: { _id: '$supplier', days: { $avg: '$days' }, samples: { $sum: 1 } } }
+    ]);
+
+    return new Map(rows.map(row => [row._id.toString(), { days: round(row.days, 1), samples: row.samples }]));
+  }
+
+  /**
+   * Units per product still to arrive: undispatched quantities of open purchase orders
+   * plus dispatch order items not yet booked into stock
+   * @returns {Map} productId → quantity
+   */
+  static async getOnOrder() {
+    const onOrder = new Map();
+    const add = (productId, quantity) => {
+      if (!productId || quantity <= 0) return;
+      const key = productId.toString();
+      onOrder.set(key, (onOrder.get(key) || 0) + quantity);
+    };
+
+    const purchaseOrders = await PurchaseOrder.find({ status: { $in: OPEN_PO_STATUSES } })
+      .select('items status')
+      .lean();
+    const dispatchedByLine = await PurchaseOrderService.getDispatchedByLine(purchaseOrders.map(po => po._id));
+    for (const purchaseOrder of purchaseOrders) {
+      const { lines } = await PurchaseOrderService.getFulfillment(purchaseOrder, dispatchedByLine);
+      lines.forEach(line => add(line.product, line.outstanding));
+    }
+
+    const inFlight = await DispatchOrder.find({ status: { $in: IN_FLIGHT_ORDER_STATUSES } })
+      .select('items.product items.quantity')
+      .lean();
+    inFlight.forEach(order => order.items.forEach(item => add(item.product, item.quantity)));
+
+    return onOrder;
+  }
+
+  /**
+   * Work out reorder proposals from current stock, sales and lead times
+   * @param {Object} options - salesWindowDays, coverDays, safetyDays, defaultLeadTimeDays, supplierId
+   * @returns {Object} { parameters, suppliers: [...], unassigned: [...] }
+   */
+  static async getSuggestions(options = {}) {
+    const parameters = {
+      salesWindowDays: options.salesWindowDays ?? DEFAULT_OPTIONS.salesWindowDays,
+      coverDays: options.coverDays ?? DEFAULT_OPTIONS.coverDays,
+      safetyDays: options.safetyDays ?? DEFAULT_OPTIONS.safetyDays,
+      defaultLeadTimeDays: options.defaultLeadTimeDays ?? DEFAULT_OPTIONS.defaultLeadTimeDays
+    };
+    const since = new Date(Date.now() - parameters.salesWindowDays * DAY_MS);
+
+    const [inventories, velocity, onOrder, leadTimes] = await Promise.all([
+      Inventory.find({ isActive: true })
+        .select('product currentStock reservedStock reorderLevel reorderQuantity')
+        .populate({
+          path: 'product',
+          match: { isActive: true },
+          select: 'name sku productCode supplier suppliers pricing.costPrice'
+        })
+        .lean(),
+      this.getSalesVelocity(since),
+      this.getOnOrder(),
+      this.getSupplierLeadTimes()
+    ]);
+
+    const groups = new Map();
+    const unassigned = [];
+
+    for (const inventory of inventories) {
+      const product = inventory.product;
+      if (!product) continue;
+
+      const { supplierId, unitCost } = resolveSupplier(product);
+      if (options.supplierId && supplierId !== options.supplierId.toString()) continue;
+
+      const productId = product._id.toString();
+      const sales = velocity.get(productId) || { sold: 0, variants: new Map() };
+      const dailyVelocity = sales.sold / parameters.salesWindowDays;
+      const leadTime = leadTimes.get(supplierId);
+      const leadTimeDays = leadTime ? leadTime.days : parameters.defaultLeadTimeDays;
+
+      const productOnOrder = onOrder.get(productId) || 0;
+      const position = inventory.currentStock - (inventory.reservedStock || 0) + productOnOrder;
+      const reorderPoint = Math.max(
+        inventory.reorderLevel || 0,
+        Math.ceil(dailyVelocity * (leadTimeDays + parameters.safetyDays))
+      );
+      if (position > reorderPoint) continue;
+
+      const targetStock = reorderPoint + Math.max(
+        inventory.reorderQuantity || 0,
+        Math.ceil(dailyVelocity * parameters.coverDays)
+      );
+      const suggestedQuantity = Math.ceil(targetStock - position);
+      if (suggestedQuantity <= 0) continue;
+
+      const soldVariants = [...sales.variants.values()];
+      const variantQuantities = splitByWeight(suggestedQuantity, soldVariants.map(variant => variant.sold));
+
+      const line = {
+        product: product._id,
+        productName: product.name,
+        productCode: product.productCode || product.sku,
+        currentStock: inventory.currentStock,
+        reservedStock: inventory.reservedStock || 0,
+        onOrder: productOnOrder,
+        reorderLevel: inventory.reorderLevel,
+        reorderQuantity: inventory.reorderQuantity || 0,
+        soldInWindow: sales.sold,
+        dailyVelocity: round(dailyVelocity),
+        reorderPoint,
+        targetStock,
+        suggestedQuantity,
+        quantity: suggestedQuantity,
+        unitCost,
+        variants: soldVariants
+          .map((variant, index) => ({
+            size: variant.size,
+            color: variant.color,
+            soldInWindow: variant.sold,
+            suggestedQuantity: variantQuantities[index],
+            quantity: variantQuantities[index]
+          }))
+          .filter(variant => variant.quantity > 0)
+      };
+
+      if (!supplierId) {
+        unassigned.push(line);
+        continue;
+      }
+
+      if (!groups.has(supplierId)) {
+        groups.set(supplierId, {
+          supplier: supplierId,
+          leadTimeDays,
+          leadTimeSource: leadTime ? 'history' : 'default',
+          leadTimeSamples: leadTime ? leadTime.samples : 0,
+          lines: []
+        });
+      }
+      groups.get(supplierId).lines.push(line);
+    }
+
+    const suppliers = await Supplier.find({ _id: { $in: [...groups.keys()] } }).select('name company').lean();
+    const supplierMap = new Map(suppliers.map(supplier => [supplier._id.toString(), supplier]));
+
+    return {
+      parameters,
+      suppliers: [...groups.values()]
+        .filter(group => supplierMap.has(group.supplier))
+        .map(group => ({
+          ...group,
+          supplier: supplierMap.get(group.supplier),
+          totalQuantity: group.lines.reduce((sum, line) => sum + line.quantity, 0),
+          totalCost: round(group.lines.reduce((sum, line) => sum + line.quantity * line.unitCost, 0))
+        }))
+        .sort((a, b) => b.totalCost - a.totalCost),
+      unassigned
+    };
+  }
+
+  /**
+   * Store the current suggestions as one open proposal per supplier. Open proposals
+   * of the same suppliers are superseded.
+   */
+  static async generateProposals(options, userId) {
+    const { parameters, suppliers, unassigned } = await this.getSuggestions(options);
+    if (suppliers.length === 0) {
+      return { proposals: [], unassigned };
+    }
+
+    await ReplenishmentProposal.updateMany(
+      { supplier: { $in: suppliers.map(group => group.supplier._id) }, status: 'open' },
+      { $set: { status: 'superseded' } }
+    );
+
+    const proposals = [];
+    for (const group of suppliers) {
+      const proposal = new ReplenishmentProposal({
+        supplier: group.supplier._id,
+        parameters,
+        leadTimeDays: group.leadTimeDays,
+        leadTimeSource: group.leadTimeSource,
+        leadTimeSamples: group.leadTimeSamples,
+        lines: group.lines,
+        generatedBy: userId
+      });
+      await proposal.save();
+      proposals.push(proposal);
+    }
+
+    return { proposals, unassigned };
+  }
+
+  static async listProposals({ status, supplier, page = 1, limit = 20 } = {}) {
+    const query = {};
+    if (status) query.status = status;
+    if (supplier) query.supplier = supplier;
+
+    const [proposals, total] = await Promise.all([
+      ReplenishmentProposal.find(query)
+        .select('-lines')
+        .populate('supplier', 'name company')
+        .populate('purchaseOrder', 'poNumber status')
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit)
+        .lean(),
+      ReplenishmentProposal.countDocuments(query)
+    ]);
+
+    return { proposals, total };
+  }
+
+  static async getProposal(proposalId) {
+    const proposal = await ReplenishmentProposal.findById(proposalId)
+      .populate('supplier', 'name company')
+      .populate('purchaseOrder', 'poNumber status')
+      .populate('generatedBy', 'name')
+      .populate('approvedBy', 'name')
+      .populate('dismissedBy', 'name');
+    if (!proposal) {
+      throw buildServiceError('Replenishment proposal not found', 404);
+    }
+    return proposal;
+  }
+
+  /**
+   * Change the quantities of an open proposal before approving it
+   * @param {Array} lines - [{ lineId, quantity } | { lineId, variants: [{ size, color, quantity }] }]
+   */
+  static async updateProposalLines(proposalId, lines) {
+    const proposal = await ReplenishmentProposal.findById(proposalId);
+    if (!proposal) {
+      throw buildServiceError('Replenishment proposal not found', 404);
+    }
+    if (proposal.status !== 'open') {
+      throw buildServiceError(`Only open proposals can be changed (current status: ${proposal.status})`);
+    }
+
+    for (const change of lines) {
+      const line = proposal.lines.id(change.lineId);
+      if (!line) {
+        throw buildServiceError(`Line ${change.lineId} is not part of this proposal`);
+      }
+
+      if (change.variants) {
+        for (const variantChange of change.variants) {
+          const key = variantKey(variantChange.size, variantChange.color);
+          const variant = line.variants.find(item => variantKey(item.size, item.color) === key);
+          if (variant) {
+            variant.quantity = variantChange.quantity;
+          } else if (variantChange.quantity > 0) {
+            line.variants.push({ size: variantChange.size, color: variantChange.color, quantity: variantChange.quantity });
+          }
+        }
+      } else if (line.variants.length > 0) {
+        // A new line total is spread over the variants in their current proportions
+        const parts = splitByWeight(change.quantity, line.variants.map(variant => variant.quantity || variant.soldInWindow));
+        line.variants.forEach((variant, index) => { variant.quantity = parts[index]; });
+      } else {
+        line.quantity = change.quantity;
+      }
+    }
+
+    await proposal.save();
+    return proposal;
+  }
+
+  /**
+   * Approve an open proposal into a draft purchase order for its supplier. Lines with
+   * variants become one PO line per size and colour.
+   */
+  static async approveProposal(proposalId, userId, { deliveryWindow, notes } = {}) {
+    const session = await mongoose.startSession();
+    session.startTransaction({
+      readConcern: { level: 'snapshot' },
+      writeConcern: { w: 'majority' },
+    });
+
+    try {
+      const proposal = await ReplenishmentProposal.findById(proposalId).session(session);
+      if (!proposal) throw buildServiceError('Replenishment proposal not found', 404);
+      if (proposal.status !== 'open') {
+        throw buildServiceError(`Only open proposals can be approved (current status: ${proposal.status})`);
+      }
+
+      const items = [];
+      for (const line of proposal.lines) {
+        const base = {
+          product: line.product,
+          productName: line.productName,
+          productCode: line.productCode,
+          targetCostPrice: line.unitCost || 0
+        };
+        if (line.variants.length > 0) {
+          line.variants
+            .filter(variant => variant.quantity > 0)
+            .forEach(variant => items.push({
+              ...base,
+              size: variant.size ? [variant.size] : [],
+              primaryColor: variant.color ? [variant.color] : [],
+              quantity: variant.quantity
+            }));
+        } else if (line.quantity > 0) {
+          items.push({ ...base, quantity: line.quantity });
+        }
+      }
+      if (items.length === 0) {
+        throw buildServiceError('Nothing to order: every line of the proposal has a quantity of 0');
+      }
+
+      const purchaseOrder = new PurchaseOrder({
+        poNumber: await PurchaseOrder.getNextPoNumber(session),
+        supplier: proposal.supplier,
+        items,
+        deliveryWindow,
+        notes: notes || `Replenishment proposal ${proposal._id}`,
+        history: [{ action: 'created', notes: 'Created from a replenishment proposal', by: userId }],
+        createdBy: userId
+      });
+      await purchaseOrder.save({ session });
+
+      proposal.status = 'approved';
+      proposal.purchaseOrder = purchaseOrder._id;
+      proposal.approvedBy = userId;
+      proposal.approvedAt = new Date();
+      await proposal.save({ session });
+
+      await session.commitTransaction();
+      return { proposal, purchaseOrder };
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  static async dismissProposal(proposalId, userId, reason) {
+    const proposal = await ReplenishmentProposal.findById(proposalId);
+    if (!proposal) {
+      throw buildServiceError('Replenishment proposal not found', 404);
+    }
+    if (proposal.status !== 'open') {
+      throw buildServiceError(`Only open proposals can be dismissed (current status: ${proposal.status})`);
+    }
+
+    proposal.status = 'dismissed';
+    proposal.dismissedBy = userId;
+    proposal.dismissedAt = new Date();
+    proposal.dismissReason = reason;
+    await proposal.save();
+    return proposal;
+  }
+}
+
+module.exports = ReplenishmentService;
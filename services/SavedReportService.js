@@ -0,0 +1,137 @@
+const SavedReport = require('../models/SavedReport');
+
+const buildServiceError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const ADMIN_ROLES = ['admin', 'super-admin'];
+
+const toDateString = (date) => date.toISOString().split('T')[0];
+const utcDate = (year, month, day) => new Date(Date.UTC(year, month, day));
+
+// Filter values are stored the way they arrive in a query string
+const normalizeFilters = (filters = {}) => Object.fromEntries(
+  Object.entries(filters)
+    .filter(([key, value]) => key !== 'format' && value !== undefined && value !== null)
+    .map(([key, value]) => [key, Array.isArray(value) ? value.map(String) : String(value)])
+);
+
+class SavedReportService {
+  /**
+   * Resolve a rolling period into report dates (UTC calendar days, both inclusive)
+   * @param {String} period - One of REPORT_PERIODS
+   * @param {Date} [now]
+   * @returns {Object} { startDate, endDate } as YYYY-MM-DD
+   */
+  static resolvePeriod(period, now = new Date()) {
+    const year = now.getUTCFullYear();
+    const month = now.getUTCMonth();
+    const day = now.getUTCDate();
+    const today = utcDate(year, month, day);
+
+    const ranges = {
+      today: [today, today],
+      yesterday: [utcDate(year, month, day - 1), utcDate(year, month, day - 1)],
+      'last-7-days': [utcDate(year, month, day - 6), today],
+      'last-30-days': [utcDate(year, month, day - 29), today],
+      'this-month': [utcDate(year, month, 1), today],
+      'last-month': [utcDate(year, month - 1, 1), utcDate(year, month, 0)],
+      'this-quarter': [utcDate(year, month - (month % 3), 1), today],
+      'this-year': [utcDate(year, 0, 1), today],
+      'last-year': [utcDate(year - 1, 0, 1), utcDate(year - 1, 11, 31)]
+    };
+
+    const range = ranges[period];
+    if (!range) throw buildServiceError(`Unknown period: ${period}`);
+    return { startDate: toDateString(range[0]), endDate: toDateString(range[1]) };
+  }
+
+  static isAdmin(user) {
+    return ADMIN_ROLES.includes(user.role);
+  }
+
+  // Own reports and shared ones; admins see all
+  static visibilityFilter(user) {
+    return this.isAdmin(user) ? {} : { $or: [{ owner: user._id }, { isShared: true }] };
+  }
+
+  static async listSavedReports(user, { report, page = 1, limit = 20 } = {}) {
+    const filter = this.visibilityFilter(user);
+    if (report) filter.report = report;
+
+    const [savedReports, total] = await Promise.all([
+      SavedReport.find(filter)
+        .populate('owner', 'name email')
+        .sort({ name: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      SavedReport.countDocuments(filter)
+    ]);
+
+    return { savedReports, total };
+  }
+
+  static async getSavedReport(id, user) {
+    const savedReport = await SavedReport.findOne({ _id: id, ...this.visibilityFilter(user) })
+      .populate('owner', 'name email');
+    if (!savedReport) throw buildServiceError('Saved report not found', 404);
+    return savedReport;
+  }
+
+  static async getEditableReport(id, user) {
+    const savedReport = await this.getSavedReport(id, user);
+    if (!this.isAdmin(user) && String(savedReport.owner._id) !== String(user._id)) {
+      throw buildServiceError('Only the owner or an admin can change this saved report', 403);
+    }
+    return savedReport;
+  }
+
+  static async createSavedReport(data, userId) {
+    return SavedReport.create({
+      ...data,
+      filters: normalizeFilters(data.filters),
+      owner: userId
+    });
+  }
+
+  static async updateSavedReport(id, data, user) {
+    const savedReport = await this.getEditableReport(id, user);
+    const old = savedReport.toObject();
+
+    Object.assign(savedReport, data);
+    if (data.filters) savedReport.filters = normalizeFilters(data.filters);
+    // Clearing the period goes back to the stored dates
+    if (data.period === null) savedReport.period = undefined;
+
+    await savedReport.save();
+    return { savedReport, old };
+  }
+
+  static async deleteSavedReport(id, user) {
+    const savedReport = await this.getEditableReport(id, user);
+    await savedReport.deleteOne();
+    return savedReport;
+  }
+
+  /**
+   * Work out the request that reruns a saved report
+   * @param {Object} savedReport
+   * @param {Object} [overrides] - Query parameters of the run call; they win over the stored filters
+   * @returns {Object} { url, query } for the reports router
+   */
+  static buildRun(savedReport, overrides = {}) {
+    const { format, ...filters } = overrides;
+    const query = {
+      ...savedReport.filters,
+      ...(savedReport.period ? this.resolvePeriod(savedReport.period) : {}),
+      ...normalizeFilters(filters),
+      format: format || savedReport.format
+    };
+
+    return { url: `/${savedReport.report}`, query };
+  }
+
+  static async recordRun(id) {
+    await SavedReport.updateOne({ _id: id }, { $set: { lastRunAt: new Date() }, $inc: { runCount: 1 } });
+  }
+}
+
+module.exports = SavedReportService;
@@ -0,0 +1,180 @@
+/**
+ * SessionService
+ *
+ * Short-lived JWT access tokens plus rotating refresh tokens stored per device
+ * in UserSession. Access tokens carry the session id (sid) so that revoking a
+ * session logs that device out on its next request.
+ *
+ * Refresh tokens are random strings; only their SHA-256 hash is stored. Each
+ * refresh replaces the token. Presenting a token that was already rotated out
+ * means it was copied, so the whole session (the token family) is revoked.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const UserSession = require('../models/UserSession');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+// Rotated-out hashes kept per session for reuse detection
+const MAX_PREVIOUS_TOKENS = 50;
+
+const buildServiceError = (message, status = 401) => Object.assign(new Error(message), { status });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const getClientInfo = (req) => ({
+  userAgent: req.headers['user-agent'],
+  ipAddress: req.ip || req.headers['x-forwarded-for'] || req.socket?.remoteAddress
+});
+
+class SessionService {
+  static signAccessToken(user, sessionId) {
+    return jwt.sign(
+      { userId: user._id, role: user.role, sid: sessionId },
+      process.env.JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_TTL }
+    );
+  }
+
+  /**
+   * Start a session for a user who just logged in or registered
+   * @param {Object} user - User document
+   * @param {Object} req - Express request (user agent and IP are recorded)
+   * @param {string} [deviceName] - Label shown in the session list
+   * @returns {Promise<Object>} { token, refreshToken, session }
+   */
+  static async createSession(user, req, deviceName) {
+    const refreshToken = generateRefreshToken();
+    const session = await UserSession.create({
+      user: user._id,
+      refreshTokenHash: hashToken(refreshToken),
+      deviceName,
+      ...getClientInfo(req),
+      expiresAt: refreshExpiry()
+    });
+
+    return {
+      token: this.signAccessToken(user, session._id),
+      refreshToken,
+      session
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and refresh token
+   * @param {string} refreshToken
+   * @param {Object} req - Express request
+   * @returns {Promise<Object>} { token, refreshToken, session, user }
+   */
+  static async rotateRefreshToken(refreshToken, req) {
+    const tokenHash = hashToken(refreshToken);
+    const newRefreshToken = generateRefreshToken();
+    const now = new Date();
+
+    // Conditional update: of two requests presenting the same token only one can rotate it
+    const session = await UserSession.findOneAndUpdate(
+      { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+      {
+        $set: {
+          refreshTokenHash: hashToken(newRefreshToken),
+          lastUsedAt: now,
+          expiresAt: refreshExpiry(),
+          ...getClientInfo(req)
+        },
+        $push: { previousTokenHashes: { $each: [tokenHash], $slice: -MAX_PREVIOUS_TOKENS } }
+      },
+      { new: true }
+    );
+
+    if (!session) {
+      const reused = await UserSession.findOne({ previousTokenHashes: tokenHash, revokedAt: null });
+      if (reused) {
+        await this.revokeSession(reused._id, 'reuse_detected');
+        console.warn(`[Sessions] Refresh token reuse detected for user ${reused.user}, session ${reused._id} revoked`);
+        throw buildServiceError('Refresh token has already been used. Please log in again.');
+      }
+      throw buildServiceError('Invalid or expired refresh token');
+    }
+
+    const user = await User.findById(session.user);
+    if (!user || !user.isActive) {
+      await this.revokeSession(session._id, 'deactivated');
+      throw buildServiceError('Account is not active');
+    }
+
+    return {
+      token: this.signAccessToken(user, session._id),
+      refreshToken: newRefreshToken,
+      session,
+      user
+    };
+  }
+
+  /**
+   * Whether an access token's session is still usable
+   */
+  static async isSessionActive(sessionId, userId) {
+    const session = await UserSession.exists({
+      _id: sessionId,
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+    return !!session;
+  }
+
+  static async listSessions(userId) {
+    return UserSession.find({
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+  }
+
+  /**
+   * Revoke one session
+   * @param {string} sessionId
+   * @param {string} reason - See UserSession revokedReason
+   * @param {Object} [options] - { userId: only revoke if owned by this user, revokedBy }
+   * @returns {Promise<Object|null>} The revoked session, or null when not found / already revoked
+   */
+  static async revokeSession(sessionId, reason, { userId, revokedBy } = {}) {
+    const query = { _id: sessionId, revokedAt: null };
+    if (userId) query.user = userId;
+
+    return UserSession.findOneAndUpdate(
+      query,
+      { revokedAt: new Date(), revokedReason: reason, revokedBy },
+      { new: true }
+    );
+  }
+
+  /**
+   * Revoke every active session of a user
+   * @param {string} userId
+   * @param {string} reason - See UserSession revokedReason
+   * @param {Object} [options] - { exceptSessionId: keep this session, revokedBy }
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  static async revokeUserSessions(userId, reason, { exceptSessionId, revokedBy } = {}) {
+    const query = { user: userId, revokedAt: null };
+    if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+    const revokedAt = new Date();
+    const result = await UserSession.updateMany(
+      query,
+      { revokedAt, revokedReason: reason, revokedBy }
+    );
+    // Tokens without a session id cannot be revoked through a session
+    await User.updateOne({ _id: userId }, { tokensRevokedAt: revokedAt });
+    return result.modifiedCount;
+  }
+}
+
+module.exports = SessionService;
@@ -0,0 +1,186 @@
+/**
+ * StatementService
+ *
+ * Statements of account for buyers and suppliers: the opening balance at the
+ * start of the period, every ledger transaction in the period with a running
+ * balance, the closing balance and the ageing of the closing balance
+ * (see AgeingService). Balances follow Ledger.getBalance (debit - credit): for
+ * a buyer a positive balance is owed to us, for a supplier it is owed by us.
+ */
+
+const mongoose = require('mongoose');
+const Buyer = require('../models/Buyer');
+const DispatchOrder = require('../models/DispatchOrder');
+const Ledger = require('../models/Ledger');
+const Sale = require('../models/Sale');
+const Settings = require('../models/Settings');
+const Supplier = require('../models/Supplier');
+const AgeingService = require('./AgeingService');
+const { generateStatementPDF } = require('../utils/statementGenerator');
+const { createZipArchive } = require('../utils/zipArchive');
+
+const PARTY_MODELS = {
+  buyer: Buyer,
+  supplier: Supplier
+};
+
+const buildServiceError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw buildServiceError(`Invalid ${name}`);
+  }
+  return date;
+};
+
+const fileSafe = (value) => String(value || '').replace(/[^a-zA-Z0-9-_]+/g, '_').replace(/^_+|_+$/g, '');
+
+class StatementService {
+  /**
+   * Statement data for one buyer or supplier.
+   * startDate defaults to the first ledger entry, endDate to today.
+   */
+  static async getStatement(type, entityId, { startDate, endDate } = {}) {
+    const PartyModel = PARTY_MODELS[type];
+    if (!PartyModel) {
+      throw buildServiceError(`type must be one of: ${Object.keys(PARTY_MODELS).join(', ')}`);
+    }
+    if (!mongoose.Types.ObjectId.isValid(entityId)) {
+      throw buildServiceError('Invalid party id');
+    }
+
+    const party = await PartyModel.findById(entityId).select('name company email phone address').lean();
+    if (!party) {
+      throw buildServiceError(`${type === 'buyer' ? 'Buyer' : 'Supplier'} not found`, 404);
+    }
+
+    const start = startDate ? parseDate(startDate, 'startDate') : null;
+    if (start) start.setHours(0, 0, 0, 0);
+    const end = AgeingService.parseAsOf(endDate);
+    if (start && start > end) {
+      throw buildServiceError('startDate must be before endDate');
+    }
+
+    const partyId = new mongoose.Types.ObjectId(entityId);
+    let openingBalance = 0;
+    if (start) {
+      const [opening] = await Ledger.aggregate([
+        { $match: { type, entityId: partyId, date: { $lt: start } } },
+        { $group: { _id: null, debit: { $sum: '$debit' }, credit: { $sum: '$credit' } } }
+      ]);
+      openingBalance = round((opening?.debit || 0) - (opening?.credit || 0));
+    }
+
+    const dateMatch = { $lte: end };
+    if (start) dateMatch.$gte = start;
+    const entries = await Ledger.find({ type, entityId: partyId, date: dateMatch })
+      .select('transactionType referenceId referenceModel debit credit date description paymentMethod')
+      .sort({ date: 1, createdAt: 1 })
+      .lean();
+
+    const references = await this.loadReferenceNumbers(entries);
+
+    let balance = openingBalance;
+    let totalDebit = 0;
+    let totalCredit = 0;
+    const transactions = entries.map(entry => {
+      const debit = entry.debit || 0;
+      const credit = entry.credit || 0;
+      totalDebit += debit;
+      totalCredit += credit;
+      balance += debit - credit;
+      return {
+        date: entry.date,
+        transactionType: entry.transactionType,
+        reference: entry.referenceId ? references.get(entry.referenceId.toString()) || null : null,
+        description: entry.description,
+        debit: round(debit),
+        credit: round(credit),
+        balance: round(balance)
+      };
+    });
+
+    const ageing = await AgeingService.getAgedBalances(type, { asOfDate: end, entityId });
+
+    return {
+      type,
+      party,
+      startDate: start,
+      endDate: end,
+      openingBalance,
+      transactions,
+      totalDebit: round(totalDebit),
+      totalCredit: round(totalCredit),
+      closingBalance: round(balance),
+      ageing: ageing.parties[0] || null
+    };
+  }
+
+  static async getStatementPDF(type, entityId, options = {}) {
+    const [statement, settings] = await Promise.all([
+      this.getStatement(type, entityId, options),
+      Settings.getSettings()
+    ]);
+    const pdf = await generateStatementPDF(statement, settings.businessInfo);
+    return { statement, pdf, fileName: this.getFileName(statement) };
+  }
+
+  // One ZIP archive with a statement for every buyer whose balance at endDate is not zero
+  static async getBulkBuyerStatements({ startDate, endDate } = {}) {
+    const end = AgeingService.parseAsOf(endDate);
+
+    const balances = await Ledger.aggregate([
+      { $match: { type: 'buyer', date: { $lte: end } } },
+      { $group: { _id: '$entityId', balance: { $sum: { $subtract: ['$debit', '$credit'] } } } },
+      { $match: { $or: [{ balance: { $gte: 0.01 } }, { balance: { $lte: -0.01 } }] } }
+    ]);
+    const buyerIds = await Buyer.find({ _id: { $in: balances.map(row => row._id) } }).distinct('_id');
+
+    const settings = await Settings.getSettings();
+    const files = [];
+    for (const buyerId of buyerIds) {
+      const statement = await this.getStatement('buyer', buyerId.toString(), { startDate, endDate: end });
+      files.push({
+        name: this.getFileName(statement),
+        data: await generateStatementPDF(statement, settings.businessInfo)
+      });
+    }
+
+    return {
+      count: files.length,
+      archive: createZipArchive(files),
+      fileName: `Buyer-Statements-${end.toISOString().split('T')[0]}.zip`
+    };
+  }
+
+  static getFileName(statement) {
+    const name = fileSafe(statement.party.company || statement.party.name) || statement.party._id;
+    return `Statement-${name}-${statement.party._id}-${statement.endDate.toISOString().split('T')[0]}.pdf`;
+  }
+
+  // Sale / dispatch order numbers shown in the reference column
+  static async loadReferenceNumbers(entries) {
+    const saleIds = [];
+    const orderIds = [];
+    for (const entry of entries) {
+      if (!entry.referenceId) continue;
+      if (entry.referenceModel === 'Sale') saleIds.push(entry.referenceId);
+      if (['DispatchOrder', 'Purchase'].includes(entry.referenceModel)) orderIds.push(entry.referenceId);
+    }
+
+    const [sales, orders] = await Promise.all([
+      saleIds.length ? Sale.find({ _id: { $in: saleIds } }).select('saleNumber').lean() : [],
+      orderIds.length ? DispatchOrder.find({ _id: { $in: orderIds } }).select('orderNumber').lean() : []
+    ]);
+
+    const references = new Map();
+    for (const sale of sales) references.set(sale._id.toString(), sale.saleNumber);
+    for (const order of orders) references.set(order._id.toString(), order.orderNumber);
+    return references;
+  }
+}
+
+module.exports = StatementService;
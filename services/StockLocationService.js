@@ -0,0 +1,462 @@
+/**
+ * StockLocationService
+ *
+ * Per-location stock balances and inter-location transfers.
+ *
+ * Inventory.currentStock stays the single source of truth for how much of a
+ * product we own. Balances at non-default locations are kept explicitly in
+ * Inventory.locationStock, stock on an open transfer in Inventory.transitStock,
+ * and the default location holds the remainder. This way every existing stock
+ * flow (dispatch confirmation, sales, returns, adjustments) keeps working and
+ * simply lands in, or draws from, the default location. When those flows take
+ * out more than the default location holds, the other balances are clamped to
+ * the stock on hand.
+ */
+
+const mongoose = require('mongoose');
+const Inventory = require('../models/Inventory');
+const PacketStock = require('../models/PacketStock');
+const StockLocation = require('../models/StockLocation');
+const StockTransfer = require('../models/StockTransfer');
+
+const buildServiceError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const variantKey = (size = '', color = '') => `${size || ''}::${color || ''}`;
+
+const sameId = (a, b) => a && b && a.toString() === b.toString();
+
+class StockLocationService {
+  /**
+   * Get the default location, failing if none is configured
+   * @returns {Object} StockLocation document
+   */
+  static async requireDefaultLocation(session = null) {
+    let query = StockLocation.findOne({ isDefault: true, isActive: true });
+    if (session) query = query.session(session);
+    const location = await query;
+    if (!location) {
+      throw buildServiceError('No default stock location configured. Create one with isDefault=true first.', 400);
+    }
+    return location;
+  }
+
+  /**
+   * Compute balances per location for an inventory record
+   * @param {Object} inventory - Inventory document or lean object
+   * @param {string} defaultLocationId - ID of the default location
+   * @returns {Object} { locations: [{ location, quantity, variants }], inTransit }
+   */
+  static getLocationBalances(inventory, defaultLocationId) {
+    const balances = new Map();
+    const ensure = (locationId) => {
+      const key = locationId.toString();
+      if (!balances.has(key)) {
+        balances.set(key, { location: locationId, quantity: 0, variants: new Map() });
+      }
+      return balances.get(key);
+    };
+
+    let inTransit = 0;
+    const transitByVariant = new Map();
+    for (const entry of inventory.transitStock || []) {
+      inTransit += entry.quantity || 0;
+      if (entry.size || entry.color) {
+        const key = variantKey(entry.size, entry.color);
+        transitByVariant.set(key, (transitByVariant.get(key) || 0) + (entry.quantity || 0));
+      }
+    }
+
+    // Stock on hand once transit is set aside, overall and per variant
+    let remaining = Math.max(0, (inventory.currentStock || 0) - inTransit);
+    const remainingByVariant = new Map();
+    for (const variant of inventory.variantComposition || []) {
+      const key = variantKey(variant.size, variant.color);
+      const current = remainingByVariant.get(key) || { size: variant.size, color: variant.color, quantity: 0 };
+      current.quantity += variant.quantity || 0;
+      remainingByVariant.set(key, current);
+    }
+    for (const [key, variant] of remainingByVariant) {
+      variant.quantity = Math.max(0, variant.quantity - (transitByVariant.get(key) || 0));
+    }
+
+    // Sales and adjustments do not know about locations and draw from the default
+    // location's remainder; once that is used up, the other locations' balances are
+    // clamped to what is left on hand, so they never add up to more than currentStock.
+    for (const entry of inventory.locationStock || []) {
+      if (!entry.quantity) continue;
+      let quantity = Math.min(entry.quantity, remaining);
+      const key = entry.size || entry.color ? variantKey(entry.size, entry.color) : null;
+      const variantRemaining = key && remainingByVariant.get(key);
+      if (variantRemaining) {
+        quantity = Math.min(quantity, variantRemaining.quantity);
+        variantRemaining.quantity -= quantity;
+      }
+      remaining -= quantity;
+      if (!quantity) continue;
+
+      const balance = ensure(entry.location);
+      balance.quantity += quantity;
+      if (key) {
+        balance.variants.set(key, {
+          size: entry.size,
+          color: entry.color,
+          quantity: (balance.variants.get(key)?.quantity || 0) + quantity
+        });
+      }
+    }
+
+    if (defaultLocationId) {
+      const defaultBalance = ensure(defaultLocationId);
+      defaultBalance.quantity += remaining;
+      for (const [key, variant] of remainingByVariant) {
+        if (variant.quantity > 0) {
+          defaultBalance.variants.set(key, { size: variant.size, color: variant.color, quantity: variant.quantity });
+        }
+      }
+    }
+
+    return {
+      locations: Array.from(balances.values()).map(balance => ({
+        location: balance.location,
+        quantity: balance.quantity,
+        variants: Array.from(balance.variants.values())
+      })),
+      inTransit
+    };
+  }
+
+  /**
+   * Quantity available at a location for a product line (optionally a variant)
+   */
+  static getAvailableAt(inventory, locationId, defaultLocationId, { size = '', color = '' } = {}) {
+    const { locations } = this.getLocationBalances(inventory, defaultLocationId);
+    const balance = locations.find(l => sameId(l.location, locationId));
+    if (!balance) return 0;
+    if (!size && !color) return balance.quantity;
+    return balance.variants.find(v => v.size === size && v.color === color)?.quantity || 0;
+  }
+
+  /**
+   * Aggregation expression yielding the quantity held at a location.
+   * Use inside $addFields on an Inventory pipeline.
+   */
+  static buildLocationQuantityExpression(locationId, isDefault) {
+    const sumQuantities = (input) => ({
+      $reduce: {
+        input,
+        initialValue: 0,
+        in: { $add: ['$$value', { $ifNull: ['$$this.quantity', 0] }] }
+      }
+    });
+
+    if (isDefault) {
+      return {
+        $max: [
+          0,
+          {
+            $subtract: [
+              '$currentStock',
+              {
+                $add: [
+                  sumQuantities({ $ifNull: ['$locationStock', []] }),
+                  sumQuantities({ $ifNull: ['$transitStock', []] })
+                ]
+              }
+            ]
+          }
+        ]
+      };
+    }
+
+    // Clamped to the stock on hand, as in getLocationBalances
+    return {
+      $min: [
+        sumQuantities({
+          $filter: {
+            input: { $ifNull: ['$locationStock', []] },
+            as: 'entry',
+            cond: { $eq: ['$$entry.location', new mongoose.Types.ObjectId(locationId.toString())] }
+          }
+        }),
+        { $max: [0, { $subtract: ['$currentStock', sumQuantities({ $ifNull: ['$transitStock', []] })] }] }
+      ]
+    };
+  }
+
+  /**
+   * Query fragment matching PacketStock records held at a location.
+   * Packet stocks without a location are treated as being at the default location.
+   */
+  static buildPacketLocationQuery(location) {
+    if (location.isDefault) {
+      return { $or: [{ location: null }, { location: location._id }] };
+    }
+    return { location: location._id };
+  }
+
+  static addLocationEntry(inventory, locationId, size, color, quantity) {
+    const entry = inventory.locationStock.find(
+      e => sameId(e.location, locationId) && (e.size || '') === (size || '') && (e.color || '') === (color || '')
+    );
+    if (entry) {
+      entry.quantity += quantity;
+    } else {
+      inventory.locationStock.push({ location: locationId, size: size || '', color: color || '', quantity });
+    }
+  }
+
+  static removeLocationEntry(inventory, locationId, size, color, quantity) {
+    const entry = inventory.locationStock.find(
+      e => sameId(e.location, locationId) && (e.size || '') === (size || '') && (e.color || '') === (color || '')
+    );
+    if (!entry || entry.quantity < quantity) {
+      throw buildServiceError('Insufficient stock at source location');
+    }
+    entry.quantity -= quantity;
+    inventory.locationStock = inventory.locationStock.filter(e => e.quantity > 0);
+  }
+
+  /**
+   * Expand transfer items into inventory lines ({ product, size, color, quantity }).
+   * Packet lines are expanded into their composition so variant balances move too.
+   */
+  static async expandTransferLines(transfer, session = null) {
+    const lines = [];
+    for (const item of transfer.items) {
+      if (item.packetStock) {
+        let query = PacketStock.findById(item.packetStock);
+        if (session) query = query.session(session);
+        const packetStock = await query;
+        if (!packetStock) {
+          throw buildServiceError(`Packet stock not found for line ${item.packetBarcode || item.packetStock}`, 404);
+        }
+        for (const comp of packetStock.composition) {
+          lines.push({
+            item,
+            packetStock,
+            product: item.product,
+            size: comp.size,
+            color: comp.color,
+            quantity: comp.quantity * item.quantity
+          });
+        }
+      } else {
+        lines.push({
+          item,
+          product: item.product,
+          size: item.size || '',
+          color: item.color || '',
+          quantity: item.quantity
+        });
+      }
+    }
+    return lines;
+  }
+
+  static async loadInventories(lines, session = null) {
+    const productIds = [...new Set(lines.map(l => l.product.toString()))];
+    let query = Inventory.find({ product: { $in: productIds } });
+    if (session) query = query.session(session);
+    const inventories = await query;
+    const byProduct = new Map(inventories.map(inv => [inv.product.toString(), inv]));
+    for (const productId of productIds) {
+      if (!byProduct.has(productId)) {
+        throw buildServiceError(`Inventory not found for product ${productId}`, 404);
+      }
+    }
+    return byProduct;
+  }
+
+  /**
+   * Dispatch a draft transfer: take stock out of the source location and put it in transit
+   */
+  static async dispatchTransfer(transferId, userId) {
+    const session = await mongoose.startSession();
+    session.startTransaction({
+      readConcern: { level: 'snapshot' },
+      writeConcern: { w: 'majority' },
+    });
+
+    try {
+      const transfer = await StockTransfer.findById(transferId).session(session);
+      if (!transfer) throw buildServiceError('Stock transfer not found', 404);
+      if (transfer.status !== 'draft') {
+        throw buildServiceError(`Only draft transfers can be dispatched (current status: ${transfer.status})`);
+      }
+
+      const defaultLocation = await this.requireDefaultLocation(session);
+      const fromIsDefault = sameId(transfer.fromLocation, defaultLocation._id);
+      const lines = await this.expandTransferLines(transfer, session);
+      const inventories = await this.loadInventories(lines, session);
+
+      for (const line of lines) {
+        if (line.packetStock) {
+          const packetLocation = line.packetStock.location || defaultLocation._id;
+          if (!sameId(packetLocation, transfer.fromLocation)) {
+            throw buildServiceError(`Packet ${line.packetStock.barcode} is not held at the source location`);
+          }
+          if (line.item.quantity !== line.packetStock.availablePackets) {
+            throw buildServiceError(`Packet ${line.packetStock.barcode} must be moved as a whole (${line.packetStock.availablePackets} packets)`);
+          }
+        }
+
+        const inventory = inventories.get(line.product.toString());
+        const available = this.getAvailableAt(inventory, transfer.fromLocation, defaultLocation._id, line);
+        if (available < line.quantity) {
+          const label = line.size || line.color ? ` (${line.color}-${line.size})` : '';
+          throw buildServiceError(`Insufficient stock at source location${label}. Available: ${available}, Required: ${line.quantity}`);
+        }
+
+        if (!fromIsDefault) {
+          this.removeLocationEntry(inventory, transfer.fromLocation, line.size, line.color, line.quantity);
+        }
+        inventory.transitStock.push({
+          transfer: transfer._id,
+          size: line.size,
+          color: line.color,
+          quantity: line.quantity
+        });
+      }
+
+      for (const [productId, inventory] of inventories) {
+        const quantity = lines
+          .filter(l => l.product.toString() === productId)
+          .reduce((sum, l) => sum + l.quantity, 0);
+        inventory.stockMovements.push({
+          type: 'transfer',
+          quantity,
+          reference: 'StockTransfer',
+          referenceId: transfer._id,
+          fromLocation: transfer.fromLocation,
+          toLocation: transfer.toLocation,
+          user: userId,
+          notes: `Dispatched on transfer ${transfer.transferNumber}`,
+          date: new Date()
+        });
+        inventory.markModified('locationStock');
+        await inventory.save({ session });
+      }
+
+      transfer.status = 'in_transit';
+      transfer.dispatchedAt = new Date();
+      transfer.dispatchedBy = userId;
+      await transfer.save({ session });
+
+      await session.commitTransaction();
+      return transfer;
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Receive an in-transit transfer into the destination location
+   */
+  static async receiveTransfer(transferId, userId) {
+    return this.settleTransitStock(transferId, userId, 'receive');
+  }
+
+  /**
+   * Cancel a transfer. Draft transfers are simply cancelled; in-transit
+   * transfers return their stock to the source location.
+   */
+  static async cancelTransfer(transferId, userId, reason = '') {
+    const transfer = await StockTransfer.findById(transferId);
+    if (!transfer) throw buildServiceError('Stock transfer not found', 404);
+
+    if (transfer.status === 'draft') {
+      transfer.status = 'cancelled';
+      transfer.cancelledAt = new Date();
+      transfer.cancelledBy = userId;
+      transfer.cancellationReason = reason;
+      return transfer.save();
+    }
+
+    return this.settleTransitStock(transferId, userId, 'cancel', reason);
+  }
+
+  static async settleTransitStock(transferId, userId, action, reason = '') {
+    const session = await mongoose.startSession();
+    session.startTransaction({
+      readConcern: { level: 'snapshot' },
+      writeConcern: { w: 'majority' },
+    });
+
+    try {
+      const transfer = await StockTransfer.findById(transferId).session(session);
+      if (!transfer) throw buildServiceError('Stock transfer not found', 404);
+      if (transfer.status !== 'in_transit') {
+        throw buildServiceError(`Only in-transit transfers can be ${action === 'receive' ? 'received' : 'cancelled'} (current status: ${transfer.status})`);
+      }
+
+      const defaultLocation = await this.requireDefaultLocation(session);
+      const targetLocation = action === 'receive' ? transfer.toLocation : transfer.fromLocation;
+      const targetIsDefault = sameId(targetLocation, defaultLocation._id);
+      const lines = await this.expandTransferLines(transfer, session);
+      const inventories = await this.loadInventories(lines, session);
+
+      for (const [productId, inventory] of inventories) {
+        inventory.transitStock = inventory.transitStock.filter(e => !sameId(e.transfer, transfer._id));
+
+        const productLines = lines.filter(l => l.product.toString() === productId);
+        if (!targetIsDefault) {
+          for (const line of productLines) {
+            this.addLocationEntry(inventory, targetLocation, line.size, line.color, line.quantity);
+          }
+        }
+
+        inventory.stockMovements.push({
+          type: 'transfer',
+          quantity: productLines.reduce((sum, l) => sum + l.quantity, 0),
+          reference: 'StockTransfer',
+          referenceId: transfer._id,
+          fromLocation: transfer.fromLocation,
+          toLocation: transfer.toLocation,
+          user: userId,
+          notes: action === 'receive'
+            ? `Received on transfer ${transfer.transferNumber}`
+            : `Transfer ${transfer.transferNumber} cancelled, returned to source${reason ? `: ${reason}` : ''}`,
+          date: new Date()
+        });
+        inventory.markModified('locationStock');
+        inventory.markModified('transitStock');
+        await inventory.save({ session });
+      }
+
+      if (action === 'receive') {
+        const movedPackets = new Map();
+        for (const line of lines) {
+          if (line.packetStock) movedPackets.set(line.packetStock._id.toString(), line.packetStock);
+        }
+        for (const packetStock of movedPackets.values()) {
+          packetStock.location = transfer.toLocation;
+          await packetStock.save({ session });
+        }
+
+        transfer.items.forEach(item => { item.receivedQuantity = item.quantity; });
+        transfer.status = 'received';
+        transfer.receivedAt = new Date();
+        transfer.receivedBy = userId;
+      } else {
+        transfer.status = 'cancelled';
+        transfer.cancelledAt = new Date();
+        transfer.cancelledBy = userId;
+        transfer.cancellationReason = reason;
+      }
+      await transfer.save({ session });
+
+      await session.commitTransaction();
+      return transfer;
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+}
+
+module.exports = StockLocationService;
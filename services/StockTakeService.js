@@ -0,0 +1,516 @@
+/**
+ * StockTakeService
+ *
+ * Cycle counts and full stock takes. A stock take snapshots the expected
+ * quantity of every line when it is opened; counted quantities are recorded
+ * by hand or by scanning packet barcodes. After review, approved variances
+ * (counted - expected) are posted in one transaction as adjustment movements.
+ *
+ * Variances are applied as deltas to the live stock rather than overwriting
+ * it, so sales and receipts that happen while the count is running are kept.
+ *
+ * Packet stock items are also part of Inventory, so a packet variance adjusts
+ * both the PacketStock record and the inventory of its product (per variant).
+ * A product is therefore counted either in units or by its packets, not both.
+ */
+
+const mongoose = require('mongoose');
+const Inventory = require('../models/Inventory');
+const PacketStock = require('../models/PacketStock');
+const Product = require('../models/Product');
+const StockLocation = require('../models/StockLocation');
+const StockTake = require('../models/StockTake');
+const StockLocationService = require('./StockLocationService');
+
+const buildServiceError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const sameId = (a, b) => a && b && a.toString() === b.toString();
+
+const lineLabel = (line) => {
+  if (line.type === 'packet') return `packet ${line.packetBarcode}`;
+  if (line.type === 'variant') return `${line.productName} (${line.color}-${line.size})`;
+  return line.productName;
+};
+
+class StockTakeService {
+  /**
+   * Resolve the counted location and the default location
+   * @returns {Object} { location, defaultLocation } (location is null for a count against total stock)
+   */
+  static async resolveLocations(locationId) {
+    const defaultLocation = await StockLocation.getDefaultLocation();
+    if (!locationId) {
+      return { location: null, defaultLocation };
+    }
+
+    const location = await StockLocation.findOne({ _id: locationId, isActive: true });
+    if (!location) throw buildServiceError('Stock location not found', 404);
+    if (!defaultLocation) {
+      throw buildServiceError('No default stock location configured. Create one with isDefault=true first.');
+    }
+    return { location, defaultLocation };
+  }
+
+  /**
+   * Expected units of a product line, at a location or in total
+   */
+  static getExpectedUnits(inventory, { size = '', color = '' }, location, defaultLocation) {
+    if (location) {
+      return StockLocationService.getAvailableAt(inventory, location._id, defaultLocation._id, { size, color });
+    }
+    if (!size && !color) return inventory.currentStock || 0;
+    return inventory.variantComposition.find(v => v.size === size && v.color === color)?.quantity || 0;
+  }
+
+  static buildPacketLine(packetStock) {
+    return {
+      type: 'packet',
+      product: packetStock.product._id,
+      productName: packetStock.product.name,
+      productCode: packetStock.product.productCode || packetStock.product.sku,
+      packetStock: packetStock._id,
+      packetBarcode: packetStock.barcode,
+      expectedQuantity: packetStock.availablePackets,
+      unitCost: packetStock.landedPricePerPacket || packetStock.costPricePerPacket || 0
+    };
+  }
+
+  /**
+   * Build the lines of a new stock take.
+   * Products become one line per variant (or one plain line without variants).
+   * A location scope adds every packet stock held there.
+   */
+  static async buildLines({ products = [], packetStocks = [] }, location, defaultLocation) {
+    const lines = [];
+
+    const packetConditions = [];
+    if (packetStocks.length > 0) {
+      packetConditions.push({ _id: { $in: packetStocks } });
+    }
+    if (location) {
+      packetConditions.push({ ...StockLocationService.buildPacketLocationQuery(location), availablePackets: { $gt: 0 } });
+    }
+
+    if (packetConditions.length > 0) {
+      const packets = await PacketStock.find({ isActive: true, $or: packetConditions })
+        .populate('product', 'name sku productCode');
+
+      const requested = new Set(packetStocks.map(String));
+      const found = packets.filter(p => requested.has(p._id.toString()));
+      if (found.length < requested.size) {
+        throw buildServiceError('One or more packet stocks were not found', 404);
+      }
+
+      for (const packetStock of packets) {
+        if (!packetStock.product) continue;
+        if (location && !sameId(packetStock.location || defaultLocation._id, location._id)) {
+          throw buildServiceError(`Packet ${packetStock.barcode} is not held at the counted location`);
+        }
+        lines.push(this.buildPacketLine(packetStock));
+      }
+    }
+
+    const packetProducts = new Set(lines.map(l => l.product.toString()));
+    for (const productId of products) {
+      if (packetProducts.has(productId.toString())) {
+        throw buildServiceError(`Product ${productId} is already counted by its packets; count it either in units or by packets`);
+      }
+    }
+
+    if (products.length > 0) {
+      const [productDocs, inventories] = await Promise.all([
+        Product.find({ _id: { $in: products } }).select('name sku productCode'),
+        Inventory.find({ product: { $in: products } })
+      ]);
+      const productById = new Map(productDocs.map(p => [p._id.toString(), p]));
+      const inventoryByProduct = new Map(inventories.map(inv => [inv.product.toString(), inv]));
+
+      for (const productId of new Set(products.map(String))) {
+        const product = productById.get(productId);
+        const inventory = inventoryByProduct.get(productId);
+        if (!product || !inventory) {
+          throw buildServiceError(`Inventory not found for product ${productId}`, 404);
+        }
+
+        const base = {
+          product: product._id,
+          productName: product.name,
+          productCode: product.productCode || product.sku,
+          unitCost: inventory.averageCostPrice || 0
+        };
+
+        if (inventory.variantComposition.length > 0) {
+          for (const variant of inventory.variantComposition) {
+            lines.push({
+              ...base,
+              type: 'variant',
+              size: variant.size,
+              color: variant.color,
+              expectedQuantity: this.getExpectedUnits(inventory, variant, location, defaultLocation)
+            });
+          }
+        } else {
+          lines.push({
+            ...base,
+            type: 'product',
+            expectedQuantity: this.getExpectedUnits(inventory, {}, location, defaultLocation)
+          });
+        }
+      }
+    }
+
+    if (lines.length === 0) {
+      throw buildServiceError('Nothing to count: select products, packet stocks or a location holding packets');
+    }
+    return lines;
+  }
+
+  /**
+   * Open a new stock take
+   * @param {Object} data - { location, products, packetStocks, notes }
+   * @param {string} userId
+   */
+  static async createStockTake(data, userId) {
+    const { location, defaultLocation } = await this.resolveLocations(data.location);
+    const lines = await this.buildLines(data, location, defaultLocation);
+
+    const stockTake = new StockTake({
+      stockTakeNumber: await StockTake.getNextStockTakeNumber(),
+      location: location?._id || null,
+      lines,
+      notes: data.notes,
+      createdBy: userId
+    });
+    await stockTake.save();
+    return stockTake;
+  }
+
+  static async requireOpen(stockTakeId) {
+    const stockTake = await StockTake.findById(stockTakeId);
+    if (!stockTake) throw buildServiceError('Stock take not found', 404);
+    if (stockTake.status !== 'open') {
+      throw buildServiceError(`Counts can only be recorded on open stock takes (current status: ${stockTake.status})`);
+    }
+    return stockTake;
+  }
+
+  static findLine(stockTake, { lineId, product, size = '', color = '', packetStock, barcode }) {
+    if (lineId) return stockTake.lines.id(lineId);
+    if (packetStock || barcode) {
+      return stockTake.lines.find(l => l.type === 'packet'
+        && (packetStock ? sameId(l.packetStock, packetStock) : l.packetBarcode === barcode));
+    }
+    return stockTake.lines.find(l => l.type !== 'packet'
+      && sameId(l.product, product) && (l.size || '') === size && (l.color || '') === color);
+  }
+
+  static applyCount(line, quantity, mode, userId, notes) {
+    const base = mode === 'add' ? (line.countedQuantity || 0) : 0;
+    const counted = base + quantity;
+    if (counted < 0) {
+      throw buildServiceError(`Counted quantity for ${lineLabel(line)} cannot be negative`);
+    }
+    line.countedQuantity = counted;
+    line.status = 'counted';
+    line.countedAt = new Date();
+    line.countedBy = userId;
+    if (notes !== undefined) line.notes = notes;
+  }
+
+  /**
+   * Record counted quantities
+   * @param {string} stockTakeId
+   * @param {Array} counts - [{ lineId | product+size+color | packetStock | barcode, quantity, mode: 'set'|'add', notes }]
+   * @param {string} userId
+   */
+  static async recordCounts(stockTakeId, counts, userId) {
+    const stockTake = await this.requireOpen(stockTakeId);
+
+    for (const count of counts) {
+      const line = this.findLine(stockTake, count);
+      if (!line) {
+        throw buildServiceError(`Line not found in stock take: ${count.lineId || count.barcode || count.packetStock || count.product}`, 404);
+      }
+      this.applyCount(line, count.quantity, count.mode, userId, count.notes);
+    }
+
+    await stockTake.save();
+    return stockTake;
+  }
+
+  /**
+   * Record a scanned packet barcode (adds `quantity` packets to the count).
+   * Packets held at the counted location that were not in scope are added as new lines.
+   * @returns {Object} { stockTake, line }
+   */
+  static async recordScan(stockTakeId, barcode, quantity, userId) {
+    const stockTake = await this.requireOpen(stockTakeId);
+
+    let line = this.findLine(stockTake, { barcode });
+    if (!line) {
+      const packetStock = await PacketStock.findOne({ barcode, isActive: true })
+        .populate('product', 'name sku productCode');
+      if (!packetStock || !packetStock.product) {
+        throw buildServiceError('Packet not found or inactive', 404);
+      }
+      if (!stockTake.location) {
+        throw buildServiceError(`Packet ${barcode} is not part of this stock take`);
+      }
+      if (stockTake.lines.some(l => l.type !== 'packet' && sameId(l.product, packetStock.product._id))) {
+        throw buildServiceError(`${packetStock.product.name} is counted in units in this stock take`);
+      }
+
+      const { defaultLocation } = await this.resolveLocations(stockTake.location);
+      if (!sameId(packetStock.location || defaultLocation._id, stockTake.location)) {
+        throw buildServiceError(`Packet ${barcode} is recorded at another location; transfer it to this location first`);
+      }
+
+      // Held here but out of scope when the count was opened (e.g. no packets available then)
+      stockTake.lines.push({
+        ...this.buildPacketLine(packetStock),
+        addedDuringCount: true
+      });
+      line = stockTake.lines[stockTake.lines.length - 1];
+    }
+
+    this.applyCount(line, quantity, 'add', userId);
+    await stockTake.save();
+    return { stockTake, line };
+  }
+
+  /**
+   * Close counting. Uncounted lines are left out of posting unless uncountedAsZero is set.
+   */
+  static async submitStockTake(stockTakeId, userId, { uncountedAsZero = false } = {}) {
+    const stockTake = await this.requireOpen(stockTakeId);
+
+    for (const line of stockTake.lines) {
+      if (line.status === 'uncounted' && uncountedAsZero) {
+        this.applyCount(line, 0, 'set', userId);
+      }
+      // Lines without a variance need no review
+      if (line.status === 'counted' && line.variance === 0) {
+        line.status = 'approved';
+      }
+    }
+
+    stockTake.status = 'submitted';
+    stockTake.submittedAt = new Date();
+    stockTake.submittedBy = userId;
+    await stockTake.save();
+    return stockTake;
+  }
+
+  /**
+   * Approve or reject counted variances of a submitted stock take
+   * @param {Object} decisions - { approve: [lineId], reject: [lineId], approveAll: boolean }
+   */
+  static async reviewStockTake(stockTakeId, { approve = [], reject = [], approveAll = false }) {
+    const stockTake = await StockTake.findById(stockTakeId);
+    if (!stockTake) throw buildServiceError('Stock take not found', 404);
+    if (stockTake.status !== 'submitted') {
+      throw buildServiceError(`Only submitted stock takes can be reviewed (current status: ${stockTake.status})`);
+    }
+
+    const setStatus = (lineId, status) => {
+      const line = stockTake.lines.id(lineId);
+      if (!line) throw buildServiceError(`Line not found in stock take: ${lineId}`, 404);
+      if (line.status === 'uncounted') {
+        throw buildServiceError(`${lineLabel(line)} was not counted`);
+      }
+      line.status = status;
+    };
+
+    if (approveAll) {
+      stockTake.lines.filter(l => l.status === 'counted').forEach(l => { l.status = 'approved'; });
+    }
+    approve.forEach(lineId => setStatus(lineId, 'approved'));
+    reject.forEach(lineId => setStatus(lineId, 'rejected'));
+
+    await stockTake.save();
+    return stockTake;
+  }
+
+  /**
+   * Apply a unit delta to an inventory record, keeping variant and location balances in step
+   */
+  static applyUnitDelta(inventory, { size = '', color = '' }, delta, locationId, defaultLocationId, label) {
+    inventory.currentStock += delta;
+    if (inventory.currentStock < (inventory.reservedStock || 0)) {
+      throw buildServiceError(`Cannot post ${label}: stock would fall below reserved stock`);
+    }
+
+    if (size || color) {
+      const variant = inventory.variantComposition.find(v => v.size === size && v.color === color);
+      if (variant) {
+        variant.quantity += delta;
+        if (variant.quantity < (variant.reservedQuantity || 0)) {
+          throw buildServiceError(`Cannot post ${label}: variant stock would fall below reserved stock`);
+        }
+      } else if (delta > 0) {
+        inventory.variantComposition.push({ size, color, quantity: delta, reservedQuantity: 0 });
+      } else {
+        throw buildServiceError(`Cannot post ${label}: variant ${color}-${size} not found in inventory`);
+      }
+    }
+
+    if (locationId && defaultLocationId && !sameId(locationId, defaultLocationId)) {
+      if (delta > 0) {
+        StockLocationService.addLocationEntry(inventory, locationId, size, color, delta);
+      } else {
+        try {
+          StockLocationService.removeLocationEntry(inventory, locationId, size, color, -delta);
+        } catch (error) {
+          throw buildServiceError(`Cannot post ${label}: stock at the location changed since the count`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Post all approved variances as one batch of adjustment movements
+   */
+  static async postStockTake(stockTakeId, userId) {
+    const session = await mongoose.startSession();
+    session.startTransaction({
+      readConcern: { level: 'snapshot' },
+      writeConcern: { w: 'majority' },
+    });
+
+    try {
+      const stockTake = await StockTake.findById(stockTakeId).session(session);
+      if (!stockTake) throw buildServiceError('Stock take not found', 404);
+      if (stockTake.status !== 'submitted') {
+        throw buildServiceError(`Only submitted stock takes can be posted (current status: ${stockTake.status})`);
+      }
+      if (stockTake.lines.some(l => l.status === 'counted')) {
+        throw buildServiceError('Approve or reject every counted variance before posting');
+      }
+
+      const lines = stockTake.lines.filter(l => l.status === 'approved' && l.variance !== 0);
+      const defaultLocation = await StockLocation.findOne({ isDefault: true, isActive: true }).session(session);
+      const defaultLocationId = defaultLocation?._id;
+
+      const productIds = [...new Set(lines.map(l => l.product.toString()))];
+      const inventories = await Inventory.find({ product: { $in: productIds } }).session(session);
+      const inventoryByProduct = new Map(inventories.map(inv => [inv.product.toString(), inv]));
+      const netByProduct = new Map();
+
+      for (const line of lines) {
+        const inventory = inventoryByProduct.get(line.product.toString());
+        if (!inventory) throw buildServiceError(`Inventory not found for ${line.productName}`, 404);
+        const label = lineLabel(line);
+
+        if (line.type === 'packet') {
+          const packetStock = await PacketStock.findById(line.packetStock).session(session);
+          if (!packetStock) throw buildServiceError(`Packet stock not found for ${label}`, 404);
+
+          packetStock.availablePackets += line.variance;
+          if (packetStock.availablePackets < (packetStock.reservedPackets || 0)) {
+            throw buildServiceError(`Cannot post ${label}: packets would fall below reserved packets`);
+          }
+          await packetStock.save({ session });
+
+          const packetLocation = packetStock.location || defaultLocationId;
+          for (const comp of packetStock.composition) {
+            const delta = comp.quantity * line.variance;
+            this.applyUnitDelta(inventory, comp, delta, packetLocation, defaultLocationId, label);
+            netByProduct.set(line.product.toString(), (netByProduct.get(line.product.toString()) || 0) + delta);
+          }
+        } else {
+          this.applyUnitDelta(inventory, line, line.variance, stockTake.location, defaultLocationId, label);
+          netByProduct.set(line.product.toString(), (netByProduct.get(line.product.toString()) || 0) + line.variance);
+        }
+      }
+
+      for (const [productId, inventory] of inventoryByProduct) {
+        const productLines = lines.filter(l => l.product.toString() === productId);
+        inventory.stockMovements.push({
+          type: 'adjustment',
+          quantity: netByProduct.get(productId) || 0,
+          reference: 'StockTake',
+          referenceId: stockTake._id,
+          user: userId,
+          notes: `Stock take ${stockTake.stockTakeNumber}: ${productLines.map(l => `${lineLabel(l)} ${l.variance > 0 ? '+' : ''}${l.variance}`).join(', ')}`,
+          date: new Date()
+        });
+        inventory.lastStockUpdate = new Date();
+        inventory.markModified('variantComposition');
+        inventory.markModified('locationStock');
+        await inventory.save({ session });
+      }
+
+      stockTake.status = 'posted';
+      stockTake.postedAt = new Date();
+      stockTake.postedBy = userId;
+      await stockTake.save({ session });
+
+      await session.commitTransaction();
+      return stockTake;
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  static async cancelStockTake(stockTakeId, userId) {
+    const stockTake = await StockTake.findOneAndUpdate(
+      { _id: stockTakeId, status: { $in: ['open', 'submitted'] } },
+      { status: 'cancelled', cancelledAt: new Date(), cancelledBy: userId },
+      { new: true }
+    );
+    if (!stockTake) {
+      throw buildServiceError('Open or submitted stock take not found', 404);
+    }
+    return stockTake;
+  }
+
+  /**
+   * Variance-value report: every line with a variance plus gain/loss totals
+   */
+  static getVarianceReport(stockTake) {
+    const lines = stockTake.lines.map(line => ({
+      lineId: line._id,
+      type: line.type,
+      product: line.product,
+      productName: line.productName,
+      productCode: line.productCode,
+      size: line.size,
+      color: line.color,
+      packetBarcode: line.packetBarcode,
+      expectedQuantity: line.expectedQuantity,
+      countedQuantity: line.countedQuantity,
+      variance: line.variance,
+      unitCost: line.unitCost,
+      varianceValue: line.varianceValue,
+      status: line.status
+    }));
+
+    const withVariance = lines.filter(l => l.variance !== 0);
+    const sum = (items, field) => items.reduce((total, l) => total + l[field], 0);
+    const gains = withVariance.filter(l => l.variance > 0);
+    const losses = withVariance.filter(l => l.variance < 0);
+    const approved = withVariance.filter(l => l.status === 'approved');
+
+    return {
+      stockTakeNumber: stockTake.stockTakeNumber,
+      status: stockTake.status,
+      location: stockTake.location,
+      lines: withVariance,
+      summary: {
+        totalLines: lines.length,
+        countedLines: lines.filter(l => l.status !== 'uncounted').length,
+        linesWithVariance: withVariance.length,
+        expectedValue: lines.reduce((total, l) => total + l.expectedQuantity * l.unitCost, 0),
+        gainValue: sum(gains, 'varianceValue'),
+        lossValue: sum(losses, 'varianceValue'),
+        netVarianceValue: sum(withVariance, 'varianceValue'),
+        approvedVarianceValue: sum(approved, 'varianceValue')
+      }
+    };
+  }
+}
+
+module.exports = StockTakeService;
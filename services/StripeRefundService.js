@@ -0,0 +1,326 @@
+/**
+ * StripeRefundService
+ *
+ * Card refunds for sale returns on sales paid through Stripe checkout. Approving a
+ * return (or refunding it later) pays all or part of its value back to the card the
+ * sale was paid with. The refund is kept on the SaleReturn (stripeRefund) and, once
+ * Stripe has accepted it, recorded as a customer debit payment (debitReason refund)
+ * with its ledger entry, which pays out the buyer credit the return created.
+ *
+ * Refunds are idempotent: a return has at most one live refund, claimed atomically
+ * before Stripe is called, and every attempt sends a fixed idempotency key, so a retry
+ * after a crash picks up the refund Stripe already made. The charge.refunded and
+ * charge.refund.updated webhooks bring the final status back; when a recorded refund
+ * fails afterwards, its payment is reversed.
+ */
+
+const mongoose = require('mongoose');
+const SaleReturn = require('../models/SaleReturn');
+const Sale = require('../models/Sale');
+const Payment = require('../models/Payment');
+const Ledger = require('../models/Ledger');
+const BalanceService = require('./BalanceService');
+const { getStripe } = require('../utils/stripeClient');
+const { toMoney } = require('../utils/websitePricing');
+
+const buildServiceError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+// Refunds Stripe has accepted; a return with one of these is not refunded again
+const ACCEPTED_STATUSES = ['pending', 'requires_action', 'succeeded'];
+const ENDED_STATUSES = ['failed', 'canceled'];
+// Errors where Stripe definitely refused the refund; after any other error (network,
+// Stripe API or rate limit) the refund may exist, so the attempt stays 'requested'
+const REJECTED_ERROR_TYPES = ['StripeCardError', 'StripeInvalidRequestError'];
+
+class StripeRefundService {
+  /**
+   * What is left to refund of a sale's card payment, after the refunds of its other returns
+   * @param {Object} sale - Sale paid through Stripe
+   * @param {string} [excludeReturnId] - Return whose own refund is not counted
+   */
+  static async getRefundableAmount(sale, excludeReturnId) {
+    const otherRefunds = await SaleReturn.find({
+      sale: sale._id,
+      _id: { $ne: excludeReturnId },
+      'stripeRefund.status': { $in: ['requested', ...ACCEPTED_STATUSES] }
+    }).select('stripeRefund.amount').lean();
+
+    const refunded = otherRefunds.reduce((sum, saleReturn) => sum + (saleReturn.stripeRefund.amount || 0), 0);
+    return toMoney(Math.max(0, (sale.bankPayment || 0) - refunded));
+  }
+
+  /**
+   * Refund an approved sale return to the card its sale was paid with
+   * @param {string} saleReturnId
+   * @param {Object} options - { amount } (default: the full return value)
+   * @param {string} userId
+   * @returns {Promise<Object>} { saleReturn, refund, created } (created is false when
+   *   the return already had a refund Stripe accepted)
+   */
+  static async refundSaleReturn(saleReturnId, { amount } = {}, userId) {
+    const saleReturn = await SaleReturn.findById(saleReturnId);
+    if (!saleReturn) throw buildServiceError('Sale return not found', 404);
+    if (saleReturn.status !== 'approved') {
+      throw buildServiceError('Only approved returns can be refunded');
+    }
+
+    const current = saleReturn.stripeRefund;
+    if (ACCEPTED_STATUSES.includes(current?.status)) {
+      return { saleReturn, refund: current, created: false };
+    }
+
+    const sale = await Sale.findById(saleReturn.sale);
+    if (!sale?.stripePaymentIntentId) {
+      throw buildServiceError('This sale was not paid by card through Stripe');
+    }
+
+    const stripe = getStripe();
+    if (!stripe) throw buildServiceError('Payment gateway not configured', 503);
+
+    let claimed;
+    if (current?.status === 'requested') {
+      // An earlier request stopped before Stripe answered; the same key picks up that refund
+      claimed = saleReturn;
+    } else {
+      const refundAmount = toMoney(amount ?? saleReturn.totalReturnValue);
+      if (refundAmount <= 0) {
+        throw buildServiceError('Refund amount must be greater than 0');
+      }
+      if (refundAmount > toMoney(saleReturn.totalReturnValue)) {
+        throw buildServiceError(`Refund amount cannot be more than the return value (${toMoney(saleReturn.totalReturnValue).toFixed(2)})`);
+      }
+      const refundable = await this.getRefundableAmount(sale, saleReturn._id);
+      if (refundAmount > refundable) {
+        throw buildServiceError(`Only ${refundable.toFixed(2)} of the card payment is left to refund`);
+      }
+
+      const attempts = (current?.attempts || 0) + 1;
+      claimed = await SaleReturn.findOneAndUpdate(
+        { _id: saleReturn._id, 'stripeRefund.status': { $nin: ['requested', ...ACCEPTED_STATUSES] } },
+        {
+          $set: {
+            stripeRefund: {
+              amount: refundAmount,
+              currency: 'gbp',
+              status: 'requested',
+              idempotencyKey: `sale-return-${saleReturn._id}-refund-${attempts}`,
+              attempts,
+              requestedAt: new Date(),
+              requestedBy: userId
+            }
+          }
+        },
+        { new: true }
+      );
+
+      // Another request claimed it first
+      if (!claimed) {
+        const latest = await SaleReturn.findById(saleReturn._id);
+        return { saleReturn: latest, refund: latest.stripeRefund, created: false };
+      }
+    }
+
+    let refund;
+    try {
+      refund = await stripe.refunds.create({
+        payment_intent: sale.stripePaymentIntentId,
+        amount: Math.round(claimed.stripeRefund.amount * 100),
+        reason: 'requested_by_customer',
+        metadata: {
+          saleId: String(sale._id),
+          saleReturnId: String(claimed._id)
+        }
+      }, { idempotencyKey: claimed.stripeRefund.idempotencyKey });
+    } catch (stripeError) {
+      if (REJECTED_ERROR_TYPES.includes(stripeError.type)) {
+        claimed.stripeRefund.status = 'failed';
+        claimed.stripeRefund.failureReason = stripeError.message;
+        await claimed.save();
+        throw buildServiceError(`Stripe refund failed: ${stripeError.message}`, 502);
+      }
+      // A retry sends the same idempotency key and picks up the refund if Stripe made it
+      throw buildServiceError(`Stripe refund could not be confirmed, try again: ${stripeError.message}`, 502);
+    }
+
+    this.applyRefundStatus(claimed, refund);
+    if (!ENDED_STATUSES.includes(refund.status)) {
+      const payment = await this.recordRefundPayment(claimed, sale, refund.id, userId);
+      claimed.stripeRefund.payment = payment._id;
+    }
+    await claimed.save();
+
+    return { saleReturn: claimed, refund: claimed.stripeRefund, created: true };
+  }
+
+  static applyRefundStatus(saleReturn, refund) {
+    saleReturn.stripeRefund.refundId = refund.id;
+    saleReturn.stripeRefund.currency = refund.currency || saleReturn.stripeRefund.currency;
+    saleReturn.stripeRefund.status = refund.status;
+    saleReturn.stripeRefund.failureReason = refund.failure_reason || undefined;
+    if (refund.status === 'succeeded' && !saleReturn.stripeRefund.settledAt) {
+      saleReturn.stripeRefund.settledAt = new Date();
+    }
+  }
+
+  /**
+   * Customer debit payment and ledger entry for the money paid back. One per Stripe
+   * refund, so a retried request does not record it twice.
+   */
+  static async recordRefundPayment(saleReturn, sale, refundId, userId) {
+    const existing = await Payment.findOne({ stripeRefundId: refundId });
+    if (existing) return existing;
+
+    const amount = saleReturn.stripeRefund.amount;
+    const paymentDate = new Date();
+    const balanceBefore = await BalanceService.getBuyerBalance(saleReturn.buyer);
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const paymentNumber = await Payment.getNextPaymentNumber(session);
+
+      const ledgerEntry = await Ledger.createEntry({
+        type: 'buyer',
+        entityId: saleReturn.buyer,
+        entityModel: 'Buyer',
+        transactionType: 'adjustment',
+        referenceId: saleReturn._id,
+        referenceModel: 'SaleReturn',
+        debit: amount,
+        credit: 0,
+        paymentMethod: 'bank',
+        date: paymentDate,
+        description: `Refund - ${paymentNumber} (card refund for return on Sale ${sale.saleNumber})`,
+        paymentDetails: {
+          cashPayment: 0,
+          bankPayment: amount,
+          remainingBalance: 0
+        },
+        createdBy: userId
+      }, session);
+
+      const payment = new Payment({
+        paymentNumber,
+        paymentType: 'customer',
+        paymentDirection: 'debit',
+        debitReason: 'refund',
+        customerId: saleReturn.buyer,
+        totalAmount: amount,
+        cashAmount: 0,
+        bankAmount: amount,
+        paymentMethod: 'bank',
+        paymentDate,
+        description: `Stripe refund ${refundId} for Sale ${sale.saleNumber}`,
+        distributions: [{
+          saleId: sale._id,
+          saleNumber: sale.saleNumber,
+          amountApplied: amount,
+          ledgerEntryId: ledgerEntry._id,
+          isAdvance: false
+        }],
+        advanceAmount: 0,
+        balanceBefore,
+        balanceAfter: balanceBefore + amount,
+        status: 'active',
+        saleReturn: saleReturn._id,
+        stripeRefundId: refundId,
+        createdBy: userId
+      });
+      await payment.save({ session });
+
+      await session.commitTransaction();
+      return payment;
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  // Undo the debit of a refund that did not go through
+  static async reverseRefundPayment(paymentId, reason) {
+    const payment = await Payment.findById(paymentId);
+    if (!payment || payment.status === 'reversed') return payment;
+
+    const reversalEntry = await Ledger.createEntry({
+      type: 'buyer',
+      entityId: payment.customerId,
+      entityModel: 'Buyer',
+      transactionType: 'adjustment',
+      referenceId: payment._id,
+      referenceModel: 'Payment',
+      debit: 0,
+      credit: payment.totalAmount,
+      paymentMethod: 'bank',
+      date: new Date(),
+      description: `REVERSAL: ${payment.paymentNumber} - ${reason}`,
+      createdBy: payment.createdBy
+    });
+
+    payment.status = 'reversed';
+    payment.reversalInfo = {
+      reversedAt: new Date(),
+      reason,
+      reversalLedgerEntries: [reversalEntry._id]
+    };
+    await payment.save();
+    return payment;
+  }
+
+  /**
+   * Bring a return up to date with a Stripe refund object (charge.refund.updated)
+   * @returns {Promise<Object|null>} The return, or null for refunds made outside a return
+   */
+  static async reconcileRefund(refund) {
+    let saleReturn = await SaleReturn.findOne({ 'stripeRefund.refundId': refund.id });
+    // The webhook can arrive before the refund ID is saved on the return
+    if (!saleReturn && refund.metadata?.saleReturnId) {
+      saleReturn = await SaleReturn.findById(refund.metadata.saleReturnId);
+      if (saleReturn?.stripeRefund?.refundId && saleReturn.stripeRefund.refundId !== refund.id) {
+        saleReturn = null;
+      }
+    }
+    if (!saleReturn?.stripeRefund) return null;
+
+    if (saleReturn.stripeRefund.status === refund.status && saleReturn.stripeRefund.refundId === refund.id) {
+      return saleReturn;
+    }
+
+    this.applyRefundStatus(saleReturn, refund);
+    if (ENDED_STATUSES.includes(refund.status) && saleReturn.stripeRefund.payment) {
+      await this.reverseRefundPayment(saleReturn.stripeRefund.payment, `Stripe refund ${refund.id} ${refund.status}`);
+    }
+    await saleReturn.save();
+    return saleReturn;
+  }
+
+  /**
+   * Reconcile a refunded charge (charge.refunded): every refund on it, the refunded
+   * total on the sale, and the sale's payment status once the whole charge is refunded
+   * @returns {Promise<Object|null>} The sale, or null when no sale has the charge
+   */
+  static async reconcileCharge(charge) {
+    const sale = await Sale.findOne({ stripePaymentIntentId: charge.payment_intent });
+    if (!sale) return null;
+
+    let refunds = charge.refunds?.data || [];
+    const stripe = getStripe();
+    if (refunds.length === 0 && stripe) {
+      refunds = (await stripe.refunds.list({ payment_intent: charge.payment_intent, limit: 100 })).data;
+    }
+    for (const refund of refunds) {
+      await this.reconcileRefund(refund);
+    }
+
+    sale.stripeRefundedAmount = toMoney((charge.amount_refunded || 0) / 100);
+    if (charge.refunded) {
+      sale.paymentStatus = 'refunded';
+    }
+    await sale.save();
+    return sale;
+  }
+}
+
+module.exports = StripeRefundService;
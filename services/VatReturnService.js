@@ -0,0 +1,337 @@
+/**
+ * VatReturnService
+ *
+ * Quarterly VAT returns (UK nine-box layout) from the documents that carry VAT:
+ *   - output VAT: sales (totalVAT + totalTax), less the VAT on approved sale
+ *     returns, worked out at the rate of the sale they came from (return
+ *     values are ex VAT, like the sale's unit prices)
+ *   - input VAT: confirmed dispatch orders (totalTax) and approved or paid
+ *     expenses (taxAmount)
+ * Documents are taken by their own date (saleDate, returnedAt, dispatchDate,
+ * expenseDate). EU boxes 2, 8 and 9 are not tracked and stay at zero.
+ *
+ * Closing a quarter stores the figures as filed and locks the sales, sale
+ * returns, dispatch orders and expenses dated inside it until a super-admin
+ * reopens it.
+ */
+
+const DispatchOrder = require('../models/DispatchOrder');
+const Expense = require('../models/Expense');
+const Sale = require('../models/Sale');
+const SaleReturn = require('../models/SaleReturn');
+const Settings = require('../models/Settings');
+const VatReturn = require('../models/VatReturn');
+
+const PERIOD_PATTERN = /^(\d{4})-Q([1-4])$/;
+
+// Documents behind each box
+const BOX_DOCUMENT_TYPES = {
+  box1: ['sale', 'sale_return'],
+  box3: ['sale', 'sale_return'],
+  box4: ['dispatch_order', 'expense'],
+  box5: ['sale', 'sale_return', 'dispatch_order', 'expense'],
+  box6: ['sale', 'sale_return'],
+  box7: ['dispatch_order', 'expense']
+};
+
+const OUTPUT_TYPES = ['sale', 'sale_return'];
+
+const buildServiceError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Effective VAT rate in percent, to one decimal so that rounding noise lands in the same bucket
+const effectiveRate = (vat, net) => (net > 0 ? Math.round((vat / net) * 1000) / 10 : 0);
+
+const saleVAT = (sale) => (sale.totalVAT || 0) + (sale.totalTax || 0);
+
+const saleRate = (sale) => {
+  if (sale.vatRate > 0 && sale.totalVAT > 0 && !sale.totalTax) return sale.vatRate;
+  return effectiveRate(saleVAT(sale), (sale.subtotal || 0) - (sale.totalDiscount || 0));
+};
+
+class VatReturnService {
+  static async getPeriodRange(period) {
+    const match = PERIOD_PATTERN.exec(period || '');
+    if (!match) {
+      throw buildServiceError('period must be in YYYY-Qn format, e.g. 2026-Q1');
+    }
+
+    const settings = await Settings.getSettings();
+    const firstMonth = (settings.vat?.quarterStartMonth || 1) - 1 + (Number(match[2]) - 1) * 3;
+    const year = Number(match[1]);
+    return {
+      startDate: new Date(year, firstMonth, 1, 0, 0, 0, 0),
+      endDate: new Date(year, firstMonth + 3, 0, 23, 59, 59, 999)
+    };
+  }
+
+  // Throws (status 423) when any of the dates falls in a closed VAT quarter
+  static async assertDatesUnfiled(dates, session = null) {
+    for (const date of dates) {
+      const value = date ? new Date(date) : null;
+      if (!value || Number.isNaN(value.getTime())) continue;
+
+      let query = VatReturn.findOne({ status: 'closed', startDate: { $lte: value }, endDate: { $gte: value } });
+      if (session) query = query.session(session);
+      const vatReturn = await query;
+      if (vatReturn) {
+        throw Object.assign(
+          new Error(`VAT return ${vatReturn.period} has been closed. Documents dated ${value.toISOString().split('T')[0]} cannot be created, edited, reversed or deleted.`),
+          { status: 423, period: vatReturn.period }
+        );
+      }
+    }
+  }
+
+  // Every VAT document in the range, with its net value and VAT
+  static async getDocuments(startDate, endDate) {
+    const range = { $gte: startDate, $lte: endDate };
+
+    const [sales, saleReturns, dispatchOrders, expenses] = await Promise.all([
+      Sale.find({
+        saleDate: range,
+        deliveryStatus: { $ne: 'cancelled' },
+        // Online orders only count once paid, cash-on-delivery orders once delivered
+        paymentStatus: { $nin: ['awaiting_payment', 'failed'] },
+        $nor: [{ isCashOnDelivery: true, deliveryStatus: { $ne: 'delivered' } }]
+      })
+        .select('saleNumber saleDate buyer subtotal totalDiscount totalTax totalVAT vatRate grandTotal')
+        .populate('buyer', 'name company')
+        .lean(),
+      SaleReturn.find({ status: 'approved', returnedAt: range })
+        .select('sale returnedAt totalReturnValue buyer')
+        .populate('sale', 'saleNumber subtotal totalDiscount totalTax totalVAT vatRate')
+        .populate('buyer', 'name company')
+        .lean(),
+      DispatchOrder.find({ status: 'confirmed', dispatchDate: range })
+        .select('orderNumber dispatchDate supplier supplierUser totalTax grandTotal supplierPaymentTotal')
+        .populate('supplier', 'name company')
+        .lean(),
+      Expense.find({ status: { $in: ['approved', 'paid'] }, expenseDate: range })
+        .select('expenseNumber expenseDate vendor description amount taxAmount')
+        .lean()
+    ]);
+
+    const partyName = (party) => party?.company || party?.name || null;
+    const documents = [];
+
+    for (const sale of sales) {
+      const vat = round(saleVAT(sale));
+      documents.push({
+        type: 'sale',
+        id: sale._id,
+        number: sale.saleNumber,
+        date: sale.saleDate,
+        party: partyName(sale.buyer),
+        rate: saleRate(sale),
+        net: round((sale.grandTotal || 0) - vat),
+        vat
+      });
+    }
+
+    for (const saleReturn of saleReturns) {
+      const rate = saleReturn.sale ? saleRate(saleReturn.sale) : 0;
+      const net = round(saleReturn.totalReturnValue || 0);
+      documents.push({
+        type: 'sale_return',
+        id: saleReturn._id,
+        number: saleReturn.sale?.saleNumber ? `Return of ${saleReturn.sale.saleNumber}` : null,
+        date: saleReturn.returnedAt,
+        party: partyName(saleReturn.buyer),
+        rate,
+        net: -net,
+        vat: -round(net * rate / 100)
+      });
+    }
+
+    for (const order of dispatchOrders) {
+      const vat = round(order.totalTax || 0);
+      // Same purchase value as the payables report: supplier-portal orders at supplierPaymentTotal
+      const gross = order.supplierUser ? order.supplierPaymentTotal || 0 : order.grandTotal || 0;
+      const net = round(gross - vat);
+      documents.push({
+        type: 'dispatch_order',
+        id: order._id,
+        number: order.orderNumber,
+        date: order.dispatchDate,
+        party: partyName(order.supplier),
+        rate: effectiveRate(vat, net),
+        net,
+        vat
+      });
+    }
+
+    for (const expense of expenses) {
+      const vat = round(expense.taxAmount || 0);
+      const net = round(expense.amount || 0);
+      documents.push({
+        type: 'expense',
+        id: expense._id,
+        number: expense.expenseNumber,
+        date: expense.expenseDate,
+        party: expense.vendor || expense.description || null,
+        rate: effectiveRate(vat, net),
+        net,
+        vat
+      });
+    }
+
+    return documents.sort((a, b) => new Date(a.date) - new Date(b.date));
+  }
+
+  static calculateBoxes(documents) {
+    const boxes = { box1: 0, box2: 0, box3: 0, box4: 0, box5: 0, box6: 0, box7: 0, box8: 0, box9: 0 };
+    const rates = new Map();
+
+    for (const document of documents) {
+      const isOutput = OUTPUT_TYPES.includes(document.type);
+      if (!rates.has(document.rate)) {
+        rates.set(document.rate, { rate: document.rate, outputVAT: 0, netSales: 0, inputVAT: 0, netPurchases: 0 });
+      }
+      const row = rates.get(document.rate);
+
+      if (isOutput) {
+        boxes.box1 += document.vat;
+        boxes.box6 += document.net;
+        row.outputVAT += document.vat;
+        row.netSales += document.net;
+      } else {
+        boxes.box4 += document.vat;
+        boxes.box7 += document.net;
+        row.inputVAT += document.vat;
+        row.netPurchases += document.net;
+      }
+    }
+
+    boxes.box3 = boxes.box1 + boxes.box2;
+    boxes.box5 = boxes.box3 - boxes.box4;
+
+    return {
+      boxes: Object.fromEntries(Object.entries(boxes).map(([box, value]) => [box, round(value)])),
+      breakdown: [...rates.values()]
+        .map(row => ({
+          rate: row.rate,
+          outputVAT: round(row.outputVAT),
+          netSales: round(row.netSales),
+          inputVAT: round(row.inputVAT),
+          netPurchases: round(row.netPurchases)
+        }))
+        .sort((a, b) => b.rate - a.rate)
+    };
+  }
+
+  /**
+   * VAT return for a quarter, calculated from the current documents.
+   * For a closed quarter the figures as filed are returned too.
+   */
+  static async getReturn(period) {
+    const { startDate, endDate } = await this.getPeriodRange(period);
+    const documents = await this.getDocuments(startDate, endDate);
+    const { boxes, breakdown } = this.calculateBoxes(documents);
+
+    const filed = await VatReturn.findOne({ period })
+      .populate('closedBy', 'name')
+      .populate('reopenedBy', 'name')
+      .lean();
+
+    const counts = {};
+    for (const document of documents) {
+      counts[document.type] = (counts[document.type] || 0) + 1;
+    }
+
+    return {
+      period,
+      startDate,
+      endDate,
+      status: filed?.status === 'closed' ? 'closed' : 'open',
+      boxes,
+      breakdown,
+      documentCounts: counts,
+      netPayable: boxes.box5,
+      filed: filed || null
+    };
+  }
+
+  // The documents behind one box, optionally at one rate
+  static async getBoxDocuments(period, box, rate) {
+    const types = BOX_DOCUMENT_TYPES[box];
+    if (!types) {
+      throw buildServiceError(`box must be one of: ${Object.keys(BOX_DOCUMENT_TYPES).join(', ')}`);
+    }
+
+    const { startDate, endDate } = await this.getPeriodRange(period);
+    let documents = (await this.getDocuments(startDate, endDate)).filter(document => types.includes(document.type));
+    if (rate !== undefined && rate !== null && rate !== '') {
+      documents = documents.filter(document => document.rate === Number(rate));
+    }
+
+    const valueField = ['box6', 'box7'].includes(box) ? 'net' : 'vat';
+    return {
+      period,
+      box,
+      documents,
+      total: round(documents.reduce((sum, document) => {
+        const sign = box === 'box5' && !OUTPUT_TYPES.includes(document.type) ? -1 : 1;
+        return sum + sign * document[valueField];
+      }, 0))
+    };
+  }
+
+  static async listReturns() {
+    return VatReturn.find()
+      .select('-breakdown')
+      .populate('closedBy', 'name')
+      .populate('reopenedBy', 'name')
+      .sort({ startDate: -1 });
+  }
+
+  static async closeReturn(period, userId, { reference, notes } = {}) {
+    const { startDate, endDate } = await this.getPeriodRange(period);
+    if (endDate >= new Date()) {
+      throw buildServiceError('Only quarters that have ended can be closed');
+    }
+
+    const existing = await VatReturn.findOne({ period });
+    if (existing?.status === 'closed') {
+      throw buildServiceError(`VAT return ${period} is already closed`);
+    }
+
+    const { boxes, breakdown } = this.calculateBoxes(await this.getDocuments(startDate, endDate));
+
+    const vatReturn = existing || new VatReturn({ period });
+    Object.assign(vatReturn, {
+      startDate,
+      endDate,
+      status: 'closed',
+      boxes,
+      breakdown,
+      reference,
+      notes,
+      closedBy: userId,
+      closedAt: new Date()
+    });
+    await vatReturn.save();
+
+    return vatReturn;
+  }
+
+  static async reopenReturn(period, userId, reason) {
+    const vatReturn = await VatReturn.findOne({ period });
+    if (!vatReturn || vatReturn.status !== 'closed') {
+      throw buildServiceError(`VAT return ${period} is not closed`, 404);
+    }
+
+    Object.assign(vatReturn, {
+      status: 'reopened',
+      reopenedBy: userId,
+      reopenedAt: new Date(),
+      reopenReason: reason
+    });
+    await vatReturn.save();
+
+    return vatReturn;
+  }
+}
+
+module.exports = VatReturnService;
@@ -0,0 +1,425 @@
+/**
+ * WebhookService
+ *
+ * Outbound webhooks for business events. Admins register subscriptions (a URL
+ * and the events it wants); emit() queues one WebhookDelivery per matching
+ * subscription. Given the caller's session, it waits until the transaction has
+ * committed, so an event is only sent for changes that were committed and a
+ * webhook write can never abort the caller's transaction. The dispatcher in utils/webhooks.js
+ * then POSTs each delivery and retries failures with exponential backoff.
+ *
+ * Every request carries:
+ *   X-Webhook-Event      the event name
+ *   X-Webhook-Id         the event id (stable across retries and redeliveries)
+ *   X-Webhook-Delivery   the delivery id
+ *   X-Webhook-Timestamp  unix seconds when the request was signed
+ *   X-Webhook-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" keyed by the subscription secret>
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const Inventory = require('../models/Inventory');
+const StockSyncService = require('./StockSyncService');
+const { WEBHOOK_EVENTS } = require('../utils/constants');
+
+const buildServiceError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+// First retry after a minute, then 2, 4, 8... minutes
+const RETRY_BASE_MS = 60 * 1000;
+const RESPONSE_BODY_LIMIT = 2000;
+
+const LOW_STOCK_EVENT = 'stock.below_reorder_level';
+
+// Dates and ObjectIds become the strings the receiver will see
+const toJSON = (data) => JSON.parse(JSON.stringify(data ?? {}));
+
+class WebhookService {
+  static get events() {
+    return WEBHOOK_EVENTS;
+  }
+
+  static generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  static sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  static getRetryDelay(attempts) {
+    return RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0);
+  }
+
+  static async createSubscription({ name, url, events, description, isActive }, userId) {
+    return WebhookSubscription.create({
+      name,
+      url,
+      events,
+      description,
+      isActive,
+      secret: this.generateSecret(),
+      createdBy: userId
+    });
+  }
+
+  static async getSubscription(subscriptionId) {
+    const subscription = await WebhookSubscription.findById(subscriptionId).populate('createdBy', 'name');
+    if (!subscription) {
+      throw buildServiceError('Webhook subscription not found', 404);
+    }
+    return subscription;
+  }
+
+  static async updateSubscription(subscriptionId, updates) {
+    const subscription = await WebhookSubscription.findById(subscriptionId);
+    if (!subscription) {
+      throw buildServiceError('Webhook subscription not found', 404);
+    }
+
+    Object.assign(subscription, updates);
+    await subscription.save();
+    return subscription;
+  }
+
+  // Deleting a subscription drops its pending deliveries; the log of earlier attempts is kept
+  static async deleteSubscription(subscriptionId) {
+    const subscription = await WebhookSubscription.findByIdAndDelete(subscriptionId);
+    if (!subscription) {
+      throw buildServiceError('Webhook subscription not found', 404);
+    }
+
+    await WebhookDelivery.updateMany(
+      { subscription: subscription._id, status: 'pending' },
+      { $set: { status: 'failed', error: 'Subscription deleted' }, $unset: { nextAttemptAt: 1 } }
+    );
+    return subscription;
+  }
+
+  static async rotateSecret(subscriptionId) {
+    const subscription = await WebhookSubscription.findById(subscriptionId);
+    if (!subscription) {
+      throw buildServiceError('Webhook subscription not found', 404);
+    }
+
+    subscription.secret = this.generateSecret();
+    await subscription.save();
+    return subscription;
+  }
+
+  /**
+   * Queue an event for every active subscription that wants it. Given the
+   * caller's session in a transaction, the deliveries are queued once the
+   * session ends with the transaction committed, and dropped if it rolled back.
+   * Never throws: a webhook problem must not fail the business operation.
+   */
+  static async emit(event, data, { session = null } = {}) {
+    const payload = { id: new mongoose.Types.ObjectId().toString(), event, createdAt: new Date().toISOString(), data: toJSON(data) };
+
+    // A failed write inside the transaction would abort it, so nothing is written until it has committed
+    if (session?.inTransaction()) {
+      const { transaction } = session;
+      session.once('ended', () => {
+        if (transaction.isCommitted) this.queue(event, payload);
+      });
+      return [];
+    }
+
+    return this.queue(event, payload);
+  }
+
+  static async queue(event, payload) {
+    try {
+      const subscriptions = await WebhookSubscription.find({ isActive: true, events: { $in: [event, '*'] } })
+        .select('_id')
+        .lean();
+      if (subscriptions.length === 0) return [];
+
+      const deliveries = await WebhookDelivery.insertMany(
+        subscriptions.map(subscription => ({ subscription: subscription._id, event, payload }))
+      );
+
+      // Send straight away rather than waiting for the next dispatcher run
+      const ids = deliveries.map(delivery => delivery._id);
+      setTimeout(() => {
+        this.deliverMany(ids).catch(error => console.error('[Webhooks] Delivery error:', error.message));
+      }, 0);
+
+      return ids;
+    } catch (error) {
+      console.error(`[Webhooks] Failed to queue ${event}:`, error.message);
+      return [];
+    }
+  }
+
+  static async deliverMany(deliveryIds) {
+    const results = [];
+    for (const deliveryId of deliveryIds) {
+      results.push(await this.attemptDelivery(deliveryId));
+    }
+    return results;
+  }
+
+  /**
+   * POST a pending delivery that is due. The delivery is claimed first by pushing
+   * nextAttemptAt past the request timeout, so overlapping dispatcher runs and
+   * immediate sends never deliver the same attempt twice.
+   * Returns null when the delivery is not due (or was claimed elsewhere).
+   */
+  static async attemptDelivery(deliveryId, { force = false } = {}) {
+    const now = new Date();
+    const claim = { _id: deliveryId, status: 'pending' };
+    if (!force) claim.nextAttemptAt = { $lte: now };
+
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      claim,
+      { $set: { nextAttemptAt: new Date(now.getTime() + TIMEOUT_MS + RETRY_BASE_MS) } },
+      { new: true }
+    );
+    if (!delivery) return null;
+
+    const subscription = await WebhookSubscription.findById(delivery.subscription).select('+secret');
+    if (!subscription || !subscription.isActive) {
+      delivery.status = 'failed';
+      delivery.error = subscription ? 'Subscription is inactive' : 'Subscription deleted';
+      delivery.nextAttemptAt = undefined;
+      await delivery.save();
+      return delivery;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+    const startedAt = Date.now();
+    let succeeded = false;
+
+    delivery.attempts += 1;
+    delivery.lastAttemptAt = new Date();
+
+    try {
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'ERP-Webhooks/1.0',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Id': delivery.payload.id,
+          'X-Webhook-Delivery': delivery._id.toString(),
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': `sha256=${this.sign(subscription.secret, timestamp, body)}`
+        },
+        body,
+        signal: controller.signal
+      });
+      const responseBody = await response.text();
+
+      succeeded = response.ok;
+      delivery.responseStatus = response.status;
+      delivery.responseBody = responseBody.slice(0, RESPONSE_BODY_LIMIT);
+      delivery.error = succeeded ? undefined : `Receiver responded with HTTP ${response.status}`;
+    } catch (error) {
+      delivery.responseStatus = undefined;
+      delivery.responseBody = undefined;
+      delivery.error = error.name === 'AbortError'
+        ? `Timed out after ${TIMEOUT_MS}ms`
+        : (error.cause?.message || error.message);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    delivery.durationMs = Date.now() - startedAt;
+    if (succeeded) {
+      delivery.status = 'success';
+      delivery.deliveredAt = new Date();
+      delivery.nextAttemptAt = undefined;
+    } else if (delivery.attempts >= MAX_ATTEMPTS) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = undefined;
+    } else {
+      delivery.nextAttemptAt = new Date(Date.now() + this.getRetryDelay(delivery.attempts));
+    }
+    await delivery.save();
+
+    await WebhookSubscription.updateOne(
+      { _id: subscription._id },
+      { $set: { lastDeliveryAt: delivery.lastAttemptAt, lastDeliveryStatus: succeeded ? 'success' : 'failed' } }
+    );
+
+    return delivery;
+  }
+
+  // Attempt every pending delivery that is due, oldest first
+  static async processDueDeliveries({ limit = 50 } = {}) {
+    const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+      .select('_id')
+      .sort({ nextAttemptAt: 1 })
+      .limit(limit)
+      .lean();
+
+    const summary = { attempted: 0, succeeded: 0, failed: 0, retrying: 0 };
+    for (const { _id } of due) {
+      const delivery = await this.attemptDelivery(_id);
+      if (!delivery) continue;
+      summary.attempted += 1;
+      if (delivery.status === 'success') summary.succeeded += 1;
+      else if (delivery.status === 'failed') summary.failed += 1;
+      else summary.retrying += 1;
+    }
+    return summary;
+  }
+
+  /**
+   * Send a delivery's payload again as a new delivery, whatever the outcome of the
+   * original. The event id is unchanged so receivers can recognise a repeat.
+   */
+  static async redeliver(deliveryId, userId) {
+    const original = await WebhookDelivery.findById(deliveryId);
+    if (!original) {
+      throw buildServiceError('Webhook delivery not found', 404);
+    }
+
+    const subscription = await WebhookSubscription.findById(original.subscription);
+    if (!subscription) {
+      throw buildServiceError('The subscription for this delivery has been deleted');
+    }
+    if (!subscription.isActive) {
+      throw buildServiceError('Activate the subscription before redelivering');
+    }
+
+    const delivery = await WebhookDelivery.create({
+      subscription: original.subscription,
+      event: original.event,
+      payload: original.payload,
+      redeliveryOf: original._id,
+      triggeredBy: userId
+    });
+
+    return await this.attemptDelivery(delivery._id, { force: true }) || delivery;
+  }
+
+  // Send a ping to one subscription, regardless of the events it subscribes to
+  static async sendTest(subscriptionId, userId) {
+    const subscription = await WebhookSubscription.findById(subscriptionId);
+    if (!subscription) {
+      throw buildServiceError('Webhook subscription not found', 404);
+    }
+    if (!subscription.isActive) {
+      throw buildServiceError('Activate the subscription before sending a test');
+    }
+
+    const delivery = await WebhookDelivery.create({
+      subscription: subscription._id,
+      event: 'ping',
+      payload: {
+        id: new mongoose.Types.ObjectId().toString(),
+        event: 'ping',
+        createdAt: new Date().toISOString(),
+        data: { subscriptionId: subscription._id.toString(), name: subscription.name }
+      },
+      triggeredBy: userId
+    });
+
+    return await this.attemptDelivery(delivery._id, { force: true }) || delivery;
+  }
+
+  static async listDeliveries(subscriptionId, { status, event, page = 1, limit = 20 } = {}) {
+    const query = { subscription: subscriptionId };
+    if (status) query.status = status;
+    if (event) query.event = event;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(query)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit)
+        .lean(),
+      WebhookDelivery.countDocuments(query)
+    ]);
+
+    return { deliveries, total };
+  }
+
+  /**
+   * Emit stock.below_reorder_level once per product when it falls to or below its
+   * reorder level. Inventory.lowStockAlertedAt records the alert and is cleared once
+   * stock is back above the level, so the next drop alerts again.
+   */
+  static async checkLowStock() {
+    if (!await WebhookSubscription.exists({ isActive: true, events: { $in: [LOW_STOCK_EVENT, '*'] } })) {
+      return 0;
+    }
+
+    await Inventory.updateMany(
+      { lowStockAlertedAt: { $exists: true }, $expr: { $gt: ['$currentStock', '$reorderLevel'] } },
+      { $unset: { lowStockAlertedAt: 1 } }
+    );
+
+    const { inventory } = await StockSyncService.getLowStockAlerts({ limit: 500, includePackets: false });
+    const alerted = await Inventory.find({
+      _id: { $in: inventory.map(item => item._id) },
+      lowStockAlertedAt: { $exists: true }
+    }).select('_id').lean();
+    const alertedIds = new Set(alerted.map(item => item._id.toString()));
+
+    let emitted = 0;
+    for (const item of inventory) {
+      if (alertedIds.has(item._id.toString())) continue;
+
+      await this.emit(LOW_STOCK_EVENT, {
+        productId: item.productId,
+        productName: item.productName,
+        productCode: item.productCode,
+        sku: item.sku,
+        currentStock: item.currentStock,
+        reorderLevel: item.reorderLevel,
+        reorderQuantity: item.reorderQuantity,
+        stockDeficit: item.stockDeficit,
+        alertLevel: item.alertLevel
+      });
+      await Inventory.updateOne({ _id: item._id }, { $set: { lowStockAlertedAt: new Date() } });
+      emitted += 1;
+    }
+    return emitted;
+  }
+
+  // The sale fields sent with sale.created and sale.paid
+  static salePayload(sale) {
+    return {
+      saleId: sale._id,
+      saleNumber: sale.saleNumber,
+      invoiceNumber: sale.invoiceNumber,
+      buyerId: sale.buyer?._id || sale.buyer || null,
+      saleDate: sale.saleDate,
+      saleType: sale.saleType,
+      grandTotal: sale.grandTotal,
+      paymentStatus: sale.paymentStatus,
+      paymentMethod: sale.paymentMethod,
+      deliveryStatus: sale.deliveryStatus,
+      itemCount: sale.items?.length || 0
+    };
+  }
+
+  // The fields sent with payment.reversed for a buyer payment
+  static buyerPaymentReversalPayload(payment, reason, userId) {
+    return {
+      partyType: 'buyer',
+      partyId: payment.customerId,
+      paymentId: payment._id,
+      paymentNumber: payment.paymentNumber,
+      amount: payment.totalAmount,
+      cashAmount: payment.cashAmount,
+      bankAmount: payment.bankAmount,
+      paymentMethod: payment.paymentMethod,
+      paymentDate: payment.paymentDate,
+      saleNumbers: payment.distributions.filter(dist => dist.saleNumber).map(dist => dist.saleNumber),
+      reason,
+      reversedBy: userId
+    };
+  }
+}
+
+module.exports = WebhookService;
@@ -0,0 +1,286 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const jwt = require('jsonwebtoken');
+
+// Mock external utilities before importing server/routes
+jest.mock('../../utils/imageUpload', () => ({
+  generateSignedUrl: async (url) => url,
+  generateSignedUrls: async (urls) => urls,
+  generateSignedUploadUrl: async () => ({ url: 'http://upload' }),
+  verifyFileExists: async () => true,
+  deleteImage: async () => true,
+  uploadImage: async () => ({ url: 'http://uploaded' })
+}));
+jest.mock('../../utils/qrCode', () => ({
+  generateDispatchOrderQR: async () => ({ dataUrl: 'data:' }),
+  buildDispatchOrderQrPayload: () => ({})
+}));
+jest.mock('../../utils/barcodeGenerator', () => ({
+  generatePacketBarcode: async () => 'BARCODE',
+  generateLooseItemBarcode: async () => 'LOOSE'
+}));
+
+let mongod;
+let app;
+let periodLock;
+let RecurringExpenseService;
+let User;
+let Buyer;
+let Expense;
+let Sale;
+let SaleReturn;
+let DispatchOrder;
+let Supplier;
+let AccountingPeriod;
+let VatReturn;
+
+beforeAll(async () => {
+  mongod = await MongoMemoryServer.create();
+  process.env.MONGODB_URI = mongod.getUri();
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'testsecret';
+  process.env.NODE_ENV = 'test';
+
+  app = require('../../server');
+  await mongoose.connection.asPromise();
+
+  periodLock = require('../../middleware/periodLock');
+  RecurringExpenseService = require('../../services/RecurringExpenseService');
+  User = require('../../models/User');
+  Buyer = require('../../models/Buyer');
+  Expense = require('../../models/Expense');
+  Sale = require('../../models/Sale');
+  SaleReturn = require('../../models/SaleReturn');
+  DispatchOrder = require('../../models/DispatchOrder');
+  Supplier = require('../../models/Supplier');
+  AccountingPeriod = require('../../models/AccountingPeriod');
+  VatReturn = require('../../models/VatReturn');
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongod) await mongod.stop();
+});
+
+afterEach(async () => {
+  const collections = Object.keys(mongoose.connection.collections);
+  for (const coll of collections) {
+    await mongoose.connection.collections[coll].deleteMany({});
+  }
+});
+
+function generateTokenFor(user) {
+  return jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+}
+
+// January 2024 closed through the route, by a super-admin (the lock applies to every role)
+async function createFixture() {
+  const superAdmin = await User.create({ name: 'Owner', email: 'owner@example.com', password: 'pass123', role: 'super-admin' });
+  const buyer = await Buyer.create({ name: 'Buyer A', phone: '555000', createdBy: superAdmin._id });
+  const token = generateTokenFor(superAdmin);
+
+  await request(app)
+    .post('/api/accounting-periods/close')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ period: '2024-01', notes: 'Month end' })
+    .expect(200);
+
+  const createExpense = (expenseDate) => Expense.create({
+    expenseNumber: `EXP-${expenseDate.getTime()}`,
+    description: 'Warehouse rent',
+    costType: new mongoose.Types.ObjectId(),
+    amount: 100,
+    paymentMethod: 'cash',
+    expenseDate,
+    createdBy: superAdmin._id
+  });
+
+  return { superAdmin, buyer, token, createExpense };
+}
+
+// Run the middleware on its own; resolves with whether the request went through
+async function runLock(options, req) {
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  const next = jest.fn();
+  await periodLock(options)({ body: {}, params: {}, ...req }, res, next);
+  return { passed: next.mock.calls.length === 1, res };
+}
+
+describe('Accounting period routes', () => {
+  test('closes an ended month once and refuses months that have not ended', async () => {
+    const { token } = await createFixture();
+
+    const closed = await AccountingPeriod.findOne({ period: '2024-01' }).lean();
+    expect(closed).toMatchObject({ status: 'closed', notes: 'Month end' });
+    expect(closed.history.map(entry => entry.action)).toEqual(['close']);
+
+    const again = await request(app)
+      .post('/api/accounting-periods/close')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ period: '2024-01' })
+      .expect(400);
+    expect(again.body.message).toBe('Accounting period 2024-01 is already closed');
+
+    const now = new Date();
+    const current = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+    const open = await request(app)
+      .post('/api/accounting-periods/close')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ period: current })
+      .expect(400);
+    expect(open.body.message).toBe('Only months that have ended can be closed');
+  });
+});
+
+describe('periodLock on routes', () => {
+  test('refuses a sale dated inside a closed period', async () => {
+    const { buyer, token } = await createFixture();
+
+    const res = await request(app)
+      .post('/api/sales')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        buyer: String(buyer._id),
+        saleDate: '2024-01-15',
+        items: [{ product: String(new mongoose.Types.ObjectId()), quantity: 1, unitPrice: 10 }]
+      })
+      .expect(423);
+
+    expect(res.body).toMatchObject({ success: false, periodClosed: true, period: '2024-01' });
+    expect(res.body.message).toBe('Accounting period 2024-01 is closed. Entries dated 2024-01-15 cannot be created, edited, reversed or deleted.');
+    expect(await Sale.countDocuments()).toBe(0);
+  });
+
+  test('refuses to move an expense out of a closed period or to delete it', async () => {
+    const { token, createExpense } = await createFixture();
+    const expense = await createExpense(new Date(2024, 0, 20));
+
+    const moved = await request(app)
+      .put(`/api/expenses/${expense._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ expenseDate: '2024-02-20' })
+      .expect(423);
+    expect(moved.body).toMatchObject({ periodClosed: true, period: '2024-01' });
+
+    await request(app)
+      .delete(`/api/expenses/${expense._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(423);
+
+    const stored = await Expense.findById(expense._id).lean();
+    expect(stored.expenseDate).toEqual(new Date(2024, 0, 20));
+  });
+
+  test('refuses to approve a sale return dated inside a closed period', async () => {
+    const { superAdmin, buyer, token } = await createFixture();
+    const saleReturn = await SaleReturn.create({
+      sale: new mongoose.Types.ObjectId(),
+      buyer: buyer._id,
+      items: [{ itemIndex: 0, product: new mongoose.Types.ObjectId(), originalQuantity: 2, returnedQuantity: 1, unitPrice: 10 }],
+      totalReturnValue: 10,
+      returnedAt: new Date(2024, 0, 25),
+      returnedBy: superAdmin._id
+    });
+
+    const res = await request(app)
+      .patch(`/api/sale-returns/${saleReturn._id}/approve`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({})
+      .expect(423);
+
+    expect(res.body).toMatchObject({ periodClosed: true, period: '2024-01' });
+    expect((await SaleReturn.findById(saleReturn._id).lean()).status).toBe('pending');
+  });
+
+  test('refuses to confirm a dispatch order dated inside a closed period by QR scan', async () => {
+    const { superAdmin, token } = await createFixture();
+    const supplier = await Supplier.create({ name: 'Supplier A', phone: '123456', createdBy: superAdmin._id });
+    const order = await DispatchOrder.create({
+      supplier: supplier._id,
+      createdBy: superAdmin._id,
+      status: 'pending',
+      dispatchDate: new Date(2024, 0, 12),
+      items: [{ productName: 'Jacket', productCode: 'JKT-1', season: ['all_season'], costPrice: 10, quantity: 10 }]
+    });
+    const qrData = encodeURIComponent(JSON.stringify({ type: 'dispatch_order', dispatchOrderId: String(order._id) }));
+
+    const res = await request(app)
+      .post(`/api/dispatch-orders/qr/${qrData}/confirm`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ exchangeRate: 1 })
+      .expect(423);
+
+    expect(res.body).toMatchObject({ periodClosed: true, period: '2024-01' });
+    expect((await DispatchOrder.findById(order._id).lean()).status).toBe('pending');
+  });
+
+  test('lets changes through again once the period is reopened', async () => {
+    const { token } = await createFixture();
+
+    const closed = await runLock({ dateField: 'date' }, { body: { date: '2024-01-10' } });
+    expect(closed.passed).toBe(false);
+    expect(closed.res.status).toHaveBeenCalledWith(423);
+
+    await request(app)
+      .patch('/api/accounting-periods/2024-01/reopen')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ reason: 'Late supplier invoice' })
+      .expect(200);
+
+    expect((await runLock({ dateField: 'date' }, { body: { date: '2024-01-10' } })).passed).toBe(true);
+  });
+});
+
+describe('periodLock on VAT documents', () => {
+  test('only blocks VAT documents inside a closed VAT return', async () => {
+    await createFixture();
+    await VatReturn.create({
+      period: '2024-Q2',
+      startDate: new Date(2024, 3, 1),
+      endDate: new Date(2024, 5, 30, 23, 59, 59, 999),
+      status: 'closed'
+    });
+
+    const vatDocument = await runLock({ dateField: 'date', vatDocument: true }, { body: { date: '2024-05-10' } });
+    expect(vatDocument.passed).toBe(false);
+    expect(vatDocument.res.json).toHaveBeenCalledWith(expect.objectContaining({ periodClosed: true, period: '2024-Q2' }));
+
+    expect((await runLock({ dateField: 'date' }, { body: { date: '2024-05-10' } })).passed).toBe(true);
+  });
+
+  test('leaves records it cannot find to the route', async () => {
+    const { passed } = await runLock(
+      { entityModel: Expense, existingDateField: 'expenseDate' },
+      { params: { id: 'not-an-id' } }
+    );
+
+    expect(passed).toBe(true);
+  });
+});
+
+describe('Recurring expenses in closed periods', () => {
+  test('are not generated; the series moves past them and they are reported', async () => {
+    const { createExpense } = await createFixture();
+    await VatReturn.create({
+      period: '2024-Q2',
+      startDate: new Date(2024, 3, 1),
+      endDate: new Date(2024, 5, 30, 23, 59, 59, 999),
+      status: 'closed'
+    });
+    const template = await createExpense(new Date(2023, 11, 15));
+    template.isRecurring = true;
+    template.recurringFrequency = 'monthly';
+    template.nextRecurringDate = new Date(2024, 0, 15);
+    await template.save();
+
+    const { created, locked } = await RecurringExpenseService.materialiseDueExpenses(new Date(2024, 6, 20));
+
+    // January is a closed month and April to June a closed VAT return
+    expect(created).toBe(3);
+    expect(locked.map(occurrence => occurrence.date.getMonth())).toEqual([0, 3, 4, 5]);
+    expect(locked[0]).toMatchObject({ expenseNumber: template.expenseNumber, message: expect.stringContaining('2024-01') });
+    const generated = await Expense.find({ recurringSource: template._id }).sort({ recurrenceDate: 1 }).lean();
+    expect(generated.map(expense => expense.recurrenceDate.getMonth())).toEqual([1, 2, 6]);
+    expect((await Expense.findById(template._id).lean()).nextRecurringDate).toEqual(new Date(2024, 7, 15));
+  });
+});
@@ -0,0 +1,118 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// Mock external utilities before importing server/routes
+jest.mock('../../utils/imageUpload', () => ({
+  generateSignedUrl: async (url) => url,
+  generateSignedUrls: async (urls) => urls,
+  generateSignedUploadUrl: async () => ({ url: 'http://upload' }),
+  verifyFileExists: async () => true,
+  deleteImage: async () => true,
+  uploadImage: async () => ({ url: 'http://uploaded' })
+}));
+jest.mock('../../utils/qrCode', () => ({
+  generateDispatchOrderQR: async () => ({ dataUrl: 'data:' }),
+  buildDispatchOrderQrPayload: () => ({})
+}));
+jest.mock('../../utils/barcodeGenerator', () => ({
+  generatePacketBarcode: async () => 'BARCODE',
+  generateLooseItemBarcode: async () => 'LOOSE'
+}));
+
+let mongod;
+let app;
+let mailer;
+let User;
+let PasswordResetRequest;
+const sent = [];
+
+beforeAll(async () => {
+  mongod = await MongoMemoryServer.create();
+  process.env.MONGODB_URI = mongod.getUri();
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'testsecret';
+  process.env.NODE_ENV = 'test';
+
+  app = require('../../server');
+  await mongoose.connection.asPromise();
+
+  mailer = require('../../utils/mailer');
+  mailer.setTransport({ name: 'test', send: async (message) => { sent.push(message); return { messageId: 'test' }; } });
+  User = require('../../models/User');
+  PasswordResetRequest = require('../../models/PasswordResetRequest');
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongod) await mongod.stop();
+});
+
+afterEach(async () => {
+  sent.length = 0;
+  const collections = Object.keys(mongoose.connection.collections);
+  for (const coll of collections) {
+    await mongoose.connection.collections[coll].deleteMany({});
+  }
+});
+
+const forgot = (email) => request(app)
+  .post('/api/auth/forgot-password')
+  .send({ email, portalSource: 'admin-portal' });
+
+// The token is the only 64-character hex string in the emailed link
+const tokenFrom = (message) => message.text.match(/token=([0-9a-f]{64})/)[1];
+
+describe('Password reset', () => {
+  test('emails a token that works once and escapes the name in the HTML body', async () => {
+    await User.create({ name: '<b>Ann</b>', email: 'ann@example.com', password: 'pass123', role: 'admin' });
+
+    await forgot('ann@example.com').expect(200);
+    expect(sent).toHaveLength(1);
+    expect(sent[0].html).toContain('Hello &lt;b&gt;Ann&lt;/b&gt;,');
+
+    const token = tokenFrom(sent[0]);
+    // Only the hash is stored
+    expect(await PasswordResetRequest.countDocuments({ token })).toBe(0);
+
+    await request(app).post('/api/auth/reset-password').send({ token, password: 'newpass1' }).expect(200);
+    const again = await request(app).post('/api/auth/reset-password').send({ token, password: 'newpass2' }).expect(400);
+    expect(again.body.message).toBe('Invalid or expired reset token');
+
+    const user = await User.findOne({ email: 'ann@example.com' });
+    expect(await user.comparePassword('newpass1')).toBe(true);
+  });
+
+  test('answers the same for unknown emails and limits requests per email', async () => {
+    await forgot('nobody@example.com').expect(200);
+    await forgot('Nobody@example.com').expect(200);
+    await forgot('nobody@example.com').expect(200);
+    const limited = await forgot('nobody@example.com').expect(429);
+
+    expect(limited.body.message).toBe('Too many password reset requests for this email. Please try again later.');
+    expect(sent).toHaveLength(0);
+  });
+});
+
+describe('Mailer transports', () => {
+  const env = { ...process.env };
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  test('refuses to fall back to the console in production', () => {
+    delete process.env.MAIL_TRANSPORT;
+    process.env.NODE_ENV = 'production';
+
+    expect(() => mailer.createTransport()).toThrow('MAIL_TRANSPORT must be set in production');
+  });
+
+  test('never logs the message body on the console', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    delete process.env.MAIL_TRANSPORT;
+
+    await mailer.createTransport().send({ to: 'ann@example.com', subject: 'Reset your password', text: 'token=secret' });
+
+    expect(log.mock.calls.join(' ')).not.toContain('secret');
+    log.mockRestore();
+  });
+});
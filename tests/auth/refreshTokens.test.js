@@ -0,0 +1,113 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// Mock external utilities before importing server/routes
+jest.mock('../../utils/imageUpload', () => ({
+  generateSignedUrl: async (url) => url,
+  generateSignedUrls: async (urls) => urls,
+  generateSignedUploadUrl: async () => ({ url: 'http://upload' }),
+  verifyFileExists: async () => true,
+  deleteImage: async () => true,
+  uploadImage: async () => ({ url: 'http://uploaded' })
+}));
+jest.mock('../../utils/qrCode', () => ({
+  generateDispatchOrderQR: async () => ({ dataUrl: 'data:' }),
+  buildDispatchOrderQrPayload: () => ({})
+}));
+jest.mock('../../utils/barcodeGenerator', () => ({
+  generatePacketBarcode: async () => 'BARCODE',
+  generateLooseItemBarcode: async () => 'LOOSE'
+}));
+
+let mongod;
+let app;
+let User;
+let UserSession;
+
+beforeAll(async () => {
+  mongod = await MongoMemoryServer.create();
+  process.env.MONGODB_URI = mongod.getUri();
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'testsecret';
+  process.env.NODE_ENV = 'test';
+
+  app = require('../../server');
+  await mongoose.connection.asPromise();
+
+  User = require('../../models/User');
+  UserSession = require('../../models/UserSession');
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongod) await mongod.stop();
+});
+
+afterEach(async () => {
+  const collections = Object.keys(mongoose.connection.collections);
+  for (const coll of collections) {
+    await mongoose.connection.collections[coll].deleteMany({});
+  }
+});
+
+// An admin logged in through the route; resolves with its access and refresh tokens
+async function login() {
+  await User.create({ name: 'Admin', email: 'admin@example.com', password: 'pass123', role: 'admin' });
+  const res = await request(app)
+    .post('/api/auth/login')
+    .send({ email: 'admin@example.com', password: 'pass123' })
+    .expect(200);
+  return { token: res.body.token, refreshToken: res.body.refreshToken };
+}
+
+const refresh = (refreshToken) => request(app).post('/api/auth/refresh').send({ refreshToken });
+
+const me = (token) => request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+
+describe('POST /api/auth/refresh', () => {
+  test('replaces the refresh token on every use', async () => {
+    const { refreshToken } = await login();
+
+    const first = await refresh(refreshToken).expect(200);
+    expect(first.body.refreshToken).not.toBe(refreshToken);
+    await me(first.body.token).expect(200);
+
+    const second = await refresh(first.body.refreshToken).expect(200);
+    expect(second.body.refreshToken).not.toBe(first.body.refreshToken);
+    expect(await UserSession.countDocuments()).toBe(1);
+  });
+
+  test('revokes the whole session when a rotated-out token is presented again', async () => {
+    const { refreshToken } = await login();
+    const rotated = await refresh(refreshToken).expect(200);
+
+    const reused = await refresh(refreshToken).expect(401);
+    expect(reused.body.message).toBe('Refresh token has already been used. Please log in again.');
+
+    // The current token and access token of that session stop working too
+    const current = await refresh(rotated.body.refreshToken).expect(401);
+    expect(current.body.message).toBe('Invalid or expired refresh token');
+    const denied = await me(rotated.body.token).expect(401);
+    expect(denied.body.message).toBe('Session has been revoked');
+    expect(await UserSession.findOne().lean()).toMatchObject({ revokedReason: 'reuse_detected' });
+  });
+
+  test('rotates a token once when it is presented twice at the same time', async () => {
+    const { refreshToken } = await login();
+
+    const responses = await Promise.all([refresh(refreshToken), refresh(refreshToken)]);
+
+    expect(responses.map(res => res.status).sort()).toEqual([200, 401]);
+  });
+});
+
+describe('POST /api/auth/logout', () => {
+  test('revokes the session so its tokens stop working', async () => {
+    const { token, refreshToken } = await login();
+
+    await request(app).post('/api/auth/logout').set('Authorization', `Bearer ${token}`).expect(200);
+
+    await me(token).expect(401);
+    await refresh(refreshToken).expect(401);
+  });
+});
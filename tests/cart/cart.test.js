@@ -0,0 +1,205 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const jwt = require('jsonwebtoken');
+
+// Mock external utilities before importing server/routes
+jest.mock('../../utils/imageUpload', () => ({
+  generateSignedUrl: async (url) => url,
+  generateSignedUrls: async (urls) => urls,
+  generateSignedUploadUrl: async () => ({ url: 'http://upload' }),
+  verifyFileExists: async () => true,
+  deleteImage: async () => true,
+  uploadImage: async () => ({ url: 'http://uploaded' })
+}));
+jest.mock('../../utils/qrCode', () => ({
+  generateDispatchOrderQR: async () => ({ dataUrl: 'data:' }),
+  buildDispatchOrderQrPayload: () => ({})
+}));
+jest.mock('../../utils/barcodeGenerator', () => ({
+  generatePacketBarcode: async () => 'BARCODE',
+  generateLooseItemBarcode: async () => 'LOOSE'
+}));
+
+let mongod;
+let app;
+let User;
+let Supplier;
+let Product;
+let Inventory;
+let Buyer;
+let Cart;
+
+beforeAll(async () => {
+  mongod = await MongoMemoryServer.create();
+  process.env.MONGODB_URI = mongod.getUri();
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'testsecret';
+  process.env.NODE_ENV = 'test';
+
+  app = require('../../server');
+  await mongoose.connection.asPromise();
+
+  User = require('../../models/User');
+  Supplier = require('../../models/Supplier');
+  Product = require('../../models/Product');
+  Inventory = require('../../models/Inventory');
+  Buyer = require('../../models/Buyer');
+  Cart = require('../../models/Cart');
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongod) await mongod.stop();
+});
+
+afterEach(async () => {
+  const collections = Object.keys(mongoose.connection.collections);
+  for (const coll of collections) {
+    await mongoose.connection.collections[coll].deleteMany({});
+  }
+});
+
+function generateTokenFor(user) {
+  return jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+}
+
+// A product at 20 with 5 Red/M in stock, and a distributor user linked to a buyer
+async function createFixture() {
+  const admin = await User.create({ name: 'Admin', email: 'admin@example.com', password: 'pass123', role: 'admin' });
+  const supplier = await Supplier.create({ name: 'Supplier A', phone: '123456', createdBy: admin._id });
+  const product = await Product.create({
+    name: 'Jacket',
+    sku: 'JKT-1',
+    supplier: supplier._id,
+    category: 'Outerwear',
+    pricing: { costPrice: 10, sellingPrice: 20 },
+    createdBy: admin._id
+  });
+  await Inventory.create({
+    product: product._id,
+    currentStock: 5,
+    minStockLevel: 0,
+    maxStockLevel: 50,
+    reorderLevel: 0,
+    variantComposition: [{ size: 'M', color: 'Red', quantity: 5 }]
+  });
+  const buyer = await Buyer.create({ name: 'Buyer A', phone: '555000', createdBy: admin._id });
+  const distributor = await User.create({
+    name: 'Distributor',
+    email: 'distributor@example.com',
+    password: 'pass123',
+    role: 'distributor',
+    buyer: buyer._id
+  });
+
+  const line = (quantity, variant = { size: 'M', color: 'Red' }) => ({
+    productId: String(product._id),
+    inventoryType: 'loose',
+    variant,
+    quantity
+  });
+
+  return { product, buyer, line, token: generateTokenFor(distributor) };
+}
+
+describe('Buyer cart', () => {
+  test('adds to the same line, prices it with VAT and changes its quantity', async () => {
+    const { buyer, line, token } = await createFixture();
+
+    await request(app).post('/api/cart/items').set('Authorization', `Bearer ${token}`).send(line(1)).expect(201);
+    const res = await request(app).post('/api/cart/items').set('Authorization', `Bearer ${token}`).send(line(1)).expect(201);
+
+    expect(res.body.data.items).toHaveLength(1);
+    expect(res.body.data.items[0]).toMatchObject({ quantity: 2, price: 20, lineTotal: 40, stockStatus: 'in_stock' });
+    expect(res.body.data.summary).toMatchObject({ subtotal: 40, vatRate: 20, totalVAT: 8, grandTotal: 48, canCheckout: true });
+
+    const lineId = res.body.data.items[0]._id;
+    const updated = await request(app)
+      .patch(`/api/cart/items/${lineId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ quantity: 4 })
+      .expect(200);
+
+    expect(updated.body.data.summary).toMatchObject({ totalQuantity: 4, subtotal: 80 });
+    expect((await Cart.findOne({ buyer: buyer._id }).lean()).items[0].quantity).toBe(4);
+  });
+
+  test('refuses more than is in stock and variants that are not stocked', async () => {
+    const { line, token } = await createFixture();
+
+    const tooMany = await request(app).post('/api/cart/items').set('Authorization', `Bearer ${token}`).send(line(6)).expect(400);
+    expect(tooMany.body.message).toBe('Only 5 available');
+
+    const missing = await request(app)
+      .post('/api/cart/items')
+      .set('Authorization', `Bearer ${token}`)
+      .send(line(1, { size: 'L', color: 'Blue' }))
+      .expect(400);
+    expect(missing.body.message).toBe('Item is out of stock');
+
+    expect(await Cart.countDocuments()).toBe(0);
+  });
+
+  test('flags a price change and a stock change since the last view', async () => {
+    const { product, line, token } = await createFixture();
+    await request(app).post('/api/cart/items').set('Authorization', `Bearer ${token}`).send(line(3)).expect(201);
+
+    await Product.updateOne({ _id: product._id }, { 'pricing.sellingPrice': 25 });
+    await Inventory.updateOne({ product: product._id }, { 'variantComposition.0.quantity': 2 });
+
+    const res = await request(app).get('/api/cart').set('Authorization', `Bearer ${token}`).expect(200);
+
+    expect(res.body.data.items[0].priceChange).toEqual({ oldPrice: 20, newPrice: 25 });
+    expect(res.body.data.items[0].stockChange).toEqual({ oldStatus: 'in_stock', newStatus: 'insufficient', availableStock: 2 });
+    expect(res.body.data.summary).toMatchObject({ priceChangesCount: 1, stockChangesCount: 1, unavailableCount: 1, canCheckout: false });
+
+    // The changes were seen, so the next view no longer flags them
+    const again = await request(app).get('/api/cart').set('Authorization', `Bearer ${token}`).expect(200);
+    expect(again.body.data.items[0]).toMatchObject({ priceChange: null, stockChange: null });
+  });
+
+  test('removes a line and answers 404 for a line that is not in the cart', async () => {
+    const { line, token } = await createFixture();
+    const added = await request(app).post('/api/cart/items').set('Authorization', `Bearer ${token}`).send(line(1)).expect(201);
+    const lineId = added.body.data.items[0]._id;
+
+    const res = await request(app).delete(`/api/cart/items/${lineId}`).set('Authorization', `Bearer ${token}`).expect(200);
+    expect(res.body.data.items).toHaveLength(0);
+
+    const again = await request(app).delete(`/api/cart/items/${lineId}`).set('Authorization', `Bearer ${token}`).expect(404);
+    expect(again.body.message).toBe('Cart item not found');
+  });
+});
+
+describe('Guest cart', () => {
+  test('is kept by its token and merged into the buyer cart after login', async () => {
+    const { buyer, line, token } = await createFixture();
+    await request(app).post('/api/cart/items').set('Authorization', `Bearer ${token}`).send(line(1)).expect(201);
+
+    const added = await request(app).post('/api/cart/items').send(line(2)).expect(201);
+    const { guestToken } = added.body.data;
+    expect(guestToken).toEqual(expect.any(String));
+
+    const viewed = await request(app).get('/api/cart').set('X-Cart-Token', guestToken).expect(200);
+    expect(viewed.body.data.summary.totalQuantity).toBe(2);
+
+    const res = await request(app)
+      .post('/api/cart/merge')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ guestToken })
+      .expect(200);
+
+    expect(res.body.data.mergedCount).toBe(1);
+    expect(res.body.data.cart.items).toHaveLength(1);
+    expect(res.body.data.cart.items[0].quantity).toBe(3);
+    expect(await Cart.countDocuments({ guestToken })).toBe(0);
+    expect(await Cart.countDocuments({ buyer: buyer._id })).toBe(1);
+  });
+
+  test('starts empty without a token', async () => {
+    const res = await request(app).get('/api/cart').expect(200);
+
+    expect(res.body.data).toMatchObject({ _id: null, items: [] });
+    expect(res.body.data.summary.canCheckout).toBe(false);
+  });
+});
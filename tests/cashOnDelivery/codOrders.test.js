@@ -0,0 +1,319 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const jwt = require('jsonwebtoken');
+
+// Mock external utilities before importing server/routes
+jest.mock('../../utils/imageUpload', () => ({
+  generateSignedUrl: async (url) => url,
+  generateSignedUrls: async (urls) => urls,
+  generateSignedUploadUrl: async () => ({ url: 'http://upload' }),
+  verifyFileExists: async () => true,
+  deleteImage: async () => true,
+  uploadImage: async () => ({ url: 'http://uploaded' })
+}));
+jest.mock('../../utils/qrCode', () => ({
+  generateDispatchOrderQR: async () => ({ dataUrl: 'data:' }),
+  buildDispatchOrderQrPayload: () => ({})
+}));
+jest.mock('../../utils/barcodeGenerator', () => ({
+  generatePacketBarcode: async () => 'BARCODE',
+  generateLooseItemBarcode: async () => 'LOOSE'
+}));
+
+let replSet;
+let app;
+let CashOnDeliveryService;
+let User;
+let Supplier;
+let Product;
+let Buyer;
+let Sale;
+let Payment;
+let Ledger;
+let DeliveryPersonnel;
+let CodSettlement;
+let VatReturn;
+
+beforeAll(async () => {
+  // Deliveries and settlements are recorded in transactions, which need a replica set
+  replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+  process.env.MONGODB_URI = replSet.getUri();
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'testsecret';
+  process.env.NODE_ENV = 'test';
+
+  app = require('../../server');
+  await mongoose.connection.asPromise();
+
+  CashOnDeliveryService = require('../../services/CashOnDeliveryService');
+  User = require('../../models/User');
+  Supplier = require('../../models/Supplier');
+  Product = require('../../models/Product');
+  Buyer = require('../../models/Buyer');
+  Sale = require('../../models/Sale');
+  Payment = require('../../models/Payment');
+  Ledger = require('../../models/Ledger');
+  DeliveryPersonnel = require('../../models/DeliveryPersonnel');
+  CodSettlement = require('../../models/CodSettlement');
+  VatReturn = require('../../models/VatReturn');
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (replSet) await replSet.stop();
+});
+
+afterEach(async () => {
+  const collections = Object.keys(mongoose.connection.collections);
+  for (const coll of collections) {
+    await mongoose.connection.collections[coll].deleteMany({});
+  }
+});
+
+function generateTokenFor(user) {
+  return jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+}
+
+async function createFixture() {
+  const admin = await User.create({ name: 'Admin', email: 'admin@example.com', password: 'pass123', role: 'admin' });
+  const supplier = await Supplier.create({ name: 'Supplier A', phone: '123456', createdBy: admin._id });
+  const product = await Product.create({
+    name: 'Jacket',
+    sku: 'JKT-1',
+    supplier: supplier._id,
+    category: 'Outerwear',
+    pricing: { costPrice: 10, sellingPrice: 20 },
+    createdBy: admin._id
+  });
+  const buyer = await Buyer.create({ name: 'Buyer A', phone: '555000', codLimit: 200, createdBy: admin._id });
+  const driver = await DeliveryPersonnel.create({
+    name: 'Driver A',
+    employeeId: 'DRV-1',
+    phone: '555111',
+    workingAreas: ['London'],
+    createdBy: admin._id
+  });
+
+  let saleCount = 0;
+  // An undelivered cash-on-delivery order whose stock is already out of the reservation
+  const createCodSale = (overrides = {}) => {
+    saleCount += 1;
+    const total = overrides.grandTotal || 120;
+    return Sale.create({
+      saleNumber: `SAL-COD-${saleCount}`,
+      buyer: buyer._id,
+      items: [{ product: product._id, quantity: 1, unitPrice: total, totalPrice: total }],
+      subtotal: total,
+      grandTotal: total,
+      isCashOnDelivery: true,
+      paymentStatus: 'pending',
+      deliveryStatus: 'pending',
+      deliveryPersonnel: driver._id,
+      createdBy: admin._id,
+      ...overrides
+    });
+  };
+
+  return { admin, buyer, driver, createCodSale, token: generateTokenFor(admin) };
+}
+
+const deliver = (token, sale, body = {}) => request(app)
+  .patch(`/api/sales/${sale._id}/delivered`)
+  .set('Authorization', `Bearer ${token}`)
+  .send(body);
+
+describe('PATCH /api/sales/:id/delivered for cash-on-delivery orders', () => {
+  test('posts the sale and a cash receipt, and leaves the cash with the driver', async () => {
+    const { buyer, driver, createCodSale, token } = await createFixture();
+    const sale = await createCodSale();
+
+    const res = await deliver(token, sale).expect(200);
+
+    expect(res.body.data.payment).toMatchObject({ paymentDirection: 'credit', paymentMethod: 'cash', totalAmount: 120, cashAmount: 120 });
+
+    const entries = await Ledger.find({ referenceId: sale._id, referenceModel: 'Sale' }).lean();
+    expect(entries.map(entry => [entry.transactionType, entry.debit, entry.credit]).sort()).toEqual([
+      ['receipt', 0, 120],
+      ['sale', 120, 0]
+    ]);
+    expect(await Ledger.getBalance('buyer', buyer._id)).toBe(0);
+
+    const delivered = await Sale.findById(sale._id).lean();
+    expect(delivered).toMatchObject({ deliveryStatus: 'delivered', paymentStatus: 'paid', cashPayment: 120 });
+    expect(delivered.codCollection).toMatchObject({ amount: 120, status: 'with_driver' });
+    expect(String(delivered.codCollection.collectedBy)).toBe(String(driver._id));
+  });
+
+  test('keeps what was not collected on the buyer account', async () => {
+    const { buyer, createCodSale, token } = await createFixture();
+    const sale = await createCodSale();
+
+    await deliver(token, sale, { collectedAmount: 50 }).expect(200);
+
+    const delivered = await Sale.findById(sale._id).lean();
+    expect(delivered).toMatchObject({ paymentStatus: 'partial', cashPayment: 50 });
+    expect(delivered.codCollection.amount).toBe(50);
+    expect(await Ledger.getBalance('buyer', buyer._id)).toBe(70);
+  });
+
+  test('rejects collecting more than is due', async () => {
+    const { createCodSale, token } = await createFixture();
+    const sale = await createCodSale();
+
+    const res = await deliver(token, sale, { collectedAmount: 200 }).expect(400);
+
+    expect(res.body.message).toBe('Collected amount must be between 0 and the amount due (120.00)');
+    expect(await Payment.countDocuments()).toBe(0);
+    expect(await Ledger.countDocuments()).toBe(0);
+  });
+
+  test('posts the sale and the cash once when the same order is delivered twice at once', async () => {
+    const { buyer, createCodSale, token } = await createFixture();
+    const sale = await createCodSale();
+
+    const results = await Promise.all([deliver(token, sale), deliver(token, sale)]);
+
+    expect(results.filter(res => res.status === 200)).toHaveLength(1);
+    expect(await Payment.countDocuments()).toBe(1);
+    expect(await Ledger.countDocuments({ referenceId: sale._id, transactionType: 'sale' })).toBe(1);
+    expect(await Ledger.getBalance('buyer', buyer._id)).toBe(0);
+  });
+});
+
+describe('POST /api/cash-on-delivery/settlements', () => {
+  test('settles the driver cash with its variance and does not settle a sale twice', async () => {
+    const { driver, createCodSale, token } = await createFixture();
+    const first = await createCodSale();
+    const second = await createCodSale({ grandTotal: 80 });
+    await deliver(token, first).expect(200);
+    await deliver(token, second).expect(200);
+
+    const res = await request(app)
+      .post('/api/cash-on-delivery/settlements')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ deliveryPersonnel: String(driver._id), sales: [String(first._id), String(second._id)], receivedAmount: 195 })
+      .expect(201);
+
+    expect(res.body.data).toMatchObject({ settlementNumber: 'COD-000001', expectedAmount: 200, receivedAmount: 195, variance: -5 });
+    const settled = await Sale.find({ _id: { $in: [first._id, second._id] } }).lean();
+    expect(settled.map(sale => sale.codCollection.status)).toEqual(['settled', 'settled']);
+
+    const again = await request(app)
+      .post('/api/cash-on-delivery/settlements')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ deliveryPersonnel: String(driver._id), sales: [String(first._id)], receivedAmount: 120 })
+      .expect(409);
+
+    expect(again.body.message).toBe('Already settled: SAL-COD-1');
+    expect(await CodSettlement.countDocuments()).toBe(1);
+  });
+
+  test('only lists cash still with the driver as collections', async () => {
+    const { driver, createCodSale, token } = await createFixture();
+    const settled = await createCodSale();
+    const held = await createCodSale({ grandTotal: 80 });
+    await deliver(token, settled).expect(200);
+    await deliver(token, held).expect(200);
+    await CashOnDeliveryService.settleCollections(
+      { deliveryPersonnel: driver._id, sales: [settled._id], receivedAmount: 120 },
+      (await User.findOne())._id
+    );
+
+    const res = await request(app)
+      .get('/api/cash-on-delivery/collections')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(res.body.data.total).toBe(80);
+    expect(res.body.data.drivers).toHaveLength(1);
+    expect(res.body.data.drivers[0]).toMatchObject({ collected: 80, salesCount: 1 });
+    expect(res.body.data.drivers[0].deliveryPersonnel._id).toBe(String(driver._id));
+  });
+});
+
+describe('CashOnDeliveryService.checkCodLimit', () => {
+  test('refuses orders that take the undelivered orders over the buyer limit', async () => {
+    const { buyer, createCodSale, token } = await createFixture();
+    await createCodSale({ grandTotal: 150 });
+    const delivered = await createCodSale({ grandTotal: 100 });
+    await deliver(token, delivered).expect(200);
+
+    await expect(CashOnDeliveryService.checkCodLimit(buyer, 60))
+      .rejects.toMatchObject({ status: 400, code: 'COD_LIMIT_EXCEEDED' });
+    // Delivered orders no longer count towards the limit
+    await expect(CashOnDeliveryService.checkCodLimit(buyer, 50)).resolves.toBeUndefined();
+  });
+
+  test('cancels saved orders that together went over the limit', async () => {
+    const { buyer, createCodSale } = await createFixture();
+    // Two checkouts of 120 both passed checkCodLimit against the limit of 200
+    const first = await createCodSale();
+    const second = await createCodSale();
+
+    const results = await Promise.allSettled([
+      CashOnDeliveryService.confirmCodLimit(buyer, first),
+      CashOnDeliveryService.confirmCodLimit(buyer, second)
+    ]);
+
+    expect(results.some(result => result.status === 'rejected' && result.reason.code === 'COD_LIMIT_EXCEEDED')).toBe(true);
+    expect(await CashOnDeliveryService.getOpenOrderTotal(buyer._id)).toBeLessThanOrEqual(200);
+  });
+
+  test('does not limit buyers without a codLimit', async () => {
+    const { buyer, createCodSale } = await createFixture();
+    await Buyer.updateOne({ _id: buyer._id }, { codLimit: 0 });
+    await createCodSale({ grandTotal: 500 });
+
+    await expect(CashOnDeliveryService.checkCodLimit(await Buyer.findById(buyer._id), 1000)).resolves.toBeUndefined();
+  });
+});
+
+describe('POST /api/cash-on-delivery/sales/:id/cancel', () => {
+  test('cancels an undelivered order', async () => {
+    const { createCodSale, token } = await createFixture();
+    const sale = await createCodSale();
+
+    const res = await request(app)
+      .post(`/api/cash-on-delivery/sales/${sale._id}/cancel`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ reason: 'Buyer not at home' })
+      .expect(200);
+
+    expect(res.body.data).toMatchObject({ deliveryStatus: 'cancelled', paymentStatus: 'failed' });
+    expect(res.body.data.notes).toContain('COD cancelled: Buyer not at home');
+  });
+
+  test('does not cancel a delivered order', async () => {
+    const { createCodSale, token } = await createFixture();
+    const sale = await createCodSale();
+    await deliver(token, sale).expect(200);
+
+    const res = await request(app)
+      .post(`/api/cash-on-delivery/sales/${sale._id}/cancel`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({})
+      .expect(400);
+
+    expect(res.body.message).toBe('Cannot cancel a delivered order');
+  });
+
+  test('does not cancel an order dated in a closed VAT quarter', async () => {
+    const { createCodSale, token } = await createFixture();
+    const sale = await createCodSale({ saleDate: new Date(2024, 1, 15) });
+    await VatReturn.create({
+      period: '2024-Q1',
+      startDate: new Date(2024, 0, 1),
+      endDate: new Date(2024, 2, 31, 23, 59, 59, 999),
+      status: 'closed'
+    });
+
+    const res = await request(app)
+      .post(`/api/cash-on-delivery/sales/${sale._id}/cancel`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({})
+      .expect(423);
+
+    expect(res.body).toMatchObject({ periodClosed: true, period: '2024-Q1' });
+    expect((await Sale.findById(sale._id).lean()).deliveryStatus).toBe('pending');
+  });
+});
@@ -0,0 +1,156 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const jwt = require('jsonwebtoken');
+
+// Mock external utilities before importing server/routes
+jest.mock('../../utils/imageUpload', () => ({
+  generateSignedUrl: async (url) => url,
+  generateSignedUrls: async (urls) => urls,
+  generateSignedUploadUrl: async () => ({ url: 'http://upload' }),
+  verifyFileExists: async () => true,
+  deleteImage: async () => true,
+  uploadImage: async () => ({ url: 'http://uploaded' })
+}));
+jest.mock('../../utils/qrCode', () => ({
+  generateDispatchOrderQR: async () => ({ dataUrl: 'data:' }),
+  buildDispatchOrderQrPayload: () => ({})
+}));
+jest.mock('../../utils/barcodeGenerator', () => ({
+  generatePacketBarcode: async () => 'BARCODE',
+  generateLooseItemBarcode: async () => 'LOOSE'
+}));
+
+let replSet;
+let app;
+let User;
+let Supplier;
+let Product;
+let Buyer;
+let Inventory;
+let Sale;
+let Ledger;
+let EditRequest;
+
+beforeAll(async () => {
+  // Bulk sales are created in a transaction, which needs a replica set
+  replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+  process.env.MONGODB_URI = replSet.getUri();
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'testsecret';
+  process.env.NODE_ENV = 'test';
+
+  app = require('../../server');
+  await mongoose.connection.asPromise();
+
+  User = require('../../models/User');
+  Supplier = require('../../models/Supplier');
+  Product = require('../../models/Product');
+  Buyer = require('../../models/Buyer');
+  Inventory = require('../../models/Inventory');
+  Sale = require('../../models/Sale');
+  Ledger = require('../../models/Ledger');
+  EditRequest = require('../../models/EditRequest');
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (replSet) await replSet.stop();
+});
+
+afterEach(async () => {
+  const collections = Object.keys(mongoose.connection.collections);
+  for (const coll of collections) {
+    await mongoose.connection.collections[coll].deleteMany({});
+  }
+});
+
+function generateTokenFor(user) {
+  return jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+}
+
+// A buyer with a credit limit of 100, a product in stock, an admin and a super-admin
+async function createFixture(buyerData = {}) {
+  const superAdmin = await User.create({ name: 'Owner', email: 'owner@example.com', password: 'pass123', role: 'super-admin' });
+  const admin = await User.create({ name: 'Admin', email: 'admin@example.com', password: 'pass123', role: 'admin' });
+  const supplier = await Supplier.create({ name: 'Supplier A', phone: '123456', createdBy: admin._id });
+  const product = await Product.create({
+    name: 'Jacket',
+    sku: 'JKT-1',
+    supplier: supplier._id,
+    category: 'Outerwear',
+    pricing: { costPrice: 10, sellingPrice: 30 },
+    createdBy: admin._id
+  });
+  await Inventory.create({ product: product._id, currentStock: 50, minStockLevel: 0, maxStockLevel: 100, reorderLevel: 0 });
+  const buyer = await Buyer.create({
+    name: 'Buyer A',
+    phone: '555000',
+    creditLimit: 100,
+    creditLimitMode: 'block',
+    createdBy: admin._id,
+    ...buyerData
+  });
+
+  return { admin, buyer, product, adminToken: generateTokenFor(admin), superAdminToken: generateTokenFor(superAdmin) };
+}
+
+// An unpaid sale of quantity units at 10
+const creditSale = ({ buyer, product }, quantity) => ({
+  buyer: String(buyer._id),
+  items: [{ product: String(product._id), quantity, unitPrice: 10 }]
+});
+
+const bulkSale = (token, sales) => request(app)
+  .post('/api/sales/bulk')
+  .set('Authorization', `Bearer ${token}`)
+  .send({ sales });
+
+describe('Credit limits on bulk sales', () => {
+  test('block a sale that takes the ledger balance over the limit', async () => {
+    const fixture = await createFixture();
+    await Ledger.create({
+      type: 'buyer',
+      entityId: fixture.buyer._id,
+      entityModel: 'Buyer',
+      transactionType: 'sale',
+      debit: 80,
+      description: 'Opening balance',
+      createdBy: fixture.admin._id
+    });
+
+    const res = await bulkSale(fixture.adminToken, [creditSale(fixture, 3)]).expect(201);
+
+    expect(res.body.data.errors).toEqual(['Sale 1: Credit limit exceeded: balance 80.00 + this sale 30.00 = 110.00, limit 100.00']);
+    expect(await Sale.countDocuments()).toBe(0);
+  });
+
+  test('count credit taken earlier in the same batch', async () => {
+    const fixture = await createFixture();
+
+    const res = await bulkSale(fixture.adminToken, [creditSale(fixture, 6), creditSale(fixture, 6)]).expect(201);
+
+    expect(res.body.data).toMatchObject({ successful: 1, failed: 1 });
+    expect(res.body.data.errors[0]).toMatch(/^Sale 2: Credit limit exceeded: balance 0.00 \+ this sale 120.00/);
+  });
+
+  test('never block the paid part of a sale', async () => {
+    const fixture = await createFixture();
+
+    const res = await bulkSale(fixture.adminToken, [{ ...creditSale(fixture, 15), cashPayment: 100 }]).expect(201);
+
+    expect(res.body.data).toMatchObject({ successful: 1, failed: 0 });
+  });
+
+  test('send a sale over the limit for approval, unless a super-admin makes it', async () => {
+    const fixture = await createFixture({ creditLimitMode: 'approval' });
+
+    const queued = await bulkSale(fixture.adminToken, [creditSale(fixture, 15)]).expect(201);
+    expect(queued.body.data.pendingApproval).toHaveLength(1);
+    expect(await EditRequest.countDocuments({ entityType: 'sale', requestType: 'create' })).toBe(1);
+    expect(await Sale.countDocuments()).toBe(0);
+
+    const warned = await bulkSale(fixture.superAdminToken, [creditSale(fixture, 15)]).expect(201);
+    expect(warned.body.data).toMatchObject({ successful: 1, pendingApproval: [] });
+    expect(warned.body.data.creditWarnings).toHaveLength(1);
+  });
+});
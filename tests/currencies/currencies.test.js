@@ -0,0 +1,162 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const jwt = require('jsonwebtoken');
+
+// Mock external utilities before importing server/routes
+jest.mock('../../utils/imageUpload', () => ({
+  generateSignedUrl: async (url) => url,
+  generateSignedUrls: async (urls) => urls,
+  generateSignedUploadUrl: async () => ({ url: 'http://upload' }),
+  verifyFileExists: async () => true,
+  deleteImage: async () => true,
+  uploadImage: async () => ({ url: 'http://uploaded' })
+}));
+jest.mock('../../utils/qrCode', () => ({
+  generateDispatchOrderQR: async () => ({ dataUrl: 'data:' }),
+  buildDispatchOrderQrPayload: () => ({})
+}));
+jest.mock('../../utils/barcodeGenerator', () => ({
+  generatePacketBarcode: async () => 'BARCODE',
+  generateLooseItemBarcode: async () => 'LOOSE'
+}));
+
+let mongod;
+let app;
+let User;
+let Supplier;
+let DispatchOrder;
+let Ledger;
+
+beforeAll(async () => {
+  mongod = await MongoMemoryServer.create();
+  process.env.MONGODB_URI = mongod.getUri();
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'testsecret';
+  process.env.NODE_ENV = 'test';
+
+  app = require('../../server');
+  await mongoose.connection.asPromise();
+
+  User = require('../../models/User');
+  Supplier = require('../../models/Supplier');
+  DispatchOrder = require('../../models/DispatchOrder');
+  Ledger = require('../../models/Ledger');
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongod) await mongod.stop();
+});
+
+afterEach(async () => {
+  const collections = Object.keys(mongoose.connection.collections);
+  for (const coll of collections) {
+    await mongoose.connection.collections[coll].deleteMany({});
+  }
+});
+
+function generateTokenFor(user) {
+  return jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+}
+
+// EUR at 1.2 from 1 January 2024 and 1.25 from 1 March 2024, and a supplier invoicing in EUR
+async function createFixture() {
+  const admin = await User.create({ name: 'Owner', email: 'owner@example.com', password: 'pass123', role: 'super-admin' });
+  const token = generateTokenFor(admin);
+
+  await request(app)
+    .post('/api/currencies')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ code: 'eur', name: 'Euro', symbol: '€' })
+    .expect(201);
+  for (const [effectiveDate, rate] of [['2024-01-01', 1.2], ['2024-03-01', 1.25]]) {
+    await request(app)
+      .post('/api/currencies/EUR/rates')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ effectiveDate, rate })
+      .expect(201);
+  }
+
+  const supplier = await Supplier.create({ name: 'Supplier A', phone: '123456', currency: 'EUR', createdBy: admin._id });
+  const supplierEntry = (data) => Ledger.create({
+    type: 'supplier',
+    entityId: supplier._id,
+    entityModel: 'Supplier',
+    createdBy: admin._id,
+    ...data
+  });
+
+  return { admin, supplier, supplierEntry, token };
+}
+
+const getRate = (token, date) => request(app)
+  .get(`/api/currencies/EUR/rate?date=${date}`)
+  .set('Authorization', `Bearer ${token}`);
+
+describe('GET /api/currencies/:code/rate', () => {
+  test('returns the rate in force on the date', async () => {
+    const { token } = await createFixture();
+
+    expect((await getRate(token, '2024-02-15').expect(200)).body.data.rate).toBe(1.2);
+    expect((await getRate(token, '2024-03-02').expect(200)).body.data.rate).toBe(1.25);
+
+    const before = await getRate(token, '2023-12-31').expect(400);
+    expect(before.body.message).toBe('No EUR exchange rate on or before 2023-12-31');
+  });
+});
+
+describe('Supplier ledger in a foreign currency', () => {
+  test('values purchases at the order rate and records the realised FX gain on payment', async () => {
+    const { admin, supplier, supplierEntry, token } = await createFixture();
+    const order = await DispatchOrder.create({
+      supplier: supplier._id,
+      createdBy: admin._id,
+      status: 'confirmed',
+      exchangeRate: 1.2,
+      dispatchDate: new Date(2024, 1, 10),
+      items: [{ productName: 'Jacket', productCode: 'JKT-1', season: ['all_season'], costPrice: 10, quantity: 60 }]
+    });
+    expect(order.currency).toBe('EUR');
+
+    const purchase = await supplierEntry({
+      transactionType: 'purchase',
+      referenceId: order._id,
+      referenceModel: 'DispatchOrder',
+      debit: 600,
+      date: new Date(2024, 1, 10, 12),
+      description: `Dispatch order ${order.orderNumber}`
+    });
+    expect(purchase).toMatchObject({ currency: 'EUR', exchangeRate: 1.2, baseAmount: 500, realisedFxGain: 0 });
+
+    // Paid in March, when a euro costs less
+    const payment = await supplierEntry({
+      transactionType: 'payment',
+      referenceId: order._id,
+      referenceModel: 'DispatchOrder',
+      credit: 600,
+      date: new Date(2024, 2, 10, 12),
+      description: `Payment for ${order.orderNumber}`
+    });
+    expect(payment).toMatchObject({ currency: 'EUR', exchangeRate: 1.25, baseAmount: 480, realisedFxGain: 20 });
+
+    const res = await request(app)
+      .get('/api/reports/fx-gains?startDate=2024-03-01&endDate=2024-03-31')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(res.body.data.summary).toEqual({ payments: 1, gains: 20, losses: 0, net: 20 });
+    expect(res.body.data.suppliers[0]).toMatchObject({ currency: 'EUR', amountPaid: 600, baseAmountPaid: 480 });
+    expect(res.body.data.suppliers[0].payments[0]).toMatchObject({ orderNumber: order.orderNumber, orderRate: 1.2, paymentRate: 1.25 });
+  });
+
+  test('refuses an entry dated before the first rate', async () => {
+    const { supplierEntry } = await createFixture();
+
+    await expect(supplierEntry({
+      transactionType: 'payment',
+      credit: 100,
+      date: new Date(2023, 11, 31, 12),
+      description: 'Payment on account'
+    })).rejects.toMatchObject({ status: 400, message: 'No EUR exchange rate on or before 2023-12-31' });
+  });
+});
@@ -0,0 +1,177 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const jwt = require('jsonwebtoken');
+
+// Mock external utilities before importing server/routes
+jest.mock('../../utils/imageUpload', () => ({
+  generateSignedUrl: async (url) => url,
+  generateSignedUrls: async (urls) => urls,
+  generateSignedUploadUrl: async () => ({ url: 'http://upload' }),
+  verifyFileExists: async () => true,
+  deleteImage: async () => true,
+  uploadImage: async () => ({ url: 'http://uploaded' })
+}));
+jest.mock('../../utils/qrCode', () => ({
+  generateDispatchOrderQR: async () => ({ dataUrl: 'data:' }),
+  buildDispatchOrderQrPayload: () => ({})
+}));
+jest.mock('../../utils/barcodeGenerator', () => ({
+  generatePacketBarcode: async () => 'BARCODE',
+  generateLooseItemBarcode: async () => 'LOOSE'
+}));
+
+let replSet;
+let app;
+let User;
+let ExpenseVoucher;
+let EditRequest;
+
+beforeAll(async () => {
+  // Edit requests are applied in a transaction, which needs a replica set
+  replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+  process.env.MONGODB_URI = replSet.getUri();
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'testsecret';
+  process.env.NODE_ENV = 'test';
+
+  app = require('../../server');
+  await mongoose.connection.asPromise();
+
+  User = require('../../models/User');
+  ExpenseVoucher = require('../../models/ExpenseVoucher');
+  EditRequest = require('../../models/EditRequest');
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (replSet) await replSet.stop();
+});
+
+afterEach(async () => {
+  const collections = Object.keys(mongoose.connection.collections);
+  for (const coll of collections) {
+    await mongoose.connection.collections[coll].deleteMany({});
+  }
+});
+
+function generateTokenFor(user) {
+  return jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+}
+
+// A super-admin, an admin and an accountant (default approval limit 1000), and a voucher factory
+async function createFixture() {
+  const superAdmin = await User.create({ name: 'Owner', email: 'owner@example.com', password: 'pass123', role: 'super-admin' });
+  const admin = await User.create({ name: 'Admin', email: 'admin@example.com', password: 'pass123', role: 'admin' });
+  const accountant = await User.create({ name: 'Accountant', email: 'accountant@example.com', password: 'pass123', role: 'accountant' });
+
+  let count = 0;
+  const createVoucher = (data = {}) => ExpenseVoucher.create({
+    voucherNumber: `EV-TEST-${++count}`,
+    date: new Date(),
+    name: 'Warehouse rent',
+    amount: 500,
+    paymentMethod: 'cash',
+    status: 'pending',
+    createdBy: admin._id,
+    ...data
+  });
+
+  return {
+    createVoucher,
+    superAdminToken: generateTokenFor(superAdmin),
+    adminToken: generateTokenFor(admin),
+    accountantToken: generateTokenFor(accountant)
+  };
+}
+
+const yesterday = () => {
+  const date = new Date();
+  date.setDate(date.getDate() - 1);
+  return date.toISOString();
+};
+
+describe('PATCH /api/expense-vouchers/:id/approve', () => {
+  test('holds the approver to the approval limit of their role', async () => {
+    const { createVoucher, adminToken, accountantToken } = await createFixture();
+    const voucher = await createVoucher({ amount: 1500 });
+
+    const res = await request(app)
+      .patch(`/api/expense-vouchers/${voucher._id}/approve`)
+      .set('Authorization', `Bearer ${accountantToken}`)
+      .expect(403);
+    expect(res.body).toMatchObject({ message: 'Voucher amount (1500) exceeds your approval limit (1000)', approvalLimit: 1000 });
+
+    await request(app)
+      .patch(`/api/expense-vouchers/${voucher._id}/approve`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect((await ExpenseVoucher.findById(voucher._id).lean()).status).toBe('approved');
+
+    const again = await request(app)
+      .patch(`/api/expense-vouchers/${voucher._id}/approve`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(400);
+    expect(again.body.message).toBe("Cannot approve a voucher with status 'approved'");
+  });
+});
+
+describe('PUT /api/expense-vouchers/:id', () => {
+  test('refuses a backdated edit of an approved voucher instead of queueing it', async () => {
+    const { createVoucher, adminToken } = await createFixture();
+    const voucher = await createVoucher({ status: 'approved' });
+
+    const res = await request(app)
+      .put(`/api/expense-vouchers/${voucher._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ date: yesterday(), name: 'Warehouse rent', amount: 50, paymentMethod: 'cash' })
+      .expect(400);
+
+    expect(res.body.message).toBe("Cannot edit a voucher with status 'approved'");
+    expect(await EditRequest.countDocuments()).toBe(0);
+  });
+
+  test('does not apply a queued edit once the voucher has been approved', async () => {
+    const { createVoucher, superAdminToken, adminToken } = await createFixture();
+    const voucher = await createVoucher();
+
+    const queued = await request(app)
+      .put(`/api/expense-vouchers/${voucher._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ date: yesterday(), name: 'Warehouse rent', amount: 50, paymentMethod: 'cash' })
+      .expect(202);
+
+    await request(app)
+      .patch(`/api/expense-vouchers/${voucher._id}/approve`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    const res = await request(app)
+      .patch(`/api/edit-requests/${queued.body.requestId}/approve`)
+      .set('Authorization', `Bearer ${superAdminToken}`)
+      .send({ forceApprove: true })
+      .expect(400);
+
+    expect(res.body.message).toBe("Cannot edit a voucher with status 'approved'");
+    expect((await ExpenseVoucher.findById(voucher._id).lean()).amount).toBe(500);
+    expect((await EditRequest.findById(queued.body.requestId).lean()).status).toBe('pending');
+  });
+
+  test('validates a queued edit before applying it', async () => {
+    const { createVoucher, superAdminToken, adminToken } = await createFixture();
+    const voucher = await createVoucher();
+
+    const queued = await request(app)
+      .put(`/api/expense-vouchers/${voucher._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ date: yesterday(), name: 'Warehouse rent', amount: -50, paymentMethod: 'cash' })
+      .expect(202);
+
+    const res = await request(app)
+      .patch(`/api/edit-requests/${queued.body.requestId}/approve`)
+      .set('Authorization', `Bearer ${superAdminToken}`)
+      .expect(400);
+
+    expect(res.body.message).toBe('"amount" must be greater than or equal to 0');
+    expect((await ExpenseVoucher.findById(voucher._id).lean()).amount).toBe(500);
+  });
+});
@@ -0,0 +1,253 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const jwt = require('jsonwebtoken');
+
+// Mock external utilities before importing server/routes
+jest.mock('../../utils/imageUpload', () => ({
+  generateSignedUrl: async (url) => url,
+  generateSignedUrls: async (urls) => urls,
+  generateSignedUploadUrl: async () => ({ url: 'http://upload' }),
+  verifyFileExists: async () => true,
+  deleteImage: async () => true,
+  uploadImage: async () => ({ url: 'http://uploaded' })
+}));
+jest.mock('../../utils/qrCode', () => ({
+  generateDispatchOrderQR: async () => ({ dataUrl: 'data:' }),
+  buildDispatchOrderQrPayload: () => ({})
+}));
+jest.mock('../../utils/barcodeGenerator', () => ({
+  generatePacketBarcode: async () => 'BARCODE',
+  generateLooseItemBarcode: async () => 'LOOSE'
+}));
+
+let mongod;
+let app;
+let GeneralLedgerService;
+let User;
+let Supplier;
+let Product;
+let Buyer;
+let Sale;
+let DispatchOrder;
+let Expense;
+let Ledger;
+let JournalEntry;
+
+beforeAll(async () => {
+  mongod = await MongoMemoryServer.create();
+  process.env.MONGODB_URI = mongod.getUri();
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'testsecret';
+  process.env.NODE_ENV = 'test';
+
+  app = require('../../server');
+  await mongoose.connection.asPromise();
+
+  GeneralLedgerService = require('../../services/GeneralLedgerService');
+  User = require('../../models/User');
+  Supplier = require('../../models/Supplier');
+  Product = require('../../models/Product');
+  Buyer = require('../../models/Buyer');
+  Sale = require('../../models/Sale');
+  DispatchOrder = require('../../models/DispatchOrder');
+  Expense = require('../../models/Expense');
+  Ledger = require('../../models/Ledger');
+  JournalEntry = require('../../models/JournalEntry');
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongod) await mongod.stop();
+});
+
+afterEach(async () => {
+  const collections = Object.keys(mongoose.connection.collections);
+  for (const coll of collections) {
+    await mongoose.connection.collections[coll].deleteMany({});
+  }
+});
+
+function generateTokenFor(user) {
+  return jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+}
+
+// Lines of the generated entry as [accountCode, debit, credit], by account code
+async function journalLines(sourceKey) {
+  const journal = await JournalEntry.findOne({ sourceKey }).lean();
+  return journal.lines.map(line => [line.accountCode, line.debit, line.credit]).sort();
+}
+
+// A sale of 100 + 20 VAT, a confirmed dispatch order of 100 + 20 VAT and their sub-ledger entries
+async function createFixture() {
+  const admin = await User.create({ name: 'Owner', email: 'owner@example.com', password: 'pass123', role: 'super-admin' });
+  const supplier = await Supplier.create({ name: 'Supplier A', phone: '123456', createdBy: admin._id });
+  const product = await Product.create({
+    name: 'Jacket',
+    sku: 'JKT-1',
+    supplier: supplier._id,
+    category: 'Outerwear',
+    pricing: { costPrice: 10, sellingPrice: 20 },
+    createdBy: admin._id
+  });
+  const buyer = await Buyer.create({ name: 'Buyer A', phone: '555000', createdBy: admin._id });
+
+  const sale = await Sale.create({
+    saleNumber: 'SAL-0001',
+    buyer: buyer._id,
+    items: [{ product: product._id, quantity: 5, unitPrice: 20, totalPrice: 100 }],
+    subtotal: 100,
+    totalTax: 20,
+    grandTotal: 120,
+    createdBy: admin._id
+  });
+  const saleEntry = await Ledger.create({
+    type: 'buyer',
+    entityId: buyer._id,
+    entityModel: 'Buyer',
+    transactionType: 'sale',
+    referenceId: sale._id,
+    referenceModel: 'Sale',
+    debit: 120,
+    description: 'Sale SAL-0001',
+    createdBy: admin._id
+  });
+
+  const order = await DispatchOrder.create({
+    supplier: supplier._id,
+    createdBy: admin._id,
+    status: 'confirmed',
+    totalTax: 20,
+    grandTotal: 120,
+    items: [{ productName: 'Jacket', productCode: 'JKT-1', season: ['all_season'], costPrice: 10, quantity: 10 }]
+  });
+  const purchaseEntry = await Ledger.create({
+    type: 'supplier',
+    entityId: supplier._id,
+    entityModel: 'Supplier',
+    transactionType: 'purchase',
+    referenceId: order._id,
+    referenceModel: 'DispatchOrder',
+    credit: 120,
+    description: `Dispatch order ${order.orderNumber}`,
+    createdBy: admin._id
+  });
+
+  const createExpense = (data = {}) => Expense.create({
+    expenseNumber: `EXP-${Date.now()}-${Math.random()}`,
+    description: 'Warehouse rent',
+    costType: new mongoose.Types.ObjectId(),
+    amount: 100,
+    taxAmount: 20,
+    paymentMethod: 'bank_transfer',
+    status: 'approved',
+    createdBy: admin._id,
+    ...data
+  });
+
+  return { admin, saleEntry, purchaseEntry, createExpense, token: generateTokenFor(admin) };
+}
+
+describe('GeneralLedgerService.syncJournals', () => {
+  test('splits the VAT of sales, dispatch orders and expenses out to VAT Payable', async () => {
+    const { saleEntry, purchaseEntry, createExpense } = await createFixture();
+    const expense = await createExpense();
+
+    await GeneralLedgerService.syncJournals();
+
+    // Receivable 120 against revenue 100 and output VAT 20
+    expect(await journalLines(`ledger:${saleEntry._id}`)).toEqual([
+      ['1100', 120, 0],
+      ['2200', 0, 20],
+      ['4000', 0, 100]
+    ]);
+    // Inventory 100 and input VAT 20 against the payable 120
+    expect(await journalLines(`ledger:${purchaseEntry._id}`)).toEqual([
+      ['1200', 100, 0],
+      ['2000', 0, 120],
+      ['2200', 20, 0]
+    ]);
+    // Expense 100 and input VAT 20 paid from the bank
+    expect(await journalLines(`expense:${expense._id}`)).toEqual([
+      ['1010', 0, 120],
+      ['2200', 20, 0],
+      ['6000', 100, 0]
+    ]);
+  });
+
+  test('leaves unchanged entries alone and follows changed and removed records', async () => {
+    const { saleEntry, createExpense } = await createFixture();
+    const expense = await createExpense();
+
+    expect(await GeneralLedgerService.syncJournals()).toEqual({ created: 3, updated: 0, removed: 0 });
+    const entryNumbers = (await JournalEntry.find().sort({ entryNumber: 1 }).lean()).map(journal => journal.entryNumber);
+    expect(await GeneralLedgerService.syncJournals()).toEqual({ created: 0, updated: 0, removed: 0 });
+
+    await Expense.updateOne({ _id: expense._id }, { amount: 150, taxAmount: 30 });
+    await Ledger.deleteOne({ _id: saleEntry._id });
+
+    expect(await GeneralLedgerService.syncJournals()).toEqual({ created: 0, updated: 1, removed: 1 });
+    expect(await journalLines(`expense:${expense._id}`)).toEqual([
+      ['1010', 0, 180],
+      ['2200', 30, 0],
+      ['6000', 150, 0]
+    ]);
+    // Rewritten entries keep their number
+    const remaining = (await JournalEntry.find().sort({ entryNumber: 1 }).lean()).map(journal => journal.entryNumber);
+    expect(entryNumbers).toEqual(expect.arrayContaining(remaining));
+  });
+
+  test('runs simultaneous syncs once', async () => {
+    await createFixture();
+
+    const [first, second] = await Promise.all([
+      GeneralLedgerService.syncJournals(),
+      GeneralLedgerService.syncJournals()
+    ]);
+
+    expect(second).toBe(first);
+    expect(first.created).toBe(2);
+    expect(await JournalEntry.countDocuments()).toBe(2);
+  });
+});
+
+describe('GeneralLedgerService.syncIfStale', () => {
+  test('skips the sync while the last one is recent enough', async () => {
+    const { createExpense } = await createFixture();
+    await GeneralLedgerService.syncJournals();
+    await createExpense();
+
+    expect(await GeneralLedgerService.syncIfStale(60 * 1000)).toBeNull();
+    expect(await JournalEntry.countDocuments()).toBe(2);
+
+    expect(await GeneralLedgerService.syncIfStale(0)).toEqual({ created: 1, updated: 0, removed: 0 });
+    expect(await JournalEntry.countDocuments()).toBe(3);
+  });
+
+  test('waits for a sync that is already running', async () => {
+    await createFixture();
+
+    const running = GeneralLedgerService.syncJournals();
+    const joined = GeneralLedgerService.syncIfStale(60 * 1000);
+
+    expect(await joined).toBe(await running);
+    expect(await JournalEntry.countDocuments()).toBe(2);
+  });
+});
+
+describe('GET /api/general-ledger/trial-balance', () => {
+  test('balances and agrees with the sub-ledgers', async () => {
+    const { token, createExpense } = await createFixture();
+    await createExpense();
+    await GeneralLedgerService.syncJournals();
+
+    const res = await request(app)
+      .get('/api/general-ledger/trial-balance')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(res.body.data).toMatchObject({ totalDebit: 340, totalCredit: 340, balanced: true });
+    expect(res.body.data.reconciliation.every(row => row.agrees)).toBe(true);
+    // Output VAT 20 less input VAT 40
+    expect(res.body.data.accounts.find(row => row.code === '2200')).toMatchObject({ debit: 40, credit: 20, balance: -20 });
+  });
+});
@@ -0,0 +1,140 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const jwt = require('jsonwebtoken');
+
+// Mock external utilities before importing server/routes
+jest.mock('../../utils/imageUpload', () => ({
+  generateSignedUrl: async (url) => url,
+  generateSignedUrls: async (urls) => urls,
+  generateSignedUploadUrl: async () => ({ url: 'http://upload' }),
+  verifyFileExists: async () => true,
+  deleteImage: async () => true,
+  uploadImage: async () => ({ url: 'http://uploaded' })
+}));
+jest.mock('../../utils/qrCode', () => ({
+  generateDispatchOrderQR: async () => ({ dataUrl: 'data:' }),
+  buildDispatchOrderQrPayload: () => ({})
+}));
+jest.mock('../../utils/barcodeGenerator', () => ({
+  generatePacketBarcode: async () => 'BARCODE',
+  generateLooseItemBarcode: async () => 'LOOSE'
+}));
+
+let mongod;
+let app;
+let StatementService;
+let User;
+let Buyer;
+let Ledger;
+
+beforeAll(async () => {
+  mongod = await MongoMemoryServer.create();
+  process.env.MONGODB_URI = mongod.getUri();
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'testsecret';
+  process.env.NODE_ENV = 'test';
+
+  app = require('../../server');
+  await mongoose.connection.asPromise();
+
+  StatementService = require('../../services/StatementService');
+  User = require('../../models/User');
+  Buyer = require('../../models/Buyer');
+  Ledger = require('../../models/Ledger');
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongod) await mongod.stop();
+});
+
+afterEach(async () => {
+  const collections = Object.keys(mongoose.connection.collections);
+  for (const coll of collections) {
+    await mongoose.connection.collections[coll].deleteMany({});
+  }
+});
+
+function generateTokenFor(user) {
+  return jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+}
+
+// A buyer invoiced 300 in January, paying 100 in February and invoiced 50 in March
+async function createFixture() {
+  const admin = await User.create({ name: 'Owner', email: 'owner@example.com', password: 'pass123', role: 'super-admin' });
+  const buyer = await Buyer.create({ name: 'Buyer A', phone: '555000', createdBy: admin._id });
+
+  for (const [transactionType, date, debit, credit] of [
+    ['sale', new Date(2024, 0, 10), 300, 0],
+    ['payment', new Date(2024, 1, 5), 0, 100],
+    ['sale', new Date(2024, 2, 1), 50, 0]
+  ]) {
+    await Ledger.create({
+      type: 'buyer',
+      entityId: buyer._id,
+      entityModel: 'Buyer',
+      transactionType,
+      debit,
+      credit,
+      date,
+      description: `${transactionType} ${date.toDateString()}`,
+      createdBy: admin._id
+    });
+  }
+
+  return { admin, buyer, token: generateTokenFor(admin) };
+}
+
+describe('StatementService.getStatement', () => {
+  test('opens with the balance before the period and runs the balance through it', async () => {
+    const { buyer } = await createFixture();
+
+    const statement = await StatementService.getStatement('buyer', buyer._id, { startDate: '2024-02-01', endDate: '2024-03-31' });
+
+    expect(statement).toMatchObject({ openingBalance: 300, totalDebit: 50, totalCredit: 100, closingBalance: 250 });
+    expect(statement.transactions.map(row => [row.transactionType, row.balance])).toEqual([
+      ['payment', 200],
+      ['sale', 250]
+    ]);
+    expect(statement.ageing.totalOutstanding).toBe(250);
+  });
+
+  test('refuses a period that ends before it starts', async () => {
+    const { buyer } = await createFixture();
+
+    await expect(StatementService.getStatement('buyer', buyer._id, { startDate: '2024-03-01', endDate: '2024-02-01' }))
+      .rejects.toMatchObject({ status: 400, message: 'startDate must be before endDate' });
+  });
+});
+
+describe('GET /api/ledger/buyer/:id/statement', () => {
+  test('sends the statement as a PDF', async () => {
+    const { buyer, token } = await createFixture();
+
+    const res = await request(app)
+      .get(`/api/ledger/buyer/${buyer._id}/statement?startDate=2024-01-01&endDate=2024-03-31`)
+      .set('Authorization', `Bearer ${token}`)
+      .responseType('blob')
+      .expect(200);
+
+    expect(res.headers['content-type']).toBe('application/pdf');
+    expect(res.body.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+
+  test('is refused to a distributor for another buyer', async () => {
+    const { admin, buyer } = await createFixture();
+    const ownBuyer = await Buyer.create({ name: 'Buyer B', phone: '555001', createdBy: admin._id });
+    const distributor = await User.create({
+      name: 'Distributor',
+      email: 'distributor@example.com',
+      password: 'pass123',
+      role: 'distributor',
+      buyer: ownBuyer._id
+    });
+
+    await request(app)
+      .get(`/api/ledger/buyer/${buyer._id}/statement`)
+      .set('Authorization', `Bearer ${generateTokenFor(distributor)}`)
+      .expect(403);
+  });
+});
@@ -0,0 +1,247 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const jwt = require('jsonwebtoken');
+
+// Mock external utilities before importing server/routes
+jest.mock('../../utils/imageUpload', () => ({
+  generateSignedUrl: async (url) => url,
+  generateSignedUrls: async (urls) => urls,
+  generateSignedUploadUrl: async () => ({ url: 'http://upload' }),
+  verifyFileExists: async () => true,
+  deleteImage: async () => true,
+  uploadImage: async () => ({ url: 'http://uploaded' })
+}));
+jest.mock('../../utils/qrCode', () => ({
+  generateDispatchOrderQR: async () => ({ dataUrl: 'data:' }),
+  buildDispatchOrderQrPayload: () => ({})
+}));
+jest.mock('../../utils/barcodeGenerator', () => ({
+  generatePacketBarcode: async () => 'BARCODE',
+  generateLooseItemBarcode: async () => 'LOOSE'
+}));
+
+let replSet;
+let app;
+let PriceListService;
+let User;
+let Supplier;
+let Product;
+let Inventory;
+let Buyer;
+let Sale;
+let PriceList;
+
+beforeAll(async () => {
+  // Sales are created in a transaction, which needs a replica set
+  replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+  process.env.MONGODB_URI = replSet.getUri();
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'testsecret';
+  process.env.NODE_ENV = 'test';
+
+  app = require('../../server');
+  await mongoose.connection.asPromise();
+
+  PriceListService = require('../../services/PriceListService');
+  User = require('../../models/User');
+  Supplier = require('../../models/Supplier');
+  Product = require('../../models/Product');
+  Inventory = require('../../models/Inventory');
+  Buyer = require('../../models/Buyer');
+  Sale = require('../../models/Sale');
+  PriceList = require('../../models/PriceList');
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (replSet) await replSet.stop();
+});
+
+afterEach(async () => {
+  const collections = Object.keys(mongoose.connection.collections);
+  for (const coll of collections) {
+    await mongoose.connection.collections[coll].deleteMany({});
+  }
+});
+
+function generateTokenFor(user) {
+  return jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+}
+
+// A product at 20 with 10 in stock, and a buyer on a list that sells it at 15
+async function createFixture() {
+  const admin = await User.create({ name: 'Admin', email: 'admin@example.com', password: 'pass123', role: 'super-admin' });
+  const supplier = await Supplier.create({ name: 'Supplier A', phone: '123456', createdBy: admin._id });
+  const product = await Product.create({
+    name: 'Jacket',
+    sku: 'JKT-1',
+    supplier: supplier._id,
+    category: 'Outerwear',
+    pricing: { costPrice: 10, sellingPrice: 20 },
+    createdBy: admin._id
+  });
+  await Inventory.create({
+    product: product._id,
+    currentStock: 10,
+    minStockLevel: 0,
+    maxStockLevel: 50,
+    reorderLevel: 0,
+    averageCostPrice: 10
+  });
+  const priceList = await PriceList.create({
+    name: 'Wholesale',
+    rules: [{ scope: 'product', product: product._id, priceType: 'fixed', value: 15 }],
+    createdBy: admin._id
+  });
+  const buyer = await Buyer.create({ name: 'Buyer A', phone: '555000', priceList: priceList._id, createdBy: admin._id });
+
+  return { admin, product, priceList, buyer, token: generateTokenFor(admin) };
+}
+
+describe('Price list routes', () => {
+  test('creates a price list and refuses a duplicate name or an unknown rule product', async () => {
+    const { product, token } = await createFixture();
+
+    const res = await request(app)
+      .post('/api/price-lists')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Trade', rules: [{ scope: 'product', product: String(product._id), priceType: 'percentage', value: 10 }] })
+      .expect(201);
+
+    expect(res.body.data.rules[0]).toMatchObject({ scope: 'product', appliesTo: 'any', minQuantity: 1, priceType: 'percentage', value: 10 });
+
+    const duplicate = await request(app)
+      .post('/api/price-lists')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Trade' })
+      .expect(409);
+    expect(duplicate.body.message).toBe('A price list named Trade already exists');
+
+    const unknown = await request(app)
+      .post('/api/price-lists')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Other', rules: [{ scope: 'product', product: String(new mongoose.Types.ObjectId()), priceType: 'fixed', value: 5 }] })
+      .expect(400);
+    expect(unknown.body.message).toBe('One or more rule products do not exist');
+  });
+
+  test('moves buyers between lists and does not delete a list buyers are on', async () => {
+    const { admin, priceList, buyer, token } = await createFixture();
+    const trade = await PriceList.create({ name: 'Trade', createdBy: admin._id });
+
+    const deleted = await request(app)
+      .delete(`/api/price-lists/${priceList._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(400);
+    expect(deleted.body.message).toBe('Price list is assigned to 1 buyer(s). Move them to another list first.');
+
+    const res = await request(app)
+      .post(`/api/price-lists/${trade._id}/buyers`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ add: [String(buyer._id)] })
+      .expect(200);
+
+    expect(res.body.data).toEqual({ added: 1, removed: 0 });
+    expect(String((await Buyer.findById(buyer._id).lean()).priceList)).toBe(String(trade._id));
+
+    await request(app)
+      .delete(`/api/price-lists/${priceList._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+  });
+});
+
+describe('PriceListService', () => {
+  const product = { _id: new mongoose.Types.ObjectId(), category: 'Outerwear' };
+  const priceList = {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Wholesale',
+    isActive: true,
+    rules: [
+      { _id: new mongoose.Types.ObjectId(), scope: 'all', priceType: 'percentage', value: 5, minQuantity: 1 },
+      { _id: new mongoose.Types.ObjectId(), scope: 'category', category: 'Outerwear', priceType: 'percentage', value: 10, minQuantity: 1 },
+      { _id: new mongoose.Types.ObjectId(), scope: 'category', category: 'Outerwear', priceType: 'percentage', value: 20, minQuantity: 10 },
+      { _id: new mongoose.Types.ObjectId(), scope: 'product', product: product._id, priceType: 'fixed', value: 12, minQuantity: 50, appliesTo: 'loose' }
+    ]
+  };
+
+  test('picks the most specific rule, then the highest quantity break reached', () => {
+    expect(PriceListService.findRule(priceList, product, { quantity: 5 }).value).toBe(10);
+    expect(PriceListService.findRule(priceList, product, { quantity: 10 }).value).toBe(20);
+    expect(PriceListService.findRule(priceList, product, { quantity: 50 }).value).toBe(12);
+    // The product rule only covers loose items
+    expect(PriceListService.findRule(priceList, product, { quantity: 50, inventoryType: 'packet' }).value).toBe(20);
+    expect(PriceListService.findRule({ ...priceList, isActive: false }, product, { quantity: 5 })).toBeNull();
+  });
+
+  test('prices fixed rules per item and percentage rules off the website price', () => {
+    const [, , , fixed] = priceList.rules;
+    expect(PriceListService.rulePrice(fixed, 20, 6)).toBe(72);
+    expect(PriceListService.rulePrice(priceList.rules[1], 20)).toBe(18);
+  });
+
+  test('gives the lower of the price-list and website price', () => {
+    const lower = PriceListService.getLinePricing({
+      product,
+      basePrice: 20,
+      campaigns: [],
+      context: {},
+      priceList,
+      quantity: 10,
+      inventoryType: 'loose'
+    });
+    expect(lower).toMatchObject({ effectivePrice: 16, originalPrice: 20 });
+    expect(lower.priceSource).toMatchObject({ source: 'price_list', label: 'Wholesale: Category Outerwear from 10: 20% off' });
+
+    const higher = PriceListService.getLinePricing({
+      product,
+      basePrice: 20,
+      campaigns: [],
+      context: {},
+      priceList: { ...priceList, rules: [{ _id: new mongoose.Types.ObjectId(), scope: 'all', priceType: 'fixed', value: 25, minQuantity: 1 }] },
+      quantity: 1,
+      inventoryType: 'loose'
+    });
+    expect(higher).toMatchObject({ effectivePrice: 20, priceSource: { source: 'website' } });
+  });
+});
+
+describe('POST /api/sales with a buyer price list', () => {
+  const createSale = (token, buyer, product, line) => request(app)
+    .post('/api/sales')
+    .set('Authorization', `Bearer ${token}`)
+    .send({
+      buyer: String(buyer._id),
+      paymentMethod: 'cash',
+      items: [{ product: String(product._id), quantity: 2, discount: 0, taxRate: 0, ...line }]
+    });
+
+  test('prices lines sent without a unit price from the list', async () => {
+    const { product, priceList, buyer, token } = await createFixture();
+
+    const res = await createSale(token, buyer, product, {}).expect(201);
+
+    expect(res.body.data.items[0]).toMatchObject({ unitPrice: 15, totalPrice: 30 });
+    expect(res.body.data.items[0].priceSource).toMatchObject({ source: 'price_list', priceList: String(priceList._id) });
+    expect(res.body.data.grandTotal).toBe(30);
+  });
+
+  test('refuses a different unit price unless priceOverride is sent', async () => {
+    const { product, buyer, token } = await createFixture();
+
+    const res = await createSale(token, buyer, product, { unitPrice: 18 }).expect(400);
+    expect(res.body.message).toBe('Unit price 18 for product Jacket differs from the price list price 15. Send priceOverride to keep it.');
+    expect(await Sale.countDocuments()).toBe(0);
+
+    const kept = await createSale(token, buyer, product, { unitPrice: 18, priceOverride: true }).expect(201);
+    expect(kept.body.data.items[0]).toMatchObject({ unitPrice: 18, priceSource: { source: 'manual' } });
+  });
+
+  test('accepts the list price sent as the unit price', async () => {
+    const { product, buyer, token } = await createFixture();
+
+    const res = await createSale(token, buyer, product, { unitPrice: 15 }).expect(201);
+
+    expect(res.body.data.items[0].priceSource.source).toBe('price_list');
+  });
+});
@@ -0,0 +1,108 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const jwt = require('jsonwebtoken');
+
+// Mock external utilities before importing server/routes
+jest.mock('../../utils/imageUpload', () => ({
+  generateSignedUrl: async (url) => url,
+  generateSignedUrls: async (urls) => urls,
+  generateSignedUploadUrl: async () => ({ url: 'http://upload' }),
+  verifyFileExists: async () => true,
+  deleteImage: async () => true,
+  uploadImage: async () => ({ url: 'http://uploaded' })
+}));
+jest.mock('../../utils/qrCode', () => ({
+  generateDispatchOrderQR: async () => ({ dataUrl: 'data:' }),
+  buildDispatchOrderQrPayload: () => ({})
+}));
+jest.mock('../../utils/barcodeGenerator', () => ({
+  generatePacketBarcode: async () => 'BARCODE',
+  generateLooseItemBarcode: async () => 'LOOSE'
+}));
+
+let mongod;
+let app;
+let User;
+let Supplier;
+let Product;
+
+beforeAll(async () => {
+  mongod = await MongoMemoryServer.create();
+  process.env.MONGODB_URI = mongod.getUri();
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'testsecret';
+  process.env.NODE_ENV = 'test';
+
+  app = require('../../server');
+  await mongoose.connection.asPromise();
+
+  User = require('../../models/User');
+  Supplier = require('../../models/Supplier');
+  Product = require('../../models/Product');
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongod) await mongod.stop();
+});
+
+afterEach(async () => {
+  const collections = Object.keys(mongoose.connection.collections);
+  for (const coll of collections) {
+    await mongoose.connection.collections[coll].deleteMany({});
+  }
+});
+
+function generateTokenFor(user) {
+  return jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+}
+
+async function createFixture() {
+  const admin = await User.create({ name: 'Admin', email: 'admin@example.com', password: 'pass123', role: 'admin' });
+  const supplier = await Supplier.create({ name: 'Supplier A', phone: '123456', createdBy: admin._id });
+  return { supplier, token: generateTokenFor(admin) };
+}
+
+const productBody = (supplier) => ({
+  name: 'Jacket',
+  sku: 'jkt-1',
+  supplier: String(supplier._id),
+  season: ['winter'],
+  category: 'Outerwear',
+  pricing: { costPrice: 10, sellingPrice: 20 }
+});
+
+describe('POST /api/products', () => {
+  test('keeps its payload: productCode is only taken by the import', async () => {
+    const { supplier, token } = await createFixture();
+
+    const res = await request(app)
+      .post('/api/products')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ ...productBody(supplier), productCode: 'P-001' })
+      .expect(400);
+
+    expect(res.body.message).toBe('"productCode" is not allowed');
+    expect(await Product.countDocuments()).toBe(0);
+  });
+});
+
+describe('POST /api/products/import', () => {
+  test('previews rows with a productCode without writing them', async () => {
+    const { supplier, token } = await createFixture();
+    const csv = [
+      'sku,productCode,name,category,season,costPrice,sellingPrice,supplier',
+      `JKT-1,P-001,Jacket,Outerwear,winter,10,20,${supplier._id}`
+    ].join('\n');
+
+    const res = await request(app)
+      .post('/api/products/import')
+      .set('Authorization', `Bearer ${token}`)
+      .attach('file', Buffer.from(csv), 'products.csv')
+      .expect(200);
+
+    expect(res.body.data.summary).toMatchObject({ create: 1, update: 0, errors: 0 });
+    expect(res.body.data.rows[0]).toMatchObject({ sku: 'JKT-1', productCode: 'P-001', action: 'create' });
+    expect(await Product.countDocuments()).toBe(0);
+  });
+});
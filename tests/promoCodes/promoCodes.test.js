@@ -0,0 +1,239 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const jwt = require('jsonwebtoken');
+
+// Mock external utilities before importing server/routes
+jest.mock('../../utils/imageUpload', () => ({
+  generateSignedUrl: async (url) => url,
+  generateSignedUrls: async (urls) => urls,
+  generateSignedUploadUrl: async () => ({ url: 'http://upload' }),
+  verifyFileExists: async () => true,
+  deleteImage: async () => true,
+  uploadImage: async () => ({ url: 'http://uploaded' })
+}));
+jest.mock('../../utils/qrCode', () => ({
+  generateDispatchOrderQR: async () => ({ dataUrl: 'data:' }),
+  buildDispatchOrderQrPayload: () => ({})
+}));
+jest.mock('../../utils/barcodeGenerator', () => ({
+  generatePacketBarcode: async () => 'BARCODE',
+  generateLooseItemBarcode: async () => 'LOOSE'
+}));
+
+let mongod;
+let app;
+let PromoCodeService;
+let User;
+let Supplier;
+let Product;
+let Buyer;
+let Campaign;
+let PromoCode;
+let PromoRedemption;
+let Counter;
+
+beforeAll(async () => {
+  mongod = await MongoMemoryServer.create();
+  process.env.MONGODB_URI = mongod.getUri();
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'testsecret';
+  process.env.NODE_ENV = 'test';
+
+  app = require('../../server');
+  await mongoose.connection.asPromise();
+
+  PromoCodeService = require('../../services/PromoCodeService');
+  User = require('../../models/User');
+  Supplier = require('../../models/Supplier');
+  Product = require('../../models/Product');
+  Buyer = require('../../models/Buyer');
+  Campaign = require('../../models/Campaign');
+  PromoCode = require('../../models/PromoCode');
+  PromoRedemption = require('../../models/PromoRedemption');
+  Counter = require('../../models/Counter');
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongod) await mongod.stop();
+});
+
+afterEach(async () => {
+  const collections = Object.keys(mongoose.connection.collections);
+  for (const coll of collections) {
+    await mongoose.connection.collections[coll].deleteMany({});
+  }
+});
+
+function generateTokenFor(user) {
+  return jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+}
+
+// A running 10% coupon campaign on one product at 20, and two buyers
+async function createFixture() {
+  const admin = await User.create({ name: 'Admin', email: 'admin@example.com', password: 'pass123', role: 'admin' });
+  const supplier = await Supplier.create({ name: 'Supplier A', phone: '123456', createdBy: admin._id });
+  const product = await Product.create({
+    name: 'Jacket',
+    sku: 'JKT-1',
+    supplier: supplier._id,
+    category: 'Outerwear',
+    pricing: { costPrice: 10, sellingPrice: 20 },
+    createdBy: admin._id
+  });
+  const campaign = await Campaign.create({
+    name: 'Spring coupon',
+    slug: 'spring-coupon',
+    status: 'active',
+    isActive: true,
+    requiresCode: true,
+    discountType: 'percentage',
+    discountValue: 10,
+    startAt: new Date(Date.now() - 24 * 60 * 60 * 1000),
+    endAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    productIds: [product._id],
+    createdBy: admin._id
+  });
+  const buyer = await Buyer.create({ name: 'Buyer A', phone: '555000', createdBy: admin._id });
+  const otherBuyer = await Buyer.create({ name: 'Buyer B', phone: '555001', createdBy: admin._id });
+
+  const createCode = (data = {}) => PromoCode.create({ code: 'SPRING10', campaign: campaign._id, createdBy: admin._id, ...data });
+  const reserve = (promoCode, buyerId) => PromoCodeService.reserveRedemption({
+    promoCode,
+    campaign,
+    buyerId,
+    saleId: new mongoose.Types.ObjectId(),
+    orderSubtotal: 40,
+    discountAmount: 4
+  });
+  const line = (quantity, price = 20) => ({ key: 'line-1', product: product.toObject(), basePrice: 20, price, quantity });
+
+  return { admin, product, campaign, buyer, otherBuyer, createCode, reserve, line, token: generateTokenFor(admin) };
+}
+
+describe('POST /api/promo-codes', () => {
+  test('creates an upper-cased code and refuses a duplicate', async () => {
+    const { campaign, token } = await createFixture();
+
+    const res = await request(app)
+      .post('/api/promo-codes')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: 'spring10', campaign: String(campaign._id), maxRedemptions: 5 })
+      .expect(201);
+
+    expect(res.body.data).toMatchObject({ code: 'SPRING10', maxRedemptions: 5, maxRedemptionsPerBuyer: 1, redemptionCount: 0 });
+
+    const again = await request(app)
+      .post('/api/promo-codes')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: 'Spring10', campaign: String(campaign._id) })
+      .expect(409);
+
+    expect(again.body.message).toBe('Promo code SPRING10 already exists');
+  });
+
+  test('only links codes to campaigns that require a code', async () => {
+    const { campaign, token } = await createFixture();
+    await Campaign.updateOne({ _id: campaign._id }, { requiresCode: false });
+
+    const res = await request(app)
+      .post('/api/promo-codes')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: 'SPRING10', campaign: String(campaign._id) })
+      .expect(400);
+
+    expect(res.body.message).toBe('Promo codes can only be linked to campaigns that require a code (requiresCode)');
+  });
+});
+
+describe('PromoCodeService.evaluate', () => {
+  test('takes the campaign discount off the eligible lines', async () => {
+    const { buyer, createCode, line } = await createFixture();
+    await createCode();
+
+    const result = await PromoCodeService.evaluate('spring10', buyer, [line(2)]);
+
+    expect(result).toMatchObject({ orderSubtotal: 40, discountAmount: 4, lines: [{ key: 'line-1', discount: 4 }] });
+  });
+
+  test('only gives what a non-stackable code saves beyond the automatic campaign price', async () => {
+    const { buyer, createCode, line } = await createFixture();
+    await createCode();
+
+    // An automatic campaign already brought the price down to 19
+    const result = await PromoCodeService.evaluate('SPRING10', buyer, [line(2, 19)]);
+    expect(result.discountAmount).toBe(2);
+
+    await PromoCode.updateOne({ code: 'SPRING10' }, { stackable: true });
+    const stacked = await PromoCodeService.evaluate('SPRING10', buyer, [line(2, 19)]);
+    expect(stacked.discountAmount).toBe(3.8);
+  });
+
+  test('refuses orders under the minimum value and buyers the code is not for', async () => {
+    const { buyer, otherBuyer, createCode, line } = await createFixture();
+    await createCode({ minOrderValue: 50, buyers: [otherBuyer._id] });
+
+    await expect(PromoCodeService.evaluate('SPRING10', buyer, [line(3)]))
+      .rejects.toMatchObject({ status: 400, message: 'This promo code is not available for your account' });
+    await expect(PromoCodeService.evaluate('SPRING10', otherBuyer, [line(2)]))
+      .rejects.toMatchObject({ status: 400, message: 'This promo code needs an order of at least £50.00' });
+  });
+});
+
+describe('PromoCodeService.reserveRedemption', () => {
+  test('holds the per-buyer limit and gives the use back when the checkout is released', async () => {
+    const { buyer, createCode, reserve } = await createFixture();
+    const promoCode = await createCode();
+
+    const redemption = await reserve(promoCode, buyer._id);
+    await expect(reserve(promoCode, buyer._id))
+      .rejects.toMatchObject({ status: 400, message: 'You have already used this promo code' });
+    expect((await PromoCode.findById(promoCode._id)).redemptionCount).toBe(1);
+
+    await PromoCodeService.releaseRedemption(redemption.sale);
+
+    expect((await PromoCode.findById(promoCode._id)).redemptionCount).toBe(0);
+    expect((await Counter.findById(`promoBuyerUses_${promoCode._id}_${buyer._id}`)).seq).toBe(0);
+    await expect(reserve(promoCode, buyer._id)).resolves.toMatchObject({ status: 'pending' });
+  });
+
+  test('lets only one of two simultaneous checkouts of the same buyer take the last use', async () => {
+    const { buyer, createCode, reserve } = await createFixture();
+    const promoCode = await createCode();
+
+    const results = await Promise.allSettled([reserve(promoCode, buyer._id), reserve(promoCode, buyer._id)]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(await PromoRedemption.countDocuments({ status: 'pending' })).toBe(1);
+    expect((await PromoCode.findById(promoCode._id)).redemptionCount).toBe(1);
+  });
+
+  test('counts uses recorded before the buyer counter existed', async () => {
+    const { buyer, campaign, createCode, reserve } = await createFixture();
+    const promoCode = await createCode();
+    await PromoRedemption.create({
+      promoCode: promoCode._id,
+      code: promoCode.code,
+      campaign: campaign._id,
+      buyer: buyer._id,
+      sale: new mongoose.Types.ObjectId(),
+      discountAmount: 4,
+      status: 'redeemed'
+    });
+
+    await expect(reserve(promoCode, buyer._id))
+      .rejects.toMatchObject({ message: 'You have already used this promo code' });
+  });
+
+  test('holds the per-code limit and does not keep the buyer use it refused', async () => {
+    const { buyer, otherBuyer, createCode, reserve } = await createFixture();
+    const promoCode = await createCode({ maxRedemptions: 1 });
+
+    await reserve(promoCode, buyer._id);
+    await expect(reserve(promoCode, otherBuyer._id))
+      .rejects.toMatchObject({ status: 400, message: 'This promo code has reached its usage limit' });
+
+    expect((await Counter.findById(`promoBuyerUses_${promoCode._id}_${otherBuyer._id}`)).seq).toBe(0);
+    expect((await PromoCode.findById(promoCode._id)).redemptionCount).toBe(1);
+  });
+});
@@ -0,0 +1,148 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const jwt = require('jsonwebtoken');
+
+// Mock external utilities before importing server/routes
+jest.mock('../../utils/imageUpload', () => ({
+  generateSignedUrl: async (url) => url,
+  generateSignedUrls: async (urls) => urls,
+  generateSignedUploadUrl: async () => ({ url: 'http://upload' }),
+  verifyFileExists: async () => true,
+  deleteImage: async () => true,
+  uploadImage: async () => ({ url: 'http://uploaded' })
+}));
+jest.mock('../../utils/qrCode', () => ({
+  generateDispatchOrderQR: async () => ({ dataUrl: 'data:' }),
+  buildDispatchOrderQrPayload: () => ({})
+}));
+jest.mock('../../utils/barcodeGenerator', () => ({
+  generatePacketBarcode: async () => 'BARCODE',
+  generateLooseItemBarcode: async () => 'LOOSE'
+}));
+
+let mongod;
+let app;
+let User;
+let Supplier;
+let PurchaseOrder;
+
+beforeAll(async () => {
+  mongod = await MongoMemoryServer.create();
+  process.env.MONGODB_URI = mongod.getUri();
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'testsecret';
+  process.env.NODE_ENV = 'test';
+
+  app = require('../../server');
+  await mongoose.connection.asPromise();
+
+  User = require('../../models/User');
+  Supplier = require('../../models/Supplier');
+  PurchaseOrder = require('../../models/PurchaseOrder');
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongod) await mongod.stop();
+});
+
+afterEach(async () => {
+  const collections = Object.keys(mongoose.connection.collections);
+  for (const coll of collections) {
+    await mongoose.connection.collections[coll].deleteMany({});
+  }
+});
+
+function generateTokenFor(user) {
+  return jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+}
+
+// An admin, and two suppliers each with a portal user
+async function createFixture() {
+  const admin = await User.create({ name: 'Admin', email: 'admin@example.com', password: 'pass123', role: 'admin' });
+
+  const createSupplier = async (name, email) => {
+    const user = await User.create({ name, email, password: 'pass123', role: 'supplier' });
+    const supplier = await Supplier.create({ name, phone: '123456', userId: user._id, createdBy: admin._id });
+    await User.updateOne({ _id: user._id }, { supplier: supplier._id });
+    return { supplier, token: generateTokenFor(user) };
+  };
+
+  return {
+    adminToken: generateTokenFor(admin),
+    own: await createSupplier('Supplier A', 'a@example.com'),
+    other: await createSupplier('Supplier B', 'b@example.com')
+  };
+}
+
+// A purchase order for 10 JKT-1 at 5, created (and optionally sent) through the routes
+async function createPurchaseOrder(adminToken, supplier, { send = true } = {}) {
+  const created = await request(app)
+    .post('/api/purchase-orders')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ supplier: String(supplier._id), items: [{ productCode: 'jkt-1', quantity: 10, targetCostPrice: 5 }] })
+    .expect(201);
+  const purchaseOrder = created.body.data;
+
+  if (send) {
+    await request(app)
+      .patch(`/api/purchase-orders/${purchaseOrder._id}/send`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+  }
+  return purchaseOrder;
+}
+
+describe('Purchase order negotiation', () => {
+  test('a supplier counter-offer replaces the terms once we accept it', async () => {
+    const { adminToken, own } = await createFixture();
+    const purchaseOrder = await createPurchaseOrder(adminToken, own.supplier);
+    expect(purchaseOrder.items[0].productCode).toBe('JKT-1');
+
+    await request(app)
+      .patch(`/api/purchase-orders/${purchaseOrder._id}/counter`)
+      .set('Authorization', `Bearer ${own.token}`)
+      .send({ items: [{ lineId: purchaseOrder.items[0]._id, quantity: 6, costPrice: 6 }], notes: 'Only 6 in stock' })
+      .expect(200);
+
+    // A supplier cannot accept its own counter-offer
+    await request(app)
+      .patch(`/api/purchase-orders/${purchaseOrder._id}/accept`)
+      .set('Authorization', `Bearer ${own.token}`)
+      .expect(400);
+
+    await request(app)
+      .patch(`/api/purchase-orders/${purchaseOrder._id}/accept`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    const accepted = await PurchaseOrder.findById(purchaseOrder._id).lean();
+    expect(accepted.status).toBe('accepted');
+    expect(accepted.items[0]).toMatchObject({ quantity: 6, targetCostPrice: 6 });
+    expect(accepted.history.map(entry => entry.action)).toEqual(['created', 'sent', 'countered', 'counter_accepted']);
+  });
+});
+
+describe('Supplier access to purchase orders', () => {
+  test('suppliers see neither drafts nor other suppliers\' orders', async () => {
+    const { adminToken, own, other } = await createFixture();
+    const draft = await createPurchaseOrder(adminToken, own.supplier, { send: false });
+    const sent = await createPurchaseOrder(adminToken, own.supplier);
+
+    await request(app).get(`/api/purchase-orders/${draft._id}`).set('Authorization', `Bearer ${own.token}`).expect(404);
+    await request(app).get(`/api/purchase-orders/${sent._id}`).set('Authorization', `Bearer ${own.token}`).expect(200);
+    await request(app).get(`/api/purchase-orders/${sent._id}`).set('Authorization', `Bearer ${other.token}`).expect(404);
+
+    await request(app)
+      .patch(`/api/purchase-orders/${sent._id}/counter`)
+      .set('Authorization', `Bearer ${other.token}`)
+      .send({ notes: 'Cheaper here' })
+      .expect(404);
+    await request(app)
+      .patch(`/api/purchase-orders/${sent._id}/accept`)
+      .set('Authorization', `Bearer ${other.token}`)
+      .expect(403);
+
+    expect((await PurchaseOrder.findById(sent._id).lean()).status).toBe('sent');
+  });
+});
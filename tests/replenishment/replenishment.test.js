@@ -0,0 +1,168 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const jwt = require('jsonwebtoken');
+
+// Mock external utilities before importing server/routes
+jest.mock('../../utils/imageUpload', () => ({
+  generateSignedUrl: async (url) => url,
+  generateSignedUrls: async (urls) => urls,
+  generateSignedUploadUrl: async () => ({ url: 'http://upload' }),
+  verifyFileExists: async () => true,
+  deleteImage: async () => true,
+  uploadImage: async () => ({ url: 'http://uploaded' })
+}));
+jest.mock('../../utils/qrCode', () => ({
+  generateDispatchOrderQR: async () => ({ dataUrl: 'data:' }),
+  buildDispatchOrderQrPayload: () => ({})
+}));
+jest.mock('../../utils/barcodeGenerator', () => ({
+  generatePacketBarcode: async () => 'BARCODE',
+  generateLooseItemBarcode: async () => 'LOOSE'
+}));
+
+let replSet;
+let app;
+let User;
+let Supplier;
+let Product;
+let Inventory;
+let Buyer;
+let Sale;
+let PurchaseOrder;
+
+beforeAll(async () => {
+  // Proposals are approved in a transaction, which needs a replica set
+  replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+  process.env.MONGODB_URI = replSet.getUri();
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'testsecret';
+  process.env.NODE_ENV = 'test';
+
+  app = require('../../server');
+  await mongoose.connection.asPromise();
+
+  User = require('../../models/User');
+  Supplier = require('../../models/Supplier');
+  Product = require('../../models/Product');
+  Inventory = require('../../models/Inventory');
+  Buyer = require('../../models/Buyer');
+  Sale = require('../../models/Sale');
+  PurchaseOrder = require('../../models/PurchaseOrder');
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (replSet) await replSet.stop();
+});
+
+afterEach(async () => {
+  const collections = Object.keys(mongoose.connection.collections);
+  for (const coll of collections) {
+    await mongoose.connection.collections[coll].deleteMany({});
+  }
+});
+
+function generateTokenFor(user) {
+  return jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+}
+
+// 10 in stock and 60 sold in the last 30 days (45 M, 15 L): 2 a day, with no lead time
+// history, so the reorder point is 2 × (14 + 7) = 42 and the target 42 + 2 × 30 = 102
+async function createFixture() {
+  const admin = await User.create({ name: 'Owner', email: 'owner@example.com', password: 'pass123', role: 'super-admin' });
+  const supplier = await Supplier.create({ name: 'Supplier A', phone: '123456', createdBy: admin._id });
+  const buyer = await Buyer.create({ name: 'Buyer A', phone: '555000', createdBy: admin._id });
+  const product = await Product.create({
+    name: 'Jacket',
+    sku: 'JKT-1',
+    supplier: supplier._id,
+    category: 'Outerwear',
+    pricing: { costPrice: 10, sellingPrice: 20 },
+    createdBy: admin._id
+  });
+  await Inventory.create({ product: product._id, currentStock: 10, minStockLevel: 0, maxStockLevel: 200, reorderLevel: 0 });
+
+  const saleDate = new Date(Date.now() - 5 * 24 * 60 * 60 * 1000);
+  for (const [saleNumber, size, quantity] of [['SAL-0001', 'M', 45], ['SAL-0002', 'L', 15]]) {
+    await Sale.create({
+      saleNumber,
+      saleDate,
+      buyer: buyer._id,
+      items: [{ product: product._id, variant: { size, color: 'Red' }, quantity, unitPrice: 20, totalPrice: quantity * 20 }],
+      subtotal: quantity * 20,
+      grandTotal: quantity * 20,
+      createdBy: admin._id
+    });
+  }
+
+  return { admin, supplier, product, token: generateTokenFor(admin) };
+}
+
+describe('GET /api/replenishment/suggestions', () => {
+  test('proposes the gap to the target stock, split by variant sales', async () => {
+    const { supplier, token } = await createFixture();
+
+    const res = await request(app)
+      .get('/api/replenishment/suggestions')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    const [group] = res.body.data.suppliers;
+    expect(group).toMatchObject({ leadTimeDays: 14, leadTimeSource: 'default', totalQuantity: 92, totalCost: 920 });
+    expect(group.supplier._id).toBe(String(supplier._id));
+    expect(group.lines[0]).toMatchObject({ dailyVelocity: 2, reorderPoint: 42, targetStock: 102, suggestedQuantity: 92 });
+    expect(group.lines[0].variants.map(variant => [variant.size, variant.quantity])).toEqual(expect.arrayContaining([['M', 69], ['L', 23]]));
+  });
+
+  test('counts what open purchase orders have still to deliver', async () => {
+    const { admin, supplier, product, token } = await createFixture();
+    await PurchaseOrder.create({
+      poNumber: 'PO-000001',
+      supplier: supplier._id,
+      status: 'sent',
+      items: [{ product: product._id, productName: 'Jacket', productCode: 'JKT-1', quantity: 30 }],
+      createdBy: admin._id
+    });
+
+    const res = await request(app)
+      .get('/api/replenishment/suggestions')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(res.body.data.suppliers[0].lines[0]).toMatchObject({ onOrder: 30, suggestedQuantity: 62 });
+  });
+});
+
+describe('Replenishment proposals', () => {
+  test('are approved once, into a draft purchase order with a line per variant', async () => {
+    const { supplier, token } = await createFixture();
+
+    const generated = await request(app)
+      .post('/api/replenishment/proposals/generate')
+      .set('Authorization', `Bearer ${token}`)
+      .send({})
+      .expect(201);
+    const [proposal] = generated.body.data.proposals;
+
+    const approved = await request(app)
+      .post(`/api/replenishment/proposals/${proposal._id}/approve`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({})
+      .expect(201);
+
+    const purchaseOrder = await PurchaseOrder.findById(approved.body.data.purchaseOrder._id).lean();
+    expect(purchaseOrder).toMatchObject({ status: 'draft', supplier: supplier._id });
+    expect(purchaseOrder.items.map(item => [item.size[0], item.quantity, item.targetCostPrice])).toEqual(expect.arrayContaining([
+      ['M', 69, 10],
+      ['L', 23, 10]
+    ]));
+
+    const again = await request(app)
+      .post(`/api/replenishment/proposals/${proposal._id}/approve`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({})
+      .expect(400);
+    expect(again.body.message).toBe('Only open proposals can be approved (current status: approved)');
+    expect(await PurchaseOrder.countDocuments()).toBe(1);
+  });
+});
@@ -0,0 +1,188 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const jwt = require('jsonwebtoken');
+
+// Mock external utilities before importing server/routes
+jest.mock('../../utils/imageUpload', () => ({
+  generateSignedUrl: async (url) => url,
+  generateSignedUrls: async (urls) => urls,
+  generateSignedUploadUrl: async () => ({ url: 'http://upload' }),
+  verifyFileExists: async () => true,
+  deleteImage: async () => true,
+  uploadImage: async () => ({ url: 'http://uploaded' })
+}));
+jest.mock('../../utils/qrCode', () => ({
+  generateDispatchOrderQR: async () => ({ dataUrl: 'data:' }),
+  buildDispatchOrderQrPayload: () => ({})
+}));
+jest.mock('../../utils/barcodeGenerator', () => ({
+  generatePacketBarcode: async () => 'BARCODE',
+  generateLooseItemBarcode: async () => 'LOOSE'
+}));
+
+let mongod;
+let app;
+let User;
+let Supplier;
+let Buyer;
+let Sale;
+let DispatchOrder;
+let Ledger;
+
+beforeAll(async () => {
+  mongod = await MongoMemoryServer.create();
+  process.env.MONGODB_URI = mongod.getUri();
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'testsecret';
+  process.env.NODE_ENV = 'test';
+
+  app = require('../../server');
+  await mongoose.connection.asPromise();
+
+  User = require('../../models/User');
+  Supplier = require('../../models/Supplier');
+  Buyer = require('../../models/Buyer');
+  Sale = require('../../models/Sale');
+  DispatchOrder = require('../../models/DispatchOrder');
+  Ledger = require('../../models/Ledger');
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongod) await mongod.stop();
+});
+
+afterEach(async () => {
+  const collections = Object.keys(mongoose.connection.collections);
+  for (const coll of collections) {
+    await mongoose.connection.collections[coll].deleteMany({});
+  }
+});
+
+function generateTokenFor(user) {
+  return jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+}
+
+const AS_OF = '2024-06-30';
+
+// Sales of 300 (167 days old), 200 (51 days) and 100 (10 days) with their ledger debits
+async function createFixture() {
+  const admin = await User.create({ name: 'Owner', email: 'owner@example.com', password: 'pass123', role: 'super-admin' });
+  const buyer = await Buyer.create({ name: 'Buyer A', phone: '555000', createdBy: admin._id });
+
+  const buyerEntry = (data) => Ledger.create({
+    type: 'buyer',
+    entityId: buyer._id,
+    entityModel: 'Buyer',
+    createdBy: admin._id,
+    ...data
+  });
+
+  const sales = [];
+  for (const [saleNumber, saleDate, amount] of [
+    ['SAL-0001', new Date(2024, 0, 15), 300],
+    ['SAL-0002', new Date(2024, 4, 10), 200],
+    ['SAL-0003', new Date(2024, 5, 20), 100]
+  ]) {
+    const sale = await Sale.create({
+      saleNumber,
+      saleDate,
+      buyer: buyer._id,
+      items: [{ product: new mongoose.Types.ObjectId(), quantity: 1, unitPrice: amount, totalPrice: amount }],
+      subtotal: amount,
+      grandTotal: amount,
+      createdBy: admin._id
+    });
+    await buyerEntry({
+      transactionType: 'sale',
+      referenceId: sale._id,
+      referenceModel: 'Sale',
+      debit: amount,
+      date: saleDate,
+      description: `Sale ${saleNumber}`
+    });
+    sales.push(sale);
+  }
+
+  return { admin, buyer, sales, buyerEntry, token: generateTokenFor(admin) };
+}
+
+const agedReceivables = (token, query = '') => request(app)
+  .get(`/api/reports/aged-receivables?asOfDate=${AS_OF}${query}`)
+  .set('Authorization', `Bearer ${token}`)
+  .expect(200);
+
+describe('GET /api/reports/aged-receivables', () => {
+  test('settles payments against their own sale first, then the oldest sales', async () => {
+    const { sales, buyerEntry, token } = await createFixture();
+    await buyerEntry({
+      transactionType: 'payment',
+      referenceId: sales[1]._id,
+      referenceModel: 'Sale',
+      credit: 50,
+      date: new Date(2024, 5, 1),
+      description: 'Payment for SAL-0002'
+    });
+    await buyerEntry({ transactionType: 'payment', credit: 320, date: new Date(2024, 5, 2), description: 'Payment on account' });
+
+    const res = await agedReceivables(token, '&includeDocuments=true');
+
+    const [party] = res.body.data.parties;
+    expect(party).toMatchObject({
+      buckets: { '0-30': 100, '31-60': 130, '61-90': 0, '90+': 0 },
+      totalOutstanding: 230,
+      unallocatedCredit: 0,
+      balance: 230,
+      openDocuments: 2
+    });
+    expect(party.documents.map(doc => [doc.documentNumber, doc.outstanding, doc.daysOutstanding])).toEqual([
+      ['SAL-0002', 130, 51],
+      ['SAL-0003', 100, 10]
+    ]);
+  });
+
+  test('leaves out entries after the as-of date and reports overpayment as unallocated credit', async () => {
+    const { buyerEntry, token } = await createFixture();
+    await buyerEntry({ transactionType: 'payment', credit: 650, date: new Date(2024, 5, 25), description: 'Payment on account' });
+    await buyerEntry({ transactionType: 'payment', credit: 1000, date: new Date(2024, 6, 5), description: 'After the as-of date' });
+
+    const res = await agedReceivables(token);
+
+    expect(res.body.data.parties[0]).toMatchObject({ totalOutstanding: 0, unallocatedCredit: 50, balance: -50 });
+    expect(res.body.data.summary).toMatchObject({ parties: 1, totalOutstanding: 0, unallocatedCredit: 50 });
+  });
+});
+
+describe('GET /api/reports/aged-payables', () => {
+  test('ages dispatch orders from their dispatch date', async () => {
+    const { admin, token } = await createFixture();
+    const supplier = await Supplier.create({ name: 'Supplier A', phone: '123456', createdBy: admin._id });
+    const order = await DispatchOrder.create({
+      supplier: supplier._id,
+      createdBy: admin._id,
+      status: 'confirmed',
+      dispatchDate: new Date(2024, 3, 15),
+      items: [{ productName: 'Jacket', productCode: 'JKT-1', season: ['all_season'], costPrice: 10, quantity: 50 }]
+    });
+    await Ledger.create({
+      type: 'supplier',
+      entityId: supplier._id,
+      entityModel: 'Supplier',
+      transactionType: 'purchase',
+      referenceId: order._id,
+      referenceModel: 'DispatchOrder',
+      debit: 500,
+      date: new Date(2024, 3, 18),
+      description: `Dispatch order ${order.orderNumber}`,
+      createdBy: admin._id
+    });
+
+    const res = await request(app)
+      .get(`/api/reports/aged-payables/supplier/${supplier._id}?asOfDate=${AS_OF}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(res.body.data.party).toMatchObject({ buckets: { '61-90': 500 }, totalOutstanding: 500 });
+    expect(res.body.data.party.documents[0]).toMatchObject({ documentNumber: order.orderNumber, daysOutstanding: 76 });
+  });
+});
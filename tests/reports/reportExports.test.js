@@ -0,0 +1,172 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const jwt = require('jsonwebtoken');
+
+// Mock external utilities before importing server/routes
+jest.mock('../../utils/imageUpload', () => ({
+  generateSignedUrl: async (url) => url,
+  generateSignedUrls: async (urls) => urls,
+  generateSignedUploadUrl: async () => ({ url: 'http://upload' }),
+  verifyFileExists: async () => true,
+  deleteImage: async () => true,
+  uploadImage: async () => ({ url: 'http://uploaded' })
+}));
+jest.mock('../../utils/qrCode', () => ({
+  generateDispatchOrderQR: async () => ({ dataUrl: 'data:' }),
+  buildDispatchOrderQrPayload: () => ({})
+}));
+jest.mock('../../utils/barcodeGenerator', () => ({
+  generatePacketBarcode: async () => 'BARCODE',
+  generateLooseItemBarcode: async () => 'LOOSE'
+}));
+
+let mongod;
+let app;
+let User;
+let Buyer;
+let Ledger;
+
+beforeAll(async () => {
+  mongod = await MongoMemoryServer.create();
+  process.env.MONGODB_URI = mongod.getUri();
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'testsecret';
+  process.env.NODE_ENV = 'test';
+
+  app = require('../../server');
+  await mongoose.connection.asPromise();
+
+  User = require('../../models/User');
+  Buyer = require('../../models/Buyer');
+  Ledger = require('../../models/Ledger');
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongod) await mongod.stop();
+});
+
+afterEach(async () => {
+  const collections = Object.keys(mongoose.connection.collections);
+  for (const coll of collections) {
+    await mongoose.connection.collections[coll].deleteMany({});
+  }
+});
+
+function generateTokenFor(user) {
+  return jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+}
+
+// A buyer owing 300 from a January sale
+async function createFixture() {
+  const admin = await User.create({ name: 'Owner', email: 'owner@example.com', password: 'pass123', role: 'super-admin' });
+  const buyer = await Buyer.create({ name: 'Buyer A', phone: '555000', createdBy: admin._id });
+  await Ledger.create({
+    type: 'buyer',
+    entityId: buyer._id,
+    entityModel: 'Buyer',
+    transactionType: 'sale',
+    debit: 300,
+    date: new Date(2024, 0, 15),
+    description: 'Sale SAL-0001',
+    createdBy: admin._id
+  });
+
+  return { admin, token: generateTokenFor(admin) };
+}
+
+describe('Report exports', () => {
+  test('render a report as CSV with its title and filters', async () => {
+    const { token } = await createFixture();
+
+    const res = await request(app)
+      .get('/api/reports/aged-receivables?asOfDate=2024-06-30&format=csv')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(res.headers['content-disposition']).toMatch(/^attachment; filename="aged-receivables-\d{4}-\d{2}-\d{2}\.csv"$/);
+    expect(res.text.split('\r\n').slice(0, 2)).toEqual(['Aged Receivables Report', 'As Of Date: 2024-06-30']);
+    expect(res.text).toContain('Buyer A');
+  });
+
+  test('refuse an unknown format', async () => {
+    const { token } = await createFixture();
+
+    const res = await request(app)
+      .get('/api/reports/aged-receivables?format=docx')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(400);
+
+    expect(res.body.message).toBe('format must be one of json, csv, xlsx, pdf');
+  });
+});
+
+describe('Saved reports', () => {
+  test('rerun with their stored filters, and the run can override the format', async () => {
+    const { token } = await createFixture();
+
+    const saved = await request(app)
+      .post('/api/reports/saved')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Half-year debtors', report: 'aged-receivables', filters: { asOfDate: '2024-06-30' }, format: 'csv' })
+      .expect(201);
+    const { _id: id } = saved.body.data;
+
+    const csv = await request(app)
+      .get(`/api/reports/saved/${id}/run`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    expect(csv.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(csv.text).toContain('As Of Date: 2024-06-30');
+
+    const json = await request(app)
+      .get(`/api/reports/saved/${id}/run?format=json`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    expect(json.body.data.summary).toMatchObject({ parties: 1, totalOutstanding: 300 });
+  });
+
+  test('refuse a report that does not exist', async () => {
+    const { token } = await createFixture();
+
+    const res = await request(app)
+      .post('/api/reports/saved')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Nothing', report: 'no-such-report' })
+      .expect(400);
+
+    expect(res.body.message).toBe('Unknown report: no-such-report');
+  });
+
+  test('are private to their owner until shared, and only the owner can change them', async () => {
+    await createFixture();
+    const owner = await User.create({ name: 'Accountant A', email: 'a@example.com', password: 'pass123', role: 'accountant' });
+    const other = await User.create({ name: 'Accountant B', email: 'b@example.com', password: 'pass123', role: 'accountant' });
+    const ownerToken = generateTokenFor(owner);
+    const otherToken = generateTokenFor(other);
+
+    const saved = await request(app)
+      .post('/api/reports/saved')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ name: 'My debtors', report: 'aged-receivables' })
+      .expect(201);
+    const { _id: id } = saved.body.data;
+
+    await request(app).get(`/api/reports/saved/${id}`).set('Authorization', `Bearer ${otherToken}`).expect(404);
+
+    await request(app)
+      .put(`/api/reports/saved/${id}`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ isShared: true })
+      .expect(200);
+    await request(app).get(`/api/reports/saved/${id}`).set('Authorization', `Bearer ${otherToken}`).expect(200);
+
+    const res = await request(app)
+      .put(`/api/reports/saved/${id}`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .send({ name: 'Renamed' })
+      .expect(403);
+    expect(res.body.message).toBe('Only the owner or an admin can change this saved report');
+  });
+});
@@ -0,0 +1,280 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const jwt = require('jsonwebtoken');
+
+// Mock external utilities before importing server/routes
+jest.mock('../../utils/imageUpload', () => ({
+  generateSignedUrl: async (url) => url,
+  generateSignedUrls: async (urls) => urls,
+  generateSignedUploadUrl: async () => ({ url: 'http://upload' }),
+  verifyFileExists: async () => true,
+  deleteImage: async () => true,
+  uploadImage: async () => ({ url: 'http://uploaded' })
+}));
+jest.mock('../../utils/qrCode', () => ({
+  generateDispatchOrderQR: async () => ({ dataUrl: 'data:' }),
+  buildDispatchOrderQrPayload: () => ({})
+}));
+jest.mock('../../utils/barcodeGenerator', () => ({
+  generatePacketBarcode: async () => 'BARCODE',
+  generateLooseItemBarcode: async () => 'LOOSE'
+}));
+
+let replSet;
+let app;
+let setStripeClient;
+let User;
+let Supplier;
+let Product;
+let Buyer;
+let Sale;
+let SaleReturn;
+let Payment;
+let Ledger;
+
+beforeAll(async () => {
+  // Refund payments are recorded in a transaction, which needs a replica set
+  replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+  process.env.MONGODB_URI = replSet.getUri();
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'testsecret';
+  process.env.NODE_ENV = 'test';
+
+  app = require('../../server');
+  await mongoose.connection.asPromise();
+
+  ({ setStripeClient } = require('../../utils/stripeClient'));
+  User = require('../../models/User');
+  Supplier = require('../../models/Supplier');
+  Product = require('../../models/Product');
+  Buyer = require('../../models/Buyer');
+  Sale = require('../../models/Sale');
+  SaleReturn = require('../../models/SaleReturn');
+  Payment = require('../../models/Payment');
+  Ledger = require('../../models/Ledger');
+});
+
+afterAll(async () => {
+  setStripeClient(null);
+  await mongoose.disconnect();
+  if (replSet) await replSet.stop();
+});
+
+afterEach(async () => {
+  const collections = Object.keys(mongoose.connection.collections);
+  for (const coll of collections) {
+    await mongoose.connection.collections[coll].deleteMany({});
+  }
+});
+
+function generateTokenFor(user) {
+  return jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+}
+
+// Stripe answers a repeated idempotency key with the refund it already made
+function createStubStripe() {
+  const byKey = new Map();
+  return {
+    refunds: {
+      create: jest.fn(async (params, { idempotencyKey }) => {
+        if (!byKey.has(idempotencyKey)) {
+          byKey.set(idempotencyKey, {
+            id: `re_${byKey.size + 1}`,
+            object: 'refund',
+            amount: params.amount,
+            currency: 'gbp',
+            payment_intent: params.payment_intent,
+            metadata: params.metadata,
+            status: 'succeeded'
+          });
+        }
+        return byKey.get(idempotencyKey);
+      }),
+      list: jest.fn(async () => ({ data: [...byKey.values()] }))
+    }
+  };
+}
+
+// A card-paid sale of 100 with a return of 40 in the given status
+async function createFixture({ returnStatus = 'pending' } = {}) {
+  const admin = await User.create({ name: 'Admin', email: 'admin@example.com', password: 'pass123', role: 'admin' });
+  const supplier = await Supplier.create({ name: 'Supplier A', phone: '123456', createdBy: admin._id });
+  const product = await Product.create({
+    name: 'Jacket',
+    sku: 'JKT-1',
+    supplier: supplier._id,
+    category: 'Outerwear',
+    pricing: { costPrice: 10, sellingPrice: 20 },
+    createdBy: admin._id
+  });
+  const buyer = await Buyer.create({ name: 'Buyer A', phone: '555000', createdBy: admin._id });
+
+  const sale = await Sale.create({
+    saleNumber: 'SAL-0001',
+    buyer: buyer._id,
+    items: [{ product: product._id, quantity: 5, unitPrice: 20, totalPrice: 100 }],
+    subtotal: 100,
+    grandTotal: 100,
+    bankPayment: 100,
+    paymentStatus: 'paid',
+    deliveryStatus: 'delivered',
+    stripePaymentIntentId: 'pi_123',
+    createdBy: admin._id
+  });
+
+  const saleReturn = await SaleReturn.create({
+    sale: sale._id,
+    buyer: buyer._id,
+    items: [{ itemIndex: 0, product: product._id, originalQuantity: 5, returnedQuantity: 2, unitPrice: 20 }],
+    totalReturnValue: 40,
+    status: returnStatus,
+    returnedBy: admin._id
+  });
+
+  return { admin, buyer, sale, saleReturn, token: generateTokenFor(admin) };
+}
+
+describe('PATCH /api/sale-returns/:id/approve with refundToCard', () => {
+  test('approves the return, refunds it to the card and records the payment and ledger debit', async () => {
+    const stripe = createStubStripe();
+    setStripeClient(stripe);
+    const { buyer, saleReturn, token } = await createFixture();
+
+    const res = await request(app)
+      .patch(`/api/sale-returns/${saleReturn._id}/approve`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ refundToCard: true })
+      .expect(200);
+
+    expect(res.body.success).toBe(true);
+    expect(res.body.data.status).toBe('approved');
+    expect(res.body.data.stripeRefund).toMatchObject({ refundId: 're_1', amount: 40, status: 'succeeded', attempts: 1 });
+    expect(stripe.refunds.create).toHaveBeenCalledWith(
+      expect.objectContaining({ payment_intent: 'pi_123', amount: 4000 }),
+      { idempotencyKey: `sale-return-${saleReturn._id}-refund-1` }
+    );
+
+    const payments = await Payment.find({ stripeRefundId: 're_1' }).lean();
+    expect(payments).toHaveLength(1);
+    expect(payments[0]).toMatchObject({ paymentDirection: 'debit', debitReason: 'refund', totalAmount: 40, bankAmount: 40 });
+
+    // The return credits the buyer 40 and the refund debits it back
+    const entries = await Ledger.find({ entityId: buyer._id, referenceModel: 'SaleReturn' }).sort({ createdAt: 1, _id: 1 }).lean();
+    expect(entries.map(entry => [entry.transactionType, entry.debit, entry.credit])).toEqual([
+      ['return', 0, 40],
+      ['adjustment', 40, 0]
+    ]);
+  });
+
+  test('keeps the approval when Stripe rejects the refund, and marks the refund failed', async () => {
+    const stripe = createStubStripe();
+    stripe.refunds.create.mockRejectedValueOnce(Object.assign(new Error('Charge has been disputed'), { type: 'StripeInvalidRequestError' }));
+    setStripeClient(stripe);
+    const { saleReturn, token } = await createFixture();
+
+    const res = await request(app)
+      .patch(`/api/sale-returns/${saleReturn._id}/approve`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ refundToCard: true })
+      .expect(200);
+
+    expect(res.body.message).toBe('Sale return approved, but the card refund failed: Stripe refund failed: Charge has been disputed');
+    expect(res.body.data.status).toBe('approved');
+    expect(res.body.data.stripeRefund).toMatchObject({ status: 'failed', failureReason: 'Charge has been disputed' });
+    expect(await Payment.countDocuments()).toBe(0);
+  });
+});
+
+describe('POST /api/sale-returns/:id/refund', () => {
+  test('refunds part of an approved return and does not refund it twice', async () => {
+    const stripe = createStubStripe();
+    setStripeClient(stripe);
+    const { saleReturn, token } = await createFixture({ returnStatus: 'approved' });
+
+    const res = await request(app)
+      .post(`/api/sale-returns/${saleReturn._id}/refund`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ amount: 15.5 })
+      .expect(200);
+
+    expect(res.body.message).toBe('Refund issued successfully');
+    expect(res.body.data.stripeRefund).toMatchObject({ amount: 15.5, status: 'succeeded' });
+    expect(stripe.refunds.create.mock.calls[0][0].amount).toBe(1550);
+
+    const again = await request(app)
+      .post(`/api/sale-returns/${saleReturn._id}/refund`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({})
+      .expect(200);
+
+    expect(again.body.message).toBe('This return has already been refunded');
+    expect(stripe.refunds.create).toHaveBeenCalledTimes(1);
+    expect(await Payment.countDocuments({ debitReason: 'refund' })).toBe(1);
+  });
+
+  test('leaves the refund requested after a connection error and retries it with the same idempotency key', async () => {
+    const stripe = createStubStripe();
+    stripe.refunds.create.mockRejectedValueOnce(Object.assign(new Error('Connection reset'), { type: 'StripeConnectionError' }));
+    setStripeClient(stripe);
+    const { saleReturn, token } = await createFixture({ returnStatus: 'approved' });
+
+    await request(app)
+      .post(`/api/sale-returns/${saleReturn._id}/refund`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({})
+      .expect(502);
+
+    const pending = await SaleReturn.findById(saleReturn._id).lean();
+    expect(pending.stripeRefund).toMatchObject({ status: 'requested', attempts: 1 });
+
+    const res = await request(app)
+      .post(`/api/sale-returns/${saleReturn._id}/refund`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({})
+      .expect(200);
+
+    expect(res.body.data.stripeRefund).toMatchObject({ refundId: 're_1', status: 'succeeded', attempts: 1 });
+    expect(stripe.refunds.create.mock.calls.map(call => call[1].idempotencyKey)).toEqual([
+      `sale-return-${saleReturn._id}-refund-1`,
+      `sale-return-${saleReturn._id}-refund-1`
+    ]);
+    expect(await Payment.countDocuments({ stripeRefundId: 're_1' })).toBe(1);
+  });
+
+  test('does not refund more than is left of the card payment', async () => {
+    const stripe = createStubStripe();
+    setStripeClient(stripe);
+    const { sale, buyer, admin, saleReturn, token } = await createFixture({ returnStatus: 'approved' });
+    await SaleReturn.create({
+      sale: sale._id,
+      buyer: buyer._id,
+      items: [],
+      totalReturnValue: 80,
+      status: 'approved',
+      returnedBy: admin._id,
+      stripeRefund: { refundId: 're_0', amount: 80, status: 'succeeded' }
+    });
+
+    const res = await request(app)
+      .post(`/api/sale-returns/${saleReturn._id}/refund`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({})
+      .expect(400);
+
+    expect(res.body.message).toBe('Only 20.00 of the card payment is left to refund');
+    expect(stripe.refunds.create).not.toHaveBeenCalled();
+  });
+
+  test('rejects returns that are not approved', async () => {
+    setStripeClient(createStubStripe());
+    const { saleReturn, token } = await createFixture();
+
+    const res = await request(app)
+      .post(`/api/sale-returns/${saleReturn._id}/refund`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({})
+      .expect(400);
+
+    expect(res.body.message).toBe('Only approved returns can be refunded');
+  });
+});
@@ -0,0 +1,149 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const jwt = require('jsonwebtoken');
+
+// Mock external utilities before importing server/routes
+jest.mock('../../utils/imageUpload', () => ({
+  generateSignedUrl: async (url) => url,
+  generateSignedUrls: async (urls) => urls,
+  generateSignedUploadUrl: async () => ({ url: 'http://upload' }),
+  verifyFileExists: async () => true,
+  deleteImage: async () => true,
+  uploadImage: async () => ({ url: 'http://uploaded' })
+}));
+jest.mock('../../utils/qrCode', () => ({
+  generateDispatchOrderQR: async () => ({ dataUrl: 'data:' }),
+  buildDispatchOrderQrPayload: () => ({})
+}));
+jest.mock('../../utils/barcodeGenerator', () => ({
+  generatePacketBarcode: async () => 'BARCODE',
+  generateLooseItemBarcode: async () => 'LOOSE'
+}));
+
+let replSet;
+let app;
+let CostingService;
+let User;
+let Supplier;
+let Product;
+let Buyer;
+let Inventory;
+let Sale;
+
+beforeAll(async () => {
+  // Each bulk sale is created in a transaction, which needs a replica set
+  replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+  process.env.MONGODB_URI = replSet.getUri();
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'testsecret';
+  process.env.NODE_ENV = 'test';
+
+  app = require('../../server');
+  await mongoose.connection.asPromise();
+
+  CostingService = require('../../services/CostingService');
+  User = require('../../models/User');
+  Supplier = require('../../models/Supplier');
+  Product = require('../../models/Product');
+  Buyer = require('../../models/Buyer');
+  Inventory = require('../../models/Inventory');
+  Sale = require('../../models/Sale');
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (replSet) await replSet.stop();
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  const collections = Object.keys(mongoose.connection.collections);
+  for (const coll of collections) {
+    await mongoose.connection.collections[coll].deleteMany({});
+  }
+});
+
+function generateTokenFor(user) {
+  return jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+}
+
+// A product with two purchase batches: 3 at 10 bought first, then 5 at 14
+async function createFixture() {
+  const admin = await User.create({ name: 'Owner', email: 'owner@example.com', password: 'pass123', role: 'super-admin' });
+  const supplier = await Supplier.create({ name: 'Supplier A', phone: '123456', createdBy: admin._id });
+  const product = await Product.create({
+    name: 'Jacket',
+    sku: 'JKT-1',
+    supplier: supplier._id,
+    category: 'Outerwear',
+    pricing: { costPrice: 10, sellingPrice: 30 },
+    createdBy: admin._id
+  });
+  const buyer = await Buyer.create({ name: 'Buyer A', phone: '555000', createdBy: admin._id });
+  await Inventory.create({
+    product: product._id,
+    currentStock: 8,
+    averageCostPrice: 12.5,
+    minStockLevel: 0,
+    maxStockLevel: 50,
+    reorderLevel: 0,
+    purchaseBatches: [
+      { supplierId: supplier._id, purchaseDate: new Date('2024-01-01'), quantity: 3, remainingQuantity: 3, costPrice: 10 },
+      { supplierId: supplier._id, purchaseDate: new Date('2024-02-01'), quantity: 5, remainingQuantity: 5, costPrice: 14 }
+    ]
+  });
+
+  return { product, buyer, token: generateTokenFor(admin) };
+}
+
+const bulkSale = (token, sales) => request(app)
+  .post('/api/sales/bulk')
+  .set('Authorization', `Bearer ${token}`)
+  .send({ sales });
+
+describe('POST /api/sales/bulk', () => {
+  test('costs each line from the oldest batches and reserves its stock', async () => {
+    const { product, buyer, token } = await createFixture();
+
+    const res = await bulkSale(token, [{
+      buyer: String(buyer._id),
+      items: [{ product: String(product._id), quantity: 5, unitPrice: 30 }],
+      cashPayment: 150
+    }]).expect(201);
+    expect(res.body.data).toMatchObject({ successful: 1, failed: 0 });
+
+    const sale = await Sale.findOne().lean();
+    // 3 at 10 and 2 at 14
+    expect(sale.items[0].costSnapshot).toMatchObject({ method: 'fifo', totalCost: 58, unbatchedQuantity: 0 });
+
+    const inventory = await Inventory.findOne({ product: product._id }).lean();
+    expect(inventory.reservedStock).toBe(5);
+    expect(inventory.purchaseBatches.map(batch => batch.remainingQuantity)).toEqual([0, 3]);
+
+    const margin = await CostingService.getGrossMargin({ groupBy: 'sale' });
+    expect(margin.summary).toMatchObject({ revenue: 150, cost: 58, grossMargin: 92 });
+  });
+
+  test('leaves no sale, reservation or batch change behind when a sale fails part way', async () => {
+    const { product, buyer, token } = await createFixture();
+    const takeSaleCost = CostingService.takeSaleCost.bind(CostingService);
+    jest.spyOn(CostingService, 'takeSaleCost')
+      .mockImplementationOnce(takeSaleCost)
+      .mockImplementationOnce(() => { throw new Error('Costing failed'); });
+
+    const res = await bulkSale(token, [{
+      buyer: String(buyer._id),
+      items: [
+        { product: String(product._id), quantity: 2, unitPrice: 30 },
+        { product: String(product._id), quantity: 1, unitPrice: 30 }
+      ],
+      cashPayment: 90
+    }]).expect(201);
+
+    expect(res.body.data).toMatchObject({ successful: 0, failed: 1, errors: ['Sale 1: Costing failed'] });
+    expect(await Sale.countDocuments()).toBe(0);
+    const inventory = await Inventory.findOne({ product: product._id }).lean();
+    expect(inventory.reservedStock).toBe(0);
+    expect(inventory.purchaseBatches.map(batch => batch.remainingQuantity)).toEqual([3, 5]);
+  });
+});
@@ -0,0 +1,170 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const jwt = require('jsonwebtoken');
+
+// Mock external utilities before importing server/routes
+jest.mock('../../utils/imageUpload', () => ({
+  generateSignedUrl: async (url) => url,
+  generateSignedUrls: async (urls) => urls,
+  generateSignedUploadUrl: async () => ({ url: 'http://upload' }),
+  verifyFileExists: async () => true,
+  deleteImage: async () => true,
+  uploadImage: async () => ({ url: 'http://uploaded' })
+}));
+jest.mock('../../utils/qrCode', () => ({
+  generateDispatchOrderQR: async () => ({ dataUrl: 'data:' }),
+  buildDispatchOrderQrPayload: () => ({})
+}));
+jest.mock('../../utils/barcodeGenerator', () => ({
+  generatePacketBarcode: async () => 'BARCODE',
+  generateLooseItemBarcode: async () => 'LOOSE'
+}));
+
+let replSet;
+let app;
+let StockLocationService;
+let User;
+let Supplier;
+let Product;
+let Inventory;
+let StockLocation;
+
+beforeAll(async () => {
+  // Transfers are dispatched and received in a transaction, which needs a replica set
+  replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+  process.env.MONGODB_URI = replSet.getUri();
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'testsecret';
+  process.env.NODE_ENV = 'test';
+
+  app = require('../../server');
+  await mongoose.connection.asPromise();
+
+  StockLocationService = require('../../services/StockLocationService');
+  User = require('../../models/User');
+  Supplier = require('../../models/Supplier');
+  Product = require('../../models/Product');
+  Inventory = require('../../models/Inventory');
+  StockLocation = require('../../models/StockLocation');
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (replSet) await replSet.stop();
+});
+
+afterEach(async () => {
+  const collections = Object.keys(mongoose.connection.collections);
+  for (const coll of collections) {
+    await mongoose.connection.collections[coll].deleteMany({});
+  }
+});
+
+function generateTokenFor(user) {
+  return jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+}
+
+// A product with 10 Red/M at the default warehouse, and a shop
+async function createFixture() {
+  const admin = await User.create({ name: 'Admin', email: 'admin@example.com', password: 'pass123', role: 'admin' });
+  const supplier = await Supplier.create({ name: 'Supplier A', phone: '123456', createdBy: admin._id });
+  const product = await Product.create({
+    name: 'Jacket',
+    sku: 'JKT-1',
+    supplier: supplier._id,
+    category: 'Outerwear',
+    pricing: { costPrice: 10, sellingPrice: 20 },
+    createdBy: admin._id
+  });
+  const inventory = await Inventory.create({
+    product: product._id,
+    currentStock: 10,
+    minStockLevel: 0,
+    maxStockLevel: 50,
+    reorderLevel: 0,
+    variantComposition: [{ size: 'M', color: 'Red', quantity: 10 }]
+  });
+  const warehouse = await StockLocation.create({ code: 'WH', name: 'Warehouse', isDefault: true, createdBy: admin._id });
+  const shop = await StockLocation.create({ code: 'SHOP', name: 'Shop', type: 'shop', createdBy: admin._id });
+
+  return { product, inventory, warehouse, shop, token: generateTokenFor(admin) };
+}
+
+// Move quantity Red/M from the warehouse to the shop through the routes
+async function transferToShop({ product, warehouse, shop, token }, quantity) {
+  const created = await request(app)
+    .post('/api/stock-transfers')
+    .set('Authorization', `Bearer ${token}`)
+    .send({
+      fromLocation: String(warehouse._id),
+      toLocation: String(shop._id),
+      items: [{ product: String(product._id), size: 'M', color: 'Red', quantity }]
+    })
+    .expect(201);
+  const id = created.body.data._id;
+
+  await request(app).patch(`/api/stock-transfers/${id}/dispatch`).set('Authorization', `Bearer ${token}`).expect(200);
+  return id;
+}
+
+const balanceAt = (inventory, location, defaultLocation) => StockLocationService
+  .getAvailableAt(inventory, location._id, defaultLocation._id);
+
+describe('Stock transfers', () => {
+  test('hold stock in transit until received, then at the destination', async () => {
+    const fixture = await createFixture();
+    const { product, warehouse, shop, token } = fixture;
+    const transferId = await transferToShop(fixture, 6);
+
+    let inventory = await Inventory.findOne({ product: product._id }).lean();
+    expect(StockLocationService.getLocationBalances(inventory, warehouse._id).inTransit).toBe(6);
+    expect(balanceAt(inventory, warehouse, warehouse)).toBe(4);
+    expect(balanceAt(inventory, shop, warehouse)).toBe(0);
+
+    await request(app).patch(`/api/stock-transfers/${transferId}/receive`).set('Authorization', `Bearer ${token}`).expect(200);
+
+    inventory = await Inventory.findOne({ product: product._id }).lean();
+    expect(balanceAt(inventory, warehouse, warehouse)).toBe(4);
+    expect(balanceAt(inventory, shop, warehouse)).toBe(6);
+    expect(inventory.currentStock).toBe(10);
+  });
+});
+
+describe('StockLocationService.getLocationBalances', () => {
+  test('never reports more at the locations than is on hand', async () => {
+    const fixture = await createFixture();
+    const { product, warehouse, shop, token } = fixture;
+    const transferId = await transferToShop(fixture, 6);
+    await request(app).patch(`/api/stock-transfers/${transferId}/receive`).set('Authorization', `Bearer ${token}`).expect(200);
+
+    // A sale does not know about locations: 7 out takes the warehouse's 4 and 3 of the shop's 6
+    await Inventory.updateOne({ product: product._id }, { currentStock: 3, 'variantComposition.0.quantity': 3 });
+    const inventory = await Inventory.findOne({ product: product._id }).lean();
+
+    const { locations } = StockLocationService.getLocationBalances(inventory, warehouse._id);
+    expect(locations.reduce((sum, balance) => sum + balance.quantity, 0)).toBe(3);
+    expect(balanceAt(inventory, shop, warehouse)).toBe(3);
+    expect(StockLocationService.getAvailableAt(inventory, shop._id, warehouse._id, { size: 'M', color: 'Red' })).toBe(3);
+    expect(balanceAt(inventory, warehouse, warehouse)).toBe(0);
+
+    const res = await request(app)
+      .get(`/api/reports/stock-in-hand?location=${shop._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    expect(res.body.data.summary.totalStock).toBe(3);
+  });
+});
+
+describe('Location filters', () => {
+  test.each([
+    '/api/inventory?location=not-an-id',
+    '/api/reports/stock-in-hand?location=not-an-id',
+    '/api/packet-stock?location=not-an-id'
+  ])('%s answers 400 for a malformed location id', async (url) => {
+    const { token } = await createFixture();
+
+    const res = await request(app).get(url).set('Authorization', `Bearer ${token}`).expect(400);
+
+    expect(res.body.message).toBe('Invalid stock location ID');
+  });
+});
@@ -0,0 +1,137 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const jwt = require('jsonwebtoken');
+
+// Mock external utilities before importing server/routes
+jest.mock('../../utils/imageUpload', () => ({
+  generateSignedUrl: async (url) => url,
+  generateSignedUrls: async (urls) => urls,
+  generateSignedUploadUrl: async () => ({ url: 'http://upload' }),
+  verifyFileExists: async () => true,
+  deleteImage: async () => true,
+  uploadImage: async () => ({ url: 'http://uploaded' })
+}));
+jest.mock('../../utils/qrCode', () => ({
+  generateDispatchOrderQR: async () => ({ dataUrl: 'data:' }),
+  buildDispatchOrderQrPayload: () => ({})
+}));
+jest.mock('../../utils/barcodeGenerator', () => ({
+  generatePacketBarcode: async () => 'BARCODE',
+  generateLooseItemBarcode: async () => 'LOOSE'
+}));
+
+let replSet;
+let app;
+let User;
+let Supplier;
+let Product;
+let Inventory;
+let StockTake;
+
+beforeAll(async () => {
+  // Variances are posted in a transaction, which needs a replica set
+  replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+  process.env.MONGODB_URI = replSet.getUri();
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'testsecret';
+  process.env.NODE_ENV = 'test';
+
+  app = require('../../server');
+  await mongoose.connection.asPromise();
+
+  User = require('../../models/User');
+  Supplier = require('../../models/Supplier');
+  Product = require('../../models/Product');
+  Inventory = require('../../models/Inventory');
+  StockTake = require('../../models/StockTake');
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (replSet) await replSet.stop();
+});
+
+afterEach(async () => {
+  const collections = Object.keys(mongoose.connection.collections);
+  for (const coll of collections) {
+    await mongoose.connection.collections[coll].deleteMany({});
+  }
+});
+
+function generateTokenFor(user) {
+  return jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+}
+
+// A product with 10 Red/M, and an open stock take of it (expected 10)
+async function createFixture() {
+  const admin = await User.create({ name: 'Admin', email: 'admin@example.com', password: 'pass123', role: 'admin' });
+  const supplier = await Supplier.create({ name: 'Supplier A', phone: '123456', createdBy: admin._id });
+  const product = await Product.create({
+    name: 'Jacket',
+    sku: 'JKT-1',
+    supplier: supplier._id,
+    category: 'Outerwear',
+    pricing: { costPrice: 10, sellingPrice: 20 },
+    createdBy: admin._id
+  });
+  await Inventory.create({
+    product: product._id,
+    currentStock: 10,
+    minStockLevel: 0,
+    maxStockLevel: 50,
+    reorderLevel: 0,
+    variantComposition: [{ size: 'M', color: 'Red', quantity: 10 }]
+  });
+  const token = generateTokenFor(admin);
+
+  const opened = await request(app)
+    .post('/api/stock-takes')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ products: [String(product._id)] })
+    .expect(201);
+
+  return { product, token, stockTake: opened.body.data };
+}
+
+const patch = (token, stockTake, action, body = {}) => request(app)
+  .patch(`/api/stock-takes/${stockTake._id}/${action}`)
+  .set('Authorization', `Bearer ${token}`)
+  .send(body);
+
+describe('Stock takes', () => {
+  test('post the approved variance as a delta, keeping sales made during the count', async () => {
+    const { product, token, stockTake } = await createFixture();
+    const line = stockTake.lines[0];
+    expect(line).toMatchObject({ type: 'variant', size: 'M', color: 'Red', expectedQuantity: 10 });
+
+    await patch(token, stockTake, 'count', { counts: [{ lineId: line._id, quantity: 8 }] }).expect(200);
+    // One unit is sold while the count is running
+    await Inventory.updateOne({ product: product._id }, { currentStock: 9, 'variantComposition.0.quantity': 9 });
+
+    await patch(token, stockTake, 'submit').expect(200);
+    await patch(token, stockTake, 'review', { approveAll: true }).expect(200);
+    await patch(token, stockTake, 'post').expect(200);
+
+    const inventory = await Inventory.findOne({ product: product._id }).lean();
+    expect(inventory.currentStock).toBe(7);
+    expect(inventory.variantComposition[0].quantity).toBe(7);
+    expect(inventory.stockMovements.at(-1)).toMatchObject({ type: 'adjustment', quantity: -2, reference: 'StockTake' });
+    expect((await StockTake.findById(stockTake._id).lean()).status).toBe('posted');
+  });
+
+  test('are not posted while a variance awaits review, and rejected variances change nothing', async () => {
+    const { product, token, stockTake } = await createFixture();
+    const line = stockTake.lines[0];
+
+    await patch(token, stockTake, 'count', { counts: [{ lineId: line._id, quantity: 12 }] }).expect(200);
+    await patch(token, stockTake, 'submit').expect(200);
+
+    const res = await patch(token, stockTake, 'post').expect(400);
+    expect(res.body.message).toBe('Approve or reject every counted variance before posting');
+
+    await patch(token, stockTake, 'review', { reject: [line._id] }).expect(200);
+    await patch(token, stockTake, 'post').expect(200);
+
+    expect((await Inventory.findOne({ product: product._id }).lean()).currentStock).toBe(10);
+  });
+});
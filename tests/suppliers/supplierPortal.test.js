@@ -0,0 +1,156 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const jwt = require('jsonwebtoken');
+
+// Mock external utilities before importing server/routes
+jest.mock('../../utils/imageUpload', () => ({
+  generateSignedUrl: async (url) => url,
+  generateSignedUrls: async (urls) => urls,
+  generateSignedUploadUrl: async () => ({ url: 'http://upload' }),
+  verifyFileExists: async () => true,
+  deleteImage: async () => true,
+  uploadImage: async () => ({ url: 'http://uploaded' })
+}));
+jest.mock('../../utils/qrCode', () => ({
+  generateDispatchOrderQR: async () => ({ dataUrl: 'data:' }),
+  buildDispatchOrderQrPayload: () => ({})
+}));
+jest.mock('../../utils/barcodeGenerator', () => ({
+  generatePacketBarcode: async () => 'BARCODE',
+  generateLooseItemBarcode: async () => 'LOOSE'
+}));
+
+let mongod;
+let app;
+let User;
+let Supplier;
+let Buyer;
+let Sale;
+
+beforeAll(async () => {
+  mongod = await MongoMemoryServer.create();
+  process.env.MONGODB_URI = mongod.getUri();
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'testsecret';
+  process.env.NODE_ENV = 'test';
+
+  app = require('../../server');
+  await mongoose.connection.asPromise();
+
+  User = require('../../models/User');
+  Supplier = require('../../models/Supplier');
+  Buyer = require('../../models/Buyer');
+  Sale = require('../../models/Sale');
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongod) await mongod.stop();
+});
+
+afterEach(async () => {
+  const collections = Object.keys(mongoose.connection.collections);
+  for (const coll of collections) {
+    await mongoose.connection.collections[coll].deleteMany({});
+  }
+});
+
+function generateTokenFor(user) {
+  return jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+}
+
+// Two suppliers, one of them linked to a supplier-portal user
+async function createFixture() {
+  const admin = await User.create({ name: 'Admin', email: 'admin@example.com', password: 'pass123', role: 'admin' });
+  const own = await Supplier.create({ name: 'Supplier A', phone: '123456', createdBy: admin._id });
+  const other = await Supplier.create({ name: 'Supplier B', phone: '654321', createdBy: admin._id });
+  const supplierUser = await User.create({
+    name: 'Portal Supplier',
+    email: 'supplier@example.com',
+    password: 'pass123',
+    role: 'supplier',
+    supplier: own._id
+  });
+
+  return { admin, own, other, token: generateTokenFor(supplierUser) };
+}
+
+describe('Supplier-portal users on /api/suppliers', () => {
+  test('only list and read their own supplier', async () => {
+    const { own, other, token } = await createFixture();
+
+    const list = await request(app).get('/api/suppliers').set('Authorization', `Bearer ${token}`).expect(200);
+    expect(list.body.data.map(supplier => supplier._id)).toEqual([String(own._id)]);
+
+    await request(app).get(`/api/suppliers/${own._id}`).set('Authorization', `Bearer ${token}`).expect(200);
+    const res = await request(app).get(`/api/suppliers/${other._id}`).set('Authorization', `Bearer ${token}`).expect(403);
+    expect(res.body.message).toBe('You can only access your own supplier profile');
+  });
+
+  test('cannot edit or deactivate another supplier', async () => {
+    const { own, other, token } = await createFixture();
+
+    await request(app)
+      .put(`/api/suppliers/${other._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Taken over' })
+      .expect(403);
+    await request(app).delete(`/api/suppliers/${other._id}`).set('Authorization', `Bearer ${token}`).expect(403);
+    await request(app).delete(`/api/suppliers/${own._id}`).set('Authorization', `Bearer ${token}`).expect(403);
+
+    const stored = await Supplier.findById(other._id).lean();
+    expect(stored).toMatchObject({ name: 'Supplier B', isActive: true });
+
+    const updated = await request(app)
+      .put(`/api/suppliers/${own._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ company: 'Supplier A Ltd' })
+      .expect(200);
+    expect(updated.body.data.company).toBe('Supplier A Ltd');
+  });
+
+  test('create a profile only while they have none', async () => {
+    const { token } = await createFixture();
+
+    const res = await request(app)
+      .post('/api/suppliers')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Second profile', phone: '999999' })
+      .expect(403);
+
+    expect(res.body.message).toBe('Your account already has a supplier profile');
+    expect(await Supplier.countDocuments()).toBe(2);
+  });
+});
+
+describe('Distributor users on POST /api/sales', () => {
+  test('cannot place a sale for another buyer or a manual customer', async () => {
+    const { admin } = await createFixture();
+    const buyer = await Buyer.create({ name: 'Buyer A', phone: '555000', createdBy: admin._id });
+    const otherBuyer = await Buyer.create({ name: 'Buyer B', phone: '555001', createdBy: admin._id });
+    const distributor = await User.create({
+      name: 'Distributor',
+      email: 'distributor@example.com',
+      password: 'pass123',
+      role: 'distributor',
+      buyer: buyer._id
+    });
+    const token = generateTokenFor(distributor);
+    const items = [{ product: String(new mongoose.Types.ObjectId()), quantity: 1, unitPrice: 10 }];
+
+    const res = await request(app)
+      .post('/api/sales')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ buyer: String(otherBuyer._id), items })
+      .expect(403);
+    expect(res.body.message).toBe('You can only place sales for your own account');
+
+    await request(app)
+      .post('/api/sales')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ manualCustomer: { name: 'Walk-in' }, items })
+      .expect(403);
+
+    expect(await Sale.countDocuments()).toBe(0);
+  });
+});
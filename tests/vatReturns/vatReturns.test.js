@@ -0,0 +1,195 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const jwt = require('jsonwebtoken');
+
+// Mock external utilities before importing server/routes
+jest.mock('../../utils/imageUpload', () => ({
+  generateSignedUrl: async (url) => url,
+  generateSignedUrls: async (urls) => urls,
+  generateSignedUploadUrl: async () => ({ url: 'http://upload' }),
+  verifyFileExists: async () => true,
+  deleteImage: async () => true,
+  uploadImage: async () => ({ url: 'http://uploaded' })
+}));
+jest.mock('../../utils/qrCode', () => ({
+  generateDispatchOrderQR: async () => ({ dataUrl: 'data:' }),
+  buildDispatchOrderQrPayload: () => ({})
+}));
+jest.mock('../../utils/barcodeGenerator', () => ({
+  generatePacketBarcode: async () => 'BARCODE',
+  generateLooseItemBarcode: async () => 'LOOSE'
+}));
+
+let mongod;
+let app;
+let User;
+let Supplier;
+let Buyer;
+let Sale;
+let SaleReturn;
+let DispatchOrder;
+let Expense;
+
+beforeAll(async () => {
+  mongod = await MongoMemoryServer.create();
+  process.env.MONGODB_URI = mongod.getUri();
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'testsecret';
+  process.env.NODE_ENV = 'test';
+
+  app = require('../../server');
+  await mongoose.connection.asPromise();
+
+  User = require('../../models/User');
+  Supplier = require('../../models/Supplier');
+  Buyer = require('../../models/Buyer');
+  Sale = require('../../models/Sale');
+  SaleReturn = require('../../models/SaleReturn');
+  DispatchOrder = require('../../models/DispatchOrder');
+  Expense = require('../../models/Expense');
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongod) await mongod.stop();
+});
+
+afterEach(async () => {
+  const collections = Object.keys(mongoose.connection.collections);
+  for (const coll of collections) {
+    await mongoose.connection.collections[coll].deleteMany({});
+  }
+});
+
+function generateTokenFor(user) {
+  return jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+}
+
+// 2024-Q2: a sale of 100 + 20 VAT, half of it returned, a dispatch order of 50 + 10 VAT
+// and an expense of 100 + 20 VAT
+async function createFixture() {
+  const admin = await User.create({ name: 'Owner', email: 'owner@example.com', password: 'pass123', role: 'super-admin' });
+  const buyer = await Buyer.create({ name: 'Buyer A', phone: '555000', createdBy: admin._id });
+  const supplier = await Supplier.create({ name: 'Supplier A', phone: '123456', createdBy: admin._id });
+
+  const createSale = (saleNumber, saleDate, data = {}) => Sale.create({
+    saleNumber,
+    saleDate,
+    buyer: buyer._id,
+    items: [{ product: new mongoose.Types.ObjectId(), quantity: 1, unitPrice: 100, totalPrice: 100 }],
+    subtotal: 100,
+    totalTax: 20,
+    grandTotal: 120,
+    createdBy: admin._id,
+    ...data
+  });
+
+  const sale = await createSale('SAL-0001', new Date(2024, 4, 10));
+  await SaleReturn.create({
+    sale: sale._id,
+    buyer: buyer._id,
+    items: [{ itemIndex: 0, product: sale.items[0].product, originalQuantity: 1, returnedQuantity: 1, unitPrice: 50 }],
+    totalReturnValue: 50,
+    status: 'approved',
+    returnedAt: new Date(2024, 4, 20),
+    returnedBy: admin._id
+  });
+  await DispatchOrder.create({
+    supplier: supplier._id,
+    createdBy: admin._id,
+    status: 'confirmed',
+    dispatchDate: new Date(2024, 4, 5),
+    totalTax: 10,
+    grandTotal: 60,
+    items: [{ productName: 'Jacket', productCode: 'JKT-1', season: ['all_season'], costPrice: 10, quantity: 5 }]
+  });
+  await Expense.create({
+    expenseNumber: 'EXP-0001',
+    description: 'Warehouse rent',
+    costType: new mongoose.Types.ObjectId(),
+    amount: 100,
+    taxAmount: 20,
+    paymentMethod: 'cash',
+    status: 'approved',
+    expenseDate: new Date(2024, 5, 1),
+    createdBy: admin._id
+  });
+
+  return { createSale, token: generateTokenFor(admin) };
+}
+
+const getReturn = (token, period) => request(app)
+  .get(`/api/vat-returns/${period}`)
+  .set('Authorization', `Bearer ${token}`)
+  .expect(200);
+
+const closeReturn = (token, period) => request(app)
+  .post(`/api/vat-returns/${period}/close`)
+  .set('Authorization', `Bearer ${token}`)
+  .send({ reference: 'HMRC-123' });
+
+describe('GET /api/vat-returns/:period', () => {
+  test('nets sale returns off output VAT and leaves out unpaid and cancelled sales', async () => {
+    const { createSale, token } = await createFixture();
+    await createSale('SAL-0002', new Date(2024, 4, 11), { deliveryStatus: 'cancelled' });
+    await createSale('SAL-0003', new Date(2024, 4, 12), { paymentStatus: 'awaiting_payment' });
+    await createSale('SAL-0004', new Date(2024, 6, 1));
+
+    const res = await getReturn(token, '2024-Q2');
+
+    expect(res.body.data).toMatchObject({
+      status: 'open',
+      boxes: { box1: 10, box3: 10, box4: 30, box5: -20, box6: 50, box7: 150 },
+      documentCounts: { sale: 1, sale_return: 1, dispatch_order: 1, expense: 1 },
+      netPayable: -20
+    });
+  });
+
+  test('refuses a malformed period', async () => {
+    const { token } = await createFixture();
+
+    const res = await request(app)
+      .get('/api/vat-returns/2024-05')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(400);
+
+    expect(res.body.message).toBe('period must be in YYYY-Qn format, e.g. 2026-Q1');
+  });
+});
+
+describe('POST /api/vat-returns/:period/close', () => {
+  test('keeps the figures as filed and closes a quarter only once', async () => {
+    const { token } = await createFixture();
+
+    const closed = await closeReturn(token, '2024-Q2').expect(200);
+    expect(closed.body.data).toMatchObject({ status: 'closed', reference: 'HMRC-123', boxes: { box1: 10, box5: -20 } });
+
+    const again = await closeReturn(token, '2024-Q2').expect(400);
+    expect(again.body.message).toBe('VAT return 2024-Q2 is already closed');
+
+    // A document slipped into the quarter afterwards shows in the live figures only
+    await Expense.create({
+      expenseNumber: 'EXP-0002',
+      description: 'Late invoice',
+      costType: new mongoose.Types.ObjectId(),
+      amount: 50,
+      taxAmount: 10,
+      paymentMethod: 'cash',
+      status: 'approved',
+      expenseDate: new Date(2024, 5, 2),
+      createdBy: new mongoose.Types.ObjectId()
+    });
+
+    const res = await getReturn(token, '2024-Q2');
+    expect(res.body.data).toMatchObject({ status: 'closed', boxes: { box4: 40 }, filed: { boxes: { box4: 30 } } });
+  });
+
+  test('refuses a quarter that has not ended', async () => {
+    const { token } = await createFixture();
+    const year = new Date().getFullYear();
+
+    const res = await closeReturn(token, `${year + 1}-Q1`).expect(400);
+
+    expect(res.body.message).toBe('Only quarters that have ended can be closed');
+  });
+});
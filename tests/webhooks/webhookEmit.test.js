@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+// Mock external utilities before importing server/routes
+jest.mock('../../utils/imageUpload', () => ({
+  generateSignedUrl: async (url) => url,
+  generateSignedUrls: async (urls) => urls,
+  generateSignedUploadUrl: async () => ({ url: 'http://upload' }),
+  verifyFileExists: async () => true,
+  deleteImage: async () => true,
+  uploadImage: async () => ({ url: 'http://uploaded' })
+}));
+jest.mock('../../utils/qrCode', () => ({
+  generateDispatchOrderQR: async () => ({ dataUrl: 'data:' }),
+  buildDispatchOrderQrPayload: () => ({})
+}));
+jest.mock('../../utils/barcodeGenerator', () => ({
+  generatePacketBarcode: async () => 'BARCODE',
+  generateLooseItemBarcode: async () => 'LOOSE'
+}));
+
+let replSet;
+let WebhookService;
+let User;
+let Buyer;
+let WebhookDelivery;
+
+beforeAll(async () => {
+  // Events are raised inside the callers' transactions, which need a replica set
+  replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+  process.env.MONGODB_URI = replSet.getUri();
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'testsecret';
+  process.env.NODE_ENV = 'test';
+
+  require('../../server');
+  await mongoose.connection.asPromise();
+
+  WebhookService = require('../../services/WebhookService');
+  User = require('../../models/User');
+  Buyer = require('../../models/Buyer');
+  WebhookDelivery = require('../../models/WebhookDelivery');
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (replSet) await replSet.stop();
+});
+
+beforeEach(() => {
+  // Nothing is sent to the subscription URL
+  jest.spyOn(WebhookService, 'deliverMany').mockResolvedValue([]);
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  const collections = Object.keys(mongoose.connection.collections);
+  for (const coll of collections) {
+    await mongoose.connection.collections[coll].deleteMany({});
+  }
+});
+
+async function createFixture() {
+  const admin = await User.create({ name: 'Admin', email: 'admin@example.com', password: 'pass123', role: 'admin' });
+  await WebhookService.createSubscription({ name: 'ERP hook', url: 'http://localhost:9/hook', events: ['*'] }, admin._id);
+  return { admin };
+}
+
+// Run work in a transaction the way the routes do, committing unless it throws
+async function inTransaction(work) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    await work(session);
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+}
+
+// Deliveries are queued after the session ends, without the caller waiting for them
+async function deliveryCountSettled() {
+  let count = -1;
+  for (let attempt = 0; attempt < 20; attempt++) {
+    const next = await WebhookDelivery.countDocuments();
+    if (next === count) break;
+    count = next;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  return count;
+}
+
+describe('WebhookService.emit inside a transaction', () => {
+  test('queues the event only once the transaction has committed', async () => {
+    const { admin } = await createFixture();
+
+    await inTransaction(async (session) => {
+      await Buyer.create([{ name: 'Buyer A', phone: '555000', createdBy: admin._id }], { session });
+      await WebhookService.emit('sale.created', { saleNumber: 'SAL-0001' }, { session });
+      expect(await WebhookDelivery.countDocuments()).toBe(0);
+    });
+
+    expect(await deliveryCountSettled()).toBe(1);
+    const delivery = await WebhookDelivery.findOne().lean();
+    expect(delivery.payload).toMatchObject({ event: 'sale.created', data: { saleNumber: 'SAL-0001' } });
+  });
+
+  test('sends nothing for a rolled-back change', async () => {
+    const { admin } = await createFixture();
+
+    await expect(inTransaction(async (session) => {
+      await Buyer.create([{ name: 'Buyer A', phone: '555000', createdBy: admin._id }], { session });
+      await WebhookService.emit('sale.created', { saleNumber: 'SAL-0001' }, { session });
+      throw new Error('Sale failed');
+    })).rejects.toThrow('Sale failed');
+
+    expect(await deliveryCountSettled()).toBe(0);
+    expect(await Buyer.countDocuments()).toBe(0);
+  });
+
+  test('never aborts the caller when queueing fails', async () => {
+    const { admin } = await createFixture();
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(WebhookDelivery, 'insertMany').mockRejectedValue(new Error('Write conflict'));
+
+    await inTransaction(async (session) => {
+      await Buyer.create([{ name: 'Buyer A', phone: '555000', createdBy: admin._id }], { session });
+      await WebhookService.emit('sale.created', { saleNumber: 'SAL-0001' }, { session });
+    });
+
+    expect(await Buyer.countDocuments()).toBe(1);
+    expect(await WebhookService.emit('sale.paid', { saleNumber: 'SAL-0001' })).toEqual([]);
+    expect(error).toHaveBeenCalledWith('[Webhooks] Failed to queue sale.paid:', 'Write conflict');
+  });
+});
@@ -0,0 +1,243 @@
+const mongoose = require('mongoose');
+const Inventory = require('../models/Inventory');
+const PacketStock = require('../models/PacketStock');
+const CostingService = require('../services/CostingService');
+
+// Stock held for online orders (checkout): reserved when the order is placed, taken
+// out of stock once it is paid (card) or delivered (cash on delivery), released otherwise.
+// Packet lines count packets; variant lines count items.
+
+/**
+ * Reserve stock for checkout
+ * Creates temporary reservation without deducting
+ */
+async function reserveStock(items, saleId, userId) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    for (const item of items) {
+      if (item.inventoryType === 'packet' && item.packetBarcode) {
+        // Reserve packet stock
+        const packetStock = await PacketStock.findOne({ 
+          barcode: item.packetBarcode,
+          isActive: true 
+        }).session(session);
+
+        if (!packetStock) {
+          throw new Error(`Packet not found: ${item.packetBarcode}`);
+        }
+
+        const availableStock = packetStock.availablePackets - packetStock.reservedPackets;
+        if (availableStock < item.quantity) {
+          throw new Error(`Insufficient stock for ${item.name}. Available: ${availableStock}`);
+        }
+
+        packetStock.reservedPackets += item.quantity;
+        await packetStock.save({ session });
+      } else if (item.variant) {
+        // Reserve variant stock
+        const inventory = await Inventory.findOne({ 
+          product: item.productId 
+        }).session(session);
+
+        if (!inventory) {
+          throw new Error(`Inventory not found for product: ${item.productId}`);
+        }
+
+        const availableStock = inventory.getVariantAvailableStock(
+          item.variant.size, 
+          item.variant.color
+        );
+
+        if (availableStock < item.quantity) {
+          throw new Error(`Insufficient stock for ${item.name} (${item.variant.color}/${item.variant.size}). Available: ${availableStock}`);
+        }
+
+        // Reserve in variant composition (only if variantComposition exists)
+        if (inventory.variantComposition && inventory.variantComposition.length > 0) {
+          const variantIdx = inventory.variantComposition.findIndex(
+            v => v.size === item.variant.size && v.color === item.variant.color
+          );
+          if (variantIdx >= 0) {
+            inventory.variantComposition[variantIdx].reservedQuantity = (inventory.variantComposition[variantIdx].reservedQuantity || 0) + item.quantity;
+          }
+        }
+        inventory.reservedStock = (inventory.reservedStock || 0) + item.quantity;
+        await inventory.save({ session });
+      }
+    }
+
+    await session.commitTransaction();
+    session.endSession();
+    return { success: true };
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Release reserved stock (on payment failure/cancellation)
+ */
+async function releaseReservedStock(sale) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    for (const item of sale.items) {
+      if (item.isPacketSale && item.packetBarcode) {
+        const packetStock = await PacketStock.findOne({ 
+          barcode: item.packetBarcode 
+        }).session(session);
+
+        if (packetStock) {
+          packetStock.reservedPackets = Math.max(0, packetStock.reservedPackets - item.quantity);
+          await packetStock.save({ session });
+        }
+      } else if (item.variant) {
+        const inventory = await Inventory.findOne({ 
+          product: item.product 
+        }).session(session);
+
+        if (inventory) {
+          // Release variant composition reservation (only if variantComposition exists)
+          if (inventory.variantComposition && inventory.variantComposition.length > 0) {
+            const variantIdx = inventory.variantComposition.findIndex(
+              v => v.size === item.variant.size && v.color === item.variant.color
+            );
+            if (variantIdx >= 0) {
+              inventory.variantComposition[variantIdx].reservedQuantity = Math.max(
+                0, 
+                (inventory.variantComposition[variantIdx].reservedQuantity || 0) - item.quantity
+              );
+            }
+          }
+          inventory.reservedStock = Math.max(0, (inventory.reservedStock || 0) - item.quantity);
+          // Units already taken out of the purchase batches for this line go back (saved with the sale by the caller)
+          CostingService.reverseSaleCost(
+            inventory,
+            item,
+            item.quantity - (item.costSnapshot?.returnedQuantity || 0),
+            `Cancelled Sale: ${sale.saleNumber}`
+          );
+          await inventory.save({ session });
+        }
+      }
+    }
+
+    await session.commitTransaction();
+    session.endSession();
+    return { success: true };
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    console.error('Error releasing reserved stock:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Confirm stock deduction (convert reservation to actual deduction)
+ * Runs in the caller's session when one is given; the caller then commits or aborts it.
+ */
+async function confirmStockDeduction(sale, userId, callerSession = null) {
+  const costingMethod = await CostingService.getCostingMethod();
+  const session = callerSession || await mongoose.startSession();
+  if (!callerSession) session.startTransaction();
+
+  try {
+    for (const item of sale.items) {
+      if (item.isPacketSale && item.packetBarcode) {
+        // Packet orders leave the product inventory untouched here, so cost them without taking batch units
+        const packetInventory = await Inventory.findOne({ product: item.product }).session(session);
+        if (packetInventory && !item.costSnapshot) {
+          item.costSnapshot = CostingService.takeSaleCost(
+            packetInventory,
+            item.quantity * (item.totalItemsPerPacket || 1),
+            costingMethod,
+            { consume: false }
+          );
+        }
+
+        const packetStock = await PacketStock.findOne({ 
+          barcode: item.packetBarcode 
+        }).session(session);
+
+        if (packetStock) {
+          // Convert reservation to sold
+          packetStock.reservedPackets = Math.max(0, packetStock.reservedPackets - item.quantity);
+          packetStock.availablePackets = Math.max(0, packetStock.availablePackets - item.quantity);
+          packetStock.soldPackets += item.quantity;
+          await packetStock.save({ session });
+        }
+      } else if (item.variant) {
+        const inventory = await Inventory.findOne({ 
+          product: item.product 
+        }).session(session);
+
+        if (inventory) {
+          // Convert reservation to actual deduction (only if variantComposition exists)
+          if (inventory.variantComposition && inventory.variantComposition.length > 0) {
+            const variantIdx = inventory.variantComposition.findIndex(
+              v => v.size === item.variant.size && v.color === item.variant.color
+            );
+            
+            if (variantIdx >= 0) {
+              inventory.variantComposition[variantIdx].reservedQuantity = Math.max(
+                0, 
+                (inventory.variantComposition[variantIdx].reservedQuantity || 0) - item.quantity
+              );
+              inventory.variantComposition[variantIdx].quantity = Math.max(
+                0,
+                (inventory.variantComposition[variantIdx].quantity || 0) - item.quantity
+              );
+            }
+          }
+          
+          if (!item.costSnapshot) {
+            item.costSnapshot = CostingService.takeSaleCost(inventory, item.quantity, costingMethod);
+          }
+
+          inventory.reservedStock = Math.max(0, (inventory.reservedStock || 0) - item.quantity);
+          inventory.currentStock = Math.max(0, (inventory.currentStock || 0) - item.quantity);
+          
+          inventory.stockMovements.push({
+            type: 'out',
+            quantity: item.quantity,
+            reference: 'Sale',
+            referenceId: sale._id,
+            user: userId,
+            notes: `Online order: ${sale.saleNumber}`,
+            date: new Date()
+          });
+          
+          inventory.lastStockUpdate = new Date();
+          await inventory.save({ session });
+        }
+      }
+    }
+
+    await sale.save({ session });
+
+    if (!callerSession) {
+      await session.commitTransaction();
+      session.endSession();
+    }
+    return { success: true };
+  } catch (error) {
+    if (!callerSession) {
+      await session.abortTransaction();
+      session.endSession();
+    }
+    console.error('Error confirming stock deduction:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  reserveStock,
+  releaseReservedStock,
+  confirmStockDeduction
+};
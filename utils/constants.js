@@ -29,7 +29,30 @@ const PERMISSIONS = {
   COST_CONFIG: 'cost_config',
   CAMPAIGNS: 'campaigns',
   APPROVALS: 'approvals',
-  SETUP: 'setup'
+  SETUP: 'setup',
+  SETTINGS: 'settings'
+};
+
+const PERMISSION_VALUES = Object.values(PERMISSIONS);
+
+// Permissions each role gets out of the box. Super-admins can change these
+// through /api/role-permissions; super-admin itself always has everything.
+const DEFAULT_ROLE_PERMISSIONS = {
+  'admin': PERMISSION_VALUES,
+  'employee': [
+    'dashboard', 'products', 'buyers', 'suppliers', 'sales', 'selling', 'purchases', 'buying',
+    'inventory', 'stock', 'dispatch_orders', 'expenses', 'reports', 'delivery', 'logistics', 'campaigns'
+  ],
+  'accountant': [
+    'dashboard', 'buyers', 'suppliers', 'sales', 'purchases', 'expenses', 'reports',
+    'buyer_ledger', 'supplier_ledger', 'logistics', 'cost_config'
+  ],
+  'viewer': ['dashboard', 'reports'],
+  // Portal roles: the supplier portal creates dispatch orders and its own
+  // supplier profile, the distributor portal places sales from the catalogue
+  'supplier': ['dispatch_orders', 'suppliers', 'products'],
+  'distributor': ['sales', 'products'],
+  'buyer': ['sales', 'products']
 };
 
 const PAYMENT_TERMS = {
@@ -170,6 +193,29 @@ const MESSAGES = {
   }
 };
 
+// Business events that webhook subscriptions can receive
+const WEBHOOK_EVENTS = [
+  'sale.created',
+  'sale.paid',
+  'dispatch_order.status_changed',
+  'edit_request.approved',
+  'stock.below_reorder_level',
+  'payment.reversed'
+];
+
+// Rolling date ranges a saved report can use instead of fixed startDate/endDate filters
+const REPORT_PERIODS = [
+  'today',
+  'yesterday',
+  'last-7-days',
+  'last-30-days',
+  'this-month',
+  'last-month',
+  'this-quarter',
+  'this-year',
+  'last-year'
+];
+
 // Pagination defaults
 const PAGINATION = {
   DEFAULT_PAGE: 1,
@@ -200,6 +246,8 @@ const REGEX = {
 module.exports = {
   USER_ROLES,
   PERMISSIONS,
+  PERMISSION_VALUES,
+  DEFAULT_ROLE_PERMISSIONS,
   PAYMENT_TERMS,
   PAYMENT_METHODS,
   PRODUCT_UNITS,
@@ -213,6 +261,8 @@ module.exports = {
   EXPENSE_FREQUENCIES,
   DEFAULT_COST_TYPES,
   MESSAGES,
+  WEBHOOK_EVENTS,
+  REPORT_PERIODS,
   PAGINATION,
   DATE_FORMATS,
   REGEX
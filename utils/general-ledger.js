@@ -0,0 +1,27 @@
+const GeneralLedgerService = require('../services/GeneralLedgerService');
+
+/**
+ * Generate, update and remove general ledger journal entries so that they
+ * follow the sub-ledgers, sales, returns and expenses.
+ */
+async function syncGeneralLedger() {
+  try {
+    const { created, updated, removed } = await GeneralLedgerService.syncJournals();
+    if (created > 0 || updated > 0 || removed > 0) {
+      console.log(`[General Ledger] ${created} journal(s) created, ${updated} updated, ${removed} removed`);
+    }
+  } catch (error) {
+    console.error('[General Ledger] Error:', error.message);
+  }
+}
+
+const SYNC_INTERVAL_MS = (parseInt(process.env.GENERAL_LEDGER_SYNC_MINUTES, 10) || 15) * 60 * 1000;
+
+function startGeneralLedgerSync() {
+  // Run once on startup after a short delay
+  setTimeout(syncGeneralLedger, 60000);
+  // Then run periodically
+  setInterval(syncGeneralLedger, SYNC_INTERVAL_MS);
+}
+
+module.exports = { startGeneralLedgerSync, syncGeneralLedger };
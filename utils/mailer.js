@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Pluggable mail delivery.
+ *
+ * MAIL_TRANSPORT selects the transport:
+ *   - smtp:    nodemailer over SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS (SMTP_SECURE=true for TLS)
+ *   - file:    writes each message as JSON into MAIL_FILE_DIR (default tmp/mail), for local testing
+ *   - console: logs the recipient and subject only (default outside production)
+ *
+ * In production MAIL_TRANSPORT must be set; without it sending fails rather
+ * than falling back to the console. The console transport never logs the
+ * message body, which can carry reset links and other secrets.
+ *
+ * setTransport() replaces the transport at runtime, e.g. in tests.
+ * A transport is any object with an async send(message) method.
+ */
+
+const DEFAULT_FROM = 'KI Fashion <no-reply@kifashion.local>';
+
+const consoleTransport = {
+  name: 'console',
+  async send(message) {
+    console.log(`[Mailer] To: ${message.to} | Subject: ${message.subject} (body not logged)`);
+    return { messageId: `console-${Date.now()}` };
+  }
+};
+
+const createFileTransport = (dir) => ({
+  name: 'file',
+  async send(message) {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const filePath = path.join(dir, `${messageId}.json`);
+    await fs.promises.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+    return { messageId, filePath };
+  }
+});
+
+const createSmtpTransport = () => {
+  // Required lazily so the console/file transports work without SMTP configured
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+const createTransport = (type = process.env.MAIL_TRANSPORT) => {
+  if (!type) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('MAIL_TRANSPORT must be set in production');
+    }
+    type = 'console';
+  }
+
+  switch (type) {
+    case 'smtp':
+      if (!process.env.SMTP_HOST) {
+        throw new Error('MAIL_TRANSPORT=smtp requires SMTP_HOST');
+      }
+      return createSmtpTransport();
+    case 'file':
+      return createFileTransport(process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'tmp', 'mail'));
+    case 'console':
+      return consoleTransport;
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT: ${type}`);
+  }
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+};
+
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+/**
+ * Escape a value for interpolation into an HTML email body
+ * @param {*} value
+ * @returns {string}
+ */
+const escapeHtml = (value) => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} Transport result ({ messageId, ... })
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  if (!to) {
+    throw new Error('Email recipient is required');
+  }
+
+  return getTransport().send({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = { sendMail, setTransport, createTransport, escapeHtml };
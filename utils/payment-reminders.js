@@ -0,0 +1,33 @@
+const CreditControlService = require('../services/CreditControlService');
+
+/**
+ * Email reminder statements to overdue buyers who have not had one in the
+ * last PAYMENT_REMINDER_INTERVAL_DAYS days.
+ */
+async function sendPaymentReminders() {
+  try {
+    const { sent, failed } = await CreditControlService.sendDueReminders(new Date());
+    if (sent > 0 || failed > 0) {
+      console.log(`[Payment Reminders] Sent ${sent} reminder(s), ${failed} failed`);
+    }
+  } catch (error) {
+    console.error('[Payment Reminders] Error:', error.message);
+  }
+}
+
+// Run once a day
+const REMINDER_CHECK_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+function startPaymentReminderScheduler() {
+  // Reminders email customers, so they only go out automatically when enabled
+  if (process.env.PAYMENT_REMINDERS_ENABLED !== 'true') {
+    return;
+  }
+
+  // Run once on startup after a short delay
+  setTimeout(sendPaymentReminders, 60000);
+  // Then run periodically
+  setInterval(sendPaymentReminders, REMINDER_CHECK_INTERVAL_MS);
+}
+
+module.exports = { startPaymentReminderScheduler, sendPaymentReminders };
@@ -0,0 +1,31 @@
+const RecurringExpenseService = require('../services/RecurringExpenseService');
+
+/**
+ * Generate pending expenses for every recurring series whose nextRecurringDate has passed.
+ * Safe to run repeatedly: occurrences already generated are not created again.
+ */
+async function materialiseRecurringExpenses() {
+  try {
+    const { series, created, locked } = await RecurringExpenseService.materialiseDueExpenses(new Date());
+    if (created > 0) {
+      console.log(`[Recurring Expenses] Generated ${created} expense(s) from ${series} series`);
+    }
+    for (const occurrence of locked) {
+      console.warn(`[Recurring Expenses] Skipped ${occurrence.expenseNumber} on ${occurrence.date.toISOString().split('T')[0]}: ${occurrence.message}`);
+    }
+  } catch (error) {
+    console.error('[Recurring Expenses] Error:', error.message);
+  }
+}
+
+// Run every hour
+const RECURRING_INTERVAL_MS = 60 * 60 * 1000;
+
+function startRecurringExpenseScheduler() {
+  // Run once on startup after a short delay
+  setTimeout(materialiseRecurringExpenses, 15000);
+  // Then run periodically
+  setInterval(materialiseRecurringExpenses, RECURRING_INTERVAL_MS);
+}
+
+module.exports = { startRecurringExpenseScheduler, materialiseRecurringExpenses };
@@ -0,0 +1,359 @@
+const PDFDocument = require('pdfkit');
+const ExcelJS = require('exceljs');
+const Settings = require('../models/Settings');
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'pdf'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pdf: 'application/pdf'
+};
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+const csvEscape = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// 'totalSales' / 'sales-returns' / 'plData' → 'Total Sales' / 'Sales Returns' / 'Pl Data'
+const humanize = (key) => String(key)
+  .replace(/(?<!\d)[-_.]+|[-_.]+(?!\d)/g, ' ')
+  .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .replace(/^./, char => char.toUpperCase());
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Dates arrive as ISO strings (after JSON round-tripping); midnight UTC is shown as a plain date
+function formatCell(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'string' && ISO_DATE.test(value)) {
+    return value.endsWith('T00:00:00.000Z') ? value.slice(0, 10) : value.slice(0, 16).replace('T', ' ');
+  }
+  return value;
+}
+
+// Nested objects become dotted columns; arrays of values are joined, arrays of objects are counted
+function flattenRow(row, prefix = '', target = {}) {
+  if (!isPlainObject(row)) {
+    target[prefix || 'value'] = formatCell(row);
+    return target;
+  }
+
+  Object.entries(row).forEach(([key, value]) => {
+    const column = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value)) {
+      flattenRow(value, column, target);
+    } else if (Array.isArray(value)) {
+      target[column] = value.every(item => !isPlainObject(item))
+        ? value.map(formatCell).join(' | ')
+        : value.length;
+    } else {
+      target[column] = formatCell(value);
+    }
+  });
+  return target;
+}
+
+function tableSection(title, rows) {
+  const flatRows = rows.map(row => flattenRow(row));
+  const columns = [];
+  flatRows.forEach(row => Object.keys(row).forEach(key => {
+    if (!columns.includes(key)) columns.push(key);
+  }));
+  return { title, type: 'table', columns, rows: flatRows };
+}
+
+/**
+ * Turn the `data` of a report response into printable sections.
+ * Arrays of rows become tables and the figures of each object become
+ * a key/value summary titled after the object's path.
+ * @param {*} data - JSON-safe report data
+ * @returns {Array} [{ title, type: 'table', columns, rows } | { title, type: 'summary', rows: [{ label, value }] }]
+ */
+function buildSections(data) {
+  if (Array.isArray(data)) return [tableSection('Report', data)];
+  if (!isPlainObject(data)) return [{ title: 'Report', type: 'summary', rows: [{ label: 'Value', value: formatCell(data) }] }];
+
+  const sections = [];
+  // Some reports return the same rows under two keys (e.g. products and stockLevels)
+  const seen = new Set();
+
+  const walk = (object, path) => {
+    const figures = [];
+    const position = sections.length;
+
+    Object.entries(object).forEach(([key, value]) => {
+      if (Array.isArray(value)) {
+        const signature = JSON.stringify(value);
+        if (value.length === 0 || seen.has(signature)) return;
+        seen.add(signature);
+        if (value.every(isPlainObject)) {
+          sections.push(tableSection([...path, humanize(key)].join(' - '), value));
+        } else {
+          figures.push({ label: humanize(key), value: value.map(formatCell).join(' | ') });
+        }
+      } else if (isPlainObject(value)) {
+        walk(value, [...path, humanize(key)]);
+      } else {
+        figures.push({ label: humanize(key), value: formatCell(value) });
+      }
+    });
+
+    // An object's own figures come before the tables and objects nested in it
+    if (figures.length > 0) {
+      sections.splice(position, 0, { title: path.join(' - ') || 'Overview', type: 'summary', rows: figures });
+    }
+  };
+
+  walk(data, []);
+  return sections;
+}
+
+function describeFilters(filters = {}) {
+  return Object.entries(filters)
+    .filter(([key, value]) => key !== 'format' && value !== undefined && value !== '')
+    .map(([key, value]) => `${humanize(key)}: ${Array.isArray(value) ? value.join(', ') : value}`);
+}
+
+function writeCsv(res, report) {
+  const line = (cells) => res.write(`${cells.map(csvEscape).join(',')}\r\n`);
+
+  line([report.title]);
+  describeFilters(report.filters).forEach(filter => line([filter]));
+  line([`Generated: ${report.generatedAt.toISOString()}`]);
+
+  report.sections.forEach(section => {
+    res.write('\r\n');
+    line([section.title]);
+    if (section.type === 'table') {
+      line(section.columns.map(humanize));
+      section.rows.forEach(row => line(section.columns.map(column => row[column])));
+    } else {
+      section.rows.forEach(row => line([row.label, row.value]));
+    }
+  });
+  res.end();
+}
+
+async function writeXlsx(res, report) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = report.generatedAt;
+  const usedNames = new Set();
+
+  // Worksheet names are limited to 31 characters, unique, and without []:*?/\
+  const sheetName = (title) => {
+    const base = title.replace(/[[\]:*?/\\]/g, ' ').slice(0, 28).trim() || 'Sheet';
+    let name = base;
+    for (let suffix = 2; usedNames.has(name.toLowerCase()); suffix++) name = `${base} ${suffix}`;
+    usedNames.add(name.toLowerCase());
+    return name;
+  };
+
+  const info = workbook.addWorksheet(sheetName(report.sheetTitle || 'Report'));
+  info.addRow([report.title]).font = { bold: true, size: 14 };
+  describeFilters(report.filters).forEach(filter => info.addRow([filter]));
+  info.addRow([`Generated: ${report.generatedAt.toISOString()}`]);
+
+  report.sections.forEach(section => {
+    if (section.type === 'summary') {
+      info.addRow([]);
+      info.addRow([section.title]).font = { bold: true };
+      section.rows.forEach(row => info.addRow([row.label, row.value]));
+      return;
+    }
+
+    const worksheet = workbook.addWorksheet(sheetName(section.title));
+    worksheet.columns = section.columns.map(column => ({
+      header: humanize(column),
+      key: column,
+      width: Math.min(Math.max(humanize(column).length + 2, 12), 40)
+    }));
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+    worksheet.addRows(section.rows);
+  });
+  info.getColumn(1).width = 32;
+  info.getColumn(2).width = 20;
+
+  await workbook.xlsx.write(res);
+  res.end();
+}
+
+function writePdf(res, report, businessInfo = {}) {
+  const doc = new PDFDocument({ margin: 40, size: 'A4', layout: 'landscape' });
+  doc.pipe(res);
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const bottom = () => doc.page.height - doc.page.margins.bottom - 20;
+  const cellText = (value) => {
+    if (typeof value === 'number') return Number.isInteger(value) ? String(value) : value.toFixed(2);
+    return String(value ?? '');
+  };
+
+  // Business header
+  doc.fontSize(16).font('Helvetica-Bold').text(businessInfo?.name || 'KI Fashion', left, 40);
+  doc.fontSize(9).font('Helvetica');
+  const address = businessInfo?.address
+    ? [businessInfo.address.street, businessInfo.address.city, businessInfo.address.state, businessInfo.address.zipCode, businessInfo.address.country]
+      .filter(Boolean).join(', ')
+    : '';
+  if (address) doc.text(address);
+  if (businessInfo?.phone) doc.text(`Phone: ${businessInfo.phone}`);
+  if (businessInfo?.email) doc.text(`Email: ${businessInfo.email}`);
+  const headerBottom = doc.y;
+
+  doc.fontSize(14).font('Helvetica-Bold').text(report.title, left, 40, { width, align: 'right' });
+  doc.fontSize(9).font('Helvetica');
+  describeFilters(report.filters).forEach(filter => doc.text(filter, { width, align: 'right' }));
+  doc.text(`Generated: ${report.generatedAt.toLocaleString('en-GB')}`, { width, align: 'right' });
+  doc.y = Math.max(doc.y, headerBottom) + 10;
+  doc.moveTo(left, doc.y).lineTo(left + width, doc.y).stroke();
+  doc.moveDown(1);
+
+  const ensureSpace = (height) => {
+    if (doc.y + height > bottom()) {
+      doc.addPage();
+      doc.y = doc.page.margins.top;
+    }
+  };
+
+  if (report.sections.length === 0) {
+    doc.fontSize(10).font('Helvetica').text('No data for the selected filters.', left);
+  }
+
+  report.sections.forEach(section => {
+    ensureSpace(50);
+    doc.fontSize(11).font('Helvetica-Bold').text(section.title, left, doc.y);
+    doc.moveDown(0.3);
+
+    if (section.type === 'summary') {
+      doc.fontSize(9);
+      section.rows.forEach(row => {
+        ensureSpace(14);
+        const y = doc.y;
+        doc.font('Helvetica').text(row.label, left, y, { width: 220 });
+        doc.font('Helvetica-Bold').text(cellText(row.value), left + 230, y, { width: 200 });
+        doc.y = Math.max(doc.y, y + 12);
+      });
+      doc.moveDown(1);
+      return;
+    }
+
+    const fontSize = section.columns.length > 12 ? 6 : section.columns.length > 8 ? 7 : 8;
+    const columnWidth = width / section.columns.length;
+    const rowHeight = fontSize + 5;
+    const cellOptions = { width: columnWidth - 4, height: rowHeight, ellipsis: true, lineBreak: false };
+
+    const drawHeader = () => {
+      const y = doc.y;
+      doc.fontSize(fontSize).font('Helvetica-Bold');
+      section.columns.forEach((column, index) => {
+        doc.text(humanize(column), left + index * columnWidth, y, cellOptions);
+      });
+      doc.moveTo(left, y + rowHeight).lineTo(left + width, y + rowHeight).stroke();
+      doc.y = y + rowHeight + 3;
+      doc.font('Helvetica');
+    };
+
+    drawHeader();
+    section.rows.forEach(row => {
+      if (doc.y + rowHeight > bottom()) {
+        doc.addPage();
+        doc.y = doc.page.margins.top;
+        drawHeader();
+      }
+      const y = doc.y;
+      section.columns.forEach((column, index) => {
+        const value = row[column];
+        doc.text(cellText(value), left + index * columnWidth, y, {
+          ...cellOptions,
+          align: typeof value === 'number' ? 'right' : 'left'
+        });
+      });
+      doc.y = y + rowHeight;
+    });
+    doc.moveDown(1);
+  });
+
+  doc.end();
+}
+
+/**
+ * Write a report in the requested format to the response
+ * @param {Object} res - Express response
+ * @param {Object} report - { title, name, filters, data }
+ * @param {String} format - csv, xlsx or pdf
+ */
+async function sendReport(res, { title, name, filters, data }, format) {
+  const report = {
+    title,
+    sheetTitle: title,
+    filters,
+    generatedAt: new Date(),
+    // Round-trip through JSON so documents, ObjectIds and Dates become plain values
+    sections: buildSections(JSON.parse(JSON.stringify(data ?? null)))
+  };
+  const date = report.generatedAt.toISOString().split('T')[0];
+
+  res.status(200);
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${name}-${date}.${format}"`);
+
+  if (format === 'csv') return writeCsv(res, report);
+  if (format === 'xlsx') return writeXlsx(res, report);
+
+  const settings = await Settings.getSettings();
+  return writePdf(res, report, settings.businessInfo);
+}
+
+/**
+ * Router middleware giving every JSON report a ?format=csv|xlsx|pdf option.
+ * The report handler runs unchanged; its successful res.json() body is
+ * rendered as a file instead, while error responses stay JSON.
+ * @param {Function} getTitle - (req) → report title
+ */
+function reportExport(getTitle) {
+  return (req, res, next) => {
+    const format = req.query.format;
+    if (req.method !== 'GET' || !format || format === 'json') return next();
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `format must be one of json, ${EXPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode >= 400 || !body || body.success === false) return json(body);
+
+      const name = req.path.split('/').filter(Boolean).join('-') || 'report';
+      sendReport(res, { title: getTitle(req), name, filters: req.query, data: body.data }, format).catch(error => {
+        console.error('Report export error:', error);
+        if (!res.headersSent) {
+          res.removeHeader('Content-Type');
+          res.removeHeader('Content-Disposition');
+          res.status(500);
+          return json({ success: false, message: 'Server error' });
+        }
+        res.destroy(error);
+      });
+      return res;
+    };
+    next();
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  csvEscape,
+  buildSections,
+  sendReport,
+  reportExport
+};
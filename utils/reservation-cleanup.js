@@ -2,6 +2,8 @@ const mongoose = require('mongoose');
 const Sale = require('../models/Sale');
 const Inventory = require('../models/Inventory');
 const PacketStock = require('../models/PacketStock');
+const PromoCodeService = require('../services/PromoCodeService');
+const CostingService = require('../services/CostingService');
 
 /**
  * Release reserved stock for expired reservations.
@@ -52,6 +54,13 @@ async function cleanupExpiredReservations() {
                 }
               }
               inventory.reservedStock = Math.max(0, (inventory.reservedStock || 0) - item.quantity);
+              // Units already taken out of the purchase batches for this line go back
+              CostingService.reverseSaleCost(
+                inventory,
+                item,
+                item.quantity - (item.costSnapshot?.returnedQuantity || 0),
+                `Expired reservation: ${sale.saleNumber}`
+              );
               await inventory.save({ session });
             }
           }
@@ -64,6 +73,11 @@ async function cleanupExpiredReservations() {
 
         await session.commitTransaction();
         session.endSession();
+
+        // A promo code use reserved for this checkout is given back
+        if (sale.promotion?.promoCode) {
+          await PromoCodeService.releaseRedemption(sale._id);
+        }
       } catch (error) {
         await session.abortTransaction();
         session.endSession();
@@ -0,0 +1,163 @@
+const PDFDocument = require('pdfkit');
+
+const AGEING_COLUMNS = ['0-30', '31-60', '61-90', '90+'];
+
+const formatAmount = (value) => `€${(value || 0).toFixed(2)}`;
+const formatDate = (value) => new Date(value).toLocaleDateString('en-GB');
+
+function formatAddress(address) {
+  if (!address) return null;
+  if (typeof address === 'string') return address;
+  if (address.fullAddress) return address.fullAddress;
+  return [address.street, address.city, address.state, address.zipCode, address.country]
+    .filter(Boolean)
+    .join(', ') || null;
+}
+
+/**
+ * Generate a statement of account PDF
+ * @param {Object} statement - Statement from StatementService.getStatement
+ * @param {Object} businessInfo - Settings.businessInfo
+ * @returns {Promise<Buffer>} The PDF
+ */
+async function generateStatementPDF(statement, businessInfo = {}) {
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({ margin: 50, size: 'A4' });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const businessName = businessInfo?.name || 'KI Fashion';
+
+      // Company Header
+      doc.fontSize(20).font('Helvetica-Bold').text(businessName, 50, 50);
+      doc.fontSize(9).font('Helvetica');
+      const businessAddress = formatAddress(businessInfo?.address);
+      if (businessAddress) doc.text(businessAddress);
+      if (businessInfo?.phone) doc.text(`Phone: ${businessInfo.phone}`);
+      if (businessInfo?.email) doc.text(`Email: ${businessInfo.email}`);
+      if (businessInfo?.taxNumber) doc.text(`Tax Number: ${businessInfo.taxNumber}`);
+
+      doc.fontSize(14).font('Helvetica-Bold').text('Statement of Account', 50, 50, { align: 'right' });
+      doc.fontSize(10).font('Helvetica');
+      const period = statement.startDate
+        ? `${formatDate(statement.startDate)} - ${formatDate(statement.endDate)}`
+        : `Up to ${formatDate(statement.endDate)}`;
+      doc.text(`Period: ${period}`, { align: 'right' });
+      doc.text(`Date: ${formatDate(new Date())}`, { align: 'right' });
+      doc.y = Math.max(doc.y, 130);
+      doc.moveDown(1);
+
+      // Party Section
+      const { party } = statement;
+      doc.fontSize(12).font('Helvetica-Bold').text(statement.type === 'buyer' ? 'Customer:' : 'Supplier:', 50, doc.y);
+      doc.fontSize(10).font('Helvetica');
+      doc.text(party.name || 'N/A');
+      if (party.company) doc.text(party.company);
+      const partyAddress = formatAddress(party.address);
+      if (partyAddress) doc.text(partyAddress);
+      if (party.email) doc.text(party.email);
+      if (party.phone) doc.text(party.phone);
+      doc.moveDown(1.5);
+
+      // Transactions Table Header
+      const drawHeader = (y) => {
+        doc.fontSize(10).font('Helvetica-Bold');
+        doc.text('Date', 50, y);
+        doc.text('Reference', 110, y);
+        doc.text('Description', 190, y);
+        doc.text('Debit', 345, y, { width: 65, align: 'right' });
+        doc.text('Credit', 415, y, { width: 65, align: 'right' });
+        doc.text('Balance', 485, y, { width: 65, align: 'right' });
+        doc.moveTo(50, y + 15).lineTo(550, y + 15).stroke();
+        return y + 22;
+      };
+
+      let currentY = drawHeader(doc.y);
+      doc.fontSize(9).font('Helvetica-Bold');
+      doc.text('Opening Balance', 190, currentY);
+      doc.text(formatAmount(statement.openingBalance), 485, currentY, { width: 65, align: 'right' });
+      currentY += 18;
+
+      doc.font('Helvetica');
+      statement.transactions.forEach((transaction) => {
+        // Check if we need a new page
+        if (currentY > 720) {
+          doc.addPage();
+          currentY = drawHeader(50);
+          doc.fontSize(9).font('Helvetica');
+        }
+
+        const description = transaction.description || transaction.transactionType;
+        doc.text(formatDate(transaction.date), 50, currentY);
+        doc.text((transaction.reference || '-').substring(0, 14), 110, currentY);
+        doc.text(description.substring(0, 32), 190, currentY);
+        doc.text(transaction.debit ? formatAmount(transaction.debit) : '', 345, currentY, { width: 65, align: 'right' });
+        doc.text(transaction.credit ? formatAmount(transaction.credit) : '', 415, currentY, { width: 65, align: 'right' });
+        doc.text(formatAmount(transaction.balance), 485, currentY, { width: 65, align: 'right' });
+
+        currentY += 16;
+      });
+
+      if (currentY > 640) {
+        doc.addPage();
+        currentY = 50;
+      }
+
+      // Totals Section
+      doc.moveTo(50, currentY).lineTo(550, currentY).stroke();
+      currentY += 8;
+      doc.fontSize(10).font('Helvetica');
+      doc.text('Period Totals', 190, currentY);
+      doc.text(formatAmount(statement.totalDebit), 345, currentY, { width: 65, align: 'right' });
+      doc.text(formatAmount(statement.totalCredit), 415, currentY, { width: 65, align: 'right' });
+      currentY += 18;
+
+      doc.fontSize(12).font('Helvetica-Bold');
+      const closingLabel = statement.type === 'buyer'
+        ? (statement.closingBalance < 0 ? 'Closing Balance (in your favour):' : 'Closing Balance (amount due):')
+        : (statement.closingBalance < 0 ? 'Closing Balance (due from you):' : 'Closing Balance (payable to you):');
+      doc.text(closingLabel, 190, currentY);
+      doc.text(formatAmount(Math.abs(statement.closingBalance)), 465, currentY, { width: 85, align: 'right' });
+      currentY += 30;
+
+      // Ageing Summary
+      const buckets = statement.ageing?.buckets || {};
+      doc.fontSize(11).font('Helvetica-Bold').text('Ageing Summary (days)', 50, currentY);
+      currentY += 18;
+      doc.fontSize(9).font('Helvetica-Bold');
+      AGEING_COLUMNS.forEach((key, index) => {
+        doc.text(key, 50 + index * 100, currentY, { width: 90, align: 'right' });
+      });
+      doc.text('Total', 450, currentY, { width: 100, align: 'right' });
+      currentY += 14;
+      doc.font('Helvetica');
+      AGEING_COLUMNS.forEach((key, index) => {
+        doc.text(formatAmount(buckets[key]), 50 + index * 100, currentY, { width: 90, align: 'right' });
+      });
+      doc.text(formatAmount(statement.ageing?.totalOutstanding), 450, currentY, { width: 100, align: 'right' });
+      if (statement.ageing?.unallocatedCredit > 0) {
+        currentY += 14;
+        doc.text(`Unallocated credit: ${formatAmount(statement.ageing.unallocatedCredit)}`, 50, currentY);
+      }
+
+      // Footer
+      doc.fontSize(8).font('Helvetica');
+      const pageHeight = doc.page.height;
+      // Keep the footer inside the bottom margin from starting a new page
+      doc.page.margins.bottom = 0;
+      doc.text(`For inquiries, please contact ${businessName}`, 50, pageHeight - 50, { align: 'center' });
+
+      doc.end();
+
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+module.exports = {
+  generateStatementPDF
+};
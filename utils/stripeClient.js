@@ -0,0 +1,22 @@
+/**
+ * Shared Stripe client, created on first use from STRIPE_SECRET_KEY (null when the
+ * key is not set). Tests put a stub in its place with setStripeClient.
+ */
+
+let client;
+
+const getStripe = () => {
+  if (client === undefined) {
+    client = process.env.STRIPE_SECRET_KEY ? require('stripe')(process.env.STRIPE_SECRET_KEY) : null;
+  }
+  return client;
+};
+
+const setStripeClient = (stripeClient) => {
+  client = stripeClient;
+};
+
+module.exports = {
+  getStripe,
+  setStripeClient
+};
@@ -33,7 +33,68 @@ const schemas = {
 
   currency: Joi.number().precision(2).min(0),
 
-  percentage: Joi.number().min(0).max(100)
+  percentage: Joi.number().min(0).max(100),
+
+  // Product create payload (POST /api/products); a product import extends it with productCode
+  product: Joi.object({
+    name: Joi.string().min(2).max(100).required(),
+    sku: Joi.string().required().uppercase(),
+    supplier: Joi.string().optional(), // Primary supplier ObjectId (required by model, but optional here for backward compat)
+    description: Joi.string().optional(),
+    season: Joi.array().items(Joi.string().valid('winter', 'summer', 'spring', 'autumn', 'all_season', 'accessories')).min(1).required(),
+    category: Joi.string().required(),
+    brand: Joi.string().optional(),
+    unit: Joi.string().valid('piece', 'kg', 'g', 'liter', 'ml', 'meter', 'cm', 'dozen', 'box', 'pack').default('piece'),
+    pricing: Joi.object({
+      costPrice: Joi.number().min(0).required(),
+      sellingPrice: Joi.number().min(0).required(),
+      wholesalePrice: Joi.number().min(0).optional(),
+      minSellingPrice: Joi.number().min(0).optional()
+    }).required(),
+    inventory: Joi.object({
+      currentStock: Joi.number().min(0).default(0),
+      minStockLevel: Joi.number().min(0).default(0),
+      maxStockLevel: Joi.number().min(0).default(1000),
+      reorderLevel: Joi.number().min(0).default(10)
+    }).optional(),
+    suppliers: Joi.array().items(Joi.object({
+      supplier: Joi.string().required(),
+      supplierPrice: Joi.number().min(0).optional(),
+      isPrimary: Joi.boolean().default(false)
+    })).optional(),
+    specifications: Joi.object({
+      weight: Joi.number().optional(),
+      dimensions: Joi.object({
+        length: Joi.number().optional(),
+        width: Joi.number().optional(),
+        height: Joi.number().optional()
+      }).optional(),
+      color: Joi.string().optional(),
+      material: Joi.string().optional()
+    }).optional(),
+    images: Joi.array().items(Joi.string()).optional(),
+    barcode: Joi.string().optional(),
+    taxRate: Joi.number().min(0).max(100).default(0),
+    size: Joi.string().allow('', null).optional(),
+    color: Joi.string().allow('', null).optional(),
+    useVariantTracking: Joi.boolean().optional(),
+    variantTracking: Joi.object({
+      enabled: Joi.boolean().optional(),
+      availableColors: Joi.array().items(Joi.string()).optional(),
+      availableSizes: Joi.array().items(Joi.string()).optional()
+    }).optional()
+  }),
+
+  // Expense voucher create and update payload; also checked when a backdated edit request is applied
+  expenseVoucher: Joi.object({
+    date: Joi.date().default(Date.now),
+    name: Joi.string().min(2).max(200).required(),
+    amount: Joi.number().min(0).required(),
+    paymentMethod: Joi.string().valid('cash', 'card', 'bank_transfer', 'cheque', 'online').required(),
+    remarks: Joi.string().optional(),
+    category: Joi.string().optional(),
+    attachments: Joi.array().items(Joi.string()).optional()
+  })
 };
 
 // Validation middleware factory
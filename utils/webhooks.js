@@ -0,0 +1,45 @@
+const WebhookService = require('../services/WebhookService');
+
+/**
+ * Send webhook deliveries that are due: new events that were not sent
+ * straight away and failed attempts whose backoff has elapsed.
+ */
+async function dispatchWebhooks() {
+  try {
+    const { attempted, succeeded, failed, retrying } = await WebhookService.processDueDeliveries();
+    if (attempted > 0) {
+      console.log(`[Webhooks] Attempted ${attempted} delivery(ies): ${succeeded} succeeded, ${retrying} will retry, ${failed} failed`);
+    }
+  } catch (error) {
+    console.error('[Webhooks] Dispatch error:', error.message);
+  }
+}
+
+/**
+ * Raise stock.below_reorder_level for products that have dropped to their
+ * reorder level since the last check.
+ */
+async function checkLowStockWebhooks() {
+  try {
+    const emitted = await WebhookService.checkLowStock();
+    if (emitted > 0) {
+      console.log(`[Webhooks] Raised ${emitted} low stock alert(s)`);
+    }
+  } catch (error) {
+    console.error('[Webhooks] Low stock check error:', error.message);
+  }
+}
+
+const DISPATCH_INTERVAL_MS = 30 * 1000;
+const LOW_STOCK_CHECK_INTERVAL_MS = (parseInt(process.env.WEBHOOK_LOW_STOCK_CHECK_MINUTES, 10) || 15) * 60 * 1000;
+
+function startWebhookDispatcher() {
+  // Run once on startup after a short delay
+  setTimeout(dispatchWebhooks, 60000);
+  setTimeout(checkLowStockWebhooks, 60000);
+  // Then run periodically
+  setInterval(dispatchWebhooks, DISPATCH_INTERVAL_MS);
+  setInterval(checkLowStockWebhooks, LOW_STOCK_CHECK_INTERVAL_MS);
+}
+
+module.exports = { startWebhookDispatcher, dispatchWebhooks, checkLowStockWebhooks };